@@ -0,0 +1,15 @@
+-- 39-add-attendance-timing-rules.sql
+-- Add late-arrival / grace-window rules for attendance check-in
+-- Rules shape: {"present_minutes": 10, "late_minutes": 30}
+--   present_minutes: check-ins within N minutes of session start are 'present'
+--   late_minutes: check-ins up to M minutes after start are 'late'; later ones are rejected
+-- NULL rules (or missing keys) keep the previous behaviour: every check-in is 'present'
+
+ALTER TABLE course_offerings
+ADD COLUMN IF NOT EXISTS attendance_rules JSONB;
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS attendance_rules JSONB;
+
+COMMENT ON COLUMN course_offerings.attendance_rules IS 'Default check-in timing rules for the course: {"present_minutes": N, "late_minutes": M}';
+COMMENT ON COLUMN sessions.attendance_rules IS 'Per-session override of course_offerings.attendance_rules (keys override individually)';
@@ -0,0 +1,90 @@
+-- 40-create-excuse-requests.sql
+-- Excused-absence requests: students ask to be excused from a session, staff approve or deny
+-- Approving a request sets the student's attendance.status to 'excused' for that session
+-- Every state change is also recorded in attendance_excuse_request_events for history
+
+CREATE TABLE IF NOT EXISTS attendance_excuse_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    attachment_path TEXT,
+    attachment_name TEXT,
+    attachment_mime_type TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied', 'withdrawn')),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_excuse_requests_session ON attendance_excuse_requests(session_id);
+CREATE INDEX IF NOT EXISTS idx_excuse_requests_user ON attendance_excuse_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_excuse_requests_status ON attendance_excuse_requests(status);
+
+-- Only one open request per student per session; closed requests stay as history
+CREATE UNIQUE INDEX IF NOT EXISTS idx_excuse_requests_one_pending
+    ON attendance_excuse_requests(session_id, user_id)
+    WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS attendance_excuse_request_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    request_id UUID NOT NULL REFERENCES attendance_excuse_requests(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('submitted', 'approved', 'denied', 'withdrawn')),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_excuse_request_events_request ON attendance_excuse_request_events(request_id);
+
+COMMENT ON TABLE attendance_excuse_requests IS 'Student requests to be excused from a session, reviewed by staff with attendance.mark';
+COMMENT ON TABLE attendance_excuse_request_events IS 'History of submissions and decisions for attendance_excuse_requests';
+
+-- Add audit action types for the excuse workflow
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'submit_excuse_request'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'submit_excuse_request';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'review_excuse_request'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'review_excuse_request';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'withdraw_excuse_request'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'withdraw_excuse_request';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
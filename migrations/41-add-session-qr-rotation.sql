@@ -0,0 +1,10 @@
+-- 41-add-session-qr-rotation.sql
+-- Rotating QR code check-in
+-- The projector view shows a QR code with a signed token that changes every N seconds.
+-- Tokens are derived from the session's access_code, so no token secret is stored here.
+-- NULL keeps the default rotation interval (30 seconds).
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS qr_rotation_seconds INTEGER CHECK (qr_rotation_seconds BETWEEN 10 AND 300);
+
+COMMENT ON COLUMN sessions.qr_rotation_seconds IS 'How often the check-in QR token rotates, in seconds (NULL = default of 30)';
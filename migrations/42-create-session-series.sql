@@ -0,0 +1,41 @@
+-- 42-create-session-series.sql
+-- Recurring lecture series
+-- Instructors generate a whole term of lecture sessions from course_offerings.class_timings.
+-- The series row keeps the generation settings (skip dates, default questions) so the
+-- sessions can be edited or deleted together afterwards.
+
+CREATE TABLE IF NOT EXISTS session_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    schedule JSONB NOT NULL DEFAULT '[]'::jsonb,
+    skip_dates DATE[] NOT NULL DEFAULT '{}',
+    default_questions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    attendance_rules JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_by UUID REFERENCES users(id),
+    updated_by UUID REFERENCES users(id),
+    CONSTRAINT session_series_date_range CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_series_offering ON session_series(offering_id);
+
+DROP TRIGGER IF EXISTS update_session_series_updated_at ON session_series;
+CREATE TRIGGER update_session_series_updated_at BEFORE UPDATE ON session_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE session_series IS 'Recurring lecture series generated from the course weekly schedule';
+COMMENT ON COLUMN session_series.schedule IS 'Weekly slots used to generate the series: [{ "weekday": 1, "start_time": "10:00", "end_time": "10:50" }]';
+COMMENT ON COLUMN session_series.skip_dates IS 'Holidays and other dates with no lecture';
+COMMENT ON COLUMN session_series.default_questions IS 'Question template copied into every generated session';
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES session_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_series ON sessions(series_id);
+
+COMMENT ON COLUMN sessions.series_id IS 'Lecture series this session was generated from (NULL for one-off sessions)';
@@ -0,0 +1,42 @@
+-- 43-create-scheduled-jobs.sql
+-- Background job table for the in-process scheduler
+-- The scheduler opens attendance at the session start time and closes it (marking
+-- absentees) at code_expires_at. Jobs are persisted so a restart never loses or repeats
+-- work, and instances coordinate through a Postgres advisory lock.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_type TEXT NOT NULL CHECK (job_type IN ('open_attendance', 'close_attendance')),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    run_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    result JSONB,
+    locked_by TEXT,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT scheduled_jobs_unique_session_job UNIQUE (job_type, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_status ON scheduled_jobs(status);
+
+-- Own updated_at trigger: update_updated_at_column() also pins created_by, which jobs don't have
+CREATE OR REPLACE FUNCTION update_scheduled_jobs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_scheduled_jobs_updated_at ON scheduled_jobs;
+CREATE TRIGGER update_scheduled_jobs_updated_at BEFORE UPDATE ON scheduled_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_scheduled_jobs_updated_at();
+
+COMMENT ON TABLE scheduled_jobs IS 'Persisted background jobs for automatic session open/close';
+COMMENT ON COLUMN scheduled_jobs.locked_by IS 'Scheduler instance that claimed the job (hostname:pid)';
@@ -0,0 +1,112 @@
+-- 44-add-offering-timezone.sql
+-- Timezone-correct session scheduling
+-- Each course offering has an IANA timezone. Sessions keep session_date + session_time
+-- as the wall-clock time instructors enter, and store the actual instants in
+-- starts_at / ends_at so auto-open, expiry and reports never depend on the server's
+-- local timezone. A trigger keeps starts_at in sync with session_date + session_time.
+
+ALTER TABLE course_offerings
+ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'America/Los_Angeles';
+
+COMMENT ON COLUMN course_offerings.timezone IS 'IANA timezone that session dates and times are entered in';
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_starts_at ON sessions(starts_at);
+
+COMMENT ON COLUMN sessions.starts_at IS 'Session start instant (session_date + session_time in the offering timezone)';
+COMMENT ON COLUMN sessions.ends_at IS 'Session end instant (NULL when the session has no end time)';
+
+-- Convert existing rows: interpret the stored wall-clock time in the offering timezone
+UPDATE sessions s
+SET starts_at = (s.session_date + s.session_time) AT TIME ZONE o.timezone
+FROM course_offerings o
+WHERE s.offering_id = o.id
+  AND s.session_time IS NOT NULL
+  AND s.starts_at IS NULL;
+
+-- The old code stored the end time in code_expires_at; keep it when it looks like a same-day end
+UPDATE sessions
+SET ends_at = code_expires_at
+WHERE ends_at IS NULL
+  AND starts_at IS NOT NULL
+  AND code_expires_at > starts_at
+  AND code_expires_at < starts_at + INTERVAL '24 hours';
+
+-- ============================================
+-- FUNCTION: Keep sessions.starts_at and the wall-clock columns in sync
+-- ============================================
+-- Writing session_date/session_time recomputes starts_at; writing only starts_at
+-- recomputes session_date/session_time, so either side can be updated.
+CREATE OR REPLACE FUNCTION sync_session_starts_at()
+RETURNS TRIGGER AS $$
+DECLARE
+    offering_tz TEXT;
+BEGIN
+    SELECT timezone INTO offering_tz FROM course_offerings WHERE id = NEW.offering_id;
+    offering_tz := COALESCE(offering_tz, 'America/Los_Angeles');
+
+    IF TG_OP = 'UPDATE'
+       AND NEW.starts_at IS DISTINCT FROM OLD.starts_at
+       AND NEW.session_date IS NOT DISTINCT FROM OLD.session_date
+       AND NEW.session_time IS NOT DISTINCT FROM OLD.session_time
+       AND NEW.starts_at IS NOT NULL THEN
+        NEW.session_date := (NEW.starts_at AT TIME ZONE offering_tz)::date;
+        NEW.session_time := (NEW.starts_at AT TIME ZONE offering_tz)::time;
+    ELSIF NEW.session_time IS NOT NULL THEN
+        NEW.starts_at := (NEW.session_date + NEW.session_time) AT TIME ZONE offering_tz;
+    ELSIF TG_OP = 'INSERT' AND NEW.starts_at IS NOT NULL THEN
+        NEW.session_date := (NEW.starts_at AT TIME ZONE offering_tz)::date;
+        NEW.session_time := (NEW.starts_at AT TIME ZONE offering_tz)::time;
+    ELSE
+        NEW.starts_at := NULL;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_sync_session_starts_at ON sessions;
+CREATE TRIGGER trigger_sync_session_starts_at
+    BEFORE INSERT OR UPDATE OF session_date, session_time, starts_at, offering_id ON sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_session_starts_at();
+
+-- ============================================
+-- FUNCTION: Re-anchor sessions when an offering changes timezone
+-- ============================================
+-- The wall-clock times stay the same (a 10:00 lecture is still at 10:00), so the
+-- instants move with the new timezone. End times and the expiry of codes that are
+-- still in use move by the same amount.
+CREATE OR REPLACE FUNCTION reanchor_offering_sessions()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE sessions s
+    SET starts_at = shifted.new_starts_at,
+        ends_at = s.ends_at + shifted.delta,
+        code_expires_at = CASE
+            WHEN s.attendance_closed_at IS NULL THEN s.code_expires_at + shifted.delta
+            ELSE s.code_expires_at
+        END
+    FROM (
+        SELECT id,
+               (session_date + session_time) AT TIME ZONE NEW.timezone AS new_starts_at,
+               COALESCE((session_date + session_time) AT TIME ZONE NEW.timezone - starts_at, INTERVAL '0') AS delta
+        FROM sessions
+        WHERE offering_id = NEW.id
+          AND session_time IS NOT NULL
+    ) shifted
+    WHERE s.id = shifted.id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_reanchor_offering_sessions ON course_offerings;
+CREATE TRIGGER trigger_reanchor_offering_sessions
+    AFTER UPDATE OF timezone ON course_offerings
+    FOR EACH ROW
+    WHEN (NEW.timezone IS DISTINCT FROM OLD.timezone)
+    EXECUTE FUNCTION reanchor_offering_sessions();
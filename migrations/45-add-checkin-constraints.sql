@@ -0,0 +1,55 @@
+-- 45-add-checkin-constraints.sql
+-- Optional per-session check-in constraints
+-- sessions.checkin_constraints can restrict self check-in to campus subnets and/or to a
+-- radius around the offering's location:
+--   { "allowed_subnets": ["128.54.0.0/16"], "geofence_radius_meters": 150 }
+-- Check-ins that fail a constraint are still recorded but flagged for instructor review.
+
+ALTER TABLE course_offerings
+ADD COLUMN IF NOT EXISTS location_latitude DOUBLE PRECISION
+    CHECK (location_latitude IS NULL OR location_latitude BETWEEN -90 AND 90),
+ADD COLUMN IF NOT EXISTS location_longitude DOUBLE PRECISION
+    CHECK (location_longitude IS NULL OR location_longitude BETWEEN -180 AND 180);
+
+COMMENT ON COLUMN course_offerings.location_latitude IS 'Latitude of the course location, used as the geofence centre';
+COMMENT ON COLUMN course_offerings.location_longitude IS 'Longitude of the course location, used as the geofence centre';
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS checkin_constraints JSONB;
+
+COMMENT ON COLUMN sessions.checkin_constraints IS 'Optional subnet allow-list and geofence radius for self check-in';
+
+ALTER TABLE attendance
+ADD COLUMN IF NOT EXISTS checkin_ip TEXT,
+ADD COLUMN IF NOT EXISTS checkin_latitude DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS checkin_longitude DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS checkin_accuracy_meters DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS checkin_distance_meters DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS flag_reasons TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN IF NOT EXISTS flag_review_status TEXT
+    CHECK (flag_review_status IS NULL OR flag_review_status IN ('approved', 'rejected')),
+ADD COLUMN IF NOT EXISTS flag_reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS flag_reviewed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_flagged ON attendance(session_id) WHERE is_flagged = TRUE;
+
+COMMENT ON COLUMN attendance.flag_reasons IS 'Check-in constraints this check-in failed (outside_subnet, outside_geofence, location_unavailable)';
+COMMENT ON COLUMN attendance.flag_review_status IS 'Instructor decision on a flagged check-in; NULL while the flag is unreviewed';
+
+-- Add audit action type for reviewing flagged check-ins
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'review_flagged_checkin'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'review_flagged_checkin';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
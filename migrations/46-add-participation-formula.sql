@@ -0,0 +1,11 @@
+-- 46-add-participation-formula.sql
+-- Participation score formula for the attendance gradebook export
+-- Shape: {"points_possible": 10, "weights": {"present": 1, "late": 0.5, "excused": null, "absent": 0}, "drop_lowest": 0}
+--   weights: credit (0-1) a session earns for each status; null leaves the status out of the average
+--   drop_lowest: number of lowest-credit sessions ignored before averaging
+-- NULL uses the defaults: 100 points, present 1, late 0.5, excused excluded, absent 0
+
+ALTER TABLE course_offerings
+ADD COLUMN IF NOT EXISTS participation_formula JSONB;
+
+COMMENT ON COLUMN course_offerings.participation_formula IS 'Attendance participation score formula used by the gradebook export';
@@ -0,0 +1,81 @@
+-- 47-create-attendance-imports.sql
+-- CSV attendance imports with a dry-run preview, a confirm step and revert
+-- An import is created as 'previewed' with the parsed rows and the planned changes.
+-- Committing applies the plan and records every attendance row it created or changed in
+-- attendance_import_changes, so the whole import can be reverted as a unit.
+
+CREATE TABLE IF NOT EXISTS attendance_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    source_filename TEXT,
+    column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    options JSONB NOT NULL DEFAULT '{}'::jsonb,
+    source_rows JSONB NOT NULL DEFAULT '[]'::jsonb,
+    plan JSONB NOT NULL DEFAULT '[]'::jsonb,
+    summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'previewed' CHECK (status IN ('previewed', 'committed', 'reverted')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    committed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    committed_at TIMESTAMPTZ,
+    reverted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reverted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_imports_session ON attendance_imports(session_id);
+
+DROP TRIGGER IF EXISTS update_attendance_imports_updated_at ON attendance_imports;
+CREATE TRIGGER update_attendance_imports_updated_at BEFORE UPDATE ON attendance_imports
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS attendance_import_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    import_id UUID NOT NULL REFERENCES attendance_imports(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update')),
+    previous_status attendance_status_enum,
+    previous_checked_in_at TIMESTAMPTZ,
+    new_status attendance_status_enum NOT NULL,
+    new_checked_in_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(import_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_import_changes_import ON attendance_import_changes(import_id);
+
+COMMENT ON TABLE attendance_imports IS 'CSV attendance imports: parsed rows, planned changes and commit/revert state';
+COMMENT ON COLUMN attendance_imports.plan IS 'Preview entries (create/update/unchanged/unmatched/invalid); replaced by the applied plan on commit';
+COMMENT ON TABLE attendance_import_changes IS 'Attendance rows created or updated by a committed import, with their previous values for revert';
+
+-- Add audit action types for committing and reverting imports
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'import_attendance'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'import_attendance';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'revert_attendance_import'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'revert_attendance_import';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
@@ -0,0 +1,99 @@
+-- 48-create-attendance-policies.sql
+-- Per-offering attendance policies and the at-risk flags they raise
+-- A policy is one rule such as "more than 3 unexcused absences" or "below 80% over the
+-- last 21 days". Evaluating the policies raises a flag for each student who breaks one;
+-- staff acknowledge flags, and a flag resolves itself once the student is back within the
+-- policy. attendance_risk_flag_events keeps the history of every flag.
+
+CREATE TABLE IF NOT EXISTS attendance_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    metric TEXT NOT NULL CHECK (metric IN ('unexcused_absences', 'attendance_rate')),
+    threshold NUMERIC NOT NULL CHECK (threshold >= 0),
+    window_days INTEGER CHECK (window_days IS NULL OR window_days > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_policies_offering ON attendance_policies(offering_id);
+
+DROP TRIGGER IF EXISTS update_attendance_policies_updated_at ON attendance_policies;
+CREATE TRIGGER update_attendance_policies_updated_at BEFORE UPDATE ON attendance_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS attendance_risk_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    policy_id UUID NOT NULL REFERENCES attendance_policies(id) ON DELETE CASCADE,
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    metric_value NUMERIC,
+    raised_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMPTZ,
+    acknowledgement_note TEXT,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_risk_flags_offering ON attendance_risk_flags(offering_id, status);
+CREATE INDEX IF NOT EXISTS idx_attendance_risk_flags_user ON attendance_risk_flags(user_id);
+
+-- At most one unresolved flag per student per policy; resolved flags stay as history
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_risk_flags_one_open
+    ON attendance_risk_flags(policy_id, user_id)
+    WHERE status <> 'resolved';
+
+CREATE TABLE IF NOT EXISTS attendance_risk_flag_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    flag_id UUID NOT NULL REFERENCES attendance_risk_flags(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('raised', 'acknowledged', 'resolved')),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    metric_value NUMERIC,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_risk_flag_events_flag ON attendance_risk_flag_events(flag_id);
+
+COMMENT ON TABLE attendance_policies IS 'Per-offering attendance thresholds that raise at-risk flags';
+COMMENT ON COLUMN attendance_policies.window_days IS 'Only sessions in the last N days count; NULL means the whole term';
+COMMENT ON TABLE attendance_risk_flags IS 'Students who broke an attendance policy: open until acknowledged, resolved once back within the policy';
+COMMENT ON TABLE attendance_risk_flag_events IS 'History of when each at-risk flag was raised, acknowledged and resolved';
+
+-- Add audit action types for policies and flag acknowledgement
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'update_attendance_policy'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'update_attendance_policy';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'acknowledge_risk_flag'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'acknowledge_risk_flag';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
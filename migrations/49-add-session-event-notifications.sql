@@ -0,0 +1,73 @@
+-- 49-add-session-event-notifications.sql
+-- Publish live session changes on the 'session_events' NOTIFY channel
+-- Every app instance LISTENs on the channel and forwards the events to the browsers
+-- watching that session over Server-Sent Events. Triggers (rather than app code) send
+-- the notifications so changes made by any instance, the scheduler or a migration are
+-- all seen. Payloads carry IDs only; clients re-fetch what they need.
+
+CREATE OR REPLACE FUNCTION notify_session_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    payload JSONB;
+    row_data RECORD;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        row_data := OLD;
+    ELSE
+        row_data := NEW;
+    END IF;
+
+    IF TG_TABLE_NAME = 'attendance' THEN
+        payload := jsonb_build_object(
+            'type', 'attendance',
+            'op', lower(TG_OP),
+            'session_id', row_data.session_id,
+            'user_id', row_data.user_id,
+            'status', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE row_data.status::TEXT END
+        );
+    ELSIF TG_TABLE_NAME = 'session_responses' THEN
+        payload := jsonb_build_object(
+            'type', 'response',
+            'op', lower(TG_OP),
+            'session_id', row_data.session_id,
+            'question_id', row_data.question_id,
+            'response_id', row_data.id,
+            'user_id', row_data.user_id
+        );
+    ELSIF TG_TABLE_NAME = 'sessions' THEN
+        payload := jsonb_build_object(
+            'type', 'session',
+            'op', lower(TG_OP),
+            'session_id', row_data.id,
+            'attendance_opened_at', row_data.attendance_opened_at,
+            'attendance_closed_at', row_data.attendance_closed_at
+        );
+    ELSE
+        RETURN NULL;
+    END IF;
+
+    PERFORM pg_notify('session_events', payload::TEXT);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_attendance_session_event ON attendance;
+CREATE TRIGGER notify_attendance_session_event
+    AFTER INSERT OR UPDATE OR DELETE ON attendance
+    FOR EACH ROW EXECUTE FUNCTION notify_session_event();
+
+DROP TRIGGER IF EXISTS notify_session_responses_session_event ON session_responses;
+CREATE TRIGGER notify_session_responses_session_event
+    AFTER INSERT OR UPDATE ON session_responses
+    FOR EACH ROW EXECUTE FUNCTION notify_session_event();
+
+-- Only attendance open/close changes are interesting to live pages
+DROP TRIGGER IF EXISTS notify_sessions_session_event ON sessions;
+CREATE TRIGGER notify_sessions_session_event
+    AFTER UPDATE OF attendance_opened_at, attendance_closed_at ON sessions
+    FOR EACH ROW
+    WHEN (OLD.attendance_opened_at IS DISTINCT FROM NEW.attendance_opened_at
+          OR OLD.attendance_closed_at IS DISTINCT FROM NEW.attendance_closed_at)
+    EXECUTE FUNCTION notify_session_event();
+
+COMMENT ON FUNCTION notify_session_event() IS 'Sends attendance, response and open/close changes on the session_events channel for live pages';
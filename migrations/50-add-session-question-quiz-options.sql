@@ -0,0 +1,71 @@
+-- 50-add-session-question-quiz-options.sql
+-- Quiz and anonymity options for session questions
+--   correct_answers: JSON array of accepted answers; NULL means the question isn't graded.
+--     Multiple choice answers must be options; text answers match ignoring case and spacing.
+--   points: credit for a correct answer on a graded question
+--   is_anonymous: instructor views of the responses leave out who answered
+--   reveal_results: students see the correct answers and their own score
+
+ALTER TABLE session_questions
+ADD COLUMN IF NOT EXISTS correct_answers JSONB,
+ADD COLUMN IF NOT EXISTS points NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (points >= 0),
+ADD COLUMN IF NOT EXISTS is_anonymous BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS reveal_results BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN session_questions.correct_answers IS 'Accepted answers for quiz questions (NULL = not graded)';
+COMMENT ON COLUMN session_questions.points IS 'Points for a correct answer on a graded question';
+COMMENT ON COLUMN session_questions.is_anonymous IS 'Hide respondent identity from instructor views';
+COMMENT ON COLUMN session_questions.reveal_results IS 'Show students the correct answers and their score';
+
+-- Live response events for anonymous questions leave out the user
+CREATE OR REPLACE FUNCTION notify_session_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    payload JSONB;
+    row_data RECORD;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        row_data := OLD;
+    ELSE
+        row_data := NEW;
+    END IF;
+
+    IF TG_TABLE_NAME = 'attendance' THEN
+        payload := jsonb_build_object(
+            'type', 'attendance',
+            'op', lower(TG_OP),
+            'session_id', row_data.session_id,
+            'user_id', row_data.user_id,
+            'status', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE row_data.status::TEXT END
+        );
+    ELSIF TG_TABLE_NAME = 'session_responses' THEN
+        payload := jsonb_build_object(
+            'type', 'response',
+            'op', lower(TG_OP),
+            'session_id', row_data.session_id,
+            'question_id', row_data.question_id,
+            'response_id', row_data.id,
+            'user_id', CASE
+                WHEN EXISTS (
+                    SELECT 1 FROM session_questions
+                    WHERE id = row_data.question_id AND is_anonymous
+                ) THEN NULL
+                ELSE row_data.user_id
+            END
+        );
+    ELSIF TG_TABLE_NAME = 'sessions' THEN
+        payload := jsonb_build_object(
+            'type', 'session',
+            'op', lower(TG_OP),
+            'session_id', row_data.id,
+            'attendance_opened_at', row_data.attendance_opened_at,
+            'attendance_closed_at', row_data.attendance_closed_at
+        );
+    ELSE
+        RETURN NULL;
+    END IF;
+
+    PERFORM pg_notify('session_events', payload::TEXT);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
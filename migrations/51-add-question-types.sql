@@ -0,0 +1,18 @@
+-- 51-add-question-types.sql
+-- Multi-select, ranking, numeric and word cloud session questions
+-- question_type is free text; the app accepts text, multiple_choice (mcq), pulse_check (pulse),
+-- multi_select, ranking, numeric and word_cloud (see src/utils/question-types.js).
+--   multi_select / ranking: options is the list of choices
+--   numeric: options is NULL or {"min": 0, "max": 100}
+-- Structured answers get their own response columns so they can be aggregated:
+--   response_values: selected options (multi_select) or every option in ranked order (ranking)
+--   response_number: the answer to a numeric question
+-- response_text keeps a readable copy ("A, C", "B > A > C", "42") for exports and older views.
+
+ALTER TABLE session_responses
+ADD COLUMN IF NOT EXISTS response_values JSONB,
+ADD COLUMN IF NOT EXISTS response_number NUMERIC;
+
+COMMENT ON COLUMN session_questions.question_type IS 'text, multiple_choice, pulse_check, multi_select, ranking, numeric or word_cloud';
+COMMENT ON COLUMN session_responses.response_values IS 'Selected options (multi_select) or ranked options (ranking)';
+COMMENT ON COLUMN session_responses.response_number IS 'Answer to a numeric question';
@@ -0,0 +1,60 @@
+-- 52-create-question-bank.sql
+-- Per-offering question bank and reusable lecture templates
+-- Bank questions are copies: saving a session question into the bank (or inserting a bank
+-- question into a session) copies its text, type, options and quiz settings, so later edits
+-- on either side don't leak into the other. source_question_id only records where it came from.
+-- A lecture template is a named title pattern, description and question list that creates a
+-- new session; questions holds the same shape as session_series.default_questions.
+
+CREATE TABLE IF NOT EXISTS question_bank_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    question_text TEXT NOT NULL,
+    question_type TEXT NOT NULL,
+    options JSONB,
+    is_required BOOLEAN NOT NULL DEFAULT FALSE,
+    correct_answers JSONB,
+    points NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (points >= 0),
+    is_anonymous BOOLEAN NOT NULL DEFAULT FALSE,
+    tags TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    source_question_id UUID REFERENCES session_questions(id) ON DELETE SET NULL,
+    times_used INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_bank_items_offering ON question_bank_items(offering_id);
+CREATE INDEX IF NOT EXISTS idx_question_bank_items_tags ON question_bank_items USING GIN (tags);
+
+DROP TRIGGER IF EXISTS update_question_bank_items_updated_at ON question_bank_items;
+CREATE TRIGGER update_question_bank_items_updated_at BEFORE UPDATE ON question_bank_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS lecture_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    title_pattern TEXT NOT NULL,
+    description TEXT,
+    questions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    times_used INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lecture_templates_offering_name
+    ON lecture_templates(offering_id, LOWER(name));
+
+DROP TRIGGER IF EXISTS update_lecture_templates_updated_at ON lecture_templates;
+CREATE TRIGGER update_lecture_templates_updated_at BEFORE UPDATE ON lecture_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE question_bank_items IS 'Reusable session questions for a course, searchable by text and tag';
+COMMENT ON COLUMN question_bank_items.tags IS 'Lower-case tags, e.g. {week-3, recursion}';
+COMMENT ON COLUMN question_bank_items.times_used IS 'How many times the question has been inserted into a session';
+COMMENT ON TABLE lecture_templates IS 'Named lecture blueprints (title pattern, description, questions) that create new sessions';
+COMMENT ON COLUMN lecture_templates.title_pattern IS 'Session title; {n} is replaced with the use number and {date} with the session date';
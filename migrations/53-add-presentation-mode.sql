@@ -0,0 +1,105 @@
+-- 53-add-presentation-mode.sql
+-- Instructor-driven "one question at a time" presentation mode for lectures
+--   sessions.presentation_mode: students only see the presented question, and only an open
+--     question takes responses
+--   sessions.presented_question_id: the question on screen (NULL while waiting to start)
+--   session_questions.opened_at / closed_at: when the instructor last opened and closed the
+--     question; it is open while opened_at is set and closed_at is NULL
+-- Question open/close changes are published as 'question' events on the session_events
+-- channel, and 'session' events now carry the presentation fields.
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS presentation_mode BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS presented_question_id UUID REFERENCES session_questions(id) ON DELETE SET NULL;
+
+ALTER TABLE session_questions
+ADD COLUMN IF NOT EXISTS opened_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN sessions.presentation_mode IS 'Students see and answer one instructor-opened question at a time';
+COMMENT ON COLUMN sessions.presented_question_id IS 'Question currently presented (presentation mode)';
+COMMENT ON COLUMN session_questions.opened_at IS 'When the question was last opened in presentation mode';
+COMMENT ON COLUMN session_questions.closed_at IS 'When the question was last closed in presentation mode';
+
+CREATE OR REPLACE FUNCTION notify_session_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    payload JSONB;
+    row_data RECORD;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        row_data := OLD;
+    ELSE
+        row_data := NEW;
+    END IF;
+
+    IF TG_TABLE_NAME = 'attendance' THEN
+        payload := jsonb_build_object(
+            'type', 'attendance',
+            'op', lower(TG_OP),
+            'session_id', row_data.session_id,
+            'user_id', row_data.user_id,
+            'status', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE row_data.status::TEXT END
+        );
+    ELSIF TG_TABLE_NAME = 'session_responses' THEN
+        payload := jsonb_build_object(
+            'type', 'response',
+            'op', lower(TG_OP),
+            'session_id', row_data.session_id,
+            'question_id', row_data.question_id,
+            'response_id', row_data.id,
+            'user_id', CASE
+                WHEN EXISTS (
+                    SELECT 1 FROM session_questions
+                    WHERE id = row_data.question_id AND is_anonymous
+                ) THEN NULL
+                ELSE row_data.user_id
+            END
+        );
+    ELSIF TG_TABLE_NAME = 'sessions' THEN
+        payload := jsonb_build_object(
+            'type', 'session',
+            'op', lower(TG_OP),
+            'session_id', row_data.id,
+            'attendance_opened_at', row_data.attendance_opened_at,
+            'attendance_closed_at', row_data.attendance_closed_at,
+            'presentation_mode', row_data.presentation_mode,
+            'presented_question_id', row_data.presented_question_id
+        );
+    ELSIF TG_TABLE_NAME = 'session_questions' THEN
+        payload := jsonb_build_object(
+            'type', 'question',
+            'op', lower(TG_OP),
+            'session_id', row_data.session_id,
+            'question_id', row_data.id,
+            'opened_at', row_data.opened_at,
+            'closed_at', row_data.closed_at
+        );
+    ELSE
+        RETURN NULL;
+    END IF;
+
+    PERFORM pg_notify('session_events', payload::TEXT);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_sessions_session_event ON sessions;
+CREATE TRIGGER notify_sessions_session_event
+    AFTER UPDATE OF attendance_opened_at, attendance_closed_at, presentation_mode, presented_question_id ON sessions
+    FOR EACH ROW
+    WHEN (OLD.attendance_opened_at IS DISTINCT FROM NEW.attendance_opened_at
+          OR OLD.attendance_closed_at IS DISTINCT FROM NEW.attendance_closed_at
+          OR OLD.presentation_mode IS DISTINCT FROM NEW.presentation_mode
+          OR OLD.presented_question_id IS DISTINCT FROM NEW.presented_question_id)
+    EXECUTE FUNCTION notify_session_event();
+
+DROP TRIGGER IF EXISTS notify_session_questions_session_event ON session_questions;
+CREATE TRIGGER notify_session_questions_session_event
+    AFTER UPDATE OF opened_at, closed_at ON session_questions
+    FOR EACH ROW
+    WHEN (OLD.opened_at IS DISTINCT FROM NEW.opened_at
+          OR OLD.closed_at IS DISTINCT FROM NEW.closed_at)
+    EXECUTE FUNCTION notify_session_event();
+
+COMMENT ON FUNCTION notify_session_event() IS 'Sends attendance, response, open/close and presentation changes on the session_events channel for live pages';
@@ -0,0 +1,89 @@
+-- 54-add-response-windows.sql
+-- Response deadlines, edit windows and response history for session questions
+--   sessions.response_rules: optional { deadline, edits_allowed_until, late_submissions } JSONB
+--     (see src/utils/response-windows.js); the deadline defaults to attendance close
+--   session_responses.is_late: the first answer came in after the deadline
+--   session_response_history: append-only copy of every answer a student has given,
+--     written by trigger so no write path can skip it
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS response_rules JSONB;
+
+ALTER TABLE session_responses
+ADD COLUMN IF NOT EXISTS is_late BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN sessions.response_rules IS 'Response deadline, edit cutoff and late submission policy for session questions';
+COMMENT ON COLUMN session_responses.is_late IS 'First answered after the session response deadline';
+
+CREATE TABLE IF NOT EXISTS session_response_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    response_id UUID NOT NULL REFERENCES session_responses(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL,
+    question_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    version INTEGER NOT NULL,
+    response_text TEXT,
+    response_option TEXT,
+    response_values JSONB,
+    response_number NUMERIC,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (response_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_response_history_session ON session_response_history(session_id);
+
+COMMENT ON TABLE session_response_history IS 'Every answer given to a session question; version 1 is the original';
+
+-- Existing answers become their own original
+INSERT INTO session_response_history
+    (response_id, session_id, question_id, user_id, version,
+     response_text, response_option, response_values, response_number, recorded_at)
+SELECT id, session_id, question_id, user_id, 1,
+       response_text, response_option, response_values, response_number, COALESCE(submitted_at, NOW())
+FROM session_responses
+ON CONFLICT (response_id, version) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION record_session_response_history()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO session_response_history
+        (response_id, session_id, question_id, user_id, version,
+         response_text, response_option, response_values, response_number)
+    VALUES (
+        NEW.id, NEW.session_id, NEW.question_id, NEW.user_id,
+        COALESCE((SELECT MAX(version) FROM session_response_history WHERE response_id = NEW.id), 0) + 1,
+        NEW.response_text, NEW.response_option, NEW.response_values, NEW.response_number
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_session_response_history_insert ON session_responses;
+CREATE TRIGGER record_session_response_history_insert
+    AFTER INSERT ON session_responses
+    FOR EACH ROW
+    EXECUTE FUNCTION record_session_response_history();
+
+DROP TRIGGER IF EXISTS record_session_response_history_update ON session_responses;
+CREATE TRIGGER record_session_response_history_update
+    AFTER UPDATE OF response_text, response_option, response_values, response_number ON session_responses
+    FOR EACH ROW
+    WHEN (OLD.response_text IS DISTINCT FROM NEW.response_text
+          OR OLD.response_option IS DISTINCT FROM NEW.response_option
+          OR OLD.response_values IS DISTINCT FROM NEW.response_values
+          OR OLD.response_number IS DISTINCT FROM NEW.response_number)
+    EXECUTE FUNCTION record_session_response_history();
+
+-- History rows are never rewritten; they only go away with their response
+CREATE OR REPLACE FUNCTION prevent_session_response_history_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'session_response_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_session_response_history_update ON session_response_history;
+CREATE TRIGGER prevent_session_response_history_update
+    BEFORE UPDATE ON session_response_history
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_session_response_history_update();
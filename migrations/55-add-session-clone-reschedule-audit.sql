@@ -0,0 +1,32 @@
+-- 55-add-session-clone-reschedule-audit.sql
+-- Audit action types for copying a session and moving it to a new date
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'clone_session'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'clone_session';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'reschedule_session'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'reschedule_session';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
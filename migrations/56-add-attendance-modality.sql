@@ -0,0 +1,24 @@
+-- 56-add-attendance-modality.sql
+-- Hybrid and remote sessions
+--   attendance.modality: how the student attended (in_person, remote or recording); NULL for
+--     absences nobody checked in for. See src/utils/attendance-modality.js
+--   sessions.remote_join_url: optional link for joining remotely, shown to enrolled users only
+-- Whether remote and recording attendance count is set in attendance_rules
+-- (remote_counts_as_present, recording_counts_as_present).
+
+ALTER TABLE attendance
+ADD COLUMN IF NOT EXISTS modality TEXT
+    CHECK (modality IS NULL OR modality IN ('in_person', 'remote', 'recording'));
+
+COMMENT ON COLUMN attendance.modality IS 'How the student attended: in_person, remote or recording';
+
+-- Everyone who attended before now was in the room
+UPDATE attendance
+SET modality = 'in_person'
+WHERE modality IS NULL
+  AND status IN ('present', 'late');
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS remote_join_url TEXT;
+
+COMMENT ON COLUMN sessions.remote_join_url IS 'Link for joining the session remotely; only shown to enrolled users';
@@ -0,0 +1,24 @@
+-- 57-add-attendance-sheets.sql
+-- Paper sign-in sheets for when check-in is down
+--   attendance_sheet_codes: one verification code per student per session, printed next to
+--     their name; staff type the codes students wrote down back in to record attendance
+--   attendance.source: how a record was made (check_in, manual, import or paper); NULL for
+--     records made before this migration
+
+CREATE TABLE IF NOT EXISTS attendance_sheet_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (session_id, user_id),
+    UNIQUE (session_id, code)
+);
+
+COMMENT ON TABLE attendance_sheet_codes IS 'Per-student verification codes printed on a session''s paper sign-in sheet';
+
+ALTER TABLE attendance
+ADD COLUMN IF NOT EXISTS source TEXT
+    CHECK (source IS NULL OR source IN ('check_in', 'manual', 'import', 'paper'));
+
+COMMENT ON COLUMN attendance.source IS 'How the record was made: check_in, manual, import or paper';
@@ -0,0 +1,74 @@
+-- 58-create-team-formation.sql
+-- Team formation from student preferences
+--   team_formation_preferences: who each student wants to work with or avoid, their skills and
+--     timezone (weekly availability stays in users.availability_specific)
+--   team_formation_runs: a proposed split of the unassigned students into teams. Instructors
+--     adjust the proposal, then commit it, which creates the team and team_members rows
+--     (see src/utils/team-formation.js)
+
+CREATE TABLE IF NOT EXISTS team_formation_preferences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    preferred_teammate_ids UUID[] NOT NULL DEFAULT '{}',
+    avoided_teammate_ids UUID[] NOT NULL DEFAULT '{}',
+    skills TEXT[] NOT NULL DEFAULT '{}',
+    timezone TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (offering_id, user_id)
+);
+
+-- Own updated_at trigger: update_updated_at_column() also pins created_by, which preferences don't have
+CREATE OR REPLACE FUNCTION update_team_formation_preferences_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_team_formation_preferences_updated_at ON team_formation_preferences;
+CREATE TRIGGER update_team_formation_preferences_updated_at BEFORE UPDATE ON team_formation_preferences
+    FOR EACH ROW EXECUTE FUNCTION update_team_formation_preferences_updated_at();
+
+COMMENT ON TABLE team_formation_preferences IS 'Student teammate preferences, skills and timezone used to propose teams';
+
+CREATE TABLE IF NOT EXISTS team_formation_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'committed')),
+    options JSONB NOT NULL,
+    teams JSONB NOT NULL,
+    team_ids UUID[],
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    committed_by UUID REFERENCES users(id),
+    committed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_formation_runs_offering ON team_formation_runs(offering_id);
+
+DROP TRIGGER IF EXISTS update_team_formation_runs_updated_at ON team_formation_runs;
+CREATE TRIGGER update_team_formation_runs_updated_at BEFORE UPDATE ON team_formation_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE team_formation_runs IS 'Proposed team assignments; teams is [{ name, team_number, member_ids, leader_id }]';
+
+-- Audit action type for committing a proposal
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'form_teams'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'form_teams';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
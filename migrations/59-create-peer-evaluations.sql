@@ -0,0 +1,125 @@
+-- 59-create-peer-evaluations.sql
+-- Peer evaluation rounds for teams
+--   peer_evaluation_rounds: a survey window per offering with its rubric
+--     { "criteria": [{ "key", "label" }], "scale": { "min", "max" } }
+--   peer_evaluations: one row per evaluator and teammate rated (themselves included), with a
+--     score per rubric criterion. Contribution factors and outliers are computed on read
+--     (see src/utils/peer-evaluation.js)
+
+CREATE TABLE IF NOT EXISTS peer_evaluation_rounds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    instructions TEXT,
+    rubric JSONB NOT NULL,
+    opens_at TIMESTAMPTZ NOT NULL,
+    closes_at TIMESTAMPTZ NOT NULL,
+    created_by UUID REFERENCES users(id),
+    updated_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_peer_evaluation_rounds_offering ON peer_evaluation_rounds(offering_id);
+
+DROP TRIGGER IF EXISTS update_peer_evaluation_rounds_updated_at ON peer_evaluation_rounds;
+CREATE TRIGGER update_peer_evaluation_rounds_updated_at BEFORE UPDATE ON peer_evaluation_rounds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE peer_evaluation_rounds IS 'Peer evaluation survey windows with a rubric of criteria and a score scale';
+
+CREATE TABLE IF NOT EXISTS peer_evaluations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    round_id UUID NOT NULL REFERENCES peer_evaluation_rounds(id) ON DELETE CASCADE,
+    team_id UUID NOT NULL REFERENCES team(id) ON DELETE CASCADE,
+    evaluator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    evaluatee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scores JSONB NOT NULL,
+    comment TEXT,
+    submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (round_id, evaluator_id, evaluatee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_peer_evaluations_round_team ON peer_evaluations(round_id, team_id);
+
+COMMENT ON TABLE peer_evaluations IS 'Ratings one team member gave a teammate (or themselves); scores is { criterion_key: score }';
+
+-- Permissions: staff manage rounds and see identified results; tutors can view them.
+-- Students need no permission: they rate the teammates they share a team_members row with.
+DO $$
+DECLARE
+    scope_course CONSTANT TEXT := 'course';
+    resource_peer_evaluation CONSTANT TEXT := 'peer_evaluation';
+    role_instructor CONSTANT user_role_enum := 'instructor'::user_role_enum;
+    role_admin CONSTANT user_role_enum := 'admin'::user_role_enum;
+    role_ta_enroll CONSTANT enrollment_role_enum := 'ta'::enrollment_role_enum;
+    role_tutor_enroll CONSTANT enrollment_role_enum := 'tutor'::enrollment_role_enum;
+BEGIN
+WITH perms AS (
+  SELECT * FROM (VALUES
+    ('peer_evaluation.manage', resource_peer_evaluation, 'manage', scope_course, 'Create and schedule peer evaluation rounds'),
+    ('peer_evaluation.view', resource_peer_evaluation, 'view', scope_course, 'View identified peer evaluation results')
+  ) AS v(code, resource, action, scope, description)
+)
+INSERT INTO permissions (code, resource, action, scope, description)
+SELECT code, resource, action, scope, description
+FROM perms
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO user_role_permissions (user_role, permission_id)
+SELECT role_instructor, p.id
+FROM permissions p
+WHERE p.code LIKE 'peer_evaluation.%'
+ON CONFLICT (user_role, permission_id) DO NOTHING;
+
+INSERT INTO user_role_permissions (user_role, permission_id)
+SELECT role_admin, p.id
+FROM permissions p
+WHERE p.code LIKE 'peer_evaluation.%'
+ON CONFLICT (user_role, permission_id) DO NOTHING;
+
+INSERT INTO enrollment_role_permissions (enrollment_role, permission_id)
+SELECT role_ta_enroll, p.id
+FROM permissions p
+WHERE p.code LIKE 'peer_evaluation.%'
+ON CONFLICT (enrollment_role, permission_id) DO NOTHING;
+
+INSERT INTO enrollment_role_permissions (enrollment_role, permission_id)
+SELECT role_tutor_enroll, p.id
+FROM permissions p
+WHERE p.code = 'peer_evaluation.view'
+ON CONFLICT (enrollment_role, permission_id) DO NOTHING;
+END $$;
+
+-- Audit action types for creating and changing rounds
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'create_peer_evaluation_round'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'create_peer_evaluation_round';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'update_peer_evaluation_round'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'update_peer_evaluation_round';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
@@ -0,0 +1,123 @@
+-- 60-create-team-membership-ledger.sql
+-- Team membership history and transfer requests
+--   team_membership_events: append-only ledger of students joining, leaving and moving between
+--     teams. team_members keeps one row per (team, user), so re-adding someone overwrites their
+--     dates; the ledger keeps every change. Team names are copied so history survives a deleted team.
+--   team_transfer_requests: a student (or their team lead) asks staff to move them to another
+--     team. Approving one closes the old membership, opens the new one and writes a
+--     'transferred' event in one transaction.
+
+CREATE TABLE IF NOT EXISTS team_transfer_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    from_team_id UUID NOT NULL REFERENCES team(id) ON DELETE CASCADE,
+    to_team_id UUID NOT NULL REFERENCES team(id) ON DELETE CASCADE,
+    requested_by UUID NOT NULL REFERENCES users(id),
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+    reviewed_by UUID REFERENCES users(id),
+    review_note TEXT,
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (from_team_id <> to_team_id)
+);
+
+-- One open request per student per course
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_transfer_requests_pending
+    ON team_transfer_requests(offering_id, user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_team_transfer_requests_offering ON team_transfer_requests(offering_id, status);
+
+-- Own updated_at trigger: update_updated_at_column() also pins created_by, which requests don't have
+CREATE OR REPLACE FUNCTION update_team_transfer_requests_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_team_transfer_requests_updated_at ON team_transfer_requests;
+CREATE TRIGGER update_team_transfer_requests_updated_at BEFORE UPDATE ON team_transfer_requests
+    FOR EACH ROW EXECUTE FUNCTION update_team_transfer_requests_updated_at();
+
+COMMENT ON TABLE team_transfer_requests IS 'Requests to move a student between teams, reviewed by course staff';
+
+CREATE TABLE IF NOT EXISTS team_membership_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN ('joined', 'left', 'transferred')),
+    from_team_id UUID REFERENCES team(id) ON DELETE SET NULL,
+    from_team_name TEXT,
+    to_team_id UUID REFERENCES team(id) ON DELETE SET NULL,
+    to_team_name TEXT,
+    role team_member_role_enum,
+    reason TEXT,
+    transfer_request_id UUID REFERENCES team_transfer_requests(id) ON DELETE SET NULL,
+    performed_by UUID REFERENCES users(id),
+    approved_by UUID REFERENCES users(id),
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_membership_events_offering ON team_membership_events(offering_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_team_membership_events_user ON team_membership_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_team_membership_events_from_team ON team_membership_events(from_team_id);
+CREATE INDEX IF NOT EXISTS idx_team_membership_events_to_team ON team_membership_events(to_team_id);
+
+COMMENT ON TABLE team_membership_events IS 'Ledger of team joins, departures and transfers; from_team is the team left, to_team the team joined';
+
+-- Backfill from the memberships recorded so far
+INSERT INTO team_membership_events
+    (offering_id, user_id, event_type, to_team_id, to_team_name, role, performed_by, occurred_at)
+SELECT t.offering_id, tm.user_id, 'joined', t.id, t.name, tm.role, tm.added_by, COALESCE(tm.joined_at::timestamptz, t.created_at)
+FROM team_members tm
+JOIN team t ON tm.team_id = t.id
+WHERE NOT EXISTS (
+    SELECT 1 FROM team_membership_events e
+    WHERE e.user_id = tm.user_id AND e.to_team_id = tm.team_id AND e.event_type = 'joined'
+);
+
+INSERT INTO team_membership_events
+    (offering_id, user_id, event_type, from_team_id, from_team_name, role, performed_by, occurred_at)
+SELECT t.offering_id, tm.user_id, 'left', t.id, t.name, tm.role, tm.removed_by, tm.left_at::timestamptz
+FROM team_members tm
+JOIN team t ON tm.team_id = t.id
+WHERE tm.left_at IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM team_membership_events e
+    WHERE e.user_id = tm.user_id AND e.from_team_id = tm.team_id AND e.event_type = 'left'
+);
+
+-- Audit action types for transfer requests
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'request_team_transfer'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'request_team_transfer';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'review_team_transfer'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'review_team_transfer';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
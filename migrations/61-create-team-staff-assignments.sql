@@ -0,0 +1,38 @@
+-- 61-create-team-staff-assignments.sql
+-- Which TAs and tutors supervise which teams
+--   team_staff_assignments: one row per (team, staff member). A team can have several supervisors
+--     (typically one TA and one tutor) and a staff member several teams.
+-- PermissionService treats an assigned supervisor as holding their course-role permissions at
+-- team scope for the teams they supervise, so a team-scoped check passes for "my teams" only.
+
+CREATE TABLE IF NOT EXISTS team_staff_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    team_id UUID NOT NULL REFERENCES team(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assigned_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (team_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_staff_assignments_staff ON team_staff_assignments(offering_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_team_staff_assignments_team ON team_staff_assignments(team_id);
+
+COMMENT ON TABLE team_staff_assignments IS 'TAs and tutors assigned to supervise teams';
+
+-- Audit action type for assignment changes
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'assign_team_staff'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'assign_team_staff';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
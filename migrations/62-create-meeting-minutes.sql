@@ -0,0 +1,71 @@
+-- 62-create-meeting-minutes.sql
+-- Structured minutes for team meetings (sessions with a team_id)
+--   meeting_minutes: one row per team meeting with its agenda, notes and decisions.
+--   meeting_action_items: follow-ups raised at a meeting, each with an owner and due date.
+--     An item stays open until someone marks it done; completed_in_session_id records the
+--     meeting it was closed at. Open items from earlier meetings are carried into the next
+--     meeting's agenda when the minutes are read, so nothing needs copying.
+
+CREATE TABLE IF NOT EXISTS meeting_minutes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL UNIQUE REFERENCES sessions(id) ON DELETE CASCADE,
+    team_id UUID NOT NULL REFERENCES team(id) ON DELETE CASCADE,
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    agenda TEXT,
+    notes TEXT,
+    decisions TEXT,
+    created_by UUID REFERENCES users(id),
+    updated_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_minutes_team ON meeting_minutes(team_id);
+
+DROP TRIGGER IF EXISTS update_meeting_minutes_updated_at ON meeting_minutes;
+CREATE TRIGGER update_meeting_minutes_updated_at BEFORE UPDATE ON meeting_minutes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE meeting_minutes IS 'Agenda, notes and decisions recorded for a team meeting';
+
+CREATE TABLE IF NOT EXISTS meeting_action_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    team_id UUID NOT NULL REFERENCES team(id) ON DELETE CASCADE,
+    offering_id UUID NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    due_date DATE,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done')),
+    completed_at TIMESTAMPTZ,
+    completed_in_session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_action_items_team ON meeting_action_items(team_id, status);
+CREATE INDEX IF NOT EXISTS idx_meeting_action_items_session ON meeting_action_items(session_id);
+
+DROP TRIGGER IF EXISTS update_meeting_action_items_updated_at ON meeting_action_items;
+CREATE TRIGGER update_meeting_action_items_updated_at BEFORE UPDATE ON meeting_action_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE meeting_action_items IS 'Action items raised at team meetings, carried forward until done';
+
+-- Audit action type for minutes changes
+-- Note: ALTER TYPE ... ADD VALUE cannot be run inside a transaction block in older PostgreSQL
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_enum
+        WHERE enumlabel = 'record_meeting_minutes'
+        AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'activity_action_type_enum')
+    ) THEN
+        ALTER TYPE activity_action_type_enum ADD VALUE 'record_meeting_minutes';
+    END IF;
+EXCEPTION
+    WHEN OTHERS THEN
+        NULL;
+END $$;
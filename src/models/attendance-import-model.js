@@ -0,0 +1,331 @@
+import { pool } from '../db.js';
+
+const IMPORT_SELECT = `
+  SELECT i.id, i.session_id, i.source_filename, i.column_mapping, i.options,
+         i.plan, i.summary, i.status,
+         i.created_by, i.created_at,
+         i.committed_by, i.committed_at,
+         i.reverted_by, i.reverted_at,
+         s.title as session_title,
+         TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date,
+         s.offering_id,
+         s.team_id,
+         creator.name as created_by_name
+  FROM attendance_imports i
+  JOIN sessions s ON i.session_id = s.id
+  LEFT JOIN users creator ON i.created_by = creator.id
+`;
+
+/**
+ * AttendanceImportModel - Database operations for CSV attendance imports
+ */
+export class AttendanceImportModel {
+  /**
+   * Store a previewed import
+   * @param {Object} data - { session_id, source_filename, column_mapping, options, source_rows, plan, summary, created_by }
+   * @returns {Promise<Object>} Created import
+   */
+  static async create(data) {
+    const {
+      session_id,
+      source_filename = null,
+      column_mapping = {},
+      options = {},
+      source_rows = [],
+      plan = [],
+      summary = {},
+      created_by
+    } = data;
+
+    const { rows } = await pool.query(
+      `INSERT INTO attendance_imports
+       (session_id, source_filename, column_mapping, options, source_rows, plan, summary, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        session_id,
+        source_filename,
+        JSON.stringify(column_mapping),
+        JSON.stringify(options),
+        JSON.stringify(source_rows),
+        JSON.stringify(plan),
+        JSON.stringify(summary),
+        created_by
+      ]
+    );
+
+    return await this.findById(rows[0].id);
+  }
+
+  /**
+   * Find an import by ID (with session details, without the raw rows)
+   * @param {string} id - Import ID
+   * @returns {Promise<Object|null>} Import or null
+   */
+  static async findById(id) {
+    const result = await pool.query(`${IMPORT_SELECT} WHERE i.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the parsed CSV rows stored with an import
+   * @param {string} id - Import ID
+   * @returns {Promise<Array>} Rows from readImportCsv
+   */
+  static async getSourceRows(id) {
+    const result = await pool.query('SELECT source_rows FROM attendance_imports WHERE id = $1', [id]);
+    return result.rows[0]?.source_rows || [];
+  }
+
+  /**
+   * Find the imports for a session, newest first
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Imports without their plans
+   */
+  static async findBySessionId(sessionId) {
+    const result = await pool.query(
+      `SELECT i.id, i.session_id, i.source_filename, i.summary, i.status,
+              i.created_by, i.created_at, i.committed_at, i.reverted_at,
+              creator.name as created_by_name
+       FROM attendance_imports i
+       LEFT JOIN users creator ON i.created_by = creator.id
+       WHERE i.session_id = $1
+       ORDER BY i.created_at DESC`,
+      [sessionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get the people an import for this session can match:
+   * team members for team meetings, enrolled students and team leads for lectures
+   * @param {Object} session - Session with offering_id and team_id
+   * @returns {Promise<Array>} [{ id, name, email, ucsd_pid }]
+   */
+  static async findRoster(session) {
+    if (session.team_id) {
+      const { rows } = await pool.query(
+        `SELECT u.id, u.name, u.email, u.ucsd_pid
+         FROM team_members tm
+         JOIN users u ON tm.user_id = u.id
+         WHERE tm.team_id = $1 AND tm.left_at IS NULL
+         ORDER BY u.name ASC`,
+        [session.team_id]
+      );
+      return rows;
+    }
+
+    const { rows } = await pool.query(
+      `SELECT u.id, u.name, u.email, u.ucsd_pid
+       FROM enrollments e
+       JOIN users u ON e.user_id = u.id
+       WHERE e.offering_id = $1
+         AND e.status = 'enrolled'
+         AND (e.course_role = 'student' OR e.course_role = 'team-lead')
+       ORDER BY u.name ASC`,
+      [session.offering_id]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the current attendance status of everyone in a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} [{ user_id, status, checked_in_at }]
+   */
+  static async findSessionAttendance(sessionId) {
+    const { rows } = await pool.query(
+      'SELECT user_id, status, checked_in_at FROM attendance WHERE session_id = $1',
+      [sessionId]
+    );
+    return rows;
+  }
+
+  /**
+   * Apply a plan and record every change so the import can be reverted
+   * Runs in one transaction; only 'create' and 'update' entries touch attendance.
+   * @param {string} id - Import ID
+   * @param {Object} data - { plan, summary, committed_by }
+   * @returns {Promise<Object|null>} { changed } or null if the import was no longer previewed
+   */
+  static async commit(id, { plan, summary, committed_by }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `UPDATE attendance_imports
+         SET status = 'committed', plan = $2, summary = $3,
+             committed_by = $4, committed_at = NOW()
+         WHERE id = $1 AND status = 'previewed'
+         RETURNING session_id`,
+        [id, JSON.stringify(plan), JSON.stringify(summary), committed_by]
+      );
+
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const sessionId = rows[0].session_id;
+      let changed = 0;
+
+      for (const entry of plan) {
+        if (entry.action !== 'create' && entry.action !== 'update') continue;
+
+        const current = await client.query(
+          `SELECT status, checked_in_at FROM attendance
+           WHERE session_id = $1 AND user_id = $2
+           FOR UPDATE`,
+          [sessionId, entry.user_id]
+        );
+        const previous = current.rows[0] || null;
+        if (previous?.status === entry.new_status) continue;
+
+        const { rows: written } = await client.query(
+          `INSERT INTO attendance (session_id, user_id, status, checked_in_at, source)
+           VALUES ($1, $2, $3, COALESCE($4::timestamptz, NOW()), 'import')
+           ON CONFLICT (session_id, user_id)
+           DO UPDATE SET
+             status = EXCLUDED.status,
+             checked_in_at = COALESCE($4::timestamptz, attendance.checked_in_at),
+             source = EXCLUDED.source,
+             updated_at = NOW()
+           RETURNING checked_in_at`,
+          [sessionId, entry.user_id, entry.new_status, entry.checked_in_at]
+        );
+
+        await client.query(
+          `INSERT INTO attendance_import_changes
+           (import_id, user_id, action, previous_status, previous_checked_in_at, new_status, new_checked_in_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            id,
+            entry.user_id,
+            previous ? 'update' : 'create',
+            previous?.status || null,
+            previous?.checked_in_at || null,
+            entry.new_status,
+            written[0].checked_in_at
+          ]
+        );
+        changed++;
+      }
+
+      await client.query('COMMIT');
+      return { changed };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Undo every change a committed import made
+   * Created rows are deleted and updated rows get their previous status and check-in time.
+   * A row whose status no longer matches what the import wrote is a conflict; unless
+   * force is set, any conflict rolls the whole revert back.
+   * @param {string} id - Import ID
+   * @param {Object} data - { reverted_by, force }
+   * @returns {Promise<Object|null>} { reverted, conflicts }, or null if the import was not committed
+   */
+  static async revert(id, { reverted_by, force = false }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `UPDATE attendance_imports
+         SET status = 'reverted', reverted_by = $2, reverted_at = NOW()
+         WHERE id = $1 AND status = 'committed'
+         RETURNING session_id`,
+        [id, reverted_by]
+      );
+
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const sessionId = rows[0].session_id;
+      const { rows: changes } = await client.query(
+        `SELECT c.*, u.name as user_name
+         FROM attendance_import_changes c
+         JOIN users u ON c.user_id = u.id
+         WHERE c.import_id = $1`,
+        [id]
+      );
+
+      const conflicts = [];
+      for (const change of changes) {
+        const current = await client.query(
+          `SELECT status FROM attendance
+           WHERE session_id = $1 AND user_id = $2
+           FOR UPDATE`,
+          [sessionId, change.user_id]
+        );
+        const currentStatus = current.rows[0]?.status || null;
+        if (currentStatus !== change.new_status) {
+          conflicts.push({
+            user_id: change.user_id,
+            user_name: change.user_name,
+            imported_status: change.new_status,
+            current_status: currentStatus
+          });
+        }
+      }
+
+      if (conflicts.length > 0 && !force) {
+        await client.query('ROLLBACK');
+        return { reverted: 0, conflicts };
+      }
+
+      for (const change of changes) {
+        if (change.action === 'create') {
+          await client.query(
+            'DELETE FROM attendance WHERE session_id = $1 AND user_id = $2',
+            [sessionId, change.user_id]
+          );
+        } else {
+          await client.query(
+            `INSERT INTO attendance (session_id, user_id, status, checked_in_at)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (session_id, user_id)
+             DO UPDATE SET
+               status = EXCLUDED.status,
+               checked_in_at = EXCLUDED.checked_in_at,
+               updated_at = NOW()`,
+            [sessionId, change.user_id, change.previous_status, change.previous_checked_in_at]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+      return { reverted: changes.length, conflicts };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the attendance changes recorded for a committed import
+   * @param {string} id - Import ID
+   * @returns {Promise<Array>} Changes with student names
+   */
+  static async getChanges(id) {
+    const { rows } = await pool.query(
+      `SELECT c.*, u.name as user_name, u.email as user_email
+       FROM attendance_import_changes c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.import_id = $1
+       ORDER BY u.name ASC`,
+      [id]
+    );
+    return rows;
+  }
+}
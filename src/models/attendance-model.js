@@ -13,15 +13,28 @@ export class AttendanceModel {
       user_id,
       status,
       checked_in_at = new Date(),
-      access_code_used
+      access_code_used,
+      modality = null,
+      source = null,
+      checkin_ip = null,
+      checkin_latitude = null,
+      checkin_longitude = null,
+      checkin_accuracy_meters = null,
+      checkin_distance_meters = null,
+      is_flagged = false,
+      flag_reasons = []
     } = attendanceData;
 
     const result = await pool.query(
       `INSERT INTO attendance 
-       (session_id, user_id, status, checked_in_at, access_code_used)
-       VALUES ($1, $2, $3, $4, $5)
+       (session_id, user_id, status, checked_in_at, access_code_used, modality, source,
+        checkin_ip, checkin_latitude, checkin_longitude, checkin_accuracy_meters,
+        checkin_distance_meters, is_flagged, flag_reasons)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
        RETURNING *`,
-      [session_id, user_id, status, checked_in_at, access_code_used]
+      [session_id, user_id, status, checked_in_at, access_code_used, modality, source,
+       checkin_ip, checkin_latitude, checkin_longitude, checkin_accuracy_meters,
+       checkin_distance_meters, is_flagged, flag_reasons]
     );
 
     return result.rows[0];
@@ -36,21 +49,25 @@ export class AttendanceModel {
       user_id,
       status,
       checked_in_at = new Date(),
-      access_code_used
+      access_code_used,
+      modality = null,
+      source = null
     } = attendanceData;
 
     const result = await pool.query(
       `INSERT INTO attendance 
-       (session_id, user_id, status, checked_in_at, access_code_used)
-       VALUES ($1, $2, $3, $4, $5)
+       (session_id, user_id, status, checked_in_at, access_code_used, modality, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        ON CONFLICT (session_id, user_id)
        DO UPDATE SET
          status = EXCLUDED.status,
          checked_in_at = EXCLUDED.checked_in_at,
          access_code_used = EXCLUDED.access_code_used,
+         modality = EXCLUDED.modality,
+         source = EXCLUDED.source,
          updated_at = NOW()
        RETURNING *`,
-      [session_id, user_id, status, checked_in_at, access_code_used]
+      [session_id, user_id, status, checked_in_at, access_code_used, modality, source]
     );
 
     return result.rows[0];
@@ -189,11 +206,60 @@ export class AttendanceModel {
     return result.rows[0] || null;
   }
 
+  /**
+   * Get flagged check-ins for a session, unreviewed first
+   */
+  static async findFlaggedBySession(sessionId) {
+    const result = await pool.query(
+      `SELECT a.*,
+              u.name as user_name,
+              u.email as user_email,
+              u.ucsd_pid,
+              reviewer.name as flag_reviewed_by_name
+       FROM attendance a
+       LEFT JOIN users u ON a.user_id = u.id
+       LEFT JOIN users reviewer ON a.flag_reviewed_by = reviewer.id
+       WHERE a.session_id = $1 AND a.is_flagged = TRUE
+       ORDER BY (a.flag_review_status IS NOT NULL), a.checked_in_at DESC`,
+      [sessionId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Record the decision on a flagged check-in
+   * Only unreviewed flags are updated, so two reviewers can't both decide.
+   * @param {string} attendanceId - Attendance ID
+   * @param {Object} review - { review_status, reviewed_by, status? }
+   * @returns {Promise<Object|null>} Updated row, or null if it was already reviewed
+   */
+  static async reviewFlag(attendanceId, { review_status, reviewed_by, status = null }) {
+    const result = await pool.query(
+      `UPDATE attendance
+       SET flag_review_status = $2,
+           flag_reviewed_by = $3,
+           flag_reviewed_at = NOW(),
+           status = COALESCE($4::attendance_status_enum, status),
+           updated_at = NOW()
+       WHERE id = $1 AND is_flagged = TRUE AND flag_review_status IS NULL
+       RETURNING *`,
+      [attendanceId, review_status, reviewed_by, status]
+    );
+
+    return result.rows[0] || null;
+  }
+
   /**
    * Update attendance record
    */
   static async update(attendanceId, updates) {
-    const allowedFields = new Set(['status', 'checked_in_at', 'access_code_used']);
+    const allowedFields = new Set([
+      'status', 'checked_in_at', 'access_code_used', 'modality', 'source',
+      'checkin_ip', 'checkin_latitude', 'checkin_longitude', 'checkin_accuracy_meters',
+      'checkin_distance_meters', 'is_flagged', 'flag_reasons',
+      'flag_review_status', 'flag_reviewed_by', 'flag_reviewed_at'
+    ]);
 
     const setFields = [];
     const values = [];
@@ -238,6 +304,8 @@ export class AttendanceModel {
 
   /**
    * Get attendance statistics for a session
+   * Modality counts cover everyone who attended that way, including remote or recording
+   * attendance the course doesn't count (stored as absent).
    */
   static async getSessionStatistics(sessionId) {
     const result = await pool.query(
@@ -247,15 +315,18 @@ export class AttendanceModel {
          s.session_date,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'present')::INTEGER as present_count,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'absent')::INTEGER as absent_count,
-         0::INTEGER as late_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'late')::INTEGER as late_count,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'excused')::INTEGER as excused_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'in_person')::INTEGER as in_person_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'remote')::INTEGER as remote_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'recording')::INTEGER as recording_count,
          COUNT(DISTINCT a.user_id)::INTEGER as total_marked,
          (SELECT COUNT(*)::INTEGER FROM enrollments 
           WHERE offering_id = s.offering_id 
           AND status = 'enrolled' 
           AND (course_role = 'student' OR course_role = 'team-lead')) as total_enrolled,
          ROUND(
-           COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'present')::NUMERIC / 
+           COUNT(DISTINCT a.user_id) FILTER (WHERE a.status IN ('present', 'late'))::NUMERIC / 
            NULLIF((SELECT COUNT(*) FROM enrollments 
                    WHERE offering_id = s.offering_id 
                    AND status = 'enrolled' 
@@ -288,8 +359,11 @@ export class AttendanceModel {
          s.session_date,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'present')::INTEGER as present_count,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'absent')::INTEGER as absent_count,
-         0::INTEGER as late_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'late')::INTEGER as late_count,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'excused')::INTEGER as excused_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'in_person')::INTEGER as in_person_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'remote')::INTEGER as remote_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'recording')::INTEGER as recording_count,
          COUNT(DISTINCT a.user_id)::INTEGER as total_marked
        FROM sessions s
        LEFT JOIN attendance a ON s.id = a.session_id
@@ -318,9 +392,10 @@ export class AttendanceModel {
           COUNT(DISTINCT s.id)::INTEGER as total_lecture_sessions,
           COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'present')::INTEGER as lecture_sessions_present,
           COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'absent')::INTEGER as lecture_sessions_absent,
+          COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'late')::INTEGER as lecture_sessions_late,
           COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'excused')::INTEGER as lecture_sessions_excused,
           ROUND(
-            COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'present')::NUMERIC / 
+            COUNT(DISTINCT a.session_id) FILTER (WHERE a.status IN ('present', 'late'))::NUMERIC / 
             NULLIF(COUNT(DISTINCT s.id), 0) * 100,
             2
           )::FLOAT as lecture_percentage
@@ -336,7 +411,7 @@ export class AttendanceModel {
           COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'absent')::INTEGER as team_meeting_sessions_absent,
           COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'excused')::INTEGER as team_meeting_sessions_excused,
           ROUND(
-            COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'present')::NUMERIC / 
+            COUNT(DISTINCT a.session_id) FILTER (WHERE a.status IN ('present', 'late'))::NUMERIC / 
             NULLIF(COUNT(DISTINCT s.id), 0) * 100,
             2
           )::FLOAT as team_meeting_percentage
@@ -352,7 +427,7 @@ export class AttendanceModel {
         COALESCE(ls.total_lecture_sessions, 0) as total_sessions,
         COALESCE(ls.lecture_sessions_present, 0) as sessions_present,
         COALESCE(ls.lecture_sessions_absent, 0) as sessions_absent,
-        0::INTEGER as sessions_late,
+        COALESCE(ls.lecture_sessions_late, 0) as sessions_late,
         COALESCE(ls.lecture_sessions_excused, 0) as sessions_excused,
         COALESCE(ls.lecture_percentage, 0)::FLOAT as attendance_percentage,
         COALESCE(ls.lecture_percentage, 0)::FLOAT as lecture_percentage,
@@ -381,10 +456,13 @@ export class AttendanceModel {
          COUNT(DISTINCT s.id) as total_sessions,
          COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'present') as sessions_present,
          COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'absent') as sessions_absent,
-         0 as sessions_late,
+         COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'late') as sessions_late,
          COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'excused') as sessions_excused,
+         COUNT(DISTINCT a.session_id) FILTER (WHERE a.modality = 'in_person') as sessions_in_person,
+         COUNT(DISTINCT a.session_id) FILTER (WHERE a.modality = 'remote') as sessions_remote,
+         COUNT(DISTINCT a.session_id) FILTER (WHERE a.modality = 'recording') as sessions_recording,
          ROUND(
-           COUNT(DISTINCT a.session_id) FILTER (WHERE a.status = 'present')::NUMERIC / 
+           COUNT(DISTINCT a.session_id) FILTER (WHERE a.status IN ('present', 'late'))::NUMERIC / 
            NULLIF(COUNT(DISTINCT s.id), 0) * 100,
            2
          ) as attendance_percentage
@@ -404,6 +482,100 @@ export class AttendanceModel {
     return result.rows;
   }
 
+  /**
+   * Count each enrolled student's statuses over course-wide sessions where attendance was
+   * taken, counting a missing record in a closed session as absent (as the gradebook does)
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { since } first session_date to count (YYYY-MM-DD)
+   * @returns {Promise<Array>} [{ user_id, user_name, user_email, present, late, excused, absent }]
+   */
+  static async getStudentStatusCounts(offeringId, options = {}) {
+    const { since = null } = options;
+
+    const result = await pool.query(
+      `SELECT u.id as user_id,
+              u.name as user_name,
+              u.email as user_email,
+              COUNT(s.id) FILTER (WHERE a.status = 'present')::INTEGER as present,
+              COUNT(s.id) FILTER (WHERE a.status = 'late')::INTEGER as late,
+              COUNT(s.id) FILTER (WHERE a.status = 'excused')::INTEGER as excused,
+              COUNT(s.id) FILTER (
+                WHERE a.status = 'absent' OR (a.id IS NULL AND s.attendance_closed_at IS NOT NULL)
+              )::INTEGER as absent
+       FROM enrollments e
+       JOIN users u ON e.user_id = u.id
+       LEFT JOIN sessions s
+         ON s.offering_id = e.offering_id
+        AND s.team_id IS NULL
+        AND (s.attendance_opened_at IS NOT NULL
+             OR EXISTS (SELECT 1 FROM attendance x WHERE x.session_id = s.id))
+        AND ($2::date IS NULL OR s.session_date >= $2::date)
+       LEFT JOIN attendance a ON a.session_id = s.id AND a.user_id = u.id
+       WHERE e.offering_id = $1
+         AND e.status = 'enrolled'
+         AND (e.course_role = 'student' OR e.course_role = 'team-lead')
+       GROUP BY u.id
+       ORDER BY u.name ASC`,
+      [offeringId, since]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get the sessions, students and attendance records for the gradebook matrix
+   * Only course-wide sessions where attendance was taken are included.
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { from, to } session_date bounds (YYYY-MM-DD, inclusive)
+   * @returns {Promise<{ sessions: Array, students: Array, records: Array }>}
+   */
+  static async getGradebookData(offeringId, options = {}) {
+    const { from = null, to = null } = options;
+
+    const sessionsResult = await pool.query(
+      `SELECT s.id, s.title,
+              TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date,
+              TO_CHAR(s.session_time, 'HH24:MI') as session_time,
+              s.starts_at, s.attendance_opened_at, s.attendance_closed_at
+       FROM sessions s
+       WHERE s.offering_id = $1
+         AND s.team_id IS NULL
+         AND (s.attendance_opened_at IS NOT NULL
+              OR EXISTS (SELECT 1 FROM attendance a WHERE a.session_id = s.id))
+         AND ($2::date IS NULL OR s.session_date >= $2::date)
+         AND ($3::date IS NULL OR s.session_date <= $3::date)
+       ORDER BY s.session_date ASC, s.session_time ASC NULLS LAST, s.created_at ASC`,
+      [offeringId, from, to]
+    );
+
+    const studentsResult = await pool.query(
+      `SELECT u.id, u.name, u.email, u.ucsd_pid
+       FROM enrollments e
+       JOIN users u ON e.user_id = u.id
+       WHERE e.offering_id = $1
+         AND e.status = 'enrolled'
+         AND (e.course_role = 'student' OR e.course_role = 'team-lead')
+       ORDER BY u.name ASC`,
+      [offeringId]
+    );
+
+    const sessionIds = sessionsResult.rows.map(s => s.id);
+    const recordsResult = sessionIds.length === 0
+      ? { rows: [] }
+      : await pool.query(
+        `SELECT session_id, user_id, status, modality
+         FROM attendance
+         WHERE session_id = ANY($1::uuid[])`,
+        [sessionIds]
+      );
+
+    return {
+      sessions: sessionsResult.rows,
+      students: studentsResult.rows,
+      records: recordsResult.rows
+    };
+  }
+
   /**
    * Mark absent students for a session
    */
@@ -426,4 +598,34 @@ export class AttendanceModel {
 
     return result.rows;
   }
+
+  /**
+   * Re-apply check-in timing rules to self check-ins for a session
+   * Only rows created through a check-in (access_code_used set) are touched,
+   * so manual marks by staff are never overridden.
+   * @param {string} sessionId - Session ID
+   * @param {Date|null} presentCutoff - Check-ins after this are late (null = no present window)
+   * @param {Date|null} lateCutoff - Check-ins after this are absent (null = no cut-off)
+   */
+  static async applyTimingRules(sessionId, presentCutoff, lateCutoff) {
+    const result = await pool.query(
+      `UPDATE attendance
+       SET status = CASE
+             WHEN $3::TIMESTAMPTZ IS NOT NULL AND checked_in_at > $3::TIMESTAMPTZ
+               THEN 'absent'::attendance_status_enum
+             WHEN $2::TIMESTAMPTZ IS NOT NULL AND checked_in_at > $2::TIMESTAMPTZ
+               THEN 'late'::attendance_status_enum
+             ELSE 'present'::attendance_status_enum
+           END,
+           updated_at = NOW()
+       WHERE session_id = $1
+         AND access_code_used IS NOT NULL
+         AND checked_in_at IS NOT NULL
+         AND status IN ('present', 'late')
+       RETURNING *`,
+      [sessionId, presentCutoff, lateCutoff]
+    );
+
+    return result.rows;
+  }
 }
@@ -0,0 +1,263 @@
+import { pool } from '../db.js';
+
+const FLAG_SELECT = `
+  SELECT f.*,
+         p.name as policy_name,
+         p.metric,
+         p.threshold,
+         p.window_days,
+         u.name as user_name,
+         u.email as user_email,
+         acknowledger.name as acknowledged_by_name
+  FROM attendance_risk_flags f
+  JOIN attendance_policies p ON f.policy_id = p.id
+  JOIN users u ON f.user_id = u.id
+  LEFT JOIN users acknowledger ON f.acknowledged_by = acknowledger.id
+`;
+
+/**
+ * AttendancePolicyModel - Database operations for attendance policies and at-risk flags
+ */
+export class AttendancePolicyModel {
+  /**
+   * Find the policies for an offering
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { activeOnly }
+   * @returns {Promise<Array>} Policies, oldest first
+   */
+  static async findByOfferingId(offeringId, { activeOnly = false } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM attendance_policies
+       WHERE offering_id = $1
+         AND ($2::boolean = FALSE OR is_active = TRUE)
+       ORDER BY created_at ASC`,
+      [offeringId, activeOnly]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find a policy by ID
+   */
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM attendance_policies WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a policy
+   * @param {Object} data - { offering_id, name, metric, threshold, window_days, is_active, created_by }
+   * @returns {Promise<Object>} Created policy
+   */
+  static async create(data) {
+    const { offering_id, name, metric, threshold, window_days = null, is_active = true, created_by } = data;
+
+    const result = await pool.query(
+      `INSERT INTO attendance_policies
+       (offering_id, name, metric, threshold, window_days, is_active, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+       RETURNING *`,
+      [offering_id, name, metric, threshold, window_days, is_active, created_by]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Replace a policy's rule
+   * @param {string} id - Policy ID
+   * @param {Object} data - { name, metric, threshold, window_days, is_active, updated_by }
+   * @returns {Promise<Object|null>} Updated policy
+   */
+  static async update(id, data) {
+    const { name, metric, threshold, window_days = null, is_active, updated_by } = data;
+
+    const result = await pool.query(
+      `UPDATE attendance_policies
+       SET name = $2, metric = $3, threshold = $4, window_days = $5,
+           is_active = $6, updated_by = $7
+       WHERE id = $1
+       RETURNING *`,
+      [id, name, metric, threshold, window_days, is_active, updated_by]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the unresolved flags raised by a policy
+   * @param {string} policyId - Policy ID
+   * @returns {Promise<Array>} Open and acknowledged flags
+   */
+  static async findUnresolvedFlags(policyId) {
+    const result = await pool.query(
+      `SELECT * FROM attendance_risk_flags
+       WHERE policy_id = $1 AND status <> 'resolved'`,
+      [policyId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Apply one evaluation of a policy in a single transaction
+   * @param {Object} policy - Policy (id, offering_id)
+   * @param {Object} changes
+   * @param {Array<{ user_id, value }>} changes.raise - Students who newly break the policy
+   * @param {Array<{ flag_id, value }>} changes.refresh - Unresolved flags whose value changed
+   * @param {Array<{ flag_id, value }>} changes.resolve - Flags whose student is back within the policy
+   * @param {string|null} [changes.note] - Note recorded on the resolve events
+   * @returns {Promise<{ raised: number, resolved: number }>}
+   */
+  static async syncFlags(policy, { raise = [], refresh = [], resolve = [], note = null }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      let raised = 0;
+      for (const { user_id, value } of raise) {
+        const { rows } = await client.query(
+          `INSERT INTO attendance_risk_flags (policy_id, offering_id, user_id, metric_value)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (policy_id, user_id) WHERE status <> 'resolved' DO NOTHING
+           RETURNING id`,
+          [policy.id, policy.offering_id, user_id, value]
+        );
+        if (rows.length === 0) continue;
+        await client.query(
+          `INSERT INTO attendance_risk_flag_events (flag_id, action, metric_value)
+           VALUES ($1, 'raised', $2)`,
+          [rows[0].id, value]
+        );
+        raised++;
+      }
+
+      for (const { flag_id, value } of refresh) {
+        await client.query(
+          `UPDATE attendance_risk_flags SET metric_value = $2, updated_at = NOW()
+           WHERE id = $1 AND status <> 'resolved'`,
+          [flag_id, value]
+        );
+      }
+
+      let resolved = 0;
+      for (const { flag_id, value } of resolve) {
+        const { rows } = await client.query(
+          `UPDATE attendance_risk_flags
+           SET status = 'resolved', resolved_at = NOW(), metric_value = $2, updated_at = NOW()
+           WHERE id = $1 AND status <> 'resolved'
+           RETURNING id`,
+          [flag_id, value]
+        );
+        if (rows.length === 0) continue;
+        await client.query(
+          `INSERT INTO attendance_risk_flag_events (flag_id, action, metric_value, note)
+           VALUES ($1, 'resolved', $2, $3)`,
+          [flag_id, value, note]
+        );
+        resolved++;
+      }
+
+      await client.query('COMMIT');
+      return { raised, resolved };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the unresolved flags for an offering (the at-risk list)
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { user_ids } limit to these students
+   * @returns {Promise<Array>} Flags with policy, student and acknowledger details
+   */
+  static async findAtRiskFlags(offeringId, { user_ids = null } = {}) {
+    const result = await pool.query(
+      `${FLAG_SELECT}
+       WHERE f.offering_id = $1
+         AND f.status <> 'resolved'
+         AND p.is_active = TRUE
+         AND ($2::uuid[] IS NULL OR f.user_id = ANY($2::uuid[]))
+       ORDER BY u.name ASC, f.raised_at ASC`,
+      [offeringId, user_ids]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get every flag a student has had in an offering, newest first
+   */
+  static async findFlagsByUser(offeringId, userId) {
+    const result = await pool.query(
+      `${FLAG_SELECT}
+       WHERE f.offering_id = $1 AND f.user_id = $2
+       ORDER BY f.raised_at DESC`,
+      [offeringId, userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find a flag by ID (with policy and student details)
+   */
+  static async findFlagById(id) {
+    const result = await pool.query(`${FLAG_SELECT} WHERE f.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Acknowledge an open flag and record the history event
+   * @param {string} id - Flag ID
+   * @param {Object} data - { actor_id, note }
+   * @returns {Promise<Object|null>} Updated flag, or null if it was no longer open
+   */
+  static async acknowledgeFlag(id, { actor_id, note = null }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `UPDATE attendance_risk_flags
+         SET status = 'acknowledged', acknowledged_by = $2, acknowledged_at = NOW(),
+             acknowledgement_note = $3, updated_at = NOW()
+         WHERE id = $1 AND status = 'open'
+         RETURNING *`,
+        [id, actor_id, note]
+      );
+
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO attendance_risk_flag_events (flag_id, action, actor_id, metric_value, note)
+         VALUES ($1, 'acknowledged', $2, $3, $4)`,
+        [id, actor_id, rows[0].metric_value, note]
+      );
+
+      await client.query('COMMIT');
+      return rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the history of a flag, oldest first
+   */
+  static async getFlagHistory(flagId) {
+    const result = await pool.query(
+      `SELECT ev.*, actor.name as actor_name
+       FROM attendance_risk_flag_events ev
+       LEFT JOIN users actor ON ev.actor_id = actor.id
+       WHERE ev.flag_id = $1
+       ORDER BY ev.created_at ASC`,
+      [flagId]
+    );
+    return result.rows;
+  }
+}
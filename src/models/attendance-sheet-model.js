@@ -0,0 +1,50 @@
+import { pool } from '../db.js';
+
+/**
+ * AttendanceSheetModel - Database operations for paper sign-in sheet codes
+ */
+export class AttendanceSheetModel {
+  /**
+   * Get a session's sheet: every enrolled student with their code, if one has been issued
+   * @param {string} sessionId - Session UUID
+   * @param {string} offeringId - The session's course offering UUID
+   * @returns {Promise<Object[]>} { user_id, name, email, ucsd_pid, code, attendance_status } ordered by name
+   */
+  static async findEntries(sessionId, offeringId) {
+    const { rows } = await pool.query(
+      `SELECT u.id as user_id, u.name, u.email, u.ucsd_pid,
+              c.code,
+              a.status as attendance_status
+       FROM enrollments e
+       JOIN users u ON e.user_id = u.id
+       LEFT JOIN attendance_sheet_codes c ON c.session_id = $1 AND c.user_id = u.id
+       LEFT JOIN attendance a ON a.session_id = $1 AND a.user_id = u.id
+       WHERE e.offering_id = $2
+         AND e.status = 'enrolled'
+         AND (e.course_role = 'student' OR e.course_role = 'team-lead')
+       ORDER BY u.name NULLS LAST, u.email`,
+      [sessionId, offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Issue codes for students who don't have one yet
+   * Students who already have a code keep it, so a sheet printed twice reads the same.
+   * @param {string} sessionId - Session UUID
+   * @param {Object[]} codes - { user_id, code }
+   * @returns {Promise<number>} Number of codes issued
+   */
+  static async addCodes(sessionId, codes) {
+    if (codes.length === 0) return 0;
+
+    const { rowCount } = await pool.query(
+      `INSERT INTO attendance_sheet_codes (session_id, user_id, code)
+       SELECT $1, entry.user_id, entry.code
+       FROM unnest($2::uuid[], $3::text[]) AS entry(user_id, code)
+       ON CONFLICT (session_id, user_id) DO NOTHING`,
+      [sessionId, codes.map((entry) => entry.user_id), codes.map((entry) => entry.code)]
+    );
+    return rowCount;
+  }
+}
@@ -1,5 +1,6 @@
 import validator from 'validator';
 import { pool } from '../db.js';
+import { isValidTimeZone } from '../utils/timezone.js';
 
 // Valid status values for course offerings
 const STATUSES = ['open', 'closed', 'completed'];
@@ -79,6 +80,11 @@ export class CourseOfferingModel {
       }
     }
 
+    // Timezone validation (IANA name, e.g. America/Los_Angeles)
+    if (data.timezone !== undefined && data.timezone !== null && !isValidTimeZone(data.timezone)) {
+      errors.push('Invalid timezone. Must be an IANA timezone such as America/Los_Angeles');
+    }
+
     // URL validation
     if (data.syllabus_url && !validator.isURL(String(data.syllabus_url))) {
       errors.push('Invalid syllabus_url');
@@ -112,7 +118,8 @@ export class CourseOfferingModel {
         syllabus_url,
         is_active,
         created_by,
-        updated_by
+        updated_by,
+        timezone
       )
       VALUES (
         $1,
@@ -131,7 +138,8 @@ export class CourseOfferingModel {
         $14,
         COALESCE($15, true),
         $16::uuid,
-        $17::uuid
+        $17::uuid,
+        COALESCE($18, 'America/Los_Angeles')
       )
       RETURNING
         id,
@@ -148,6 +156,7 @@ export class CourseOfferingModel {
         status,
         location,
         class_timings,
+        timezone,
         syllabus_url,
         is_active,
         created_at,
@@ -174,6 +183,7 @@ export class CourseOfferingModel {
       data.is_active ?? true,
       data.created_by ?? null,
       data.updated_by ?? null,
+      data.timezone ?? null,
     ]);
 
     return rows[0];
@@ -200,6 +210,7 @@ export class CourseOfferingModel {
         status,
         location,
         class_timings,
+        timezone,
         syllabus_url,
         is_active,
         created_at,
@@ -275,6 +286,7 @@ export class CourseOfferingModel {
         status,
         location,
         class_timings,
+        timezone,
         syllabus_url,
         is_active,
         created_at,
@@ -315,6 +327,7 @@ export class CourseOfferingModel {
         status,
         location,
         class_timings,
+        timezone,
         syllabus_url,
         is_active,
         created_at,
@@ -419,6 +432,11 @@ export class CourseOfferingModel {
       params.push(merged.class_timings);
     }
 
+    if (merged.timezone !== undefined && merged.timezone !== null) {
+      setClauses.push(`timezone = $${paramIndex++}`);
+      params.push(merged.timezone);
+    }
+
     if (merged.syllabus_url !== undefined) {
       setClauses.push(`syllabus_url = $${paramIndex++}`);
       params.push(merged.syllabus_url);
@@ -457,6 +475,7 @@ export class CourseOfferingModel {
         status,
         location,
         class_timings,
+        timezone,
         syllabus_url,
         is_active,
         created_at,
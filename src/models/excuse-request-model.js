@@ -0,0 +1,240 @@
+import { pool } from '../db.js';
+
+const REQUEST_SELECT = `
+  SELECT r.*,
+         s.title as session_title,
+         TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date,
+         TO_CHAR(s.session_time, 'HH24:MI:SS') as session_time,
+         s.offering_id,
+         u.name as user_name,
+         u.email as user_email,
+         reviewer.name as reviewer_name
+  FROM attendance_excuse_requests r
+  JOIN sessions s ON r.session_id = s.id
+  JOIN users u ON r.user_id = u.id
+  LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+`;
+
+/**
+ * ExcuseRequestModel - Database operations for excused-absence requests
+ */
+export class ExcuseRequestModel {
+  /**
+   * Create a new pending excuse request and its 'submitted' history event
+   * @param {Object} data - { session_id, user_id, reason, attachment_path?, attachment_name?, attachment_mime_type? }
+   * @returns {Promise<Object>} Created request
+   */
+  static async create(data) {
+    const {
+      session_id,
+      user_id,
+      reason,
+      attachment_path = null,
+      attachment_name = null,
+      attachment_mime_type = null
+    } = data;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `INSERT INTO attendance_excuse_requests
+         (session_id, user_id, reason, attachment_path, attachment_name, attachment_mime_type)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [session_id, user_id, reason, attachment_path, attachment_name, attachment_mime_type]
+      );
+
+      await client.query(
+        `INSERT INTO attendance_excuse_request_events (request_id, action, actor_id)
+         VALUES ($1, 'submitted', $2)`,
+        [rows[0].id, user_id]
+      );
+
+      await client.query('COMMIT');
+      return rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find an excuse request by ID (with session and user details)
+   * @param {string} id - Request ID
+   * @returns {Promise<Object|null>} Request or null
+   */
+  static async findById(id) {
+    const result = await pool.query(`${REQUEST_SELECT} WHERE r.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the open (pending) request for a student in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Object|null>} Pending request or null
+   */
+  static async findPendingBySessionAndUser(sessionId, userId) {
+    const result = await pool.query(
+      `SELECT * FROM attendance_excuse_requests
+       WHERE session_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [sessionId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find all requests submitted by a student
+   * @param {string} userId - Student user ID
+   * @param {Object} options - { offering_id?, status? }
+   * @returns {Promise<Array>} Requests, newest first
+   */
+  static async findByUserId(userId, options = {}) {
+    const conditions = ['r.user_id = $1'];
+    const params = [userId];
+
+    if (options.offering_id) {
+      params.push(options.offering_id);
+      conditions.push(`s.offering_id = $${params.length}`);
+    }
+    if (options.status) {
+      params.push(options.status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `${REQUEST_SELECT}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY r.created_at DESC`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find requests for a course offering (the staff review queue)
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} options - { status?, session_id?, limit, offset }
+   * @returns {Promise<Array>} Requests, oldest pending first
+   */
+  static async findByOfferingId(offeringId, options = {}) {
+    const { status, session_id, limit = 100, offset = 0 } = options;
+    const conditions = ['s.offering_id = $1'];
+    const params = [offeringId];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+    if (session_id) {
+      params.push(session_id);
+      conditions.push(`r.session_id = $${params.length}`);
+    }
+
+    params.push(limit, offset);
+
+    const result = await pool.query(
+      `${REQUEST_SELECT}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY r.created_at ASC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Move a pending request to a closed status and record the history event
+   * The attendance row update (for approvals) runs in the same transaction.
+   * @param {string} id - Request ID
+   * @param {Object} data - { status, actor_id, note? }
+   * @returns {Promise<Object|null>} Updated request, or null if it was no longer pending
+   */
+  static async resolve(id, { status, actor_id, note = null }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const isReview = status === 'approved' || status === 'denied';
+      const { rows } = await client.query(
+        `UPDATE attendance_excuse_requests
+         SET status = $2,
+             reviewed_by = CASE WHEN $4 THEN $3::uuid ELSE reviewed_by END,
+             reviewed_at = CASE WHEN $4 THEN NOW() ELSE reviewed_at END,
+             review_note = CASE WHEN $4 THEN $5 ELSE review_note END,
+             updated_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [id, status, actor_id, isReview, note]
+      );
+
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const request = rows[0];
+
+      if (status === 'approved') {
+        await client.query(
+          `INSERT INTO attendance (session_id, user_id, status)
+           VALUES ($1, $2, 'excused')
+           ON CONFLICT (session_id, user_id)
+           DO UPDATE SET status = 'excused', updated_at = NOW()`,
+          [request.session_id, request.user_id]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO attendance_excuse_request_events (request_id, action, actor_id, note)
+         VALUES ($1, $2, $3, $4)`,
+        [id, status, actor_id, note]
+      );
+
+      await client.query('COMMIT');
+      return request;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the history events for a request
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  static async getHistory(requestId) {
+    const result = await pool.query(
+      `SELECT e.*, u.name as actor_name
+       FROM attendance_excuse_request_events e
+       LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.request_id = $1
+       ORDER BY e.created_at ASC`,
+      [requestId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count pending requests for a course offering
+   * @param {string} offeringId - Course offering ID
+   * @returns {Promise<number>} Pending count
+   */
+  static async countPending(offeringId) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int as count
+       FROM attendance_excuse_requests r
+       JOIN sessions s ON r.session_id = s.id
+       WHERE s.offering_id = $1 AND r.status = 'pending'`,
+      [offeringId]
+    );
+    return result.rows[0].count;
+  }
+}
@@ -0,0 +1,208 @@
+import { pool } from '../db.js';
+
+const MINUTES_SELECT = `
+  SELECT m.id, m.session_id, m.team_id, m.offering_id, m.agenda, m.notes, m.decisions,
+         m.created_by, m.updated_by, updater.name as updated_by_name, m.created_at, m.updated_at,
+         s.title as session_title, to_char(s.session_date, 'YYYY-MM-DD') as session_date, s.session_time
+  FROM meeting_minutes m
+  JOIN sessions s ON m.session_id = s.id
+  LEFT JOIN users updater ON m.updated_by = updater.id
+`;
+
+const ACTION_ITEM_SELECT = `
+  SELECT ai.id, ai.session_id, ai.team_id, ai.description, ai.owner_id, owner.name as owner_name,
+         to_char(ai.due_date, 'YYYY-MM-DD') as due_date, ai.status, ai.completed_at,
+         ai.completed_in_session_id, ai.created_at,
+         origin.title as origin_session_title,
+         to_char(origin.session_date, 'YYYY-MM-DD') as origin_session_date, origin.session_time as origin_session_time,
+         to_char(completed.session_date, 'YYYY-MM-DD') as completed_session_date,
+         completed.session_time as completed_session_time
+  FROM meeting_action_items ai
+  JOIN sessions origin ON ai.session_id = origin.id
+  LEFT JOIN sessions completed ON ai.completed_in_session_id = completed.id
+  LEFT JOIN users owner ON ai.owner_id = owner.id
+`;
+
+/**
+ * MeetingMinutesModel - Database operations for team meeting minutes and action items
+ */
+export class MeetingMinutesModel {
+  /**
+   * Get a session with the fields minutes need
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<Object|null>} { id, offering_id, team_id, title, session_date, session_time }
+   */
+  static async findSession(sessionId) {
+    const { rows } = await pool.query(
+      `SELECT id, offering_id, team_id, title, to_char(session_date, 'YYYY-MM-DD') as session_date, session_time
+       FROM sessions
+       WHERE id = $1`,
+      [sessionId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Get a team's current members
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Object[]>} [{ user_id, name, email, role }]
+   */
+  static async findTeamMembers(teamId) {
+    const { rows } = await pool.query(
+      `SELECT tm.user_id, u.name, u.email, tm.role
+       FROM team_members tm
+       JOIN users u ON tm.user_id = u.id
+       WHERE tm.team_id = $1 AND tm.left_at IS NULL
+       ORDER BY u.name`,
+      [teamId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get a team's offering
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Object|null>} { id, name, offering_id }
+   */
+  static async findTeam(teamId) {
+    const { rows } = await pool.query('SELECT id, name, offering_id FROM team WHERE id = $1', [teamId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get the minutes of one meeting
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findBySession(sessionId) {
+    const { rows } = await pool.query(`${MINUTES_SELECT} WHERE m.session_id = $1`, [sessionId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get every meeting's minutes for a team, earliest meeting first
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Object[]>}
+   */
+  static async findByTeam(teamId) {
+    const { rows } = await pool.query(
+      `${MINUTES_SELECT} WHERE m.team_id = $1 ORDER BY s.session_date, s.session_time NULLS FIRST`,
+      [teamId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get a team's action items with the meetings they were raised and closed at
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Object[]>} Oldest first
+   */
+  static async findActionItems(teamId) {
+    const { rows } = await pool.query(
+      `${ACTION_ITEM_SELECT}
+       WHERE ai.team_id = $1
+       ORDER BY origin.session_date, origin.session_time NULLS FIRST, ai.created_at`,
+      [teamId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get one action item
+   * @param {string} itemId - Action item UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findActionItemById(itemId) {
+    const { rows } = await pool.query(`${ACTION_ITEM_SELECT} WHERE ai.id = $1`, [itemId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Save a meeting's minutes and the action items raised at it
+   * Items already saved for the meeting but missing from `items` are deleted. An item marked
+   * done here is recorded as closed at this meeting.
+   * @param {Object} session - { id, team_id, offering_id }
+   * @param {Object} minutes - { agenda, notes, decisions }
+   * @param {Object[]} items - [{ id?, description, owner_id, due_date, status }]
+   * @param {string} userId - Acting user UUID
+   * @returns {Promise<void>}
+   */
+  static async saveForSession(session, minutes, items, userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO meeting_minutes (session_id, team_id, offering_id, agenda, notes, decisions, created_by, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+         ON CONFLICT (session_id) DO UPDATE
+         SET agenda = EXCLUDED.agenda,
+             notes = EXCLUDED.notes,
+             decisions = EXCLUDED.decisions,
+             updated_by = EXCLUDED.updated_by`,
+        [session.id, session.team_id, session.offering_id, minutes.agenda, minutes.notes, minutes.decisions, userId]
+      );
+
+      const keptIds = items.filter((item) => item.id).map((item) => item.id);
+      await client.query(
+        'DELETE FROM meeting_action_items WHERE session_id = $1 AND NOT (id = ANY($2::UUID[]))',
+        [session.id, keptIds]
+      );
+
+      for (const item of items) {
+        if (item.id) {
+          const { rowCount } = await client.query(
+            `UPDATE meeting_action_items
+             SET description = $3,
+                 owner_id = $4,
+                 due_date = $5,
+                 completed_at = CASE WHEN $6 = 'done' THEN COALESCE(completed_at, NOW()) END,
+                 completed_in_session_id = CASE WHEN $6 = 'done' THEN COALESCE(completed_in_session_id, $2) END,
+                 status = $6
+             WHERE id = $1 AND session_id = $2`,
+            [item.id, session.id, item.description, item.owner_id, item.due_date, item.status]
+          );
+          if (rowCount === 0) {
+            throw new Error('Action item not found');
+          }
+        } else {
+          await client.query(
+            `INSERT INTO meeting_action_items
+               (session_id, team_id, offering_id, description, owner_id, due_date, status,
+                completed_at, completed_in_session_id, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7,
+                     CASE WHEN $7 = 'done' THEN NOW() END,
+                     CASE WHEN $7 = 'done' THEN $1::UUID END,
+                     $8)`,
+            [session.id, session.team_id, session.offering_id, item.description, item.owner_id, item.due_date, item.status, userId]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark an action item done or reopen it
+   * @param {string} itemId - Action item UUID
+   * @param {string} status - 'open' or 'done'
+   * @param {string|null} sessionId - Meeting it was closed at, if any
+   * @returns {Promise<void>}
+   */
+  static async setActionItemStatus(itemId, status, sessionId) {
+    await pool.query(
+      `UPDATE meeting_action_items
+       SET status = $2,
+           completed_at = CASE WHEN $2 = 'done' THEN NOW() END,
+           completed_in_session_id = CASE WHEN $2 = 'done' THEN $3::UUID END
+       WHERE id = $1`,
+      [itemId, status, sessionId]
+    );
+  }
+}
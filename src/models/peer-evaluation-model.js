@@ -0,0 +1,199 @@
+import { pool } from '../db.js';
+
+const ROUND_SELECT = `
+  SELECT r.id, r.offering_id, r.title, r.instructions, r.rubric, r.opens_at, r.closes_at,
+         r.created_by, r.updated_by, r.created_at, r.updated_at
+  FROM peer_evaluation_rounds r
+`;
+
+/**
+ * PeerEvaluationModel - Database operations for peer evaluation rounds and ratings
+ */
+export class PeerEvaluationModel {
+  /**
+   * Create a round
+   * @param {Object} data - { offering_id, title, instructions, rubric, opens_at, closes_at, created_by }
+   * @returns {Promise<Object>} Created round
+   */
+  static async createRound(data) {
+    const { rows } = await pool.query(
+      `INSERT INTO peer_evaluation_rounds
+       (offering_id, title, instructions, rubric, opens_at, closes_at, created_by, updated_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $7)
+       RETURNING *`,
+      [
+        data.offering_id,
+        data.title,
+        data.instructions,
+        JSON.stringify(data.rubric),
+        data.opens_at,
+        data.closes_at,
+        data.created_by
+      ]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Update a round's title, instructions, rubric and window
+   * @param {string} roundId - Round UUID
+   * @param {Object} data - { title, instructions, rubric, opens_at, closes_at, updated_by }
+   * @returns {Promise<Object|null>} Updated round
+   */
+  static async updateRound(roundId, data) {
+    const { rows } = await pool.query(
+      `UPDATE peer_evaluation_rounds
+       SET title = $2, instructions = $3, rubric = $4::jsonb, opens_at = $5, closes_at = $6, updated_by = $7
+       WHERE id = $1
+       RETURNING *`,
+      [
+        roundId,
+        data.title,
+        data.instructions,
+        JSON.stringify(data.rubric),
+        data.opens_at,
+        data.closes_at,
+        data.updated_by
+      ]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  static async findRoundById(roundId) {
+    const { rows } = await pool.query(`${ROUND_SELECT} WHERE r.id = $1`, [roundId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get a course's rounds with how many students have submitted, newest first
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>}
+   */
+  static async findRoundsByOffering(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT r.id, r.offering_id, r.title, r.instructions, r.rubric, r.opens_at, r.closes_at,
+              r.created_by, r.updated_by, r.created_at, r.updated_at,
+              (SELECT COUNT(DISTINCT pe.evaluator_id)::int
+               FROM peer_evaluations pe
+               WHERE pe.round_id = r.id) as submitted_count
+       FROM peer_evaluation_rounds r
+       WHERE r.offering_id = $1
+       ORDER BY r.opens_at DESC, r.created_at DESC`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get a course's teams with their current members
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>} [{ team_id, team_name, team_number, members: [{ user_id, name, email }] }]
+   */
+  static async findTeamsWithMembers(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT t.id as team_id, t.name as team_name, t.team_number,
+              u.id as user_id, u.name, u.email
+       FROM team t
+       JOIN team_members tm ON tm.team_id = t.id AND tm.left_at IS NULL
+       JOIN users u ON tm.user_id = u.id
+       WHERE t.offering_id = $1
+         AND u.deleted_at IS NULL
+       ORDER BY t.team_number NULLS LAST, t.name, u.name, u.email`,
+      [offeringId]
+    );
+
+    const teams = new Map();
+    for (const row of rows) {
+      if (!teams.has(row.team_id)) {
+        teams.set(row.team_id, {
+          team_id: row.team_id,
+          team_name: row.team_name,
+          team_number: row.team_number,
+          members: []
+        });
+      }
+      teams.get(row.team_id).members.push({ user_id: row.user_id, name: row.name, email: row.email });
+    }
+    return [...teams.values()];
+  }
+
+  /**
+   * Get every rating in a round
+   * @param {string} roundId - Round UUID
+   * @returns {Promise<Object[]>}
+   */
+  static async findEvaluations(roundId) {
+    const { rows } = await pool.query(
+      `SELECT team_id, evaluator_id, evaluatee_id, scores, comment, submitted_at
+       FROM peer_evaluations
+       WHERE round_id = $1
+       ORDER BY submitted_at`,
+      [roundId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the ratings one student gave in a round
+   * @returns {Promise<Object[]>}
+   */
+  static async findEvaluationsByEvaluator(roundId, evaluatorId) {
+    const { rows } = await pool.query(
+      `SELECT team_id, evaluatee_id, scores, comment, submitted_at
+       FROM peer_evaluations
+       WHERE round_id = $1 AND evaluator_id = $2`,
+      [roundId, evaluatorId]
+    );
+    return rows;
+  }
+
+  /**
+   * Replace one student's ratings in a round
+   * Ratings of anyone no longer listed (e.g. a teammate who left) are removed.
+   * @param {string} roundId - Round UUID
+   * @param {string} teamId - Evaluator's team UUID
+   * @param {string} evaluatorId - Evaluator UUID
+   * @param {Object[]} ratings - Normalized [{ evaluatee_id, scores, comment }]
+   * @returns {Promise<Object[]>} Saved ratings
+   */
+  static async saveEvaluations(roundId, teamId, evaluatorId, ratings) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `DELETE FROM peer_evaluations
+         WHERE round_id = $1 AND evaluator_id = $2 AND NOT (evaluatee_id = ANY($3::UUID[]))`,
+        [roundId, evaluatorId, ratings.map((rating) => rating.evaluatee_id)]
+      );
+
+      const saved = [];
+      for (const rating of ratings) {
+        const { rows } = await client.query(
+          `INSERT INTO peer_evaluations (round_id, team_id, evaluator_id, evaluatee_id, scores, comment)
+           VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+           ON CONFLICT (round_id, evaluator_id, evaluatee_id)
+           DO UPDATE SET
+             team_id = EXCLUDED.team_id,
+             scores = EXCLUDED.scores,
+             comment = EXCLUDED.comment,
+             submitted_at = NOW()
+           RETURNING team_id, evaluatee_id, scores, comment, submitted_at`,
+          [roundId, teamId, evaluatorId, rating.evaluatee_id, JSON.stringify(rating.scores), rating.comment]
+        );
+        saved.push(rows[0]);
+      }
+
+      await client.query('COMMIT');
+      return saved;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
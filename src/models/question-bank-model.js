@@ -0,0 +1,251 @@
+import { pool } from '../db.js';
+
+const ITEM_COLUMNS = [
+  'question_text', 'question_type', 'options', 'is_required',
+  'correct_answers', 'points', 'is_anonymous', 'tags'
+];
+const TEMPLATE_COLUMNS = ['name', 'title_pattern', 'description', 'questions'];
+const JSON_COLUMNS = new Set(['options', 'correct_answers', 'questions']);
+
+function toParam(column, value) {
+  // JSONB arrays have to go over the wire as JSON text
+  return JSON_COLUMNS.has(column) && value !== null && value !== undefined ? JSON.stringify(value) : value;
+}
+
+/**
+ * QuestionBankModel - Database operations for question bank items and lecture templates
+ */
+export class QuestionBankModel {
+  /**
+   * Search an offering's question bank
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [filters] - { search, tags, question_type, limit, offset }
+   *   search matches the question text and options; every tag in tags must be present
+   * @returns {Promise<Array>} Items, most used first
+   */
+  static async search(offeringId, { search = null, tags = [], question_type = null, limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT qb.*, u.name as created_by_name
+       FROM question_bank_items qb
+       LEFT JOIN users u ON qb.created_by = u.id
+       WHERE qb.offering_id = $1
+         AND ($2::text IS NULL OR qb.question_text ILIKE $2 OR qb.options::text ILIKE $2)
+         AND (cardinality($3::text[]) = 0 OR qb.tags @> $3::text[])
+         AND ($4::text IS NULL OR qb.question_type = ANY($5::text[]))
+       ORDER BY qb.times_used DESC, qb.updated_at DESC
+       LIMIT $6 OFFSET $7`,
+      [
+        offeringId,
+        search ? `%${search.replace(/[\\%_]/g, '\\$&')}%` : null,
+        tags,
+        question_type,
+        // The lecture form stores multiple choice and pulse questions under their short names
+        question_type ? [question_type, { multiple_choice: 'mcq', pulse_check: 'pulse' }[question_type]].filter(Boolean) : [],
+        limit,
+        offset
+      ]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get every tag used in an offering's bank with how many questions carry it
+   */
+  static async findTags(offeringId) {
+    const result = await pool.query(
+      `SELECT tag, COUNT(*)::int as count
+       FROM question_bank_items, unnest(tags) as tag
+       WHERE offering_id = $1
+       GROUP BY tag
+       ORDER BY tag ASC`,
+      [offeringId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find a bank item by ID
+   */
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM question_bank_items WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find bank items by ID, in the order given
+   * @param {Array<string>} ids - Item IDs
+   * @returns {Promise<Array>} Items that exist
+   */
+  static async findByIds(ids) {
+    const result = await pool.query(
+      `SELECT qb.*
+       FROM unnest($1::uuid[]) WITH ORDINALITY as wanted(id, position)
+       JOIN question_bank_items qb ON qb.id = wanted.id
+       ORDER BY wanted.position`,
+      [ids]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create a bank item
+   * @param {Object} data - { offering_id, question_text, question_type, options, is_required,
+   *   correct_answers, points, is_anonymous, tags, source_question_id, created_by }
+   * @returns {Promise<Object>} Created item
+   */
+  static async create(data) {
+    const result = await pool.query(
+      `INSERT INTO question_bank_items
+       (offering_id, question_text, question_type, options, is_required, correct_answers,
+        points, is_anonymous, tags, source_question_id, created_by, updated_by)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6::jsonb, $7, $8, $9, $10, $11, $11)
+       RETURNING *`,
+      [
+        data.offering_id,
+        data.question_text,
+        data.question_type,
+        toParam('options', data.options),
+        data.is_required ?? false,
+        toParam('correct_answers', data.correct_answers),
+        data.points ?? 1,
+        data.is_anonymous ?? false,
+        data.tags ?? [],
+        data.source_question_id ?? null,
+        data.created_by
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update a bank item
+   * @param {string} id - Item ID
+   * @param {Object} updates - Any of the item columns
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object|null>} Updated item
+   */
+  static async update(id, updates, updatedBy) {
+    return this._update('question_bank_items', ITEM_COLUMNS, id, updates, updatedBy);
+  }
+
+  /**
+   * Delete a bank item
+   */
+  static async delete(id) {
+    const result = await pool.query('DELETE FROM question_bank_items WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a use of each item
+   * @param {Array<string>} ids - Item IDs
+   */
+  static async markUsed(ids) {
+    await pool.query(
+      'UPDATE question_bank_items SET times_used = times_used + 1 WHERE id = ANY($1::uuid[])',
+      [ids]
+    );
+  }
+
+  /**
+   * Get an offering's lecture templates
+   */
+  static async findTemplatesByOfferingId(offeringId) {
+    const result = await pool.query(
+      `SELECT lt.*, jsonb_array_length(lt.questions) as question_count, u.name as created_by_name
+       FROM lecture_templates lt
+       LEFT JOIN users u ON lt.created_by = u.id
+       WHERE lt.offering_id = $1
+       ORDER BY LOWER(lt.name) ASC`,
+      [offeringId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find a lecture template by ID
+   */
+  static async findTemplateById(id) {
+    const result = await pool.query('SELECT * FROM lecture_templates WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a lecture template
+   * @param {Object} data - { offering_id, name, title_pattern, description, questions, created_by }
+   * @returns {Promise<Object>} Created template
+   */
+  static async createTemplate(data) {
+    const result = await pool.query(
+      `INSERT INTO lecture_templates
+       (offering_id, name, title_pattern, description, questions, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $6)
+       RETURNING *`,
+      [
+        data.offering_id,
+        data.name,
+        data.title_pattern,
+        data.description ?? null,
+        toParam('questions', data.questions ?? []),
+        data.created_by
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update a lecture template
+   * @param {string} id - Template ID
+   * @param {Object} updates - Any of name, title_pattern, description, questions
+   * @param {string} updatedBy - User ID
+   * @returns {Promise<Object|null>} Updated template
+   */
+  static async updateTemplate(id, updates, updatedBy) {
+    return this._update('lecture_templates', TEMPLATE_COLUMNS, id, updates, updatedBy);
+  }
+
+  /**
+   * Delete a lecture template
+   */
+  static async deleteTemplate(id) {
+    const result = await pool.query('DELETE FROM lecture_templates WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a use of a template
+   * @returns {Promise<number>} The new use count, which numbers the session's title
+   */
+  static async markTemplateUsed(id) {
+    const result = await pool.query(
+      'UPDATE lecture_templates SET times_used = times_used + 1 WHERE id = $1 RETURNING times_used',
+      [id]
+    );
+    return result.rows[0]?.times_used ?? null;
+  }
+
+  static async _update(table, columns, id, updates, updatedBy) {
+    const setFields = [];
+    const values = [];
+
+    for (const column of columns) {
+      if (updates[column] === undefined) continue;
+      values.push(toParam(column, updates[column]));
+      setFields.push(`${column} = $${values.length}${JSON_COLUMNS.has(column) ? '::jsonb' : ''}`);
+    }
+
+    if (setFields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    values.push(updatedBy);
+    setFields.push(`updated_by = $${values.length}`);
+    values.push(id);
+
+    const result = await pool.query(
+      `UPDATE ${table} SET ${setFields.join(', ')} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+}
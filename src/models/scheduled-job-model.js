@@ -0,0 +1,195 @@
+import { pool } from '../db.js';
+
+/**
+ * ScheduledJobModel - Database operations for the scheduled_jobs table
+ */
+export class ScheduledJobModel {
+  /**
+   * Create or reschedule open/close jobs for every session that still needs one
+   * Pending jobs follow changes to the session time; finished jobs are left alone.
+   * Open jobs cover all sessions; close jobs only course-wide sessions, because team
+   * meetings are closed by the team leader. Sessions whose time passed more than
+   * lookbackHours ago are skipped so old, never-opened sessions are not back-filled.
+   * @param {number} lookbackHours - How far in the past a session may be and still get a job
+   * @returns {Promise<number>} Number of jobs inserted or rescheduled
+   */
+  static async syncSessionJobs(lookbackHours) {
+    const { rowCount: openCount } = await pool.query(
+      `INSERT INTO scheduled_jobs (job_type, session_id, run_at)
+       SELECT 'open_attendance', s.id, s.starts_at
+       FROM sessions s
+       WHERE s.starts_at IS NOT NULL
+         AND s.attendance_opened_at IS NULL
+         AND s.is_active = TRUE
+         AND s.starts_at >= NOW() - make_interval(hours => $1)
+       ON CONFLICT (job_type, session_id) DO UPDATE
+         SET run_at = EXCLUDED.run_at
+         WHERE scheduled_jobs.status = 'pending'
+           AND scheduled_jobs.run_at IS DISTINCT FROM EXCLUDED.run_at`,
+      [lookbackHours]
+    );
+
+    const { rowCount: closeCount } = await pool.query(
+      `INSERT INTO scheduled_jobs (job_type, session_id, run_at)
+       SELECT 'close_attendance', s.id, s.code_expires_at
+       FROM sessions s
+       WHERE s.team_id IS NULL
+         AND s.code_expires_at IS NOT NULL
+         AND s.attendance_closed_at IS NULL
+         AND s.code_expires_at >= NOW() - make_interval(hours => $1)
+       ON CONFLICT (job_type, session_id) DO UPDATE
+         SET run_at = EXCLUDED.run_at
+         WHERE scheduled_jobs.status = 'pending'
+           AND scheduled_jobs.run_at IS DISTINCT FROM EXCLUDED.run_at`,
+      [lookbackHours]
+    );
+
+    return openCount + closeCount;
+  }
+
+  /**
+   * Queue a session's open/close jobs again for its current times, e.g. after it was rescheduled
+   * Finished jobs are reset to pending; a job that is running right now is left alone.
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<number>} Number of jobs queued
+   */
+  static async requeueSessionJobs(sessionId) {
+    const { rowCount } = await pool.query(
+      `INSERT INTO scheduled_jobs (job_type, session_id, run_at)
+       SELECT job.job_type, s.id, job.run_at
+       FROM sessions s
+       CROSS JOIN LATERAL (VALUES
+         ('open_attendance', s.starts_at, s.is_active),
+         ('close_attendance', s.code_expires_at, s.team_id IS NULL)
+       ) AS job(job_type, run_at, wanted)
+       WHERE s.id = $1
+         AND job.run_at IS NOT NULL
+         AND job.wanted
+       ON CONFLICT (job_type, session_id) DO UPDATE
+         SET run_at = EXCLUDED.run_at,
+             status = 'pending',
+             attempts = 0,
+             last_error = NULL,
+             result = NULL,
+             locked_by = NULL,
+             started_at = NULL,
+             completed_at = NULL
+         WHERE scheduled_jobs.status <> 'running'`,
+      [sessionId]
+    );
+    return rowCount;
+  }
+
+  /**
+   * Put jobs left in 'running' by a crashed instance back in the queue
+   * @param {number} staleMinutes - How long a job may run before it is considered abandoned
+   * @returns {Promise<number>} Number of jobs reset
+   */
+  static async resetStaleJobs(staleMinutes) {
+    const { rowCount } = await pool.query(
+      `UPDATE scheduled_jobs
+       SET status = 'pending', locked_by = NULL
+       WHERE status = 'running'
+         AND started_at < NOW() - make_interval(mins => $1)`,
+      [staleMinutes]
+    );
+    return rowCount;
+  }
+
+  /**
+   * Mark due pending jobs as running and return them
+   * @param {string} instanceId - Scheduler instance claiming the jobs
+   * @param {number} limit - Maximum jobs to claim
+   * @returns {Promise<Array>} Claimed jobs, oldest first
+   */
+  static async claimDueJobs(instanceId, limit) {
+    const { rows } = await pool.query(
+      `UPDATE scheduled_jobs
+       SET status = 'running',
+           attempts = attempts + 1,
+           locked_by = $1,
+           started_at = NOW()
+       WHERE id IN (
+         SELECT id FROM scheduled_jobs
+         WHERE status = 'pending' AND run_at <= NOW()
+         ORDER BY run_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [instanceId, limit]
+    );
+    return rows.sort((a, b) => a.run_at - b.run_at);
+  }
+
+  /**
+   * Record a finished job
+   * @param {string} jobId - Job UUID
+   * @param {Object} result - Summary stored in the result column
+   */
+  static async markCompleted(jobId, result) {
+    await pool.query(
+      `UPDATE scheduled_jobs
+       SET status = 'completed', result = $2::jsonb, last_error = NULL,
+           locked_by = NULL, completed_at = NOW()
+       WHERE id = $1`,
+      [jobId, JSON.stringify(result ?? {})]
+    );
+  }
+
+  /**
+   * Record a failed attempt; the job is retried later until maxAttempts is reached
+   * @param {Object} job - Job row (needs id and attempts)
+   * @param {string} errorMessage - Error to store
+   * @param {number} maxAttempts - Attempts before the job is marked failed
+   * @param {number} retryDelaySeconds - Delay before the next attempt
+   */
+  static async markFailed(job, errorMessage, maxAttempts, retryDelaySeconds) {
+    const finalAttempt = job.attempts >= maxAttempts;
+    await pool.query(
+      `UPDATE scheduled_jobs
+       SET status = $2,
+           last_error = $3,
+           locked_by = NULL,
+           run_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $4) ELSE run_at END,
+           completed_at = CASE WHEN $2 = 'failed' THEN NOW() ELSE NULL END
+       WHERE id = $1`,
+      [job.id, finalAttempt ? 'failed' : 'pending', errorMessage, retryDelaySeconds]
+    );
+  }
+
+  /**
+   * Count jobs by type and status
+   * @returns {Promise<Array<{ job_type: string, status: string, count: number, next_run_at: Date|null }>>}
+   */
+  static async getStatusCounts() {
+    const { rows } = await pool.query(
+      `SELECT job_type, status, COUNT(*)::int as count,
+              MIN(run_at) FILTER (WHERE status = 'pending') as next_run_at
+       FROM scheduled_jobs
+       GROUP BY job_type, status
+       ORDER BY job_type, status`
+    );
+    return rows;
+  }
+
+  /**
+   * Get the most recently finished or failed jobs
+   * @param {number} limit - Number of rows
+   * @returns {Promise<Array>}
+   */
+  static async findRecent(limit = 10) {
+    const { rows } = await pool.query(
+      `SELECT j.id, j.job_type, j.status, j.attempts, j.last_error, j.result,
+              j.run_at, j.completed_at, j.locked_by,
+              s.title as session_title
+       FROM scheduled_jobs j
+       JOIN sessions s ON j.session_id = s.id
+       WHERE j.status IN ('completed', 'failed') OR j.last_error IS NOT NULL
+       ORDER BY COALESCE(j.completed_at, j.updated_at) DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return rows;
+  }
+}
@@ -13,6 +13,7 @@ export class SessionModel {
       SELECT s.*,
              TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date_str,
              TO_CHAR(s.session_time, 'HH24:MI:SS') as session_time_str,
+             (SELECT timezone FROM course_offerings WHERE id = s.offering_id) as timezone,
              COUNT(DISTINCT a.user_id) FILTER (WHERE a.status IN ('present', 'late')) as attendance_count,
              COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'absent') as absent_count,
              COUNT(DISTINCT sr.user_id) as response_count,
@@ -66,23 +67,32 @@ export class SessionModel {
       session_time,
       access_code,
       code_expires_at,
+      ends_at = null,
       is_active = true,
       team_id = null,
       attendance_opened_at = null,
       attendance_closed_at = null,
+      attendance_rules = null,
+      checkin_constraints = null,
+      response_rules = null,
+      remote_join_url = null,
       created_by
     } = sessionData;
 
     const result = await pool.query(
       `INSERT INTO sessions 
        (offering_id, title, description, session_date, session_time, 
-        access_code, code_expires_at, is_active, team_id, 
-        attendance_opened_at, attendance_closed_at, created_by, updated_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $12)
+        access_code, code_expires_at, ends_at, is_active, team_id, 
+        attendance_opened_at, attendance_closed_at, attendance_rules, checkin_constraints,
+        response_rules, remote_join_url, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $17)
        RETURNING *`,
       [offering_id, title, description, session_date, session_time, 
-       access_code, code_expires_at, is_active, team_id, 
-       attendance_opened_at, attendance_closed_at, created_by]
+       access_code, code_expires_at, ends_at, is_active, team_id, 
+       attendance_opened_at, attendance_closed_at,
+       attendance_rules ? JSON.stringify(attendance_rules) : null,
+       checkin_constraints ? JSON.stringify(checkin_constraints) : null,
+       response_rules ? JSON.stringify(response_rules) : null, remote_join_url, created_by]
     );
 
     return result.rows[0];
@@ -96,6 +106,10 @@ export class SessionModel {
       `SELECT s.*, 
               co.name as course_name,
               co.code as course_code,
+              co.attendance_rules as offering_attendance_rules,
+              co.timezone,
+              co.location_latitude as offering_latitude,
+              co.location_longitude as offering_longitude,
               u.name as creator_name,
               TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date_str,
               TO_CHAR(s.session_time, 'HH24:MI:SS') as session_time_str
@@ -127,6 +141,10 @@ export class SessionModel {
       `SELECT s.*,
               co.name as course_name,
               co.code as course_code,
+              co.attendance_rules as offering_attendance_rules,
+              co.timezone,
+              co.location_latitude as offering_latitude,
+              co.location_longitude as offering_longitude,
               TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date_str,
               TO_CHAR(s.session_time, 'HH24:MI:SS') as session_time_str
        FROM sessions s
@@ -158,7 +176,8 @@ export class SessionModel {
       SELECT s.*,
              TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date_str,
              TO_CHAR(s.session_time, 'HH24:MI:SS') as session_time_str,
-             COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'present') as attendance_count,
+             (SELECT timezone FROM course_offerings WHERE id = s.offering_id) as timezone,
+             COUNT(DISTINCT a.user_id) FILTER (WHERE a.status IN ('present', 'late')) as attendance_count,
              COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'absent') as absent_count,
              COUNT(DISTINCT sr.user_id) as response_count,
              (SELECT COUNT(*) FROM enrollments 
@@ -228,6 +247,7 @@ export class SessionModel {
       SELECT s.*,
              TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date_str,
              TO_CHAR(s.session_time, 'HH24:MI:SS') as session_time_str,
+             (SELECT timezone FROM course_offerings WHERE id = s.offering_id) as timezone,
              COUNT(DISTINCT a.user_id) FILTER (WHERE a.status IN ('present', 'late')) as attendance_count,
              COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'absent') as absent_count,
              COUNT(DISTINCT sr.user_id) as response_count,
@@ -306,9 +326,11 @@ export class SessionModel {
   static async update(sessionId, updates, updatedBy) {
     const allowedFields = new Set([
       'title', 'description', 'session_date', 'session_time', 'team_id',
-      'access_code', 'code_expires_at', 'is_active',
-      'attendance_opened_at', 'attendance_closed_at'
+      'access_code', 'code_expires_at', 'ends_at', 'is_active',
+      'attendance_opened_at', 'attendance_closed_at', 'attendance_rules',
+      'qr_rotation_seconds', 'checkin_constraints', 'response_rules', 'remote_join_url'
     ]);
+    const jsonFields = new Set(['attendance_rules', 'checkin_constraints', 'response_rules']);
 
     const setFields = [];
     const values = [];
@@ -317,7 +339,7 @@ export class SessionModel {
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.has(key)) {
         setFields.push(`${key} = $${paramIndex}`);
-        values.push(value);
+        values.push(jsonFields.has(key) && value !== null ? JSON.stringify(value) : value);
         paramIndex++;
       }
     }
@@ -377,6 +399,99 @@ export class SessionModel {
     return result.rows[0] || null;
   }
 
+  /**
+   * Turn presentation mode on or off
+   * Any open question is closed, and nothing is presented until a question is opened.
+   */
+  static async setPresentationMode(sessionId, enabled, updatedBy) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE session_questions
+         SET closed_at = NOW(), updated_by = $2
+         WHERE session_id = $1 AND opened_at IS NOT NULL AND closed_at IS NULL`,
+        [sessionId, updatedBy]
+      );
+      const result = await client.query(
+        `UPDATE sessions
+         SET presentation_mode = $2,
+             presented_question_id = NULL,
+             updated_by = $3
+         WHERE id = $1
+         RETURNING *`,
+        [sessionId, enabled, updatedBy]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Present and open one question, closing whichever question was open before
+   */
+  static async presentQuestion(sessionId, questionId, updatedBy) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE session_questions
+         SET closed_at = NOW(), updated_by = $3
+         WHERE session_id = $1 AND id <> $2 AND opened_at IS NOT NULL AND closed_at IS NULL`,
+        [sessionId, questionId, updatedBy]
+      );
+      await client.query(
+        `UPDATE session_questions
+         SET opened_at = NOW(), closed_at = NULL, updated_by = $3
+         WHERE id = $1 AND session_id = $2`,
+        [questionId, sessionId, updatedBy]
+      );
+      const result = await client.query(
+        `UPDATE sessions
+         SET presentation_mode = TRUE,
+             presented_question_id = $2,
+             updated_by = $3
+         WHERE id = $1
+         RETURNING *`,
+        [sessionId, questionId, updatedBy]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close the presented question; it stays on screen with its answers locked
+   * @returns {Promise<Object|null>} The closed question, or null if none was open
+   */
+  static async closePresentedQuestion(sessionId, updatedBy) {
+    const result = await pool.query(
+      `UPDATE session_questions q
+       SET closed_at = NOW(), updated_by = $2
+       FROM sessions s
+       WHERE s.id = $1 AND q.id = s.presented_question_id
+         AND q.opened_at IS NOT NULL AND q.closed_at IS NULL
+       RETURNING q.*`,
+      [sessionId, updatedBy]
+    );
+
+    return result.rows[0] || null;
+  }
+
   /**
    * Delete session
    */
@@ -416,7 +531,10 @@ export class SessionModel {
          s.session_date,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'present') as present_count,
          COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'absent') as absent_count,
-         0 as late_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.status = 'late') as late_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'in_person')::INTEGER as in_person_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'remote')::INTEGER as remote_count,
+         COUNT(DISTINCT a.user_id) FILTER (WHERE a.modality = 'recording')::INTEGER as recording_count,
          COUNT(DISTINCT a.user_id) as total_attendance_records,
          COUNT(DISTINCT sq.id) as question_count,
          COUNT(DISTINCT sr.id) as response_count,
@@ -440,15 +558,18 @@ export class SessionModel {
     const stats = result.rows[0];
     const totalStudents = Number.parseInt(stats.enrolled_students) || 0;
     const presentCount = Number.parseInt(stats.present_count) || 0;
+    const lateCount = Number.parseInt(stats.late_count) || 0;
+    // Late arrivals still attended, so they count toward the attendance percentage
     const attendance_percent = totalStudents > 0 
-      ? Math.round((presentCount / totalStudents) * 100) 
+      ? Math.round(((presentCount + lateCount) / totalStudents) * 100) 
       : 0;
 
     return {
       ...stats,
       attendance_percent,
       enrolled_students: totalStudents,
-      present_count: presentCount
+      present_count: presentCount,
+      late_count: lateCount
     };
   }
 }
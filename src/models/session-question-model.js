@@ -1,4 +1,5 @@
 import { pool } from '../db.js';
+import { normalizeQuestionConfig } from '../utils/question-types.js';
 
 /**
  * Session Question Model - CRUD operations for session_questions table
@@ -15,17 +16,26 @@ export class SessionQuestionModel {
       question_order,
       options,
       is_required = false,
+      correct_answers = null,
+      points = 1,
+      is_anonymous = false,
+      reveal_results = false,
       created_by
     } = questionData;
 
+    const config = normalizeQuestionConfig({ question_type, options });
+
     const result = await pool.query(
       `INSERT INTO session_questions 
        (session_id, question_text, question_type, question_order, 
-        options, is_required, created_by, updated_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+        options, is_required, correct_answers, points, is_anonymous, reveal_results,
+        created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7::jsonb, $8, $9, $10, $11, $11)
        RETURNING *`,
       [session_id, question_text, question_type, question_order, 
-       options, is_required, created_by]
+       config.options === null ? null : JSON.stringify(config.options), is_required,
+       correct_answers ? JSON.stringify(correct_answers) : null,
+       points, is_anonymous, reveal_results, created_by]
     );
 
     return result.rows[0];
@@ -54,16 +64,8 @@ export class SessionQuestionModel {
             }
           }
           
-          // For text questions, options should be null
-          if (question.question_type === 'text' && options) {
-            options = null;
-          }
-          
-          // Ensure options is a proper JSON value for JSONB column
-          // node-postgres expects null, array, or object - not undefined
-          if (options === undefined) {
-            options = null;
-          }
+          // Check the type and its options; text and word cloud questions have no options
+          options = normalizeQuestionConfig({ question_type: question.question_type, options }).options;
           
           // For JSONB columns, we need to pass it as a properly formatted JSON string
           // node-postgres will handle the conversion, but we need to ensure it's valid
@@ -75,8 +77,9 @@ export class SessionQuestionModel {
           const result = await client.query(
             `INSERT INTO session_questions 
              (session_id, question_text, question_type, question_order, 
-              options, is_required, created_by, updated_by)
-             VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $7)
+              options, is_required, correct_answers, points, is_anonymous, reveal_results,
+              created_by, updated_by)
+             VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7::jsonb, $8, $9, $10, $11, $11)
              RETURNING *`,
             [
               question.session_id,
@@ -85,6 +88,10 @@ export class SessionQuestionModel {
               question.question_order,
               optionsParam,
               question.is_required ?? false,
+              question.correct_answers ? JSON.stringify(question.correct_answers) : null,
+              question.points ?? 1,
+              question.is_anonymous ?? false,
+              question.reveal_results ?? false,
               createdBy
             ]
           );
@@ -153,9 +160,23 @@ export class SessionQuestionModel {
    * Update question
    */
   static async update(questionId, updates, updatedBy) {
+    // A new type or option list has to fit together with what isn't changing
+    if (updates.question_type !== undefined || updates.options !== undefined) {
+      const current = await this.findById(questionId);
+      if (!current) return null;
+      updates = {
+        ...updates,
+        options: normalizeQuestionConfig({
+          question_type: updates.question_type ?? current.question_type,
+          options: updates.options !== undefined ? updates.options : current.options
+        }).options
+      };
+    }
+
     const allowedFields = new Set([
       'question_text', 'question_type', 'question_order',
-      'options', 'is_required'
+      'options', 'is_required', 'correct_answers', 'points',
+      'is_anonymous', 'reveal_results'
     ]);
 
     const setFields = [];
@@ -165,7 +186,9 @@ export class SessionQuestionModel {
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.has(key)) {
         setFields.push(`${key} = $${paramIndex}`);
-        values.push(value);
+        // JSONB arrays have to go over the wire as JSON text
+        const isJson = key === 'correct_answers' || key === 'options';
+        values.push(isJson && value !== null ? JSON.stringify(value) : value);
         paramIndex++;
       }
     }
@@ -1,49 +1,84 @@
 import { pool } from '../db.js';
+import { normalizeResponseValue } from '../utils/question-types.js';
+import { acceptsResponses } from '../utils/presentation-mode.js';
+import { checkResponseWindow, isSameAnswer } from '../utils/response-windows.js';
+
+/**
+ * Check a response against its question and work out the columns to store
+ * Answers to a question that isn't open in presentation mode are rejected, as are answers
+ * outside the session's response window (see utils/response-windows.js).
+ * @param {Object} db - pool or a transaction client
+ * @param {Object} response - Response data with question_id, user_id and optional session_id
+ * @returns {Promise<Array>} [session_id, response_text, response_option, response_values, response_number, is_late]
+ */
+async function prepareResponse(db, response) {
+  const questionResult = await db.query(
+    `SELECT q.session_id, q.question_type, q.options, q.opened_at, q.closed_at,
+            s.presentation_mode, s.response_rules, s.attendance_closed_at,
+            CASE WHEN sr.id IS NULL THEN NULL ELSE to_jsonb(sr) END AS existing
+     FROM session_questions q
+     JOIN sessions s ON s.id = q.session_id
+     LEFT JOIN session_responses sr ON sr.question_id = q.id AND sr.user_id = $2
+     WHERE q.id = $1`,
+    [response.question_id, response.user_id]
+  );
+  if (questionResult.rows.length === 0) {
+    throw new Error(`Question ${response.question_id} not found`);
+  }
+
+  const { presentation_mode, response_rules, attendance_closed_at, existing, ...question } = questionResult.rows[0];
+  // In presentation mode only the question the instructor has open takes answers
+  if (!acceptsResponses({ presentation_mode }, question)) {
+    throw new Error('This question is not open for responses');
+  }
+
+  const value = normalizeResponseValue(question, response);
+  const { is_late } = checkResponseWindow({ response_rules, attendance_closed_at }, {
+    existing,
+    isEdit: Boolean(existing) && !isSameAnswer(existing, value)
+  });
+
+  return [
+    // Use the caller's session_id when given so the unique constraint matches it
+    response.session_id || question.session_id,
+    value.response_text,
+    value.response_option,
+    value.response_values === null ? null : JSON.stringify(value.response_values),
+    value.response_number,
+    is_late
+  ];
+}
 
 /**
  * Session Response Model - CRUD operations for session_responses table
+ * Answers are validated against the question type (see utils/question-types.js).
  */
 export class SessionResponseModel {
   /**
    * Create or update a response (upsert)
    */
   static async upsert(responseData) {
-    const {
-      question_id,
-      user_id,
-      response_text,
-      response_option,
-      session_id
-    } = responseData;
+    const { question_id, user_id } = responseData;
 
     if (!question_id || !user_id) {
       throw new Error('question_id and user_id are required');
     }
 
-    // Get session_id from question if not provided
-    let finalSessionId = session_id;
-    if (!finalSessionId) {
-      const questionResult = await pool.query(
-        'SELECT session_id FROM session_questions WHERE id = $1',
-        [question_id]
-      );
-      if (questionResult.rows.length === 0) {
-        throw new Error(`Question ${question_id} not found`);
-      }
-      finalSessionId = questionResult.rows[0].session_id;
-    }
+    const [sessionId, ...values] = await prepareResponse(pool, responseData);
 
     const result = await pool.query(
       `INSERT INTO session_responses 
-       (session_id, question_id, user_id, response_text, response_option)
-       VALUES ($1, $2, $3, $4, $5)
+       (session_id, question_id, user_id, response_text, response_option, response_values, response_number, is_late)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8)
        ON CONFLICT (session_id, question_id, user_id)
        DO UPDATE SET
          response_text = EXCLUDED.response_text,
          response_option = EXCLUDED.response_option,
+         response_values = EXCLUDED.response_values,
+         response_number = EXCLUDED.response_number,
          updated_at = NOW()
        RETURNING *`,
-      [finalSessionId, question_id, user_id, response_text, response_option]
+      [sessionId, question_id, user_id, ...values]
     );
 
     return result.rows[0];
@@ -53,37 +88,20 @@ export class SessionResponseModel {
    * Create a new response
    */
   static async create(responseData) {
-    const {
-      question_id,
-      user_id,
-      response_text,
-      response_option,
-      session_id
-    } = responseData;
+    const { question_id, user_id } = responseData;
 
     if (!question_id || !user_id) {
       throw new Error('question_id and user_id are required');
     }
 
-    // Get session_id from question if not provided
-    let finalSessionId = session_id;
-    if (!finalSessionId) {
-      const questionResult = await pool.query(
-        'SELECT session_id FROM session_questions WHERE id = $1',
-        [question_id]
-      );
-      if (questionResult.rows.length === 0) {
-        throw new Error(`Question ${question_id} not found`);
-      }
-      finalSessionId = questionResult.rows[0].session_id;
-    }
+    const [sessionId, ...values] = await prepareResponse(pool, responseData);
 
     const result = await pool.query(
       `INSERT INTO session_responses 
-       (session_id, question_id, user_id, response_text, response_option)
-       VALUES ($1, $2, $3, $4, $5)
+       (session_id, question_id, user_id, response_text, response_option, response_values, response_number, is_late)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8)
        RETURNING *`,
-      [finalSessionId, question_id, user_id, response_text, response_option]
+      [sessionId, question_id, user_id, ...values]
     );
 
     return result.rows[0];
@@ -107,36 +125,21 @@ export class SessionResponseModel {
           throw new Error('question_id and user_id are required for all responses');
         }
 
-        // Get session_id from question if not provided
-        let sessionId = response.session_id;
-        if (!sessionId) {
-          const questionResult = await client.query(
-            'SELECT session_id FROM session_questions WHERE id = $1',
-            [response.question_id]
-          );
-          if (questionResult.rows.length === 0) {
-            throw new Error(`Question ${response.question_id} not found`);
-          }
-          sessionId = questionResult.rows[0].session_id;
-        }
+        const [sessionId, ...values] = await prepareResponse(client, response);
 
         const result = await client.query(
           `INSERT INTO session_responses 
-           (session_id, question_id, user_id, response_text, response_option)
-           VALUES ($1, $2, $3, $4, $5)
+           (session_id, question_id, user_id, response_text, response_option, response_values, response_number, is_late)
+           VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8)
            ON CONFLICT (session_id, question_id, user_id)
            DO UPDATE SET
              response_text = EXCLUDED.response_text,
              response_option = EXCLUDED.response_option,
+             response_values = EXCLUDED.response_values,
+             response_number = EXCLUDED.response_number,
              updated_at = NOW()
            RETURNING *`,
-          [
-            sessionId,
-            response.question_id,
-            response.user_id,
-            response.response_text,
-            response.response_option
-          ]
+          [sessionId, response.question_id, response.user_id, ...values]
         );
         createdResponses.push(result.rows[0]);
       }
@@ -229,6 +232,7 @@ export class SessionResponseModel {
               sq.question_text,
               sq.question_type,
               sq.question_order,
+              sq.is_anonymous,
               u.name as user_name,
               u.email as user_email,
               u.ucsd_pid,
@@ -296,6 +300,85 @@ export class SessionResponseModel {
     return result.rows;
   }
 
+  /**
+   * Get the answer history for a session's responses, oldest first per response
+   * Rows carry no identity fields; they are matched to responses by response_id.
+   */
+  static async findHistoryBySessionId(sessionId) {
+    const result = await pool.query(
+      `SELECT h.response_id, h.version, h.response_text, h.response_option,
+              h.response_values, h.response_number, h.recorded_at
+       FROM session_response_history h
+       INNER JOIN session_questions sq ON h.question_id = sq.id
+       WHERE sq.session_id = $1
+       ORDER BY h.response_id, h.version ASC`,
+      [sessionId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get the lectures with pulse checks in an offering and their students' pulse answers
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { from, to } session date range (YYYY-MM-DD)
+   * @returns {Promise<{ sessions: Object[], responses: Object[] }>}
+   */
+  static async getPulseData(offeringId, options = {}) {
+    const { from = null, to = null } = options;
+
+    const sessionsResult = await pool.query(
+      `SELECT s.id, s.title,
+              TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date
+       FROM sessions s
+       WHERE s.offering_id = $1
+         AND s.team_id IS NULL
+         AND EXISTS (
+           SELECT 1 FROM session_questions q
+           WHERE q.session_id = s.id AND q.question_type = 'pulse_check'
+         )
+         AND ($2::date IS NULL OR s.session_date >= $2::date)
+         AND ($3::date IS NULL OR s.session_date <= $3::date)
+       ORDER BY s.session_date ASC, s.session_time ASC NULLS LAST, s.created_at ASC`,
+      [offeringId, from, to]
+    );
+
+    const sessionIds = sessionsResult.rows.map((session) => session.id);
+    const responsesResult = sessionIds.length === 0
+      ? { rows: [] }
+      : await pool.query(
+        `SELECT q.session_id, q.id as question_id, q.options, q.is_anonymous,
+                sr.user_id, sr.response_option,
+                u.name as user_name,
+                t.id as team_id,
+                t.name as team_name
+         FROM session_responses sr
+         INNER JOIN session_questions q ON sr.question_id = q.id
+         INNER JOIN sessions s ON q.session_id = s.id
+         INNER JOIN enrollments e ON e.offering_id = s.offering_id
+           AND e.user_id = sr.user_id
+           AND e.course_role IN ('student', 'team-lead')
+         INNER JOIN users u ON sr.user_id = u.id
+         LEFT JOIN LATERAL (
+           SELECT t.id, t.name
+           FROM team_members tm
+           INNER JOIN team t ON tm.team_id = t.id
+           WHERE tm.user_id = sr.user_id
+             AND tm.left_at IS NULL
+             AND t.offering_id = s.offering_id
+           LIMIT 1
+         ) t ON TRUE
+         WHERE q.session_id = ANY($1::uuid[])
+           AND q.question_type = 'pulse_check'`,
+        [sessionIds]
+      );
+
+    return {
+      sessions: sessionsResult.rows,
+      responses: responsesResult.rows
+    };
+  }
+
   /**
    * Update response
    */
@@ -355,18 +438,18 @@ export class SessionResponseModel {
          sq.question_order,
          COUNT(DISTINCT sr.user_id) as response_count,
          CASE 
-           WHEN sq.question_type = 'multiple_choice' THEN
-             json_object_agg(sr.response_option, option_counts.count)
+           WHEN sq.question_type IN ('multiple_choice', 'mcq') THEN
+             (SELECT json_object_agg(option_counts.response_option, option_counts.count)
+              FROM (
+                SELECT response_option, COUNT(*) as count
+                FROM session_responses
+                WHERE question_id = sq.id AND response_option IS NOT NULL
+                GROUP BY response_option
+              ) option_counts)
            ELSE NULL
          END as option_breakdown
        FROM session_questions sq
        LEFT JOIN session_responses sr ON sq.id = sr.question_id
-       LEFT JOIN LATERAL (
-         SELECT response_option, COUNT(*) as count
-         FROM session_responses
-         WHERE question_id = sq.id
-         GROUP BY response_option
-       ) option_counts ON true
        WHERE sq.session_id = $1
        GROUP BY sq.id
        ORDER BY sq.question_order ASC`,
@@ -0,0 +1,268 @@
+import { pool } from '../db.js';
+
+const SERIES_SELECT = `
+  SELECT ss.id, ss.offering_id, ss.title, ss.description,
+         TO_CHAR(ss.start_date, 'YYYY-MM-DD') as start_date,
+         TO_CHAR(ss.end_date, 'YYYY-MM-DD') as end_date,
+         ss.schedule,
+         ARRAY(SELECT TO_CHAR(d, 'YYYY-MM-DD') FROM unnest(ss.skip_dates) AS d ORDER BY d) as skip_dates,
+         ss.default_questions, ss.attendance_rules,
+         ss.created_at, ss.updated_at, ss.created_by, ss.updated_by,
+         (SELECT co.timezone FROM course_offerings co WHERE co.id = ss.offering_id) as timezone,
+         COUNT(s.id)::int as session_count,
+         COUNT(s.id) FILTER (WHERE s.attendance_opened_at IS NULL)::int as editable_count,
+         TO_CHAR(MIN(s.session_date), 'YYYY-MM-DD') as first_session_date,
+         TO_CHAR(MAX(s.session_date), 'YYYY-MM-DD') as last_session_date
+  FROM session_series ss
+  LEFT JOIN sessions s ON s.series_id = ss.id
+`;
+
+function toJson(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+async function insertQuestions(client, sessionId, questions, createdBy) {
+  for (const [index, question] of questions.entries()) {
+    await client.query(
+      `INSERT INTO session_questions
+       (session_id, question_text, question_type, question_order, options, is_required, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $7)`,
+      [
+        sessionId,
+        question.question_text,
+        question.question_type,
+        index + 1,
+        toJson(question.options),
+        question.is_required ?? false,
+        createdBy
+      ]
+    );
+  }
+}
+
+/**
+ * SessionSeriesModel - Database operations for recurring lecture series
+ */
+export class SessionSeriesModel {
+  /**
+   * Get the schedule fields of a course offering with dates as YYYY-MM-DD strings
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object|null>} { id, class_timings, start_date, end_date } or null
+   */
+  static async findOfferingSchedule(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT id, class_timings, timezone,
+              TO_CHAR(start_date, 'YYYY-MM-DD') as start_date,
+              TO_CHAR(end_date, 'YYYY-MM-DD') as end_date
+       FROM course_offerings
+       WHERE id = $1`,
+      [offeringId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Create a series together with all of its sessions and their questions
+   * Runs in one transaction so a failed insert never leaves half a term behind.
+   * @param {Object} seriesData - { offering_id, title, description, start_date, end_date, schedule, skip_dates, default_questions, attendance_rules }
+   * @param {Array<Object>} sessions - Session rows to insert (title, session_date, session_time, access_code, code_expires_at, ends_at)
+   * @param {string} createdBy - User creating the series
+   * @returns {Promise<{ series: Object, sessions: Object[] }>}
+   */
+  static async createWithSessions(seriesData, sessions, createdBy) {
+    const {
+      offering_id,
+      title,
+      description = null,
+      start_date,
+      end_date,
+      schedule = [],
+      skip_dates = [],
+      default_questions = [],
+      attendance_rules = null
+    } = seriesData;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: seriesRows } = await client.query(
+        `INSERT INTO session_series
+         (offering_id, title, description, start_date, end_date, schedule, skip_dates,
+          default_questions, attendance_rules, created_by, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::date[], $8::jsonb, $9::jsonb, $10, $10)
+         RETURNING id`,
+        [offering_id, title, description, start_date, end_date, JSON.stringify(schedule),
+         skip_dates, JSON.stringify(default_questions), toJson(attendance_rules), createdBy]
+      );
+      const seriesId = seriesRows[0].id;
+
+      const createdSessions = [];
+      for (const session of sessions) {
+        const { rows } = await client.query(
+          `INSERT INTO sessions
+           (offering_id, series_id, title, description, session_date, session_time,
+            access_code, code_expires_at, ends_at, attendance_rules, created_by, updated_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11, $11)
+           RETURNING id, title, access_code,
+                     TO_CHAR(session_date, 'YYYY-MM-DD') as session_date,
+                     TO_CHAR(session_time, 'HH24:MI:SS') as session_time`,
+          [offering_id, seriesId, session.title, description, session.session_date, session.session_time,
+           session.access_code, session.code_expires_at, session.ends_at ?? null, toJson(attendance_rules), createdBy]
+        );
+        await insertQuestions(client, rows[0].id, default_questions, createdBy);
+        createdSessions.push(rows[0]);
+      }
+
+      await client.query('COMMIT');
+
+      const series = await this.findById(seriesId);
+      return { series, sessions: createdSessions };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a series with session counts
+   * @param {string} seriesId - Series UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(seriesId) {
+    const { rows } = await pool.query(
+      `${SERIES_SELECT}
+       WHERE ss.id = $1
+       GROUP BY ss.id`,
+      [seriesId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Get all series for a course offering, newest first
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Array>}
+   */
+  static async findByOfferingId(offeringId) {
+    const { rows } = await pool.query(
+      `${SERIES_SELECT}
+       WHERE ss.offering_id = $1
+       GROUP BY ss.id
+       ORDER BY ss.start_date DESC, ss.created_at DESC`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the sessions that belong to a series in date order
+   * @param {string} seriesId - Series UUID
+   * @returns {Promise<Array>} Sessions with question_count and an is_editable flag
+   *   (sessions become read-only once attendance has been opened)
+   */
+  static async findSessions(seriesId) {
+    const { rows } = await pool.query(
+      `SELECT s.id, s.title, s.description, s.access_code,
+              TO_CHAR(s.session_date, 'YYYY-MM-DD') as session_date,
+              TO_CHAR(s.session_time, 'HH24:MI:SS') as session_time,
+              s.starts_at, s.ends_at, s.code_expires_at, s.attendance_opened_at, s.attendance_closed_at,
+              (s.attendance_opened_at IS NULL) as is_editable,
+              (SELECT COUNT(*)::int FROM session_questions sq WHERE sq.session_id = s.id) as question_count
+       FROM sessions s
+       WHERE s.series_id = $1
+       ORDER BY s.session_date, s.session_time`,
+      [seriesId]
+    );
+    return rows;
+  }
+
+  /**
+   * Apply a bulk edit to a series in one transaction
+   * @param {string} seriesId - Series UUID
+   * @param {Object} changes
+   * @param {Object} [changes.series] - Columns to update on the series row
+   * @param {Array<Object>} [changes.sessionUpdates] - [{ id, title?, description?, session_time?, code_expires_at?, ends_at?, attendance_rules? }]
+   * @param {string[]} [changes.deleteSessionIds] - Sessions to remove from the series
+   * @param {Array<Object>|null} [changes.questions] - When set, replaces the questions on every updated session
+   * @param {string} updatedBy - User making the change
+   * @returns {Promise<Object|null>} Updated series
+   */
+  static async applyChanges(seriesId, changes, updatedBy) {
+    const { series = {}, sessionUpdates = [], deleteSessionIds = [], questions = null } = changes;
+    const seriesFields = new Set(['title', 'description', 'skip_dates', 'default_questions', 'attendance_rules', 'schedule']);
+    const sessionFields = new Set(['title', 'description', 'session_time', 'code_expires_at', 'ends_at', 'attendance_rules']);
+    const jsonFields = new Set(['default_questions', 'attendance_rules', 'schedule']);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const setClauses = ['updated_by = $1'];
+      const values = [updatedBy];
+      for (const [key, value] of Object.entries(series)) {
+        if (!seriesFields.has(key)) continue;
+        values.push(jsonFields.has(key) ? toJson(value) : value);
+        const cast = key === 'skip_dates' ? '::date[]' : '';
+        setClauses.push(`${key} = $${values.length}${cast}`);
+      }
+      values.push(seriesId);
+      await client.query(
+        `UPDATE session_series SET ${setClauses.join(', ')} WHERE id = $${values.length}`,
+        values
+      );
+
+      for (const update of sessionUpdates) {
+        const sessionClauses = ['updated_by = $1'];
+        const sessionValues = [updatedBy];
+        for (const [key, value] of Object.entries(update)) {
+          if (!sessionFields.has(key)) continue;
+          sessionValues.push(jsonFields.has(key) ? toJson(value) : value);
+          sessionClauses.push(`${key} = $${sessionValues.length}`);
+        }
+        sessionValues.push(update.id, seriesId);
+        await client.query(
+          `UPDATE sessions SET ${sessionClauses.join(', ')}
+           WHERE id = $${sessionValues.length - 1} AND series_id = $${sessionValues.length}`,
+          sessionValues
+        );
+
+        if (questions) {
+          await client.query('DELETE FROM session_questions WHERE session_id = $1', [update.id]);
+          await insertQuestions(client, update.id, questions, updatedBy);
+        }
+      }
+
+      if (deleteSessionIds.length > 0) {
+        await client.query(
+          'DELETE FROM sessions WHERE series_id = $1 AND id = ANY($2::uuid[])',
+          [seriesId, deleteSessionIds]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findById(seriesId);
+  }
+
+  /**
+   * Delete a series row (remaining sessions are kept and detached via ON DELETE SET NULL)
+   * @param {string} seriesId - Series UUID
+   * @returns {Promise<Object|null>} Deleted row
+   */
+  static async delete(seriesId) {
+    const { rows } = await pool.query(
+      'DELETE FROM session_series WHERE id = $1 RETURNING *',
+      [seriesId]
+    );
+    return rows[0] || null;
+  }
+}
@@ -0,0 +1,244 @@
+import { pool } from '../db.js';
+import { TeamMembershipModel } from './team-membership-model.js';
+
+const RUN_SELECT = `
+  SELECT r.id, r.offering_id, r.status, r.options, r.teams, r.team_ids,
+         r.created_by, r.created_at, r.updated_at, r.committed_by, r.committed_at
+  FROM team_formation_runs r
+`;
+
+/**
+ * TeamFormationModel - Database operations for teammate preferences and team formation runs
+ */
+export class TeamFormationModel {
+  /**
+   * Get the students of a course with their formation preferences
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>} { user_id, name, email, institution_type, availability_specific,
+   *   preferred_teammate_ids, avoided_teammate_ids, skills, timezone, team_id } ordered by name
+   */
+  static async findStudents(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT u.id as user_id, u.name, u.email, u.institution_type, u.availability_specific,
+              COALESCE(p.preferred_teammate_ids, ARRAY[]::UUID[]) as preferred_teammate_ids,
+              COALESCE(p.avoided_teammate_ids, ARRAY[]::UUID[]) as avoided_teammate_ids,
+              COALESCE(p.skills, ARRAY[]::TEXT[]) as skills,
+              p.timezone,
+              p.updated_at as preferences_updated_at,
+              (SELECT tm.team_id
+               FROM team_members tm
+               JOIN team t ON tm.team_id = t.id
+               WHERE tm.user_id = u.id AND tm.left_at IS NULL AND t.offering_id = $1
+               LIMIT 1) as team_id
+       FROM enrollments e
+       JOIN users u ON e.user_id = u.id
+       LEFT JOIN team_formation_preferences p ON p.offering_id = $1 AND p.user_id = u.id
+       WHERE e.offering_id = $1
+         AND e.status = 'enrolled'
+         AND (e.course_role = 'student' OR e.course_role = 'team-lead')
+         AND u.deleted_at IS NULL
+       ORDER BY u.name, u.email`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get one student's preferences
+   * @returns {Promise<Object|null>}
+   */
+  static async findPreferences(offeringId, userId) {
+    const { rows } = await pool.query(
+      `SELECT p.*, u.availability_specific
+       FROM team_formation_preferences p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.offering_id = $1 AND p.user_id = $2`,
+      [offeringId, userId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Save a student's preferences, and their weekly availability when given
+   * @param {string} offeringId - Course offering UUID
+   * @param {string} userId - Student UUID
+   * @param {Object} preferences - Normalized preferences
+   * @param {Object|undefined} availability - New users.availability_specific, or undefined to keep it
+   * @returns {Promise<Object>} Saved preferences
+   */
+  static async upsertPreferences(offeringId, userId, preferences, availability) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO team_formation_preferences
+         (offering_id, user_id, preferred_teammate_ids, avoided_teammate_ids, skills, timezone)
+         VALUES ($1, $2, $3::UUID[], $4::UUID[], $5::TEXT[], $6)
+         ON CONFLICT (offering_id, user_id)
+         DO UPDATE SET
+           preferred_teammate_ids = EXCLUDED.preferred_teammate_ids,
+           avoided_teammate_ids = EXCLUDED.avoided_teammate_ids,
+           skills = EXCLUDED.skills,
+           timezone = EXCLUDED.timezone`,
+        [
+          offeringId,
+          userId,
+          preferences.preferred_teammate_ids,
+          preferences.avoided_teammate_ids,
+          preferences.skills,
+          preferences.timezone
+        ]
+      );
+
+      if (availability !== undefined) {
+        await client.query(
+          'UPDATE users SET availability_specific = $1::jsonb, updated_by = $2 WHERE id = $2',
+          [availability === null ? null : JSON.stringify(availability), userId]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.findPreferences(offeringId, userId);
+  }
+
+  /**
+   * Store a proposal
+   * @param {Object} data - { offering_id, options, teams, created_by }
+   * @returns {Promise<Object>} The run
+   */
+  static async createRun({ offering_id, options, teams, created_by }) {
+    const { rows } = await pool.query(
+      `INSERT INTO team_formation_runs (offering_id, options, teams, created_by)
+       VALUES ($1, $2::jsonb, $3::jsonb, $4)
+       RETURNING id`,
+      [offering_id, JSON.stringify(options), JSON.stringify(teams), created_by]
+    );
+    return this.findRunById(rows[0].id);
+  }
+
+  /**
+   * Get a run
+   * @returns {Promise<Object|null>}
+   */
+  static async findRunById(runId) {
+    const { rows } = await pool.query(`${RUN_SELECT} WHERE r.id = $1`, [runId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Replace a proposal's teams after instructors adjusted them
+   * @returns {Promise<Object|null>} The run, or null if it was already committed
+   */
+  static async updateRunTeams(runId, teams) {
+    const { rowCount } = await pool.query(
+      `UPDATE team_formation_runs
+       SET teams = $2::jsonb
+       WHERE id = $1 AND status = 'proposed'`,
+      [runId, JSON.stringify(teams)]
+    );
+    return rowCount ? this.findRunById(runId) : null;
+  }
+
+  /**
+   * Create the proposal's teams and memberships in one transaction
+   * @param {string} runId - Run UUID
+   * @param {Object} data - { offering_id, teams: [{ name, team_number, member_ids, leader_id }], committed_by }
+   * @returns {Promise<Object>} { team_ids } or { already_on_team: user IDs } when someone joined a team since
+   *   the proposal, or null if the run was already committed
+   */
+  static async commitRun(runId, { offering_id, teams, committed_by }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: locked } = await client.query(
+        `SELECT id FROM team_formation_runs
+         WHERE id = $1 AND status = 'proposed'
+         FOR UPDATE`,
+        [runId]
+      );
+      if (locked.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const memberIds = teams.flatMap((team) => team.member_ids);
+      const { rows: taken } = await client.query(
+        `SELECT DISTINCT tm.user_id
+         FROM team_members tm
+         JOIN team t ON tm.team_id = t.id
+         WHERE t.offering_id = $1 AND tm.left_at IS NULL AND tm.user_id = ANY($2::UUID[])`,
+        [offering_id, memberIds]
+      );
+      if (taken.length > 0) {
+        await client.query('ROLLBACK');
+        return { already_on_team: taken.map((row) => row.user_id) };
+      }
+
+      const teamIds = [];
+      for (const team of teams) {
+        const { rows: created } = await client.query(
+          `INSERT INTO team (offering_id, name, team_number, status, formed_at, created_by)
+           VALUES ($1, $2, $3, 'forming'::team_status_enum, CURRENT_DATE, $4)
+           RETURNING id`,
+          [offering_id, team.name, team.team_number, committed_by]
+        );
+        const teamId = created[0].id;
+        teamIds.push(teamId);
+
+        for (const userId of team.member_ids) {
+          const role = userId === team.leader_id ? 'leader' : 'member';
+          await client.query(
+            `INSERT INTO team_members (team_id, user_id, role, joined_at, added_by)
+             VALUES ($1, $2, $3::team_member_role_enum, CURRENT_DATE, $4)`,
+            [teamId, userId, role, committed_by]
+          );
+          await TeamMembershipModel.recordEvent({
+            event_type: 'joined',
+            user_id: userId,
+            to_team_id: teamId,
+            role,
+            reason: 'Team formation',
+            performed_by: committed_by
+          }, client);
+        }
+      }
+
+      await client.query(
+        `UPDATE team_formation_runs
+         SET status = 'committed', teams = $2::jsonb, team_ids = $3::UUID[],
+             committed_by = $4, committed_at = NOW()
+         WHERE id = $1`,
+        [runId, JSON.stringify(teams), teamIds, committed_by]
+      );
+
+      await client.query('COMMIT');
+      return { team_ids: teamIds };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Highest team number in a course, so new teams continue the numbering
+   * @returns {Promise<number>}
+   */
+  static async findMaxTeamNumber(offeringId) {
+    const { rows } = await pool.query(
+      'SELECT COALESCE(MAX(team_number), 0)::int as max_number FROM team WHERE offering_id = $1',
+      [offeringId]
+    );
+    return rows[0].max_number;
+  }
+}
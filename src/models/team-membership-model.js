@@ -0,0 +1,277 @@
+import { pool } from '../db.js';
+
+const EVENT_SELECT = `
+  SELECT e.id, e.offering_id, e.user_id, u.name as user_name, u.email as user_email,
+         e.event_type, e.from_team_id, e.from_team_name, e.to_team_id, e.to_team_name,
+         e.role, e.reason, e.transfer_request_id, e.occurred_at,
+         e.performed_by, performer.name as performed_by_name,
+         e.approved_by, approver.name as approved_by_name
+  FROM team_membership_events e
+  JOIN users u ON e.user_id = u.id
+  LEFT JOIN users performer ON e.performed_by = performer.id
+  LEFT JOIN users approver ON e.approved_by = approver.id
+`;
+
+const REQUEST_SELECT = `
+  SELECT r.id, r.offering_id, r.user_id, u.name as user_name, u.email as user_email,
+         r.from_team_id, from_team.name as from_team_name,
+         r.to_team_id, to_team.name as to_team_name,
+         r.requested_by, requester.name as requested_by_name,
+         r.reason, r.status, r.reviewed_by, reviewer.name as reviewed_by_name,
+         r.review_note, r.reviewed_at, r.created_at, r.updated_at
+  FROM team_transfer_requests r
+  JOIN users u ON r.user_id = u.id
+  JOIN team from_team ON r.from_team_id = from_team.id
+  JOIN team to_team ON r.to_team_id = to_team.id
+  JOIN users requester ON r.requested_by = requester.id
+  LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+`;
+
+/**
+ * TeamMembershipModel - Database operations for the team membership ledger and transfer requests
+ */
+export class TeamMembershipModel {
+  /**
+   * Append an event to the membership ledger
+   * The course and team names are read from the teams so they survive the team being deleted.
+   * @param {Object} event - { event_type, user_id, from_team_id?, to_team_id?, role?, reason?,
+   *   transfer_request_id?, performed_by?, approved_by? }
+   * @param {Object} [db] - Pool or transaction client
+   * @returns {Promise<Object>} Created event
+   */
+  static async recordEvent(event, db = pool) {
+    const { rows } = await db.query(
+      `INSERT INTO team_membership_events
+       (offering_id, user_id, event_type, from_team_id, from_team_name, to_team_id, to_team_name,
+        role, reason, transfer_request_id, performed_by, approved_by)
+       SELECT COALESCE(to_team.offering_id, from_team.offering_id), $1, $2,
+              from_team.id, from_team.name, to_team.id, to_team.name,
+              $5::team_member_role_enum, $6, $7, $8, $9
+       FROM (SELECT 1) one
+       LEFT JOIN team from_team ON from_team.id = $3
+       LEFT JOIN team to_team ON to_team.id = $4
+       RETURNING *`,
+      [
+        event.user_id,
+        event.event_type,
+        event.from_team_id || null,
+        event.to_team_id || null,
+        event.role || null,
+        event.reason || null,
+        event.transfer_request_id || null,
+        event.performed_by || null,
+        event.approved_by || null
+      ]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Get ledger events, oldest first
+   * @param {Object} filters - { offeringId?, teamId?, userId? }
+   * @returns {Promise<Object[]>}
+   */
+  static async findEvents({ offeringId, teamId, userId } = {}) {
+    const conditions = [];
+    const values = [];
+    if (offeringId) {
+      values.push(offeringId);
+      conditions.push(`e.offering_id = $${values.length}`);
+    }
+    if (teamId) {
+      values.push(teamId);
+      conditions.push(`(e.from_team_id = $${values.length} OR e.to_team_id = $${values.length})`);
+    }
+    if (userId) {
+      values.push(userId);
+      conditions.push(`e.user_id = $${values.length}`);
+    }
+
+    const { rows } = await pool.query(
+      `${EVENT_SELECT}
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY e.occurred_at, e.id`,
+      values
+    );
+    return rows;
+  }
+
+  /**
+   * Get active memberships in a course
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>} [{ team_id, team_name, user_id, role }]
+   */
+  static async findActiveMemberships(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT tm.team_id, t.name as team_name, tm.user_id, tm.role
+       FROM team_members tm
+       JOIN team t ON tm.team_id = t.id
+       WHERE t.offering_id = $1 AND tm.left_at IS NULL`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get a course's teams with how many members each has
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>} [{ id, name, team_number, member_count }]
+   */
+  static async findTeams(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT t.id, t.name, t.team_number,
+              COUNT(tm.user_id) FILTER (WHERE tm.left_at IS NULL)::int as member_count
+       FROM team t
+       LEFT JOIN team_members tm ON tm.team_id = t.id
+       WHERE t.offering_id = $1
+       GROUP BY t.id
+       ORDER BY t.team_number NULLS LAST, t.name`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Create a transfer request
+   * @param {Object} data - { offering_id, user_id, from_team_id, to_team_id, requested_by, reason }
+   * @returns {Promise<Object|null>} The request, or null when the student already has a pending one
+   */
+  static async createTransferRequest(data) {
+    const { rows } = await pool.query(
+      `INSERT INTO team_transfer_requests
+       (offering_id, user_id, from_team_id, to_team_id, requested_by, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (offering_id, user_id) WHERE status = 'pending' DO NOTHING
+       RETURNING id`,
+      [data.offering_id, data.user_id, data.from_team_id, data.to_team_id, data.requested_by, data.reason]
+    );
+    return rows[0] ? this.findTransferRequestById(rows[0].id) : null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  static async findTransferRequestById(requestId) {
+    const { rows } = await pool.query(`${REQUEST_SELECT} WHERE r.id = $1`, [requestId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Get a course's transfer requests, newest first
+   * @param {string} offeringId - Course offering UUID
+   * @param {Object} [filters] - { status?, userId? (the student or whoever asked) }
+   * @returns {Promise<Object[]>}
+   */
+  static async findTransferRequests(offeringId, { status, userId } = {}) {
+    const values = [offeringId];
+    const conditions = ['r.offering_id = $1'];
+    if (status) {
+      values.push(status);
+      conditions.push(`r.status = $${values.length}`);
+    }
+    if (userId) {
+      values.push(userId);
+      conditions.push(`(r.user_id = $${values.length} OR r.requested_by = $${values.length})`);
+    }
+
+    const { rows } = await pool.query(
+      `${REQUEST_SELECT}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY r.created_at DESC`,
+      values
+    );
+    return rows;
+  }
+
+  /**
+   * Close a pending request without moving anyone (rejected or withdrawn)
+   * @param {string} requestId - Request UUID
+   * @param {Object} data - { status, reviewed_by, review_note }
+   * @returns {Promise<boolean>} false if the request was no longer pending
+   */
+  static async closeTransferRequest(requestId, { status, reviewed_by, review_note }) {
+    const { rowCount } = await pool.query(
+      `UPDATE team_transfer_requests
+       SET status = $2, reviewed_by = $3, review_note = $4, reviewed_at = NOW()
+       WHERE id = $1 AND status = 'pending'`,
+      [requestId, status, reviewed_by, review_note]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Approve a transfer: end the old membership, start the new one and record the move
+   * The student joins the new team as a member, whatever their old role was.
+   * @param {string} requestId - Request UUID
+   * @param {Object} data - { reviewed_by, review_note }
+   * @returns {Promise<Object>} { not_pending } | { not_on_team } | { event }
+   */
+  static async approveTransferRequest(requestId, { reviewed_by, review_note }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: requests } = await client.query(
+        'SELECT * FROM team_transfer_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      const request = requests[0];
+      if (request?.status !== 'pending') {
+        await client.query('ROLLBACK');
+        return { not_pending: true };
+      }
+
+      const { rows: left } = await client.query(
+        `UPDATE team_members
+         SET left_at = CURRENT_DATE, removed_by = $3
+         WHERE team_id = $1 AND user_id = $2 AND left_at IS NULL
+         RETURNING role`,
+        [request.from_team_id, request.user_id, reviewed_by]
+      );
+      if (left.length === 0) {
+        await client.query('ROLLBACK');
+        return { not_on_team: true };
+      }
+
+      await client.query(
+        `INSERT INTO team_members (team_id, user_id, role, joined_at, added_by)
+         VALUES ($1, $2, 'member'::team_member_role_enum, CURRENT_DATE, $3)
+         ON CONFLICT (team_id, user_id)
+         DO UPDATE SET
+           role = 'member'::team_member_role_enum,
+           joined_at = CURRENT_DATE,
+           left_at = NULL,
+           added_by = EXCLUDED.added_by,
+           removed_by = NULL`,
+        [request.to_team_id, request.user_id, reviewed_by]
+      );
+
+      await client.query(
+        `UPDATE team_transfer_requests
+         SET status = 'approved', reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+         WHERE id = $1`,
+        [requestId, reviewed_by, review_note]
+      );
+
+      const event = await this.recordEvent({
+        event_type: 'transferred',
+        user_id: request.user_id,
+        from_team_id: request.from_team_id,
+        to_team_id: request.to_team_id,
+        role: 'member',
+        reason: request.reason,
+        transfer_request_id: requestId,
+        performed_by: request.requested_by,
+        approved_by: reviewed_by
+      }, client);
+
+      await client.query('COMMIT');
+      return { event };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
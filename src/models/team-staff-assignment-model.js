@@ -0,0 +1,152 @@
+import { pool } from '../db.js';
+
+/**
+ * TeamStaffAssignmentModel - Database operations for TA and tutor team assignments
+ */
+export class TeamStaffAssignmentModel {
+  /**
+   * Get a course's assignments with the supervisor's name and course role
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>} [{ team_id, user_id, name, email, course_role, created_at }]
+   */
+  static async findByOffering(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT a.team_id, a.user_id, u.name, u.email, e.course_role, a.created_at
+       FROM team_staff_assignments a
+       JOIN users u ON a.user_id = u.id
+       LEFT JOIN enrollments e ON e.offering_id = a.offering_id AND e.user_id = a.user_id
+       WHERE a.offering_id = $1
+       ORDER BY u.name`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the TAs and tutors enrolled in a course
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>} [{ user_id, name, email, course_role }]
+   */
+  static async findStaff(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT u.id as user_id, u.name, u.email, e.course_role
+       FROM enrollments e
+       JOIN users u ON e.user_id = u.id
+       WHERE e.offering_id = $1
+         AND e.status = 'enrolled'::enrollment_status_enum
+         AND e.course_role IN ('ta'::enrollment_role_enum, 'tutor'::enrollment_role_enum)
+         AND u.deleted_at IS NULL
+       ORDER BY u.name`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get a course's teams in hand-out order
+   * @param {string} offeringId - Course offering UUID
+   * @returns {Promise<Object[]>} [{ id, name, team_number }]
+   */
+  static async findTeams(offeringId) {
+    const { rows } = await pool.query(
+      `SELECT id, name, team_number
+       FROM team
+       WHERE offering_id = $1
+       ORDER BY team_number NULLS LAST, name`,
+      [offeringId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the teams a staff member supervises in a course
+   * @param {string} offeringId - Course offering UUID
+   * @param {string} userId - Staff user UUID
+   * @returns {Promise<string[]>} Team IDs
+   */
+  static async findTeamIdsForUser(offeringId, userId) {
+    const { rows } = await pool.query(
+      'SELECT team_id FROM team_staff_assignments WHERE offering_id = $1 AND user_id = $2',
+      [offeringId, userId]
+    );
+    return rows.map((row) => row.team_id);
+  }
+
+  /**
+   * Replace a team's supervisors
+   * @param {string} offeringId - Course offering UUID
+   * @param {string} teamId - Team UUID
+   * @param {string[]} userIds - Staff user UUIDs
+   * @param {string} assignedBy - Acting user UUID
+   * @returns {Promise<string[]>} User IDs whose assignments changed
+   */
+  static async replaceForTeam(offeringId, teamId, userIds, assignedBy) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: removed } = await client.query(
+        `DELETE FROM team_staff_assignments
+         WHERE team_id = $1 AND NOT (user_id = ANY($2::UUID[]))
+         RETURNING user_id`,
+        [teamId, userIds]
+      );
+      const { rows: added } = await client.query(
+        `INSERT INTO team_staff_assignments (offering_id, team_id, user_id, assigned_by)
+         SELECT $1, $2, user_id, $4
+         FROM unnest($3::UUID[]) as user_id
+         ON CONFLICT (team_id, user_id) DO NOTHING
+         RETURNING user_id`,
+        [offeringId, teamId, userIds, assignedBy]
+      );
+
+      await client.query('COMMIT');
+      return [...removed, ...added].map((row) => row.user_id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace every assignment held by a group of staff in a course
+   * @param {string} offeringId - Course offering UUID
+   * @param {string[]} staffIds - The group's user UUIDs; their other assignments are removed
+   * @param {Object[]} assignments - [{ team_id, user_id }]
+   * @param {string} assignedBy - Acting user UUID
+   * @returns {Promise<void>}
+   */
+  static async replaceForStaff(offeringId, staffIds, assignments, assignedBy) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'DELETE FROM team_staff_assignments WHERE offering_id = $1 AND user_id = ANY($2::UUID[])',
+        [offeringId, staffIds]
+      );
+      if (assignments.length > 0) {
+        await client.query(
+          `INSERT INTO team_staff_assignments (offering_id, team_id, user_id, assigned_by)
+           SELECT $1, assignment.team_id, assignment.user_id, $4
+           FROM unnest($2::UUID[], $3::UUID[]) as assignment(team_id, user_id)`,
+          [
+            offeringId,
+            assignments.map((assignment) => assignment.team_id),
+            assignments.map((assignment) => assignment.user_id),
+            assignedBy
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -0,0 +1,140 @@
+(function() {
+  'use strict';
+
+  if (globalThis.DashboardService === undefined) {
+    console.error('DashboardService not loaded. At-risk students widget will be disabled.');
+    return;
+  }
+
+  const {
+    getActiveOfferingId,
+    getAtRiskStudents,
+    acknowledgeRiskFlag
+  } = globalThis.DashboardService;
+
+  function formatMetric(flag) {
+    if (flag.metric_value === null || flag.metric_value === undefined) return '';
+    return flag.metric === 'attendance_rate'
+      ? `${flag.metric_value}% attendance`
+      : `${flag.metric_value} unexcused ${flag.metric_value === 1 ? 'absence' : 'absences'}`;
+  }
+
+  function formatAcknowledgement(flag) {
+    const date = flag.acknowledged_at ? new Date(flag.acknowledged_at) : null;
+    const when = date && !Number.isNaN(date.getTime())
+      ? ` on ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+      : '';
+    const by = flag.acknowledged_by_name ? ` by ${flag.acknowledged_by_name}` : '';
+    const note = flag.acknowledgement_note ? ` — ${flag.acknowledgement_note}` : '';
+    return `Acknowledged${by}${when}${note}`;
+  }
+
+  function createFlagDomItem(flag) {
+    const item = document.createElement('li');
+    item.className = 'at-risk-flag';
+    item.dataset.flagId = flag.id;
+
+    const policy = document.createElement('span');
+    policy.className = 'at-risk-flag-policy';
+    policy.textContent = flag.policy_name;
+
+    const value = document.createElement('span');
+    value.className = 'at-risk-flag-value';
+    value.textContent = formatMetric(flag);
+
+    item.append(policy, value);
+
+    if (flag.status === 'acknowledged') {
+      const ack = document.createElement('span');
+      ack.className = 'at-risk-flag-ack';
+      ack.textContent = formatAcknowledgement(flag);
+      item.appendChild(ack);
+      return item;
+    }
+
+    const ackBtn = document.createElement('button');
+    ackBtn.type = 'button';
+    ackBtn.className = 'btn btn-ghost at-risk-acknowledge';
+    ackBtn.textContent = 'Acknowledge';
+    ackBtn.addEventListener('click', async () => {
+      const note = window.prompt('Optional note (e.g. "Emailed student"):', '');
+      if (note === null) return;
+
+      ackBtn.disabled = true;
+      try {
+        const updated = await acknowledgeRiskFlag(flag.id, note);
+        item.replaceWith(createFlagDomItem({ ...flag, ...updated, metric_value: flag.metric_value }));
+      } catch (err) {
+        console.error('Failed to acknowledge at-risk flag', err);
+        alert(err.message || 'Failed to acknowledge flag. Please try again.');
+        ackBtn.disabled = false;
+      }
+    });
+    item.appendChild(ackBtn);
+
+    return item;
+  }
+
+  function createStudentDomItem(student) {
+    const item = document.createElement('div');
+    item.className = 'at-risk-item';
+    item.dataset.userId = student.user_id;
+
+    const name = document.createElement('div');
+    name.className = 'at-risk-student';
+    name.textContent = student.user_name || student.user_email || 'Student';
+
+    const flags = document.createElement('ul');
+    flags.className = 'at-risk-flags';
+    student.flags.forEach((flag) => flags.appendChild(createFlagDomItem(flag)));
+
+    item.append(name, flags);
+    return item;
+  }
+
+  async function initAtRiskCard(card) {
+    const list = card.querySelector('.at-risk-list');
+    const countBadge = card.querySelector('.at-risk-count');
+    if (!list) {
+      console.warn('At-risk list not found in card');
+      return;
+    }
+
+    try {
+      const offeringId = await getActiveOfferingId();
+      if (!offeringId) {
+        list.innerHTML = '<p class="dashboard-empty-state">No active course</p>';
+        return;
+      }
+
+      const students = await getAtRiskStudents(offeringId);
+      if (countBadge) {
+        countBadge.textContent = String(students.length);
+        countBadge.hidden = students.length === 0;
+      }
+      if (students.length === 0) {
+        list.innerHTML = '<p class="dashboard-empty-state">No students are at risk</p>';
+        return;
+      }
+
+      list.innerHTML = '';
+      students.forEach((student) => {
+        list.appendChild(createStudentDomItem(student));
+      });
+    } catch (err) {
+      console.error('Failed to load at-risk students', err);
+      list.innerHTML = '<p class="dashboard-error-state">Error loading at-risk students</p>';
+    }
+  }
+
+  function bootstrap() {
+    const cards = document.querySelectorAll('.dashboard-card.at-risk-card');
+    cards.forEach(initAtRiskCard);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bootstrap);
+  } else {
+    bootstrap();
+  }
+})();
@@ -0,0 +1,144 @@
+// Paper sign-in sheet: printable roster with per-student codes, and transcription of the
+// codes students wrote down back into attendance
+(function attendanceSheet() {
+  const selectors = {
+    course: document.getElementById('sheet-course'),
+    title: document.getElementById('sheet-title'),
+    date: document.getElementById('sheet-date'),
+    print: document.getElementById('sheet-print'),
+    error: document.getElementById('sheet-error'),
+    rows: document.getElementById('sheet-rows'),
+    form: document.getElementById('transcribe-form'),
+    codes: document.getElementById('transcribe-codes'),
+    result: document.getElementById('transcribe-result')
+  };
+
+  let sessionId = null;
+
+  function getSessionId() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('sessionId') || params.get('lectureId');
+  }
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function formatDate(date) {
+    if (!date) return '';
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString([], {
+      weekday: 'long', month: 'long', day: 'numeric', year: 'numeric'
+    });
+  }
+
+  function renderSheet(sheet) {
+    const { session, entries } = sheet;
+    selectors.course.textContent = [session.course_code, session.course_name].filter(Boolean).join(' · ');
+    selectors.title.textContent = session.title;
+    selectors.date.textContent = formatDate(session.session_date);
+    document.title = `Sign-in Sheet — ${session.title}`;
+
+    selectors.rows.innerHTML = '';
+    if (!entries.length) {
+      const cell = selectors.rows.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = 'No students are enrolled in this course.';
+      return;
+    }
+    for (const entry of entries) {
+      const row = selectors.rows.insertRow();
+      if (['present', 'late'].includes(entry.attendance_status)) {
+        row.className = 'sheet-row-recorded';
+      }
+      row.insertCell().textContent = entry.name || entry.email;
+      row.insertCell().textContent = entry.ucsd_pid || '';
+      const code = row.insertCell();
+      code.className = 'sheet-code';
+      code.textContent = entry.code;
+      row.insertCell();
+      row.insertCell();
+    }
+  }
+
+  function appendList(heading, items) {
+    if (!items.length) return;
+    const title = document.createElement('p');
+    title.textContent = heading;
+    const list = document.createElement('ul');
+    for (const item of items) {
+      const li = document.createElement('li');
+      li.textContent = item;
+      list.appendChild(li);
+    }
+    selectors.result.append(title, list);
+  }
+
+  function renderResult(result) {
+    selectors.result.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.textContent = `${result.recorded.length} student${result.recorded.length !== 1 ? 's' : ''} marked present.`;
+    selectors.result.appendChild(summary);
+
+    appendList('Already recorded:', result.already_recorded.map((entry) => entry.name || entry.code));
+    appendList('Codes not on this sheet (check for typos):', result.unknown);
+    appendList('Entered more than once:', result.repeated);
+  }
+
+  async function load() {
+    try {
+      const sheet = await window.LectureService.getAttendanceSheet(sessionId);
+      clearError();
+      renderSheet(sheet);
+    } catch (error) {
+      console.error('Error loading sign-in sheet:', error);
+      selectors.title.textContent = 'Sign-in sheet unavailable';
+      showError(error.message || 'Unable to load the sign-in sheet');
+    }
+  }
+
+  async function transcribe(event) {
+    event.preventDefault();
+    const submit = selectors.form.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    try {
+      const result = await window.LectureService.transcribeAttendanceSheet(sessionId, selectors.codes.value);
+      clearError();
+      renderResult(result);
+      // Keep only the codes that need another look
+      selectors.codes.value = result.unknown.join('\n');
+      await load();
+    } catch (error) {
+      console.error('Error transcribing codes:', error);
+      showError(error.message || 'Unable to record attendance');
+    } finally {
+      submit.disabled = false;
+    }
+  }
+
+  function init() {
+    if (!window.LectureService) return;
+
+    sessionId = getSessionId();
+    if (!sessionId) {
+      selectors.title.textContent = 'Sign-in sheet unavailable';
+      showError('No session ID provided. Open this page from a lecture.');
+      return;
+    }
+
+    selectors.print.addEventListener('click', () => window.print());
+    selectors.form.addEventListener('submit', transcribe);
+    load();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
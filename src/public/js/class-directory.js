@@ -406,6 +406,10 @@ const renderPersonCard = (user, options = {}) => {
   if (showTeam && (user.team_name || user.team)) {
     tags.push(`<span class="tag">Team ${user.team_name || user.team}</span>`);
   }
+  if (Array.isArray(user.at_risk) && user.at_risk.length) {
+    const policies = user.at_risk.map((flag) => flag.policy_name).join('; ');
+    tags.push(`<span class="tag tag-warning" title="${escapeHtml(policies)}">At risk</span>`);
+  }
 
   let activityClass = null;
   if (activity?.kind === 'active') {
@@ -934,6 +938,19 @@ const renderTeamCard = (team) => {
     : `<p class="group-members-empty">No other members assigned yet.</p>`;
 
 
+  // Past members from the membership ledger, most recent departure first
+  const formerMembers = Array.isArray(team.former_members) ? team.former_members : [];
+  const formerMembersHtml = formerMembers
+    .map((m) => {
+      const leftDate = formatDate(m.left_at);
+      const details = [
+        leftDate ? `left ${leftDate}` : null,
+        m.moved_to_team_name ? `moved to ${m.moved_to_team_name}` : null
+      ].filter(Boolean).join(', ');
+      return `<span class="member-bubble member-bubble-former" title="${details}">${m.name || 'Unknown'}</span>`;
+    })
+    .join('');
+
   const formedDate = formatDate(team.formed_at);
 
   // Parse links JSON if it's a string
@@ -995,6 +1012,15 @@ const renderTeamCard = (team) => {
         ${memberListHtml}
       </section>
 
+      ${formerMembers.length > 0 ? `
+      <section class="team-info-section">
+        <h5 class="team-section-label">Former Members</h5>
+        <div class="team-members-bubbles">
+          ${formerMembersHtml}
+        </div>
+      </section>
+      ` : ''}
+
       ${linksHtml.length > 0 ? `
       <section class="team-info-section">
         <h5 class="team-section-label">Links</h5>
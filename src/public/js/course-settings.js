@@ -1,10 +1,11 @@
 /**
  * Course Settings Page Scripts
- * Handles color palette selection and saving
+ * Handles course information, attendance policies and color palette selection
  */
 
 (function() {
   const PALETTE_STORAGE_KEY = 'conductor_color_palette';
+  let activeOfferingId = null;
   
   // Color palette definitions
   const PALETTES = {
@@ -110,6 +111,8 @@
       }
       
       const offering = await response.json();
+      activeOfferingId = offering.id;
+      loadPolicies();
       
       // Populate form fields
       if (offering.code) document.getElementById('courseCode').value = offering.code;
@@ -127,6 +130,9 @@
         document.getElementById('endDate').value = endDate.toISOString().split('T')[0];
       }
       if (offering.location) document.getElementById('location').value = offering.location;
+      document.getElementById('locationLatitude').value = offering.location_latitude ?? '';
+      document.getElementById('locationLongitude').value = offering.location_longitude ?? '';
+      document.getElementById('timezone').value = offering.timezone || 'America/Los_Angeles';
       if (offering.enrollment_cap) document.getElementById('enrollmentCap').value = offering.enrollment_cap;
       if (offering.class_timings) {
         const timings = typeof offering.class_timings === 'string' 
@@ -135,6 +141,24 @@
         document.getElementById('classTimings').value = timings;
       }
       if (offering.syllabus_url) document.getElementById('syllabusUrl').value = offering.syllabus_url;
+      if (offering.attendance_rules) {
+        const rules = typeof offering.attendance_rules === 'string'
+          ? JSON.parse(offering.attendance_rules)
+          : offering.attendance_rules;
+        if (rules.present_minutes !== undefined) document.getElementById('presentMinutes').value = rules.present_minutes;
+        if (rules.late_minutes !== undefined) document.getElementById('lateMinutes').value = rules.late_minutes;
+        document.getElementById('remoteAttendance').value = rules.remote_counts_as_present === false ? 'absent' : 'present';
+        document.getElementById('recordingAttendance').value = rules.recording_counts_as_present ? 'present' : 'absent';
+      }
+      if (offering.participation_formula) {
+        const formula = typeof offering.participation_formula === 'string'
+          ? JSON.parse(offering.participation_formula)
+          : offering.participation_formula;
+        if (formula.points_possible !== undefined) document.getElementById('participationPoints').value = formula.points_possible;
+        if (formula.weights?.late !== undefined) document.getElementById('lateCredit').value = Math.round(formula.weights.late * 100);
+        document.getElementById('excusedHandling').value = formula.weights?.excused === null ? 'exclude' : 'credit';
+        if (formula.drop_lowest !== undefined) document.getElementById('dropLowest').value = formula.drop_lowest;
+      }
       if (offering.status) document.getElementById('status').value = offering.status;
       
     } catch (error) {
@@ -158,6 +182,9 @@
     const startDate = formData.get('start_date');
     const endDate = formData.get('end_date');
     const location = formData.get('location');
+    const timezone = formData.get('timezone');
+    const locationLatitude = formData.get('location_latitude');
+    const locationLongitude = formData.get('location_longitude');
     const enrollmentCap = formData.get('enrollment_cap');
     const classTimings = formData.get('class_timings');
     const syllabusUrl = formData.get('syllabus_url');
@@ -181,6 +208,10 @@
     if (startDate) data.start_date = startDate;
     if (endDate) data.end_date = endDate;
     if (location) data.location = location;
+    if (timezone && timezone.trim()) data.timezone = timezone.trim();
+    // Blank coordinates clear the geofence centre
+    data.location_latitude = locationLatitude && locationLatitude.trim() ? Number(locationLatitude) : null;
+    data.location_longitude = locationLongitude && locationLongitude.trim() ? Number(locationLongitude) : null;
     if (enrollmentCap && enrollmentCap.trim()) {
       const capNum = Number.parseInt(enrollmentCap, 10);
       if (!Number.isNaN(capNum)) {
@@ -199,6 +230,41 @@
       }
     }
     if (syllabusUrl) data.syllabus_url = syllabusUrl;
+
+    // Attendance rules are always sent so clearing every field removes them
+    const presentMinutes = formData.get('present_minutes');
+    const lateMinutes = formData.get('late_minutes');
+    const attendanceRules = {};
+    if (presentMinutes && presentMinutes.trim()) {
+      attendanceRules.present_minutes = Number.parseInt(presentMinutes, 10);
+    }
+    if (lateMinutes && lateMinutes.trim()) {
+      attendanceRules.late_minutes = Number.parseInt(lateMinutes, 10);
+    }
+    // Only the non-default choices are stored
+    if (formData.get('remote_attendance') === 'absent') {
+      attendanceRules.remote_counts_as_present = false;
+    }
+    if (formData.get('recording_attendance') === 'present') {
+      attendanceRules.recording_counts_as_present = true;
+    }
+    data.attendance_rules = Object.keys(attendanceRules).length > 0 ? attendanceRules : null;
+
+    // Participation formula for the gradebook export; blank fields fall back to the defaults
+    const participationPoints = formData.get('participation_points');
+    const lateCredit = formData.get('late_credit');
+    const dropLowest = formData.get('drop_lowest');
+    const weights = { excused: formData.get('excused_handling') === 'credit' ? 1 : null };
+    if (lateCredit && lateCredit.trim()) {
+      weights.late = Number(lateCredit) / 100;
+    }
+    data.participation_formula = { weights };
+    if (participationPoints && participationPoints.trim()) {
+      data.participation_formula.points_possible = Number(participationPoints);
+    }
+    if (dropLowest && dropLowest.trim()) {
+      data.participation_formula.drop_lowest = Number.parseInt(dropLowest, 10);
+    }
     
     const response = await fetch('/api/offerings/active', {
       method: 'PUT',
@@ -217,6 +283,111 @@
     return response.json();
   }
   
+  async function loadPolicies() {
+    const list = document.getElementById('policyList');
+    if (!list || !activeOfferingId) return;
+
+    try {
+      const response = await fetch(`/api/attendance-policies?offering_id=${encodeURIComponent(activeOfferingId)}`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to load policies: ${response.status}`);
+      }
+      renderPolicies(await response.json());
+    } catch (error) {
+      console.error('Error loading attendance policies:', error);
+      list.innerHTML = '<li class="policy-empty">Could not load attendance policies</li>';
+    }
+  }
+
+  function renderPolicies(policies) {
+    const list = document.getElementById('policyList');
+    list.innerHTML = '';
+
+    if (policies.length === 0) {
+      list.innerHTML = '<li class="policy-empty">No attendance policies yet</li>';
+      return;
+    }
+
+    policies.forEach(policy => {
+      const item = document.createElement('li');
+      item.className = `policy-item${policy.is_active ? '' : ' is-inactive'}`;
+
+      const name = document.createElement('span');
+      name.className = 'policy-name';
+      name.textContent = policy.name;
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'btn btn-secondary';
+      toggle.textContent = policy.is_active ? 'Disable' : 'Enable';
+      toggle.addEventListener('click', async () => {
+        toggle.disabled = true;
+        try {
+          await savePolicy(`/api/attendance-policies/${encodeURIComponent(policy.id)}`, 'PUT', {
+            is_active: !policy.is_active
+          });
+          await loadPolicies();
+        } catch (error) {
+          console.error('Error updating attendance policy:', error);
+          showMessage(error.message || 'Failed to update policy', 'error');
+          toggle.disabled = false;
+        }
+      });
+
+      item.append(name, toggle);
+      list.appendChild(item);
+    });
+  }
+
+  async function savePolicy(url, method, data) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify(data)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to save attendance policy');
+    }
+
+    return response.json();
+  }
+
+  async function createPolicy(form) {
+    const formData = new FormData(form);
+    const data = {
+      offering_id: activeOfferingId,
+      metric: formData.get('metric'),
+      threshold: Number(formData.get('threshold'))
+    };
+    const windowDays = formData.get('window_days');
+    if (windowDays && windowDays.trim()) {
+      data.window_days = Number.parseInt(windowDays, 10);
+    }
+    const name = formData.get('name');
+    if (name && name.trim()) {
+      data.name = name.trim();
+    }
+
+    return savePolicy('/api/attendance-policies', 'POST', data);
+  }
+
+  function populateTimezoneOptions() {
+    const list = document.getElementById('timezoneOptions');
+    if (!list || typeof Intl.supportedValuesOf !== 'function') return;
+    Intl.supportedValuesOf('timeZone').forEach(zone => {
+      const option = document.createElement('option');
+      option.value = zone;
+      list.appendChild(option);
+    });
+  }
+  
   function initCourseSettings() {
     const saveBtn = document.getElementById('savePaletteBtn');
     const resetBtn = document.getElementById('resetPaletteBtn');
@@ -225,6 +396,7 @@
     const resetCourseInfoBtn = document.getElementById('resetCourseInfoBtn');
     
     // Load course information
+    populateTimezoneOptions();
     loadCourseInfo();
     
     // Load saved palette from server
@@ -341,6 +513,32 @@
       });
     }
     
+    // Handle new attendance policy
+    const policyForm = document.getElementById('policyForm');
+    const addPolicyBtn = document.getElementById('addPolicyBtn');
+    if (policyForm) {
+      policyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!activeOfferingId) {
+          showMessage('No active course to add a policy to', 'error');
+          return;
+        }
+
+        if (addPolicyBtn) addPolicyBtn.disabled = true;
+        try {
+          await createPolicy(policyForm);
+          policyForm.reset();
+          showMessage('Attendance policy added', 'success');
+          await loadPolicies();
+        } catch (error) {
+          console.error('Error adding attendance policy:', error);
+          showMessage(error.message || 'Failed to add attendance policy', 'error');
+        } finally {
+          if (addPolicyBtn) addPolicyBtn.disabled = false;
+        }
+      });
+    }
+    
     // Handle reset course info button
     if (resetCourseInfoBtn) {
       resetCourseInfoBtn.addEventListener('click', () => {
@@ -90,12 +90,26 @@
 
   /**
    * Get teams for an offering
+   * @param {Object} [options] - { scope: 'all' | 'mine' } where 'mine' keeps the teams you supervise
    */
-  async function getTeams(offeringId) {
-    const response = await apiFetch(`/teams?offering_id=${offeringId}`);
+  async function getTeams(offeringId, { scope = 'all' } = {}) {
+    const response = await apiFetch(`/teams?offering_id=${offeringId}&scope=${scope}`);
     return response.teams || (Array.isArray(response) ? response : []);
   }
 
+  const SHOW_ALL_TEAMS_KEY = 'conductor_show_all_teams';
+
+  /**
+   * Whether a TA or tutor chose to see every team instead of the teams they supervise
+   */
+  function getShowAllTeams() {
+    return localStorage.getItem(SHOW_ALL_TEAMS_KEY) === 'true';
+  }
+
+  function setShowAllTeams(showAll) {
+    localStorage.setItem(SHOW_ALL_TEAMS_KEY, showAll ? 'true' : 'false');
+  }
+
   /**
    * Get students for an offering
    */
@@ -333,6 +347,51 @@
     }
   }
 
+  /**
+   * Get excuse requests for an offering (defaults to the pending review queue)
+   */
+  async function getExcuseRequests(offeringId, status = 'pending') {
+    const params = new URLSearchParams({ offering_id: offeringId });
+    if (status) params.set('status', status);
+    const response = await apiFetch(`/excuse-requests?${params.toString()}`);
+    return Array.isArray(response) ? response : [];
+  }
+
+  /**
+   * Approve or deny an excuse request
+   * @param {string} requestId - Excuse request ID
+   * @param {'approve'|'deny'} decision - Review decision
+   * @param {string} [note] - Optional note for the student
+   */
+  async function reviewExcuseRequest(requestId, decision, note = '') {
+    return apiFetch(`/excuse-requests/${encodeURIComponent(requestId)}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note })
+    });
+  }
+
+  /**
+   * Get the at-risk students (attendance policy flags) for an offering
+   * @param {string} offeringId - Course offering ID
+   */
+  async function getAtRiskStudents(offeringId) {
+    const params = new URLSearchParams({ offering_id: offeringId });
+    const response = await apiFetch(`/attendance-policies/at-risk?${params.toString()}`);
+    return Array.isArray(response) ? response : [];
+  }
+
+  /**
+   * Acknowledge an at-risk flag
+   * @param {string} flagId - Flag ID
+   * @param {string} [note] - What was done about it
+   */
+  async function acknowledgeRiskFlag(flagId, note = '') {
+    return apiFetch(`/attendance-policies/flags/${encodeURIComponent(flagId)}/acknowledge`, {
+      method: 'POST',
+      body: JSON.stringify({ note })
+    });
+  }
+
   /**
    * Get current user's team for an offering
    */
@@ -845,6 +904,8 @@
     getActiveOfferingId,
     getOfferingWithStats,
     getTeams,
+    getShowAllTeams,
+    setShowAllTeams,
     getStudents,
     getTAs,
     getTutors,
@@ -864,6 +925,10 @@
     formatCreatorWithRole,
     getSessionStatistics,
     getAttendanceSessions,
+    getExcuseRequests,
+    reviewExcuseRequest,
+    getAtRiskStudents,
+    acknowledgeRiskFlag,
     getMyTeam,
     getCurrentUser,
     updateStickyHeader,
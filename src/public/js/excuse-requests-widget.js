@@ -0,0 +1,148 @@
+(function() {
+  'use strict';
+
+  if (globalThis.DashboardService === undefined) {
+    console.error('DashboardService not loaded. Excuse requests widget will be disabled.');
+    return;
+  }
+
+  const {
+    getActiveOfferingId,
+    getExcuseRequests,
+    reviewExcuseRequest
+  } = globalThis.DashboardService;
+
+  function formatSessionLabel(request) {
+    const title = request.session_title || 'Session';
+    if (!request.session_date) return title;
+    const date = new Date(`${request.session_date}T00:00:00`);
+    if (Number.isNaN(date.getTime())) return title;
+    return `${title} • ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+  }
+
+  function createRequestDomItem(request, onResolved) {
+    const item = document.createElement('div');
+    item.className = 'excuse-request-item';
+    item.dataset.requestId = request.id;
+
+    const info = document.createElement('div');
+    info.className = 'excuse-request-info';
+
+    const student = document.createElement('div');
+    student.className = 'excuse-request-student';
+    student.textContent = request.user_name || request.user_email || 'Student';
+
+    const session = document.createElement('div');
+    session.className = 'excuse-request-session';
+    session.textContent = formatSessionLabel(request);
+
+    const reason = document.createElement('p');
+    reason.className = 'excuse-request-reason';
+    reason.textContent = request.reason;
+    reason.title = request.reason;
+
+    info.append(student, session, reason);
+
+    if (request.attachment_name) {
+      const attachment = document.createElement('a');
+      attachment.className = 'excuse-request-attachment';
+      attachment.href = `/api/excuse-requests/${encodeURIComponent(request.id)}/attachment`;
+      attachment.target = '_blank';
+      attachment.rel = 'noopener';
+      attachment.textContent = request.attachment_name;
+      info.appendChild(attachment);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'excuse-request-actions';
+
+    const approveBtn = document.createElement('button');
+    approveBtn.type = 'button';
+    approveBtn.className = 'btn btn-primary excuse-approve';
+    approveBtn.textContent = 'Approve';
+
+    const denyBtn = document.createElement('button');
+    denyBtn.type = 'button';
+    denyBtn.className = 'btn btn-ghost excuse-deny';
+    denyBtn.textContent = 'Deny';
+
+    const review = async (decision) => {
+      let note = '';
+      if (decision === 'deny') {
+        const input = window.prompt('Optional note for the student:', '');
+        if (input === null) return;
+        note = input;
+      }
+
+      approveBtn.disabled = true;
+      denyBtn.disabled = true;
+      try {
+        await reviewExcuseRequest(request.id, decision, note);
+        item.remove();
+        onResolved();
+      } catch (err) {
+        console.error('Failed to review excuse request', err);
+        alert(err.message || 'Failed to review excuse request. Please try again.');
+        approveBtn.disabled = false;
+        denyBtn.disabled = false;
+      }
+    };
+
+    approveBtn.addEventListener('click', () => review('approve'));
+    denyBtn.addEventListener('click', () => review('deny'));
+
+    actions.append(approveBtn, denyBtn);
+    item.append(info, actions);
+
+    return item;
+  }
+
+  async function initExcuseCard(card) {
+    const list = card.querySelector('.excuse-request-list');
+    const countBadge = card.querySelector('.excuse-request-count');
+    if (!list) {
+      console.warn('Excuse request list not found in card');
+      return;
+    }
+
+    const updateCount = () => {
+      const remaining = list.querySelectorAll('.excuse-request-item').length;
+      if (countBadge) {
+        countBadge.textContent = String(remaining);
+        countBadge.hidden = remaining === 0;
+      }
+      if (remaining === 0) {
+        list.innerHTML = '<p class="dashboard-empty-state">No pending excuse requests</p>';
+      }
+    };
+
+    try {
+      const offeringId = await getActiveOfferingId();
+      if (!offeringId) {
+        list.innerHTML = '<p class="dashboard-empty-state">No active course</p>';
+        return;
+      }
+
+      const requests = await getExcuseRequests(offeringId, 'pending');
+      list.innerHTML = '';
+      requests.forEach((request) => {
+        list.appendChild(createRequestDomItem(request, updateCount));
+      });
+      updateCount();
+    } catch (err) {
+      console.error('Failed to load excuse requests', err);
+      list.innerHTML = '<p class="dashboard-error-state">Error loading excuse requests</p>';
+    }
+  }
+
+  function bootstrap() {
+    const cards = document.querySelectorAll('.dashboard-card.excuse-requests-card');
+    cards.forEach(initExcuseCard);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bootstrap);
+  } else {
+    bootstrap();
+  }
+})();
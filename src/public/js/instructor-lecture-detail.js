@@ -9,7 +9,40 @@
     questionSelect: document.getElementById('question-select'),
     responseList: document.getElementById('responses-list'),
     responseCount: document.getElementById('response-count'),
-    backButton: document.getElementById('back-button')
+    backButton: document.getElementById('back-button'),
+    flaggedList: document.getElementById('flagged-list'),
+    flaggedCount: document.getElementById('flagged-count'),
+    constraintsSummary: document.getElementById('checkin-constraints-summary'),
+    constraintsForm: document.getElementById('checkin-constraints-form'),
+    allowedSubnets: document.getElementById('allowed-subnets'),
+    geofenceRadius: document.getElementById('geofence-radius'),
+    constraintsStatus: document.getElementById('checkin-constraints-status'),
+    responseWindowSummary: document.getElementById('response-window-summary'),
+    responseWindowForm: document.getElementById('response-window-form'),
+    responseDeadline: document.getElementById('response-deadline'),
+    responseEditsUntil: document.getElementById('response-edits-until'),
+    responseLatePolicy: document.getElementById('response-late-policy'),
+    responseWindowStatus: document.getElementById('response-window-status'),
+    remoteSummary: document.getElementById('remote-attendance-summary'),
+    modalityCounts: document.getElementById('modality-counts'),
+    remoteLinkForm: document.getElementById('remote-link-form'),
+    remoteJoinUrl: document.getElementById('remote-join-url'),
+    remoteLinkStatus: document.getElementById('remote-link-status'),
+    importForm: document.getElementById('attendance-import-form'),
+    importFile: document.getElementById('import-file'),
+    importMinDuration: document.getElementById('import-min-duration'),
+    importStatus: document.getElementById('import-status'),
+    importMapping: document.getElementById('import-mapping'),
+    importPreview: document.getElementById('import-preview'),
+    importHistory: document.getElementById('import-history'),
+    presentationSummary: document.getElementById('presentation-summary'),
+    presentationProjector: document.getElementById('presentation-projector'),
+    attendanceSheetLink: document.getElementById('attendance-sheet-link'),
+    presentationToggle: document.getElementById('presentation-toggle'),
+    presentationOpen: document.getElementById('presentation-open'),
+    presentationNext: document.getElementById('presentation-next'),
+    presentationClose: document.getElementById('presentation-close'),
+    presentationStatus: document.getElementById('presentation-status')
   };
 
   let sessionId = null;
@@ -18,7 +51,40 @@
   let currentQuestionId = null;
   let currentResponses = [];
   let checkInterval = null;
+  let flaggedInterval = null;
+  let importPreview = null;
+  let presentation = null;
+  let liveEvents = null;
+  let eventsConnected = false;
+  const pendingRefreshes = new Set();
+  let refreshTimer = null;
   const CHECK_INTERVAL_MS = 5000;
+  const FLAGGED_INTERVAL_MS = 15000;
+  // Coalesce bursts of events (e.g. a whole class checking in) into one refresh
+  const EVENT_REFRESH_DELAY_MS = 300;
+
+  const FLAG_REASON_LABELS = {
+    outside_subnet: 'Off campus network',
+    outside_geofence: 'Outside geofence',
+    location_unavailable: 'No location shared'
+  };
+
+  const IMPORT_FIELD_LABELS = {
+    name: 'Name',
+    email: 'Email',
+    pid: 'PID',
+    status: 'Status',
+    join_time: 'Join time',
+    duration_minutes: 'Duration (minutes)'
+  };
+
+  const IMPORT_ACTION_LABELS = {
+    create: 'New',
+    update: 'Update',
+    unchanged: 'No change',
+    unmatched: 'Unmatched',
+    invalid: 'Invalid'
+  };
 
   function truncateText(text, maxLength = 20) {
     if (text.length <= maxLength) return text;
@@ -39,7 +105,7 @@
     return sessionId;
   }
 
-  function formatTimeRange(startIso, endIso) {
+  function formatTimeRange(startIso, endIso, timeZone) {
     if (!startIso || !endIso) return '—';
     try {
     const start = new Date(startIso);
@@ -50,17 +116,17 @@
         return '—';
       }
       
-    // Always format in local timezone (explicitly use local timezone)
+    // Format in the course timezone, falling back to the browser timezone
     const dateFormatter = new Intl.DateTimeFormat('en-US', { 
       month: 'short', 
       day: 'numeric', 
       year: 'numeric',
-      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
     });
     const timeFormatter = new Intl.DateTimeFormat('en-US', { 
       hour: 'numeric', 
       minute: 'numeric',
-      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
     });
     return `${dateFormatter.format(start)} · ${timeFormatter.format(start)}–${timeFormatter.format(end)}`;
     } catch (e) {
@@ -79,7 +145,7 @@
     if (!lecture) return;
 
     if (selectors.title) selectors.title.textContent = lecture.label || lecture.title || 'Lecture';
-    if (selectors.time) selectors.time.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt);
+    if (selectors.time) selectors.time.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt, lecture.timeZone);
     
     // Get attendance percentage from statistics
     if (selectors.attendance) {
@@ -87,6 +153,7 @@
         const stats = await window.LectureService.getSessionStatistics(sessionId);
         const attendancePercent = stats?.attendance_percent || lecture.attendancePercent || 0;
         selectors.attendance.textContent = `${Math.round(attendancePercent)}%`;
+        renderModalityCounts(stats);
       } catch (error) {
         console.error('Error getting statistics:', error);
         selectors.attendance.textContent = `${lecture.attendancePercent || 0}%`;
@@ -139,20 +206,64 @@
 
     const header = document.createElement('header');
     const title = document.createElement('h3');
-    const teamSpan = document.createElement('span');
-    teamSpan.textContent = response.team || 'No team';
-    title.innerHTML = `${response.name || 'Unknown'} <span>${teamSpan.outerHTML}</span>`;
+    if (response.is_anonymous) {
+      // Anonymous questions don't say who answered
+      title.textContent = 'Anonymous';
+    } else {
+      const teamSpan = document.createElement('span');
+      teamSpan.textContent = response.team || 'No team';
+      title.innerHTML = `${response.name || 'Unknown'} <span>${teamSpan.outerHTML}</span>`;
+    }
     header.appendChild(title);
+
+    // Late and edited answers are flagged; the original answer stays visible under an edit
+    const flags = document.createElement('div');
+    flags.className = 'response-flags';
+    if (response.is_late) {
+      flags.appendChild(createResponseFlag('Late', 'response-flag-late'));
+    }
+    if (response.edit_count > 0) {
+      flags.appendChild(createResponseFlag(response.edit_count === 1 ? 'Edited' : `Edited ${response.edit_count}×`));
+    }
+    if (flags.childElementCount) header.appendChild(flags);
     body.appendChild(header);
 
     const copy = document.createElement('p');
-    copy.textContent = response.response || response.response_text || response.response_option || 'No response';
+    copy.textContent = formatAnswer(response) || 'No response';
     body.appendChild(copy);
 
+    if (response.edit_count > 0 && response.history?.length) {
+      const original = document.createElement('p');
+      original.className = 'response-history';
+      original.textContent = `Originally: ${formatAnswer(response.history[0]) || 'No response'}`;
+      body.appendChild(original);
+    }
+
     card.append(avatar, body);
     return card;
   }
 
+  function createResponseFlag(label, modifier) {
+    const flag = document.createElement('span');
+    flag.className = modifier ? `response-flag ${modifier}` : 'response-flag';
+    flag.textContent = label;
+    return flag;
+  }
+
+  function formatAnswer(answer) {
+    if (answer.response_text) return answer.response_text;
+    if (answer.response_option) return answer.response_option;
+    if (Array.isArray(answer.response_values)) return answer.response_values.join(', ');
+    if (answer.response_number !== null && answer.response_number !== undefined) return String(answer.response_number);
+    return '';
+  }
+
+  function formatResponseCount(responses) {
+    const late = responses.filter((response) => response.is_late).length;
+    const count = `${responses.length} response${responses.length !== 1 ? 's' : ''}`;
+    return late ? `${count} · ${late} late` : count;
+  }
+
   function createPulseBarGraph(responses, question) {
     
     const container = document.createElement('div');
@@ -360,6 +471,8 @@
     return container;
   }
 
+  const AGGREGATE_TYPES = new Set(['multi_select', 'ranking', 'numeric', 'word_cloud']);
+
   async function renderResponses(questionId, isManualRefresh = false) {
     if (!selectors.responseList || !questionId) return;
     
@@ -375,7 +488,7 @@
       
       // Update response count
       if (selectors.responseCount) {
-        selectors.responseCount.textContent = `${responses.length} response${responses.length !== 1 ? 's' : ''}`;
+        selectors.responseCount.textContent = formatResponseCount(responses);
       }
       
       // Store current responses for comparison
@@ -403,12 +516,33 @@
       } else if (questionType === 'multiple_choice') {
         const mcqGraph = createMultipleChoiceBarGraph(responses, currentQuestion);
         selectors.responseList.appendChild(mcqGraph);
+      } else if (AGGREGATE_TYPES.has(questionType)) {
+        const aggregate = await window.LectureService.getQuestionAggregate(sessionId, questionId);
+        if (aggregate) {
+          selectors.responseList.appendChild(window.QuestionCharts.createAggregateChart(aggregate));
+        }
       } else {
         // For text questions, show response cards
     responses.forEach((response) => {
       selectors.responseList.appendChild(createResponseCard(response));
     });
       }
+
+      // Charts hide who answered late or changed their answer, so list those separately
+      const isCharted = questionType === 'pulse' || questionType === 'pulse_check'
+        || questionType === 'multiple_choice' || AGGREGATE_TYPES.has(questionType);
+      if (isCharted) {
+        const flagged = responses.filter((response) => response.is_late || response.edit_count > 0);
+        if (flagged.length) {
+          const heading = document.createElement('h3');
+          heading.className = 'response-flagged-title';
+          heading.textContent = 'Late or edited answers';
+          selectors.responseList.appendChild(heading);
+          flagged.forEach((response) => {
+            selectors.responseList.appendChild(createResponseCard(response));
+          });
+        }
+      }
     } catch (error) {
       console.error('Error rendering responses:', error);
       selectors.responseList.innerHTML = `<p style="color: var(--red-600); text-align: center; padding: 2rem;">Error loading responses: ${error.message}</p>`;
@@ -465,8 +599,9 @@
         const currentQuestion = lecture.questions.find(q => q.id == currentQuestionId);
         const questionType = currentQuestion?.type || currentQuestion?.question_type;
         
-        // For pulse/multiple choice, or if there are edited responses, re-render completely
-        if (questionType === 'pulse' || questionType === 'pulse_check' || questionType === 'multiple_choice' || editedResponses.length > 0) {
+        // For charted question types, or if there are edited responses, re-render completely
+        if (questionType === 'pulse' || questionType === 'pulse_check' || questionType === 'multiple_choice'
+          || AGGREGATE_TYPES.has(questionType) || editedResponses.length > 0) {
           await renderResponses(currentQuestionId, true);
         } else {
           // For text responses with only new additions, smoothly add new cards at the top
@@ -489,7 +624,7 @@
           
           // Update count
           if (selectors.responseCount) {
-            selectors.responseCount.textContent = `${responses.length} response${responses.length !== 1 ? 's' : ''}`;
+            selectors.responseCount.textContent = formatResponseCount(responses);
           }
         }
       }
@@ -498,9 +633,672 @@
     }
   }
 
+  function describeConstraints(constraints) {
+    if (!constraints) return 'No check-in restrictions';
+    const parts = [];
+    if (constraints.allowed_subnets?.length) {
+      parts.push(`Networks: ${constraints.allowed_subnets.join(', ')}`);
+    }
+    if (constraints.geofence_radius_meters) {
+      parts.push(`Within ${constraints.geofence_radius_meters} m of the course location`);
+    }
+    return parts.length ? parts.join(' · ') : 'No check-in restrictions';
+  }
+
+  function renderConstraintsForm() {
+    const constraints = lecture?.checkin_constraints || null;
+    if (selectors.constraintsSummary) {
+      selectors.constraintsSummary.textContent = describeConstraints(constraints);
+    }
+    if (selectors.allowedSubnets) {
+      selectors.allowedSubnets.value = (constraints?.allowed_subnets || []).join(', ');
+    }
+    if (selectors.geofenceRadius) {
+      selectors.geofenceRadius.value = constraints?.geofence_radius_meters ?? '';
+    }
+  }
+
+  // datetime-local inputs work in the browser's wall-clock time
+  function toLocalInputValue(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  function describeResponseWindow(rules) {
+    const format = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    const parts = [rules?.deadline ? `Due ${format(rules.deadline)}` : 'Due when attendance closes'];
+    if (rules?.edits_allowed_until) {
+      parts.push(`edits until ${format(rules.edits_allowed_until)}`);
+    }
+    parts.push(rules?.late_submissions === 'reject' ? 'late answers rejected' : 'late answers flagged');
+    return parts.join(' · ');
+  }
+
+  function renderResponseWindowForm() {
+    const rules = lecture?.response_rules || null;
+    if (selectors.responseWindowSummary) {
+      selectors.responseWindowSummary.textContent = describeResponseWindow(rules);
+    }
+    if (selectors.responseDeadline) {
+      selectors.responseDeadline.value = toLocalInputValue(rules?.deadline);
+    }
+    if (selectors.responseEditsUntil) {
+      selectors.responseEditsUntil.value = toLocalInputValue(rules?.edits_allowed_until);
+    }
+    if (selectors.responseLatePolicy) {
+      selectors.responseLatePolicy.value = rules?.late_submissions || 'flag';
+    }
+  }
+
+  function renderModalityCounts(stats) {
+    if (!selectors.modalityCounts || !stats) return;
+    selectors.modalityCounts.textContent =
+      `${stats.in_person_count || 0} in person · ${stats.remote_count || 0} remote · ${stats.recording_count || 0} recording`;
+  }
+
+  function renderRemoteLinkForm() {
+    const url = lecture?.remote_join_url || '';
+    if (selectors.remoteSummary) {
+      selectors.remoteSummary.textContent = url
+        ? 'Enrolled students can join remotely and check in as remote'
+        : 'No remote option';
+    }
+    if (selectors.remoteJoinUrl) {
+      selectors.remoteJoinUrl.value = url;
+    }
+  }
+
+  function formatCheckInDetails(record) {
+    const details = [];
+    if (record.checked_in_at) {
+      details.push(new Date(record.checked_in_at).toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: lecture?.timeZone || undefined
+      }));
+    }
+    if (record.checkin_distance_meters !== null && record.checkin_distance_meters !== undefined) {
+      const accuracy = record.checkin_accuracy_meters ? ` (±${Math.round(record.checkin_accuracy_meters)} m)` : '';
+      details.push(`${Math.round(record.checkin_distance_meters)} m away${accuracy}`);
+    }
+    if (record.checkin_ip) {
+      details.push(`IP ${record.checkin_ip}`);
+    }
+    return details.join(' · ');
+  }
+
+  function createFlaggedCard(record) {
+    const card = document.createElement('article');
+    card.className = 'response-card flagged-card';
+    if (record.flag_review_status) {
+      card.classList.add('is-reviewed');
+    }
+
+    const avatar = document.createElement('div');
+    avatar.className = 'response-avatar';
+    avatar.textContent = (record.user_name || 'Unknown')
+      .split(' ')
+      .map((chunk) => chunk.charAt(0))
+      .join('')
+      .slice(0, 2)
+      .toUpperCase();
+
+    const body = document.createElement('div');
+    body.className = 'response-body';
+
+    const header = document.createElement('header');
+    const title = document.createElement('h3');
+    title.textContent = record.user_name || 'Unknown';
+    const email = document.createElement('span');
+    email.textContent = record.user_email || '';
+    title.appendChild(email);
+    header.appendChild(title);
+    body.appendChild(header);
+
+    const details = document.createElement('p');
+    details.textContent = formatCheckInDetails(record);
+    body.appendChild(details);
+
+    (record.flag_reasons || []).forEach((reason) => {
+      const tag = document.createElement('span');
+      tag.className = 'flag-reason';
+      tag.textContent = FLAG_REASON_LABELS[reason] || reason;
+      body.appendChild(tag);
+    });
+
+    card.append(avatar, body);
+
+    if (record.flag_review_status) {
+      const outcome = document.createElement('p');
+      const reviewer = record.flag_reviewed_by_name ? ` by ${record.flag_reviewed_by_name}` : '';
+      outcome.textContent = record.flag_review_status === 'approved'
+        ? `Approved${reviewer}`
+        : `Rejected${reviewer} (marked absent)`;
+      card.appendChild(outcome);
+      return card;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'flagged-actions';
+
+    const approve = document.createElement('button');
+    approve.type = 'button';
+    approve.className = 'btn btn-primary';
+    approve.textContent = 'Approve';
+
+    const reject = document.createElement('button');
+    reject.type = 'button';
+    reject.className = 'btn btn-reject';
+    reject.textContent = 'Reject';
+
+    const review = async (decision) => {
+      approve.disabled = true;
+      reject.disabled = true;
+      try {
+        await window.LectureService.reviewFlaggedCheckIn(record.id, decision, lecture?.offering_id);
+        await renderFlaggedCheckIns();
+        await renderHeader();
+      } catch (error) {
+        console.error('Error reviewing check-in:', error);
+        alert(error.message || 'Unable to review this check-in.');
+        approve.disabled = false;
+        reject.disabled = false;
+      }
+    };
+
+    approve.addEventListener('click', () => review('approved'));
+    reject.addEventListener('click', () => review('rejected'));
+    actions.append(approve, reject);
+    card.appendChild(actions);
+
+    return card;
+  }
+
+  async function renderFlaggedCheckIns() {
+    if (!selectors.flaggedList || !sessionId) return;
+
+    try {
+      const result = await window.LectureService.getFlaggedCheckIns(sessionId, lecture?.offering_id);
+      const flagged = result?.flagged || [];
+
+      if (selectors.flaggedCount) {
+        selectors.flaggedCount.textContent = `${result?.pending_count || 0} to review`;
+      }
+
+      selectors.flaggedList.innerHTML = '';
+      if (!flagged.length) {
+        const empty = document.createElement('p');
+        empty.textContent = 'No check-ins have been flagged for this lecture.';
+        empty.style.textAlign = 'center';
+        empty.style.padding = '1rem';
+        empty.style.color = 'var(--gray-600)';
+        selectors.flaggedList.appendChild(empty);
+        return;
+      }
+
+      flagged.forEach((record) => {
+        selectors.flaggedList.appendChild(createFlaggedCard(record));
+      });
+    } catch (error) {
+      console.error('Error loading flagged check-ins:', error);
+      if (selectors.flaggedCount) {
+        selectors.flaggedCount.textContent = 'Error';
+      }
+    }
+  }
+
+  function initConstraintsForm() {
+    if (!selectors.constraintsForm) return;
+
+    selectors.constraintsForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+
+      const subnets = (selectors.allowedSubnets?.value || '')
+        .split(/[\s,]+/)
+        .filter(Boolean);
+      const radius = selectors.geofenceRadius?.value ? Number(selectors.geofenceRadius.value) : null;
+      const constraints = subnets.length || radius
+        ? { allowed_subnets: subnets, geofence_radius_meters: radius }
+        : null;
+
+      if (selectors.constraintsStatus) selectors.constraintsStatus.textContent = 'Saving…';
+      try {
+        const updated = await window.LectureService.updateCheckInConstraints(sessionId, constraints, lecture?.offering_id);
+        lecture.checkin_constraints = updated?.checkin_constraints || null;
+        renderConstraintsForm();
+        if (selectors.constraintsStatus) selectors.constraintsStatus.textContent = 'Check-in restrictions saved.';
+      } catch (error) {
+        console.error('Error saving check-in restrictions:', error);
+        if (selectors.constraintsStatus) {
+          selectors.constraintsStatus.textContent = error.message || 'Unable to save check-in restrictions.';
+        }
+      }
+    });
+  }
+
+  function initRemoteLinkForm() {
+    if (!selectors.remoteLinkForm) return;
+
+    selectors.remoteLinkForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+
+      const url = selectors.remoteJoinUrl?.value.trim() || null;
+      if (selectors.remoteLinkStatus) selectors.remoteLinkStatus.textContent = 'Saving…';
+      try {
+        const updated = await window.LectureService.updateRemoteJoinUrl(sessionId, url, lecture?.offering_id);
+        lecture.remote_join_url = updated?.remote_join_url || null;
+        renderRemoteLinkForm();
+        if (selectors.remoteLinkStatus) {
+          selectors.remoteLinkStatus.textContent = url ? 'Remote link saved.' : 'Remote link removed.';
+        }
+      } catch (error) {
+        console.error('Error saving remote link:', error);
+        if (selectors.remoteLinkStatus) {
+          selectors.remoteLinkStatus.textContent = error.message || 'Unable to save the remote link.';
+        }
+      }
+    });
+  }
+
+  function initResponseWindowForm() {
+    if (!selectors.responseWindowForm) return;
+
+    selectors.responseWindowForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+
+      const toIso = (input) => (input?.value ? new Date(input.value).toISOString() : null);
+      const rules = {
+        deadline: toIso(selectors.responseDeadline),
+        edits_allowed_until: toIso(selectors.responseEditsUntil),
+        late_submissions: selectors.responseLatePolicy?.value || 'flag'
+      };
+
+      if (selectors.responseWindowStatus) selectors.responseWindowStatus.textContent = 'Saving…';
+      try {
+        const updated = await window.LectureService.updateResponseRules(sessionId, rules, lecture?.offering_id);
+        lecture.response_rules = updated?.response_rules || null;
+        renderResponseWindowForm();
+        if (selectors.responseWindowStatus) selectors.responseWindowStatus.textContent = 'Response deadline saved.';
+      } catch (error) {
+        console.error('Error saving response deadline:', error);
+        if (selectors.responseWindowStatus) {
+          selectors.responseWindowStatus.textContent = error.message || 'Unable to save the response deadline.';
+        }
+      }
+    });
+  }
+
+  function setImportStatus(message) {
+    if (selectors.importStatus) selectors.importStatus.textContent = message;
+  }
+
+  function renderImportMapping(preview) {
+    if (!selectors.importMapping) return;
+    selectors.importMapping.innerHTML = '';
+    selectors.importMapping.hidden = false;
+
+    Object.entries(IMPORT_FIELD_LABELS).forEach(([field, label]) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'checkin-constraints-field';
+
+      const select = document.createElement('select');
+      select.id = `import-column-${field}`;
+      select.dataset.field = field;
+      select.appendChild(new Option('(not in file)', ''));
+      (preview.headers || []).forEach((header) => {
+        select.appendChild(new Option(header, header, false, preview.column_mapping?.[field] === header));
+      });
+
+      const labelEl = document.createElement('label');
+      labelEl.htmlFor = select.id;
+      labelEl.textContent = label;
+
+      wrapper.append(labelEl, select);
+      selectors.importMapping.appendChild(wrapper);
+    });
+
+    const rerun = document.createElement('button');
+    rerun.type = 'button';
+    rerun.className = 'btn btn-secondary';
+    rerun.textContent = 'Preview with these columns';
+    rerun.addEventListener('click', () => runImportPreview(readImportMapping()));
+    selectors.importMapping.appendChild(rerun);
+  }
+
+  function readImportMapping() {
+    const mapping = {};
+    selectors.importMapping?.querySelectorAll('select[data-field]').forEach((select) => {
+      if (select.value) mapping[select.dataset.field] = select.value;
+    });
+    return mapping;
+  }
+
+  function describeImportMatch(entry) {
+    if (!entry.user_id) return entry.message || '';
+    const method = entry.match_method === 'name'
+      ? `name match ${Math.round((entry.match_confidence || 0) * 100)}%`
+      : `by ${entry.match_method}`;
+    return `${entry.user_name} (${method})`;
+  }
+
+  function createImportMatchSelect(entry) {
+    const select = document.createElement('select');
+    select.dataset.row = entry.row_number;
+    select.setAttribute('aria-label', `Student for row ${entry.row_number}`);
+    select.appendChild(new Option('Skip this row', ''));
+    (entry.suggestions || []).forEach((suggestion) => {
+      const percent = Math.round(suggestion.confidence * 100);
+      select.appendChild(new Option(`${suggestion.name} (${percent}%)`, suggestion.user_id));
+    });
+    return select;
+  }
+
+  function renderImportPreview(preview) {
+    if (!selectors.importPreview) return;
+    importPreview = preview;
+    selectors.importPreview.innerHTML = '';
+    selectors.importPreview.hidden = false;
+
+    const summary = preview.summary || {};
+    const summaryEl = document.createElement('p');
+    summaryEl.className = 'checkin-constraints-summary';
+    summaryEl.textContent = Object.entries(IMPORT_ACTION_LABELS)
+      .map(([action, label]) => `${label}: ${summary[action] || 0}`)
+      .join(' · ');
+    selectors.importPreview.appendChild(summaryEl);
+
+    const table = document.createElement('table');
+    table.className = 'import-table';
+    const head = table.createTHead().insertRow();
+    ['Row', 'In file', 'Student', 'Current', 'New', 'Change'].forEach((text) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = text;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    (preview.plan || []).forEach((entry) => {
+      const row = body.insertRow();
+      row.className = `import-row is-${entry.action}`;
+      row.insertCell().textContent = (entry.source_rows || [entry.row_number]).join(', ');
+      row.insertCell().textContent = [entry.name, entry.email || entry.pid].filter(Boolean).join(' · ');
+
+      const studentCell = row.insertCell();
+      if (entry.action === 'unmatched' && entry.suggestions?.length) {
+        studentCell.appendChild(createImportMatchSelect(entry));
+        const note = document.createElement('span');
+        note.className = 'import-note';
+        note.textContent = entry.message || '';
+        studentCell.appendChild(note);
+      } else {
+        studentCell.textContent = describeImportMatch(entry);
+      }
+
+      row.insertCell().textContent = entry.current_status || '—';
+      row.insertCell().textContent = entry.new_status || '—';
+      const action = row.insertCell();
+      const badge = document.createElement('span');
+      badge.className = `import-action is-${entry.action}`;
+      badge.textContent = IMPORT_ACTION_LABELS[entry.action] || entry.action;
+      action.appendChild(badge);
+    });
+    selectors.importPreview.appendChild(table);
+
+    const commit = document.createElement('button');
+    commit.type = 'button';
+    commit.className = 'btn btn-primary';
+    commit.textContent = 'Commit import';
+    commit.addEventListener('click', async () => {
+      const overrides = {};
+      selectors.importPreview.querySelectorAll('select[data-row]').forEach((select) => {
+        if (select.value) overrides[select.dataset.row] = select.value;
+      });
+
+      commit.disabled = true;
+      setImportStatus('Committing…');
+      try {
+        const committed = await window.LectureService.commitAttendanceImport(
+          importPreview.id,
+          Object.keys(overrides).length ? overrides : null
+        );
+        setImportStatus(`Import committed: ${committed.changed} attendance record(s) changed.`);
+        resetImportPreview();
+        await renderImportHistory();
+        await renderHeader();
+      } catch (error) {
+        console.error('Error committing import:', error);
+        setImportStatus(error.message || 'Unable to commit this import.');
+        commit.disabled = false;
+      }
+    });
+    selectors.importPreview.appendChild(commit);
+  }
+
+  function resetImportPreview() {
+    importPreview = null;
+    if (selectors.importMapping) {
+      selectors.importMapping.hidden = true;
+      selectors.importMapping.innerHTML = '';
+    }
+    if (selectors.importPreview) {
+      selectors.importPreview.hidden = true;
+      selectors.importPreview.innerHTML = '';
+    }
+    if (selectors.importForm) selectors.importForm.reset();
+  }
+
+  async function runImportPreview(mapping = null) {
+    const file = selectors.importFile?.files?.[0];
+    if (!file) {
+      setImportStatus('Choose a CSV file first.');
+      return;
+    }
+
+    setImportStatus('Reading file…');
+    try {
+      const preview = await window.LectureService.previewAttendanceImport(sessionId, file, {
+        mapping,
+        minDurationMinutes: selectors.importMinDuration?.value ? Number(selectors.importMinDuration.value) : null
+      });
+      setImportStatus('Review the changes below. Nothing is saved until you commit.');
+      renderImportMapping(preview);
+      renderImportPreview(preview);
+      await renderImportHistory();
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      setImportStatus(error.message || 'Unable to read this file.');
+    }
+  }
+
+  async function revertImport(importId, button) {
+    button.disabled = true;
+    try {
+      await window.LectureService.revertAttendanceImport(importId);
+    } catch (error) {
+      if (error.status !== 409) {
+        console.error('Error reverting import:', error);
+        alert(error.message || 'Unable to revert this import.');
+        button.disabled = false;
+        return;
+      }
+      const names = (error.data?.conflicts || []).map((conflict) => conflict.user_name).join(', ');
+      const overwrite = confirm(`${error.message}: ${names}.\n\nRevert anyway and overwrite those records?`);
+      if (!overwrite) {
+        button.disabled = false;
+        return;
+      }
+      await window.LectureService.revertAttendanceImport(importId, { force: true });
+    }
+    setImportStatus('Import reverted.');
+    await renderImportHistory();
+    await renderHeader();
+  }
+
+  async function renderImportHistory() {
+    if (!selectors.importHistory || !sessionId) return;
+
+    try {
+      const imports = (await window.LectureService.getAttendanceImports(sessionId))
+        .filter((entry) => entry.status !== 'previewed');
+      selectors.importHistory.innerHTML = '';
+
+      imports.forEach((entry) => {
+        const card = document.createElement('article');
+        card.className = 'response-card flagged-card';
+        if (entry.status === 'reverted') card.classList.add('is-reviewed');
+
+        const body = document.createElement('div');
+        body.className = 'response-body';
+        const title = document.createElement('h3');
+        title.textContent = entry.source_filename || 'CSV import';
+        const when = document.createElement('span');
+        const timestamp = entry.status === 'reverted' ? entry.reverted_at : entry.committed_at;
+        when.textContent = `${entry.status === 'reverted' ? 'Reverted' : 'Committed'} ${new Date(timestamp).toLocaleString()}`;
+        title.appendChild(when);
+        const details = document.createElement('p');
+        const summary = entry.summary || {};
+        details.textContent = `${summary.create || 0} new · ${summary.update || 0} updated · ${summary.unmatched || 0} unmatched` +
+          (entry.created_by_name ? ` · by ${entry.created_by_name}` : '');
+        body.append(title, details);
+        card.appendChild(body);
+
+        if (entry.status === 'committed') {
+          const actions = document.createElement('div');
+          actions.className = 'flagged-actions';
+          const revert = document.createElement('button');
+          revert.type = 'button';
+          revert.className = 'btn btn-reject';
+          revert.textContent = 'Revert';
+          revert.addEventListener('click', () => revertImport(entry.id, revert));
+          actions.appendChild(revert);
+          card.appendChild(actions);
+        }
+
+        selectors.importHistory.appendChild(card);
+      });
+    } catch (error) {
+      console.error('Error loading imports:', error);
+    }
+  }
+
+  function initImportForm() {
+    if (!selectors.importForm) return;
+
+    selectors.importForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      runImportPreview();
+    });
+  }
+
+  function describePresentation() {
+    if (!presentation?.presentation_mode) return 'Students see every question at once';
+    const { question } = presentation;
+    if (!question) return 'Presenting · no question open yet';
+    const state = question.is_open ? 'open' : 'closed';
+    const count = `${presentation.response_count} response${presentation.response_count !== 1 ? 's' : ''}`;
+    return `Presenting question ${question.position} of ${presentation.question_count} (${state}) · ${count}`;
+  }
+
+  function renderPresentation() {
+    if (!selectors.presentationToggle) return;
+    const presenting = Boolean(presentation?.presentation_mode);
+    const question = presentation?.question;
+    const hasQuestions = (presentation?.question_count || 0) > 0;
+
+    selectors.presentationSummary.textContent = describePresentation();
+    selectors.presentationToggle.textContent = presenting ? 'Stop presenting' : 'Start presenting';
+    selectors.presentationOpen.disabled = !hasQuestions;
+    selectors.presentationNext.disabled = !hasQuestions
+      || (question ? question.position >= presentation.question_count : false);
+    selectors.presentationClose.disabled = !question?.is_open;
+  }
+
+  async function loadPresentation() {
+    if (!sessionId || !selectors.presentationToggle) return;
+    try {
+      presentation = await window.LectureService.getPresentation(sessionId);
+      renderPresentation();
+    } catch (error) {
+      // TAs can view responses without being able to run the presentation
+      if (error.status === 403) {
+        selectors.presentationToggle.closest('.responses-panel').hidden = true;
+        return;
+      }
+      console.error('Error loading presentation state:', error);
+      selectors.presentationStatus.textContent = error.message;
+    }
+  }
+
+  // Follow the presented question in the response viewer
+  function showPresentedQuestion() {
+    const questionId = presentation?.question?.id;
+    if (!questionId || !selectors.questionSelect || String(questionId) === String(currentQuestionId)) return;
+    currentQuestionId = questionId;
+    selectors.questionSelect.value = questionId;
+    renderResponses(questionId);
+  }
+
+  async function runPresentationAction(action) {
+    const buttons = [
+      selectors.presentationToggle,
+      selectors.presentationOpen,
+      selectors.presentationNext,
+      selectors.presentationClose
+    ];
+    buttons.forEach((button) => {
+      button.disabled = true;
+    });
+    selectors.presentationStatus.textContent = '';
+
+    try {
+      presentation = await action();
+      showPresentedQuestion();
+    } catch (error) {
+      console.error('Error updating presentation:', error);
+      selectors.presentationStatus.textContent = error.message;
+    } finally {
+      selectors.presentationToggle.disabled = false;
+      renderPresentation();
+    }
+  }
+
+  function initPresentationControls() {
+    if (!selectors.presentationToggle) return;
+
+    selectors.presentationToggle.addEventListener('click', () => {
+      const enabled = !presentation?.presentation_mode;
+      runPresentationAction(() => window.LectureService.setPresentationMode(sessionId, enabled));
+    });
+
+    selectors.presentationOpen.addEventListener('click', () => {
+      const index = (lecture?.questions || []).findIndex(
+        (question) => String(question.id) === String(selectors.questionSelect?.value)
+      );
+      runPresentationAction(() => window.LectureService.presentQuestion(sessionId, Math.max(index, 0) + 1));
+    });
+
+    selectors.presentationNext.addEventListener('click', () => {
+      const position = (presentation?.question?.position || 0) + 1;
+      runPresentationAction(() => window.LectureService.presentQuestion(sessionId, position));
+    });
+
+    selectors.presentationClose.addEventListener('click', () => {
+      runPresentationAction(() => window.LectureService.closePresentedQuestion(sessionId));
+    });
+  }
+
+  // Polling is the fallback while the session event stream isn't connected
   function startLiveUpdates() {
     stopLiveUpdates();
+    if (eventsConnected) return;
     checkInterval = setInterval(checkAndAddNewResponses, CHECK_INTERVAL_MS);
+    if (!flaggedInterval) {
+      flaggedInterval = setInterval(renderFlaggedCheckIns, FLAGGED_INTERVAL_MS);
+    }
   }
 
   function stopLiveUpdates() {
@@ -510,6 +1308,78 @@
     }
   }
 
+  function stopFlaggedPolling() {
+    if (flaggedInterval) {
+      clearInterval(flaggedInterval);
+      flaggedInterval = null;
+    }
+  }
+
+  function scheduleRefresh(...parts) {
+    parts.forEach((part) => pendingRefreshes.add(part));
+    if (refreshTimer) return;
+
+    refreshTimer = setTimeout(async () => {
+      refreshTimer = null;
+      const due = new Set(pendingRefreshes);
+      pendingRefreshes.clear();
+
+      if (due.has('responses')) await checkAndAddNewResponses();
+      if (due.has('header')) await renderHeader();
+      if (due.has('flagged')) await renderFlaggedCheckIns();
+      if (due.has('presentation')) await loadPresentation();
+    }, EVENT_REFRESH_DELAY_MS);
+  }
+
+  function handleSessionEvent(event) {
+    switch (event.type) {
+      case 'response':
+        if (String(event.question_id) === String(currentQuestionId)) {
+          scheduleRefresh('responses');
+        }
+        if (presentation?.question && String(event.question_id) === String(presentation.question.id)) {
+          scheduleRefresh('presentation');
+        }
+        break;
+      case 'attendance':
+        scheduleRefresh('header', 'flagged');
+        break;
+      case 'session':
+        scheduleRefresh('header', 'presentation');
+        break;
+      case 'question':
+        scheduleRefresh('presentation');
+        break;
+      case 'resync':
+        scheduleRefresh('responses', 'header', 'flagged', 'presentation');
+        break;
+      default:
+        break;
+    }
+  }
+
+  function connectLiveEvents() {
+    if (!window.SessionEvents) {
+      startLiveUpdates();
+      return;
+    }
+
+    liveEvents = window.SessionEvents.connect(sessionId, {
+      onEvent: handleSessionEvent,
+      onConnectionChange(connected) {
+        eventsConnected = connected;
+        if (connected) {
+          stopLiveUpdates();
+          stopFlaggedPolling();
+          // Catch up on anything that changed before the stream connected
+          scheduleRefresh('responses', 'header', 'flagged', 'presentation');
+        } else {
+          startLiveUpdates();
+        }
+      }
+    });
+  }
+
   function initQuestionSelect() {
     if (!selectors.questionSelect || selectors.questionSelect.disabled) return;
     
@@ -551,6 +1421,12 @@
     if (shell) {
       shell.setAttribute('data-session-id', sessionId);
     }
+    if (selectors.presentationProjector) {
+      selectors.presentationProjector.href = `/lecture-present?sessionId=${encodeURIComponent(sessionId)}`;
+    }
+    if (selectors.attendanceSheetLink) {
+      selectors.attendanceSheetLink.href = `/attendance-sheet?sessionId=${encodeURIComponent(sessionId)}`;
+    }
 
     showLoading();
 
@@ -564,6 +1440,14 @@
       await renderHeader();
       await renderQuestionOptions();
       initQuestionSelect();
+      await loadPresentation();
+      showPresentedQuestion();
+      renderResponseWindowForm();
+      renderRemoteLinkForm();
+      renderConstraintsForm();
+      await renderFlaggedCheckIns();
+      connectLiveEvents();
+      await renderImportHistory();
     } catch (error) {
       console.error('Error hydrating lecture detail:', error);
       if (selectors.responseList) {
@@ -574,10 +1458,19 @@
 
   function init() {
     initBackButton();
+    initResponseWindowForm();
+    initRemoteLinkForm();
+    initConstraintsForm();
+    initImportForm();
+    initPresentationControls();
     hydrate();
     
     // Stop live updates when user leaves the page
-    window.addEventListener('beforeunload', stopLiveUpdates);
+    window.addEventListener('beforeunload', () => {
+      stopLiveUpdates();
+      stopFlaggedPolling();
+      if (liveEvents) liveEvents.close();
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -13,6 +13,13 @@
   const cancelBtn = document.getElementById('cancel-btn');
   const saveDraftBtn = document.getElementById('save-draft-btn');
   const container = document.querySelector('.builder-shell');
+  const templateSelect = document.getElementById('template-select');
+  const templateHelper = document.getElementById('template-helper');
+  const bankPanel = document.getElementById('question-bank-panel');
+  const bankButton = document.getElementById('open-bank-btn');
+  const bankSearch = document.getElementById('bank-search');
+  const bankTag = document.getElementById('bank-tag');
+  const bankResults = document.getElementById('bank-results');
 
   if (!form || !questionList || !window.LectureService) return;
 
@@ -22,6 +29,8 @@
   let isSubmitting = false;
   let draggedElement = null;
   let editingSessionId = null;
+  let appliedTemplate = null;
+  let bankSearchTimer = null;
 
   // Format date for display (Month Day, Year format, e.g., Nov 18, 2025)
   function formatDateDisplay(dateInput) {
@@ -339,7 +348,7 @@
     listEl.appendChild(row);
   }
 
-  function createOptionRow(listEl, value = '', index = 0) {
+  function createOptionRow(listEl, value = '', index = 0, isCorrect = false) {
     const row = document.createElement('div');
     row.className = 'option-row';
 
@@ -371,30 +380,60 @@
         row.remove();
         // Update labels after removal
         [...listEl.querySelectorAll('.option-row')].forEach((r, i) => {
-          const lbl = r.querySelector('label');
+          const lbl = r.querySelector('label:not(.option-correct)');
           if (lbl) lbl.textContent = `Option ${i + 1}`;
         });
       }
     });
 
-    row.append(label, input, remove);
+    // Ranking answers are an order, not a pick, so there's nothing to tick
+    if (listEl.classList.contains('ranking-options')) {
+      row.append(label, input, remove);
+      listEl.appendChild(row);
+      return;
+    }
+
+    // Ticking an option makes it a correct answer and the question a quiz question
+    const correctLabel = document.createElement('label');
+    correctLabel.className = 'option-correct';
+    const correct = document.createElement('input');
+    correct.type = 'checkbox';
+    correct.className = 'option-correct-toggle';
+    correct.checked = isCorrect;
+    correct.setAttribute('aria-label', `Option ${index + 1} is correct`);
+    correct.addEventListener('change', triggerAutoSave);
+    correctLabel.append(correct, document.createTextNode('Correct'));
+
+    row.append(label, input, correctLabel, remove);
     listEl.appendChild(row);
     
     // Update all option labels
     [...listEl.querySelectorAll('.option-row')].forEach((r, i) => {
-      const lbl = r.querySelector('label');
+      const lbl = r.querySelector('label:not(.option-correct)');
       if (lbl) lbl.textContent = `Option ${i + 1}`;
     });
   }
 
   // Render dynamic fields
-  function renderDynamicFields(container, type, existing = []) {
+  function renderDynamicFields(container, type, existing = [], correctAnswers = []) {
     container.innerHTML = '';
     if (type === 'text') {
       const helper = document.createElement('p');
       helper.className = 'field-helper';
       helper.textContent = 'Students will submit a short paragraph or 2-3 sentences.';
-      container.appendChild(helper);
+
+      const answersLabel = document.createElement('label');
+      answersLabel.className = 'accepted-answers-label';
+      answersLabel.textContent = 'Accepted answers (optional, one per line)';
+      const answers = document.createElement('textarea');
+      answers.className = 'accepted-answers';
+      answers.rows = 2;
+      answers.placeholder = 'Leave empty for an ungraded question';
+      answers.value = correctAnswers.join('\n');
+      answers.addEventListener('input', triggerAutoSave);
+      answersLabel.appendChild(answers);
+
+      container.append(helper, answersLabel);
       return;
     }
 
@@ -420,13 +459,65 @@
       return;
     }
 
+    if (type === 'numeric') {
+      const range = existing && !Array.isArray(existing) ? existing : {};
+      const helper = document.createElement('p');
+      helper.className = 'field-helper';
+      helper.textContent = 'Students enter a number. Responses are shown as a histogram.';
+
+      const rangeRow = document.createElement('div');
+      rangeRow.className = 'numeric-range';
+      [['min', 'Minimum'], ['max', 'Maximum']].forEach(([key, text]) => {
+        const rangeLabel = document.createElement('label');
+        rangeLabel.textContent = `${text} (optional)`;
+        const bound = document.createElement('input');
+        bound.type = 'number';
+        bound.step = 'any';
+        bound.className = `numeric-input numeric-${key}`;
+        bound.value = range[key] ?? '';
+        bound.addEventListener('input', triggerAutoSave);
+        rangeLabel.appendChild(bound);
+        rangeRow.appendChild(rangeLabel);
+      });
+
+      const answersLabel = document.createElement('label');
+      answersLabel.className = 'accepted-answers-label';
+      answersLabel.textContent = 'Correct numbers (optional, one per line)';
+      const answers = document.createElement('textarea');
+      answers.className = 'accepted-answers';
+      answers.rows = 2;
+      answers.placeholder = 'Leave empty for an ungraded question';
+      answers.value = correctAnswers.join('\n');
+      answers.addEventListener('input', triggerAutoSave);
+      answersLabel.appendChild(answers);
+
+      container.append(helper, rangeRow, answersLabel);
+      return;
+    }
+
+    if (type === 'word_cloud') {
+      const helper = document.createElement('p');
+      helper.className = 'field-helper';
+      helper.textContent = 'Students answer in up to 3 words. Matching answers are grouped into a word cloud.';
+      container.appendChild(helper);
+      return;
+    }
+
     const optionList = document.createElement('div');
-    optionList.className = 'option-list';
-    const seedValues = existing.length
+    optionList.className = type === 'ranking' ? 'option-list ranking-options' : 'option-list';
+    if (type === 'ranking' || type === 'multi_select') {
+      const helper = document.createElement('p');
+      helper.className = 'field-helper';
+      helper.textContent = type === 'ranking'
+        ? 'Students put every option in order, first to last.'
+        : 'Students can select any number of options. Tick the correct ones to grade the question.';
+      container.appendChild(helper);
+    }
+    const seedValues = Array.isArray(existing) && existing.length
       ? existing
       : ['Option 1', 'Option 2'];
 
-    seedValues.forEach((value, index) => createOptionRow(optionList, value, index));
+    seedValues.forEach((value, index) => createOptionRow(optionList, value, index, correctAnswers.includes(value)));
 
     const addOption = document.createElement('button');
     addOption.type = 'button';
@@ -454,6 +545,64 @@
       .filter(Boolean);
   }
 
+  // Collect the optional min/max of a numeric question (null when neither is set)
+  function collectNumericRange(container) {
+    const range = {};
+    ['min', 'max'].forEach((key) => {
+      const value = container.querySelector(`.numeric-${key}`)?.value.trim();
+      if (value) range[key] = Number(value);
+    });
+    return Object.keys(range).length ? range : null;
+  }
+
+  // Collect correct answers (ticked options, or accepted answers for text questions)
+  function collectCorrectAnswers(container) {
+    const accepted = container.querySelector('.accepted-answers');
+    if (accepted) {
+      return accepted.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    }
+    return [...container.querySelectorAll('.option-row')]
+      .filter((row) => row.querySelector('.option-correct-toggle')?.checked)
+      .map((row) => row.querySelector('input[type="text"]')?.value.trim())
+      .filter(Boolean);
+  }
+
+  // Points, anonymity and result visibility for a question
+  function createQuestionSettings(initial = {}) {
+    const settings = document.createElement('div');
+    settings.className = 'question-settings';
+
+    const pointsLabel = document.createElement('label');
+    pointsLabel.textContent = 'Points';
+    const points = document.createElement('input');
+    points.type = 'number';
+    points.min = '0';
+    points.step = '0.5';
+    points.className = 'question-points';
+    points.value = initial.points ?? 1;
+    points.addEventListener('input', triggerAutoSave);
+    pointsLabel.appendChild(points);
+
+    const anonymousLabel = document.createElement('label');
+    const anonymous = document.createElement('input');
+    anonymous.type = 'checkbox';
+    anonymous.className = 'question-anonymous';
+    anonymous.checked = Boolean(initial.is_anonymous);
+    anonymous.addEventListener('change', triggerAutoSave);
+    anonymousLabel.append(anonymous, document.createTextNode('Anonymous responses'));
+
+    const revealLabel = document.createElement('label');
+    const reveal = document.createElement('input');
+    reveal.type = 'checkbox';
+    reveal.className = 'question-reveal';
+    reveal.checked = Boolean(initial.reveal_results);
+    reveal.addEventListener('change', triggerAutoSave);
+    revealLabel.append(reveal, document.createTextNode('Show results to students'));
+
+    settings.append(pointsLabel, anonymousLabel, revealLabel);
+    return settings;
+  }
+
   // Create question card
   function createQuestionCard(initial = {}) {
     const card = document.createElement('article');
@@ -483,7 +632,16 @@
         triggerAutoSave();
       }
     });
-    header.append(title, removeButton);
+    const saveToBankButton = document.createElement('button');
+    saveToBankButton.type = 'button';
+    saveToBankButton.className = 'btn-link save-to-bank';
+    saveToBankButton.textContent = 'Save to bank';
+    saveToBankButton.addEventListener('click', () => saveQuestionToBank(card));
+
+    const headerActions = document.createElement('div');
+    headerActions.className = 'question-card-actions';
+    headerActions.append(saveToBankButton, removeButton);
+    header.append(title, headerActions);
 
     const promptLabel = document.createElement('label');
     promptLabel.setAttribute('for', `question-prompt-${card.dataset.questionId}`);
@@ -512,6 +670,10 @@
     select.innerHTML = `
       <option value="text">Short text</option>
       <option value="mcq">Multiple choice</option>
+      <option value="multi_select">Multi-select</option>
+      <option value="ranking">Ranking</option>
+      <option value="numeric">Numeric</option>
+      <option value="word_cloud">Word cloud</option>
       <option value="pulse">Pulse</option>
     `;
     select.value = initial.type || initial.question_type || 'text';
@@ -519,14 +681,15 @@
 
     select.addEventListener('change', () => {
       const currentOptions = collectOptions(dynamicArea);
-      renderDynamicFields(dynamicArea, select.value, currentOptions);
+      const currentAnswers = collectCorrectAnswers(dynamicArea);
+      renderDynamicFields(dynamicArea, select.value, currentOptions, currentAnswers);
       triggerAutoSave();
     });
     select.addEventListener('change', triggerAutoSave);
 
-    renderDynamicFields(dynamicArea, select.value, initial.options || []);
+    renderDynamicFields(dynamicArea, select.value, initial.options || [], initial.correct_answers || []);
     typeWrapper.append(typeLabel, select);
-    card.append(header, promptLabel, promptInput, typeWrapper, dynamicArea);
+    card.append(header, promptLabel, promptInput, typeWrapper, dynamicArea, createQuestionSettings(initial));
     return card;
   }
 
@@ -575,22 +738,255 @@
 
   // Collect questions
   function collectQuestions() {
-    return [...questionList.children].map((card, index) => {
-      const prompt = card.querySelector('input[type="text"]')?.value.trim();
-      const select = card.querySelector('select');
-      const dynamicArea = card.querySelector('.option-list, .pulse-option-list')?.parentElement;
-      const type = select?.value || 'text';
-      let options = [];
-      if (type !== 'text' && dynamicArea) {
-        options = collectOptions(dynamicArea);
+    return [...questionList.children].map(collectQuestion);
+  }
+
+  // Collect one question card in the shape LectureService expects
+  function collectQuestion(card, index = 0) {
+    const prompt = card.querySelector('input[type="text"]')?.value.trim();
+    const select = card.querySelector('select');
+    const dynamicArea = card.querySelector('.option-list, .pulse-option-list, .accepted-answers, .numeric-range')
+      ?.closest('.question-card > div');
+    const type = select?.value || 'text';
+    let options = [];
+    if (type === 'numeric' && dynamicArea) {
+      options = collectNumericRange(dynamicArea);
+    } else if (type !== 'text' && type !== 'word_cloud' && dynamicArea) {
+      options = collectOptions(dynamicArea);
+    }
+    const hasOptions = type === 'numeric' ? options !== null : options.length > 0;
+    const correctAnswers = type !== 'pulse' && dynamicArea ? collectCorrectAnswers(dynamicArea) : [];
+    const points = Number(card.querySelector('.question-points')?.value);
+    return {
+      id: `${card.dataset.questionId || `new-${index}`}`,
+      prompt,
+      type,
+      ...(hasOptions ? { options } : {}),
+      correct_answers: correctAnswers.length ? correctAnswers : null,
+      points: Number.isFinite(points) ? points : 1,
+      is_anonymous: Boolean(card.querySelector('.question-anonymous')?.checked),
+      reveal_results: Boolean(card.querySelector('.question-reveal')?.checked)
+    };
+  }
+
+  // Bank and template questions come back with the canonical type names; the type select uses the short ones
+  function toFormQuestion(question) {
+    const type = question.type || question.question_type || 'text';
+    return {
+      prompt: question.prompt || question.question_text,
+      type: { multiple_choice: 'mcq', pulse_check: 'pulse' }[type] || type,
+      options: question.options || [],
+      correct_answers: question.correct_answers || [],
+      points: question.points,
+      is_anonymous: question.is_anonymous,
+      reveal_results: question.reveal_results
+    };
+  }
+
+  // Replace the blank starter question instead of adding after it
+  function addQuestionFromSource(question) {
+    const cards = [...questionList.children];
+    if (cards.length === 1 && !cards[0].querySelector('input[type="text"]')?.value.trim()) {
+      cards[0].remove();
+    }
+    addQuestion(toFormQuestion(question));
+  }
+
+  async function saveQuestionToBank(card) {
+    if (!offeringId) return;
+    const question = collectQuestion(card);
+    if (!question.prompt) {
+      alert('Add a question prompt before saving it to the bank.');
+      return;
+    }
+    const tagInput = window.prompt('Tags for this question (comma separated, optional):', '');
+    if (tagInput === null) return;
+
+    try {
+      const tags = tagInput.split(',').map((tag) => tag.trim()).filter(Boolean);
+      await window.LectureService.saveQuestionToBank(offeringId, question, tags);
+      showSuccessToast('Question saved to the bank');
+      if (bankPanel && !bankPanel.hidden) {
+        await Promise.all([loadBankTags(), searchBank()]);
       }
-      return {
-        id: `${card.dataset.questionId || `new-${index}`}`,
-        prompt,
-        type,
-        ...(options.length ? { options } : {})
-      };
+    } catch (error) {
+      alert(`Could not save the question: ${error.message}`);
+    }
+  }
+
+  function createBankResult(item) {
+    const entry = document.createElement('li');
+    entry.className = 'bank-result';
+
+    const details = document.createElement('div');
+    details.className = 'bank-result-details';
+    const text = document.createElement('p');
+    text.className = 'bank-result-text';
+    text.textContent = item.prompt;
+    const meta = document.createElement('p');
+    meta.className = 'bank-result-meta';
+    const used = item.times_used ? ` · used ${item.times_used}×` : '';
+    meta.textContent = `${item.question_type.replace(/_/g, ' ')}${used}`;
+    details.append(text, meta);
+
+    if (item.tags.length) {
+      const tags = document.createElement('div');
+      tags.className = 'bank-result-tags';
+      item.tags.forEach((tag) => {
+        const chip = document.createElement('span');
+        chip.className = 'bank-tag';
+        chip.textContent = tag;
+        tags.appendChild(chip);
+      });
+      details.appendChild(tags);
+    }
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'btn-secondary';
+    add.textContent = 'Add';
+    add.addEventListener('click', () => {
+      addQuestionFromSource(item);
+      showSuccessToast('Question added from the bank', 2000);
     });
+
+    entry.append(details, add);
+    return entry;
+  }
+
+  async function searchBank() {
+    if (!bankResults || !offeringId) return;
+    try {
+      const items = await window.LectureService.searchQuestionBank(offeringId, {
+        search: bankSearch?.value.trim() || '',
+        tags: bankTag?.value ? [bankTag.value] : []
+      });
+      bankResults.innerHTML = '';
+      if (!items.length) {
+        const empty = document.createElement('li');
+        empty.className = 'bank-empty';
+        empty.textContent = 'No saved questions match. Use "Save to bank" on a question to add it.';
+        bankResults.appendChild(empty);
+        return;
+      }
+      items.forEach((item) => bankResults.appendChild(createBankResult(item)));
+    } catch (error) {
+      bankResults.innerHTML = '';
+      const failed = document.createElement('li');
+      failed.className = 'bank-empty';
+      failed.textContent = `Could not load the question bank: ${error.message}`;
+      bankResults.appendChild(failed);
+    }
+  }
+
+  async function loadBankTags() {
+    if (!bankTag || !offeringId) return;
+    const selected = bankTag.value;
+    const tags = await window.LectureService.getQuestionBankTags(offeringId);
+    bankTag.innerHTML = '<option value="">All tags</option>';
+    tags.forEach(({ tag, count }) => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = `${tag} (${count})`;
+      bankTag.appendChild(option);
+    });
+    bankTag.value = tags.some(({ tag }) => tag === selected) ? selected : '';
+  }
+
+  async function toggleBankPanel() {
+    if (!bankPanel) return;
+    const opening = bankPanel.hidden;
+    bankPanel.hidden = !opening;
+    bankButton?.setAttribute('aria-expanded', String(opening));
+    if (opening) {
+      try {
+        await loadBankTags();
+      } catch (error) {
+        console.error('Error loading question bank tags:', error);
+      }
+      await searchBank();
+      bankSearch?.focus();
+    }
+  }
+
+  function renderTitlePattern(pattern, n, date) {
+    return pattern.replace(/\{n\}/g, String(n)).replace(/\{date\}/g, date || '').replace(/\s+/g, ' ').trim();
+  }
+
+  async function loadTemplates() {
+    if (!templateSelect || !offeringId) return;
+    try {
+      const templates = await window.LectureService.getLectureTemplates(offeringId);
+      templateSelect.innerHTML = '<option value="">Start from scratch</option>';
+      templates.forEach((template) => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = `${template.name} (${template.question_count} question${Number(template.question_count) === 1 ? '' : 's'})`;
+        templateSelect.appendChild(option);
+      });
+      if (appliedTemplate) {
+        templateSelect.value = appliedTemplate.id;
+      }
+    } catch (error) {
+      console.error('Error loading lecture templates:', error);
+    }
+  }
+
+  async function applyTemplate() {
+    const templateId = templateSelect?.value;
+    if (!templateId) {
+      appliedTemplate = null;
+      if (templateHelper) templateHelper.textContent = 'Starting from scratch.';
+      return;
+    }
+    const hasWork = collectQuestions().some((question) => question.prompt);
+    if (hasWork && !window.confirm('Replace the current questions with the template\'s questions?')) {
+      return;
+    }
+
+    try {
+      const template = await window.LectureService.getLectureTemplate(templateId);
+      const title = renderTitlePattern(template.title_pattern, template.times_used + 1, getDateValue('lecture-date'));
+      const labelInput = document.getElementById('lecture-label');
+      if (labelInput) {
+        labelInput.value = title;
+        labelInput.dispatchEvent(new Event('input'));
+      }
+
+      questionList.innerHTML = '';
+      template.questions.forEach((question) => addQuestion(toFormQuestion(question)));
+      if (!template.questions.length) addQuestion();
+
+      appliedTemplate = { id: template.id, title };
+      if (templateHelper) {
+        templateHelper.textContent = `Using "${template.name}". Edit anything before creating the lecture.`;
+      }
+      triggerAutoSave();
+    } catch (error) {
+      alert(`Could not load the template: ${error.message}`);
+    }
+  }
+
+  async function saveAsTemplate() {
+    if (!offeringId) return;
+    const questions = collectQuestions().filter((question) => question.prompt);
+    if (!questions.length) {
+      alert('Add at least one question before saving a template.');
+      return;
+    }
+    const name = window.prompt('Template name:', '');
+    if (!name?.trim()) return;
+    const label = document.getElementById('lecture-label')?.value.trim();
+    const titlePattern = window.prompt('Title for lectures made from this template ({n} = number, {date} = date):', label || `${name.trim()} {n}`);
+    if (!titlePattern?.trim()) return;
+
+    try {
+      await window.LectureService.saveLectureTemplate(offeringId, { name: name.trim(), titlePattern, questions });
+      showSuccessToast(`Template "${name.trim()}" saved`);
+      await loadTemplates();
+    } catch (error) {
+      alert(`Could not save the template: ${error.message}`);
+    }
   }
 
   // Show success toast for general messages
@@ -771,6 +1167,16 @@
       });
 
         if (btnText) btnText.textContent = 'Updating...';
+      } else if (appliedTemplate) {
+        // Create from the template so its use count (the {n} in its title) moves on;
+        // an untouched label is left to the server so {date} matches the chosen date
+        lecture = await window.LectureService.createLectureFromTemplate(appliedTemplate.id, {
+          offering_id: finalOfferingId,
+          label: label === appliedTemplate.title ? undefined : label,
+          startsAt,
+          endsAt,
+          questions
+        });
       } else {
         // Create new session
         lecture = await window.LectureService.createLecture({
@@ -787,6 +1193,11 @@
         form.reset();
         questionList.innerHTML = '';
         addQuestion();
+        if (appliedTemplate) {
+          appliedTemplate = null;
+          if (templateHelper) templateHelper.textContent = 'Lecture created. Pick a template to start the next one.';
+          loadTemplates();
+        }
         showSaved();
         showToast(lecture);
       } else if (editingSessionId) {
@@ -873,7 +1284,10 @@
 
         // Pre-fill end time from code_expires_at (which stores the end time)
         const endTimeInput = document.getElementById('lecture-end');
-        if (lecture?.endsAt && endTimeInput && sessionDate && sessionTime) {
+        if (lecture?.end_time && endTimeInput) {
+          // End time already converted to the course timezone
+          endTimeInput.value = lecture.end_time;
+        } else if (lecture?.endsAt && endTimeInput && sessionDate && sessionTime) {
           // Parse endsAt - it's an ISO string, extract local time components
           const endDate = new Date(lecture.endsAt);
           
@@ -991,13 +1405,7 @@
       // Pre-fill questions
       if (lecture.questions && lecture.questions.length > 0) {
         questionList.innerHTML = '';
-        lecture.questions.forEach((q) => {
-          addQuestion({
-            prompt: q.prompt || q.question_text,
-            type: q.type || q.question_type,
-            options: q.options || []
-          });
-        });
+        lecture.questions.forEach((q) => addQuestion(toFormQuestion(q)));
       }
 
       // Update button text
@@ -1081,6 +1489,10 @@
           if (container) {
             container.setAttribute('data-offering-id', offeringId);
           }
+          // Templates only start new lectures
+          if (!editingSessionId && !sessionId) {
+            loadTemplates();
+          }
         } else {
           console.warn('No active offering ID found or invalid:', fetchedOfferingId);
           offeringId = null; // Explicitly set to null
@@ -1296,6 +1708,17 @@
 
     // Event listeners
     addQuestionButton.addEventListener('click', () => addQuestion());
+    bankButton?.addEventListener('click', toggleBankPanel);
+    bankSearch?.addEventListener('input', () => {
+      clearTimeout(bankSearchTimer);
+      bankSearchTimer = setTimeout(searchBank, 300);
+    });
+    bankTag?.addEventListener('change', searchBank);
+    document.getElementById('apply-template-btn')?.addEventListener('click', applyTemplate);
+    document.getElementById('save-template-btn')?.addEventListener('click', saveAsTemplate);
+    if (sessionId) {
+      document.querySelector('.template-section')?.setAttribute('hidden', 'true');
+    }
     form.addEventListener('submit', handleSubmit);
     
     backButton?.addEventListener('click', () => {
@@ -6,6 +6,9 @@
     chart: document.getElementById('attendance-chart'),
     percent: document.getElementById('last-session-percent'),
     newLecture: document.getElementById('new-lecture-btn'),
+    lectureSeries: document.getElementById('lecture-series-btn'),
+    pulseAnalytics: document.getElementById('pulse-analytics-btn'),
+    gradebookExport: document.getElementById('gradebook-export-btn'),
     sidebar: document.querySelector('.sidebar')
   };
 
@@ -13,7 +16,7 @@
   let offeringInfo = null;
   let isLoading = false;
 
-  function formatTimeRange(startIso, endIso) {
+  function formatTimeRange(startIso, endIso, timeZone) {
     if (!startIso || !endIso) return '—';
     try {
       // Parse ISO strings and ensure we're working with local time
@@ -25,17 +28,17 @@
         return '—';
       }
       
-      // Always format in local timezone
+      // Format in the course timezone, falling back to the browser timezone
       const dateFormatter = new Intl.DateTimeFormat('en-US', { 
         month: 'short', 
         day: 'numeric', 
         year: 'numeric',
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
       });
       const timeFormatter = new Intl.DateTimeFormat('en-US', { 
         hour: 'numeric', 
         minute: 'numeric',
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
       });
     return `${dateFormatter.format(start)} ${timeFormatter.format(start)}–${timeFormatter.format(end)}`;
     } catch (e) {
@@ -135,6 +138,49 @@
     return button;
   }
 
+  function createDuplicateButton(lecture) {
+    const button = document.createElement('button');
+    button.className = 'btn-link';
+    button.type = 'button';
+    button.textContent = 'Duplicate';
+    button.title = `Copy ${lecture.label} and its questions into a new lecture`;
+    button.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      try {
+        const copy = await window.LectureService.cloneLecture(lecture.id);
+        window.location.href = `/lecture-builder?sessionId=${copy.id}`;
+      } catch (error) {
+        alert(`Error duplicating lecture: ${error.message}`);
+      }
+    });
+    return button;
+  }
+
+  function createRescheduleButton(lecture) {
+    const button = document.createElement('button');
+    button.className = 'btn-link';
+    button.type = 'button';
+    button.textContent = 'Reschedule';
+    button.title = `Move ${lecture.label} to another date; attendance and responses are kept`;
+    button.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const sessionDate = window.prompt('New date (YYYY-MM-DD)', String(lecture.session_date || '').split('T')[0]);
+      if (!sessionDate) return;
+      const sessionTime = window.prompt('Start time (HH:MM)', String(lecture.session_time || '').slice(0, 5));
+      if (sessionTime === null) return;
+      try {
+        await window.LectureService.rescheduleLecture(lecture.id, {
+          session_date: sessionDate.trim(),
+          session_time: sessionTime.trim() || undefined
+        });
+        await hydrate();
+      } catch (error) {
+        alert(`Error rescheduling lecture: ${error.message}`);
+      }
+    });
+    return button;
+  }
+
   function createPrimaryButton(lecture) {
     const button = document.createElement('button');
     button.className = 'btn-link';
@@ -176,6 +222,18 @@
     return button;
   }
 
+  function createQrButton(lecture) {
+    const button = document.createElement('button');
+    button.className = 'btn-link';
+    button.type = 'button';
+    button.textContent = 'Show QR';
+    button.title = `Open the check-in QR code for ${lecture.label} in a new window`;
+    button.addEventListener('click', () => {
+      window.open(`/lecture-qr?sessionId=${lecture.id}`, '_blank', 'noopener');
+    });
+    return button;
+  }
+
   function buildLectureCard(lecture, currentLectureId) {
     const card = document.createElement('article');
     card.className = 'attendance-card-list';
@@ -213,7 +271,7 @@
     attendance.textContent = `${lecture.attendancePercent}% attendance`;
     const schedule = document.createElement('span');
     schedule.className = 'attendance-schedule';
-    schedule.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt);
+    schedule.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt, lecture.timeZone);
     meta.append(attendance, schedule);
 
     // Access code column with copy button
@@ -250,6 +308,12 @@
     const actions = document.createElement('div');
     actions.className = 'lecture-actions';
     actions.append(createPrimaryButton(lecture));
+    if (lecture.status === 'open') {
+      actions.append(createQrButton(lecture));
+    } else {
+      actions.append(createRescheduleButton(lecture));
+    }
+    actions.append(createDuplicateButton(lecture));
     actions.append(createDeleteButton(lecture.id, lecture.label));
 
     card.append(labelWrapper, meta, accessCodeCol, statusCol, actions);
@@ -361,10 +425,45 @@
     selectors.newLecture.addEventListener('click', () => {
       window.location.href = '/lecture-builder';
     });
+    selectors.lectureSeries?.addEventListener('click', () => {
+      window.location.href = '/lecture-series';
+    });
+    selectors.pulseAnalytics?.addEventListener('click', () => {
+      window.location.href = '/pulse-analytics';
+    });
+  }
+
+  function initGradebookExport() {
+    if (!selectors.gradebookExport) return;
+    selectors.gradebookExport.addEventListener('click', async () => {
+      const button = selectors.gradebookExport;
+      const label = button.textContent;
+      button.disabled = true;
+      button.textContent = 'Exporting…';
+      try {
+        const id = offeringId || await window.LectureService.getActiveOfferingId();
+        const { filename, csv } = await window.LectureService.exportGradebook(id);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+      } catch (error) {
+        console.error('Error exporting gradebook:', error);
+        alert(`Error exporting gradebook: ${error.message}`);
+      } finally {
+        button.disabled = false;
+        button.textContent = label;
+      }
+    });
   }
 
   function init() {
     initNewLectureButton();
+    initGradebookExport();
     hydrate();
   }
 
@@ -3,6 +3,23 @@
 
 import { determineMeetingStatus, fetchMeetings } from './meeting-utils.js';
 
+// Shared with the TA/tutor dashboards' "Show all teams" toggle
+const SHOW_ALL_TEAMS_KEY = 'conductor_show_all_teams';
+
+function getShowAllTeams() {
+  return localStorage.getItem(SHOW_ALL_TEAMS_KEY) === 'true';
+}
+
+// Supervisors see their assigned teams unless "Show all teams" is on;
+// staff without assignments (e.g. instructors) always see every team
+function scopeTeams(teams) {
+  const toggleWrap = document.getElementById('show-all-teams');
+  const hasAssigned = teams.some(team => team.assigned_to_me);
+  if (toggleWrap) toggleWrap.hidden = !hasAssigned;
+  if (!hasAssigned || getShowAllTeams()) return teams;
+  return teams.filter(team => team.assigned_to_me);
+}
+
 async function fetchTeams() {
   // 1) Use page-provided offering id (query string or meta)
   // 2) Fallback to the active-offering API (/api/offerings/active)
@@ -53,7 +70,8 @@ async function renderTeams() {
   container.innerHTML = '<p style="text-align:center; color:#888;">Loading teams...</p>';
   
   try {
-    const { teams, offeringId } = await fetchTeams();
+    const { teams: allTeams, offeringId } = await fetchTeams();
+    const teams = Array.isArray(allTeams) ? scopeTeams(allTeams) : allTeams;
     container.innerHTML = '';
     
     if (!teams || !Array.isArray(teams)) {
@@ -165,5 +183,13 @@ async function renderTeams() {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+  const toggle = document.getElementById('showAllTeams');
+  if (toggle) {
+    toggle.checked = getShowAllTeams();
+    toggle.addEventListener('change', () => {
+      localStorage.setItem(SHOW_ALL_TEAMS_KEY, String(toggle.checked));
+      renderTeams();
+    });
+  }
   renderTeams();
 });
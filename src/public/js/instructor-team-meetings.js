@@ -44,6 +44,7 @@ function renderMeetings(meetings, teamSize) {
   for (const meeting of meetings) {
     const row = document.createElement('article');
     row.className = 'attendance-card-list';
+    row.dataset.meetingId = meeting.id;
     
     // Format date and time using session_date and session_time (same as team leader view)
     let timeStr = 'TBD';
@@ -178,6 +179,84 @@ function renderMeetings(meetings, teamSize) {
   });
 }
 
+// Due dates are YYYY-MM-DD; parse them as local dates so they don't shift a day
+function formatDueDate(value) {
+  if (!value) return 'no due date';
+  return new Date(`${value}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function describeActionItem(item) {
+  const status = item.status === 'done' ? ' (done)' : '';
+  return `${item.description}${status} — ${item.owner_name || 'Unassigned'}, ${formatDueDate(item.due_date)}`;
+}
+
+function appendList(parent, items, describe) {
+  const list = document.createElement('ul');
+  for (const item of items) {
+    const li = document.createElement('li');
+    li.textContent = describe(item);
+    list.appendChild(li);
+  }
+  parent.appendChild(list);
+}
+
+function renderOpenActionItems(items) {
+  const section = document.getElementById('team-action-items');
+  if (!section) return;
+  section.hidden = items.length === 0;
+  const body = section.querySelector('.team-action-items-list');
+  body.innerHTML = '';
+  appendList(body, items, item => `${describeActionItem(item)} · from ${item.origin_session_title}`);
+}
+
+// Minutes are read-only here; team leads write them from their meetings page
+function renderMinutes(minutes) {
+  for (const entry of minutes) {
+    const row = document.querySelector(`.attendance-card-list[data-meeting-id="${entry.session_id}"]`);
+    if (!row) continue;
+
+    const details = document.createElement('details');
+    details.className = 'meeting-minutes';
+    const summary = document.createElement('summary');
+    summary.textContent = `Minutes (${entry.action_items.length} action item${entry.action_items.length === 1 ? '' : 's'})`;
+    details.appendChild(summary);
+
+    for (const [heading, text] of [['Agenda', entry.agenda], ['Notes', entry.notes], ['Decisions', entry.decisions]]) {
+      if (!text) continue;
+      const title = document.createElement('h4');
+      title.textContent = heading;
+      const body = document.createElement('p');
+      body.className = 'meeting-minutes-text';
+      body.textContent = text;
+      details.append(title, body);
+    }
+    if (entry.action_items.length) {
+      const title = document.createElement('h4');
+      title.textContent = 'Action Items';
+      details.appendChild(title);
+      appendList(details, entry.action_items, describeActionItem);
+    }
+    if (entry.updated_by_name) {
+      const footer = document.createElement('p');
+      footer.className = 'meeting-minutes-updated';
+      footer.textContent = `Last edited by ${entry.updated_by_name} on ${new Date(entry.updated_at).toLocaleDateString()}`;
+      details.appendChild(footer);
+    }
+    row.appendChild(details);
+  }
+}
+
+async function loadMinutes(teamId) {
+  if (!window.MeetingMinutesService) return;
+  try {
+    const { minutes, open_action_items } = await window.MeetingMinutesService.getForTeam(teamId);
+    renderOpenActionItems(open_action_items);
+    renderMinutes(minutes);
+  } catch (error) {
+    console.error('Error loading meeting minutes:', error);
+  }
+}
+
 async function renderPage() {
   const { teamId, offeringId } = await getParams();
   if (!teamId || !offeringId) {
@@ -197,6 +276,7 @@ async function renderPage() {
   }
   const meetings = await fetchMeetings(teamId, offeringId);
   renderMeetings(meetings, teamSize);
+  await loadMinutes(teamId);
   initBackButton();
 }
 
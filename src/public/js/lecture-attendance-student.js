@@ -2,7 +2,8 @@
   const state = {
     lectures: [],
     filter: 'all',
-    offeringId: null
+    offeringId: null,
+    excuseRequests: {}
   };
 
   const selectors = {
@@ -15,7 +16,7 @@
 
   let isLoading = false;
 
-  function formatTimeRange(startIso, endIso) {
+  function formatTimeRange(startIso, endIso, timeZone) {
     if (!startIso || !endIso) return '—';
     try {
     const start = new Date(startIso);
@@ -26,17 +27,17 @@
         return '—';
       }
       
-    // Always format in local timezone (explicitly use local timezone)
+    // Format in the course timezone, falling back to the browser timezone
     const dateFormatter = new Intl.DateTimeFormat('en-US', { 
       month: 'short', 
       day: 'numeric', 
       year: 'numeric',
-      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
     });
     const timeFormatter = new Intl.DateTimeFormat('en-US', { 
       hour: 'numeric', 
       minute: 'numeric',
-      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
     });
     return `${dateFormatter.format(start)} ${timeFormatter.format(start)}–${timeFormatter.format(end)}`;
     } catch (e) {
@@ -62,6 +63,10 @@
       badge.classList.remove('present');
       badge.classList.add('open');
     }
+    if (status === 'excused') {
+      badge.classList.remove('present');
+      badge.classList.add('excused');
+    }
     return badge;
   }
 
@@ -82,9 +87,15 @@
     label.textContent = lecture.label;
     const time = document.createElement('p');
     time.className = 'lecture-time';
-    time.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt);
+    time.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt, lecture.timeZone);
     details.append(label, time);
 
+    const excuseRequest = state.excuseRequests[lecture.id];
+    const excuseStatus = buildExcuseStatus(excuseRequest);
+    if (excuseStatus) {
+      details.appendChild(excuseStatus);
+    }
+
     const meta = document.createElement('div');
     meta.className = 'lecture-meta';
 
@@ -100,13 +111,16 @@
       sessionStatus.textContent = 'Closed';
     }
 
+    // Late arrivals are checked in too, so they get the same actions as present
+    const hasCheckedIn = lecture.status === 'present' || lecture.status === 'late';
+
     const actions = document.createElement('div');
     actions.className = 'lecture-actions';
     const actionButton = document.createElement('button');
     actionButton.className = 'btn-link';
     actionButton.type = 'button';
     if (lecture.sessionState === 'open') {
-      actionButton.textContent = lecture.status === 'present' ? 'View responses' : 'Record attendance';
+      actionButton.textContent = hasCheckedIn ? 'View responses' : 'Record attendance';
     } else if (lecture.sessionState === 'pending') {
       actionButton.textContent = 'Not available';
       actionButton.disabled = true;
@@ -118,8 +132,8 @@
     
     actionButton.addEventListener('click', () => {
       if (lecture.sessionState === 'open') {
-        if (lecture.status === 'present') {
-          // Already marked present, go to view responses
+        if (hasCheckedIn) {
+          // Already checked in, go to view responses
           window.location.href = `/student-lecture-response?sessionId=${lecture.id}`;
         } else {
           // Need to record attendance - show modal
@@ -135,6 +149,21 @@
     });
     actions.appendChild(actionButton);
 
+    if (lecture.remote_join_url && lecture.sessionState !== 'closed') {
+      const joinLink = document.createElement('a');
+      joinLink.className = 'btn-link';
+      joinLink.href = lecture.remote_join_url;
+      joinLink.target = '_blank';
+      joinLink.rel = 'noopener noreferrer';
+      joinLink.textContent = 'Join remotely';
+      actions.appendChild(joinLink);
+    }
+
+    const excuseButton = buildExcuseButton(lecture, excuseRequest);
+    if (excuseButton) {
+      actions.appendChild(excuseButton);
+    }
+
     meta.append(sessionStatus, actions);
     info.appendChild(details);
     row.appendChild(info);
@@ -143,6 +172,150 @@
     return row;
   }
 
+  function buildExcuseStatus(request) {
+    if (!request || request.status === 'withdrawn') return null;
+
+    const labels = {
+      pending: 'Excuse request pending review',
+      approved: 'Excuse request approved',
+      denied: 'Excuse request denied'
+    };
+
+    const text = document.createElement('p');
+    text.className = `lecture-excuse-status ${request.status}`;
+    text.textContent = request.status === 'denied' && request.review_note
+      ? `${labels.denied}: ${request.review_note}`
+      : labels[request.status];
+    return text;
+  }
+
+  function buildExcuseButton(lecture, request) {
+    // Excuses are for missed or late lectures once the session has closed
+    const canRequest = lecture.sessionState === 'closed'
+      && (lecture.status === 'absent' || lecture.status === 'late');
+    if (!canRequest) return null;
+
+    const button = document.createElement('button');
+    button.className = 'btn-link';
+    button.type = 'button';
+
+    if (request?.status === 'pending') {
+      button.textContent = 'Withdraw excuse';
+      button.addEventListener('click', async () => {
+        if (!window.confirm('Withdraw your excuse request for this lecture?')) return;
+        button.disabled = true;
+        try {
+          await window.LectureService.withdrawExcuseRequest(request.id);
+          await loadExcuseRequests();
+          renderLectures();
+        } catch (error) {
+          console.error('Error withdrawing excuse request:', error);
+          alert(error.message || 'Failed to withdraw excuse request.');
+          button.disabled = false;
+        }
+      });
+    } else {
+      button.textContent = 'Request excuse';
+      button.addEventListener('click', () => showExcuseModal(lecture));
+    }
+
+    return button;
+  }
+
+  async function loadExcuseRequests() {
+    if (!state.offeringId || !window.LectureService?.getMyExcuseRequests) return;
+
+    // Requests come newest first, so keep the first one seen per session
+    const requests = await window.LectureService.getMyExcuseRequests(state.offeringId);
+    state.excuseRequests = {};
+    requests.forEach((request) => {
+      if (!state.excuseRequests[request.session_id]) {
+        state.excuseRequests[request.session_id] = request;
+      }
+    });
+  }
+
+  function showExcuseModal(lecture) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+      <div class="access-code-modal excuse-modal" role="dialog" aria-modal="true" aria-labelledby="excuse-modal-title">
+        <button class="modal-close" aria-label="Close modal" type="button">&times;</button>
+        <div class="modal-header">
+          <h3 id="excuse-modal-title">Request an Excuse</h3>
+          <p></p>
+        </div>
+        <form class="excuse-form">
+          <label class="excuse-label" for="excuse-reason">Reason</label>
+          <textarea id="excuse-reason" name="reason" rows="4" maxlength="2000" required></textarea>
+          <label class="excuse-label" for="excuse-attachment">Supporting document (optional)</label>
+          <input id="excuse-attachment" name="attachment" type="file" accept=".pdf,.png,.jpg,.jpeg,.webp,.txt">
+          <div class="modal-error"></div>
+          <div class="excuse-modal-actions">
+            <button type="button" class="modal-btn modal-btn-secondary excuse-cancel">Cancel</button>
+            <button type="submit" class="modal-btn modal-btn-primary">Submit request</button>
+          </div>
+        </form>
+      </div>
+    `;
+    overlay.querySelector('.modal-header p').textContent =
+      `Explain why you missed ${lecture.label}. An instructor or TA will review your request.`;
+
+    document.body.appendChild(overlay);
+    const form = overlay.querySelector('.excuse-form');
+    const reasonInput = overlay.querySelector('#excuse-reason');
+    const fileInput = overlay.querySelector('#excuse-attachment');
+    const errorDiv = overlay.querySelector('.modal-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        closeModal();
+      }
+    };
+
+    function closeModal() {
+      document.removeEventListener('keydown', handleEscape);
+      overlay.remove();
+    }
+
+    overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    overlay.querySelector('.excuse-cancel').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+    document.addEventListener('keydown', handleEscape);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const reason = reasonInput.value.trim();
+      if (!reason) {
+        errorDiv.textContent = 'Please describe why you missed this lecture.';
+        errorDiv.classList.add('show');
+        return;
+      }
+
+      submitBtn.disabled = true;
+      errorDiv.classList.remove('show');
+      try {
+        await window.LectureService.submitExcuseRequest(lecture.id, {
+          reason,
+          attachment: fileInput.files[0] || null
+        });
+        closeModal();
+        await loadExcuseRequests();
+        renderLectures();
+      } catch (error) {
+        console.error('Error submitting excuse request:', error);
+        errorDiv.textContent = error.message || 'Failed to submit excuse request.';
+        errorDiv.classList.add('show');
+        submitBtn.disabled = false;
+      }
+    });
+
+    setTimeout(() => reasonInput.focus(), 100);
+  }
+
   async function updateOverallAttendance() {
     if (!selectors.attendancePercentage || !state.offeringId) return;
     
@@ -253,6 +426,7 @@
       // Get lecture list (only lectures, not team meetings)
       if (state.offeringId) {
       state.lectures = await window.LectureService.getStudentLectureList(state.offeringId);
+      await loadExcuseRequests();
       await updateOverallAttendance();
       } else {
         state.lectures = [];
@@ -305,12 +479,18 @@
           <input type="text" class="code-input" maxlength="1" autocomplete="off" aria-label="Character 5" data-index="4" tabindex="5" style="text-transform: uppercase;">
           <input type="text" class="code-input" maxlength="1" autocomplete="off" aria-label="Character 6" data-index="5" tabindex="6" style="text-transform: uppercase;">
         </div>
+        ${isOpenSession && lecture.remote_join_url ? `
+        <label class="remote-checkin-option">
+          <input type="checkbox" class="remote-checkin-input">
+          I'm attending remotely
+        </label>` : ''}
         <div class="modal-error" id="modal-error"></div>
       </div>
     `;
 
     document.body.appendChild(overlay);
     const modal = overlay.querySelector('.access-code-modal');
+    const remoteInput = overlay.querySelector('.remote-checkin-input');
     const inputs = Array.from(overlay.querySelectorAll('.code-input'));
     const closeBtn = overlay.querySelector('.modal-close');
     const errorDiv = overlay.querySelector('.modal-error');
@@ -359,7 +539,7 @@
 
           // Code is correct and session is open - check in with access code
           try {
-            await window.LectureService.checkIn(code, []);
+            await window.LectureService.checkIn(code, [], remoteInput?.checked ? 'remote' : 'in_person');
             
             // Successfully checked in - redirect to response page
             window.location.href = `/student-lecture-response?sessionId=${lecture.id}`;
@@ -630,9 +810,34 @@
     if (contactInstructor) contactInstructor.addEventListener('click', handler('Instructor'));
   }
 
-  function init() {
+  // Scanning the projector QR code opens this page with ?checkin=<token>
+  async function handleQrCheckIn() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('checkin');
+    if (!token || !window.LectureService?.checkInWithToken) return false;
+
+    // Drop the token from the address bar so a refresh doesn't resubmit it
+    params.delete('checkin');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    try {
+      const result = await window.LectureService.checkInWithToken(token);
+      const sessionId = result?.attendance?.session_id;
+      if (sessionId) {
+        window.location.href = `/student-lecture-response?sessionId=${sessionId}`;
+        return true;
+      }
+    } catch (error) {
+      alert(error.message || 'Unable to check in with this QR code. Please enter the access code instead.');
+    }
+    return false;
+  }
+
+  async function init() {
     initFilter();
     initContactButtons();
+    if (await handleQrCheckIn()) return;
     hydrateStudentView();
   }
 
@@ -38,12 +38,59 @@
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
 
     return data;
   }
 
+  /**
+   * Ask the browser for the device location (resolves null if denied or unavailable)
+   */
+  function getBrowserLocation(timeoutMs = 10000) {
+    return new Promise((resolve) => {
+      if (!navigator.geolocation) {
+        resolve(null);
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        }),
+        () => resolve(null),
+        { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: 60000 }
+      );
+    });
+  }
+
+  /**
+   * POST a check-in, retrying with the device location if the session has a geofence
+   * The location is only requested when the server asks for it, so most check-ins
+   * never trigger the browser permission prompt.
+   */
+  async function postCheckIn(body) {
+    try {
+      return await apiFetch('/attendance/check-in', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      if (!error.data?.location_required) {
+        throw error;
+      }
+      const location = await getBrowserLocation();
+      return await apiFetch('/attendance/check-in', {
+        method: 'POST',
+        body: JSON.stringify(location ? { ...body, location } : { ...body, location_unavailable: true })
+      });
+    }
+  }
+
   /**
    * Get active course offering
    */
@@ -74,15 +121,40 @@
     }
   }
 
+  function toIsoString(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * HH:MM of an instant in the course timezone (browser timezone if unknown)
+   */
+  function formatWallClock(value, timeZone) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    try {
+      return new Intl.DateTimeFormat('en-GB', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+        timeZone: timeZone || undefined
+      }).format(date);
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Transform backend session to frontend format
    */
   function transformSession(session) {
     if (!session) return null;
 
-    // Combine session_date and session_time into ISO strings
-    let startsAt = null;
-    if (session.session_date && session.session_time) {
+    // starts_at/ends_at are the real instants (session time in the course timezone);
+    // older rows without them fall back to combining session_date and session_time
+    let startsAt = toIsoString(session.starts_at);
+    if (!startsAt && session.session_date && session.session_time) {
       try {
         // Handle date format from PostgreSQL (could be string or Date object)
         let dateStr = session.session_date;
@@ -144,8 +216,8 @@
     }
     
     // Use code_expires_at as the end time (it stores the actual end time from the form)
-    let endsAt = null;
-    if (session.code_expires_at) {
+    let endsAt = toIsoString(session.ends_at);
+    if (!endsAt && session.code_expires_at) {
       try {
         const codeExpiresDate = new Date(session.code_expires_at);
         const startDate = startsAt ? new Date(startsAt) : null;
@@ -191,7 +263,7 @@
           endsAt = endDate.toISOString();
         }
       }
-    } else if (startsAt) {
+    } else if (!endsAt && startsAt) {
       // Fallback: calculate from start time + 30 minutes if no code_expires_at
       try {
         const endDate = new Date(startsAt);
@@ -260,6 +332,8 @@
       status,
       startsAt,
       endsAt,
+      timeZone: session.timezone || null,
+      end_time: session.ends_at ? formatWallClock(session.ends_at, session.timezone) : null,
       session_date: session.session_date,
       session_time: session.session_time,
       accessCode: session.access_code,
@@ -267,12 +341,20 @@
       code_expires_at: session.code_expires_at,
       attendance_opened_at: session.attendance_opened_at,
       attendance_closed_at: session.attendance_closed_at,
+      presentation_mode: Boolean(session.presentation_mode),
+      presented_question_id: session.presented_question_id || null,
+      checkin_constraints: session.checkin_constraints || null,
+      response_rules: session.response_rules || null,
+      remote_join_url: session.remote_join_url || null,
       is_active: session.is_active,
       questions: (session.questions || []).map(transformQuestion),
       statistics: session.statistics
     };
   }
 
+  // Question types whose answers go in response_values / response_number (see utils/question-types.js)
+  const STRUCTURED_QUESTION_TYPES = ['multi_select', 'ranking', 'numeric', 'word_cloud'];
+
   /**
    * Transform backend question to frontend format
    */
@@ -285,6 +367,8 @@
       type = 'pulse_check';
     } else if (question.question_type === 'text') {
       type = 'text';
+    } else if (STRUCTURED_QUESTION_TYPES.includes(question.question_type)) {
+      type = question.question_type;
     }
     
     return {
@@ -295,7 +379,15 @@
       question_type: question.question_type,
       options: question.options || [],
       is_required: question.is_required !== undefined ? question.is_required : true,
-      question_order: question.question_order
+      question_order: question.question_order,
+      // Students only get correct_answers once results are revealed
+      correct_answers: question.correct_answers || null,
+      is_graded: question.is_graded ?? Boolean(question.correct_answers?.length),
+      points: question.points !== undefined ? Number(question.points) : 1,
+      is_anonymous: Boolean(question.is_anonymous),
+      reveal_results: Boolean(question.reveal_results),
+      // Presentation mode: the question takes responses while opened and not closed
+      is_open: Boolean(question.opened_at) && !question.closed_at
     };
   }
 
@@ -308,6 +400,7 @@
     }
 
     const { startsAt, label, questions, ...rest } = sessionData;
+    const endDate = rest.endsAt ? new Date(rest.endsAt) : null;
 
     // Ensure offering_id is present - check multiple possible locations with strict validation
     let offering_id = sessionData.offering_id;
@@ -357,7 +450,11 @@
       question_type: q.type || q.question_type || 'text',
       options: q.options || [],
       is_required: q.is_required !== undefined ? q.is_required : true,
-      question_order: q.question_order || index + 1
+      question_order: q.question_order || index + 1,
+      correct_answers: q.correct_answers || null,
+      points: q.points ?? 1,
+      is_anonymous: Boolean(q.is_anonymous),
+      reveal_results: Boolean(q.reveal_results)
       }));
 
     const result = {
@@ -367,6 +464,13 @@
       session_time,
       questions: transformedQuestions
     };
+
+    // Send the end as a wall-clock time too, so the server can read it in the course timezone
+    if (endDate && !Number.isNaN(endDate.getTime())) {
+      const endHours = String(endDate.getHours()).padStart(2, '0');
+      const endMinutes = String(endDate.getMinutes()).padStart(2, '0');
+      result.end_time = `${endHours}:${endMinutes}`;
+    }
     
     // Only include offering_id if it exists, otherwise backend will use active offering
     if (offering_id) {
@@ -385,11 +489,17 @@
       question_id: response.question_id,
       studentId: response.user_id,
       user_id: response.user_id,
-      name: response.student_name || response.user_name || 'Unknown',
-      team: response.team_name || response.team || 'No team',
+      name: response.is_anonymous ? 'Anonymous' : (response.student_name || response.user_name || 'Unknown'),
+      team: response.is_anonymous ? '' : (response.team_name || response.team || 'No team'),
+      is_anonymous: Boolean(response.is_anonymous),
       response: response.response_text || response.response_option || '',
       response_text: response.response_text,
       response_option: response.response_option,
+      response_values: response.response_values || null,
+      response_number: response.response_number ?? null,
+      is_late: Boolean(response.is_late),
+      edit_count: response.edit_count || 0,
+      history: response.history || [],
       submitted_at: response.created_at || response.submitted_at
     };
   }
@@ -465,6 +575,14 @@
       }
     },
 
+    /**
+     * Re-fetch a lecture for live updates; throws instead of alerting so polling stays quiet
+     */
+    async refreshLecture(lectureId) {
+      const session = await apiFetch(`/sessions/${lectureId}`, { cache: 'no-store' });
+      return transformSession(session);
+    },
+
     /**
      * Get question responses
      */
@@ -489,6 +607,16 @@
       }
     },
 
+    /**
+     * Get the server-side aggregate for one question (multi-select counts, average ranks,
+     * numeric histogram or word cloud phrases); null for types charted from the responses
+     */
+    async getQuestionAggregate(lectureId, questionId) {
+      const stats = await apiFetch(`/sessions/${lectureId}/statistics`);
+      const entry = (stats?.questions || []).find((q) => String(q.question_id) === String(questionId));
+      return entry?.aggregate || null;
+    },
+
     /**
      * Create a new lecture session
      */
@@ -562,6 +690,30 @@
       }
     },
 
+    /**
+     * Copy a lecture and its questions (new access code, no attendance or responses)
+     * data: { title?, session_date?, session_time?, end_time? }
+     */
+    async cloneLecture(lectureId, data = {}) {
+      const session = await apiFetch(`/sessions/${lectureId}/clone`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+      return transformSession(session);
+    },
+
+    /**
+     * Move a lecture to a new date and time; attendance and responses are kept
+     * changes: { session_date, session_time?, end_time?, reason?, notify? }
+     */
+    async rescheduleLecture(lectureId, changes) {
+      const session = await apiFetch(`/sessions/${lectureId}/reschedule`, {
+        method: 'POST',
+        body: JSON.stringify(changes)
+      });
+      return transformSession(session);
+    },
+
     /**
      * Record student responses
      */
@@ -571,7 +723,9 @@
         const responses = answers.map(answer => ({
           question_id: answer.questionId,
           response_text: answer.response || answer.response_text,
-          response_option: answer.response_option || null
+          response_option: answer.response_option || null,
+          response_values: answer.response_values || null,
+          response_number: answer.response_number ?? null
         }));
 
         const result = await apiFetch(`/attendance/sessions/${lectureId}/responses`, {
@@ -588,21 +742,22 @@
 
     /**
      * Check in with access code
+     * modality: 'in_person' (default) or 'remote'
      */
-    async checkIn(accessCode, responses = []) {
+    async checkIn(accessCode, responses = [], modality = 'in_person') {
       try {
         const transformedResponses = responses.map(r => ({
           question_id: r.questionId,
           response_text: r.response_text,
-          response_option: r.response_option
+          response_option: r.response_option,
+          response_values: r.response_values || null,
+          response_number: r.response_number ?? null
         }));
 
-        const result = await apiFetch('/attendance/check-in', {
-          method: 'POST',
-          body: JSON.stringify({
-            access_code: accessCode,
-            responses: transformedResponses
-          })
+        const result = await postCheckIn({
+          access_code: accessCode,
+          modality,
+          responses: transformedResponses
         });
 
         return result;
@@ -612,6 +767,59 @@
       }
     },
 
+    /**
+     * Check in with a rotating QR token (from a scanned check-in link)
+     */
+    async checkInWithToken(token) {
+      try {
+        return await postCheckIn({ token });
+      } catch (error) {
+        console.error('Error checking in with QR code:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Get the current rotating check-in QR code for a session (instructor projector view)
+     */
+    async getCheckInQr(sessionId) {
+      return await apiFetch(`/sessions/${sessionId}/check-in-qr`, { cache: 'no-store' });
+    },
+
+    /**
+     * Get the presented question and its live results (presentation controls and projector view)
+     */
+    async getPresentation(sessionId) {
+      return await apiFetch(`/sessions/${sessionId}/presentation`, { cache: 'no-store' });
+    },
+
+    /**
+     * Turn presentation mode (one question at a time) on or off
+     */
+    async setPresentationMode(sessionId, enabled) {
+      return await apiFetch(`/sessions/${sessionId}/presentation`, {
+        method: 'PUT',
+        body: JSON.stringify({ enabled })
+      });
+    },
+
+    /**
+     * Open question N (1 is the first) for students, closing the one before it
+     */
+    async presentQuestion(sessionId, position) {
+      return await apiFetch(`/sessions/${sessionId}/presentation/open`, {
+        method: 'POST',
+        body: JSON.stringify({ position })
+      });
+    },
+
+    /**
+     * Close the presented question so it stops taking responses
+     */
+    async closePresentedQuestion(sessionId) {
+      return await apiFetch(`/sessions/${sessionId}/presentation/close`, { method: 'POST' });
+    },
+
     /**
      * Verify access code
      */
@@ -709,7 +917,7 @@
      */
     async hasStudentSubmittedResponses(lectureId) {
       try {
-        const responses = await apiFetch(`/sessions/${lectureId}/my-responses`);
+        const { responses } = await apiFetch(`/sessions/${lectureId}/my-responses`);
         return Array.isArray(responses) && responses.length > 0;
       } catch (error) {
         console.error('Error checking submissions:', error);
@@ -759,6 +967,20 @@
       }
     },
 
+    /**
+     * Get pulse check results across a course's lectures
+     * options: { from, to, drop_threshold, compare: [sessionId, sessionId] }
+     */
+    async getPulseAnalytics(offeringId, options = {}) {
+      const params = new URLSearchParams();
+      for (const key of ['from', 'to', 'drop_threshold']) {
+        if (options[key]) params.set(key, options[key]);
+      }
+      if (options.compare?.length) params.set('compare', options.compare.join(','));
+      const query = params.toString();
+      return await apiFetch(`/sessions/course/${offeringId}/pulse-analytics${query ? `?${query}` : ''}`);
+    },
+
     /**
      * Get student statistics for a course offering
      */
@@ -774,6 +996,335 @@
       }
     },
 
+    /**
+     * Get the current student's excuse requests for a course offering
+     */
+    async getMyExcuseRequests(offeringId) {
+      try {
+        const query = offeringId ? `?offering_id=${offeringId}` : '';
+        const requests = await apiFetch(`/excuse-requests/my-requests${query}`);
+        return Array.isArray(requests) ? requests : [];
+      } catch (error) {
+        console.error('Error getting excuse requests:', error);
+        return [];
+      }
+    },
+
+    /**
+     * Submit an excuse request for a session
+     * Sent as multipart form data so an optional attachment can be included
+     */
+    async submitExcuseRequest(sessionId, { reason, attachment = null }) {
+      const formData = new FormData();
+      formData.append('reason', reason);
+      if (attachment) {
+        formData.append('attachment', attachment);
+      }
+
+      const response = await fetch(`${API_BASE}/excuse-requests/sessions/${sessionId}`, {
+        method: 'POST',
+        credentials: 'include',
+        body: formData
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    },
+
+    /**
+     * Withdraw a pending excuse request
+     */
+    async withdrawExcuseRequest(requestId) {
+      return await apiFetch(`/excuse-requests/${requestId}/withdraw`, {
+        method: 'POST'
+      });
+    },
+
+    /**
+     * Set or clear a lecture's check-in constraints
+     * constraints: { allowed_subnets: [cidr], geofence_radius_meters } or null
+     */
+    async updateCheckInConstraints(sessionId, constraints, offeringId) {
+      const session = await apiFetch(`/sessions/${sessionId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ checkin_constraints: constraints, offering_id: offeringId })
+      });
+      return transformSession(session);
+    },
+
+    /**
+     * Save a lecture's response deadline, edit cutoff and late submission policy
+     */
+    async updateResponseRules(sessionId, rules, offeringId) {
+      const session = await apiFetch(`/sessions/${sessionId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ response_rules: rules, offering_id: offeringId })
+      });
+      return transformSession(session);
+    },
+
+    /**
+     * Set or clear a lecture's remote join link
+     */
+    async updateRemoteJoinUrl(sessionId, url, offeringId) {
+      const session = await apiFetch(`/sessions/${sessionId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ remote_join_url: url, offering_id: offeringId })
+      });
+      return transformSession(session);
+    },
+
+    /**
+     * Get flagged ("suspicious") check-ins for a lecture
+     */
+    async getFlaggedCheckIns(sessionId, offeringId) {
+      const query = offeringId ? `?offering_id=${offeringId}` : '';
+      return await apiFetch(`/attendance/sessions/${sessionId}/flagged${query}`);
+    },
+
+    /**
+     * Approve or reject a flagged check-in
+     */
+    async reviewFlaggedCheckIn(attendanceId, decision, offeringId) {
+      return await apiFetch(`/attendance/${attendanceId}/review`, {
+        method: 'POST',
+        body: JSON.stringify({ decision, offering_id: offeringId })
+      });
+    },
+
+    /**
+     * Upload a participants CSV (e.g. a Zoom report) and get a dry-run preview of the import
+     * @param {File} file - CSV file
+     * @param {Object} [options] - { mapping: { field: header }, minDurationMinutes }
+     */
+    async previewAttendanceImport(sessionId, file, { mapping = null, minDurationMinutes = null } = {}) {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (mapping) formData.append('mapping', JSON.stringify(mapping));
+      if (minDurationMinutes) formData.append('min_duration_minutes', String(minDurationMinutes));
+
+      const response = await fetch(`${API_BASE}/attendance/imports/sessions/${sessionId}/preview`, {
+        method: 'POST',
+        credentials: 'include',
+        body: formData
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      return data;
+    },
+
+    /**
+     * Commit a previewed import
+     * @param {Object} [overrides] - { [row_number]: user_id | null } match fixes from the preview
+     */
+    async commitAttendanceImport(importId, overrides = null) {
+      return await apiFetch(`/attendance/imports/${importId}/commit`, {
+        method: 'POST',
+        body: JSON.stringify({ overrides })
+      });
+    },
+
+    /**
+     * Revert a committed import; a 409 error carries the conflicting records in error.data
+     */
+    async revertAttendanceImport(importId, { force = false } = {}) {
+      return await apiFetch(`/attendance/imports/${importId}/revert`, {
+        method: 'POST',
+        body: JSON.stringify({ force })
+      });
+    },
+
+    /**
+     * List the imports for a session, newest first
+     */
+    async getAttendanceImports(sessionId) {
+      return await apiFetch(`/attendance/imports/sessions/${sessionId}`);
+    },
+
+    /**
+     * Get a lecture's paper sign-in sheet: enrolled students with their verification codes
+     */
+    async getAttendanceSheet(sessionId) {
+      return await apiFetch(`/attendance/sessions/${sessionId}/sheet`);
+    },
+
+    /**
+     * Record attendance from codes transcribed off a signed sheet
+     * @param {string|string[]} codes - Codes as a list or text
+     */
+    async transcribeAttendanceSheet(sessionId, codes) {
+      return await apiFetch(`/attendance/sessions/${sessionId}/sheet/transcribe`, {
+        method: 'POST',
+        body: JSON.stringify({ codes })
+      });
+    },
+
+    /**
+     * Download the attendance gradebook CSV (students × lectures, Canvas import layout)
+     * @returns {Promise<{ filename: string, csv: string }>}
+     */
+    async exportGradebook(offeringId, { layout = 'full', from, to } = {}) {
+      const params = new URLSearchParams({ format: 'csv', layout });
+      if (from) params.set('from', from);
+      if (to) params.set('to', to);
+
+      const response = await fetch(`${API_BASE}/attendance/course/${offeringId}/gradebook?${params}`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const disposition = response.headers.get('content-disposition') || '';
+      const match = /filename="?([^";]+)"?/.exec(disposition);
+      return {
+        filename: match ? match[1] : 'attendance-gradebook.csv',
+        csv: await response.text()
+      };
+    },
+
+    /**
+     * Preview the lecture dates a series would generate from the course schedule
+     */
+    async previewLectureSeries(seriesData) {
+      return await apiFetch('/session-series/preview', {
+        method: 'POST',
+        body: JSON.stringify(seriesData)
+      });
+    },
+
+    /**
+     * Generate a lecture series (one session per scheduled class meeting)
+     */
+    async createLectureSeries(seriesData) {
+      return await apiFetch('/session-series', {
+        method: 'POST',
+        body: JSON.stringify(seriesData)
+      });
+    },
+
+    /**
+     * Get all lecture series for a course offering
+     */
+    async getLectureSeries(offeringId) {
+      const series = await apiFetch(`/session-series?offering_id=${offeringId}`);
+      return Array.isArray(series) ? series : [];
+    },
+
+    /**
+     * Get a lecture series with its sessions
+     */
+    async getLectureSeriesDetails(seriesId) {
+      return await apiFetch(`/session-series/${seriesId}`);
+    },
+
+    /**
+     * Bulk edit the upcoming lectures of a series
+     */
+    async updateLectureSeries(seriesId, updates) {
+      return await apiFetch(`/session-series/${seriesId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      });
+    },
+
+    /**
+     * Delete a lecture series and its lectures that have not been opened
+     */
+    async deleteLectureSeries(seriesId) {
+      return await apiFetch(`/session-series/${seriesId}`, {
+        method: 'DELETE'
+      });
+    },
+
+    /**
+     * Search the course question bank
+     * Returns questions in the lecture form's shape (see transformQuestion) plus tags and times_used
+     */
+    async searchQuestionBank(offeringId, { search = '', tags = [], type = '' } = {}) {
+      const params = new URLSearchParams({ offering_id: offeringId });
+      if (search) params.set('search', search);
+      if (tags.length) params.set('tags', tags.join(','));
+      if (type) params.set('question_type', type);
+      const items = await apiFetch(`/question-bank?${params.toString()}`);
+      return (Array.isArray(items) ? items : []).map((item) => ({
+        ...transformQuestion(item),
+        tags: item.tags || [],
+        times_used: item.times_used || 0
+      }));
+    },
+
+    /**
+     * Get the tags used in the course question bank
+     */
+    async getQuestionBankTags(offeringId) {
+      const tags = await apiFetch(`/question-bank/tags?offering_id=${offeringId}`);
+      return Array.isArray(tags) ? tags : [];
+    },
+
+    /**
+     * Save a question from the lecture form into the course question bank
+     */
+    async saveQuestionToBank(offeringId, question, tags = []) {
+      const [transformed] = transformSessionForCreate({ offering_id: offeringId, questions: [question] }).questions;
+      return await apiFetch('/question-bank', {
+        method: 'POST',
+        body: JSON.stringify({ ...transformed, offering_id: offeringId, tags })
+      });
+    },
+
+    /**
+     * Get the course's lecture templates
+     */
+    async getLectureTemplates(offeringId) {
+      const templates = await apiFetch(`/question-bank/templates?offering_id=${offeringId}`);
+      return Array.isArray(templates) ? templates : [];
+    },
+
+    /**
+     * Get a lecture template with its questions in the lecture form's shape
+     */
+    async getLectureTemplate(templateId) {
+      const template = await apiFetch(`/question-bank/templates/${templateId}`);
+      return { ...template, questions: (template.questions || []).map(transformQuestion) };
+    },
+
+    /**
+     * Save the lecture form as a named template
+     */
+    async saveLectureTemplate(offeringId, { name, titlePattern, description = null, questions = [] }) {
+      const transformed = transformSessionForCreate({ offering_id: offeringId, questions });
+      return await apiFetch('/question-bank/templates', {
+        method: 'POST',
+        body: JSON.stringify({
+          offering_id: offeringId,
+          name,
+          title_pattern: titlePattern,
+          description,
+          questions: transformed.questions
+        })
+      });
+    },
+
+    /**
+     * Create a lecture from a template, with the details and questions from the lecture form
+     */
+    async createLectureFromTemplate(templateId, sessionData) {
+      const transformed = transformSessionForCreate(sessionData);
+      const session = await apiFetch(`/question-bank/templates/${templateId}/instantiate`, {
+        method: 'POST',
+        body: JSON.stringify(transformed)
+      });
+      return transformSession(session);
+    },
+
     /**
      * Transform a raw session object into a formatted session
      * Exposed for use by other modules
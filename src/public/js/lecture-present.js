@@ -0,0 +1,180 @@
+// Projector view for presentation mode
+// Shows the question the instructor has open and its results as they come in. Live session
+// events trigger a refresh; polling takes over while the event stream isn't connected.
+(function lecturePresentProjector() {
+  const selectors = {
+    position: document.getElementById('present-position'),
+    title: document.getElementById('present-title'),
+    prompt: document.getElementById('present-prompt'),
+    state: document.getElementById('present-state'),
+    results: document.getElementById('present-results'),
+    count: document.getElementById('present-count'),
+    error: document.getElementById('present-error')
+  };
+
+  const POLL_INTERVAL_MS = 3000;
+  const EVENT_REFRESH_DELAY_MS = 300;
+
+  let sessionId = null;
+  let presentation = null;
+  let pollInterval = null;
+  let refreshTimer = null;
+  let liveEvents = null;
+  let busy = false;
+
+  function getSessionId() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('sessionId') || params.get('lectureId');
+  }
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function render() {
+    const { question } = presentation;
+    selectors.title.textContent = presentation.title || 'Lecture';
+    selectors.results.innerHTML = '';
+    selectors.state.classList.toggle('is-open', Boolean(question?.is_open));
+
+    if (!presentation.presentation_mode || !question) {
+      selectors.position.textContent = 'Presentation';
+      selectors.prompt.textContent = presentation.presentation_mode
+        ? 'Waiting for the first question'
+        : 'Presentation mode is off';
+      selectors.state.textContent = presentation.presentation_mode
+        ? 'Press → to open question 1.'
+        : 'Start presenting from the lecture responses page, or press → to open question 1.';
+      selectors.count.textContent = '';
+      return;
+    }
+
+    selectors.position.textContent = `Question ${question.position} of ${presentation.question_count}`;
+    selectors.prompt.textContent = question.question_text;
+    selectors.state.textContent = question.is_open ? 'Open · answer now' : 'Closed';
+    selectors.count.textContent = `${presentation.response_count} response${presentation.response_count !== 1 ? 's' : ''}`;
+
+    // Text answers stay on the responses page; the projector only counts them
+    if (presentation.aggregate) {
+      selectors.results.appendChild(window.QuestionCharts.createAggregateChart(presentation.aggregate));
+    }
+  }
+
+  async function refresh() {
+    try {
+      presentation = await window.LectureService.getPresentation(sessionId);
+      clearError();
+      render();
+    } catch (error) {
+      console.error('Error loading presentation:', error);
+      showError(error.message || 'Unable to load the presentation');
+    }
+  }
+
+  function scheduleRefresh() {
+    if (refreshTimer) return;
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      refresh();
+    }, EVENT_REFRESH_DELAY_MS);
+  }
+
+  function startPolling() {
+    if (!pollInterval) {
+      pollInterval = setInterval(refresh, POLL_INTERVAL_MS);
+    }
+  }
+
+  function stopPolling() {
+    if (pollInterval) {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    }
+  }
+
+  function handleSessionEvent(event) {
+    if (event.type === 'response') {
+      if (presentation?.question && String(event.question_id) === String(presentation.question.id)) {
+        scheduleRefresh();
+      }
+      return;
+    }
+    if (event.type === 'session' || event.type === 'question' || event.type === 'resync') {
+      scheduleRefresh();
+    }
+  }
+
+  async function runAction(action) {
+    if (busy) return;
+    busy = true;
+    try {
+      presentation = await action();
+      clearError();
+      render();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function handleKey(event) {
+    if (!presentation || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    if (event.key === 'ArrowRight') {
+      const position = (presentation.question?.position || 0) + 1;
+      if (position > presentation.question_count) return;
+      event.preventDefault();
+      runAction(() => window.LectureService.presentQuestion(sessionId, position));
+    } else if (event.key === 'c' || event.key === 'C') {
+      if (!presentation.question?.is_open) return;
+      event.preventDefault();
+      runAction(() => window.LectureService.closePresentedQuestion(sessionId));
+    }
+  }
+
+  function init() {
+    sessionId = getSessionId();
+    if (!sessionId) {
+      selectors.title.textContent = 'Lecture';
+      showError('No lecture selected. Open this page from the lecture responses page.');
+      return;
+    }
+
+    refresh();
+    document.addEventListener('keydown', handleKey);
+
+    if (window.SessionEvents) {
+      liveEvents = window.SessionEvents.connect(sessionId, {
+        onEvent: handleSessionEvent,
+        onConnectionChange(connected) {
+          if (connected) {
+            stopPolling();
+            scheduleRefresh();
+          } else {
+            startPolling();
+          }
+        }
+      });
+    } else {
+      startPolling();
+    }
+
+    window.addEventListener('beforeunload', () => {
+      stopPolling();
+      clearTimeout(refreshTimer);
+      if (liveEvents) liveEvents.close();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
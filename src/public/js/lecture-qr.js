@@ -0,0 +1,88 @@
+// Projector view for rotating check-in QR codes
+// Fetches a fresh signed token from the server each time the current one expires.
+(function lectureQrProjector() {
+  const selectors = {
+    title: document.getElementById('qr-title'),
+    code: document.getElementById('qr-code'),
+    accessCode: document.getElementById('qr-access-code'),
+    countdown: document.getElementById('qr-countdown'),
+    error: document.getElementById('qr-error')
+  };
+
+  const RETRY_DELAY_MS = 5000;
+
+  let expiresAt = null;
+  let refreshTimer = null;
+  let countdownTimer = null;
+
+  function getSessionId() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('sessionId') || params.get('lectureId');
+  }
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+    selectors.code.classList.add('stale');
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+    selectors.code.classList.remove('stale');
+  }
+
+  function updateCountdown() {
+    if (!expiresAt) return;
+    const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+    selectors.countdown.textContent = `New code in ${seconds}s`;
+  }
+
+  async function refresh(sessionId) {
+    clearTimeout(refreshTimer);
+
+    try {
+      const qr = await window.LectureService.getCheckInQr(sessionId);
+
+      // SVG is generated by our own server-side encoder, not user input
+      selectors.code.innerHTML = qr.svg;
+      selectors.title.textContent = qr.title || 'Lecture';
+      selectors.accessCode.textContent = qr.access_code || '——————';
+      expiresAt = new Date(qr.expires_at).getTime();
+      clearError();
+      updateCountdown();
+
+      // Fetch the next token just after this one rotates
+      const delay = Math.max(1000, expiresAt - Date.now() + 250);
+      refreshTimer = setTimeout(() => refresh(sessionId), delay);
+    } catch (error) {
+      console.error('Error loading check-in QR code:', error);
+      expiresAt = null;
+      selectors.countdown.textContent = '';
+      showError(error.message || 'Unable to load the check-in QR code');
+      refreshTimer = setTimeout(() => refresh(sessionId), RETRY_DELAY_MS);
+    }
+  }
+
+  function init() {
+    const sessionId = getSessionId();
+    if (!sessionId) {
+      selectors.title.textContent = 'Lecture';
+      showError('No lecture selected. Open this page from the lecture list.');
+      return;
+    }
+
+    refresh(sessionId);
+    countdownTimer = setInterval(updateCountdown, 1000);
+
+    window.addEventListener('beforeunload', () => {
+      clearTimeout(refreshTimer);
+      clearInterval(countdownTimer);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,409 @@
+(function lectureSeries() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    form: document.getElementById('series-form'),
+    title: document.getElementById('series-title'),
+    start: document.getElementById('series-start'),
+    end: document.getElementById('series-end'),
+    description: document.getElementById('series-description'),
+    skipDates: document.getElementById('series-skip-dates'),
+    schedule: document.getElementById('series-schedule'),
+    questions: document.getElementById('series-questions'),
+    addQuestion: document.getElementById('series-add-question'),
+    preview: document.getElementById('series-preview'),
+    previewSummary: document.getElementById('series-preview-summary'),
+    previewList: document.getElementById('series-preview-list'),
+    previewBtn: document.getElementById('series-preview-btn'),
+    submit: document.getElementById('series-submit'),
+    cancel: document.getElementById('series-cancel'),
+    back: document.getElementById('series-back'),
+    error: document.getElementById('series-form-error'),
+    list: document.getElementById('series-list'),
+    empty: document.getElementById('series-empty')
+  };
+
+  const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const QUESTION_TYPES = [
+    { value: 'text', label: 'Text response' },
+    { value: 'multiple_choice', label: 'Multiple choice' },
+    { value: 'pulse_check', label: 'Pulse check' }
+  ];
+
+  let offeringId = null;
+  let defaultQuestions = null;
+
+  function formatClock(time) {
+    if (!time) return '';
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'pm' : 'am';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHours}:${String(minutes).padStart(2, '0')}${suffix}`;
+  }
+
+  function formatDate(dateStr) {
+    const date = new Date(`${dateStr}T00:00:00`);
+    if (Number.isNaN(date.getTime())) return dateStr;
+    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  function formatSlot(slot) {
+    const end = slot.end_time ? `–${formatClock(slot.end_time)}` : '';
+    return `${WEEKDAY_NAMES[slot.weekday]} ${formatClock(slot.start_time)}${end}`;
+  }
+
+  function showError(message) {
+    if (!selectors.error) return;
+    selectors.error.textContent = message || '';
+    selectors.error.hidden = !message;
+  }
+
+  /**
+   * Small editor for a list of template questions
+   * Returns an object with getQuestions() to read the current values
+   */
+  function createQuestionEditor(container, initialQuestions = []) {
+    container.innerHTML = '';
+
+    function addRow(question = {}) {
+      const row = document.createElement('div');
+      row.className = 'series-question-row';
+      row.setAttribute('role', 'listitem');
+
+      const text = document.createElement('input');
+      text.type = 'text';
+      text.className = 'series-question-text';
+      text.placeholder = 'Question prompt';
+      text.setAttribute('aria-label', 'Question prompt');
+      text.value = question.question_text || '';
+
+      const type = document.createElement('select');
+      type.className = 'series-question-type';
+      type.setAttribute('aria-label', 'Question type');
+      QUESTION_TYPES.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        type.appendChild(option);
+      });
+      type.value = question.question_type || 'text';
+
+      const options = document.createElement('input');
+      options.type = 'text';
+      options.className = 'series-question-options';
+      options.placeholder = 'Options, separated by commas';
+      options.setAttribute('aria-label', 'Multiple choice options');
+      options.value = Array.isArray(question.options) ? question.options.join(', ') : '';
+      options.hidden = type.value !== 'multiple_choice';
+      type.addEventListener('change', () => {
+        options.hidden = type.value !== 'multiple_choice';
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-link series-question-remove';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => row.remove());
+
+      row.append(text, type, options, remove);
+      container.appendChild(row);
+    }
+
+    initialQuestions.forEach(addRow);
+
+    return {
+      add: () => addRow(),
+      getQuestions() {
+        return Array.from(container.querySelectorAll('.series-question-row'))
+          .map((row) => {
+            const question_type = row.querySelector('.series-question-type').value;
+            return {
+              question_text: row.querySelector('.series-question-text').value.trim(),
+              question_type,
+              options: question_type === 'multiple_choice'
+                ? row.querySelector('.series-question-options').value.split(',').map((o) => o.trim()).filter(Boolean)
+                : null
+            };
+          })
+          .filter((question) => question.question_text);
+      }
+    };
+  }
+
+  function readSkipDates(textarea) {
+    return textarea.value
+      .split(/[\n,]+/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  function buildSeriesPayload() {
+    return {
+      offering_id: offeringId,
+      title: selectors.title.value.trim(),
+      description: selectors.description.value.trim(),
+      start_date: selectors.start.value || undefined,
+      end_date: selectors.end.value || undefined,
+      skip_dates: readSkipDates(selectors.skipDates),
+      default_questions: defaultQuestions.getQuestions()
+    };
+  }
+
+  function renderPreview(preview) {
+    selectors.previewList.innerHTML = '';
+    preview.occurrences.forEach((occurrence) => {
+      const item = document.createElement('li');
+      const end = occurrence.end_time ? `–${formatClock(occurrence.end_time)}` : '';
+      item.textContent = `${formatDate(occurrence.session_date)}, ${formatClock(occurrence.start_time)}${end}`;
+      selectors.previewList.appendChild(item);
+    });
+
+    const skipped = preview.skipped.length
+      ? ` ${preview.skipped.length} class day${preview.skipped.length === 1 ? '' : 's'} skipped.`
+      : '';
+    selectors.previewSummary.textContent =
+      `${preview.occurrences.length} lectures from ${formatDate(preview.start_date)} to ${formatDate(preview.end_date)}.${skipped}`;
+    selectors.preview.hidden = false;
+  }
+
+  async function loadSchedule() {
+    try {
+      const preview = await window.LectureService.previewLectureSeries({ offering_id: offeringId });
+      selectors.schedule.textContent = `Weekly schedule: ${preview.schedule.map(formatSlot).join(', ')}`;
+      selectors.start.value = preview.start_date;
+      selectors.end.value = preview.end_date;
+    } catch (error) {
+      selectors.schedule.textContent = `${error.message}. Add lecture times to the class schedule in Course Settings first.`;
+      selectors.submit.disabled = true;
+      selectors.previewBtn.disabled = true;
+    }
+  }
+
+  async function handlePreview() {
+    showError('');
+    try {
+      renderPreview(await window.LectureService.previewLectureSeries(buildSeriesPayload()));
+    } catch (error) {
+      selectors.preview.hidden = true;
+      showError(error.message);
+    }
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    showError('');
+
+    const payload = buildSeriesPayload();
+    if (!payload.title) {
+      showError('Lecture title is required.');
+      selectors.title.focus();
+      return;
+    }
+
+    selectors.submit.disabled = true;
+    try {
+      const result = await window.LectureService.createLectureSeries(payload);
+      alert(`Created ${result.sessions.length} lectures.`);
+      selectors.preview.hidden = true;
+      await loadSeriesList();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      selectors.submit.disabled = false;
+    }
+  }
+
+  function createEditPanel(series, card) {
+    const panel = document.createElement('form');
+    panel.className = 'series-edit-panel';
+    panel.noValidate = true;
+
+    const slot = series.schedule?.[0] || {};
+    const id = (name) => `series-${series.id}-${name}`;
+    panel.innerHTML = `
+      <p class="section-description">Changes apply to the ${series.editable_count} lectures that have not been opened yet.</p>
+      <div class="form-grid">
+        <div class="form-field">
+          <label for="${id('title')}">Lecture title</label>
+          <input type="text" id="${id('title')}" name="title" maxlength="80">
+        </div>
+        <div class="form-field">
+          <label for="${id('start')}">Start time</label>
+          <input type="time" id="${id('start')}" name="start_time">
+        </div>
+        <div class="form-field">
+          <label for="${id('end')}">End time</label>
+          <input type="time" id="${id('end')}" name="end_time">
+        </div>
+      </div>
+      <div class="form-field">
+        <label for="${id('description')}">Description</label>
+        <textarea id="${id('description')}" name="description" rows="2"></textarea>
+      </div>
+      <div class="form-field">
+        <label for="${id('skip')}">Add skip dates</label>
+        <textarea id="${id('skip')}" name="skip_dates" rows="2" placeholder="2025-02-17"></textarea>
+        <span class="field-helper">Lectures on these dates are removed from the series.</span>
+      </div>
+      <h3 class="series-edit-heading">Questions</h3>
+      <div class="series-question-list" role="list" aria-label="Series questions"></div>
+      <div class="series-edit-actions">
+        <button type="button" class="btn-secondary" data-action="add-question">Add question</button>
+        <button type="button" class="btn-secondary" data-action="cancel">Cancel</button>
+        <button type="submit" class="btn-secondary series-save">Save changes</button>
+      </div>
+    `;
+
+    panel.elements.title.value = series.title;
+    panel.elements.description.value = series.description || '';
+    panel.elements.start_time.value = slot.start_time || '';
+    panel.elements.end_time.value = slot.end_time || '';
+
+    const questionEditor = createQuestionEditor(
+      panel.querySelector('.series-question-list'),
+      series.default_questions || []
+    );
+    const originalQuestions = JSON.stringify(questionEditor.getQuestions());
+    panel.querySelector('[data-action="add-question"]').addEventListener('click', () => questionEditor.add());
+    panel.querySelector('[data-action="cancel"]').addEventListener('click', () => panel.remove());
+
+    panel.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const { elements } = panel;
+      const updates = {
+        title: elements.title.value.trim(),
+        description: elements.description.value.trim()
+      };
+      // Only send questions when they changed, so per-lecture edits are not overwritten
+      const questions = questionEditor.getQuestions();
+      if (JSON.stringify(questions) !== originalQuestions) {
+        updates.default_questions = questions;
+      }
+      if (elements.start_time.value && elements.start_time.value !== slot.start_time) {
+        updates.start_time = elements.start_time.value;
+      }
+      if (elements.end_time.value !== (slot.end_time || '')) {
+        updates.end_time = elements.end_time.value || null;
+      }
+      const skipDates = readSkipDates(elements.skip_dates);
+      if (skipDates.length) {
+        updates.skip_dates = skipDates;
+      }
+
+      const saveBtn = panel.querySelector('.series-save');
+      saveBtn.disabled = true;
+      try {
+        const result = await window.LectureService.updateLectureSeries(series.id, updates);
+        const removed = result.removed_count ? `, removed ${result.removed_count}` : '';
+        alert(`Updated ${result.updated_count} lectures${removed}.`);
+        await loadSeriesList();
+      } catch (error) {
+        alert(`Error updating series: ${error.message}`);
+        saveBtn.disabled = false;
+      }
+    });
+
+    card.appendChild(panel);
+    panel.elements.title.focus();
+  }
+
+  function buildSeriesCard(series) {
+    const card = document.createElement('article');
+    card.className = 'series-card';
+
+    const header = document.createElement('div');
+    header.className = 'series-card-header';
+
+    const info = document.createElement('div');
+    const title = document.createElement('h3');
+    title.className = 'series-card-title';
+    title.textContent = series.title;
+    const meta = document.createElement('p');
+    meta.className = 'series-card-meta';
+    const range = series.first_session_date
+      ? `${formatDate(series.first_session_date)} – ${formatDate(series.last_session_date)}`
+      : 'No lectures left';
+    meta.textContent = `${range} · ${series.session_count} lectures (${series.editable_count} upcoming)`;
+    info.append(title, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'lecture-actions';
+
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'btn-link';
+    edit.textContent = 'Edit';
+    edit.disabled = series.editable_count === 0;
+    edit.addEventListener('click', () => {
+      if (card.querySelector('.series-edit-panel')) return;
+      createEditPanel(series, card);
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn-link btn-delete';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', async () => {
+      const message = `Delete "${series.title}"? ${series.editable_count} lectures that have not been opened will be deleted. ` +
+        'Lectures that already have attendance are kept.';
+      if (!window.confirm(message)) return;
+      try {
+        await window.LectureService.deleteLectureSeries(series.id);
+        await loadSeriesList();
+      } catch (error) {
+        alert(`Error deleting series: ${error.message}`);
+      }
+    });
+
+    actions.append(edit, remove);
+    header.append(info, actions);
+    card.appendChild(header);
+    return card;
+  }
+
+  async function loadSeriesList() {
+    try {
+      const seriesList = await window.LectureService.getLectureSeries(offeringId);
+      selectors.list.innerHTML = '';
+      seriesList.forEach((series) => selectors.list.appendChild(buildSeriesCard(series)));
+      selectors.empty.hidden = seriesList.length > 0;
+    } catch (error) {
+      console.error('Error loading lecture series:', error);
+      selectors.list.innerHTML = `<p class="series-form-error">Error loading lecture series: ${error.message}</p>`;
+    }
+  }
+
+  async function init() {
+    if (!window.LectureService || !selectors.container) return;
+
+    const goBack = () => {
+      window.location.href = '/instructor-lectures';
+    };
+    selectors.back?.addEventListener('click', goBack);
+    selectors.cancel?.addEventListener('click', goBack);
+
+    defaultQuestions = createQuestionEditor(selectors.questions);
+    selectors.addQuestion.addEventListener('click', () => defaultQuestions.add());
+    selectors.previewBtn.addEventListener('click', handlePreview);
+    selectors.form.addEventListener('submit', handleSubmit);
+
+    try {
+      offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+
+    await Promise.all([loadSchedule(), loadSeriesList()]);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -19,7 +19,7 @@
 
   let isLoading = false;
 
-  function formatTimeRange(startIso, endIso) {
+  function formatTimeRange(startIso, endIso, timeZone) {
     if (!startIso || !endIso) return '—';
     try {
       const start = new Date(startIso);
@@ -33,12 +33,12 @@
         month: 'short', 
         day: 'numeric', 
         year: 'numeric',
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
       });
       const timeFormatter = new Intl.DateTimeFormat('en-US', { 
         hour: 'numeric', 
         minute: 'numeric',
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
       });
       return `${dateFormatter.format(start)} ${timeFormatter.format(start)}–${timeFormatter.format(end)}`;
     } catch (e) {
@@ -81,7 +81,7 @@
     label.textContent = meeting.label;
     const time = document.createElement('p');
     time.className = 'lecture-time';
-    time.textContent = formatTimeRange(meeting.startsAt, meeting.endsAt);
+    time.textContent = formatTimeRange(meeting.startsAt, meeting.endsAt, meeting.timeZone);
     details.append(label, time);
 
     const meta = document.createElement('div');
@@ -19,7 +19,12 @@
 
   let isLoading = false;
   let liveUpdateInterval = null;
-  const LIVE_UPDATE_INTERVAL_MS = 3000; // Check for updates every 3 seconds
+  const LIVE_UPDATE_INTERVAL_MS = 3000; // Check for updates every 3 seconds (fallback)
+  // Session event streams for the open meetings: meetingId → { connection, connected }
+  const liveStreams = new Map();
+  let refreshTimer = null;
+  let refreshAll = false;
+  const EVENT_REFRESH_DELAY_MS = 300;
 
   // Toast notification function
   function showToast(message, type = 'success', timeout = 4000) {
@@ -139,11 +144,91 @@
     }
   }
 
-  function startLiveUpdates() {
-    stopLiveUpdates();
-    const openMeetings = state.meetings.filter(m => determineMeetingStatus(m) === 'open');
-    if (openMeetings.length > 0) {
+  /**
+   * Re-fetch the meetings after an open/close change and re-render the list
+   */
+  async function refreshMeetings() {
+    if (isLoading) return;
+    try {
+      state.meetings = await fetchMeetings();
+      await updateTeamAttendance();
+      renderMeetings();
+      startLiveUpdates();
+    } catch (error) {
+      console.error('Error refreshing meetings:', error);
+    }
+  }
+
+  // Coalesce bursts of events (e.g. the whole team checking in) into one refresh
+  function scheduleRefresh(all = false) {
+    refreshAll = refreshAll || all;
+    if (refreshTimer) return;
+
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      const full = refreshAll;
+      refreshAll = false;
+      if (full) {
+        refreshMeetings();
+      } else {
+        updateMeetingStats();
+      }
+    }, EVENT_REFRESH_DELAY_MS);
+  }
+
+  function handleSessionEvent(event) {
+    if (event.type === 'attendance') {
+      scheduleRefresh();
+    } else if (event.type === 'session' || event.type === 'resync') {
+      scheduleRefresh(true);
+    }
+  }
+
+  // Poll only while some open meeting has no connected event stream
+  function updatePolling() {
+    const needsPolling = [...liveStreams.values()].some(stream => !stream.connected)
+      || (liveStreams.size === 0 && state.meetings.some(m => determineMeetingStatus(m) === 'open'));
+
+    if (needsPolling && !liveUpdateInterval) {
       liveUpdateInterval = setInterval(updateMeetingStats, LIVE_UPDATE_INTERVAL_MS);
+    } else if (!needsPolling && liveUpdateInterval) {
+      clearInterval(liveUpdateInterval);
+      liveUpdateInterval = null;
+    }
+  }
+
+  function startLiveUpdates() {
+    const openIds = new Set(
+      state.meetings.filter(m => determineMeetingStatus(m) === 'open').map(m => String(m.id))
+    );
+
+    // Close streams for meetings that are no longer open
+    for (const [meetingId, stream] of liveStreams) {
+      if (!openIds.has(meetingId)) {
+        stream.connection.close();
+        liveStreams.delete(meetingId);
+      }
+    }
+
+    if (window.SessionEvents) {
+      openIds.forEach(meetingId => {
+        if (liveStreams.has(meetingId)) return;
+        const stream = { connection: null, connected: false };
+        liveStreams.set(meetingId, stream);
+        stream.connection = window.SessionEvents.connect(meetingId, {
+          onEvent: handleSessionEvent,
+          onConnectionChange(connected) {
+            stream.connected = connected;
+            updatePolling();
+            // Catch up on anything that changed before the stream connected
+            if (connected) scheduleRefresh();
+          }
+        });
+      });
+    }
+
+    updatePolling();
+    if (openIds.size > 0) {
       // Do an immediate update
       updateMeetingStats();
     }
@@ -154,6 +239,8 @@
       clearInterval(liveUpdateInterval);
       liveUpdateInterval = null;
     }
+    liveStreams.forEach(stream => stream.connection.close());
+    liveStreams.clear();
   }
 
   async function buildLeaderAttendanceBadge(meeting, sessionState) {
@@ -461,6 +548,14 @@ function determineMeetingStatus(meeting) {
       actions.appendChild(checkInButton);
     }
     
+    // Minutes: agenda, notes, decisions and action items for this meeting
+    const minutesButton = document.createElement('button');
+    minutesButton.className = 'btn-link btn-minutes';
+    minutesButton.type = 'button';
+    minutesButton.textContent = 'Minutes';
+    minutesButton.addEventListener('click', () => openMinutes(meeting));
+    actions.appendChild(minutesButton);
+
     // Add delete button
     const deleteButton = document.createElement('button');
     deleteButton.className = 'btn-link btn-delete';
@@ -1025,10 +1120,230 @@ function determineMeetingStatus(meeting) {
     }
   }
 
+  // --- Meeting minutes ---------------------------------------------------
+  const minutesState = {
+    meeting: null,
+    members: [],
+    previouslyFocused: null
+  };
+
+  const minutesSelectors = {
+    overlay: document.getElementById('minutesModal'),
+    meeting: document.getElementById('minutesModalMeeting'),
+    form: document.getElementById('minutes-form'),
+    error: document.getElementById('minutes-error'),
+    carriedSection: document.getElementById('minutes-carried-section'),
+    carried: document.getElementById('minutes-carried'),
+    agenda: document.getElementById('minutes-agenda'),
+    notes: document.getElementById('minutes-notes'),
+    decisions: document.getElementById('minutes-decisions'),
+    items: document.getElementById('minutes-items'),
+    save: document.getElementById('minutesSave')
+  };
+
+  // Due dates are YYYY-MM-DD; parse them as local dates so they don't shift a day
+  function formatDueDate(value) {
+    if (!value) return 'No due date';
+    return formatDate(`${value}T00:00:00`);
+  }
+
+  function showMinutesError(message) {
+    minutesSelectors.error.textContent = message;
+    minutesSelectors.error.hidden = false;
+  }
+
+  function renderCarriedItems(items) {
+    minutesSelectors.carried.innerHTML = '';
+    minutesSelectors.carriedSection.hidden = items.length === 0;
+
+    for (const item of items) {
+      const li = document.createElement('li');
+      li.className = 'minutes-carried-item';
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = item.status === 'done';
+      checkbox.addEventListener('change', async () => {
+        checkbox.disabled = true;
+        try {
+          await window.MeetingMinutesService.setActionItemStatus(
+            item.id,
+            checkbox.checked ? 'done' : 'open',
+            minutesState.meeting.id
+          );
+        } catch (error) {
+          console.error('Error updating action item:', error);
+          checkbox.checked = !checkbox.checked;
+          showMinutesError(error.message || 'Unable to update the action item');
+        } finally {
+          checkbox.disabled = false;
+        }
+      });
+
+      const text = document.createElement('span');
+      text.textContent = item.description;
+      label.append(checkbox, text);
+
+      const meta = document.createElement('span');
+      meta.className = 'minutes-item-meta';
+      meta.textContent = `${item.owner_name || 'Unassigned'} · ${formatDueDate(item.due_date)} · from ${item.origin_session_title}`;
+
+      li.append(label, meta);
+      minutesSelectors.carried.appendChild(li);
+    }
+  }
+
+  function addActionItemRow(item = {}) {
+    const row = document.createElement('div');
+    row.className = 'minutes-item';
+    if (item.id) row.dataset.itemId = item.id;
+
+    const description = document.createElement('input');
+    description.type = 'text';
+    description.className = 'minutes-item-description';
+    description.maxLength = 500;
+    description.required = true;
+    description.placeholder = 'What needs doing';
+    description.setAttribute('aria-label', 'Action item');
+    description.value = item.description || '';
+
+    const owner = document.createElement('select');
+    owner.className = 'minutes-item-owner';
+    owner.setAttribute('aria-label', 'Owner');
+    owner.add(new Option('Unassigned', ''));
+    for (const member of minutesState.members) {
+      owner.add(new Option(member.name || member.email, member.user_id));
+    }
+    owner.value = item.owner_id || '';
+
+    const due = document.createElement('input');
+    due.type = 'date';
+    due.className = 'minutes-item-due';
+    due.setAttribute('aria-label', 'Due date');
+    due.value = item.due_date || '';
+
+    const doneLabel = document.createElement('label');
+    doneLabel.className = 'minutes-item-done';
+    const done = document.createElement('input');
+    done.type = 'checkbox';
+    done.checked = item.status === 'done';
+    doneLabel.append(done, ' Done');
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn-link minutes-item-remove';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', 'Remove action item');
+    remove.addEventListener('click', () => row.remove());
+
+    row.append(description, owner, due, doneLabel, remove);
+    minutesSelectors.items.appendChild(row);
+    return row;
+  }
+
+  function readActionItems() {
+    return [...minutesSelectors.items.querySelectorAll('.minutes-item')].map((row) => ({
+      id: row.dataset.itemId || undefined,
+      description: row.querySelector('.minutes-item-description').value,
+      owner_id: row.querySelector('.minutes-item-owner').value || null,
+      due_date: row.querySelector('.minutes-item-due').value || null,
+      status: row.querySelector('.minutes-item-done input').checked ? 'done' : 'open'
+    }));
+  }
+
+  function fillMinutes(data) {
+    minutesState.members = data.members || [];
+    minutesSelectors.error.hidden = true;
+    minutesSelectors.agenda.value = data.minutes?.agenda || '';
+    minutesSelectors.notes.value = data.minutes?.notes || '';
+    minutesSelectors.decisions.value = data.minutes?.decisions || '';
+    renderCarriedItems(data.carried_action_items || []);
+    minutesSelectors.items.innerHTML = '';
+    (data.action_items || []).forEach((item) => addActionItemRow(item));
+
+    // Only the team's leaders can edit; everyone else gets a read-only view
+    minutesSelectors.form
+      .querySelectorAll('input, select, textarea, #minutes-add-item, .minutes-item-remove, #minutesSave')
+      .forEach((control) => {
+        control.disabled = !data.can_edit;
+      });
+  }
+
+  async function openMinutes(meeting) {
+    if (!window.MeetingMinutesService || !minutesSelectors.overlay) return;
+
+    minutesState.meeting = meeting;
+    minutesSelectors.meeting.textContent = meeting.title || meeting.name || 'Team Meeting';
+    try {
+      fillMinutes(await window.MeetingMinutesService.getForSession(meeting.id));
+    } catch (error) {
+      console.error('Error loading meeting minutes:', error);
+      showToast(error.message || 'Unable to load meeting minutes', 'error');
+      return;
+    }
+
+    minutesState.previouslyFocused = document.activeElement;
+    minutesSelectors.overlay.setAttribute('aria-hidden', 'false');
+    minutesSelectors.overlay.inert = false;
+    document.body.style.overflow = 'hidden';
+    setTimeout(() => minutesSelectors.agenda.focus(), 50);
+  }
+
+  function closeMinutes() {
+    minutesSelectors.overlay.setAttribute('aria-hidden', 'true');
+    minutesSelectors.overlay.inert = true;
+    document.body.style.overflow = '';
+    minutesState.meeting = null;
+    minutesState.previouslyFocused?.focus?.();
+  }
+
+  async function saveMinutes(event) {
+    event.preventDefault();
+    if (!minutesState.meeting) return;
+
+    minutesSelectors.save.disabled = true;
+    try {
+      await window.MeetingMinutesService.saveForSession(minutesState.meeting.id, {
+        agenda: minutesSelectors.agenda.value,
+        notes: minutesSelectors.notes.value,
+        decisions: minutesSelectors.decisions.value,
+        action_items: readActionItems()
+      });
+      closeMinutes();
+      showToast('Minutes saved');
+    } catch (error) {
+      console.error('Error saving meeting minutes:', error);
+      showMinutesError(error.message || 'Unable to save the minutes');
+    } finally {
+      minutesSelectors.save.disabled = false;
+    }
+  }
+
+  function initMinutes() {
+    if (!minutesSelectors.overlay) return;
+
+    minutesSelectors.form.addEventListener('submit', saveMinutes);
+    document.getElementById('minutes-add-item')?.addEventListener('click', () => {
+      addActionItemRow().querySelector('.minutes-item-description').focus();
+    });
+    document.getElementById('minutesModalClose')?.addEventListener('click', closeMinutes);
+    document.getElementById('minutesCancel')?.addEventListener('click', closeMinutes);
+    minutesSelectors.overlay.addEventListener('click', (event) => {
+      if (event.target === minutesSelectors.overlay) closeMinutes();
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && minutesSelectors.overlay.getAttribute('aria-hidden') === 'false') {
+        closeMinutes();
+      }
+    });
+  }
+
   function init() {
     initFilter();
     initButtons();
     initFlipCard();
+    initMinutes();
     hydrateMeetingView();
     
     // Stop live updates when user leaves the page
@@ -0,0 +1,67 @@
+/**
+ * Meeting Minutes Service - API client for team meeting minutes and action items
+ */
+(function initMeetingMinutesService() {
+  const API_BASE = '/api/meeting-minutes';
+
+  /**
+   * Fetch wrapper with authentication and error handling
+   */
+  async function apiFetch(endpoint, options = {}) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      credentials: 'include',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  window.MeetingMinutesService = {
+    /**
+     * Get a meeting's minutes, its action items and the open items carried in from earlier meetings
+     */
+    async getForSession(sessionId) {
+      return await apiFetch(`/sessions/${sessionId}`);
+    },
+
+    /**
+     * Save a meeting's minutes
+     * @param {Object} minutes - { agenda, notes, decisions, action_items: [{ id?, description, owner_id, due_date, status }] }
+     */
+    async saveForSession(sessionId, minutes) {
+      return await apiFetch(`/sessions/${sessionId}`, {
+        method: 'PUT',
+        body: JSON.stringify(minutes)
+      });
+    },
+
+    /**
+     * Mark an action item done (at a meeting) or reopen it
+     * @param {string} status - 'open' or 'done'
+     * @param {string} [sessionId] - Meeting the item was closed at
+     */
+    async setActionItemStatus(itemId, status, sessionId) {
+      return await apiFetch(`/action-items/${itemId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status, session_id: sessionId })
+      });
+    },
+
+    /**
+     * Get every meeting's minutes for a team with the team's open action items
+     */
+    async getForTeam(teamId) {
+      return await apiFetch(`/teams/${teamId}`);
+    }
+  };
+})();
@@ -0,0 +1,212 @@
+// Peer evaluation: rate each teammate and yourself, then see your anonymized results once a round closes
+(function peerEvaluation() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    error: document.getElementById('peer-error'),
+    round: document.getElementById('peer-round'),
+    roundStatus: document.getElementById('peer-round-status'),
+    instructions: document.getElementById('peer-instructions'),
+    form: document.getElementById('peer-form'),
+    ratings: document.getElementById('peer-ratings'),
+    status: document.getElementById('peer-status'),
+    results: document.getElementById('peer-my-results'),
+    summary: document.getElementById('peer-my-summary'),
+    criteria: document.getElementById('peer-my-criteria'),
+    comments: document.getElementById('peer-my-comments')
+  };
+
+  let rounds = [];
+  let form = null;
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function createScoreSelect(member, criterion, scale, saved) {
+    const field = document.createElement('div');
+    field.className = 'form-field';
+
+    const id = `peer-${member.user_id}-${criterion.key}`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = criterion.label;
+
+    const select = document.createElement('select');
+    select.id = id;
+    select.dataset.evaluateeId = member.user_id;
+    select.dataset.criterion = criterion.key;
+    select.add(new Option('Choose', ''));
+    for (let score = scale.min; score <= scale.max; score += 1) {
+      select.add(new Option(String(score), String(score), false, saved?.scores?.[criterion.key] === score));
+    }
+
+    field.append(label, select);
+    return field;
+  }
+
+  function renderForm() {
+    const { round, members, ratings } = form;
+    selectors.ratings.innerHTML = '';
+
+    for (const member of members) {
+      const saved = ratings.find((rating) => rating.evaluatee_id === member.user_id);
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'peer-member';
+
+      const legend = document.createElement('legend');
+      legend.textContent = member.is_self ? `${member.name || 'You'} (you)` : member.name || 'Unknown';
+      fieldset.appendChild(legend);
+
+      const scores = document.createElement('div');
+      scores.className = 'peer-scores';
+      for (const criterion of round.rubric.criteria) {
+        scores.appendChild(createScoreSelect(member, criterion, round.rubric.scale, saved));
+      }
+      fieldset.appendChild(scores);
+
+      const commentField = document.createElement('div');
+      commentField.className = 'form-field';
+      const commentLabel = document.createElement('label');
+      commentLabel.htmlFor = `peer-${member.user_id}-comment`;
+      commentLabel.textContent = 'Comment (optional)';
+      const comment = document.createElement('textarea');
+      comment.id = `peer-${member.user_id}-comment`;
+      comment.rows = 2;
+      comment.maxLength = 2000;
+      comment.dataset.evaluateeId = member.user_id;
+      comment.value = saved?.comment || '';
+      commentField.append(commentLabel, comment);
+      fieldset.appendChild(commentField);
+
+      selectors.ratings.appendChild(fieldset);
+    }
+
+    const submittedAt = ratings[0]?.submitted_at;
+    selectors.status.textContent = submittedAt
+      ? `Last saved ${new Date(submittedAt).toLocaleString()}. You can change your ratings until the round closes.`
+      : 'Not submitted yet';
+    selectors.form.hidden = false;
+  }
+
+  function readRatings() {
+    return form.members.map((member) => {
+      const scores = {};
+      for (const select of selectors.ratings.querySelectorAll(`select[data-evaluatee-id="${member.user_id}"]`)) {
+        if (!select.value) {
+          throw new Error(`Choose every score for ${member.is_self ? 'yourself' : member.name || 'each teammate'}`);
+        }
+        scores[select.dataset.criterion] = Number(select.value);
+      }
+      const comment = selectors.ratings.querySelector(`textarea[data-evaluatee-id="${member.user_id}"]`);
+      return { evaluatee_id: member.user_id, scores, comment: comment.value.trim() || null };
+    });
+  }
+
+  function renderResults(results) {
+    selectors.criteria.innerHTML = '';
+    selectors.comments.innerHTML = '';
+    selectors.results.hidden = false;
+
+    if (!results.available) {
+      selectors.summary.textContent = 'Not enough teammates rated you to share results without revealing who gave them.';
+      return;
+    }
+
+    selectors.summary.textContent = `Average from ${results.ratings_received} teammates: ${results.peer_average}`
+      + ` (you rated yourself ${results.self_score ?? '—'}). Contribution factor ${results.contribution_factor ?? '—'},`
+      + ' where 1.0 is a typical share of your team\'s work.';
+
+    for (const criterion of results.round.rubric.criteria) {
+      const item = document.createElement('li');
+      item.textContent = `${criterion.label}: ${results.criteria_averages[criterion.key] ?? '—'}`;
+      selectors.criteria.appendChild(item);
+    }
+    for (const comment of results.comments) {
+      const item = document.createElement('li');
+      item.textContent = comment;
+      selectors.comments.appendChild(item);
+    }
+  }
+
+  async function selectRound() {
+    const round = rounds.find((candidate) => candidate.id === selectors.round.value);
+    selectors.form.hidden = true;
+    selectors.results.hidden = true;
+    if (!round) return;
+
+    selectors.instructions.textContent = round.instructions || '';
+    try {
+      if (round.status === 'open') {
+        selectors.roundStatus.textContent = `Open until ${new Date(round.closes_at).toLocaleString()}`;
+        form = await window.PeerEvaluationService.getForm(round.id);
+        renderForm();
+      } else {
+        selectors.roundStatus.textContent = `Closed ${new Date(round.closes_at).toLocaleString()}`;
+        renderResults(await window.PeerEvaluationService.getMyResults(round.id));
+      }
+      clearError();
+    } catch (error) {
+      console.error('Error loading peer evaluation:', error);
+      showError(error.message || 'Unable to load this peer evaluation');
+    }
+  }
+
+  async function save(event) {
+    event.preventDefault();
+    try {
+      await window.PeerEvaluationService.submit(form.round.id, readRatings());
+      clearError();
+      form = await window.PeerEvaluationService.getForm(form.round.id);
+      renderForm();
+    } catch (error) {
+      console.error('Error saving peer evaluation:', error);
+      showError(error.message || 'Unable to save your ratings');
+    }
+  }
+
+  async function init() {
+    if (!window.PeerEvaluationService || !selectors.container) return;
+
+    selectors.form.addEventListener('submit', save);
+    selectors.round.addEventListener('change', selectRound);
+
+    try {
+      const offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+
+      const mine = await window.PeerEvaluationService.getMyRounds(offeringId);
+      if (!mine.team) {
+        throw new Error('You are not on a team in this course yet');
+      }
+      rounds = mine.rounds;
+      if (!rounds.length) {
+        selectors.round.add(new Option('No peer evaluations yet', ''));
+        return;
+      }
+      const current = rounds.find((round) => round.status === 'open') || rounds[0];
+      for (const round of rounds) {
+        const label = round.status === 'open' && !round.submitted ? `${round.title} (to do)` : round.title;
+        selectors.round.add(new Option(label, round.id, false, round.id === current.id));
+      }
+      await selectRound();
+    } catch (error) {
+      console.error('Error loading peer evaluations:', error);
+      showError(error.message || 'Unable to load peer evaluations');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,104 @@
+/**
+ * Peer Evaluation Service - API client for peer evaluation rounds, ratings and results
+ */
+(function initPeerEvaluationService() {
+  const API_BASE = '/api/peer-evaluations';
+
+  /**
+   * Fetch wrapper with authentication and error handling
+   */
+  async function apiFetch(endpoint, options = {}) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      credentials: 'include',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  window.PeerEvaluationService = {
+    /**
+     * List a course's rounds (staff)
+     */
+    async listRounds(offeringId) {
+      return await apiFetch(`/offerings/${offeringId}/rounds`);
+    },
+
+    /**
+     * Create a round (staff)
+     * @param {Object} round - { title, instructions, opens_at, closes_at, rubric: { criteria: [{ label }], scale: { min, max } } }
+     */
+    async createRound(offeringId, round) {
+      return await apiFetch(`/offerings/${offeringId}/rounds`, {
+        method: 'POST',
+        body: JSON.stringify(round)
+      });
+    },
+
+    /**
+     * Change a round's title, instructions, window or rubric (staff)
+     */
+    async updateRound(roundId, changes) {
+      return await apiFetch(`/rounds/${roundId}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes)
+      });
+    },
+
+    /**
+     * Get who rated whom, contribution factors and flags (staff)
+     */
+    async getResults(roundId) {
+      return await apiFetch(`/rounds/${roundId}/results`);
+    },
+
+    /**
+     * URL of the CSV export (staff)
+     */
+    exportUrl(roundId) {
+      return `${API_BASE}/rounds/${roundId}/results?format=csv`;
+    },
+
+    /**
+     * Get the rounds you can take part in
+     */
+    async getMyRounds(offeringId) {
+      return await apiFetch(`/my-rounds?offering_id=${encodeURIComponent(offeringId)}`);
+    },
+
+    /**
+     * Get the rubric, your teammates and your saved ratings for a round
+     */
+    async getForm(roundId) {
+      return await apiFetch(`/rounds/${roundId}/form`);
+    },
+
+    /**
+     * Save your ratings
+     * @param {Object[]} ratings - [{ evaluatee_id, scores: { criterion_key: score }, comment }]
+     */
+    async submit(roundId, ratings) {
+      return await apiFetch(`/rounds/${roundId}/submission`, {
+        method: 'PUT',
+        body: JSON.stringify({ ratings })
+      });
+    },
+
+    /**
+     * Get your own anonymized results once the round has closed
+     */
+    async getMyResults(roundId) {
+      return await apiFetch(`/rounds/${roundId}/my-results`);
+    }
+  };
+})();
@@ -0,0 +1,266 @@
+// Peer evaluations: schedule rounds, then review contribution factors, flags and who rated whom
+(function peerEvaluations() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    back: document.getElementById('peer-back'),
+    error: document.getElementById('peer-error'),
+    newForm: document.getElementById('peer-new-form'),
+    title: document.getElementById('peer-title'),
+    opens: document.getElementById('peer-opens'),
+    closes: document.getElementById('peer-closes'),
+    scaleMin: document.getElementById('peer-scale-min'),
+    scaleMax: document.getElementById('peer-scale-max'),
+    criteria: document.getElementById('peer-criteria'),
+    instructions: document.getElementById('peer-instructions'),
+    round: document.getElementById('peer-round'),
+    exportLink: document.getElementById('peer-export'),
+    summary: document.getElementById('peer-summary'),
+    closeForm: document.getElementById('peer-close-form'),
+    closeAt: document.getElementById('peer-close-at'),
+    students: document.getElementById('peer-students'),
+    teams: document.getElementById('peer-teams')
+  };
+
+  const DEFAULT_CRITERIA = [
+    'Contributed a fair share of the work',
+    'Quality of work',
+    'Communicated clearly and kept the team informed',
+    'Met deadlines and commitments'
+  ];
+
+  const FLAG_LABELS = {
+    low_contribution: 'Low contribution',
+    high_contribution: 'High contribution',
+    rated_low_by_all: 'Rated low by every teammate',
+    self_inflated: 'Rates self well above peers'
+  };
+
+  let offeringId = null;
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  // datetime-local wants local time without a zone
+  function toLocalInput(value) {
+    const date = new Date(value);
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+  }
+
+  function cell(row, text) {
+    const td = document.createElement('td');
+    td.textContent = text ?? '—';
+    row.appendChild(td);
+    return td;
+  }
+
+  function renderStudents(results) {
+    selectors.students.innerHTML = '';
+    if (!results.students.length) {
+      const row = selectors.students.insertRow();
+      const td = cell(row, 'No students are on a team yet.');
+      td.colSpan = 8;
+      return;
+    }
+
+    for (const student of results.students) {
+      const row = selectors.students.insertRow();
+      if (student.flags.length) row.className = 'peer-row-flagged';
+      cell(row, student.name || student.email);
+      cell(row, student.team_name);
+      cell(row, student.submitted ? 'Yes' : 'No');
+      cell(row, String(student.ratings_received));
+      cell(row, student.peer_average);
+      cell(row, student.self_score);
+      cell(row, student.contribution_factor);
+      cell(row, student.flags.map((flag) => FLAG_LABELS[flag] || flag).join(', ') || '');
+    }
+  }
+
+  function renderTeam(team, rubric) {
+    const details = document.createElement('details');
+    details.className = 'peer-team';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${team.team_name} · ${team.submitted_count}/${team.member_count} submitted`;
+    details.appendChild(summary);
+
+    const names = new Map(team.members.map((member) => [member.user_id, member.name || member.email]));
+    const wrapper = document.createElement('div');
+    wrapper.className = 'peer-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'peer-table';
+
+    const header = table.createTHead().insertRow();
+    const corner = document.createElement('th');
+    corner.textContent = 'Rated by ↓ / Rating of →';
+    header.appendChild(corner);
+    for (const member of team.members) {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = names.get(member.user_id);
+      header.appendChild(th);
+    }
+
+    const body = table.createTBody();
+    for (const evaluator of team.members) {
+      const row = body.insertRow();
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = names.get(evaluator.user_id);
+      row.appendChild(th);
+      for (const evaluatee of team.members) {
+        const rating = team.evaluations.find((evaluation) => evaluation.evaluator_id === evaluator.user_id
+          && evaluation.evaluatee_id === evaluatee.user_id);
+        const td = cell(row, rating
+          ? rubric.criteria.map(({ key }) => rating.scores[key]).join(' / ')
+          : '');
+        if (rating?.comment) td.title = rating.comment;
+      }
+    }
+    wrapper.appendChild(table);
+    details.appendChild(wrapper);
+
+    const comments = team.evaluations.filter((evaluation) => evaluation.comment);
+    if (comments.length) {
+      const list = document.createElement('ul');
+      list.className = 'peer-comments';
+      for (const evaluation of comments) {
+        const item = document.createElement('li');
+        item.textContent = `${names.get(evaluation.evaluator_id)} on ${names.get(evaluation.evaluatee_id)}: ${evaluation.comment}`;
+        list.appendChild(item);
+      }
+      details.appendChild(list);
+    }
+    return details;
+  }
+
+  function describeWindow(round) {
+    if (round.status === 'upcoming') return `Opens ${new Date(round.opens_at).toLocaleString()}`;
+    if (round.status === 'open') return `Open until ${new Date(round.closes_at).toLocaleString()}`;
+    return `Closed ${new Date(round.closes_at).toLocaleString()}`;
+  }
+
+  function render(results) {
+    const { round } = results;
+    const criteria = round.rubric.criteria.map(({ label }) => label).join(' / ');
+    selectors.summary.textContent = `${describeWindow(round)} · `
+      + `Scores ${round.rubric.scale.min}-${round.rubric.scale.max} for ${criteria}`;
+    selectors.exportLink.href = window.PeerEvaluationService.exportUrl(round.id);
+    selectors.exportLink.hidden = false;
+    selectors.closeForm.hidden = false;
+    selectors.closeAt.value = toLocalInput(round.closes_at);
+
+    renderStudents(results);
+    selectors.teams.innerHTML = '';
+    for (const team of results.teams) {
+      selectors.teams.appendChild(renderTeam(team, round.rubric));
+    }
+  }
+
+  async function loadResults() {
+    const roundId = selectors.round.value;
+    if (!roundId) return;
+    try {
+      render(await window.PeerEvaluationService.getResults(roundId));
+      clearError();
+    } catch (error) {
+      console.error('Error loading peer evaluation results:', error);
+      showError(error.message || 'Unable to load the results');
+    }
+  }
+
+  async function loadRounds(selectedId) {
+    const rounds = await window.PeerEvaluationService.listRounds(offeringId);
+    selectors.round.innerHTML = '';
+    if (!rounds.length) {
+      selectors.round.add(new Option('No rounds yet', ''));
+      selectors.summary.textContent = '';
+      return;
+    }
+    for (const round of rounds) {
+      selectors.round.add(new Option(
+        `${round.title} (${round.status}, ${round.submitted_count} submitted)`,
+        round.id,
+        false,
+        round.id === selectedId
+      ));
+    }
+    await loadResults();
+  }
+
+  async function createRound(event) {
+    event.preventDefault();
+    const criteria = selectors.criteria.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    try {
+      const round = await window.PeerEvaluationService.createRound(offeringId, {
+        title: selectors.title.value.trim(),
+        instructions: selectors.instructions.value.trim() || null,
+        opens_at: selectors.opens.value ? new Date(selectors.opens.value).toISOString() : null,
+        closes_at: selectors.closes.value ? new Date(selectors.closes.value).toISOString() : null,
+        rubric: {
+          criteria: criteria.map((label) => ({ label })),
+          scale: { min: Number(selectors.scaleMin.value), max: Number(selectors.scaleMax.value) }
+        }
+      });
+      clearError();
+      selectors.title.value = '';
+      selectors.instructions.value = '';
+      await loadRounds(round.id);
+    } catch (error) {
+      console.error('Error creating peer evaluation round:', error);
+      showError(error.message || 'Unable to create the round');
+    }
+  }
+
+  async function changeClosingTime(event) {
+    event.preventDefault();
+    try {
+      const round = await window.PeerEvaluationService.updateRound(selectors.round.value, {
+        closes_at: new Date(selectors.closeAt.value).toISOString()
+      });
+      clearError();
+      await loadRounds(round.id);
+    } catch (error) {
+      console.error('Error updating peer evaluation round:', error);
+      showError(error.message || 'Unable to change the closing time');
+    }
+  }
+
+  async function init() {
+    if (!window.PeerEvaluationService || !selectors.container) return;
+
+    selectors.back?.addEventListener('click', () => {
+      window.location.href = '/roster';
+    });
+    selectors.criteria.value = DEFAULT_CRITERIA.join('\n');
+    selectors.newForm.addEventListener('submit', createRound);
+    selectors.closeForm.addEventListener('submit', changeClosingTime);
+    selectors.round.addEventListener('change', loadResults);
+
+    try {
+      offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+      await loadRounds(null);
+    } catch (error) {
+      console.error('Error loading peer evaluations:', error);
+      showError(error.message || 'Unable to load peer evaluations');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,312 @@
+// Pulse analytics: pulse check results across the term, per lecture, team and student
+(function pulseAnalytics() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    back: document.getElementById('pulse-back'),
+    filters: document.getElementById('pulse-filters'),
+    from: document.getElementById('pulse-from'),
+    to: document.getElementById('pulse-to'),
+    threshold: document.getElementById('pulse-threshold'),
+    error: document.getElementById('pulse-error'),
+    overall: document.getElementById('pulse-overall'),
+    overallSummary: document.getElementById('pulse-overall-summary'),
+    sessions: document.getElementById('pulse-sessions'),
+    compareForm: document.getElementById('pulse-compare-form'),
+    compareFrom: document.getElementById('pulse-compare-from'),
+    compareTo: document.getElementById('pulse-compare-to'),
+    comparison: document.getElementById('pulse-comparison'),
+    flagged: document.getElementById('pulse-flagged'),
+    teams: document.getElementById('pulse-teams'),
+    students: document.getElementById('pulse-students')
+  };
+
+  // Same emoji scale as the pulse questions in the lecture form
+  const LEVEL_LABELS = {
+    very_happy: 'Positive',
+    neutral: 'Neutral',
+    angry: 'Negative'
+  };
+
+  let offeringId = null;
+  let analytics = null;
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function formatScore(score) {
+    return score === null || score === undefined ? '—' : String(score);
+  }
+
+  function formatDate(date) {
+    if (!date) return '';
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString([], { month: 'short', day: 'numeric' });
+  }
+
+  function sessionLabel(session) {
+    return `${session.title} (${formatDate(session.session_date)})`;
+  }
+
+  function createEmoji(emoji) {
+    const img = document.createElement('img');
+    img.src = `/assets/${emoji}.svg`;
+    img.alt = LEVEL_LABELS[emoji] || emoji;
+    img.className = 'pulse-level-emoji';
+    return img;
+  }
+
+  function renderLevels(container, summary) {
+    container.innerHTML = '';
+    for (const level of summary.levels) {
+      const item = document.createElement('div');
+      item.className = `pulse-level pulse-level-${level.emoji.replace('_', '-')}`;
+
+      const count = document.createElement('p');
+      count.className = 'pulse-level-count';
+      count.textContent = `${level.percent}%`;
+
+      const detail = document.createElement('p');
+      detail.className = 'pulse-level-detail';
+      detail.textContent = `${level.count} ${LEVEL_LABELS[level.emoji].toLowerCase()}`;
+
+      item.append(createEmoji(level.emoji), count, detail);
+      container.appendChild(item);
+    }
+  }
+
+  function renderOverall() {
+    const { overall, sessions } = analytics;
+    if (!overall.response_count) {
+      selectors.overallSummary.textContent = sessions.length
+        ? 'No pulse check answers yet.'
+        : 'No lectures with pulse checks in this range.';
+      selectors.overall.innerHTML = '';
+      return;
+    }
+    selectors.overallSummary.textContent =
+      `Pulse score ${formatScore(overall.average_score)} from ${overall.response_count} answers across ${sessions.length} lecture${sessions.length !== 1 ? 's' : ''}.`;
+    renderLevels(selectors.overall, overall);
+  }
+
+  function renderSessions() {
+    selectors.sessions.innerHTML = '';
+    for (const session of analytics.sessions) {
+      const item = document.createElement('li');
+      item.className = 'pulse-trend-item';
+
+      const label = document.createElement('span');
+      label.className = 'pulse-trend-label';
+      label.textContent = sessionLabel(session);
+
+      const track = document.createElement('span');
+      track.className = 'pulse-trend-track';
+      const bar = document.createElement('span');
+      bar.className = 'pulse-trend-bar';
+      bar.style.width = `${session.average_score ?? 0}%`;
+      track.appendChild(bar);
+
+      const value = document.createElement('span');
+      value.className = 'pulse-trend-value';
+      value.textContent = session.response_count
+        ? `${formatScore(session.average_score)} · ${session.response_count} answers`
+        : 'No answers';
+
+      item.append(label, track, value);
+      selectors.sessions.appendChild(item);
+    }
+  }
+
+  function renderCompareOptions() {
+    const previous = [selectors.compareFrom.value, selectors.compareTo.value];
+    [selectors.compareFrom, selectors.compareTo].forEach((select, index) => {
+      select.innerHTML = '';
+      for (const session of analytics.sessions) {
+        const option = document.createElement('option');
+        option.value = session.session_id;
+        option.textContent = sessionLabel(session);
+        select.appendChild(option);
+      }
+      const fallback = analytics.sessions.at(index === 0 ? -2 : -1)?.session_id;
+      select.value = analytics.sessions.some((s) => s.session_id === previous[index]) ? previous[index] : (fallback || '');
+    });
+    selectors.compareForm.hidden = analytics.sessions.length < 2;
+  }
+
+  function renderComparison() {
+    selectors.comparison.innerHTML = '';
+    const { comparison } = analytics;
+    if (!comparison) return;
+
+    const change = comparison.score_change;
+    const summary = document.createElement('p');
+    summary.className = 'pulse-comparison-summary';
+    summary.textContent = change === null
+      ? 'One of these lectures has no answers yet.'
+      : `Pulse score ${change >= 0 ? 'up' : 'down'} ${Math.abs(change)} points.`;
+    selectors.comparison.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'pulse-comparison-levels';
+    for (const level of comparison.levels) {
+      const item = document.createElement('li');
+      const sign = level.change > 0 ? '+' : '';
+      item.append(createEmoji(level.emoji), `${level.from_percent}% → ${level.to_percent}% (${sign}${level.change})`);
+      list.appendChild(item);
+    }
+    selectors.comparison.appendChild(list);
+  }
+
+  function renderFlagged() {
+    selectors.flagged.innerHTML = '';
+    if (!analytics.flagged.length) {
+      const empty = document.createElement('li');
+      empty.className = 'pulse-empty';
+      empty.textContent = `No student dropped ${analytics.drop_threshold} points or more.`;
+      selectors.flagged.appendChild(empty);
+      return;
+    }
+    for (const student of analytics.flagged) {
+      const item = document.createElement('li');
+      item.className = 'pulse-flagged-item';
+      const name = document.createElement('strong');
+      name.textContent = student.name || 'Unknown';
+      item.append(
+        name,
+        ` ${student.team_name ? `(${student.team_name}) ` : ''}dropped ${student.drop} points: latest ${formatScore(student.latest_score)}, usually ${formatScore(student.baseline_score)}`
+      );
+      selectors.flagged.appendChild(item);
+    }
+  }
+
+  function renderTable(table, headings, rows) {
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    for (const heading of headings) {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = heading;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    if (!rows.length) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = headings.length;
+      cell.className = 'pulse-empty';
+      cell.textContent = 'No answers yet.';
+      return;
+    }
+    for (const row of rows) {
+      const tr = body.insertRow();
+      if (row.flagged) tr.className = 'pulse-row-flagged';
+      for (const value of row.cells) {
+        tr.insertCell().textContent = value;
+      }
+    }
+  }
+
+  function levelPercents(summary) {
+    return summary.levels.map((level) => `${level.percent}%`);
+  }
+
+  function renderTeams() {
+    renderTable(
+      selectors.teams,
+      ['Team', 'Score', 'Answers', ...Object.values(LEVEL_LABELS), 'Latest lecture'],
+      analytics.teams.map((team) => ({
+        cells: [
+          team.team_name,
+          formatScore(team.average_score),
+          team.response_count,
+          ...levelPercents(team),
+          formatScore(team.sessions.at(-1)?.average_score)
+        ]
+      }))
+    );
+  }
+
+  function renderStudents() {
+    renderTable(
+      selectors.students,
+      ['Student', 'Team', 'Score', 'Answers', 'Trend', 'Change'],
+      analytics.students.map((student) => ({
+        flagged: student.flagged,
+        cells: [
+          student.name || 'Unknown',
+          student.team_name || 'No team',
+          formatScore(student.average_score),
+          student.response_count,
+          student.trend.map((point) => formatScore(point.score)).join(' → '),
+          student.drop === null ? '—' : `${student.drop > 0 ? '−' : '+'}${Math.abs(student.drop)}`
+        ]
+      }))
+    );
+  }
+
+  function render() {
+    renderOverall();
+    renderSessions();
+    renderCompareOptions();
+    renderComparison();
+    renderFlagged();
+    renderTeams();
+    renderStudents();
+  }
+
+  async function load(compare) {
+    try {
+      analytics = await window.LectureService.getPulseAnalytics(offeringId, {
+        from: selectors.from.value,
+        to: selectors.to.value,
+        drop_threshold: selectors.threshold.value,
+        compare
+      });
+      clearError();
+      render();
+    } catch (error) {
+      console.error('Error loading pulse analytics:', error);
+      showError(error.message || 'Unable to load pulse analytics');
+    }
+  }
+
+  async function init() {
+    if (!window.LectureService || !selectors.container) return;
+
+    selectors.back?.addEventListener('click', () => {
+      window.location.href = '/instructor-lectures';
+    });
+    selectors.filters.addEventListener('submit', (event) => {
+      event.preventDefault();
+      load();
+    });
+    selectors.compareForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      load([selectors.compareFrom.value, selectors.compareTo.value]);
+    });
+
+    try {
+      offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+
+    await load();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,133 @@
+/**
+ * Question Charts
+ * Result charts shared by the lecture responses page and the projector view, drawn from the
+ * aggregates the server returns with session statistics and the presentation state.
+ */
+(function questionCharts() {
+  const CHOICE_TYPES = new Set(['multiple_choice', 'pulse_check', 'multi_select']);
+
+  function truncateText(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    return text.substring(0, maxLength - 3) + '...';
+  }
+
+  function createAggregateRow(label, value, percent, detail) {
+    const row = document.createElement('div');
+    row.className = 'aggregate-row';
+
+    const name = document.createElement('span');
+    name.className = 'aggregate-label';
+    name.textContent = truncateText(label, 40);
+    name.title = label;
+
+    const track = document.createElement('div');
+    track.className = 'aggregate-track';
+    const fill = document.createElement('div');
+    fill.className = 'aggregate-fill';
+    fill.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+    track.appendChild(fill);
+
+    const count = document.createElement('span');
+    count.className = 'aggregate-value';
+    count.textContent = value;
+    if (detail) count.title = detail;
+
+    row.append(name, track, count);
+    return row;
+  }
+
+  /**
+   * Chart a question's server-side aggregate (see aggregateResponses in utils/question-types.js)
+   * @param {Object} aggregate - { type, ... } from the session statistics or presentation
+   * @returns {HTMLElement}
+   */
+  function createAggregateChart(aggregate) {
+    const container = document.createElement('div');
+    container.className = `aggregate-chart aggregate-${aggregate.type}`;
+
+    if (CHOICE_TYPES.has(aggregate.type)) {
+      const note = document.createElement('p');
+      note.className = 'aggregate-note';
+      note.textContent = aggregate.type === 'multi_select'
+        ? 'Percent of respondents who selected each option'
+        : 'Percent of respondents who chose each option';
+      container.appendChild(note);
+      aggregate.options.forEach((entry) => {
+        container.appendChild(createAggregateRow(
+          entry.option,
+          `${entry.count} (${entry.percent}%)`,
+          entry.percent
+        ));
+      });
+    } else if (aggregate.type === 'ranking') {
+      const note = document.createElement('p');
+      note.className = 'aggregate-note';
+      note.textContent = 'Average rank (1 is best)';
+      container.appendChild(note);
+      const optionCount = aggregate.options.length;
+      aggregate.options.forEach((entry) => {
+        // Rank 1 fills the bar; the last rank leaves a sliver
+        const percent = entry.average_rank === null || optionCount < 2
+          ? 0
+          : ((optionCount - entry.average_rank + 1) / optionCount) * 100;
+        container.appendChild(createAggregateRow(
+          entry.option,
+          entry.average_rank === null ? '–' : `#${entry.average_rank}`,
+          percent,
+          `Ranked first by ${entry.first_place_count}`
+        ));
+      });
+    } else if (aggregate.type === 'numeric') {
+      const summary = document.createElement('p');
+      summary.className = 'aggregate-note';
+      summary.textContent = aggregate.response_count > 0
+        ? `Mean ${aggregate.mean} · Median ${aggregate.median} · Range ${aggregate.min} – ${aggregate.max}`
+        : 'No numeric answers yet';
+      container.appendChild(summary);
+
+      const histogram = document.createElement('div');
+      histogram.className = 'aggregate-histogram';
+      const tallest = Math.max(1, ...aggregate.histogram.map((bin) => bin.count));
+      aggregate.histogram.forEach((bin) => {
+        const column = document.createElement('div');
+        column.className = 'histogram-column';
+        const label = bin.from === bin.to ? `${bin.from}` : `${bin.from}–${bin.to}`;
+        column.title = `${label}: ${bin.count} response${bin.count !== 1 ? 's' : ''}`;
+
+        const count = document.createElement('span');
+        count.className = 'histogram-count';
+        count.textContent = bin.count;
+        const bar = document.createElement('div');
+        bar.className = 'histogram-bar';
+        bar.style.height = `${(bin.count / tallest) * 100}%`;
+        const axis = document.createElement('span');
+        axis.className = 'histogram-label';
+        axis.textContent = label;
+
+        column.append(count, bar, axis);
+        histogram.appendChild(column);
+      });
+      container.appendChild(histogram);
+    } else if (aggregate.type === 'word_cloud') {
+      const cloud = document.createElement('div');
+      cloud.className = 'word-cloud';
+      const highest = Math.max(1, ...aggregate.phrases.map((phrase) => phrase.count));
+      // Alphabetical order spreads the large phrases through the cloud
+      [...aggregate.phrases]
+        .sort((a, b) => a.text.localeCompare(b.text))
+        .forEach((phrase) => {
+          const word = document.createElement('span');
+          word.className = 'word-cloud-phrase';
+          word.textContent = phrase.text;
+          word.title = `${phrase.count} response${phrase.count !== 1 ? 's' : ''}`;
+          word.style.fontSize = `${0.9 + (phrase.count / highest) * 1.6}rem`;
+          cloud.appendChild(word);
+        });
+      container.appendChild(cloud);
+    }
+
+    return container;
+  }
+
+  window.QuestionCharts = { createAggregateChart };
+})();
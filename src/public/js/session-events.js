@@ -0,0 +1,65 @@
+/**
+ * Session Events
+ * Live session updates over Server-Sent Events (GET /api/sessions/:sessionId/events).
+ * Pages keep their polling code as the fallback: onConnectionChange(false) means events
+ * aren't arriving (not supported, not allowed, or the stream dropped) and the page should
+ * poll; onConnectionChange(true) means the stream is live and polling can stop. The page
+ * should also refresh once on every (re)connect, since events sent while disconnected are lost.
+ */
+(function sessionEvents() {
+  const EVENT_TYPES = ['attendance', 'response', 'session', 'question', 'resync'];
+
+  /**
+   * Open the event stream for a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} handlers
+   * @param {Function} handlers.onEvent - Called with each event ({ type, session_id, ... })
+   * @param {Function} [handlers.onConnectionChange] - Called with true/false as the stream connects/drops
+   * @returns {{ close: Function }} Connection handle
+   */
+  function connect(sessionId, { onEvent, onConnectionChange = () => {} }) {
+    if (typeof window.EventSource !== 'function') {
+      onConnectionChange(false);
+      return { close() {} };
+    }
+
+    const source = new EventSource(`/api/sessions/${encodeURIComponent(sessionId)}/events`, {
+      withCredentials: true
+    });
+    let connected = false;
+
+    const setConnected = (value) => {
+      if (connected === value) return;
+      connected = value;
+      onConnectionChange(value);
+    };
+
+    source.addEventListener('ready', () => setConnected(true));
+
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (message) => {
+        try {
+          onEvent(JSON.parse(message.data));
+        } catch (error) {
+          console.error('Error handling session event:', error);
+        }
+      });
+    });
+
+    // EventSource reconnects on its own; poll in the meantime
+    source.addEventListener('error', () => {
+      setConnected(false);
+    });
+
+    // Start on the fallback until the server confirms the stream
+    onConnectionChange(false);
+
+    return {
+      close() {
+        source.close();
+      }
+    };
+  }
+
+  window.SessionEvents = { connect };
+})();
@@ -26,6 +26,10 @@
         match: ["/instructor-lectures", "/lecture-builder", "/lecture-responses"]
       },
       { href: "/roster", text: "Roster", icon: "/assets/roster.png" },
+      { href: "/team-formation", text: "Team Formation" },
+      { href: "/team-transfers", text: "Team Transfers" },
+      { href: "/team-assignments", text: "Team Assignments" },
+      { href: "/peer-evaluations", text: "Peer Evaluations" },
       { href: "/class-directory", text: "Directory" },
       { href: "/instructor-meetings", text: "Team Meetings", icon: "/assets/conversation.png" },
       { href: "/instructor-journal", text: "Journal", icon: "/assets/journal.png" }
@@ -37,6 +41,7 @@
         text: "Attendance",
         match: ["/instructor-lectures", "/lecture-builder", "/lecture-responses"]
       },
+      { href: "/peer-evaluations", text: "Peer Evaluations" },
       { href: "/class-directory", text: "Directory" },
       { href: "/tutor-journal", text: "Journal", icon: "/assets/journal.png" }
     ],
@@ -48,6 +53,10 @@
         match: ["/instructor-lectures", "/lecture-builder", "/lecture-responses"]
       },
       { href: "/roster", text: "Roster", icon: "/assets/roster.png" },
+      { href: "/team-formation", text: "Team Formation" },
+      { href: "/team-transfers", text: "Team Transfers" },
+      { href: "/team-assignments", text: "Team Assignments" },
+      { href: "/peer-evaluations", text: "Peer Evaluations" },
       { href: "/class-directory", text: "Directory" },
       { href: "/ta-journal", text: "Journal", icon: "/assets/journal.png" },
       { href: "/instructor-meetings", text: "Team Meetings", icon: "/assets/conversation.png" }
@@ -65,6 +74,7 @@
       },
       { href: "/meetings", text: "Meetings", icon: "/assets/conversation.png" },
       { href: "/team-edit", text: "Edit Team", icon: "/assets/settings.png" },
+      { href: "/peer-evaluation", text: "Peer Evaluation" },
       {
         href: "/work-journal",
         text: "Work Journal",
@@ -84,6 +94,8 @@
         match: ["/lecture-attendance-student", "/student-lecture-response"]
       },
       { href: "/meetings", text: "Meetings", icon: "/assets/conversation.png" },
+      { href: "/team-preferences", text: "Team Preferences" },
+      { href: "/peer-evaluation", text: "Peer Evaluation" },
       {
         href: "/work-journal",
         text: "Work Journal",
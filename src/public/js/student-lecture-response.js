@@ -12,12 +12,21 @@
     successPanel: document.getElementById('student-success'),
     successClose: document.getElementById('success-close'),
     updateAnswers: document.getElementById('update-answers'),
-    backButton: document.getElementById('back-button')
+    backButton: document.getElementById('back-button'),
+    quizScore: document.getElementById('student-quiz-score'),
+    presentationStatus: document.getElementById('presentation-status')
   };
 
+  // Polling is the fallback while the session event stream isn't connected
+  const POLL_INTERVAL_MS = 5000;
+  const EVENT_REFRESH_DELAY_MS = 300;
+
   let sessionId = null;
   let lecture = null;
   let isLoading = false;
+  let liveEvents = null;
+  let pollInterval = null;
+  let refreshTimer = null;
 
   // Get session ID from URL params or data attribute
   function getSessionId() {
@@ -33,7 +42,7 @@
     return sessionId;
   }
 
-  function formatTimeRange(startIso, endIso) {
+  function formatTimeRange(startIso, endIso, timeZone) {
     if (!startIso || !endIso) return '—';
     try {
       // Parse ISO strings - they may be in UTC, but we'll display in local time
@@ -45,17 +54,17 @@
         return '—';
       }
       
-      // Always format in local timezone (explicitly use local timezone)
+      // Format in the course timezone, falling back to the browser timezone
       const dateFormatter = new Intl.DateTimeFormat('en-US', { 
         month: 'short', 
         day: 'numeric', 
         year: 'numeric',
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
       });
       const timeFormatter = new Intl.DateTimeFormat('en-US', { 
         hour: 'numeric', 
         minute: 'numeric',
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
       });
     return `${dateFormatter.format(start)} · ${timeFormatter.format(start)}–${timeFormatter.format(end)}`;
     } catch (e) {
@@ -86,7 +95,7 @@
       selectors.title.textContent = lecture.label || lecture.title || 'Lecture';
     }
     if (selectors.time) {
-    selectors.time.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt);
+    selectors.time.textContent = formatTimeRange(lecture.startsAt, lecture.endsAt, lecture.timeZone);
     }
     if (selectors.status) {
       if (lecture.status === 'open') {
@@ -100,8 +109,11 @@
     
     
     // Determine if session is open - check both status and attendance_opened_at
+    // A response deadline set past attendance close keeps the form open until then
+    const deadline = lecture.response_rules?.deadline;
     const isOpen = lecture.status === 'open' || 
-                   (lecture.attendance_opened_at && !lecture.attendance_closed_at);
+                   (lecture.attendance_opened_at && !lecture.attendance_closed_at) ||
+                   (lecture.attendance_opened_at && deadline && new Date(deadline) > new Date());
     
     if (!isOpen) {
       // Session is closed - show success message and hide form
@@ -161,6 +173,121 @@
     return group;
   }
 
+  function buildMultiSelectQuestion(question) {
+    const group = document.createElement('div');
+    group.className = 'option-group';
+    (question.options || []).forEach((option) => {
+      const label = document.createElement('label');
+      label.className = 'option-chip';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = `question-${question.id}`;
+      input.value = option;
+      input.addEventListener('change', () => {
+        label.classList.toggle('selected', input.checked);
+      });
+
+      const span = document.createElement('span');
+      span.textContent = option;
+
+      label.append(input, span);
+      group.appendChild(label);
+    });
+    return group;
+  }
+
+  function moveRankingItem(item, direction) {
+    const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+    if (!sibling) return;
+    if (direction < 0) {
+      item.parentElement.insertBefore(item, sibling);
+    } else {
+      item.parentElement.insertBefore(sibling, item);
+    }
+    item.querySelector(direction < 0 ? '.rank-up' : '.rank-down')?.focus();
+  }
+
+  function buildRankingItem(option) {
+    const item = document.createElement('li');
+    item.className = 'ranking-item';
+    item.dataset.value = option;
+
+    const text = document.createElement('span');
+    text.className = 'ranking-label';
+    text.textContent = option;
+
+    const up = document.createElement('button');
+    up.type = 'button';
+    up.className = 'rank-up';
+    up.textContent = '↑';
+    up.setAttribute('aria-label', `Move ${option} up`);
+    up.addEventListener('click', () => moveRankingItem(item, -1));
+
+    const down = document.createElement('button');
+    down.type = 'button';
+    down.className = 'rank-down';
+    down.textContent = '↓';
+    down.setAttribute('aria-label', `Move ${option} down`);
+    down.addEventListener('click', () => moveRankingItem(item, 1));
+
+    item.append(text, up, down);
+    return item;
+  }
+
+  function buildRankingQuestion(question, order = question.options || []) {
+    const list = document.createElement('ol');
+    list.className = 'ranking-list';
+    list.dataset.questionId = question.id;
+    order.forEach((option) => list.appendChild(buildRankingItem(option)));
+    return list;
+  }
+
+  function buildNumericQuestion(question) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.className = 'numeric-answer';
+    input.id = `question-${question.id}`;
+    input.name = `question-${question.id}`;
+    input.placeholder = 'Enter a number';
+    input.required = question.is_required !== false;
+    const range = question.options && !Array.isArray(question.options) ? question.options : {};
+    if (range.min !== undefined) input.min = range.min;
+    if (range.max !== undefined) input.max = range.max;
+    return input;
+  }
+
+  function buildWordCloudQuestion(question) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'word-cloud-answer';
+    input.id = `question-${question.id}`;
+    input.name = `question-${question.id}`;
+    input.maxLength = 60;
+    input.placeholder = 'A word or short phrase (up to 3 words)';
+    input.required = question.is_required !== false;
+    return input;
+  }
+
+  function buildQuestionField(question) {
+    switch (question.type) {
+      case 'text':
+        return buildTextQuestion(question);
+      case 'multi_select':
+        return buildMultiSelectQuestion(question);
+      case 'ranking':
+        return buildRankingQuestion(question);
+      case 'numeric':
+        return buildNumericQuestion(question);
+      case 'word_cloud':
+        return buildWordCloudQuestion(question);
+      default:
+        return question.question_type === 'text'
+          ? buildTextQuestion(question)
+          : buildOptionQuestion(question);
+    }
+  }
+
   function renderQuestions() {
     
     if (!selectors.questionList) {
@@ -175,6 +302,11 @@
     }
     
     if (!lecture.questions || lecture.questions.length === 0) {
+      // In presentation mode there is nothing to show until the instructor opens a question
+      if (lecture.presentation_mode) {
+        selectors.questionList.innerHTML = '';
+        return;
+      }
       console.warn('No questions found for lecture');
       selectors.questionList.innerHTML = '<p style="text-align: center; padding: 2rem; color: var(--gray-600);">No questions available for this lecture.</p>';
       return;
@@ -185,26 +317,93 @@
     lecture.questions.forEach((question, index) => {
       const card = document.createElement('article');
       card.className = 'student-question-card';
+      card.dataset.questionId = question.id;
       const heading = document.createElement('h3');
-      heading.textContent = `${index + 1}. ${question.prompt || question.question_text}`;
+      // The presented question keeps its number in the lecture
+      const number = lecture.presentation_mode ? question.question_order || index + 1 : index + 1;
+      heading.textContent = `${number}. ${question.prompt || question.question_text}`;
       card.appendChild(heading);
 
-      // Determine field type - text questions use textarea, others use radio buttons
-      const isTextQuestion = question.type === 'text' || 
-                             question.question_type === 'text';
-      const field = isTextQuestion
-        ? buildTextQuestion(question)
-        : buildOptionQuestion(question);
-      card.appendChild(field);
+      if (question.type === 'multi_select' || question.type === 'ranking') {
+        const hint = document.createElement('p');
+        hint.className = 'question-hint';
+        hint.textContent = question.type === 'ranking'
+          ? 'Order the options from first to last.'
+          : 'Select all that apply.';
+        card.appendChild(hint);
+      }
+
+      card.appendChild(buildQuestionField(question));
       selectors.questionList.appendChild(card);
     });
   }
 
-  function collectAnswers() {
+  // In presentation mode only the open question can be answered
+  function answerableQuestions() {
     if (!lecture?.questions) return [];
-    
-    return lecture.questions.map((question) => {
+    return lecture.presentation_mode
+      ? lecture.questions.filter((question) => question.is_open)
+      : lecture.questions;
+  }
+
+  // Show what the instructor has on screen and lock closed questions
+  function applyPresentationState() {
+    const presenting = Boolean(lecture?.presentation_mode);
+    const current = lecture?.questions?.[0];
+
+    if (selectors.presentationStatus) {
+      selectors.presentationStatus.hidden = !presenting;
+      selectors.presentationStatus.classList.toggle('is-open', presenting && Boolean(current?.is_open));
+      if (!current) {
+        selectors.presentationStatus.textContent = 'Waiting for your instructor to open a question.';
+      } else if (current.is_open) {
+        selectors.presentationStatus.textContent = 'This question is open. Submit your answer before it closes.';
+      } else {
+        selectors.presentationStatus.textContent = 'This question is closed. Waiting for the next one.';
+      }
+    }
+
+    selectors.questionList?.querySelectorAll('.student-question-card').forEach((card) => {
+      const question = lecture.questions.find((q) => String(q.id) === card.dataset.questionId);
+      const locked = presenting && !question?.is_open;
+      card.classList.toggle('is-locked', locked);
+      card.querySelectorAll('input, textarea, button').forEach((control) => {
+        control.disabled = locked;
+      });
+    });
+
+    const submitBtn = selectors.form?.querySelector('button[type="submit"]');
+    if (submitBtn && !isLoading) {
+      submitBtn.disabled = presenting && answerableQuestions().length === 0;
+    }
+  }
+
+  function collectAnswers() {
+    return answerableQuestions().map((question) => {
       const fieldName = `question-${question.id}`;
+
+      if (question.type === 'multi_select' || question.type === 'ranking') {
+        const values = question.type === 'ranking'
+          ? [...selectors.form.querySelectorAll(`.ranking-list[data-question-id="${question.id}"] .ranking-item`)]
+            .map((item) => item.dataset.value)
+          : [...selectors.form.querySelectorAll(`input[name="${fieldName}"]:checked`)].map((input) => input.value);
+        return {
+          questionId: question.id,
+          response: values.join(question.type === 'ranking' ? ' > ' : ', '),
+          response_values: values
+        };
+      }
+
+      if (question.type === 'numeric' || question.type === 'word_cloud') {
+        const value = selectors.form.elements[fieldName]?.value.trim() || '';
+        return {
+          questionId: question.id,
+          response: value,
+          response_text: value,
+          ...(question.type === 'numeric' && value !== '' ? { response_number: Number(value) } : {})
+        };
+      }
+
       let responseValue = '';
       if (question.type === 'text' || question.question_type === 'text') {
         responseValue = selectors.form.elements[fieldName]?.value.trim();
@@ -223,7 +422,7 @@
 
   function validateAnswers(answers) {
     if (!answers || answers.length === 0) {
-      alert('No questions found.');
+      alert(lecture?.presentation_mode ? 'There is no open question to answer right now.' : 'No questions found.');
       return false;
     }
     
@@ -304,6 +503,7 @@
         submitBtn.disabled = false;
         if (originalText) submitBtn.textContent = originalText;
       }
+      applyPresentationState();
     }
   }
 
@@ -314,11 +514,15 @@
       textarea.value = '';
     });
     
-    // Reset all radio buttons
-    selectors.form.querySelectorAll('input[type="radio"]').forEach((radio) => {
+    // Reset all radio buttons and checkboxes
+    selectors.form.querySelectorAll('input[type="radio"], input[type="checkbox"]').forEach((radio) => {
       radio.checked = false;
       radio.closest('.option-chip')?.classList.remove('selected');
     });
+
+    selectors.form.querySelectorAll('.numeric-answer, .word-cloud-answer').forEach((input) => {
+      input.value = '';
+    });
     }
   }
 
@@ -384,7 +588,7 @@
       renderQuestions();
       
       // Check if questions were rendered
-      if (lecture.questions?.length === 0) {
+      if (lecture.questions?.length === 0 && !lecture.presentation_mode) {
         console.warn('No questions found for this lecture');
         if (selectors.questionList) {
           selectors.questionList.innerHTML = '<p style="text-align: center; padding: 2rem; color: var(--gray-600);">No questions available for this lecture.</p>';
@@ -393,6 +597,7 @@
       
       // Load existing responses if any
       await loadExistingResponses();
+      applyPresentationState();
     } catch (error) {
       console.error('Error hydrating response form:', error);
       alert(`Error loading lecture: ${error.message}`);
@@ -402,6 +607,34 @@
     }
   }
 
+  // Score and per-question feedback for quiz questions whose results are revealed
+  function renderQuizResults(responses, quiz) {
+    if (selectors.quizScore) {
+      selectors.quizScore.hidden = !quiz;
+      if (quiz) {
+        selectors.quizScore.textContent = `Quiz score: ${quiz.points_earned} / ${quiz.points_possible} points`
+          + ` (${quiz.correct_count} of ${quiz.graded_questions} correct)`;
+      }
+    }
+
+    if (!selectors.questionList) return;
+    selectors.questionList.querySelectorAll('.answer-feedback').forEach((node) => node.remove());
+    (responses || []).forEach((response) => {
+      if (typeof response.is_correct !== 'boolean') return;
+      const card = selectors.questionList.querySelector(
+        `.student-question-card[data-question-id="${response.question_id}"]`
+      );
+      if (!card) return;
+
+      const feedback = document.createElement('p');
+      feedback.className = `answer-feedback ${response.is_correct ? 'is-correct' : 'is-incorrect'}`;
+      feedback.textContent = response.is_correct
+        ? `Correct (+${response.points_earned})`
+        : `Incorrect. Accepted answer: ${(response.correct_answers || []).join(', ')}`;
+      card.appendChild(feedback);
+    });
+  }
+
   async function loadExistingResponses() {
     if (!sessionId || !selectors.form) return;
     
@@ -416,7 +649,8 @@
         return; // No responses or error
       }
       
-      const responses = await response.json();
+      const { responses, quiz } = await response.json();
+      renderQuizResults(responses, quiz);
       if (!Array.isArray(responses) || responses.length === 0) {
         return; // No existing responses
       }
@@ -425,6 +659,25 @@
       responses.forEach(response => {
         const questionId = response.question_id || response.questionId;
         if (!questionId) return;
+
+        const question = lecture?.questions?.find((q) => String(q.id) === String(questionId));
+        if (question?.type === 'ranking' && Array.isArray(response.response_values)) {
+          const list = selectors.form.querySelector(`.ranking-list[data-question-id="${questionId}"]`);
+          list?.replaceWith(buildRankingQuestion(question, response.response_values));
+          return;
+        }
+        if (question?.type === 'multi_select' && Array.isArray(response.response_values)) {
+          selectors.form.querySelectorAll(`input[name="question-${questionId}"]`).forEach((input) => {
+            input.checked = response.response_values.includes(input.value);
+            input.dispatchEvent(new Event('change'));
+          });
+          return;
+        }
+        if (question?.type === 'numeric' || question?.type === 'word_cloud') {
+          const input = selectors.form.elements[`question-${questionId}`];
+          if (input) input.value = response.response_text ?? '';
+          return;
+        }
         
         const fieldName = `question-${questionId}`;
         const field = selectors.form.elements[fieldName];
@@ -451,13 +704,93 @@
     }
   }
 
+  // Changes to the session or the presented question re-render the form only when the
+  // visible questions change, so a half-written answer survives a close/reopen
+  function questionKey(state) {
+    const ids = (state?.questions || []).map((question) => question.id).join(',');
+    return `${Boolean(state?.presentation_mode)}|${ids}`;
+  }
+
+  async function refreshLecture() {
+    if (!sessionId || !lecture || isLoading) return;
+
+    try {
+      const latest = await window.LectureService.refreshLecture(sessionId);
+      if (!latest) return;
+
+      const changed = questionKey(latest) !== questionKey(lecture);
+      lecture = latest;
+      if (changed) {
+        await renderHeader();
+        renderQuestions();
+        await loadExistingResponses();
+      }
+      applyPresentationState();
+    } catch (error) {
+      console.error('Error refreshing lecture:', error);
+    }
+  }
+
+  function scheduleRefresh() {
+    if (refreshTimer) return;
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      refreshLecture();
+    }, EVENT_REFRESH_DELAY_MS);
+  }
+
+  function startPolling() {
+    if (!pollInterval) {
+      pollInterval = setInterval(refreshLecture, POLL_INTERVAL_MS);
+    }
+  }
+
+  function stopPolling() {
+    if (pollInterval) {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    }
+  }
+
+  function connectLiveEvents() {
+    if (!window.SessionEvents) {
+      startPolling();
+      return;
+    }
+
+    liveEvents = window.SessionEvents.connect(sessionId, {
+      onEvent(event) {
+        if (event.type === 'session' || event.type === 'question' || event.type === 'resync') {
+          scheduleRefresh();
+        }
+      },
+      onConnectionChange(connected) {
+        if (connected) {
+          stopPolling();
+          // Catch up on anything that changed before the stream connected
+          scheduleRefresh();
+        } else {
+          startPolling();
+        }
+      }
+    });
+  }
+
   function init() {
-    hydrate();
+    hydrate().then(() => {
+      if (sessionId && lecture) connectLiveEvents();
+    });
     if (selectors.form) {
     selectors.form.addEventListener('submit', handleSubmit);
     }
     initActions();
     initBackButton();
+
+    window.addEventListener('beforeunload', () => {
+      stopPolling();
+      clearTimeout(refreshTimer);
+      if (liveEvents) liveEvents.close();
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,67 @@
+/**
+ * Team Assignment Service - API client for TA and tutor team assignments
+ */
+(function initTeamAssignmentService() {
+  const API_BASE = '/api/team-assignments';
+
+  /**
+   * Fetch wrapper with authentication and error handling
+   */
+  async function apiFetch(endpoint, options = {}) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      credentials: 'include',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  window.TeamAssignmentService = {
+    /**
+     * Get the IDs of the teams you supervise
+     */
+    async getMyTeamIds(offeringId) {
+      const data = await apiFetch(`/mine?offering_id=${encodeURIComponent(offeringId)}`);
+      return data.team_ids || [];
+    },
+
+    /**
+     * Get a course's TAs, tutors and teams with who supervises what
+     */
+    async getAssignments(offeringId) {
+      return await apiFetch(`/offerings/${offeringId}`);
+    },
+
+    /**
+     * Replace a team's supervisors
+     * @param {string[]} userIds - TA and tutor user IDs; [] clears the team
+     */
+    async setTeamSupervisors(offeringId, teamId, userIds) {
+      return await apiFetch(`/offerings/${offeringId}/teams/${teamId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ user_ids: userIds })
+      });
+    },
+
+    /**
+     * Spread TAs and/or tutors evenly over the course's teams
+     * @param {Object} options - { roles: ['ta', 'tutor'], keep_existing: true }
+     */
+    async rebalance(offeringId, options) {
+      return await apiFetch(`/offerings/${offeringId}/rebalance`, {
+        method: 'POST',
+        body: JSON.stringify(options)
+      });
+    }
+  };
+})();
@@ -0,0 +1,177 @@
+// Team assignments: staff choose which TAs and tutors supervise each team and rebalance the load
+(function teamAssignments() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    back: document.getElementById('assignment-back'),
+    error: document.getElementById('assignment-error'),
+    rebalanceTa: document.getElementById('rebalance-ta'),
+    rebalanceTutor: document.getElementById('rebalance-tutor'),
+    keepExisting: document.getElementById('rebalance-keep'),
+    rebalance: document.getElementById('rebalance-button'),
+    load: document.getElementById('assignment-load'),
+    teams: document.getElementById('assignment-teams')
+  };
+
+  const ROLE_LABELS = { ta: 'TA', tutor: 'Tutor' };
+
+  let offeringId = null;
+  let state = { staff: [], teams: [] };
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function cell(row, text) {
+    const td = document.createElement('td');
+    td.textContent = text ?? '—';
+    row.appendChild(td);
+    return td;
+  }
+
+  function emptyRow(body, text, colSpan) {
+    const td = cell(body.insertRow(), text);
+    td.colSpan = colSpan;
+  }
+
+  function renderLoad() {
+    selectors.load.innerHTML = '';
+    if (!state.staff.length) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No TAs or tutors are enrolled in this course.';
+      selectors.load.appendChild(empty);
+      return;
+    }
+
+    for (const member of state.staff) {
+      const item = document.createElement('li');
+      item.className = 'assignment-load-item';
+      const count = member.team_ids.length;
+      item.textContent = `${member.name || member.email} (${ROLE_LABELS[member.course_role]}): ${count} team${count === 1 ? '' : 's'}`;
+      selectors.load.appendChild(item);
+    }
+  }
+
+  // One checkbox per staff member of a role; ticking or unticking saves the team's supervisors
+  function renderPicker(td, team, role) {
+    const staff = state.staff.filter((member) => member.course_role === role);
+    if (!staff.length) {
+      td.textContent = '—';
+      return;
+    }
+
+    const assigned = new Set(team.supervisors.map((supervisor) => supervisor.user_id));
+    const picker = document.createElement('div');
+    picker.className = 'assignment-picker';
+    for (const member of staff) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = assigned.has(member.user_id);
+      checkbox.addEventListener('change', () => toggleSupervisor(team, member.user_id, checkbox.checked));
+      label.append(checkbox, ` ${member.name || member.email}`);
+      picker.appendChild(label);
+    }
+    td.appendChild(picker);
+  }
+
+  function renderTeams() {
+    selectors.teams.innerHTML = '';
+    if (!state.teams.length) {
+      emptyRow(selectors.teams, 'No teams in this course yet.', 3);
+      return;
+    }
+
+    for (const team of state.teams) {
+      const row = selectors.teams.insertRow();
+      cell(row, team.team_number ? `${team.name} (#${team.team_number})` : team.name);
+      renderPicker(row.insertCell(), team, 'ta');
+      renderPicker(row.insertCell(), team, 'tutor');
+    }
+  }
+
+  function render(assignments) {
+    state = assignments;
+    renderLoad();
+    renderTeams();
+    clearError();
+  }
+
+  async function load() {
+    try {
+      render(await window.TeamAssignmentService.getAssignments(offeringId));
+    } catch (error) {
+      console.error('Error loading team assignments:', error);
+      showError(error.message || 'Unable to load team assignments');
+    }
+  }
+
+  async function toggleSupervisor(team, userId, checked) {
+    const userIds = team.supervisors.map((supervisor) => supervisor.user_id).filter((id) => id !== userId);
+    if (checked) userIds.push(userId);
+
+    try {
+      render(await window.TeamAssignmentService.setTeamSupervisors(offeringId, team.id, userIds));
+    } catch (error) {
+      console.error('Error saving team supervisors:', error);
+      showError(error.message || 'Unable to save the team\'s supervisors');
+      renderTeams();
+    }
+  }
+
+  async function rebalance() {
+    const roles = [
+      selectors.rebalanceTa.checked && 'ta',
+      selectors.rebalanceTutor.checked && 'tutor'
+    ].filter(Boolean);
+    if (!roles.length) {
+      showError('Choose TAs, tutors or both to rebalance');
+      return;
+    }
+
+    selectors.rebalance.disabled = true;
+    try {
+      render(await window.TeamAssignmentService.rebalance(offeringId, {
+        roles,
+        keep_existing: selectors.keepExisting.checked
+      }));
+    } catch (error) {
+      console.error('Error rebalancing team supervisors:', error);
+      showError(error.message || 'Unable to rebalance supervisors');
+    } finally {
+      selectors.rebalance.disabled = false;
+    }
+  }
+
+  async function init() {
+    if (!window.TeamAssignmentService || !selectors.container) return;
+
+    selectors.back?.addEventListener('click', () => {
+      window.location.href = '/roster';
+    });
+    selectors.rebalance.addEventListener('click', rebalance);
+
+    try {
+      offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+      await load();
+    } catch (error) {
+      console.error('Error loading team assignments:', error);
+      showError(error.message || 'Unable to load team assignments');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
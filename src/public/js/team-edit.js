@@ -271,6 +271,171 @@ document.addEventListener('DOMContentLoaded', async function() {
     });
   }
 
+  // Format a ledger or request date for display
+  function formatDate(value) {
+    if (!value) return '';
+    return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  // Describe one membership event from this team's point of view
+  function describeEvent(event) {
+    const name = event.user_name || 'A student';
+    if (event.event_type === 'joined') {
+      return `${name} joined the team`;
+    }
+    if (event.event_type === 'left') {
+      return `${name} left the team${event.reason ? ` (${event.reason})` : ''}`;
+    }
+    const approval = event.approved_by_name ? `, approved by ${event.approved_by_name}` : '';
+    if (event.from_team_id === currentTeam.id) {
+      return `${name} moved to ${event.to_team_name || 'another team'}${approval}`;
+    }
+    return `${name} moved here from ${event.from_team_name || 'another team'}${approval}`;
+  }
+
+  // Load the team's joins, departures and transfers, newest first
+  async function loadMembershipHistory() {
+    const list = document.getElementById('membershipHistoryList');
+    if (!list || !currentTeam) return;
+
+    try {
+      const response = await fetch(`/api/teams/${currentTeam.id}/history`, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error('Failed to load membership history');
+      }
+      const { events } = await response.json();
+
+      list.innerHTML = '';
+      if (events.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'membership-history-empty';
+        empty.textContent = 'No membership changes recorded yet.';
+        list.appendChild(empty);
+        return;
+      }
+      for (const event of [...events].reverse()) {
+        const item = document.createElement('li');
+        item.className = 'membership-history-item';
+        const text = document.createElement('span');
+        text.textContent = describeEvent(event);
+        const date = document.createElement('time');
+        date.className = 'membership-history-date';
+        date.dateTime = event.occurred_at;
+        date.textContent = formatDate(event.occurred_at);
+        item.append(text, date);
+        list.appendChild(item);
+      }
+    } catch (error) {
+      console.error('Error loading membership history:', error);
+      list.innerHTML = '<li class="membership-history-empty">Membership history is unavailable.</li>';
+    }
+  }
+
+  // Fill the transfer form's selects and list the requests you made or that involve you
+  async function loadTransfers() {
+    const form = document.getElementById('transferRequestForm');
+    const list = document.getElementById('transferRequestList');
+    if (!form || !list || !currentTeam) return;
+
+    try {
+      const [transfersResponse, membersResponse] = await Promise.all([
+        fetch(`/api/team-transfers/mine?offering_id=${encodeURIComponent(currentTeam.offering_id)}`, { credentials: 'include' }),
+        fetch(`/api/teams/${currentTeam.id}/members`, { credentials: 'include' })
+      ]);
+      if (!transfersResponse.ok || !membersResponse.ok) {
+        throw new Error('Failed to load transfer requests');
+      }
+      const transfers = await transfersResponse.json();
+      const { members } = await membersResponse.json();
+
+      const memberSelect = document.getElementById('transferMember');
+      memberSelect.innerHTML = '';
+      memberSelect.appendChild(new Option('Myself', ''));
+      for (const member of members) {
+        if (!member.left_at && transfers.teammates.includes(member.user_id)) {
+          memberSelect.appendChild(new Option(member.name, member.user_id));
+        }
+      }
+
+      const teamSelect = document.getElementById('transferTeam');
+      teamSelect.innerHTML = '';
+      for (const team of transfers.teams) {
+        teamSelect.appendChild(new Option(`${team.name} (${team.member_count} members)`, team.id));
+      }
+
+      list.innerHTML = '';
+      for (const request of transfers.requests) {
+        const item = document.createElement('li');
+        item.className = 'transfer-request-item';
+        const text = document.createElement('span');
+        text.textContent = `${request.user_name}: ${request.from_team_name} to ${request.to_team_name} (${request.status})`
+          + `${request.review_note ? ` - "${request.review_note}"` : ''}`;
+        item.appendChild(text);
+        if (request.status === 'pending') {
+          const withdraw = document.createElement('button');
+          withdraw.type = 'button';
+          withdraw.className = 'btn btn-ghost';
+          withdraw.textContent = 'Withdraw';
+          withdraw.addEventListener('click', () => withdrawTransfer(request.id));
+          item.appendChild(withdraw);
+        }
+        list.appendChild(item);
+      }
+    } catch (error) {
+      console.error('Error loading transfer requests:', error);
+      showToast('Failed to load transfer requests', 'error');
+    }
+  }
+
+  async function withdrawTransfer(requestId) {
+    try {
+      const response = await fetch(`/api/team-transfers/${requestId}/withdraw`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to withdraw request');
+      }
+      showToast('Transfer request withdrawn', 'success');
+      await loadTransfers();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  // Handle transfer request submission
+  const transferForm = document.getElementById('transferRequestForm');
+  if (transferForm) {
+    transferForm.addEventListener('submit', async function(e) {
+      e.preventDefault();
+      const userId = document.getElementById('transferMember').value;
+      try {
+        const response = await fetch('/api/team-transfers', {
+          method: 'POST',
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            offering_id: currentTeam.offering_id,
+            user_id: userId || undefined,
+            to_team_id: document.getElementById('transferTeam').value,
+            reason: document.getElementById('transferReason').value
+          })
+        });
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(error.error || 'Failed to request transfer');
+        }
+        showToast('Transfer requested. Course staff will review it.', 'success');
+        transferForm.reset();
+        await loadTransfers();
+      } catch (error) {
+        showToast(error.message, 'error');
+      }
+    });
+  }
+
   // Initialize
   await loadTeamData();
+  await Promise.all([loadMembershipHistory(), loadTransfers()]);
 });
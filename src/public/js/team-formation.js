@@ -0,0 +1,302 @@
+// Team formation: propose teams from student preferences, drag students between teams, then create them
+(function teamFormation() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    back: document.getElementById('formation-back'),
+    options: document.getElementById('formation-options'),
+    teamSize: document.getElementById('formation-team-size'),
+    timezoneSpread: document.getElementById('formation-timezone-spread'),
+    sharedHours: document.getElementById('formation-shared-hours'),
+    balanceSkills: document.getElementById('formation-balance-skills'),
+    balanceInstitution: document.getElementById('formation-balance-institution'),
+    error: document.getElementById('formation-error'),
+    proposal: document.getElementById('formation-proposal'),
+    summary: document.getElementById('formation-summary'),
+    addTeam: document.getElementById('formation-add-team'),
+    commit: document.getElementById('formation-commit'),
+    status: document.getElementById('formation-status'),
+    board: document.getElementById('formation-board')
+  };
+
+  let offeringId = null;
+  let proposal = null;
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function setProposalInUrl(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('proposal', id);
+    window.history.replaceState(null, '', url);
+  }
+
+  function isEditable() {
+    return proposal?.status === 'proposed';
+  }
+
+  function teamPayload() {
+    return proposal.teams.map((team) => ({
+      name: team.name,
+      member_ids: team.member_ids,
+      leader_id: team.leader_id
+    }));
+  }
+
+  function describeSummary(summary) {
+    const parts = [`${summary.size} student${summary.size !== 1 ? 's' : ''}`];
+    if (summary.wanted_total) parts.push(`${summary.wanted_met}/${summary.wanted_total} wanted teammates`);
+    if (summary.extension_count) parts.push(`${summary.extension_count} extension`);
+    if (summary.timezone_spread_hours) parts.push(`timezones span ${summary.timezone_spread_hours}h`);
+    if (summary.shared_hours !== null) parts.push(`${summary.shared_hours}h shared a week`);
+    return parts.join(' · ');
+  }
+
+  function createMember(member) {
+    const item = document.createElement('li');
+    item.className = 'formation-member';
+    item.dataset.userId = member.user_id;
+    item.draggable = isEditable();
+
+    const name = document.createElement('span');
+    name.className = 'formation-member-name';
+    name.textContent = member.name || 'Unknown';
+    item.appendChild(name);
+
+    const details = [
+      member.institution_type === 'extension' ? 'Extension' : null,
+      member.timezone,
+      member.skills.join(', ')
+    ].filter(Boolean);
+    if (details.length) {
+      const detail = document.createElement('span');
+      detail.className = 'formation-member-detail';
+      detail.textContent = details.join(' · ');
+      item.appendChild(detail);
+    }
+
+    item.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData('text/plain', member.user_id);
+      event.dataTransfer.effectAllowed = 'move';
+    });
+    return item;
+  }
+
+  function createColumn(title, members, index) {
+    const column = document.createElement('div');
+    column.className = 'formation-team';
+    column.dataset.index = index;
+
+    const list = document.createElement('ul');
+    list.className = 'formation-members';
+    for (const member of members) list.appendChild(createMember(member));
+    if (!members.length) {
+      const empty = document.createElement('li');
+      empty.className = 'formation-empty';
+      empty.textContent = isEditable() ? 'Drop students here' : 'No students';
+      list.appendChild(empty);
+    }
+
+    column.addEventListener('dragover', (event) => {
+      if (!isEditable()) return;
+      event.preventDefault();
+      column.classList.add('formation-team-over');
+    });
+    column.addEventListener('dragleave', () => column.classList.remove('formation-team-over'));
+    column.addEventListener('drop', (event) => {
+      event.preventDefault();
+      column.classList.remove('formation-team-over');
+      moveStudent(event.dataTransfer.getData('text/plain'), index);
+    });
+
+    column.appendChild(title);
+    column.appendChild(list);
+    return column;
+  }
+
+  function createTeamHeader(team, index) {
+    const header = document.createElement('div');
+    header.className = 'formation-team-header';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = team.name;
+    name.maxLength = 100;
+    name.disabled = !isEditable();
+    name.setAttribute('aria-label', `Name of team ${index + 1}`);
+    name.addEventListener('change', () => {
+      team.name = name.value;
+      save();
+    });
+
+    const leader = document.createElement('select');
+    leader.disabled = !isEditable();
+    leader.setAttribute('aria-label', `Leader of ${team.name}`);
+    leader.add(new Option('No leader', ''));
+    for (const member of team.members) {
+      leader.add(new Option(member.name || 'Unknown', member.user_id, false, member.user_id === team.leader_id));
+    }
+    leader.addEventListener('change', () => {
+      team.leader_id = leader.value || null;
+      save();
+    });
+
+    const summary = document.createElement('p');
+    summary.className = 'formation-team-summary';
+    summary.textContent = describeSummary(team.summary);
+
+    header.append(name, leader, summary);
+
+    if (team.warnings.length) {
+      const warnings = document.createElement('ul');
+      warnings.className = 'formation-warnings';
+      for (const warning of team.warnings) {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        warnings.appendChild(item);
+      }
+      header.appendChild(warnings);
+    }
+    return header;
+  }
+
+  function render() {
+    selectors.proposal.hidden = false;
+    selectors.addTeam.hidden = !isEditable();
+    selectors.commit.hidden = !isEditable();
+
+    const placed = proposal.teams.reduce((sum, team) => sum + team.member_ids.length, 0);
+    selectors.summary.textContent = isEditable()
+      ? `${placed} students in ${proposal.teams.length} teams, ${proposal.unassigned.length} left out. Score ${proposal.cost} (lower is better).`
+      : `Created ${proposal.team_ids?.length || 0} teams.`;
+
+    selectors.board.innerHTML = '';
+    proposal.teams.forEach((team, index) => {
+      selectors.board.appendChild(createColumn(createTeamHeader(team, index), team.members, index));
+    });
+
+    if (isEditable()) {
+      const title = document.createElement('div');
+      title.className = 'formation-team-header';
+      const heading = document.createElement('h3');
+      heading.textContent = 'Not on a team';
+      title.appendChild(heading);
+      selectors.board.appendChild(createColumn(title, proposal.unassigned, 'unassigned'));
+    }
+  }
+
+  function moveStudent(userId, target) {
+    if (!userId || !isEditable()) return;
+    for (const team of proposal.teams) {
+      team.member_ids = team.member_ids.filter((id) => id !== userId);
+      if (team.leader_id === userId) team.leader_id = null;
+    }
+    if (target !== 'unassigned') {
+      proposal.teams[Number(target)].member_ids.push(userId);
+    }
+    save();
+  }
+
+  async function save() {
+    selectors.status.textContent = 'Saving...';
+    try {
+      proposal = await window.TeamFormationService.updateProposal(proposal.id, teamPayload());
+      clearError();
+      selectors.status.textContent = 'Saved';
+    } catch (error) {
+      console.error('Error saving proposal:', error);
+      showError(error.message || 'Unable to save the proposal');
+      selectors.status.textContent = '';
+      proposal = await window.TeamFormationService.getProposal(proposal.id);
+    }
+    render();
+  }
+
+  function readOptions() {
+    const spread = selectors.timezoneSpread.value;
+    return {
+      team_size: Number(selectors.teamSize.value),
+      max_timezone_spread_hours: spread === '' ? null : Number(spread),
+      min_shared_hours: Number(selectors.sharedHours.value || 0),
+      balance_skills: selectors.balanceSkills.checked,
+      balance_institution: selectors.balanceInstitution.checked
+    };
+  }
+
+  async function propose(event) {
+    event.preventDefault();
+    try {
+      proposal = await window.TeamFormationService.createProposal(offeringId, readOptions());
+      clearError();
+      selectors.status.textContent = '';
+      setProposalInUrl(proposal.id);
+      render();
+    } catch (error) {
+      console.error('Error proposing teams:', error);
+      showError(error.message || 'Unable to propose teams');
+    }
+  }
+
+  async function commit() {
+    const count = proposal.teams.filter((team) => team.member_ids.length).length;
+    if (!window.confirm(`Create ${count} teams? Students will be added to them right away.`)) return;
+
+    try {
+      proposal = await window.TeamFormationService.commitProposal(proposal.id);
+      clearError();
+      selectors.status.textContent = '';
+      render();
+    } catch (error) {
+      console.error('Error creating teams:', error);
+      showError(error.message || 'Unable to create the teams');
+    }
+  }
+
+  async function init() {
+    if (!window.TeamFormationService || !selectors.container) return;
+
+    selectors.back?.addEventListener('click', () => {
+      window.location.href = '/roster';
+    });
+    selectors.options.addEventListener('submit', propose);
+    selectors.commit.addEventListener('click', commit);
+    selectors.addTeam.addEventListener('click', () => {
+      const numbers = proposal.teams.map((team) => team.team_number || 0);
+      proposal.teams.push({ name: `Team ${Math.max(0, ...numbers) + 1}`, member_ids: [], leader_id: null });
+      save();
+    });
+
+    try {
+      offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+
+    const proposalId = new URLSearchParams(window.location.search).get('proposal');
+    if (proposalId) {
+      try {
+        proposal = await window.TeamFormationService.getProposal(proposalId);
+        render();
+      } catch (error) {
+        showError(error.message || 'Unable to load the proposal');
+      }
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,81 @@
+/**
+ * Team Formation Service - API client for teammate preferences and team proposals
+ */
+(function initTeamFormationService() {
+  const API_BASE = '/api/team-formation';
+
+  /**
+   * Fetch wrapper with authentication and error handling
+   */
+  async function apiFetch(endpoint, options = {}) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      credentials: 'include',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  window.TeamFormationService = {
+    /**
+     * Get your own preferences and the classmates you can pick
+     */
+    async getMyPreferences(offeringId) {
+      return await apiFetch(`/preferences?offering_id=${encodeURIComponent(offeringId)}`);
+    },
+
+    /**
+     * Save your preferences
+     * @param {Object} preferences - { preferred_teammate_ids, avoided_teammate_ids, skills, timezone, availability_specific }
+     */
+    async savePreferences(offeringId, preferences) {
+      return await apiFetch('/preferences', {
+        method: 'PUT',
+        body: JSON.stringify({ ...preferences, offering_id: offeringId })
+      });
+    },
+
+    /**
+     * Propose teams for the students not yet on one
+     * @param {Object} options - { team_size, balance_skills, balance_institution, max_timezone_spread_hours, min_shared_hours }
+     */
+    async createProposal(offeringId, options) {
+      return await apiFetch(`/offerings/${offeringId}/proposals`, {
+        method: 'POST',
+        body: JSON.stringify(options)
+      });
+    },
+
+    async getProposal(proposalId) {
+      return await apiFetch(`/proposals/${proposalId}`);
+    },
+
+    /**
+     * Replace a proposal's teams
+     * @param {Object[]} teams - [{ name, member_ids, leader_id }]
+     */
+    async updateProposal(proposalId, teams) {
+      return await apiFetch(`/proposals/${proposalId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ teams })
+      });
+    },
+
+    /**
+     * Create the proposal's teams
+     */
+    async commitProposal(proposalId) {
+      return await apiFetch(`/proposals/${proposalId}/commit`, { method: 'POST' });
+    }
+  };
+})();
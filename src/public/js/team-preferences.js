@@ -0,0 +1,188 @@
+// Team preferences: students pick wanted and avoided teammates, skills, timezone and availability,
+// and once on a team can ask staff to move them to another
+(function teamPreferences() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    form: document.getElementById('preferences-form'),
+    wanted: document.getElementById('preferences-wanted'),
+    avoided: document.getElementById('preferences-avoided'),
+    skills: document.getElementById('preferences-skills'),
+    timezone: document.getElementById('preferences-timezone'),
+    availability: document.getElementById('preferences-availability'),
+    error: document.getElementById('preferences-error'),
+    status: document.getElementById('preferences-status'),
+    transferSection: document.getElementById('transfer-section'),
+    transferCurrent: document.getElementById('transfer-current'),
+    transferForm: document.getElementById('transfer-form'),
+    transferTeam: document.getElementById('transfer-team'),
+    transferReason: document.getElementById('transfer-reason'),
+    transferRequests: document.getElementById('transfer-requests')
+  };
+
+  const SLOT_PATTERN = /^(\w+)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/;
+
+  let offeringId = null;
+  // Availability saved from the directory as free text is left alone unless slots are entered here
+  let hasSlots = false;
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function fillClassmates(select, classmates, selected) {
+    select.innerHTML = '';
+    for (const classmate of classmates) {
+      select.add(new Option(classmate.name || 'Unknown', classmate.user_id, false, selected.includes(classmate.user_id)));
+    }
+  }
+
+  function selectedValues(select) {
+    return [...select.selectedOptions].map((option) => option.value);
+  }
+
+  function formatAvailability(availability) {
+    const slots = availability?.slots || [];
+    return slots.map((slot) => `${slot.day} ${slot.start}-${slot.end}`).join('\n');
+  }
+
+  function readAvailability() {
+    const lines = selectors.availability.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    const slots = lines.map((line) => {
+      const match = SLOT_PATTERN.exec(line);
+      if (!match) {
+        throw new Error(`Couldn't read "${line}". Write slots like: Monday 14:00-16:00`);
+      }
+      return { day: match[1], start: match[2], end: match[3] };
+    });
+    if (slots.length) return { slots };
+    return hasSlots ? null : undefined;
+  }
+
+  function render({ preferences, classmates }) {
+    fillClassmates(selectors.wanted, classmates, preferences.preferred_teammate_ids);
+    fillClassmates(selectors.avoided, classmates, preferences.avoided_teammate_ids);
+    selectors.skills.value = preferences.skills.join(', ');
+    selectors.timezone.value = preferences.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    selectors.availability.value = formatAvailability(preferences.availability_specific);
+    hasSlots = Boolean(preferences.availability_specific?.slots?.length);
+    selectors.status.textContent = preferences.updated_at
+      ? `Last saved ${new Date(preferences.updated_at).toLocaleString()}`
+      : 'Not saved yet';
+  }
+
+  async function save(event) {
+    event.preventDefault();
+    try {
+      await window.TeamFormationService.savePreferences(offeringId, {
+        preferred_teammate_ids: selectedValues(selectors.wanted),
+        avoided_teammate_ids: selectedValues(selectors.avoided),
+        skills: selectors.skills.value,
+        timezone: selectors.timezone.value.trim() || null,
+        availability_specific: readAvailability()
+      });
+      clearError();
+      render(await window.TeamFormationService.getMyPreferences(offeringId));
+    } catch (error) {
+      console.error('Error saving team preferences:', error);
+      showError(error.message || 'Unable to save your preferences');
+    }
+  }
+
+  function renderTransfers({ team, teams, requests }) {
+    selectors.transferSection.hidden = !team;
+    if (!team) return;
+
+    selectors.transferCurrent.textContent = `You're on ${team.name}. Course staff review every transfer request.`;
+    selectors.transferTeam.innerHTML = '';
+    for (const option of teams) {
+      selectors.transferTeam.add(new Option(`${option.name} (${option.member_count} members)`, option.id));
+    }
+
+    const pending = requests.some((request) => request.status === 'pending');
+    selectors.transferForm.hidden = pending || teams.length === 0;
+
+    selectors.transferRequests.innerHTML = '';
+    for (const request of requests) {
+      const item = document.createElement('li');
+      item.className = 'transfer-request';
+      const text = document.createElement('span');
+      const note = request.review_note ? ` - "${request.review_note}"` : '';
+      text.textContent = `${request.user_name}: ${request.from_team_name} to ${request.to_team_name}, ${request.status}${note}`;
+      item.append(text);
+      if (request.status === 'pending') {
+        const withdraw = document.createElement('button');
+        withdraw.type = 'button';
+        withdraw.className = 'btn-secondary';
+        withdraw.textContent = 'Withdraw';
+        withdraw.addEventListener('click', () => withdrawTransfer(request.id));
+        item.append(withdraw);
+      }
+      selectors.transferRequests.append(item);
+    }
+  }
+
+  async function loadTransfers() {
+    if (!window.TeamTransferService) return;
+    renderTransfers(await window.TeamTransferService.getMine(offeringId));
+  }
+
+  async function requestTransfer(event) {
+    event.preventDefault();
+    try {
+      await window.TeamTransferService.requestTransfer(offeringId, {
+        to_team_id: selectors.transferTeam.value,
+        reason: selectors.transferReason.value
+      });
+      clearError();
+      selectors.transferForm.reset();
+      await loadTransfers();
+    } catch (error) {
+      console.error('Error requesting a team transfer:', error);
+      showError(error.message || 'Unable to request a transfer');
+    }
+  }
+
+  async function withdrawTransfer(requestId) {
+    try {
+      await window.TeamTransferService.withdraw(requestId);
+      clearError();
+      await loadTransfers();
+    } catch (error) {
+      console.error('Error withdrawing a team transfer:', error);
+      showError(error.message || 'Unable to withdraw the request');
+    }
+  }
+
+  async function init() {
+    if (!window.TeamFormationService || !selectors.container) return;
+
+    selectors.form.addEventListener('submit', save);
+    selectors.transferForm.addEventListener('submit', requestTransfer);
+
+    try {
+      offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+      render(await window.TeamFormationService.getMyPreferences(offeringId));
+      await loadTransfers();
+    } catch (error) {
+      console.error('Error loading team preferences:', error);
+      selectors.form.hidden = true;
+      showError(error.message || 'Unable to load your preferences');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,82 @@
+/**
+ * Team Transfer Service - API client for transfer requests and team membership history
+ */
+(function initTeamTransferService() {
+  const API_BASE = '/api/team-transfers';
+
+  /**
+   * Fetch wrapper with authentication and error handling
+   */
+  async function apiFetch(endpoint, options = {}) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      credentials: 'include',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  window.TeamTransferService = {
+    /**
+     * Get your team, the teams you could move to and your transfer requests
+     */
+    async getMine(offeringId) {
+      return await apiFetch(`/mine?offering_id=${encodeURIComponent(offeringId)}`);
+    },
+
+    /**
+     * Ask staff to move a student to another team
+     * @param {Object} request - { to_team_id, reason, user_id? }
+     */
+    async requestTransfer(offeringId, request) {
+      return await apiFetch('', {
+        method: 'POST',
+        body: JSON.stringify({ ...request, offering_id: offeringId })
+      });
+    },
+
+    async withdraw(requestId) {
+      return await apiFetch(`/${requestId}/withdraw`, { method: 'POST' });
+    },
+
+    /**
+     * List a course's transfer requests
+     * @param {string} [status] - pending, approved, rejected or withdrawn
+     */
+    async listRequests(offeringId, status) {
+      const query = status ? `?status=${encodeURIComponent(status)}` : '';
+      return await apiFetch(`/offerings/${offeringId}${query}`);
+    },
+
+    async approve(requestId, note) {
+      return await apiFetch(`/${requestId}/approve`, {
+        method: 'POST',
+        body: JSON.stringify({ note })
+      });
+    },
+
+    async reject(requestId, note) {
+      return await apiFetch(`/${requestId}/reject`, {
+        method: 'POST',
+        body: JSON.stringify({ note })
+      });
+    },
+
+    /**
+     * Get a course's joins, departures and transfers, oldest first
+     */
+    async getHistory(offeringId) {
+      return await apiFetch(`/offerings/${offeringId}/history`);
+    }
+  };
+})();
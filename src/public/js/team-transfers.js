@@ -0,0 +1,170 @@
+// Team transfers: staff approve or reject transfer requests and browse the membership history
+(function teamTransfers() {
+  const selectors = {
+    container: document.querySelector('.builder-shell'),
+    back: document.getElementById('transfer-back'),
+    error: document.getElementById('transfer-error'),
+    status: document.getElementById('transfer-status'),
+    requests: document.getElementById('transfer-requests'),
+    history: document.getElementById('transfer-history')
+  };
+
+  let offeringId = null;
+
+  function showError(message) {
+    selectors.error.textContent = message;
+    selectors.error.hidden = false;
+  }
+
+  function clearError() {
+    selectors.error.hidden = true;
+  }
+
+  function cell(row, text) {
+    const td = document.createElement('td');
+    td.textContent = text ?? '—';
+    row.appendChild(td);
+    return td;
+  }
+
+  function emptyRow(body, text, colSpan) {
+    const td = cell(body.insertRow(), text);
+    td.colSpan = colSpan;
+  }
+
+  function describeEvent(event) {
+    if (event.event_type === 'joined') return `Joined ${event.to_team_name || 'a deleted team'}`;
+    if (event.event_type === 'left') {
+      return `Left ${event.from_team_name || 'a deleted team'}${event.reason ? ` (${event.reason})` : ''}`;
+    }
+    return `Moved from ${event.from_team_name || 'a deleted team'} to ${event.to_team_name || 'a deleted team'}`;
+  }
+
+  function renderReview(td, request) {
+    if (request.status !== 'pending') {
+      td.textContent = [request.reviewed_by_name, request.review_note].filter(Boolean).join(': ') || '—';
+      return;
+    }
+
+    const form = document.createElement('div');
+    form.className = 'transfer-review';
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.maxLength = 1000;
+    note.placeholder = 'Note for the student (optional)';
+    note.setAttribute('aria-label', `Note for ${request.user_name}`);
+
+    const actions = document.createElement('div');
+    actions.className = 'transfer-review-actions';
+    const approve = document.createElement('button');
+    approve.type = 'button';
+    approve.className = 'btn-primary';
+    approve.textContent = 'Approve';
+    approve.addEventListener('click', () => review(request.id, true, note.value));
+    const reject = document.createElement('button');
+    reject.type = 'button';
+    reject.className = 'btn-secondary';
+    reject.textContent = 'Reject';
+    reject.addEventListener('click', () => review(request.id, false, note.value));
+    actions.append(approve, reject);
+
+    form.append(note, actions);
+    td.appendChild(form);
+  }
+
+  function renderRequests(requests) {
+    selectors.requests.innerHTML = '';
+    if (!requests.length) {
+      emptyRow(selectors.requests, 'No transfer requests.', 7);
+      return;
+    }
+
+    for (const request of requests) {
+      const row = selectors.requests.insertRow();
+      cell(row, request.user_name || request.user_email);
+      cell(row, request.from_team_name);
+      cell(row, request.to_team_name);
+      const reason = cell(row, request.reason);
+      if (request.requested_by !== request.user_id) {
+        reason.textContent += ` (asked by ${request.requested_by_name})`;
+      }
+      cell(row, new Date(request.created_at).toLocaleDateString());
+      cell(row, request.status);
+      renderReview(row.insertCell(), request);
+    }
+  }
+
+  function renderHistory(events) {
+    selectors.history.innerHTML = '';
+    if (!events.length) {
+      emptyRow(selectors.history, 'No membership changes recorded yet.', 5);
+      return;
+    }
+
+    for (const event of [...events].reverse()) {
+      const row = selectors.history.insertRow();
+      cell(row, new Date(event.occurred_at).toLocaleString());
+      cell(row, event.user_name || event.user_email);
+      cell(row, describeEvent(event));
+      cell(row, event.performed_by_name);
+      cell(row, event.approved_by_name);
+    }
+  }
+
+  async function load() {
+    try {
+      const [requests, events] = await Promise.all([
+        window.TeamTransferService.listRequests(offeringId, selectors.status.value),
+        window.TeamTransferService.getHistory(offeringId)
+      ]);
+      renderRequests(requests);
+      renderHistory(events);
+      clearError();
+    } catch (error) {
+      console.error('Error loading team transfers:', error);
+      showError(error.message || 'Unable to load transfer requests');
+    }
+  }
+
+  async function review(requestId, approve, note) {
+    try {
+      if (approve) {
+        await window.TeamTransferService.approve(requestId, note);
+      } else {
+        await window.TeamTransferService.reject(requestId, note);
+      }
+      await load();
+    } catch (error) {
+      console.error('Error reviewing team transfer:', error);
+      showError(error.message || 'Unable to review the request');
+    }
+  }
+
+  async function init() {
+    if (!window.TeamTransferService || !selectors.container) return;
+
+    selectors.back?.addEventListener('click', () => {
+      window.location.href = '/roster';
+    });
+    selectors.status.addEventListener('change', load);
+
+    try {
+      offeringId = selectors.container.getAttribute('data-offering-id')
+        || await window.LectureService.getActiveOfferingId();
+      if (!offeringId) {
+        throw new Error('No active course offering found');
+      }
+      selectors.container.setAttribute('data-offering-id', offeringId);
+      await load();
+    } catch (error) {
+      console.error('Error loading team transfers:', error);
+      showError(error.message || 'Unable to load team transfers');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -14,6 +14,9 @@
     getActiveOfferingId = async () => null,
     getOfferingWithStats = async () => ({}),
     getTeams = async () => [],
+    getShowAllTeams = () => false,
+    setShowAllTeams = () => {},
+    renderTeamsList = () => {},
     updateCourseInfo = () => {},
     updateStats = () => {},
     updateCourseProgress = () => {},
@@ -64,11 +67,11 @@
       // - Teams Assigned (teams assigned to this tutor)
       // - To Grade (assignments/grading items pending)
       
-      // Get teams - for now, show all teams (would need backend to filter by tutor assignment)
-      const teams = await getTeams(offeringId);
+      // Teams this tutor supervises (team_staff_assignments)
+      const myTeams = await getTeams(offeringId, { scope: 'mine' });
       
       const stats = {
-        'Teams Assigned': teams.length || 0,
+        'Teams Assigned': myTeams.length || 0,
         'To Grade': 0 // Would need assignments/grading endpoint
       };
       updateStats(stats);
@@ -325,10 +328,42 @@
 
   // TODO items are handled by todo-widget.js - no manual loading needed
 
+  // Load the teams this tutor supervises, or every team when "Show all teams" is on
+  async function loadMyTeams() {
+    const teamsList = document.querySelector('.my-teams-list');
+    if (!teamsList || !offeringId) return;
+
+    const showAll = document.getElementById('showAllTeams')?.checked ?? false;
+    try {
+      const teams = await getTeams(offeringId, { scope: showAll ? 'all' : 'mine' });
+      if (!showAll && teams.length === 0) {
+        teamsList.innerHTML = '<p class="dashboard-empty-state">No teams assigned to you yet</p>';
+        return;
+      }
+      renderTeamsList(teams, '.my-teams-list');
+    } catch (error) {
+      console.error('Error loading teams:', error);
+      teamsList.innerHTML = '<p class="dashboard-error-state">Error loading teams</p>';
+    }
+  }
+
+  function initTeamsToggle() {
+    const toggle = document.getElementById('showAllTeams');
+    if (!toggle) return;
+
+    toggle.checked = getShowAllTeams();
+    toggle.addEventListener('change', async () => {
+      setShowAllTeams(toggle.checked);
+      await loadMyTeams();
+    });
+  }
+
   // Initialize dashboard
   async function initDashboard() {
     await loadWelcomeName();
     await loadDashboardStats();
+    initTeamsToggle();
+    await loadMyTeams();
     await loadJournalEntries();
     await loadAnnouncements();
     // TODO items are handled by todo-widget.js - no manual loading needed
@@ -0,0 +1,134 @@
+import { Router } from 'express';
+import { AttendancePolicyService } from '../services/attendance-policy-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message === 'Policy not found' || message === 'Risk flag not found') {
+    return 404;
+  }
+  if (message.startsWith('Not authorized')) {
+    return 403;
+  }
+  if (message.includes('already')) {
+    return 409;
+  }
+  return 400;
+}
+
+/**
+ * Get the attendance policies for a course
+ * GET /api/attendance-policies?offering_id=<uuid>
+ * Requires: attendance.view permission (course scope) - Professor/Instructor/TA/Tutor
+ */
+router.get('/', ...protect('attendance.view', 'course'), async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const policies = await AttendancePolicyService.getPolicies(offering_id);
+    res.json(policies);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Create an attendance policy
+ * POST /api/attendance-policies
+ * Body: { offering_id, name?, metric: 'unexcused_absences' | 'attendance_rate', threshold, window_days? }
+ * Requires: course.manage permission (course scope) - Professor/Instructor
+ */
+router.post('/', ...protect('course.manage', 'course'), async (req, res) => {
+  try {
+    const { offering_id, ...policy } = req.body || {};
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const created = await AttendancePolicyService.createPolicy(offering_id, policy, req.currentUser.id);
+    res.status(201).json(created);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the at-risk students for a course (re-evaluates the policies first)
+ * GET /api/attendance-policies/at-risk?offering_id=<uuid>
+ * Requires: attendance.view permission (course scope) - Professor/Instructor/TA/Tutor
+ */
+router.get('/at-risk', ...protect('attendance.view', 'course'), async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const students = await AttendancePolicyService.getAtRiskStudents(offering_id);
+    res.json(students);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get an at-risk flag with its history
+ * GET /api/attendance-policies/flags/:flagId
+ * Requires: attendance.view permission in the flag's course
+ */
+router.get('/flags/:flagId', ensureAuthenticated, async (req, res) => {
+  try {
+    const flag = await AttendancePolicyService.getFlag(req.params.flagId, req.currentUser.id);
+    res.json(flag);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Acknowledge an at-risk flag
+ * POST /api/attendance-policies/flags/:flagId/acknowledge
+ * Body: { note? }
+ * Requires: attendance.mark permission in the flag's course - Professor/Instructor/TA
+ */
+router.post('/flags/:flagId/acknowledge', ensureAuthenticated, async (req, res) => {
+  try {
+    const flag = await AttendancePolicyService.acknowledgeFlag(
+      req.params.flagId,
+      req.currentUser.id,
+      req.body?.note
+    );
+    res.json(flag);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Update an attendance policy (send is_active: false to disable it)
+ * PUT /api/attendance-policies/:policyId
+ * Body: { name?, metric?, threshold?, window_days?, is_active? }
+ * Requires: course.manage permission in the policy's course
+ */
+router.put('/:policyId', ensureAuthenticated, async (req, res) => {
+  try {
+    const policy = await AttendancePolicyService.updatePolicy(
+      req.params.policyId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.json(policy);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 import { Router } from 'express';
+import multer from 'multer';
 import { AttendanceService } from '../services/attendance-service.js';
+import { AttendanceImportService } from '../services/attendance-import-service.js';
+import { AttendanceSheetService } from '../services/attendance-sheet-service.js';
 import { AttendanceModel } from '../models/attendance-model.js';
 import { ensureAuthenticated } from '../middleware/auth.js';
 import { protect } from '../middleware/permission-middleware.js';
@@ -7,22 +10,65 @@ import { syncTeamLeaderIds } from '../utils/team-leader-sync.js';
 
 const router = Router();
 
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+/**
+ * Run the CSV upload and turn multer errors into 400 responses
+ */
+function uploadImportCsv(req, res, next) {
+  csvUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'file must be 5MB or smaller'
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+}
+
+function statusForImportError(message) {
+  if (message === 'Session not found' || message === 'Import not found') {
+    return 404;
+  }
+  if (message.startsWith('Not authorized')) {
+    return 403;
+  }
+  if (message.includes('already') || message.startsWith('Only committed')) {
+    return 409;
+  }
+  return 400;
+}
+
 /**
- * Student check-in with access code
+ * Student check-in with access code or rotating QR token
  * POST /api/attendance/check-in
- * Body: { access_code, responses?: [{ question_id, response_text?, response_option? }] }
+ * Body: { access_code?, token?, location?: { latitude, longitude, accuracy }, location_unavailable?,
+ *         modality?: 'in_person' | 'remote',
+ *         responses?: [{ question_id, response_text?, response_option?, response_values?, response_number? }] }
+ * Returns 428 with location_required when the session has a geofence and no location was sent
  * Requires: Authentication - Students
  */
 router.post('/check-in', ensureAuthenticated, async (req, res) => {
   try {
-    const { access_code, responses } = req.body;
+    const { access_code, token, location, location_unavailable, modality, responses } = req.body;
 
-    if (!access_code) {
-      return res.status(400).json({ error: 'access_code is required' });
+    if (!access_code && !token) {
+      return res.status(400).json({ error: 'access_code or token is required' });
     }
 
     // Check in
-    const attendance = await AttendanceService.checkIn(access_code, req.currentUser.id);
+    const attendance = await AttendanceService.checkIn(token || access_code, req.currentUser.id, {
+      ip: req.ip,
+      location: location || null,
+      locationUnavailable: location_unavailable === true,
+      modality
+    });
 
     // Submit responses if provided
     let submittedResponses = null;
@@ -39,6 +85,9 @@ router.post('/check-in', ensureAuthenticated, async (req, res) => {
       responses: submittedResponses
     });
   } catch (err) {
+    if (err.message === 'Location is required to check in to this session') {
+      return res.status(428).json({ error: err.message, location_required: true });
+    }
     res.status(400).json({ error: err.message });
   }
 });
@@ -46,7 +95,7 @@ router.post('/check-in', ensureAuthenticated, async (req, res) => {
 /**
  * Submit responses for a session
  * POST /api/attendance/sessions/:sessionId/responses
- * Body: { responses: [{ question_id, response_text?, response_option? }] }
+ * Body: { responses: [{ question_id, response_text?, response_option?, response_values?, response_number? }] }
  * Requires: Authentication - Students
  */
 router.post('/sessions/:sessionId/responses', ensureAuthenticated, async (req, res) => {
@@ -191,6 +240,23 @@ router.get('/sessions/:sessionId/statistics', ...protect('attendance.view', 'cou
   }
 });
 
+/**
+ * Get flagged ("suspicious") check-ins for a session
+ * GET /api/attendance/sessions/:sessionId/flagged
+ * Requires: attendance.view permission (course scope) - Professor/Instructor/TA
+ */
+router.get('/sessions/:sessionId/flagged', ...protect('attendance.view', 'course'), async (req, res) => {
+  try {
+    const result = await AttendanceService.getFlaggedCheckIns(req.params.sessionId);
+    res.json(result);
+  } catch (err) {
+    if (err.message === 'Session not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * Get attendance report for a session (with responses)
  * GET /api/attendance/sessions/:sessionId/report
@@ -211,13 +277,13 @@ router.get('/sessions/:sessionId/report', ...protect('attendance.view', 'course'
 /**
  * Mark attendance manually for a student
  * POST /api/attendance/mark
- * Body: { session_id, user_id, status }
+ * Body: { session_id, user_id, status, modality?: 'in_person' | 'remote' | 'recording' }
  * Requires: attendance.mark permission (course scope) - Professor/Instructor/TA
  * OR: Team leader for team meetings
  */
 router.post('/mark', ensureAuthenticated, async (req, res) => {
   try {
-    const { session_id, user_id, status } = req.body;
+    const { session_id, user_id, status, modality } = req.body;
     const actorId = req.currentUser.id;
 
     if (!session_id || !user_id || !status) {
@@ -284,7 +350,7 @@ router.post('/mark', ensureAuthenticated, async (req, res) => {
       });
     }
 
-    const attendance = await AttendanceService.markAttendance(session_id, user_id, status);
+    const attendance = await AttendanceService.markAttendance(session_id, user_id, status, modality);
     res.status(201).json(attendance);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -294,12 +360,12 @@ router.post('/mark', ensureAuthenticated, async (req, res) => {
 /**
  * Update attendance status
  * PUT /api/attendance/:attendanceId
- * Body: { status }
+ * Body: { status, modality? }
  * Requires: attendance.mark permission (course scope) - Professor/Instructor/TA
  */
 router.put('/:attendanceId', ...protect('attendance.mark', 'course'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, modality } = req.body;
 
     if (!status) {
       return res.status(400).json({ error: 'status is required' });
@@ -307,7 +373,8 @@ router.put('/:attendanceId', ...protect('attendance.mark', 'course'), async (req
 
     const attendance = await AttendanceService.updateAttendanceStatus(
       req.params.attendanceId,
-      status
+      status,
+      modality
     );
 
     if (!attendance) {
@@ -316,6 +383,37 @@ router.put('/:attendanceId', ...protect('attendance.mark', 'course'), async (req
 
     res.json(attendance);
   } catch (err) {
+    if (err.message === 'Attendance record not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Approve or reject a flagged check-in (rejecting marks the student absent)
+ * POST /api/attendance/:attendanceId/review
+ * Body: { decision: 'approved' | 'rejected' }
+ * Requires: attendance.mark permission (course scope) - Professor/Instructor/TA
+ */
+router.post('/:attendanceId/review', ...protect('attendance.mark', 'course'), async (req, res) => {
+  try {
+    const attendance = await AttendanceService.reviewFlaggedCheckIn(
+      req.params.attendanceId,
+      req.currentUser.id,
+      req.body.decision
+    );
+    res.json(attendance);
+  } catch (err) {
+    if (err.message === 'Attendance record not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message === 'Not authorized to review this check-in') {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err.message === 'This check-in has already been reviewed') {
+      return res.status(409).json({ error: err.message });
+    }
     res.status(400).json({ error: err.message });
   }
 });
@@ -391,6 +489,36 @@ router.get('/course/:offeringId/summary', ...protect('attendance.view', 'course'
   }
 });
 
+/**
+ * Export the attendance gradebook (students × sessions) for a course offering
+ * GET /api/attendance/course/:offeringId/gradebook?format=csv|json&layout=full|canvas&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * CSV columns follow the Canvas gradebook import layout; layout=canvas keeps only the participation score
+ * Requires: attendance.view permission (course scope) - Professor/Instructor/TA
+ */
+router.get('/course/:offeringId/gradebook', ...protect('attendance.view', 'course'), async (req, res) => {
+  try {
+    const { format = 'csv', layout, from, to } = req.query;
+
+    if (format === 'json') {
+      const gradebook = await AttendanceService.getGradebook(req.params.offeringId, { from, to });
+      return res.json(gradebook);
+    }
+    if (format !== 'csv') {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const { filename, csv } = await AttendanceService.exportGradebookCsv(req.params.offeringId, { from, to, layout });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (err) {
+    if (err.message === 'Course offering not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * Close session and mark remaining students as absent
  * POST /api/attendance/sessions/:sessionId/close-and-mark-absent
@@ -426,6 +554,7 @@ router.post('/sessions/:sessionId/close-and-mark-absent', ensureAuthenticated, a
  * Bulk import attendance from array
  * POST /api/attendance/bulk-import/:sessionId
  * Body: { attendance: [{ email, ucsd_pid, status, checked_in_at? }] }
+ * Commits immediately; CSV uploads go through the preview/commit routes below
  * Requires: attendance.mark permission (course scope) - Professor/Instructor/TA
  */
 router.post('/bulk-import/:sessionId', ...protect('attendance.mark', 'course'), async (req, res) => {
@@ -451,4 +580,131 @@ router.post('/bulk-import/:sessionId', ...protect('attendance.mark', 'course'),
   }
 });
 
+/**
+ * Preview a CSV attendance import (dry run - attendance is not changed)
+ * POST /api/attendance/imports/sessions/:sessionId/preview
+ * Body (multipart/form-data): { file, mapping?: JSON { name, email, pid, status, join_time, duration_minutes },
+ *                               min_duration_minutes? }
+ * A JSON body with { csv, mapping?, min_duration_minutes? } is also accepted
+ * Requires: attendance.mark permission on the session's course
+ */
+router.post('/imports/sessions/:sessionId/preview', ensureAuthenticated, uploadImportCsv, async (req, res) => {
+  try {
+    const preview = await AttendanceImportService.previewImport(req.params.sessionId, req.currentUser.id, {
+      csvText: req.file ? req.file.buffer.toString('utf-8') : req.body?.csv,
+      filename: req.file?.originalname || null,
+      mapping: req.body?.mapping,
+      min_duration_minutes: req.body?.min_duration_minutes
+    });
+
+    res.status(201).json(preview);
+  } catch (err) {
+    res.status(statusForImportError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * List the imports for a session
+ * GET /api/attendance/imports/sessions/:sessionId
+ * Requires: attendance.view permission on the session's course
+ */
+router.get('/imports/sessions/:sessionId', ensureAuthenticated, async (req, res) => {
+  try {
+    const imports = await AttendanceImportService.getSessionImports(req.params.sessionId, req.currentUser.id);
+    res.json(imports);
+  } catch (err) {
+    res.status(statusForImportError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get an import with its plan and applied changes
+ * GET /api/attendance/imports/:importId
+ * Requires: attendance.view permission on the session's course
+ */
+router.get('/imports/:importId', ensureAuthenticated, async (req, res) => {
+  try {
+    const attendanceImport = await AttendanceImportService.getImport(req.params.importId, req.currentUser.id);
+    res.json(attendanceImport);
+  } catch (err) {
+    res.status(statusForImportError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Commit a previewed import
+ * POST /api/attendance/imports/:importId/commit
+ * Body: { overrides?: { [row_number]: user_id | null } }
+ * Requires: attendance.mark permission on the session's course
+ */
+router.post('/imports/:importId/commit', ensureAuthenticated, async (req, res) => {
+  try {
+    const committed = await AttendanceImportService.commitImport(req.params.importId, req.currentUser.id, {
+      overrides: req.body?.overrides ?? null
+    });
+    res.json(committed);
+  } catch (err) {
+    res.status(statusForImportError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Revert a committed import as a unit
+ * POST /api/attendance/imports/:importId/revert
+ * Body: { force?: boolean }
+ * Returns 409 with the conflicting records when some were edited after the import and force is not set
+ * Requires: attendance.mark permission on the session's course
+ */
+router.post('/imports/:importId/revert', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await AttendanceImportService.revertImport(req.params.importId, req.currentUser.id, {
+      force: req.body?.force === true
+    });
+
+    if (!result.reverted) {
+      return res.status(409).json({
+        error: `${result.conflicts.length} attendance record(s) changed since this import was committed`,
+        conflicts: result.conflicts
+      });
+    }
+
+    res.json(result);
+  } catch (err) {
+    res.status(statusForImportError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a session's printable sign-in sheet, issuing verification codes as needed
+ * GET /api/attendance/sessions/:sessionId/sheet
+ * Requires: attendance.mark permission on the session's course
+ */
+router.get('/sessions/:sessionId/sheet', ensureAuthenticated, async (req, res) => {
+  try {
+    const sheet = await AttendanceSheetService.getSheet(req.params.sessionId, req.currentUser.id);
+    res.json(sheet);
+  } catch (err) {
+    res.status(statusForImportError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Record attendance from the codes students wrote on a sign-in sheet
+ * POST /api/attendance/sessions/:sessionId/sheet/transcribe
+ * Body: { codes: string[] | string }
+ * Requires: attendance.mark permission on the session's course
+ */
+router.post('/sessions/:sessionId/sheet/transcribe', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await AttendanceSheetService.transcribe(
+      req.params.sessionId,
+      req.currentUser.id,
+      req.body?.codes ?? null
+    );
+    res.json(result);
+  } catch (err) {
+    res.status(statusForImportError(err.message)).json({ error: err.message });
+  }
+});
+
 export default router;
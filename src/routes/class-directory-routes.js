@@ -1,6 +1,9 @@
 import { Router } from 'express';
 import { pool } from '../db.js';
 import { ensureAuthenticated } from '../middleware/auth.js';
+import { PermissionService } from '../services/permission-service.js';
+import { AttendancePolicyService } from '../services/attendance-policy-service.js';
+import { TeamMembershipService } from '../services/team-membership-service.js';
 import validator from 'validator';
 import multer from 'multer';
 import path from 'node:path';
@@ -244,6 +247,34 @@ router.get('/', ensureAuthenticated, async (req, res) => {
       pool.query(teamsQuery, [offeringId]) // Now includes offering_id parameter
     ]);
 
+    // ---------- At-risk flags (staff who can see attendance only) ----------
+    const canViewAttendance = await PermissionService.hasPermission(
+      req.currentUser.id,
+      'attendance.view',
+      offeringId
+    );
+    if (canViewAttendance) {
+      try {
+        const atRisk = await AttendancePolicyService.getAtRiskStudents(offeringId);
+        const flagsByUser = new Map(atRisk.map((student) => [student.user_id, student.flags]));
+        for (const student of studentsResult.rows) {
+          student.at_risk = flagsByUser.get(student.id) || [];
+        }
+      } catch (err) {
+        console.error('Error loading at-risk flags for class directory:', err);
+      }
+    }
+
+    // ---------- Former team members (from the membership ledger) ----------
+    try {
+      const formerByTeam = await TeamMembershipService.getFormerMembers(offeringId);
+      for (const team of teamsResult.rows) {
+        team.former_members = formerByTeam.get(team.id) || [];
+      }
+    } catch (err) {
+      console.error('Error loading team membership history for class directory:', err);
+    }
+
     res.json({
       professors: professorsResult.rows,
       tas: tasResult.rows,
@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { ensureAuthenticated } from '../middleware/auth.js';
 import { buildDiagnosticsSnapshot } from '../observability/collector.js';
 import { pool } from '../db.js';
+import { SchedulerService } from '../services/scheduler-service.js';
+import { SessionEventsService } from '../services/session-events-service.js';
 
 const router = Router();
 
@@ -19,6 +21,20 @@ router.get('/', ensureAuthenticated, authorizeDiagnostics, (req, res) => {
   res.json(snapshot);
 });
 
+router.get('/jobs', ensureAuthenticated, authorizeDiagnostics, async (req, res) => {
+  try {
+    const status = await SchedulerService.getStatus();
+    res.json(status);
+  } catch (err) {
+    console.error('Failed to fetch scheduler status:', err.message);
+    res.status(500).json({ error: 'Failed to load scheduler status' });
+  }
+});
+
+router.get('/session-events', ensureAuthenticated, authorizeDiagnostics, (req, res) => {
+  res.json(SessionEventsService.getStatus());
+});
+
 router.get('/history', ensureAuthenticated, authorizeDiagnostics, async (req, res) => {
   try {
     const { period, start, end } = req.query;
@@ -0,0 +1,268 @@
+import { Router } from 'express';
+import multer from 'multer';
+import path from 'node:path';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { ExcuseRequestService } from '../services/excuse-request-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+// Attachments can contain medical notes, so they are kept outside the public
+// /uploads directory and only served through the authenticated route below
+const attachmentDir = path.resolve('storage/excuse-attachments');
+if (!fs.existsSync(attachmentDir)) {
+  fs.mkdirSync(attachmentDir, { recursive: true });
+}
+
+const ALLOWED_ATTACHMENT_TYPES = new Set([
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'text/plain'
+]);
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, attachmentDir);
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '');
+    const safeExt = ext.replace(/[^a-zA-Z0-9.]/g, '');
+    cb(null, `${crypto.randomUUID()}${safeExt}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_ATTACHMENT_TYPES.has(file.mimetype)) {
+      return cb(new Error('attachment must be a PDF, image, or text file'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Run the single-file upload and turn multer errors into 400 responses
+ */
+function uploadAttachment(req, res, next) {
+  upload.single('attachment')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'attachment must be 5MB or smaller'
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+}
+
+/**
+ * Remove an uploaded file when the request it belongs to was rejected
+ */
+function discardUpload(file) {
+  if (file?.path) {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+}
+
+function statusForError(message) {
+  if (message === 'Session not found' || message === 'Excuse request not found') {
+    return 404;
+  }
+  if (message.startsWith('Not authorized') || message.startsWith('You are not')) {
+    return 403;
+  }
+  if (message.includes('already')) {
+    return 409;
+  }
+  return 400;
+}
+
+/**
+ * Submit an excuse request for a session
+ * POST /api/excuse-requests/sessions/:sessionId
+ * Body (multipart/form-data): { reason, attachment? }
+ * Requires: Authentication - Students enrolled in the session's course (or team members)
+ */
+router.post('/sessions/:sessionId', ensureAuthenticated, uploadAttachment, async (req, res) => {
+  try {
+    const attachment = req.file
+      ? {
+          path: path.basename(req.file.path),
+          name: req.file.originalname,
+          mime_type: req.file.mimetype
+        }
+      : null;
+
+    const request = await ExcuseRequestService.submitRequest(
+      req.params.sessionId,
+      req.currentUser.id,
+      { reason: req.body?.reason, attachment }
+    );
+
+    res.status(201).json(request);
+  } catch (err) {
+    discardUpload(req.file);
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the current user's excuse requests
+ * GET /api/excuse-requests/my-requests?offering_id=<uuid>
+ * Requires: Authentication
+ */
+router.get('/my-requests', ensureAuthenticated, async (req, res) => {
+  try {
+    const requests = await ExcuseRequestService.getMyRequests(
+      req.currentUser.id,
+      req.query.offering_id || null
+    );
+    res.json(requests);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the excuse request queue for a course
+ * GET /api/excuse-requests?offering_id=<uuid>&status=pending&session_id=<uuid>
+ * Requires: attendance.view permission (course scope) - Professor/Instructor/TA/Tutor
+ */
+router.get('/', ...protect('attendance.view', 'course'), async (req, res) => {
+  try {
+    const { offering_id, status, session_id } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const requests = await ExcuseRequestService.getOfferingRequests(offering_id, {
+      status: status || null,
+      session_id: session_id || null
+    });
+
+    res.json(requests);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the number of pending excuse requests for a course
+ * GET /api/excuse-requests/pending-count?offering_id=<uuid>
+ * Requires: attendance.view permission (course scope)
+ */
+router.get('/pending-count', ...protect('attendance.view', 'course'), async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const count = await ExcuseRequestService.countPending(offering_id);
+    res.json({ count });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get an excuse request with its history
+ * GET /api/excuse-requests/:requestId
+ * Requires: Authentication - the requesting student, or staff with attendance.view
+ */
+router.get('/:requestId', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await ExcuseRequestService.getRequest(req.params.requestId, req.currentUser.id);
+    res.json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Download the attachment of an excuse request
+ * GET /api/excuse-requests/:requestId/attachment
+ * Requires: Authentication - the requesting student, or staff with attendance.view
+ */
+router.get('/:requestId/attachment', ensureAuthenticated, async (req, res) => {
+  try {
+    const attachment = await ExcuseRequestService.getAttachment(req.params.requestId, req.currentUser.id);
+    const filePath = path.join(attachmentDir, path.basename(attachment.path));
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Attachment file not found' });
+    }
+
+    res.type(attachment.mime_type || 'application/octet-stream');
+    res.download(filePath, attachment.name || path.basename(filePath));
+  } catch (err) {
+    const status = err.message === 'This request has no attachment' ? 404 : statusForError(err.message);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+/**
+ * Approve an excuse request (marks the attendance as excused)
+ * POST /api/excuse-requests/:requestId/approve
+ * Body: { note? }
+ * Requires: attendance.mark permission in the request's course - Professor/Instructor/TA
+ */
+router.post('/:requestId/approve', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await ExcuseRequestService.reviewRequest(
+      req.params.requestId,
+      req.currentUser.id,
+      'approved',
+      req.body?.note
+    );
+    res.json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Deny an excuse request
+ * POST /api/excuse-requests/:requestId/deny
+ * Body: { note? }
+ * Requires: attendance.mark permission in the request's course - Professor/Instructor/TA
+ */
+router.post('/:requestId/deny', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await ExcuseRequestService.reviewRequest(
+      req.params.requestId,
+      req.currentUser.id,
+      'denied',
+      req.body?.note
+    );
+    res.json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Withdraw a pending excuse request
+ * POST /api/excuse-requests/:requestId/withdraw
+ * Requires: Authentication - the requesting student
+ */
+router.post('/:requestId/withdraw', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await ExcuseRequestService.withdrawRequest(req.params.requestId, req.currentUser.id);
+    res.json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -52,16 +52,20 @@ router.post('/', ...protect('interaction.create', 'course'), async (req, res) =>
 
 /**
  * Get all interactions for an offering
- * GET /api/interactions?offering_id=:id
+ * GET /api/interactions?offering_id=:id&scope=all|mine
+ * scope=mine keeps interactions with the teams you supervise and their current members.
  * Requires: interaction.view or course.manage permission (course scope)
  */
 router.get('/', ...protectAny(['interaction.view', 'course.manage'], 'course'), async (req, res) => {
   try {
-    const { offering_id, team_id, user_id } = req.query;
+    const { offering_id, team_id, user_id, scope = 'all' } = req.query;
 
     if (!offering_id) {
       return res.status(400).json({ error: 'offering_id query parameter is required' });
     }
+    if (!['all', 'mine'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be all or mine' });
+    }
 
     let query = `
       SELECT 
@@ -90,6 +94,18 @@ router.get('/', ...protectAny(['interaction.view', 'course.manage'], 'course'),
       params.push(user_id);
     }
 
+    if (scope === 'mine') {
+      query += ` AND EXISTS (
+        SELECT 1
+        FROM team_staff_assignments tsa
+        LEFT JOIN team_members tm ON tm.team_id = tsa.team_id AND tm.left_at IS NULL
+        WHERE tsa.offering_id = $1
+          AND tsa.user_id = $${paramCount++}
+          AND (al.metadata->>'team_id' = tsa.team_id::text OR al.metadata->>'user_id' = tm.user_id::text)
+      )`;
+      params.push(req.currentUser.id);
+    }
+
     query += ` ORDER BY al.created_at DESC`;
 
     const result = await pool.query(query, params);
@@ -0,0 +1,86 @@
+import { Router } from 'express';
+import { MeetingMinutesService } from '../services/meeting-minutes-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message.endsWith('not found')) {
+    return 404;
+  }
+  if (message.startsWith('Not authorized')) {
+    return 403;
+  }
+  return 400;
+}
+
+/**
+ * Get a team meeting's minutes
+ * GET /api/meeting-minutes/sessions/:sessionId
+ * Returns the minutes, the meeting's action items, open items carried in from earlier meetings,
+ * the team's members (for owners) and whether you can edit
+ * Requires: Authentication - team member, or team.view_all / course.manage for the course
+ */
+router.get('/sessions/:sessionId', ensureAuthenticated, async (req, res) => {
+  try {
+    const minutes = await MeetingMinutesService.getForSession(req.params.sessionId, req.currentUser.id);
+    res.json(minutes);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Save a team meeting's minutes
+ * PUT /api/meeting-minutes/sessions/:sessionId
+ * Body: { agenda?, notes?, decisions?, action_items?: [{ id?, description, owner_id?, due_date?, status? }] }
+ * action_items replaces the items raised at this meeting; omit an item's id to add it
+ * Requires: Authentication - leader of the meeting's team
+ */
+router.put('/sessions/:sessionId', ensureAuthenticated, async (req, res) => {
+  try {
+    const minutes = await MeetingMinutesService.saveForSession(
+      req.params.sessionId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.json(minutes);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Mark an action item done or reopen it
+ * PATCH /api/meeting-minutes/action-items/:itemId
+ * Body: { status: 'open'|'done', session_id? } - session_id is the meeting it was closed at
+ * Requires: Authentication - leader of the item's team
+ */
+router.patch('/action-items/:itemId', ensureAuthenticated, async (req, res) => {
+  try {
+    const item = await MeetingMinutesService.setActionItemStatus(
+      req.params.itemId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.json(item);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get every meeting's minutes for a team
+ * GET /api/meeting-minutes/teams/:teamId
+ * Requires: Authentication - team member, or team.view_all / course.manage for the course
+ */
+router.get('/teams/:teamId', ensureAuthenticated, async (req, res) => {
+  try {
+    const minutes = await MeetingMinutesService.getForTeam(req.params.teamId, req.currentUser.id);
+    res.json(minutes);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -2,9 +2,25 @@ import { Router } from 'express';
 import { pool } from '../db.js';
 import { protectAny } from '../middleware/permission-middleware.js';
 import { ensureAuthenticated } from '../middleware/auth.js';
+import { normalizeAttendanceRules } from '../utils/attendance-rules.js';
+import { normalizeTimeZone } from '../utils/timezone.js';
+import { normalizeParticipationFormula } from '../utils/gradebook.js';
 
 const router = Router();
 
+/**
+ * Parse a latitude/longitude from the settings form ('' or null clears it)
+ * @throws {Error} If the value is not a number within ±limit
+ */
+function parseCoordinate(value, limit, field) {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) {
+    throw new Error(`${field} must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+}
+
 /**
  * Get active course offering
  * GET /api/offerings/active
@@ -148,7 +164,12 @@ router.put('/active', ...protectAny(['course.manage'], 'course'), async (req, re
       location,
       class_timings,
       syllabus_url,
-      color_palette
+      color_palette,
+      attendance_rules,
+      timezone,
+      location_latitude,
+      location_longitude,
+      participation_formula
     } = req.body;
 
     const updateFields = [];
@@ -220,6 +241,56 @@ router.put('/active', ...protectAny(['course.manage'], 'course'), async (req, re
       updateValues.push(color_palette);
     }
 
+    if (attendance_rules !== undefined) {
+      let rules;
+      try {
+        rules = normalizeAttendanceRules(attendance_rules);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      updateFields.push(`attendance_rules = $${paramIndex++}::jsonb`);
+      updateValues.push(rules ? JSON.stringify(rules) : null);
+    }
+
+    if (participation_formula !== undefined) {
+      let formula = null;
+      try {
+        // null resets the export to the default formula
+        if (participation_formula !== null) {
+          formula = normalizeParticipationFormula(participation_formula);
+        }
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      updateFields.push(`participation_formula = $${paramIndex++}::jsonb`);
+      updateValues.push(formula ? JSON.stringify(formula) : null);
+    }
+
+    if (timezone !== undefined) {
+      let normalizedTimezone;
+      try {
+        normalizedTimezone = normalizeTimeZone(timezone);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      updateFields.push(`timezone = $${paramIndex++}`);
+      updateValues.push(normalizedTimezone);
+    }
+
+    // Coordinates of the course location, used as the centre of session geofences
+    try {
+      if (location_latitude !== undefined) {
+        updateFields.push(`location_latitude = $${paramIndex++}`);
+        updateValues.push(parseCoordinate(location_latitude, 90, 'location_latitude'));
+      }
+      if (location_longitude !== undefined) {
+        updateFields.push(`location_longitude = $${paramIndex++}`);
+        updateValues.push(parseCoordinate(location_longitude, 180, 'location_longitude'));
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
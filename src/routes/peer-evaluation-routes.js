@@ -0,0 +1,154 @@
+import { Router } from 'express';
+import { PeerEvaluationService } from '../services/peer-evaluation-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message === 'Peer evaluation round not found') {
+    return 404;
+  }
+  if (message.startsWith('Not authorized') || message.startsWith('Only members of a team')) {
+    return 403;
+  }
+  if (message.includes('closed') || message.includes('not open yet') || message.includes('can\'t change')
+    || message.startsWith('Results are available')) {
+    return 409;
+  }
+  return 400;
+}
+
+/**
+ * List a course's peer evaluation rounds with how many students submitted
+ * GET /api/peer-evaluations/offerings/:offeringId/rounds
+ * Requires: peer_evaluation.view permission (course scope) - Instructor/TA/Tutor
+ */
+router.get('/offerings/:offeringId/rounds', ...protect('peer_evaluation.view', 'course'), async (req, res) => {
+  try {
+    const rounds = await PeerEvaluationService.listRounds(req.params.offeringId);
+    res.json(rounds);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Create a peer evaluation round
+ * POST /api/peer-evaluations/offerings/:offeringId/rounds
+ * Body: { title, instructions?, opens_at, closes_at,
+ *         rubric?: { criteria: [{ key?, label }], scale: { min, max } } }
+ * Requires: peer_evaluation.manage permission (course scope) - Instructor/TA
+ */
+router.post('/offerings/:offeringId/rounds', ...protect('peer_evaluation.manage', 'course'), async (req, res) => {
+  try {
+    const round = await PeerEvaluationService.createRound(req.params.offeringId, req.currentUser.id, req.body || {});
+    res.status(201).json(round);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Update a round's title, instructions, window or rubric (the rubric only before anyone submits)
+ * PUT /api/peer-evaluations/rounds/:roundId
+ * Requires: peer_evaluation.manage permission on the round's course
+ */
+router.put('/rounds/:roundId', ensureAuthenticated, async (req, res) => {
+  try {
+    const round = await PeerEvaluationService.updateRound(req.params.roundId, req.currentUser.id, req.body || {});
+    res.json(round);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a round's results: who rated whom, contribution factors and outlier flags
+ * GET /api/peer-evaluations/rounds/:roundId/results?format=json|csv
+ * Requires: peer_evaluation.view permission on the round's course
+ */
+router.get('/rounds/:roundId/results', ensureAuthenticated, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (format === 'json') {
+      const results = await PeerEvaluationService.getResults(req.params.roundId, req.currentUser.id);
+      return res.json(results);
+    }
+    if (format !== 'csv') {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const { filename, csv } = await PeerEvaluationService.exportResultsCsv(req.params.roundId, req.currentUser.id);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the rounds you can take part in and whether you have submitted
+ * GET /api/peer-evaluations/my-rounds?offering_id=<uuid>
+ * Requires: Authentication - team members
+ */
+router.get('/my-rounds', ensureAuthenticated, async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const result = await PeerEvaluationService.getMyRounds(offering_id, req.currentUser.id);
+    res.json(result);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the rubric, your teammates and the ratings you saved for a round
+ * GET /api/peer-evaluations/rounds/:roundId/form
+ * Requires: Authentication - team members
+ */
+router.get('/rounds/:roundId/form', ensureAuthenticated, async (req, res) => {
+  try {
+    const form = await PeerEvaluationService.getMyForm(req.params.roundId, req.currentUser.id);
+    res.json(form);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Save your ratings of every teammate and yourself while the round is open
+ * PUT /api/peer-evaluations/rounds/:roundId/submission
+ * Body: { ratings: [{ evaluatee_id, scores: { criterion_key: score }, comment? }] }
+ * Requires: Authentication - team members
+ */
+router.put('/rounds/:roundId/submission', ensureAuthenticated, async (req, res) => {
+  try {
+    const ratings = await PeerEvaluationService.submit(req.params.roundId, req.currentUser.id, req.body?.ratings);
+    res.json(ratings);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get your own averages and unattributed comments once the round has closed
+ * GET /api/peer-evaluations/rounds/:roundId/my-results
+ * Requires: Authentication - team members
+ */
+router.get('/rounds/:roundId/my-results', ensureAuthenticated, async (req, res) => {
+  try {
+    const results = await PeerEvaluationService.getMyResults(req.params.roundId, req.currentUser.id);
+    res.json(results);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,259 @@
+import { Router } from 'express';
+import { QuestionBankService } from '../services/question-bank-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message.endsWith('not found')) {
+    return 404;
+  }
+  if (message.startsWith('Not authorized')) {
+    return 403;
+  }
+  if (message.includes('already exists')) {
+    return 409;
+  }
+  return 400;
+}
+
+/**
+ * Search a course's question bank
+ * GET /api/question-bank?offering_id=<uuid>&search=&tags=a,b&question_type=&limit=&offset=
+ * Every tag in tags must be on the question
+ * Requires: session.manage permission (course scope) - Professor/Instructor
+ */
+router.get('/', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const { offering_id, ...filters } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const items = await QuestionBankService.searchItems(offering_id, filters);
+    res.json(items);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get the tags used in a course's question bank
+ * GET /api/question-bank/tags?offering_id=<uuid>
+ * Requires: session.manage permission (course scope)
+ */
+router.get('/tags', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const tags = await QuestionBankService.getTags(offering_id);
+    res.json(tags);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Add a question to the bank
+ * POST /api/question-bank
+ * Body: { offering_id, question_text, question_type, options?, is_required?, correct_answers?, points?, is_anonymous?, tags? }
+ * Requires: session.manage permission (course scope)
+ */
+router.post('/', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const offeringId = req.body?.offering_id || req.offeringId;
+    if (!offeringId) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const item = await QuestionBankService.createItem(offeringId, req.body, req.currentUser.id);
+    res.status(201).json(item);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Save a copy of a session question into its course's bank
+ * POST /api/question-bank/from-question/:questionId
+ * Body: { tags? }
+ * Requires: session.manage permission in the session's course
+ */
+router.post('/from-question/:questionId', ensureAuthenticated, async (req, res) => {
+  try {
+    const item = await QuestionBankService.saveFromSession(
+      req.params.questionId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.status(201).json(item);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Insert bank questions into a session, after its existing questions
+ * POST /api/question-bank/insert
+ * Body: { session_id, item_ids: [uuid, ...] }
+ * Requires: session creator with session.manage permission in the session's course
+ */
+router.post('/insert', ensureAuthenticated, async (req, res) => {
+  try {
+    const { session_id, item_ids } = req.body || {};
+
+    if (!session_id) {
+      return res.status(400).json({ error: 'session_id is required' });
+    }
+
+    const questions = await QuestionBankService.insertIntoSession(session_id, item_ids, req.currentUser.id);
+    res.status(201).json(questions);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a course's lecture templates
+ * GET /api/question-bank/templates?offering_id=<uuid>
+ * Requires: session.manage permission (course scope)
+ */
+router.get('/templates', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const templates = await QuestionBankService.getTemplates(offering_id);
+    res.json(templates);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Create a lecture template, from scratch or from an existing session's questions
+ * POST /api/question-bank/templates
+ * Body: { offering_id, name, title_pattern?, description?, questions?, session_id? }
+ *   title_pattern may use {n} (use number) and {date} (session date)
+ * Requires: session.manage permission (course scope)
+ */
+router.post('/templates', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const offeringId = req.body?.offering_id || req.offeringId;
+    if (!offeringId) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const template = await QuestionBankService.createTemplate(offeringId, req.body, req.currentUser.id);
+    res.status(201).json(template);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a lecture template
+ * GET /api/question-bank/templates/:templateId
+ * Requires: session.manage permission in the template's course
+ */
+router.get('/templates/:templateId', ensureAuthenticated, async (req, res) => {
+  try {
+    const template = await QuestionBankService.getTemplate(req.params.templateId, req.currentUser.id);
+    res.json(template);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Update a lecture template
+ * PUT /api/question-bank/templates/:templateId
+ * Body: { name?, title_pattern?, description?, questions? }
+ * Requires: session.manage permission in the template's course
+ */
+router.put('/templates/:templateId', ensureAuthenticated, async (req, res) => {
+  try {
+    const template = await QuestionBankService.updateTemplate(
+      req.params.templateId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.json(template);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Delete a lecture template
+ * DELETE /api/question-bank/templates/:templateId
+ * Requires: session.manage permission in the template's course
+ */
+router.delete('/templates/:templateId', ensureAuthenticated, async (req, res) => {
+  try {
+    await QuestionBankService.deleteTemplate(req.params.templateId, req.currentUser.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Create a session from a lecture template
+ * POST /api/question-bank/templates/:templateId/instantiate
+ * Body: { session_date, session_time?, end_time?, title?, description?, team_id?, questions? }
+ *   Without title the template's title_pattern is used; without questions, the template's questions
+ * Requires: session.manage permission in the template's course
+ */
+router.post('/templates/:templateId/instantiate', ensureAuthenticated, async (req, res) => {
+  try {
+    const session = await QuestionBankService.instantiateTemplate(
+      req.params.templateId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.status(201).json(session);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Update a bank question
+ * PUT /api/question-bank/:itemId
+ * Body: any of the POST fields except offering_id
+ * Requires: session.manage permission in the question's course
+ */
+router.put('/:itemId', ensureAuthenticated, async (req, res) => {
+  try {
+    const item = await QuestionBankService.updateItem(req.params.itemId, req.body || {}, req.currentUser.id);
+    res.json(item);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Remove a question from the bank (sessions that used it keep their copies)
+ * DELETE /api/question-bank/:itemId
+ * Requires: session.manage permission in the question's course
+ */
+router.delete('/:itemId', ensureAuthenticated, async (req, res) => {
+  try {
+    await QuestionBankService.deleteItem(req.params.itemId, req.currentUser.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -2,12 +2,28 @@ import { Router } from 'express';
 import { SessionService } from '../services/session-service.js';
 import { SessionQuestionModel } from '../models/session-question-model.js';
 import { SessionResponseModel } from '../models/session-response-model.js';
+import { SessionEventsService } from '../services/session-events-service.js';
 import { ensureAuthenticated } from '../middleware/auth.js';
 import { protect, protectAny } from '../middleware/permission-middleware.js';
 import { pool } from '../db.js';
+import { formatSseMessage } from '../utils/session-events.js';
 
 const router = Router();
 
+// Comment lines keep proxies from closing idle event streams
+const SSE_HEARTBEAT_MS = 25_000;
+const SSE_RETRY_MS = 5000;
+
+function statusForError(message) {
+  if (message.endsWith('not found')) {
+    return 404;
+  }
+  if (message.startsWith('Not authorized')) {
+    return 403;
+  }
+  return 400;
+}
+
 /**
  * Create a new session
  * POST /api/sessions
@@ -82,6 +98,7 @@ router.get('/team/:teamId', ensureAuthenticated, async (req, res) => {
     }
 
     const options = {
+      userId: req.currentUser.id,
       is_active: is_active !== undefined ? is_active === 'true' : undefined,
       limit: limit ? Number(limit) : 50,
       offset: offset ? Number(offset) : 0
@@ -94,6 +111,25 @@ router.get('/team/:teamId', ensureAuthenticated, async (req, res) => {
 });
 
 
+/**
+ * Get pulse check results across a course's lectures
+ * GET /api/sessions/course/:offeringId/pulse-analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&compare=<id>,<id>&drop_threshold=40
+ * Returns overall, per-lecture, per-team and per-student pulse scores, and flags students whose pulse dropped sharply
+ * Requires: session.manage or attendance.view permission (course scope) - Professor/Instructor/TA
+ */
+router.get('/course/:offeringId/pulse-analytics', ...protectAny(['session.manage', 'attendance.view'], 'course'), async (req, res) => {
+  try {
+    const { from, to, compare, drop_threshold } = req.query;
+    const analytics = await SessionService.getPulseAnalytics(req.params.offeringId, { from, to, compare, drop_threshold });
+    res.json(analytics);
+  } catch (err) {
+    if (err.message === 'Course offering not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * Get session by ID
  * GET /api/sessions/:sessionId
@@ -101,7 +137,7 @@ router.get('/team/:teamId', ensureAuthenticated, async (req, res) => {
  */
 router.get('/:sessionId', ensureAuthenticated, async (req, res) => {
   try {
-    const session = await SessionService.getSession(req.params.sessionId);
+    const session = await SessionService.getSession(req.params.sessionId, req.currentUser.id);
     res.json(session);
   } catch (err) {
     if (err.message === 'Session not found') {
@@ -205,6 +241,9 @@ router.delete('/:sessionId', ...protect('session.manage', 'course'), async (req,
 router.get('/verify-code/:code', ensureAuthenticated, async (req, res) => {
   try {
     const verification = await SessionService.verifyAccessCode(req.params.code);
+    if (verification.session) {
+      verification.session = await SessionService.withRemoteLinkFor(verification.session, req.currentUser.id);
+    }
     res.json(verification);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -248,6 +287,29 @@ router.post('/:sessionId/close-attendance', ensureAuthenticated, async (req, res
   }
 });
 
+/**
+ * Get the current rotating check-in QR code (projector view)
+ * GET /api/sessions/:sessionId/check-in-qr
+ * Returns: { token, svg, check_in_url, expires_at, rotation_seconds, access_code }
+ * Requires: session.manage permission (course scope) - Professor/Instructor/TA
+ */
+router.get('/:sessionId/check-in-qr', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const checkInBaseUrl = `${baseUrl.replace(/\/$/, '')}/lecture-attendance-student`;
+    const qr = await SessionService.getCheckInQr(req.params.sessionId, checkInBaseUrl);
+
+    // Tokens rotate, so the response must never be cached
+    res.set('Cache-Control', 'no-store');
+    res.json(qr);
+  } catch (err) {
+    if (err.message === 'Session not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * Regenerate access code
  * POST /api/sessions/:sessionId/regenerate-code
@@ -265,10 +327,43 @@ router.post('/:sessionId/regenerate-code', ...protect('session.manage', 'course'
   }
 });
 
+/**
+ * Copy a session and its questions, with a new access code
+ * POST /api/sessions/:sessionId/clone
+ * Body: { title?, session_date?, session_time?, end_time? } - defaults to "<title> (copy)" at the same time
+ * Attendance and responses are not copied
+ * Requires: session creator or session.manage permission in the session's course
+ */
+router.post('/:sessionId/clone', ensureAuthenticated, async (req, res) => {
+  try {
+    const session = await SessionService.cloneSession(req.params.sessionId, req.body || {}, req.currentUser.id);
+    res.status(201).json(session);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Move a session to a new date and time, keeping its questions, attendance and responses
+ * POST /api/sessions/:sessionId/reschedule
+ * Body: { session_date, session_time?, end_time?, reason?, notify? } - the end keeps the session's length
+ *   unless end_time is given; notify: false skips the announcement to students
+ * Requires: session creator or session.manage permission in the session's course
+ */
+router.post('/:sessionId/reschedule', ensureAuthenticated, async (req, res) => {
+  try {
+    const session = await SessionService.rescheduleSession(req.params.sessionId, req.body || {}, req.currentUser.id);
+    res.json(session);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
 /**
  * Add questions to a session
  * POST /api/sessions/:sessionId/questions
- * Body: { questions: [{ question_text, question_type, options?, is_required? }] }
+ * Body: { questions: [{ question_text, question_type, options?, is_required?,
+ *         correct_answers?, points?, is_anonymous?, reveal_results? }] }
  * Requires: session.manage permission (course scope) - Professor/Instructor
  */
 router.post('/:sessionId/questions', ...protect('session.manage', 'course'), async (req, res) => {
@@ -297,13 +392,17 @@ router.post('/:sessionId/questions', ...protect('session.manage', 'course'), asy
 /**
  * Get questions for a session
  * GET /api/sessions/:sessionId/questions
+ * correct_answers is left out for students until reveal_results is set
  * Requires: Authentication
  */
 router.get('/:sessionId/questions', ensureAuthenticated, async (req, res) => {
   try {
-    const questions = await SessionQuestionModel.findBySessionId(req.params.sessionId);
+    const questions = await SessionService.getQuestions(req.params.sessionId, req.currentUser.id);
     res.json(questions);
   } catch (err) {
+    if (err.message === 'Session not found') {
+      return res.status(404).json({ error: err.message });
+    }
     res.status(400).json({ error: err.message });
   }
 });
@@ -311,12 +410,13 @@ router.get('/:sessionId/questions', ensureAuthenticated, async (req, res) => {
 /**
  * Update a question
  * PUT /api/sessions/questions/:questionId
- * Body: { question_text?, question_type?, options?, is_required? }
+ * Body: { question_text?, question_type?, options?, is_required?,
+ *         correct_answers?, points?, is_anonymous?, reveal_results? }
  * Requires: session.manage permission (course scope) - Professor/Instructor
  */
 router.put('/questions/:questionId', ...protect('session.manage', 'course'), async (req, res) => {
   try {
-    const question = await SessionQuestionModel.update(
+    const question = await SessionService.updateQuestion(
       req.params.questionId,
       req.body,
       req.currentUser.id
@@ -328,6 +428,9 @@ router.put('/questions/:questionId', ...protect('session.manage', 'course'), asy
 
     res.json(question);
   } catch (err) {
+    if (err.message === 'Question not found') {
+      return res.status(404).json({ error: err.message });
+    }
     res.status(400).json({ error: err.message });
   }
 });
@@ -354,6 +457,7 @@ router.delete('/questions/:questionId', ...protect('session.manage', 'course'),
 /**
  * Get all responses for a session
  * GET /api/sessions/:sessionId/responses
+ * Responses to anonymous questions don't say who answered
  * Requires: session.manage or attendance.view permission (course scope) - Professor/Instructor/TA
  */
 router.get('/:sessionId/responses', ...protectAny(['session.manage', 'attendance.view'], 'course'), async (req, res) => {
@@ -371,6 +475,7 @@ router.get('/:sessionId/responses', ...protectAny(['session.manage', 'attendance
 /**
  * Get session statistics
  * GET /api/sessions/:sessionId/statistics
+ * Includes quiz scores (per question and per student) when questions have correct answers
  * Requires: session.manage or attendance.view permission (course scope) - Professor/Instructor/TA
  */
 router.get('/:sessionId/statistics', ...protectAny(['session.manage', 'attendance.view'], 'course'), async (req, res) => {
@@ -388,18 +493,21 @@ router.get('/:sessionId/statistics', ...protectAny(['session.manage', 'attendanc
 /**
  * Submit response to a question (student)
  * POST /api/sessions/questions/:questionId/responses
- * Body: { response_text?, response_option? }
+ * Body: { response_text?, response_option?, response_values?, response_number? }
+ *   response_values is the list of options for multi_select and ranking questions
  * Requires: Authentication - Students only
  */
 router.post('/questions/:questionId/responses', ensureAuthenticated, async (req, res) => {
   try {
-    const { response_text, response_option } = req.body;
+    const { response_text, response_option, response_values, response_number } = req.body;
 
     const response = await SessionResponseModel.upsert({
       question_id: req.params.questionId,
       user_id: req.currentUser.id,
       response_text,
-      response_option
+      response_option,
+      response_values,
+      response_number
     });
 
     res.status(201).json(response);
@@ -411,11 +519,13 @@ router.post('/questions/:questionId/responses', ensureAuthenticated, async (req,
 /**
  * Get my responses for a session
  * GET /api/sessions/:sessionId/my-responses
+ * Returns: { responses, quiz } - revealed quiz questions add is_correct, points_earned and
+ *   correct_answers to the response; quiz is the score over those questions (or null)
  * Requires: Authentication - Students
  */
 router.get('/:sessionId/my-responses', ensureAuthenticated, async (req, res) => {
   try {
-    const responses = await SessionResponseModel.findBySessionAndUser(
+    const responses = await SessionService.getMyResponses(
       req.params.sessionId,
       req.currentUser.id
     );
@@ -425,4 +535,137 @@ router.get('/:sessionId/my-responses', ensureAuthenticated, async (req, res) =>
   }
 });
 
+/**
+ * Get the presented question and its live results (instructor controls and projector view)
+ * GET /api/sessions/:sessionId/presentation
+ * Returns: { session_id, title, presentation_mode, question_count, question, response_count, aggregate }
+ *   question has position (1-based) and is_open; it is null until a question is presented
+ * Requires: session creator or session.manage permission in the session's course
+ */
+router.get('/:sessionId/presentation', ensureAuthenticated, async (req, res) => {
+  try {
+    const presentation = await SessionService.getPresentation(req.params.sessionId, req.currentUser.id);
+    res.json(presentation);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Turn presentation mode on or off
+ * PUT /api/sessions/:sessionId/presentation
+ * Body: { enabled: boolean }
+ *   While on, students only see the presented question and only an open question takes responses
+ * Requires: session creator or session.manage permission in the session's course
+ */
+router.put('/:sessionId/presentation', ensureAuthenticated, async (req, res) => {
+  try {
+    const { enabled } = req.body || {};
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const presentation = await SessionService.setPresentationMode(
+      req.params.sessionId,
+      enabled,
+      req.currentUser.id
+    );
+    res.json(presentation);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Present and open a question, closing the previously open one
+ * POST /api/sessions/:sessionId/presentation/open
+ * Body: { position } (1 is the first question) or { question_id }
+ * Requires: session creator or session.manage permission in the session's course
+ */
+router.post('/:sessionId/presentation/open', ensureAuthenticated, async (req, res) => {
+  try {
+    const presentation = await SessionService.presentQuestion(
+      req.params.sessionId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.json(presentation);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Close the presented question; responses to it are locked
+ * POST /api/sessions/:sessionId/presentation/close
+ * Requires: session creator or session.manage permission in the session's course
+ */
+router.post('/:sessionId/presentation/close', ensureAuthenticated, async (req, res) => {
+  try {
+    const presentation = await SessionService.closePresentedQuestion(req.params.sessionId, req.currentUser.id);
+    res.json(presentation);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Stream live updates for a session (Server-Sent Events)
+ * GET /api/sessions/:sessionId/events
+ * Events: ready, attendance, response, session, question, resync - see utils/session-events.js
+ * Requires: Authentication - staff with attendance.view, the session creator, or a member
+ *   of the team for team meetings; enrolled students get only session and question events
+ */
+router.get('/:sessionId/events', ensureAuthenticated, async (req, res) => {
+  const { sessionId } = req.params;
+
+  let eventTypes;
+  try {
+    eventTypes = await SessionEventsService.assertCanSubscribe(sessionId, req.currentUser.id);
+  } catch (err) {
+    if (err.message === 'Session not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message.startsWith('Not authorized')) {
+      return res.status(403).json({ error: err.message });
+    }
+    return res.status(500).json({ error: err.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = (event) => {
+    if (event.type !== 'resync' && !eventTypes.includes(event.type)) return;
+    eventId++;
+    res.write(formatSseMessage(event.type, event, { id: eventId }));
+  };
+
+  let unsubscribe = null;
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  });
+
+  unsubscribe = await SessionEventsService.subscribe(sessionId, send);
+  if (closed) {
+    unsubscribe();
+    return;
+  }
+  res.write(formatSseMessage('ready', { session_id: sessionId }, { retry: SSE_RETRY_MS }));
+});
+
 export default router;
@@ -0,0 +1,125 @@
+import { Router } from 'express';
+import { SessionSeriesService } from '../services/session-series-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message === 'Series not found' || message === 'Course offering not found') {
+    return 404;
+  }
+  if (message.startsWith('Not authorized')) {
+    return 403;
+  }
+  return 400;
+}
+
+/**
+ * Preview the sessions a series would generate
+ * POST /api/session-series/preview
+ * Body: { offering_id, start_date?, end_date?, skip_dates? }
+ * Requires: session.manage permission (course scope) - Professor/Instructor
+ */
+router.post('/preview', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const offeringId = req.body?.offering_id || req.offeringId;
+    if (!offeringId) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const preview = await SessionSeriesService.previewSeries(offeringId, req.body);
+    res.json(preview);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Generate a lecture series from the course's class_timings
+ * POST /api/session-series
+ * Body: { offering_id, title, description?, start_date?, end_date?, skip_dates?, default_questions?, attendance_rules? }
+ * Requires: session.manage permission (course scope) - Professor/Instructor
+ */
+router.post('/', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const offeringId = req.body?.offering_id || req.offeringId;
+    if (!offeringId) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const result = await SessionSeriesService.createSeries(offeringId, req.body, req.currentUser.id);
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get all lecture series for a course
+ * GET /api/session-series?offering_id=<uuid>
+ * Requires: session.manage permission (course scope)
+ */
+router.get('/', ...protect('session.manage', 'course'), async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const series = await SessionSeriesService.getSeriesForOffering(offering_id);
+    res.json(series);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a lecture series with its sessions
+ * GET /api/session-series/:seriesId
+ * Requires: session.manage permission in the series' course
+ */
+router.get('/:seriesId', ensureAuthenticated, async (req, res) => {
+  try {
+    const series = await SessionSeriesService.getSeries(req.params.seriesId, req.currentUser.id);
+    res.json(series);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Bulk edit the sessions of a series that have not been opened yet
+ * PUT /api/session-series/:seriesId
+ * Body: { title?, description?, start_time?, end_time?, skip_dates?, default_questions?, attendance_rules? }
+ * Requires: session.manage permission in the series' course
+ */
+router.put('/:seriesId', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await SessionSeriesService.updateSeries(
+      req.params.seriesId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.json(result);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Delete a series and its sessions that have not been opened yet
+ * DELETE /api/session-series/:seriesId
+ * Requires: session.manage permission in the series' course
+ */
+router.delete('/:seriesId', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await SessionSeriesService.deleteSeries(req.params.seriesId, req.currentUser.id);
+    res.json(result);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import { Router } from 'express';
+import { TeamStaffAssignmentService } from '../services/team-staff-assignment-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message === 'Team not found in this course') {
+    return 404;
+  }
+  return 400;
+}
+
+/**
+ * Get the teams you supervise in a course
+ * GET /api/team-assignments/mine?offering_id=<uuid>
+ * Requires: Authentication
+ */
+router.get('/mine', ensureAuthenticated, async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const teamIds = await TeamStaffAssignmentService.getMyTeamIds(offering_id, req.currentUser.id);
+    res.json({ team_ids: teamIds });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a course's TAs, tutors and teams with who supervises what
+ * GET /api/team-assignments/offerings/:offeringId
+ * Requires: team.view_all permission (course scope) - Instructor/TA/Tutor
+ */
+router.get('/offerings/:offeringId', ...protect('team.view_all', 'course'), async (req, res) => {
+  try {
+    const assignments = await TeamStaffAssignmentService.getAssignments(req.params.offeringId);
+    res.json(assignments);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Replace a team's supervisors
+ * PUT /api/team-assignments/offerings/:offeringId/teams/:teamId
+ * Body: { user_ids: [uuid] } - TAs and tutors enrolled in the course; [] clears the team
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+router.put('/offerings/:offeringId/teams/:teamId', ...protect('team.manage', 'course'), async (req, res) => {
+  try {
+    const { offeringId, teamId } = req.params;
+    const assignments = await TeamStaffAssignmentService.setTeamSupervisors(
+      offeringId,
+      teamId,
+      req.body?.user_ids,
+      req.currentUser.id
+    );
+    res.json(assignments);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Spread TAs and tutors evenly over the course's teams
+ * POST /api/team-assignments/offerings/:offeringId/rebalance
+ * Body: { roles?: ['ta', 'tutor'], keep_existing?: true }
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+router.post('/offerings/:offeringId/rebalance', ...protect('team.manage', 'course'), async (req, res) => {
+  try {
+    const assignments = await TeamStaffAssignmentService.rebalance(
+      req.params.offeringId,
+      req.body || {},
+      req.currentUser.id
+    );
+    res.json(assignments);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
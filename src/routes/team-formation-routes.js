@@ -0,0 +1,141 @@
+import { Router } from 'express';
+import { TeamFormationService } from '../services/team-formation-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message === 'Proposal not found') {
+    return 404;
+  }
+  if (message.startsWith('Not authorized') || message.startsWith('Only students enrolled')) {
+    return 403;
+  }
+  if (message.includes('already')) {
+    return 409;
+  }
+  return 400;
+}
+
+/**
+ * Get your own teammate preferences and the classmates you can pick
+ * GET /api/team-formation/preferences?offering_id=<uuid>
+ * Requires: Authentication - enrolled students
+ */
+router.get('/preferences', ensureAuthenticated, async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const result = await TeamFormationService.getMyPreferences(offering_id, req.currentUser.id);
+    res.json(result);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Save your teammate preferences
+ * PUT /api/team-formation/preferences
+ * Body: { offering_id, preferred_teammate_ids?, avoided_teammate_ids?, skills?, timezone?,
+ *         availability_specific?: { slots: [{ day, start, end }] } }
+ * Requires: Authentication - enrolled students
+ */
+router.put('/preferences', ensureAuthenticated, async (req, res) => {
+  try {
+    const offeringId = req.body?.offering_id;
+    if (!offeringId) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const saved = await TeamFormationService.savePreferences(offeringId, req.currentUser.id, req.body);
+    res.json(saved);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get every student's preferences and current team
+ * GET /api/team-formation/offerings/:offeringId/preferences
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+router.get('/offerings/:offeringId/preferences', ...protect('team.manage', 'course'), async (req, res) => {
+  try {
+    const students = await TeamFormationService.getCoursePreferences(req.params.offeringId);
+    res.json(students);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Propose teams for the students not yet on one
+ * POST /api/team-formation/offerings/:offeringId/proposals
+ * Body: { team_size?, balance_skills?, balance_institution?, max_timezone_spread_hours?, min_shared_hours? }
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+router.post('/offerings/:offeringId/proposals', ...protect('team.manage', 'course'), async (req, res) => {
+  try {
+    const proposal = await TeamFormationService.createProposal(
+      req.params.offeringId,
+      req.currentUser.id,
+      req.body || {}
+    );
+    res.status(201).json(proposal);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a proposal with each team's summary and warnings
+ * GET /api/team-formation/proposals/:runId
+ * Requires: team.manage permission on the proposal's course
+ */
+router.get('/proposals/:runId', ensureAuthenticated, async (req, res) => {
+  try {
+    const proposal = await TeamFormationService.getProposal(req.params.runId, req.currentUser.id);
+    res.json(proposal);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Replace a proposal's teams after moving students around
+ * PUT /api/team-formation/proposals/:runId
+ * Body: { teams: [{ name, member_ids, leader_id? }] }
+ * Requires: team.manage permission on the proposal's course
+ */
+router.put('/proposals/:runId', ensureAuthenticated, async (req, res) => {
+  try {
+    const proposal = await TeamFormationService.updateProposal(
+      req.params.runId,
+      req.currentUser.id,
+      req.body?.teams
+    );
+    res.json(proposal);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Create the proposal's teams and memberships in one transaction
+ * POST /api/team-formation/proposals/:runId/commit
+ * Requires: team.manage permission on the proposal's course
+ */
+router.post('/proposals/:runId/commit', ensureAuthenticated, async (req, res) => {
+  try {
+    const proposal = await TeamFormationService.commitProposal(req.params.runId, req.currentUser.id);
+    res.json(proposal);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
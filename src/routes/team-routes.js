@@ -3,6 +3,8 @@ import { pool } from '../db.js';
 import { ensureAuthenticated } from '../middleware/auth.js';
 import { PermissionService } from '../services/permission-service.js';
 import { syncTeamLeaderIds } from '../utils/team-leader-sync.js';
+import { TeamMembershipModel } from '../models/team-membership-model.js';
+import { TeamMembershipService } from '../services/team-membership-service.js';
 import validator from 'validator';
 import multer from 'multer';
 import path from 'node:path';
@@ -106,14 +108,15 @@ router.get('/my-team', ensureAuthenticated, async (req, res) => {
 
 /**
  * Get all teams for an offering
- * GET /api/teams?offering_id=:id
+ * GET /api/teams?offering_id=:id&scope=all|mine
+ * Each team has assigned_to_me when the caller supervises it; scope=mine returns only those.
  * Access:
  *   - Users with team.view_all or course.manage for this offering
  *     (Instructor, TA, Tutor, Admin)
  */
 router.get('/', ensureAuthenticated, async (req, res) => {
   try {
-    const { offering_id } = req.query;
+    const { offering_id, scope = 'all' } = req.query;
     if (!offering_id) {
       return res
         .status(400)
@@ -130,6 +133,9 @@ router.get('/', ensureAuthenticated, async (req, res) => {
     if (!canViewAll && !canManageCourse) {
       return res.status(403).json({ error: 'forbidden' });
     }
+    if (!['all', 'mine'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be all or mine' });
+    }
 
     const result = await pool.query(
       `SELECT 
@@ -142,12 +148,17 @@ router.get('/', ensureAuthenticated, async (req, res) => {
         t.created_at,
         u.name as leader_name,
         u.email as leader_email,
-        COUNT(tm.user_id) as member_count
+        COUNT(tm.user_id) as member_count,
+        EXISTS (
+          SELECT 1 FROM team_staff_assignments tsa
+          WHERE tsa.team_id = t.id AND tsa.user_id = $2
+        ) as assigned_to_me
       FROM team t
       LEFT JOIN users u ON (t.leader_ids IS NOT NULL AND array_length(t.leader_ids, 1) > 0 AND u.id = t.leader_ids[1])
       LEFT JOIN team_members tm
         ON t.id = tm.team_id AND tm.left_at IS NULL
       WHERE t.offering_id = $1
+        ${scope === 'mine' ? 'AND EXISTS (SELECT 1 FROM team_staff_assignments tsa WHERE tsa.team_id = t.id AND tsa.user_id = $2)' : ''}
       GROUP BY
         t.id,
         t.name,
@@ -159,7 +170,7 @@ router.get('/', ensureAuthenticated, async (req, res) => {
         u.name,
         u.email
       ORDER BY t.team_number, t.name`,
-      [offering_id]
+      [offering_id, userId]
     );
 
     res.json({ teams: result.rows });
@@ -311,6 +322,13 @@ router.post('/', ensureAuthenticated, async (req, res) => {
            left_at = NULL`,
         [team.id, leaderId, userId]
       );
+      await TeamMembershipModel.recordEvent({
+        event_type: 'joined',
+        user_id: leaderId,
+        to_team_id: team.id,
+        role: 'leader',
+        performed_by: userId
+      });
     }
     
     // Sync leader_ids array after adding leaders
@@ -466,6 +484,22 @@ router.delete('/:teamId', ensureAuthenticated, async (req, res) => {
       return res.status(403).json({ error: 'forbidden' });
     }
 
+    // Close out current memberships in the ledger while the team's name can still be copied
+    const { rows: activeMembers } = await pool.query(
+      'SELECT user_id, role FROM team_members WHERE team_id = $1 AND left_at IS NULL',
+      [teamId]
+    );
+    for (const member of activeMembers) {
+      await TeamMembershipModel.recordEvent({
+        event_type: 'left',
+        user_id: member.user_id,
+        from_team_id: teamId,
+        role: member.role,
+        reason: 'Team deleted',
+        performed_by: userId
+      });
+    }
+
     const result = await pool.query(
       'DELETE FROM team WHERE id = $1 RETURNING id',
       [teamId]
@@ -549,6 +583,31 @@ router.get('/:teamId/members', ensureAuthenticated, async (req, res) => {
   }
 });
 
+/**
+ * Get team membership history: joins, departures and transfers, oldest first
+ * GET /api/teams/:teamId/history
+ * Access:
+ *   - Staff / tutor: team.view_all or course.manage (course scope)
+ *   - Anyone who is or was on the team
+ */
+router.get('/:teamId/history', ensureAuthenticated, async (req, res) => {
+  try {
+    const team = await getTeamWithOffering(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const events = await TeamMembershipService.getTeamHistory(team, req.currentUser.id);
+    res.json({ events });
+  } catch (err) {
+    if (err.message.startsWith('Not authorized')) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    console.error('Error fetching team history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * Add member to team
  * POST /api/teams/:teamId/members
@@ -583,6 +642,11 @@ router.post('/:teamId/members', ensureAuthenticated, async (req, res) => {
       return res.status(403).json({ error: 'forbidden' });
     }
 
+    const { rows: activeRows } = await pool.query(
+      'SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2 AND left_at IS NULL',
+      [teamId, user_id]
+    );
+
     const result = await pool.query(
       `INSERT INTO team_members (team_id, user_id, role, joined_at, added_by)
        VALUES ($1, $2, $3::team_member_role_enum, CURRENT_DATE, $4)
@@ -596,6 +660,17 @@ router.post('/:teamId/members', ensureAuthenticated, async (req, res) => {
       [teamId, user_id, role, userId]
     );
 
+    // A role change for someone already on the team isn't a membership change
+    if (activeRows.length === 0) {
+      await TeamMembershipModel.recordEvent({
+        event_type: 'joined',
+        user_id,
+        to_team_id: teamId,
+        role,
+        performed_by: userId
+      });
+    }
+
     // Sync leader_ids array after adding/updating member (especially if role is 'leader')
     await syncTeamLeaderIds(teamId);
 
@@ -648,6 +723,14 @@ router.delete('/:teamId/members/:userId', ensureAuthenticated, async (req, res)
         .json({ error: 'Team member not found or already removed' });
     }
 
+    await TeamMembershipModel.recordEvent({
+      event_type: 'left',
+      user_id: targetUserId,
+      from_team_id: teamId,
+      role: result.rows[0].role,
+      performed_by: actorId
+    });
+
     // Sync leader_ids array after removing member (in case it was a leader)
     await syncTeamLeaderIds(teamId);
 
@@ -0,0 +1,134 @@
+import { Router } from 'express';
+import { TeamMembershipService } from '../services/team-membership-service.js';
+import { ensureAuthenticated } from '../middleware/auth.js';
+import { protect } from '../middleware/permission-middleware.js';
+
+const router = Router();
+
+function statusForError(message) {
+  if (message === 'Transfer request not found') {
+    return 404;
+  }
+  if (message.startsWith('Not authorized')) {
+    return 403;
+  }
+  if (message.includes('already') || message.includes('no longer on the team')) {
+    return 409;
+  }
+  return 400;
+}
+
+/**
+ * Get your team, the teams you could move to and your transfer requests
+ * Team leads also get their teammates' IDs, whom they can request transfers for.
+ * GET /api/team-transfers/mine?offering_id=<uuid>
+ * Requires: Authentication
+ */
+router.get('/mine', ensureAuthenticated, async (req, res) => {
+  try {
+    const { offering_id } = req.query;
+    if (!offering_id) {
+      return res.status(400).json({ error: 'offering_id is required' });
+    }
+
+    const result = await TeamMembershipService.getMyTransfers(offering_id, req.currentUser.id);
+    res.json(result);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Ask staff to move a student to another team
+ * POST /api/team-transfers
+ * Body: { offering_id, to_team_id, reason, user_id? (a teammate, for team leads) }
+ * Requires: Authentication - the student, their team lead or team.manage
+ */
+router.post('/', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await TeamMembershipService.requestTransfer(req.currentUser.id, req.body || {});
+    res.status(201).json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Withdraw a pending transfer request
+ * POST /api/team-transfers/:requestId/withdraw
+ * Requires: Authentication - the student or whoever asked
+ */
+router.post('/:requestId/withdraw', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await TeamMembershipService.withdrawTransfer(req.params.requestId, req.currentUser.id);
+    res.json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * List a course's transfer requests, newest first
+ * GET /api/team-transfers/offerings/:offeringId?status=pending|approved|rejected|withdrawn
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+router.get('/offerings/:offeringId', ...protect('team.manage', 'course'), async (req, res) => {
+  try {
+    const requests = await TeamMembershipService.listTransfers(req.params.offeringId, { status: req.query.status });
+    res.json(requests);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Get a course's membership history, oldest first
+ * GET /api/team-transfers/offerings/:offeringId/history?user_id=<uuid>
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+router.get('/offerings/:offeringId/history', ...protect('team.manage', 'course'), async (req, res) => {
+  try {
+    const events = await TeamMembershipService.getCourseHistory(req.params.offeringId, { userId: req.query.user_id });
+    res.json(events);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Approve a transfer request, moving the student to the new team as a member
+ * POST /api/team-transfers/:requestId/approve
+ * Body: { note? }
+ * Requires: team.manage permission on the request's course
+ */
+router.post('/:requestId/approve', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await TeamMembershipService.reviewTransfer(req.params.requestId, req.currentUser.id, {
+      approve: true,
+      note: req.body?.note
+    });
+    res.json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+/**
+ * Reject a transfer request
+ * POST /api/team-transfers/:requestId/reject
+ * Body: { note? }
+ * Requires: team.manage permission on the request's course
+ */
+router.post('/:requestId/reject', ensureAuthenticated, async (req, res) => {
+  try {
+    const request = await TeamMembershipService.reviewTransfer(req.params.requestId, req.currentUser.id, {
+      approve: false,
+      note: req.body?.note
+    });
+    res.json(request);
+  } catch (err) {
+    res.status(statusForError(err.message)).json({ error: err.message });
+  }
+});
+
+export default router;
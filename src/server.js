@@ -19,11 +19,20 @@ import { protect, protectAny } from "./middleware/permission-middleware.js";
 import userRoutes from "./routes/user-routes.js";
 import enrollmentRoutes from "./routes/enrollment-routes.js";
 import teamRoutes from "./routes/team-routes.js";
+import teamFormationRoutes from "./routes/team-formation-routes.js";
+import peerEvaluationRoutes from "./routes/peer-evaluation-routes.js";
+import teamTransferRoutes from "./routes/team-transfer-routes.js";
+import teamAssignmentRoutes from "./routes/team-assignment-routes.js";
+import meetingMinutesRoutes from "./routes/meeting-minutes-routes.js";
 import offeringRoutes from "./routes/offering-routes.js";
 import interactionRoutes from "./routes/interaction-routes.js";
 import courseOfferingRoutes from "./routes/class-routes.js";
 import sessionRoutes from "./routes/session-routes.js";
+import sessionSeriesRoutes from "./routes/session-series-routes.js";
 import attendanceRoutes from "./routes/attendance-routes.js";
+import excuseRequestRoutes from "./routes/excuse-request-routes.js";
+import attendancePolicyRoutes from "./routes/attendance-policy-routes.js";
+import questionBankRoutes from "./routes/question-bank-routes.js";
 import journalRoutes from "./routes/journal-routes.js";
 import instructorJournalRoutes from "./routes/instructor-journal-routes.js";
 import taJournalRoutes from "./routes/ta-journal-routes.js";
@@ -31,6 +40,8 @@ import tutorJournalRoutes from "./routes/tutor-journal-routes.js";
 import classDirectoryRoutes from "./routes/class-directory-routes.js";
 import announcementRoutes from "./routes/announcement-routes.js";
 import dashboardTodoRoutes from "./routes/dashboard-todo-routes.js";
+import diagnosticsRoutes from "./routes/diagnostics-routes.js";
+import { SchedulerService } from "./services/scheduler-service.js";
 import { trackApiCategory } from "./observability/diagnostics.js";
 import { metricsMiddleware } from "./middleware/metrics-middleware.js";
 
@@ -83,6 +94,13 @@ const ensureDiagnosticsAccess = (req, res, next) => {
 // Disable ETag generation to prevent 304 caching issues
 app.set('etag', false);
 
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip is the client address
+// (check-in subnet restrictions compare against it). Value is a hop count or "true".
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
 // Serve static frontend assets
 // Since server.js is in src/, paths are relative to src/ directory
 app.use(express.static(path.join(__dirname, "views")));
@@ -1228,6 +1246,15 @@ app.get("/lecture-builder", ...protectAny(['session.create', 'session.manage', '
   res.sendFile(buildFullViewPath("lecture-builder.html"));
 });
 
+/**
+ * Lecture Series
+ * Generate a term of lecture sessions from the course schedule and bulk edit them
+ * Requires: session.manage permission (course scope) - Instructor
+ */
+app.get("/lecture-series", ...protectAny(['session.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("lecture-series.html"));
+});
+
 /**
  * Lecture Responses
  * View student responses for a lecture session
@@ -1238,6 +1265,99 @@ app.get("/lecture-responses", ...protectAny(['attendance.view', 'session.manage'
   res.sendFile(buildFullViewPath("lecture-responses.html"));
 });
 
+/**
+ * Lecture Check-in QR Code
+ * Projector view showing a rotating QR code for student check-in
+ * Query params: ?sessionId=<uuid>
+ * Requires: session.manage permission (course scope) - Instructor/TA
+ */
+app.get("/lecture-qr", ...protectAny(['session.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("lecture-qr.html"));
+});
+
+/**
+ * Lecture Presentation
+ * Projector view of the presented question and its live results (presentation mode)
+ * Query params: ?sessionId=<uuid>
+ * Requires: session.manage permission (course scope) - Instructor
+ */
+app.get("/lecture-present", ...protectAny(['session.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("lecture-present.html"));
+});
+
+/**
+ * Attendance Sign-in Sheet
+ * Printable paper sign-in sheet with per-student verification codes, and code transcription
+ * Query params: ?sessionId=<uuid>
+ * Requires: attendance.mark or session.manage permission (course scope) - Instructor/TA
+ */
+app.get("/attendance-sheet", ...protectAny(['attendance.mark', 'session.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("attendance-sheet.html"));
+});
+
+/**
+ * Pulse Analytics
+ * Pulse check results across the term, per lecture, team and student
+ * Requires: attendance.view or session.manage permission (course scope) - Instructor/TA
+ */
+app.get("/pulse-analytics", ...protectAny(['attendance.view', 'session.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("pulse-analytics.html"));
+});
+
+/**
+ * Team Formation
+ * Propose teams from student preferences, adjust them by dragging students, then create them
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+app.get("/team-formation", ...protectAny(['team.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("team-formation.html"));
+});
+
+/**
+ * Team Preferences
+ * Students list teammates they want or want to avoid, their skills, timezone and availability
+ * Requires: Authentication - Students (the API checks enrollment)
+ */
+app.get("/team-preferences", ensureAuthenticated, (req, res) => {
+  res.sendFile(buildFullViewPath("team-preferences.html"));
+});
+
+/**
+ * Peer Evaluations
+ * Schedule peer evaluation rounds and review contribution factors, outliers and who rated whom
+ * Requires: peer_evaluation.view permission (course scope) - Instructor/TA/Tutor
+ */
+app.get("/peer-evaluations", ...protectAny(['peer_evaluation.view', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("peer-evaluations.html"));
+});
+
+/**
+ * Peer Evaluation
+ * Team members rate each teammate and themselves, then see their anonymized results
+ * Requires: Authentication - Students (the API checks team membership)
+ */
+app.get("/peer-evaluation", ensureAuthenticated, (req, res) => {
+  res.sendFile(buildFullViewPath("peer-evaluation.html"));
+});
+
+/**
+ * Team Transfers
+ * Approve or reject students' transfer requests and browse who moved between teams
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+app.get("/team-transfers", ...protectAny(['team.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("team-transfers.html"));
+});
+
+/**
+ * Team Assignments
+ * Choose which TAs and tutors supervise each team and rebalance the load
+ * Requires: team.manage permission (course scope) - Instructor/TA
+ */
+app.get("/team-assignments", ...protectAny(['team.manage', 'course.manage'], 'course'), (req, res) => {
+  res.sendFile(buildFullViewPath("team-assignments.html"));
+});
+
 // Roster page - accessible only to instructors, TAs, and admins
 // Students and team leads cannot access roster
 app.get("/roster", ensureAuthenticated, async (req, res) => {
@@ -1948,10 +2068,19 @@ app.get("/api/users/navigation-context", ensureAuthenticated, async (req, res) =
 app.use("/api/users", userRoutes);
 app.use("/api/enrollments", enrollmentRoutes);
 app.use("/api/teams", teamRoutes);
+app.use("/api/team-formation", teamFormationRoutes);
+app.use("/api/peer-evaluations", peerEvaluationRoutes);
+app.use("/api/team-transfers", teamTransferRoutes);
+app.use("/api/team-assignments", teamAssignmentRoutes);
+app.use("/api/meeting-minutes", meetingMinutesRoutes);
 app.use("/api/offerings", offeringRoutes);
 app.use("/api/interactions", interactionRoutes);
 app.use("/api/sessions", sessionRoutes);
+app.use("/api/session-series", sessionSeriesRoutes);
 app.use("/api/attendance", attendanceRoutes);
+app.use("/api/excuse-requests", excuseRequestRoutes);
+app.use("/api/attendance-policies", attendancePolicyRoutes);
+app.use("/api/question-bank", questionBankRoutes);
 app.use("/api/journals", ensureAuthenticated, journalRoutes);
 app.use("/api/instructor-journals", ensureAuthenticated, instructorJournalRoutes);
 app.use("/api/ta-journals", ensureAuthenticated, taJournalRoutes);
@@ -1960,6 +2089,7 @@ app.use("/api/class", courseOfferingRoutes);
 app.use("/api/class-directory", classDirectoryRoutes);
 app.use("/api/announcements", announcementRoutes);
 app.use("/api/dashboard-todos", ensureAuthenticated, dashboardTodoRoutes);
+app.use("/api/diagnostics", diagnosticsRoutes);
 
 // Public endpoint to show current login attempt status (by email if authenticated, else by IP) //TO BE CHECKED
 app.get('/api/login-attempts', async (req, res) => {
@@ -2444,6 +2574,11 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       const PORT = process.env.PORT || 3001;
       app.listen(PORT, () => {});
     }
+
+    // Background jobs (automatic attendance open/close); opt out with SCHEDULER_ENABLED=false
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      SchedulerService.start();
+    }
   } catch (error) {
     console.error("Failed to connect to the database", error);
     process.exit(1);
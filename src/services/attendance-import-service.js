@@ -0,0 +1,282 @@
+import { AttendanceImportModel } from '../models/attendance-import-model.js';
+import { SessionModel } from '../models/session-model.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { resolveAttendanceRules, getSessionStart } from '../utils/attendance-rules.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import {
+  normalizeColumnMapping,
+  readImportCsv,
+  buildImportPlan
+} from '../utils/attendance-import.js';
+
+const MAX_MIN_DURATION_MINUTES = 24 * 60;
+
+/**
+ * Attendance Import Service - CSV attendance imports with preview, confirm and revert
+ * An upload is parsed and matched against the session roster without touching attendance;
+ * staff review the preview, optionally fix matches, then commit. A committed import
+ * records each change so it can be reverted as a unit.
+ */
+export class AttendanceImportService {
+  /**
+   * Parse a CSV and store a dry-run preview of the changes it would make
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Staff user ID
+   * @param {Object} data - { csvText, filename?, mapping?, min_duration_minutes? }
+   * @returns {Promise<Object>} Previewed import with plan, summary and the file's headers
+   */
+  static async previewImport(sessionId, userId, { csvText, filename = null, mapping = null, min_duration_minutes = null }) {
+    if (typeof csvText !== 'string' || csvText.trim() === '') {
+      throw new Error('A CSV file is required');
+    }
+
+    const minDuration = this._normalizeMinDuration(min_duration_minutes);
+    const columnMapping = normalizeColumnMapping(mapping);
+
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    await this._assertCanImport(userId, session.offering_id);
+
+    const parsed = readImportCsv(csvText, columnMapping);
+    if (parsed.rows.length === 0) {
+      throw new Error('The CSV has no participant rows');
+    }
+
+    const options = { min_duration_minutes: minDuration };
+    const { entries, summary } = await this._buildPlan(session, parsed.rows, options);
+
+    const created = await AttendanceImportModel.create({
+      session_id: sessionId,
+      source_filename: filename,
+      column_mapping: parsed.mapping,
+      options,
+      source_rows: parsed.rows,
+      plan: entries,
+      summary,
+      created_by: userId
+    });
+
+    return { ...created, headers: parsed.headers };
+  }
+
+  /**
+   * Commit a previewed import
+   * The plan is re-computed against the current attendance so the commit never
+   * overwrites a change made after the preview with stale data.
+   * @param {string} importId - Import ID
+   * @param {string} userId - Staff user ID
+   * @param {Object} [data] - { overrides?: { row_number: user_id | null } } fixes for the matching
+   * @returns {Promise<Object>} Committed import with the number of attendance rows changed
+   */
+  static async commitImport(importId, userId, { overrides = null } = {}) {
+    const attendanceImport = await this._getImport(importId, userId, 'attendance.mark');
+    this._assertStatus(attendanceImport, 'previewed');
+
+    const session = await SessionModel.findById(attendanceImport.session_id);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const rows = await AttendanceImportModel.getSourceRows(importId);
+    const { entries, summary } = await this._buildPlan(
+      session,
+      rows,
+      attendanceImport.options,
+      overrides
+    );
+
+    const result = await AttendanceImportModel.commit(importId, {
+      plan: entries,
+      summary,
+      committed_by: userId
+    });
+    if (!result) {
+      throw new Error('This import has already been committed');
+    }
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: session.offering_id,
+      action: 'import_attendance',
+      metadata: {
+        import_id: importId,
+        session_id: session.id,
+        source_filename: attendanceImport.source_filename,
+        summary,
+        changed: result.changed
+      }
+    });
+
+    const committed = await AttendanceImportModel.findById(importId);
+    return { ...committed, changed: result.changed };
+  }
+
+  /**
+   * Revert a committed import
+   * @param {string} importId - Import ID
+   * @param {string} userId - Staff user ID
+   * @param {Object} [data] - { force?: boolean } overwrite records edited since the commit
+   * @returns {Promise<Object>} { reverted, conflicts, import } - reverted is false when
+   *   records were edited since the commit and force was not set
+   */
+  static async revertImport(importId, userId, { force = false } = {}) {
+    const attendanceImport = await this._getImport(importId, userId, 'attendance.mark');
+    this._assertStatus(attendanceImport, 'committed');
+
+    const result = await AttendanceImportModel.revert(importId, {
+      reverted_by: userId,
+      force: force === true
+    });
+    if (!result) {
+      throw new Error('Only committed imports can be reverted');
+    }
+
+    if (result.conflicts.length > 0 && force !== true) {
+      return { reverted: false, conflicts: result.conflicts, import: attendanceImport };
+    }
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: attendanceImport.offering_id,
+      action: 'revert_attendance_import',
+      metadata: {
+        import_id: importId,
+        session_id: attendanceImport.session_id,
+        reverted: result.reverted,
+        overwritten: result.conflicts.length
+      }
+    });
+
+    return {
+      reverted: true,
+      conflicts: result.conflicts,
+      import: await AttendanceImportModel.findById(importId)
+    };
+  }
+
+  /**
+   * Get an import with its plan and, once committed, the changes it made
+   */
+  static async getImport(importId, userId) {
+    const attendanceImport = await this._getImport(importId, userId, 'attendance.view');
+    const changes = attendanceImport.status === 'previewed'
+      ? []
+      : await AttendanceImportModel.getChanges(importId);
+    return { ...attendanceImport, changes };
+  }
+
+  /**
+   * Get the imports for a session, newest first
+   */
+  static async getSessionImports(sessionId, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const canView = await PermissionService.hasPermission(userId, 'attendance.view', session.offering_id);
+    if (!canView) {
+      throw new Error('Not authorized to view imports for this session');
+    }
+
+    return await AttendanceImportModel.findBySessionId(sessionId);
+  }
+
+  /**
+   * Match the rows against the roster and the session's current attendance
+   */
+  static async _buildPlan(session, rows, options = {}, overrides = null) {
+    const [students, existing] = await Promise.all([
+      AttendanceImportModel.findRoster(session),
+      AttendanceImportModel.findSessionAttendance(session.id)
+    ]);
+
+    return buildImportPlan({
+      rows,
+      students,
+      existing,
+      sessionStart: getSessionStart(session),
+      // Team meetings have no timing rules; everyone who joined is present
+      rules: session.team_id
+        ? null
+        : resolveAttendanceRules(session.offering_attendance_rules, session.attendance_rules),
+      timeZone: session.timezone || DEFAULT_TIMEZONE,
+      minDurationMinutes: options.min_duration_minutes ?? null,
+      overrides: this._normalizeOverrides(overrides, students)
+    });
+  }
+
+  /**
+   * Validate instructor match overrides: row number → roster user ID, or null to skip the row
+   */
+  static _normalizeOverrides(overrides, students) {
+    if (overrides === null || overrides === undefined) return {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('overrides must be an object of row number → user ID');
+    }
+
+    const rosterIds = new Set(students.map((student) => student.id));
+    const normalized = {};
+    for (const [rowNumber, userId] of Object.entries(overrides)) {
+      if (!/^\d+$/.test(rowNumber)) {
+        throw new Error(`overrides has an invalid row number: ${rowNumber}`);
+      }
+      if (userId !== null && !rosterIds.has(userId)) {
+        throw new Error(`overrides row ${rowNumber} is not a student on this session's roster`);
+      }
+      normalized[rowNumber] = userId;
+    }
+    return normalized;
+  }
+
+  static _normalizeMinDuration(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_MIN_DURATION_MINUTES) {
+      throw new Error(`min_duration_minutes must be an integer between 0 and ${MAX_MIN_DURATION_MINUTES}`);
+    }
+    return minutes || null;
+  }
+
+  static _assertStatus(attendanceImport, expected) {
+    if (attendanceImport.status === expected) return;
+    if (attendanceImport.status === 'reverted') {
+      throw new Error('This import has already been reverted');
+    }
+    if (attendanceImport.status === 'committed') {
+      throw new Error('This import has already been committed');
+    }
+    throw new Error('Only committed imports can be reverted');
+  }
+
+  static async _assertCanImport(userId, offeringId) {
+    const canImport = await PermissionService.hasPermission(userId, 'attendance.mark', offeringId);
+    if (!canImport) {
+      throw new Error('Not authorized to import attendance for this session');
+    }
+  }
+
+  /**
+   * Load an import and check the user's permission on its course
+   */
+  static async _getImport(importId, userId, permission) {
+    const attendanceImport = await AttendanceImportModel.findById(importId);
+    if (!attendanceImport) {
+      throw new Error('Import not found');
+    }
+
+    if (permission === 'attendance.mark') {
+      await this._assertCanImport(userId, attendanceImport.offering_id);
+    } else {
+      const canView = await PermissionService.hasPermission(userId, permission, attendanceImport.offering_id);
+      if (!canView) {
+        throw new Error('Not authorized to view this import');
+      }
+    }
+
+    return attendanceImport;
+  }
+}
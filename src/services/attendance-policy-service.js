@@ -0,0 +1,280 @@
+import { AttendancePolicyModel } from '../models/attendance-policy-model.js';
+import { AttendanceModel } from '../models/attendance-model.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { pool } from '../db.js';
+import { normalizePolicy, windowStartDate, evaluatePolicy } from '../utils/attendance-policies.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Attendance Policy Service - Per-offering attendance thresholds and at-risk flags
+ * Policies are evaluated on top of the attendance statistics whenever a session closes
+ * and whenever the at-risk list is loaded, so flags raise and resolve themselves;
+ * acknowledging a flag is the only manual step.
+ */
+export class AttendancePolicyService {
+  /**
+   * Get the policies for an offering
+   */
+  static async getPolicies(offeringId) {
+    return await AttendancePolicyModel.findByOfferingId(offeringId);
+  }
+
+  /**
+   * Create a policy
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} data - { name?, metric, threshold, window_days?, is_active? }
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Created policy
+   */
+  static async createPolicy(offeringId, data, userId) {
+    const policy = normalizePolicy(data);
+
+    const created = await AttendancePolicyModel.create({
+      ...policy,
+      offering_id: offeringId,
+      created_by: userId
+    });
+
+    await AuditService.logActivity({
+      userId,
+      offeringId,
+      action: 'update_attendance_policy',
+      metadata: { policy_id: created.id, created: true, policy }
+    });
+
+    return created;
+  }
+
+  /**
+   * Replace a policy's rule, or enable/disable it
+   * Disabling a policy resolves its unresolved flags; the flags stay in the history.
+   * @param {string} policyId - Policy ID
+   * @param {Object} data - { name?, metric, threshold, window_days?, is_active? }
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Updated policy
+   */
+  static async updatePolicy(policyId, data, userId) {
+    const existing = await AttendancePolicyModel.findById(policyId);
+    if (!existing) {
+      throw new Error('Policy not found');
+    }
+
+    const canManage = await PermissionService.hasPermission(userId, 'course.manage', existing.offering_id);
+    if (!canManage) {
+      throw new Error('Not authorized to manage attendance policies for this course');
+    }
+
+    const policy = normalizePolicy({
+      name: existing.name,
+      metric: existing.metric,
+      threshold: existing.threshold,
+      window_days: existing.window_days,
+      is_active: existing.is_active,
+      ...data
+    });
+
+    const updated = await AttendancePolicyModel.update(policyId, { ...policy, updated_by: userId });
+
+    if (!updated.is_active) {
+      const unresolved = await AttendancePolicyModel.findUnresolvedFlags(policyId);
+      await AttendancePolicyModel.syncFlags(updated, {
+        resolve: unresolved.map((flag) => ({ flag_id: flag.id, value: flag.metric_value })),
+        note: 'Policy disabled'
+      });
+    }
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: existing.offering_id,
+      action: 'update_attendance_policy',
+      metadata: { policy_id: policyId, policy }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Evaluate the active policies for an offering and raise/resolve flags
+   * @param {string} offeringId - Course offering ID
+   * @param {Date} [now] - Evaluation time (anchors the policy windows)
+   * @returns {Promise<{ raised: number, resolved: number }>}
+   */
+  static async evaluateOffering(offeringId, now = new Date()) {
+    const policies = await AttendancePolicyModel.findByOfferingId(offeringId, { activeOnly: true });
+    if (policies.length === 0) {
+      return { raised: 0, resolved: 0 };
+    }
+
+    const { rows } = await pool.query('SELECT timezone FROM course_offerings WHERE id = $1', [offeringId]);
+    const timeZone = rows[0]?.timezone || DEFAULT_TIMEZONE;
+
+    // Policies that share a window share one statistics query
+    const countsByWindow = new Map();
+    const totals = { raised: 0, resolved: 0 };
+
+    for (const policy of policies) {
+      const windowKey = policy.window_days || 0;
+      if (!countsByWindow.has(windowKey)) {
+        countsByWindow.set(windowKey, await AttendanceModel.getStudentStatusCounts(offeringId, {
+          since: windowStartDate(policy.window_days, now, timeZone)
+        }));
+      }
+
+      const result = await this._syncPolicy(policy, countsByWindow.get(windowKey));
+      totals.raised += result.raised;
+      totals.resolved += result.resolved;
+    }
+
+    return totals;
+  }
+
+  /**
+   * Get the at-risk list for an offering: students with unresolved flags, each with their flags
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { user_ids } limit to these students
+   * @returns {Promise<Array>} [{ user_id, user_name, user_email, flags: [...] }]
+   */
+  static async getAtRiskStudents(offeringId, options = {}) {
+    await this.evaluateOffering(offeringId);
+    const flags = await AttendancePolicyModel.findAtRiskFlags(offeringId, options);
+    return groupFlagsByStudent(flags);
+  }
+
+  /**
+   * Acknowledge an open flag
+   * @param {string} flagId - Flag ID
+   * @param {string} userId - Staff user ID
+   * @param {string|null} [note] - What was done about it, e.g. "Emailed student"
+   * @returns {Promise<Object>} Updated flag
+   */
+  static async acknowledgeFlag(flagId, userId, note = null) {
+    const flag = await this._getFlag(flagId, userId, 'attendance.mark');
+
+    if (note !== null && note !== undefined && typeof note !== 'string') {
+      throw new Error('note must be a string');
+    }
+    const trimmedNote = note ? note.trim() : '';
+    if (trimmedNote.length > MAX_NOTE_LENGTH) {
+      throw new Error(`note must be ${MAX_NOTE_LENGTH} characters or fewer`);
+    }
+
+    if (flag.status !== 'open') {
+      throw new Error(flag.status === 'resolved'
+        ? 'This flag has already been resolved'
+        : 'This flag has already been acknowledged');
+    }
+
+    const updated = await AttendancePolicyModel.acknowledgeFlag(flagId, {
+      actor_id: userId,
+      note: trimmedNote || null
+    });
+    if (!updated) {
+      throw new Error('This flag has already been acknowledged');
+    }
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: flag.offering_id,
+      action: 'acknowledge_risk_flag',
+      metadata: {
+        flag_id: flagId,
+        policy_id: flag.policy_id,
+        student_id: flag.user_id,
+        metric_value: flag.metric_value
+      }
+    });
+
+    return await AttendancePolicyModel.findFlagById(flagId);
+  }
+
+  /**
+   * Get a flag with its history
+   */
+  static async getFlag(flagId, userId) {
+    const flag = await this._getFlag(flagId, userId, 'attendance.view');
+    const history = await AttendancePolicyModel.getFlagHistory(flagId);
+    return { ...flag, history };
+  }
+
+  /**
+   * Diff one policy's results against its unresolved flags
+   */
+  static async _syncPolicy(policy, counts) {
+    const unresolved = await AttendancePolicyModel.findUnresolvedFlags(policy.id);
+    const flagsByUser = new Map(unresolved.map((flag) => [flag.user_id, flag]));
+
+    const raise = [];
+    const refresh = [];
+    const resolve = [];
+
+    for (const student of counts) {
+      const { triggered, value } = evaluatePolicy(policy, student);
+      const flag = flagsByUser.get(student.user_id);
+      flagsByUser.delete(student.user_id);
+
+      if (triggered && !flag) {
+        raise.push({ user_id: student.user_id, value });
+      } else if (triggered && Number(flag.metric_value) !== value) {
+        refresh.push({ flag_id: flag.id, value });
+      } else if (!triggered && flag) {
+        resolve.push({ flag_id: flag.id, value });
+      }
+    }
+
+    // Students who left the course are no longer at risk
+    for (const flag of flagsByUser.values()) {
+      resolve.push({ flag_id: flag.id, value: flag.metric_value });
+    }
+
+    if (raise.length === 0 && refresh.length === 0 && resolve.length === 0) {
+      return { raised: 0, resolved: 0 };
+    }
+    return await AttendancePolicyModel.syncFlags(policy, { raise, refresh, resolve });
+  }
+
+  static async _getFlag(flagId, userId, permission) {
+    const flag = await AttendancePolicyModel.findFlagById(flagId);
+    if (!flag) {
+      throw new Error('Risk flag not found');
+    }
+
+    const allowed = await PermissionService.hasPermission(userId, permission, flag.offering_id);
+    if (!allowed) {
+      throw new Error('Not authorized to manage at-risk flags for this course');
+    }
+    return flag;
+  }
+}
+
+/**
+ * Group at-risk flags (ordered by student) into one entry per student
+ */
+function groupFlagsByStudent(flags) {
+  const students = new Map();
+  for (const flag of flags) {
+    if (!students.has(flag.user_id)) {
+      students.set(flag.user_id, {
+        user_id: flag.user_id,
+        user_name: flag.user_name,
+        user_email: flag.user_email,
+        flags: []
+      });
+    }
+    students.get(flag.user_id).flags.push({
+      id: flag.id,
+      policy_id: flag.policy_id,
+      policy_name: flag.policy_name,
+      metric: flag.metric,
+      metric_value: flag.metric_value === null ? null : Number(flag.metric_value),
+      status: flag.status,
+      raised_at: flag.raised_at,
+      acknowledged_at: flag.acknowledged_at,
+      acknowledged_by_name: flag.acknowledged_by_name,
+      acknowledgement_note: flag.acknowledgement_note
+    });
+  }
+  return [...students.values()];
+}
@@ -2,24 +2,126 @@ import { AttendanceModel } from '../models/attendance-model.js';
 import { SessionModel } from '../models/session-model.js';
 import { SessionResponseModel } from '../models/session-response-model.js';
 import { SessionService } from './session-service.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { AttendancePolicyService } from './attendance-policy-service.js';
 import { pool } from '../db.js';
+import {
+  resolveAttendanceRules,
+  getSessionStart,
+  classifyCheckIn
+} from '../utils/attendance-rules.js';
+import {
+  normalizeParticipationFormula,
+  buildGradebookMatrix,
+  gradebookToCsv
+} from '../utils/gradebook.js';
+import { toZonedParts, DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import {
+  normalizeCheckInConstraints,
+  normalizeClientIp,
+  normalizeLocation,
+  evaluateCheckIn,
+  hasGeofence
+} from '../utils/checkin-constraints.js';
+import { normalizeModality, statusForModality } from '../utils/attendance-modality.js';
+
+const FLAG_REVIEW_DECISIONS = ['approved', 'rejected'];
+const GRADEBOOK_LAYOUTS = ['full', 'canvas'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the effective timing rules and start time for a session
+ * Falls back to loading the offering rules when the session row doesn't carry them
+ */
+async function getSessionTiming(session) {
+  let offeringRules = session.offering_attendance_rules;
+  if (offeringRules === undefined) {
+    const { rows } = await pool.query(
+      'SELECT attendance_rules FROM course_offerings WHERE id = $1',
+      [session.offering_id]
+    );
+    offeringRules = rows[0]?.attendance_rules || null;
+  }
+
+  return {
+    rules: resolveAttendanceRules(offeringRules, session.attendance_rules),
+    sessionStart: getSessionStart(session)
+  };
+}
+
+/**
+ * Convert a rule in minutes into an absolute cut-off time
+ */
+function minutesAfter(start, minutes) {
+  if (!start || minutes === undefined) return null;
+  return new Date(start.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * The modality to store with a status: only attendance has one
+ */
+function recordedModality(status, modality) {
+  return status === 'present' || status === 'late' ? normalizeModality(modality) : null;
+}
+
+/**
+ * Check a self check-in against the session's subnet/geofence constraints
+ * Returns the attendance columns to store with the check-in.
+ * @throws {Error} 'Location is required to check in to this session' when the session has
+ *   a geofence and the browser neither sent a location nor reported that it can't
+ */
+function evaluateCheckInContext(session, context) {
+  const constraints = normalizeCheckInConstraints(session.checkin_constraints);
+  const ip = normalizeClientIp(context.ip);
+  const location = normalizeLocation(context.location);
+  const venue = { latitude: session.offering_latitude, longitude: session.offering_longitude };
+
+  if (hasGeofence(constraints, venue) && !location && !context.locationUnavailable) {
+    throw new Error('Location is required to check in to this session');
+  }
+
+  const { reasons, distance_meters } = evaluateCheckIn(constraints, { ip, location, venue });
+
+  return {
+    checkin_ip: ip,
+    checkin_latitude: location?.latitude ?? null,
+    checkin_longitude: location?.longitude ?? null,
+    checkin_accuracy_meters: location?.accuracy ?? null,
+    checkin_distance_meters: distance_meters,
+    is_flagged: reasons.length > 0,
+    flag_reasons: reasons
+  };
+}
 
 /**
  * Attendance Service - Business logic for attendance tracking
  */
 export class AttendanceService {
   /**
-   * Student check-in with access code
+   * Student check-in with an access code or a rotating QR token
+   * context carries what the request knows about where the student is:
+   * { ip, location: { latitude, longitude, accuracy }, locationUnavailable }.
+   * Check-ins that fail a session constraint are recorded but flagged for review.
+   * context.modality is 'in_person' (default) or 'remote'; remote check-ins need a session
+   * with a remote join link and skip the subnet/geofence constraints.
    */
-  static async checkIn(accessCode, userId) {
-    // Verify access code
-    const verification = await SessionService.verifyAccessCode(accessCode);
+  static async checkIn(credential, userId, context = {}) {
+    const modality = normalizeModality(context.modality);
+    if (modality === 'recording') {
+      throw new Error('Recording views are recorded by course staff');
+    }
+
+    // Verify access code or QR token
+    const verification = await SessionService.verifyCheckInCredential(credential);
     
     if (!verification.valid) {
       throw new Error(verification.message);
     }
 
     const session = verification.session;
+    // QR tokens are recorded as the session's access code so reports stay readable
+    const accessCode = session.access_code;
 
     // For team meetings, check if user is a team member
     // For regular sessions, check if user is enrolled as a student
@@ -49,31 +151,131 @@ export class AttendanceService {
 
     // Check if already checked in
     const existing = await AttendanceModel.findBySessionAndUser(session.id, userId);
-    
-    if (existing) {
-      // Update to present if was marked absent
-      if (existing.status === 'absent') {
-        return await AttendanceModel.update(existing.id, {
-          status: 'present',
-          checked_in_at: new Date(),
-          access_code_used: accessCode
-        });
-      }
-      
+
+    if (existing && existing.status !== 'absent') {
       return existing; // Already checked in
     }
 
-    // All check-ins are marked as present
-    const status = 'present';
+    if (existing?.flag_review_status === 'rejected') {
+      throw new Error('Your check-in for this session was rejected by the instructor');
+    }
+
+    if (modality === 'remote' && !session.remote_join_url) {
+      throw new Error('This session has no remote option');
+    }
+
+    // Team meetings are closed by the lead, so timing rules only apply to lectures
+    const checkedInAt = new Date();
+    const { rules, sessionStart } = await getSessionTiming(session);
+    let status = 'present';
+    if (!session.team_id) {
+      status = classifyCheckIn(sessionStart, checkedInAt, rules);
+    }
+
+    if (status === 'rejected') {
+      throw new Error('The check-in window for this session has closed');
+    }
+    status = statusForModality(status, modality, rules);
+
+    // Remote students are elsewhere by design, so only in-room check-ins are held to the constraints
+    const checkInDetails = modality === 'remote'
+      ? { checkin_ip: normalizeClientIp(context.ip) }
+      : evaluateCheckInContext(session, context);
+
+    if (existing) {
+      // Update the absent record with the check-in
+      return await AttendanceModel.update(existing.id, {
+        status,
+        checked_in_at: checkedInAt,
+        access_code_used: accessCode,
+        modality,
+        source: 'check_in',
+        ...checkInDetails
+      });
+    }
 
     // Create attendance record
     return await AttendanceModel.create({
       session_id: session.id,
       user_id: userId,
       status,
-      checked_in_at: new Date(),
-      access_code_used: accessCode
+      checked_in_at: checkedInAt,
+      access_code_used: accessCode,
+      modality,
+      source: 'check_in',
+      ...checkInDetails
+    });
+  }
+
+  /**
+   * Get the flagged ("suspicious") check-ins for a session
+   */
+  static async getFlaggedCheckIns(sessionId) {
+    const session = await SessionModel.findById(sessionId);
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const flagged = await AttendanceModel.findFlaggedBySession(sessionId);
+    return {
+      session_id: sessionId,
+      checkin_constraints: session.checkin_constraints || null,
+      pending_count: flagged.filter(a => !a.flag_review_status).length,
+      flagged
+    };
+  }
+
+  /**
+   * Approve or reject a flagged check-in
+   * Approving keeps the recorded status; rejecting marks the student absent.
+   */
+  static async reviewFlaggedCheckIn(attendanceId, reviewerId, decision) {
+    if (!FLAG_REVIEW_DECISIONS.includes(decision)) {
+      throw new Error(`decision must be one of: ${FLAG_REVIEW_DECISIONS.join(', ')}`);
+    }
+
+    const attendance = await AttendanceModel.findById(attendanceId);
+    if (!attendance) {
+      throw new Error('Attendance record not found');
+    }
+    if (!attendance.is_flagged) {
+      throw new Error('This check-in is not flagged');
+    }
+
+    const session = await SessionModel.findById(attendance.session_id);
+    const canReview = await PermissionService.hasPermission(
+      reviewerId,
+      'attendance.mark',
+      session?.offering_id
+    );
+    if (!canReview) {
+      throw new Error('Not authorized to review this check-in');
+    }
+
+    const updated = await AttendanceModel.reviewFlag(attendanceId, {
+      review_status: decision,
+      reviewed_by: reviewerId,
+      status: decision === 'rejected' ? 'absent' : null
     });
+    if (!updated) {
+      throw new Error('This check-in has already been reviewed');
+    }
+
+    await AuditService.logActivity({
+      userId: reviewerId,
+      offeringId: session.offering_id,
+      action: 'review_flagged_checkin',
+      metadata: {
+        attendance_id: attendanceId,
+        session_id: attendance.session_id,
+        student_id: attendance.user_id,
+        flag_reasons: attendance.flag_reasons,
+        decision
+      }
+    });
+
+    return updated;
   }
 
   /**
@@ -138,8 +340,10 @@ export class AttendanceService {
 
   /**
    * Mark attendance manually (professor/TA)
+   * modality defaults to in_person for present and late; remote or recording attendance the
+   * course doesn't count is stored as absent.
    */
-  static async markAttendance(sessionId, userId, status) {
+  static async markAttendance(sessionId, userId, status, modality = null) {
     const session = await SessionModel.findById(sessionId);
     
     if (!session) {
@@ -158,26 +362,40 @@ export class AttendanceService {
       throw new Error('Student is not enrolled in this course');
     }
 
+    const recorded = recordedModality(status, modality);
+    const { rules } = await getSessionTiming(session);
+
     // Create or update attendance
     return await AttendanceModel.upsert({
       session_id: sessionId,
       user_id: userId,
-      status,
-      checked_in_at: status === 'present' ? new Date() : null
+      status: statusForModality(status, recorded, rules),
+      checked_in_at: status === 'present' ? new Date() : null,
+      modality: recorded,
+      source: 'manual'
     });
   }
 
   /**
    * Update attendance status
+   * Without a modality the record keeps its own (in_person if it had none).
    */
-  static async updateAttendanceStatus(attendanceId, status) {
+  static async updateAttendanceStatus(attendanceId, status, modality = null) {
     const attendance = await AttendanceModel.findById(attendanceId);
     
     if (!attendance) {
       throw new Error('Attendance record not found');
     }
 
-    return await AttendanceModel.updateStatus(attendanceId, status);
+    const recorded = recordedModality(status, modality || attendance.modality);
+    const session = await SessionModel.findById(attendance.session_id);
+    const { rules } = await getSessionTiming(session);
+
+    return await AttendanceModel.update(attendanceId, {
+      status: statusForModality(status, recorded, rules),
+      modality: recorded,
+      source: 'manual'
+    });
   }
 
   /**
@@ -194,6 +412,62 @@ export class AttendanceService {
     return await AttendanceModel.getCourseAttendanceSummary(offeringId);
   }
 
+  /**
+   * Build the attendance gradebook (students × sessions) for a course offering
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { from, to } session date bounds (YYYY-MM-DD)
+   * @returns {Promise<Object>} { offering, formula, sessions, students }
+   */
+  static async getGradebook(offeringId, options = {}) {
+    const { from = null, to = null } = options;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !DATE_PATTERN.test(value)) {
+        throw new Error(`${name} must be a date like 2025-01-31`);
+      }
+    }
+
+    const { rows } = await pool.query(
+      'SELECT id, code, name, timezone, participation_formula FROM course_offerings WHERE id = $1',
+      [offeringId]
+    );
+    const offering = rows[0];
+    if (!offering) {
+      throw new Error('Course offering not found');
+    }
+
+    const formula = normalizeParticipationFormula(offering.participation_formula);
+    const data = await AttendanceModel.getGradebookData(offeringId, { from: from || null, to: to || null });
+
+    return {
+      offering: { id: offering.id, code: offering.code, name: offering.name, timezone: offering.timezone },
+      formula,
+      sessions: data.sessions,
+      students: buildGradebookMatrix(data, formula)
+    };
+  }
+
+  /**
+   * Export the attendance gradebook as a Canvas-compatible CSV
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { from, to, layout: 'full' | 'canvas' }
+   * @returns {Promise<{ filename: string, csv: string }>}
+   */
+  static async exportGradebookCsv(offeringId, options = {}) {
+    const layout = options.layout || 'full';
+    if (!GRADEBOOK_LAYOUTS.includes(layout)) {
+      throw new Error(`layout must be one of: ${GRADEBOOK_LAYOUTS.join(', ')}`);
+    }
+
+    const gradebook = await this.getGradebook(offeringId, options);
+    const today = toZonedParts(new Date(), gradebook.offering.timezone || DEFAULT_TIMEZONE).date;
+    const code = (gradebook.offering.code || 'course').replaceAll(/[^A-Za-z0-9]+/g, '-');
+
+    return {
+      filename: `${code}-attendance-gradebook-${today}.csv`,
+      csv: gradebookToCsv(gradebook, { layout })
+    };
+  }
+
   /**
    * Mark all non-checked-in students as absent
    */
@@ -204,18 +478,41 @@ export class AttendanceService {
       throw new Error('Session not found');
     }
 
+    // Finalize self check-ins against the timing rules before marking absentees
+    let reclassified = [];
+    if (!session.team_id) {
+      const { rules, sessionStart } = await getSessionTiming(session);
+      if (sessionStart && (rules.present_minutes !== undefined || rules.late_minutes !== undefined)) {
+        reclassified = await AttendanceModel.applyTimingRules(
+          sessionId,
+          minutesAfter(sessionStart, rules.present_minutes),
+          minutesAfter(sessionStart, rules.late_minutes)
+        );
+      }
+    }
+
     // Mark remaining students as absent
     const absentStudents = await AttendanceModel.markAbsentStudents(sessionId);
 
     // Close attendance
     await SessionModel.closeAttendance(sessionId, userId);
 
+    // Re-evaluate attendance policies now that the absences are final
+    if (!session.team_id) {
+      try {
+        await AttendancePolicyService.evaluateOffering(session.offering_id);
+      } catch (error) {
+        console.error('Error evaluating attendance policies:', error);
+      }
+    }
+
     // Get updated session with closed timestamp
     const updatedSession = await SessionModel.findById(sessionId);
 
     return {
       session: updatedSession,
       markedAbsent: absentStudents.length,
+      markedLate: reclassified.filter(a => a.status === 'late').length,
       absentStudents
     };
   }
@@ -247,8 +544,9 @@ export class AttendanceService {
     // Get attendance for all students
     const attendanceRecords = await AttendanceModel.findBySessionId(sessionId);
     
-    // Get responses for all students
-    const responses = await SessionResponseModel.findBySessionId(sessionId);
+    // Get responses for all students (anonymous questions can't be tied to a student)
+    const responses = (await SessionResponseModel.findBySessionId(sessionId))
+      .filter(r => !r.is_anonymous);
 
     // Build report
     const report = students.map(student => {
@@ -287,14 +585,19 @@ export class AttendanceService {
 
   /**
    * Bulk import attendance from CSV/array
+   * @param {string} sessionId - Session ID
+   * @param {Object[]} attendanceData - { email, ucsd_pid, status?, checked_in_at?, modality? }
+   * @param {Object} [options] - { source: how the records were taken, 'import' or 'paper' }
    */
-  static async bulkImportAttendance(sessionId, attendanceData) {
+  static async bulkImportAttendance(sessionId, attendanceData, { source = 'import' } = {}) {
     const session = await SessionModel.findById(sessionId);
     
     if (!session) {
       throw new Error('Session not found');
     }
 
+    const { rules, sessionStart } = await getSessionTiming(session);
+
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
@@ -320,12 +623,25 @@ export class AttendanceService {
 
         const userId = userResult.rows[0].id;
 
+        // Rows without an explicit status are classified by their check-in time;
+        // check-ins past the late cut-off are recorded as absent
+        const checkedInAt = record.checked_in_at || new Date();
+        let status = record.status || 'present';
+        if (!record.status && record.checked_in_at && !session.team_id) {
+          const classified = classifyCheckIn(sessionStart, checkedInAt, rules);
+          status = classified === 'rejected' ? 'absent' : classified;
+        }
+
+        const modality = recordedModality(status, record.modality);
+
         // Create or update attendance
         const attendance = await AttendanceModel.upsert({
           session_id: sessionId,
           user_id: userId,
-          status: record.status || 'present',
-          checked_in_at: record.checked_in_at || new Date()
+          status: statusForModality(status, modality, rules),
+          checked_in_at: checkedInAt,
+          modality,
+          source
         });
 
         results.push({
@@ -0,0 +1,139 @@
+import { AttendanceSheetModel } from '../models/attendance-sheet-model.js';
+import { SessionModel } from '../models/session-model.js';
+import { AttendanceService } from './attendance-service.js';
+import { SessionService } from './session-service.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { getSessionStart } from '../utils/attendance-rules.js';
+import {
+  SHEET_CODE_LENGTH,
+  parseSheetCodes,
+  matchSheetCodes
+} from '../utils/attendance-sheet.js';
+
+// Statuses a transcribed code must not overwrite, including an approved excuse
+const RECORDED_STATUSES = ['present', 'late', 'excused'];
+
+/**
+ * Attendance Sheet Service - Printable sign-in sheets for when check-in is down
+ * Each student gets a verification code per session, printed next to their name. Codes
+ * transcribed from the signed sheet are recorded through the same path as a bulk import,
+ * with the attendance source marked as paper.
+ */
+export class AttendanceSheetService {
+  /**
+   * Get a session's sign-in sheet, issuing codes to students who don't have one yet
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} { session, entries: [{ user_id, name, email, ucsd_pid, code, attendance_status }] }
+   */
+  static async getSheet(sessionId, userId) {
+    const session = await this._getSession(sessionId, userId);
+
+    let entries = await AttendanceSheetModel.findEntries(session.id, session.offering_id);
+    const missing = entries.filter((entry) => !entry.code);
+    if (missing.length > 0) {
+      const taken = new Set(entries.map((entry) => entry.code).filter(Boolean));
+      const codes = missing.map((entry) => ({ user_id: entry.user_id, code: this._newCode(taken) }));
+      await AttendanceSheetModel.addCodes(session.id, codes);
+      entries = await AttendanceSheetModel.findEntries(session.id, session.offering_id);
+    }
+
+    return {
+      session: {
+        id: session.id,
+        title: session.title,
+        session_date: session.session_date,
+        session_time: session.session_time,
+        course_code: session.course_code || null,
+        course_name: session.course_name || null
+      },
+      entries
+    };
+  }
+
+  /**
+   * Record attendance from codes students wrote on the sheet
+   * Students already marked present, late or excused are left as they are.
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Staff user ID
+   * @param {string|string[]} input - Transcribed codes, as a list or text
+   * @returns {Promise<Object>} { recorded, already_recorded, unknown, repeated }
+   */
+  static async transcribe(sessionId, userId, input) {
+    const codes = parseSheetCodes(input);
+    if (codes.length === 0) {
+      throw new Error('Enter at least one code');
+    }
+
+    const session = await this._getSession(sessionId, userId);
+    const entries = await AttendanceSheetModel.findEntries(session.id, session.offering_id);
+    const { matched, unknown, repeated } = matchSheetCodes(
+      codes,
+      entries.filter((entry) => entry.code)
+    );
+
+    const alreadyRecorded = matched.filter((entry) => RECORDED_STATUSES.includes(entry.attendance_status));
+    const toRecord = matched.filter((entry) => !alreadyRecorded.includes(entry));
+
+    if (toRecord.length > 0) {
+      const checkedInAt = getSessionStart(session) || new Date();
+      await AttendanceService.bulkImportAttendance(
+        session.id,
+        toRecord.map((entry) => ({
+          email: entry.email,
+          ucsd_pid: entry.ucsd_pid,
+          status: 'present',
+          checked_in_at: checkedInAt,
+          modality: 'in_person'
+        })),
+        { source: 'paper' }
+      );
+
+      await AuditService.logActivity({
+        userId,
+        offeringId: session.offering_id,
+        action: 'import_attendance',
+        metadata: {
+          session_id: session.id,
+          source: 'paper',
+          recorded: toRecord.length,
+          unknown_codes: unknown.length
+        }
+      });
+    }
+
+    const summary = (entry) => ({ user_id: entry.user_id, name: entry.name, code: entry.code });
+    return {
+      recorded: toRecord.map(summary),
+      already_recorded: alreadyRecorded.map(summary),
+      unknown,
+      repeated
+    };
+  }
+
+  static _newCode(taken) {
+    let code;
+    do {
+      code = SessionService.generateAccessCode(SHEET_CODE_LENGTH);
+    } while (taken.has(code));
+    taken.add(code);
+    return code;
+  }
+
+  static async _getSession(sessionId, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const canMark = await PermissionService.hasPermission(userId, 'attendance.mark', session.offering_id);
+    if (!canMark) {
+      throw new Error('Not authorized to take attendance for this session');
+    }
+    if (session.team_id) {
+      throw new Error('Sign-in sheets are only available for lectures');
+    }
+    return session;
+  }
+}
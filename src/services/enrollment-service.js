@@ -202,14 +202,26 @@ export class EnrollmentService {
     );
     
     // Remove from all team_members in this offering
-    await pool.query(
+    const { rows: leftTeams } = await pool.query(
       `UPDATE team_members 
        SET left_at = NOW(), removed_by = $3::uuid
        WHERE user_id = $1::uuid 
          AND left_at IS NULL
-         AND team_id IN (SELECT id FROM team WHERE offering_id = $2::uuid)`,
+         AND team_id IN (SELECT id FROM team WHERE offering_id = $2::uuid)
+       RETURNING team_id, role`,
       [userId, offeringId, updatedBy]
     );
+
+    const { TeamMembershipModel } = await import('../models/team-membership-model.js');
+    for (const membership of leftTeams) {
+      await TeamMembershipModel.recordEvent({
+        event_type: 'left',
+        user_id: userId,
+        from_team_id: membership.team_id,
+        role: membership.role,
+        performed_by: updatedBy
+      });
+    }
     
     // Sync leader_ids for all teams where user was a leader
     const { syncTeamLeaderIds } = await import('../utils/team-leader-sync.js');
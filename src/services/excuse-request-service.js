@@ -0,0 +1,263 @@
+import { pool } from '../db.js';
+import { ExcuseRequestModel } from '../models/excuse-request-model.js';
+import { SessionModel } from '../models/session-model.js';
+import { AttendanceModel } from '../models/attendance-model.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+
+const MAX_REASON_LENGTH = 2000;
+const REVIEW_DECISIONS = ['approved', 'denied'];
+const REQUEST_STATUSES = ['pending', 'approved', 'denied', 'withdrawn'];
+
+/**
+ * Excuse Request Service - Business logic for excused-absence requests
+ * Students submit a reason (and optional attachment) for a session; staff with
+ * attendance.mark approve or deny. Approval marks the attendance as 'excused'.
+ */
+export class ExcuseRequestService {
+  /**
+   * Submit an excuse request for a session
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Student user ID
+   * @param {Object} data - { reason, attachment?: { path, name, mime_type } }
+   * @returns {Promise<Object>} Created request
+   */
+  static async submitRequest(sessionId, userId, { reason, attachment = null }) {
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (!trimmedReason) {
+      throw new Error('reason is required');
+    }
+    if (trimmedReason.length > MAX_REASON_LENGTH) {
+      throw new Error(`reason must be ${MAX_REASON_LENGTH} characters or fewer`);
+    }
+
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    await this._assertParticipant(session, userId);
+
+    const attendance = await AttendanceModel.findBySessionAndUser(sessionId, userId);
+    if (attendance?.status === 'excused') {
+      throw new Error('Attendance for this session is already excused');
+    }
+
+    const existing = await ExcuseRequestModel.findPendingBySessionAndUser(sessionId, userId);
+    if (existing) {
+      throw new Error('An excuse request for this session is already pending');
+    }
+
+    const request = await ExcuseRequestModel.create({
+      session_id: sessionId,
+      user_id: userId,
+      reason: trimmedReason,
+      attachment_path: attachment?.path || null,
+      attachment_name: attachment?.name || null,
+      attachment_mime_type: attachment?.mime_type || null
+    });
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: session.offering_id,
+      action: 'submit_excuse_request',
+      metadata: {
+        request_id: request.id,
+        session_id: sessionId,
+        has_attachment: Boolean(request.attachment_path)
+      }
+    });
+
+    return request;
+  }
+
+  /**
+   * Withdraw a pending request (student who submitted it only)
+   */
+  static async withdrawRequest(requestId, userId) {
+    const request = await ExcuseRequestModel.findById(requestId);
+    if (!request) {
+      throw new Error('Excuse request not found');
+    }
+    if (request.user_id !== userId) {
+      throw new Error('Not authorized to modify this request');
+    }
+    if (request.status !== 'pending') {
+      throw new Error('Only pending requests can be withdrawn');
+    }
+
+    const updated = await ExcuseRequestModel.resolve(requestId, {
+      status: 'withdrawn',
+      actor_id: userId
+    });
+    if (!updated) {
+      throw new Error('Only pending requests can be withdrawn');
+    }
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: request.offering_id,
+      action: 'withdraw_excuse_request',
+      metadata: { request_id: requestId, session_id: request.session_id }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Approve or deny a pending request
+   * @param {string} requestId - Request ID
+   * @param {string} reviewerId - Reviewing staff user ID
+   * @param {string} decision - 'approved' or 'denied'
+   * @param {string|null} note - Optional note shown to the student
+   * @returns {Promise<Object>} Updated request
+   */
+  static async reviewRequest(requestId, reviewerId, decision, note = null) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw new Error(`decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+
+    const request = await ExcuseRequestModel.findById(requestId);
+    if (!request) {
+      throw new Error('Excuse request not found');
+    }
+
+    const canReview = await PermissionService.hasPermission(
+      reviewerId,
+      'attendance.mark',
+      request.offering_id
+    );
+    if (!canReview) {
+      throw new Error('Not authorized to review this request');
+    }
+
+    if (request.status !== 'pending') {
+      throw new Error('This request has already been resolved');
+    }
+
+    const trimmedNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+    const updated = await ExcuseRequestModel.resolve(requestId, {
+      status: decision,
+      actor_id: reviewerId,
+      note: trimmedNote
+    });
+    if (!updated) {
+      throw new Error('This request has already been resolved');
+    }
+
+    await AuditService.logActivity({
+      userId: reviewerId,
+      offeringId: request.offering_id,
+      action: 'review_excuse_request',
+      metadata: {
+        request_id: requestId,
+        session_id: request.session_id,
+        student_id: request.user_id,
+        decision
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Get a request with its history (owner or staff with attendance.view)
+   */
+  static async getRequest(requestId, userId) {
+    const request = await this._getAccessibleRequest(requestId, userId);
+    const history = await ExcuseRequestModel.getHistory(requestId);
+    return { ...request, history };
+  }
+
+  /**
+   * Get the stored attachment for a request (owner or staff with attendance.view)
+   */
+  static async getAttachment(requestId, userId) {
+    const request = await this._getAccessibleRequest(requestId, userId);
+    if (!request.attachment_path) {
+      throw new Error('This request has no attachment');
+    }
+    return {
+      path: request.attachment_path,
+      name: request.attachment_name,
+      mime_type: request.attachment_mime_type
+    };
+  }
+
+  /**
+   * Get the current user's requests
+   */
+  static async getMyRequests(userId, offeringId = null) {
+    return await ExcuseRequestModel.findByUserId(userId, { offering_id: offeringId });
+  }
+
+  /**
+   * Get requests for a course offering (review queue)
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} options - { status?, session_id?, limit?, offset? }
+   */
+  static async getOfferingRequests(offeringId, options = {}) {
+    if (options.status && !REQUEST_STATUSES.includes(options.status)) {
+      throw new Error(`status must be one of: ${REQUEST_STATUSES.join(', ')}`);
+    }
+    return await ExcuseRequestModel.findByOfferingId(offeringId, options);
+  }
+
+  /**
+   * Count pending requests for a course offering
+   */
+  static async countPending(offeringId) {
+    return await ExcuseRequestModel.countPending(offeringId);
+  }
+
+  /**
+   * Load a request and check that the user may see it
+   */
+  static async _getAccessibleRequest(requestId, userId) {
+    const request = await ExcuseRequestModel.findById(requestId);
+    if (!request) {
+      throw new Error('Excuse request not found');
+    }
+
+    if (request.user_id !== userId) {
+      const canView = await PermissionService.hasPermission(
+        userId,
+        'attendance.view',
+        request.offering_id
+      );
+      if (!canView) {
+        throw new Error('Not authorized to view this request');
+      }
+    }
+
+    return request;
+  }
+
+  /**
+   * Ensure the user is expected at the session: a team member for team meetings,
+   * an enrolled student (or team lead) for lectures
+   */
+  static async _assertParticipant(session, userId) {
+    if (session.team_id) {
+      const { rows } = await pool.query(
+        `SELECT 1 FROM team_members
+         WHERE team_id = $1 AND user_id = $2 AND left_at IS NULL`,
+        [session.team_id, userId]
+      );
+      if (rows.length === 0) {
+        throw new Error('You are not a member of this team');
+      }
+      return;
+    }
+
+    const { rows } = await pool.query(
+      `SELECT 1 FROM enrollments
+       WHERE user_id = $1 AND offering_id = $2
+       AND status = 'enrolled' AND course_role IN ('student', 'team-lead')`,
+      [userId, session.offering_id]
+    );
+    if (rows.length === 0) {
+      throw new Error('You are not enrolled in this course');
+    }
+  }
+}
@@ -0,0 +1,168 @@
+import { MeetingMinutesModel } from '../models/meeting-minutes-model.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import {
+  ACTION_ITEM_STATUSES,
+  carriedActionItems,
+  normalizeActionItems,
+  normalizeMinutes
+} from '../utils/meeting-minutes.js';
+
+/**
+ * Meeting Minutes Service - Agenda, notes, decisions and action items for team meetings
+ * Team leads write minutes; the team's members and course staff read them. Open action items
+ * carry into every later meeting's agenda until they are marked done.
+ */
+export class MeetingMinutesService {
+  /**
+   * Get a meeting's minutes, its action items and the items carried in from earlier meetings
+   * @param {string} sessionId - Team meeting session ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} { session, minutes, action_items, carried_action_items, members, can_edit }
+   */
+  static async getForSession(sessionId, userId) {
+    const session = await this._getTeamSession(sessionId);
+    const members = await MeetingMinutesModel.findTeamMembers(session.team_id);
+    const { canView, canEdit } = await this._access(userId, session.offering_id, session.team_id, members);
+    if (!canView) {
+      throw new Error('Not authorized to view these minutes');
+    }
+
+    const [minutes, items] = await Promise.all([
+      MeetingMinutesModel.findBySession(session.id),
+      MeetingMinutesModel.findActionItems(session.team_id)
+    ]);
+
+    return {
+      session,
+      minutes,
+      action_items: items.filter((item) => item.session_id === session.id),
+      carried_action_items: carriedActionItems(items, session),
+      members,
+      can_edit: canEdit
+    };
+  }
+
+  /**
+   * Save a meeting's minutes and the action items raised at it
+   * @param {string} sessionId - Team meeting session ID
+   * @param {Object} input - { agenda?, notes?, decisions?, action_items? }
+   * @param {string} userId - Acting user ID (must lead the team)
+   * @returns {Promise<Object>} The meeting's minutes as from getForSession
+   */
+  static async saveForSession(sessionId, input, userId) {
+    const session = await this._getTeamSession(sessionId);
+    const members = await MeetingMinutesModel.findTeamMembers(session.team_id);
+    const { canEdit } = await this._access(userId, session.offering_id, session.team_id, members);
+    if (!canEdit) {
+      throw new Error('Not authorized: only team leaders can edit meeting minutes');
+    }
+
+    const minutes = normalizeMinutes(input);
+    const items = normalizeActionItems(input.action_items ?? [], {
+      memberIds: members.map((member) => member.user_id)
+    });
+
+    await MeetingMinutesModel.saveForSession(session, minutes, items, userId);
+    await AuditService.logActivity({
+      userId,
+      offeringId: session.offering_id,
+      action: 'record_meeting_minutes',
+      metadata: { session_id: session.id, team_id: session.team_id, action_items: items.length }
+    });
+    return this.getForSession(sessionId, userId);
+  }
+
+  /**
+   * Mark an action item done or reopen it, e.g. when reviewing carried items at a later meeting
+   * @param {string} itemId - Action item ID
+   * @param {Object} input - { status, session_id? } where session_id is the meeting it was closed at
+   * @param {string} userId - Acting user ID (must lead the team)
+   * @returns {Promise<Object>} Updated action item
+   */
+  static async setActionItemStatus(itemId, { status, session_id } = {}, userId) {
+    if (!ACTION_ITEM_STATUSES.includes(status)) {
+      throw new Error('status must be open or done');
+    }
+
+    const item = await MeetingMinutesModel.findActionItemById(itemId);
+    if (!item) {
+      throw new Error('Action item not found');
+    }
+    const team = await MeetingMinutesModel.findTeam(item.team_id);
+    const members = await MeetingMinutesModel.findTeamMembers(item.team_id);
+    const { canEdit } = await this._access(userId, team.offering_id, item.team_id, members);
+    if (!canEdit) {
+      throw new Error('Not authorized: only team leaders can update action items');
+    }
+
+    let closedAt = null;
+    if (status === 'done' && session_id) {
+      const session = await MeetingMinutesModel.findSession(session_id);
+      if (!session || session.team_id !== item.team_id) {
+        throw new Error('Meeting not found for this team');
+      }
+      closedAt = session.id;
+    }
+
+    await MeetingMinutesModel.setActionItemStatus(item.id, status, closedAt);
+    return MeetingMinutesModel.findActionItemById(item.id);
+  }
+
+  /**
+   * Get every meeting's minutes for a team with their action items, for staff and the team
+   * @param {string} teamId - Team ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} { minutes: [{ ..., action_items }], open_action_items }
+   */
+  static async getForTeam(teamId, userId) {
+    const team = await MeetingMinutesModel.findTeam(teamId);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+    const members = await MeetingMinutesModel.findTeamMembers(teamId);
+    const { canView } = await this._access(userId, team.offering_id, teamId, members);
+    if (!canView) {
+      throw new Error('Not authorized to view these minutes');
+    }
+
+    const [minutes, items] = await Promise.all([
+      MeetingMinutesModel.findByTeam(teamId),
+      MeetingMinutesModel.findActionItems(teamId)
+    ]);
+
+    return {
+      minutes: minutes.map((entry) => ({
+        ...entry,
+        action_items: items.filter((item) => item.session_id === entry.session_id)
+      })),
+      open_action_items: items.filter((item) => item.status === 'open')
+    };
+  }
+
+  static async _getTeamSession(sessionId) {
+    const session = await MeetingMinutesModel.findSession(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (!session.team_id) {
+      throw new Error('Minutes are only kept for team meetings');
+    }
+    return session;
+  }
+
+  // Leaders edit; members, staff with team.view_all (including assigned supervisors) and
+  // course managers read
+  static async _access(userId, offeringId, teamId, members) {
+    const membership = members.find((member) => member.user_id === userId);
+    if (membership) {
+      return { canView: true, canEdit: membership.role === 'leader' };
+    }
+
+    const [canViewAll, canManageCourse] = await Promise.all([
+      PermissionService.hasPermission(userId, 'team.view_all', offeringId, teamId),
+      PermissionService.hasPermission(userId, 'course.manage', offeringId, null)
+    ]);
+    return { canView: canViewAll || canManageCourse, canEdit: false };
+  }
+}
@@ -0,0 +1,340 @@
+import { PeerEvaluationModel } from '../models/peer-evaluation-model.js';
+import { CourseOfferingModel } from '../models/course-offerings.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import {
+  MIN_RATERS_FOR_RESULTS,
+  normalizeRubric,
+  normalizeRatings,
+  peerEvaluationsToCsv,
+  roundStatus,
+  summarizeRound
+} from '../utils/peer-evaluation.js';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+
+/**
+ * Peer Evaluation Service - Rounds where team members rate each other's contribution
+ * Staff open a round with a rubric; while it is open every member of a team rates each
+ * teammate and themselves. Staff see who rated whom, contribution factors and outlier flags.
+ * Students only see their own averages and unattributed comments once the round closes.
+ */
+export class PeerEvaluationService {
+  /**
+   * Create a round
+   * @param {string} offeringId - Course offering ID
+   * @param {string} userId - Staff user ID
+   * @param {Object} data - { title, instructions?, rubric?, opens_at, closes_at }
+   * @returns {Promise<Object>} Created round
+   */
+  static async createRound(offeringId, userId, data) {
+    await this._assertCan(userId, 'peer_evaluation.manage', offeringId);
+    const fields = this._normalizeRound(data);
+
+    const round = await PeerEvaluationModel.createRound({ ...fields, offering_id: offeringId, created_by: userId });
+
+    await AuditService.logActivity({
+      userId,
+      offeringId,
+      action: 'create_peer_evaluation_round',
+      metadata: { round_id: round.id, title: round.title }
+    });
+    return this._withStatus(round);
+  }
+
+  /**
+   * Update a round
+   * The rubric can't change once ratings were submitted, since they were given against it.
+   * @param {string} roundId - Round ID
+   * @param {string} userId - Staff user ID
+   * @param {Object} data - Fields to change: { title, instructions, rubric, opens_at, closes_at }
+   * @returns {Promise<Object>} Updated round
+   */
+  static async updateRound(roundId, userId, data) {
+    const round = await this._getRound(roundId);
+    await this._assertCan(userId, 'peer_evaluation.manage', round.offering_id);
+
+    const fields = this._normalizeRound({ ...round, ...data });
+    // Compared normalized: JSONB doesn't keep the stored rubric's key order
+    if (JSON.stringify(fields.rubric) !== JSON.stringify(normalizeRubric(round.rubric))) {
+      const evaluations = await PeerEvaluationModel.findEvaluations(roundId);
+      if (evaluations.length > 0) {
+        throw new Error('The rubric can\'t change after students have submitted ratings');
+      }
+    }
+
+    const updated = await PeerEvaluationModel.updateRound(roundId, { ...fields, updated_by: userId });
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: round.offering_id,
+      action: 'update_peer_evaluation_round',
+      metadata: { round_id: roundId, changed: Object.keys(data || {}) }
+    });
+    return this._withStatus(updated);
+  }
+
+  /**
+   * Get a course's rounds, for staff
+   * @param {string} offeringId - Course offering ID
+   * @returns {Promise<Object[]>} Rounds with status and submitted_count
+   */
+  static async listRounds(offeringId) {
+    const rounds = await PeerEvaluationModel.findRoundsByOffering(offeringId);
+    return rounds.map((round) => this._withStatus(round));
+  }
+
+  /**
+   * Get the rounds a student can take part in, with whether they have submitted
+   * Upcoming rounds are left out.
+   * @param {string} offeringId - Course offering ID
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Object>} { team, rounds }
+   */
+  static async getMyRounds(offeringId, userId) {
+    const team = await this._findTeamOf(offeringId, userId);
+    const rounds = [];
+    for (const round of await PeerEvaluationModel.findRoundsByOffering(offeringId)) {
+      const withStatus = this._withStatus(round);
+      if (withStatus.status === 'upcoming') continue;
+      const given = await PeerEvaluationModel.findEvaluationsByEvaluator(round.id, userId);
+      delete withStatus.submitted_count;
+      rounds.push({ ...withStatus, submitted: given.length > 0 });
+    }
+    return { team: team ? { team_id: team.team_id, team_name: team.team_name } : null, rounds };
+  }
+
+  /**
+   * Get the form a student fills in: the rubric, their teammates and any ratings they saved
+   * @param {string} roundId - Round ID
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Object>} { round, team, members, ratings }
+   */
+  static async getMyForm(roundId, userId) {
+    const round = await this._getRound(roundId);
+    const team = await this._requireTeam(round.offering_id, userId);
+    const ratings = await PeerEvaluationModel.findEvaluationsByEvaluator(roundId, userId);
+
+    return {
+      round: this._withStatus(round),
+      team: { team_id: team.team_id, team_name: team.team_name },
+      members: team.members.map((member) => ({
+        user_id: member.user_id,
+        name: member.name,
+        is_self: member.user_id === userId
+      })),
+      ratings: ratings.map(({ evaluatee_id, scores, comment, submitted_at }) => ({
+        evaluatee_id, scores, comment, submitted_at
+      }))
+    };
+  }
+
+  /**
+   * Save a student's ratings of every teammate and themselves
+   * Students can change their ratings until the round closes.
+   * @param {string} roundId - Round ID
+   * @param {string} userId - Student user ID
+   * @param {Object[]} ratings - [{ evaluatee_id, scores: { criterion_key: score }, comment? }]
+   * @returns {Promise<Object[]>} Saved ratings
+   */
+  static async submit(roundId, userId, ratings) {
+    const round = await this._getRound(roundId);
+    const status = roundStatus(round);
+    if (status === 'upcoming') {
+      throw new Error('This peer evaluation is not open yet');
+    }
+    if (status === 'closed') {
+      throw new Error('This peer evaluation has closed');
+    }
+
+    const team = await this._requireTeam(round.offering_id, userId);
+    if (team.members.length < 2) {
+      throw new Error('Peer evaluation needs at least two members on your team');
+    }
+
+    const normalized = normalizeRatings(ratings, {
+      rubric: round.rubric,
+      memberIds: team.members.map((member) => member.user_id)
+    });
+    return PeerEvaluationModel.saveEvaluations(roundId, team.team_id, userId, normalized);
+  }
+
+  /**
+   * Get a round's identified results, for staff
+   * @param {string} roundId - Round ID
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} { round, teams: [{ ..., members, evaluations }], students }
+   */
+  static async getResults(roundId, userId) {
+    const round = await this._getRound(roundId);
+    await this._assertCan(userId, 'peer_evaluation.view', round.offering_id);
+
+    const teams = await PeerEvaluationModel.findTeamsWithMembers(round.offering_id);
+    const evaluations = await PeerEvaluationModel.findEvaluations(roundId);
+    const summary = summarizeRound({
+      rubric: round.rubric,
+      teams: teams.map((team) => ({ team_id: team.team_id, member_ids: team.members.map((member) => member.user_id) })),
+      evaluations
+    });
+
+    const people = new Map(teams.flatMap((team) => team.members.map((member) => [member.user_id, { ...member, team_name: team.team_name }])));
+    const students = summary.students.map((student) => ({
+      ...student,
+      name: people.get(student.user_id).name,
+      email: people.get(student.user_id).email,
+      team_name: people.get(student.user_id).team_name
+    }));
+
+    return {
+      round: this._withStatus(round),
+      teams: teams.map((team, index) => {
+        const memberIds = new Set(team.members.map((member) => member.user_id));
+        return {
+          ...team,
+          ...summary.teams[index],
+          evaluations: evaluations.filter((evaluation) => evaluation.team_id === team.team_id
+            && memberIds.has(evaluation.evaluator_id)
+            && memberIds.has(evaluation.evaluatee_id))
+        };
+      }),
+      students
+    };
+  }
+
+  /**
+   * Export a round's results as CSV, one row per student
+   * @param {string} roundId - Round ID
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} { filename, csv }
+   */
+  static async exportResultsCsv(roundId, userId) {
+    const results = await this.getResults(roundId, userId);
+    const offering = await CourseOfferingModel.findById(results.round.offering_id);
+    const code = (offering?.code || 'course').replaceAll(/[^A-Za-z0-9]+/g, '-');
+    const title = results.round.title.replaceAll(/[^A-Za-z0-9]+/g, '-').replaceAll(/^-+|-+$/g, '');
+
+    return {
+      filename: `${code}-peer-evaluation-${title || 'round'}.csv`,
+      csv: peerEvaluationsToCsv({ rubric: results.round.rubric, students: results.students })
+    };
+  }
+
+  /**
+   * Get a student's own results once the round has closed, without who gave which rating
+   * Results stay hidden when fewer than MIN_RATERS_FOR_RESULTS teammates rated the student.
+   * @param {string} roundId - Round ID
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Object>} { round, available, ratings_received, peer_average, criteria_averages,
+   *   self_score, contribution_factor, comments }
+   */
+  static async getMyResults(roundId, userId) {
+    const round = await this._getRound(roundId);
+    if (roundStatus(round) !== 'closed') {
+      throw new Error('Results are available once the peer evaluation closes');
+    }
+
+    const team = await this._requireTeam(round.offering_id, userId);
+    const memberIds = team.members.map((member) => member.user_id);
+    const evaluations = (await PeerEvaluationModel.findEvaluations(roundId))
+      .filter((evaluation) => evaluation.team_id === team.team_id);
+    const { students } = summarizeRound({
+      rubric: round.rubric,
+      teams: [{ team_id: team.team_id, member_ids: memberIds }],
+      evaluations
+    });
+    const mine = students.find((student) => student.user_id === userId);
+
+    if (mine.ratings_received < MIN_RATERS_FOR_RESULTS) {
+      return { round: this._withStatus(round), available: false, ratings_received: mine.ratings_received };
+    }
+
+    // Sorted so the order doesn't give away who wrote which comment
+    const comments = evaluations
+      .filter((evaluation) => evaluation.evaluatee_id === userId
+        && evaluation.evaluator_id !== userId
+        && memberIds.includes(evaluation.evaluator_id)
+        && evaluation.comment)
+      .map((evaluation) => evaluation.comment)
+      .sort((a, b) => a.localeCompare(b));
+
+    return {
+      round: this._withStatus(round),
+      available: true,
+      ratings_received: mine.ratings_received,
+      peer_average: mine.peer_average,
+      criteria_averages: mine.criteria_averages,
+      self_score: mine.self_score,
+      contribution_factor: mine.contribution_factor,
+      comments
+    };
+  }
+
+  static _normalizeRound(data) {
+    const title = String(data?.title ?? '').trim();
+    if (!title) {
+      throw new Error('title is required');
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    const instructions = data.instructions ? String(data.instructions).trim() : '';
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      throw new Error(`instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+    }
+
+    const opensAt = new Date(data.opens_at);
+    const closesAt = new Date(data.closes_at);
+    if (!data.opens_at || Number.isNaN(opensAt.getTime())) {
+      throw new Error('opens_at must be a valid date and time');
+    }
+    if (!data.closes_at || Number.isNaN(closesAt.getTime())) {
+      throw new Error('closes_at must be a valid date and time');
+    }
+    if (closesAt <= opensAt) {
+      throw new Error('closes_at must be after opens_at');
+    }
+
+    return {
+      title,
+      instructions: instructions || null,
+      rubric: normalizeRubric(data.rubric),
+      opens_at: opensAt.toISOString(),
+      closes_at: closesAt.toISOString()
+    };
+  }
+
+  static _withStatus(round) {
+    return { ...round, status: roundStatus(round) };
+  }
+
+  static async _findTeamOf(offeringId, userId) {
+    const teams = await PeerEvaluationModel.findTeamsWithMembers(offeringId);
+    return teams.find((team) => team.members.some((member) => member.user_id === userId)) || null;
+  }
+
+  static async _requireTeam(offeringId, userId) {
+    const team = await this._findTeamOf(offeringId, userId);
+    if (!team) {
+      throw new Error('Only members of a team in this course take part in peer evaluation');
+    }
+    return team;
+  }
+
+  static async _getRound(roundId) {
+    const round = await PeerEvaluationModel.findRoundById(roundId);
+    if (!round) {
+      throw new Error('Peer evaluation round not found');
+    }
+    return round;
+  }
+
+  static async _assertCan(userId, permission, offeringId) {
+    const allowed = await PermissionService.hasPermission(userId, permission, offeringId);
+    if (!allowed) {
+      const verb = permission === 'peer_evaluation.view' ? 'view' : 'manage';
+      throw new Error(`Not authorized to ${verb} peer evaluations for this course`);
+    }
+  }
+}
@@ -8,6 +8,8 @@
  *   - Global role (users.primary_role)
  *   - Course roles (enrollments.course_role)
  *   - Team roles (team_members.role)
+ *   - Assigned supervisor (team_staff_assignments): a TA or tutor holds
+ *     their course-role permissions at team scope for the teams they supervise
  *
  * Permission tables used:
  *   - permissions
@@ -120,7 +122,8 @@ export class PermissionService {
    * Resolution order (highest → lowest priority):
    *   1. Course-level role (if offeringId provided)
    *   2. Team-level role (if teamId provided)
-   *   3. Global role
+   *   3. Assigned supervisor of the team (if teamId provided)
+   *   4. Global role
    *
    * All checks use the same permission code (string).
    * Results are cached in Redis for 5 minutes.
@@ -147,6 +150,7 @@ export class PermissionService {
     //   - global role
     //   - course roles (enrollments)
     //   - team roles
+    //   - assigned supervisor of the team
     //
     // Using EXISTS and UNION avoids multiple round-trips.
     // ------------------------------------------------------------
@@ -209,11 +213,31 @@ export class PermissionService {
               AND trp.permission_id = (SELECT id FROM perm)
           )
         LIMIT 1
+      ),
+
+      -- Assigned supervisor → their course role's permissions, for this team only
+      has_supervisor AS (
+        SELECT 1
+        FROM perm
+        WHERE $4::uuid IS NOT NULL
+          AND EXISTS (
+            SELECT 1
+            FROM team_staff_assignments tsa
+            JOIN enrollments e
+              ON e.offering_id = tsa.offering_id AND e.user_id = tsa.user_id
+            JOIN enrollment_role_permissions erp
+              ON erp.enrollment_role::text = e.course_role::text
+            WHERE tsa.team_id = $4::uuid
+              AND tsa.user_id = $2::uuid
+              AND erp.permission_id = (SELECT id FROM perm)
+          )
+        LIMIT 1
       )
 
       SELECT COALESCE(
         (SELECT 1 FROM has_course),
         (SELECT 1 FROM has_team),
+        (SELECT 1 FROM has_supervisor),
         (SELECT 1 FROM has_global),
         NULL
       ) IS NOT NULL AS allowed;
@@ -231,7 +255,7 @@ export class PermissionService {
 
 
   /**
-   * Get all permission codes for a user across global, course, team.
+   * Get all permission codes for a user across global, course, team and supervised team.
    *
    * @param {string} userId
    * @param {string|null} offeringId
@@ -274,6 +298,17 @@ export class PermissionService {
         WHERE $3::uuid IS NOT NULL
           AND tm.team_id = $3::uuid
           AND tm.user_id = $1::uuid
+      ),
+
+      supervisor_codes AS (
+        SELECT p.code
+        FROM team_staff_assignments tsa
+        JOIN enrollments e ON e.offering_id = tsa.offering_id AND e.user_id = tsa.user_id
+        JOIN enrollment_role_permissions erp ON erp.enrollment_role::text = e.course_role::text
+        JOIN permissions p ON p.id = erp.permission_id
+        WHERE $3::uuid IS NOT NULL
+          AND tsa.team_id = $3::uuid
+          AND tsa.user_id = $1::uuid
       )
 
       SELECT DISTINCT code
@@ -283,6 +318,8 @@ export class PermissionService {
         SELECT code FROM course_codes
         UNION ALL
         SELECT code FROM team_codes
+        UNION ALL
+        SELECT code FROM supervisor_codes
       ) combined
       ORDER BY code;
     `;
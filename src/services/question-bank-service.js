@@ -0,0 +1,308 @@
+import { QuestionBankModel } from '../models/question-bank-model.js';
+import { SessionQuestionModel } from '../models/session-question-model.js';
+import { SessionModel } from '../models/session-model.js';
+import { SessionService } from './session-service.js';
+import { PermissionService } from './permission-service.js';
+import {
+  normalizeTags,
+  normalizeBankQuestion,
+  normalizeTemplate,
+  renderTitlePattern
+} from '../utils/question-bank.js';
+import { canonicalQuestionType } from '../utils/question-types.js';
+
+const MAX_SEARCH_RESULTS = 200;
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * The fields a bank item or template question passes to SessionQuestionModel.createMany
+ */
+function toSessionQuestion(question) {
+  return {
+    question_text: question.question_text,
+    question_type: question.question_type,
+    options: question.options,
+    is_required: question.is_required,
+    correct_answers: question.correct_answers,
+    points: question.points,
+    is_anonymous: question.is_anonymous
+  };
+}
+
+function rethrowDuplicateName(error) {
+  if (error.code === UNIQUE_VIOLATION) {
+    throw new Error('A template with this name already exists in this course');
+  }
+  throw error;
+}
+
+/**
+ * Question Bank Service - Reusable questions and lecture templates for a course offering
+ * Questions are copied in both directions: saving a session question into the bank and
+ * inserting a bank question into a session (through SessionQuestionModel.createMany) both
+ * make independent copies. Templates create whole sessions through SessionService.createSession.
+ */
+export class QuestionBankService {
+  /**
+   * Search an offering's question bank
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [filters] - { search?, tags?, question_type?, limit?, offset? }
+   * @returns {Promise<Array>} Matching items
+   */
+  static async searchItems(offeringId, filters = {}) {
+    const questionType = filters.question_type ? canonicalQuestionType(filters.question_type) : null;
+    if (filters.question_type && !questionType) {
+      throw new Error(`Unknown question_type: ${filters.question_type}`);
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(filters.limit, 10) || 50, 1), MAX_SEARCH_RESULTS);
+    const offset = Math.max(Number.parseInt(filters.offset, 10) || 0, 0);
+
+    return await QuestionBankModel.search(offeringId, {
+      search: String(filters.search ?? '').trim() || null,
+      tags: normalizeTags(filters.tags),
+      question_type: questionType,
+      limit,
+      offset
+    });
+  }
+
+  /**
+   * Get the tags used in an offering's bank
+   */
+  static async getTags(offeringId) {
+    return await QuestionBankModel.findTags(offeringId);
+  }
+
+  /**
+   * Add a new question to the bank
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} data - Question fields and tags
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Created item
+   */
+  static async createItem(offeringId, data, userId) {
+    await this._assertCanManage(userId, offeringId);
+
+    return await QuestionBankModel.create({
+      ...normalizeBankQuestion(data),
+      tags: normalizeTags(data?.tags),
+      offering_id: offeringId,
+      created_by: userId
+    });
+  }
+
+  /**
+   * Save a copy of a session question into its course's bank
+   * @param {string} questionId - Session question ID
+   * @param {Object} data - { tags? }
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Created item
+   */
+  static async saveFromSession(questionId, data, userId) {
+    const question = await SessionQuestionModel.findById(questionId);
+    if (!question) {
+      throw new Error('Question not found');
+    }
+
+    const session = await SessionModel.findById(question.session_id);
+    await this._assertCanManage(userId, session.offering_id);
+
+    return await QuestionBankModel.create({
+      ...normalizeBankQuestion(question),
+      tags: normalizeTags(data?.tags),
+      source_question_id: question.id,
+      offering_id: session.offering_id,
+      created_by: userId
+    });
+  }
+
+  /**
+   * Update a bank item
+   * @param {string} itemId - Bank item ID
+   * @param {Object} updates - Question fields and/or tags
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Updated item
+   */
+  static async updateItem(itemId, updates, userId) {
+    const item = await this._getManageableItem(itemId, userId);
+
+    const question = normalizeBankQuestion({ ...item, ...updates });
+    const changes = updates.tags !== undefined ? { ...question, tags: normalizeTags(updates.tags) } : question;
+
+    return await QuestionBankModel.update(itemId, changes, userId);
+  }
+
+  /**
+   * Remove a question from the bank (sessions that used it keep their copies)
+   */
+  static async deleteItem(itemId, userId) {
+    await this._getManageableItem(itemId, userId);
+    return await QuestionBankModel.delete(itemId);
+  }
+
+  /**
+   * Insert bank questions into a session, after its existing questions
+   * @param {string} sessionId - Session ID
+   * @param {Array<string>} itemIds - Bank item IDs, in the order to insert them
+   * @param {string} userId - Session creator
+   * @returns {Promise<Array>} Created session questions
+   */
+  static async insertIntoSession(sessionId, itemIds, userId) {
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      throw new Error('item_ids must be a non-empty array');
+    }
+
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    await this._assertCanManage(userId, session.offering_id);
+
+    const items = await QuestionBankModel.findByIds(itemIds);
+    if (items.length !== itemIds.length) {
+      throw new Error('Bank question not found');
+    }
+    if (items.some((item) => item.offering_id !== session.offering_id)) {
+      throw new Error('Bank questions must come from the session\'s course');
+    }
+
+    const questions = await SessionService.addQuestions(sessionId, items.map(toSessionQuestion), userId);
+    await QuestionBankModel.markUsed(items.map((item) => item.id));
+    return questions;
+  }
+
+  /**
+   * Get an offering's lecture templates
+   */
+  static async getTemplates(offeringId) {
+    return await QuestionBankModel.findTemplatesByOfferingId(offeringId);
+  }
+
+  /**
+   * Get a lecture template with its questions
+   */
+  static async getTemplate(templateId, userId) {
+    return await this._getManageableTemplate(templateId, userId);
+  }
+
+  /**
+   * Create a lecture template
+   * With session_id and no questions, the template copies that session's questions (and its
+   * title and description when those aren't given) - "save this lecture as a template".
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} data - { name, title_pattern?, description?, questions?, session_id? }
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Created template
+   */
+  static async createTemplate(offeringId, data, userId) {
+    await this._assertCanManage(userId, offeringId);
+
+    let source = {};
+    if (data?.session_id) {
+      const session = await SessionModel.findById(data.session_id);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+      if (session.offering_id !== offeringId) {
+        throw new Error('The session belongs to a different course');
+      }
+      source = {
+        title_pattern: session.title,
+        description: session.description,
+        questions: await SessionQuestionModel.findBySessionId(session.id)
+      };
+    }
+
+    const template = normalizeTemplate({
+      name: data?.name,
+      title_pattern: data?.title_pattern ?? source.title_pattern,
+      description: data?.description ?? source.description ?? null,
+      questions: data?.questions ?? source.questions ?? []
+    });
+
+    return await QuestionBankModel.createTemplate({
+      ...template,
+      offering_id: offeringId,
+      created_by: userId
+    }).catch(rethrowDuplicateName);
+  }
+
+  /**
+   * Update a lecture template (sessions already made from it don't change)
+   * @param {string} templateId - Template ID
+   * @param {Object} updates - { name?, title_pattern?, description?, questions? }
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Updated template
+   */
+  static async updateTemplate(templateId, updates, userId) {
+    await this._getManageableTemplate(templateId, userId);
+    const changes = normalizeTemplate(updates || {});
+    return await QuestionBankModel.updateTemplate(templateId, changes, userId).catch(rethrowDuplicateName);
+  }
+
+  /**
+   * Delete a lecture template (sessions already made from it are kept)
+   */
+  static async deleteTemplate(templateId, userId) {
+    await this._getManageableTemplate(templateId, userId);
+    return await QuestionBankModel.deleteTemplate(templateId);
+  }
+
+  /**
+   * Create a session from a lecture template
+   * The title comes from the template's pattern unless one is given, and the session gets the
+   * template's questions unless the caller sends its own (the lecture builder sends the
+   * template's questions as edited in the form).
+   * @param {string} templateId - Template ID
+   * @param {Object} data - createSession fields: { session_date, session_time?, end_time?, title?, description?, team_id?, questions?, ... }
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} Created session with its questions
+   */
+  static async instantiateTemplate(templateId, data, userId) {
+    const template = await this._getManageableTemplate(templateId, userId);
+
+    if (!data?.session_date) {
+      throw new Error('session_date is required');
+    }
+
+    const title = String(data.title ?? '').trim()
+      || renderTitlePattern(template.title_pattern, { n: template.times_used + 1, date: data.session_date });
+
+    const session = await SessionService.createSession({
+      ...data,
+      offering_id: template.offering_id,
+      title,
+      description: data.description ?? template.description,
+      questions: Array.isArray(data.questions) ? data.questions : template.questions.map(toSessionQuestion)
+    }, userId);
+
+    await QuestionBankModel.markTemplateUsed(templateId);
+    return session;
+  }
+
+  static async _getManageableItem(itemId, userId) {
+    const item = await QuestionBankModel.findById(itemId);
+    if (!item) {
+      throw new Error('Bank question not found');
+    }
+    await this._assertCanManage(userId, item.offering_id);
+    return item;
+  }
+
+  static async _getManageableTemplate(templateId, userId) {
+    const template = await QuestionBankModel.findTemplateById(templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    await this._assertCanManage(userId, template.offering_id);
+    return template;
+  }
+
+  static async _assertCanManage(userId, offeringId) {
+    const allowed = await PermissionService.hasPermission(userId, 'session.manage', offeringId);
+    if (!allowed) {
+      throw new Error('Not authorized to manage the question bank for this course');
+    }
+  }
+}
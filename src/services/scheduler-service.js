@@ -0,0 +1,182 @@
+import os from 'node:os';
+import { pool } from '../db.js';
+import { ScheduledJobModel } from '../models/scheduled-job-model.js';
+import { SessionModel } from '../models/session-model.js';
+import { AttendanceService } from './attendance-service.js';
+
+// Key for the Postgres advisory lock that makes sure only one instance runs a tick
+const SCHEDULER_LOCK_KEY = 4_210_001;
+
+const DEFAULT_INTERVAL_MS = 30_000;
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_SECONDS = 60;
+const STALE_JOB_MINUTES = 10;
+const LOOKBACK_HOURS = 24;
+
+const state = {
+  instanceId: `${os.hostname()}:${process.pid}`,
+  enabled: false,
+  intervalMs: null,
+  startedAt: null,
+  lastTickAt: null,
+  lastTickDurationMs: null,
+  lastError: null,
+  ticks: 0,
+  skippedTicks: 0,
+  jobsCompleted: 0,
+  jobsFailed: 0
+};
+
+let timer = null;
+let tickInProgress = false;
+
+/**
+ * Job handlers keyed by job_type
+ * Each handler re-checks the session first, so running a job twice is harmless.
+ */
+const handlers = {
+  async open_attendance(job) {
+    const session = await SessionModel.findById(job.session_id);
+    if (!session) return { skipped: 'session deleted' };
+    if (session.attendance_opened_at) return { skipped: 'already open' };
+    if (!session.is_active) return { skipped: 'session inactive' };
+
+    const opened = await SessionModel.openAttendance(session.id, session.created_by);
+    return { opened_at: opened?.attendance_opened_at ?? null };
+  },
+
+  async close_attendance(job) {
+    const session = await SessionModel.findById(job.session_id);
+    if (!session) return { skipped: 'session deleted' };
+    if (session.attendance_closed_at) return { skipped: 'already closed' };
+    // Nobody could check in, so marking the whole class absent would be wrong
+    if (!session.attendance_opened_at) return { skipped: 'never opened' };
+
+    const result = await AttendanceService.closeSessionAndMarkAbsent(session.id, session.created_by);
+    return { marked_absent: result.markedAbsent, marked_late: result.markedLate };
+  }
+};
+
+/**
+ * Scheduler Service - In-process runner for persisted background jobs
+ * Opens attendance at session start and closes it (marking absentees) at code_expires_at.
+ */
+export class SchedulerService {
+  /**
+   * Start running ticks on an interval
+   * @param {Object} [options] - { intervalMs }
+   */
+  static start(options = {}) {
+    if (timer) return;
+
+    const intervalMs = Number(options.intervalMs ?? process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    state.enabled = true;
+    state.intervalMs = intervalMs;
+    state.startedAt = new Date().toISOString();
+
+    const tick = () => {
+      this.runOnce().catch((error) => {
+        console.error('[SchedulerService] Tick failed:', error);
+      });
+    };
+
+    timer = setInterval(tick, intervalMs);
+    // Don't keep the process alive just for the scheduler
+    timer.unref?.();
+    tick();
+  }
+
+  /**
+   * Stop the interval (jobs already claimed finish on their own)
+   */
+  static stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    state.enabled = false;
+  }
+
+  /**
+   * Run one scheduler tick
+   * Takes the advisory lock, requeues abandoned jobs, creates jobs for new sessions
+   * and runs every job that is due. Returns early if another instance holds the lock.
+   * @returns {Promise<{ skipped: boolean, synced?: number, completed?: number, failed?: number }>}
+   */
+  static async runOnce() {
+    if (tickInProgress) {
+      return { skipped: true };
+    }
+    tickInProgress = true;
+
+    const started = Date.now();
+    const client = await pool.connect();
+    let locked = false;
+
+    try {
+      const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [SCHEDULER_LOCK_KEY]);
+      locked = rows[0].locked;
+      if (!locked) {
+        state.skippedTicks += 1;
+        return { skipped: true };
+      }
+
+      await ScheduledJobModel.resetStaleJobs(STALE_JOB_MINUTES);
+      const synced = await ScheduledJobModel.syncSessionJobs(LOOKBACK_HOURS);
+      const jobs = await ScheduledJobModel.claimDueJobs(state.instanceId, BATCH_SIZE);
+
+      let completed = 0;
+      let failed = 0;
+      for (const job of jobs) {
+        try {
+          const handler = handlers[job.job_type];
+          if (!handler) {
+            throw new Error(`Unknown job type: ${job.job_type}`);
+          }
+          const result = await handler(job);
+          await ScheduledJobModel.markCompleted(job.id, result);
+          completed += 1;
+        } catch (error) {
+          console.error(`[SchedulerService] Job ${job.id} (${job.job_type}) failed:`, error.message);
+          await ScheduledJobModel.markFailed(job, error.message, MAX_ATTEMPTS, RETRY_DELAY_SECONDS);
+          failed += 1;
+        }
+      }
+
+      state.ticks += 1;
+      state.jobsCompleted += completed;
+      state.jobsFailed += failed;
+      state.lastError = null;
+      return { skipped: false, synced, completed, failed };
+    } catch (error) {
+      state.lastError = { message: error.message, at: new Date().toISOString() };
+      throw error;
+    } finally {
+      if (locked) {
+        await client.query('SELECT pg_advisory_unlock($1)', [SCHEDULER_LOCK_KEY]).catch(() => {});
+      }
+      client.release();
+      state.lastTickAt = new Date().toISOString();
+      state.lastTickDurationMs = Date.now() - started;
+      tickInProgress = false;
+    }
+  }
+
+  /**
+   * Scheduler state for the diagnostics page
+   * @returns {Promise<Object>} Runner state plus job counts and recent job results
+   */
+  static async getStatus() {
+    const [counts, recent] = await Promise.all([
+      ScheduledJobModel.getStatusCounts(),
+      ScheduledJobModel.findRecent(10)
+    ]);
+
+    return {
+      ...state,
+      jobs: counts,
+      recent
+    };
+  }
+}
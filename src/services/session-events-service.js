@@ -0,0 +1,262 @@
+import { pool } from '../db.js';
+import { SessionModel } from '../models/session-model.js';
+import { PermissionService } from './permission-service.js';
+import {
+  SESSION_EVENTS_CHANNEL,
+  SESSION_EVENT_TYPES,
+  STUDENT_SESSION_EVENT_TYPES,
+  parseSessionEvent
+} from '../utils/session-events.js';
+
+const RECONNECT_DELAY_MS = 5000;
+
+const state = {
+  listening: false,
+  connectedAt: null,
+  lastEventAt: null,
+  lastError: null,
+  eventsReceived: 0,
+  reconnects: 0
+};
+
+// sessionId → Set of handlers
+const subscribers = new Map();
+let listenerClient = null;
+let connecting = null;
+let reconnectTimer = null;
+
+function subscriberCount() {
+  let count = 0;
+  for (const handlers of subscribers.values()) count += handlers.size;
+  return count;
+}
+
+function dispatch(sessionId, event) {
+  const handlers = subscribers.get(sessionId);
+  if (!handlers) return;
+  for (const handler of handlers) {
+    try {
+      handler(event);
+    } catch (error) {
+      console.error('[SessionEventsService] Subscriber failed:', error);
+    }
+  }
+}
+
+function onNotification(message) {
+  if (message.channel !== SESSION_EVENTS_CHANNEL) return;
+  const event = parseSessionEvent(message.payload);
+  if (!event) return;
+
+  state.eventsReceived++;
+  state.lastEventAt = new Date().toISOString();
+  dispatch(event.session_id, event);
+}
+
+function onError(error) {
+  // pg emits 'error' on the client itself, so `this` is the failed connection
+  SessionEventsService._handleConnectionError(this, error);
+}
+
+// The connection goes back to the pool afterwards, so take our handlers off it
+function detach(client) {
+  client.removeListener('notification', onNotification);
+  client.removeListener('error', onError);
+}
+
+function dispatchAll(event) {
+  for (const sessionId of subscribers.keys()) {
+    dispatch(sessionId, { ...event, session_id: sessionId });
+  }
+}
+
+/**
+ * Session Events Service - Live session updates backed by Postgres LISTEN/NOTIFY
+ * Database triggers publish attendance, response, open/close and presentation changes on one channel.
+ * Each instance holds a single LISTEN connection while anyone is subscribed and fans the
+ * notifications out to the Server-Sent Events streams for the matching session.
+ */
+export class SessionEventsService {
+  /**
+   * Check that a user may watch a session's live updates, and which events they get
+   * Staff who can view attendance in the course, the session's creator, and members of
+   * the team for team meetings get every event. Students enrolled in the course get only
+   * the session and question events of course-wide sessions, to follow a presentation.
+   * @returns {Promise<string[]>} Event types the user may receive (resync always goes through)
+   * @throws {Error} If the session doesn't exist or the user may not watch it
+   */
+  static async assertCanSubscribe(sessionId, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (session.created_by === userId) return SESSION_EVENT_TYPES;
+
+    const canView = await PermissionService.hasPermission(userId, 'attendance.view', session.offering_id);
+    if (canView) return SESSION_EVENT_TYPES;
+
+    if (session.team_id) {
+      const { rows } = await pool.query(
+        `SELECT 1 FROM team_members
+         WHERE team_id = $1 AND user_id = $2 AND left_at IS NULL
+         LIMIT 1`,
+        [session.team_id, userId]
+      );
+      if (rows.length > 0) return SESSION_EVENT_TYPES;
+    } else {
+      const { rows } = await pool.query(
+        `SELECT 1 FROM enrollments
+         WHERE offering_id = $1 AND user_id = $2 AND status = 'enrolled'
+         LIMIT 1`,
+        [session.offering_id, userId]
+      );
+      if (rows.length > 0) return STUDENT_SESSION_EVENT_TYPES;
+    }
+
+    throw new Error('Not authorized to watch this session');
+  }
+
+  /**
+   * Receive the live events for a session
+   * @param {string} sessionId - Session ID
+   * @param {Function} handler - Called with each event; a { type: 'resync' } event means
+   *   notifications may have been missed (the listener reconnected) and the page should reload
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  static async subscribe(sessionId, handler) {
+    if (!subscribers.has(sessionId)) {
+      subscribers.set(sessionId, new Set());
+    }
+    subscribers.get(sessionId).add(handler);
+
+    try {
+      await this._ensureListening();
+    } catch (error) {
+      // The listener retries in the background; the page polls until events arrive
+      console.error('[SessionEventsService] Failed to start listening:', error.message);
+    }
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+
+      const handlers = subscribers.get(sessionId);
+      if (handlers) {
+        handlers.delete(handler);
+        if (handlers.size === 0) subscribers.delete(sessionId);
+      }
+      if (subscribers.size === 0) {
+        this._stopListening();
+      }
+    };
+  }
+
+  /**
+   * Listener state for the diagnostics page
+   */
+  static getStatus() {
+    return {
+      ...state,
+      sessions: subscribers.size,
+      subscribers: subscriberCount()
+    };
+  }
+
+  /**
+   * Start the LISTEN connection if it isn't running
+   */
+  static async _ensureListening() {
+    if (listenerClient) return;
+    if (connecting) return connecting;
+
+    connecting = (async () => {
+      const client = await pool.connect();
+      try {
+        client.on('notification', onNotification);
+        client.on('error', onError);
+        await client.query(`LISTEN ${SESSION_EVENTS_CHANNEL}`);
+      } catch (error) {
+        detach(client);
+        client.release(error);
+        throw error;
+      }
+
+      listenerClient = client;
+      state.listening = true;
+      state.connectedAt = new Date().toISOString();
+      state.lastError = null;
+    })();
+
+    try {
+      await connecting;
+    } catch (error) {
+      state.lastError = error.message;
+      this._scheduleReconnect();
+      throw error;
+    } finally {
+      connecting = null;
+    }
+
+    // Nobody is left if every subscriber went away while we were connecting
+    if (subscribers.size === 0) {
+      this._stopListening();
+    }
+  }
+
+  static _handleConnectionError(client, error) {
+    if (client !== listenerClient) return;
+    console.error('[SessionEventsService] LISTEN connection lost:', error.message);
+
+    listenerClient = null;
+    state.listening = false;
+    state.lastError = error.message;
+    detach(client);
+    client.release(error);
+
+    this._scheduleReconnect();
+  }
+
+  static _scheduleReconnect() {
+    if (reconnectTimer || subscribers.size === 0) return;
+
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      if (subscribers.size === 0) return;
+
+      try {
+        await this._ensureListening();
+        state.reconnects++;
+        // Changes made while we were disconnected were never delivered
+        dispatchAll({ type: 'resync' });
+      } catch {
+        // _ensureListening already scheduled the next attempt
+      }
+    }, RECONNECT_DELAY_MS);
+    reconnectTimer.unref?.();
+  }
+
+  static _stopListening() {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (!listenerClient) return;
+
+    const client = listenerClient;
+    listenerClient = null;
+    state.listening = false;
+    client.removeListener('notification', onNotification);
+
+    client.query(`UNLISTEN ${SESSION_EVENTS_CHANNEL}`)
+      .then(() => {
+        detach(client);
+        client.release();
+      })
+      .catch((error) => {
+        detach(client);
+        client.release(error);
+      });
+  }
+}
@@ -0,0 +1,317 @@
+import { SessionSeriesModel } from '../models/session-series-model.js';
+import { SessionService } from './session-service.js';
+import { PermissionService } from './permission-service.js';
+import { normalizeAttendanceRules } from '../utils/attendance-rules.js';
+import {
+  normalizeClassTimings,
+  normalizeSkipDates,
+  generateSeriesDates,
+  parseClockTime
+} from '../utils/class-timings.js';
+import { zonedTimeToUtc, toZonedParts } from '../utils/timezone.js';
+
+const QUESTION_TYPES = new Set(['text', 'multiple_choice', 'pulse_check']);
+
+/**
+ * When the access code of a generated session stops working: the end of the
+ * lecture if the slot has an end time, otherwise the end of the session day
+ * (the same fallback SessionService.createSession uses). Times are read in the
+ * offering timezone.
+ */
+function getCodeExpiry(sessionDate, endTime, timeZone) {
+  if (endTime) {
+    return zonedTimeToUtc(sessionDate, endTime, timeZone);
+  }
+  return new Date(zonedTimeToUtc(sessionDate, '00:00', timeZone).getTime() + 24 * 60 * 60 * 1000);
+}
+
+function buildSessionTitle(title, number) {
+  return `${title} ${number}`;
+}
+
+/**
+ * Validate the default question template copied into every session
+ * @param {Array|undefined} questions - Raw questions ({ question_text, question_type, options?, is_required? })
+ * @returns {Array} Normalized questions
+ */
+function normalizeDefaultQuestions(questions) {
+  if (questions === undefined || questions === null) return [];
+  if (!Array.isArray(questions)) {
+    throw new Error('default_questions must be an array');
+  }
+
+  return questions.map((question, index) => {
+    const text = String(question?.question_text ?? question?.prompt ?? '').trim();
+    const type = question?.question_type ?? question?.type ?? 'text';
+
+    if (!text) {
+      throw new Error(`default_questions[${index}] needs question_text`);
+    }
+    if (!QUESTION_TYPES.has(type)) {
+      throw new Error(`default_questions[${index}] has an unsupported question_type: ${type}`);
+    }
+
+    let options = null;
+    if (type === 'multiple_choice') {
+      options = (Array.isArray(question.options) ? question.options : [])
+        .map((option) => String(option).trim())
+        .filter(Boolean);
+      if (options.length < 2) {
+        throw new Error(`default_questions[${index}] needs at least two options`);
+      }
+    }
+
+    return {
+      question_text: text,
+      question_type: type,
+      options,
+      is_required: question.is_required ?? false
+    };
+  });
+}
+
+/**
+ * Session Series Service - Generates and bulk-manages recurring lecture sessions
+ */
+export class SessionSeriesService {
+  /**
+   * Work out which sessions a series would create, without saving anything
+   * @param {string} offeringId - Course offering UUID
+   * @param {Object} options - { start_date?, end_date?, skip_dates? }
+   *   start_date defaults to the later of the term start and today; end_date to the term end
+   * @returns {Promise<Object>} { start_date, end_date, timezone, schedule, skip_dates, occurrences, skipped }
+   */
+  static async previewSeries(offeringId, options = {}) {
+    const offering = await SessionSeriesModel.findOfferingSchedule(offeringId);
+    if (!offering) {
+      throw new Error('Course offering not found');
+    }
+
+    const today = toZonedParts(new Date(), offering.timezone).date;
+    const termStart = offering.start_date && offering.start_date > today ? offering.start_date : today;
+    const start_date = options.start_date || termStart;
+    const end_date = options.end_date || offering.end_date;
+    if (!end_date) {
+      throw new Error('end_date is required because the course has no end date');
+    }
+
+    const schedule = normalizeClassTimings(offering.class_timings);
+    const skip_dates = normalizeSkipDates(options.skip_dates);
+    const { occurrences, skipped } = generateSeriesDates({ start_date, end_date, slots: schedule, skip_dates });
+
+    return { start_date, end_date, timezone: offering.timezone, schedule, skip_dates, occurrences, skipped };
+  }
+
+  /**
+   * Generate a term of lecture sessions from the course schedule
+   * @param {string} offeringId - Course offering UUID
+   * @param {Object} data - { title, description?, start_date?, end_date?, skip_dates?, default_questions?, attendance_rules? }
+   * @param {string} userId - Instructor creating the series
+   * @returns {Promise<{ series: Object, sessions: Object[], skipped: string[] }>}
+   */
+  static async createSeries(offeringId, data, userId) {
+    await this._assertCanManage(userId, offeringId);
+
+    const title = String(data?.title ?? '').trim();
+    if (!title) {
+      throw new Error('title is required');
+    }
+
+    const default_questions = normalizeDefaultQuestions(data.default_questions);
+    const attendance_rules = normalizeAttendanceRules(data.attendance_rules);
+    const preview = await this.previewSeries(offeringId, data);
+
+    if (preview.occurrences.length === 0) {
+      throw new Error('No lecture dates fall between start_date and end_date');
+    }
+
+    const usedCodes = new Set();
+    const sessions = [];
+    for (const [index, occurrence] of preview.occurrences.entries()) {
+      let accessCode = await SessionService.generateUniqueAccessCode();
+      while (usedCodes.has(accessCode)) {
+        accessCode = await SessionService.generateUniqueAccessCode();
+      }
+      usedCodes.add(accessCode);
+
+      sessions.push({
+        title: buildSessionTitle(title, index + 1),
+        session_date: occurrence.session_date,
+        session_time: `${occurrence.start_time}:00`,
+        access_code: accessCode,
+        code_expires_at: getCodeExpiry(occurrence.session_date, occurrence.end_time, preview.timezone),
+        ends_at: occurrence.end_time ? zonedTimeToUtc(occurrence.session_date, occurrence.end_time, preview.timezone) : null
+      });
+    }
+
+    const result = await SessionSeriesModel.createWithSessions({
+      offering_id: offeringId,
+      title,
+      description: data.description?.trim() || null,
+      start_date: preview.start_date,
+      end_date: preview.end_date,
+      schedule: preview.schedule,
+      skip_dates: preview.skip_dates,
+      default_questions,
+      attendance_rules
+    }, sessions, userId);
+
+    return { ...result, skipped: preview.skipped };
+  }
+
+  /**
+   * Get all series for a course offering
+   */
+  static async getSeriesForOffering(offeringId) {
+    return await SessionSeriesModel.findByOfferingId(offeringId);
+  }
+
+  /**
+   * Get a series with its sessions
+   * @param {string} seriesId - Series UUID
+   * @param {string} userId - Requesting user (needs session.manage in the series' course)
+   */
+  static async getSeries(seriesId, userId) {
+    const series = await this._getManageableSeries(seriesId, userId);
+    series.sessions = await SessionSeriesModel.findSessions(seriesId);
+    return series;
+  }
+
+  /**
+   * Bulk edit a series
+   * Only sessions whose attendance has not been opened yet are changed, so
+   * past lectures keep the questions and times students actually saw.
+   * @param {string} seriesId - Series UUID
+   * @param {Object} updates - { title?, description?, start_time?, end_time?, skip_dates?, default_questions?, attendance_rules? }
+   *   skip_dates are added to the existing list and matching sessions are removed
+   * @param {string} userId - User making the change
+   * @returns {Promise<{ series: Object, updated_count: number, removed_count: number }>}
+   */
+  static async updateSeries(seriesId, updates, userId) {
+    const series = await this._getManageableSeries(seriesId, userId);
+    const sessions = await SessionSeriesModel.findSessions(seriesId);
+    const editable = sessions.filter((session) => session.is_editable);
+
+    const seriesChanges = {};
+    const sessionChanges = {};
+    let questions = null;
+
+    if (updates.title !== undefined) {
+      const title = String(updates.title ?? '').trim();
+      if (!title) {
+        throw new Error('title cannot be empty');
+      }
+      seriesChanges.title = title;
+    }
+
+    if (updates.description !== undefined) {
+      seriesChanges.description = updates.description?.trim() || null;
+      sessionChanges.description = seriesChanges.description;
+    }
+
+    if (updates.attendance_rules !== undefined) {
+      seriesChanges.attendance_rules = normalizeAttendanceRules(updates.attendance_rules);
+      sessionChanges.attendance_rules = seriesChanges.attendance_rules;
+    }
+
+    if (updates.default_questions !== undefined) {
+      questions = normalizeDefaultQuestions(updates.default_questions);
+      seriesChanges.default_questions = questions;
+    }
+
+    let startTime = null;
+    let endTime;
+    if (updates.start_time !== undefined) {
+      startTime = parseClockTime(updates.start_time);
+      if (!startTime) {
+        throw new Error('start_time must be a time like 10:00');
+      }
+    }
+    if (updates.end_time !== undefined) {
+      endTime = updates.end_time ? parseClockTime(updates.end_time) : null;
+      if (updates.end_time && !endTime) {
+        throw new Error('end_time must be a time like 10:50');
+      }
+    }
+    if (startTime && endTime && endTime <= startTime) {
+      throw new Error('end_time must be after start_time');
+    }
+
+    let removedIds = [];
+    if (updates.skip_dates !== undefined) {
+      const added = normalizeSkipDates(updates.skip_dates);
+      const skipSet = new Set([...series.skip_dates, ...added]);
+      seriesChanges.skip_dates = [...skipSet].sort();
+      removedIds = editable
+        .filter((session) => skipSet.has(session.session_date))
+        .map((session) => session.id);
+    }
+
+    // Sessions keep their series number, so renaming "Lecture" to "CSE 210"
+    // turns "Lecture 7" into "CSE 210 7" rather than renumbering from 1
+    const sessionUpdates = editable
+      .filter((session) => !removedIds.includes(session.id))
+      .map((session) => {
+        const change = { id: session.id, ...sessionChanges };
+        const number = sessions.indexOf(session) + 1;
+
+        if (seriesChanges.title) {
+          change.title = buildSessionTitle(seriesChanges.title, number);
+        }
+        if (startTime) {
+          change.session_time = `${startTime}:00`;
+        }
+        if (endTime !== undefined) {
+          change.code_expires_at = getCodeExpiry(session.session_date, endTime ?? null, series.timezone);
+          change.ends_at = endTime ? zonedTimeToUtc(session.session_date, endTime, series.timezone) : null;
+        }
+        return change;
+      });
+
+    const updated = await SessionSeriesModel.applyChanges(seriesId, {
+      series: seriesChanges,
+      sessionUpdates,
+      deleteSessionIds: removedIds,
+      questions
+    }, userId);
+
+    return { series: updated, updated_count: sessionUpdates.length, removed_count: removedIds.length };
+  }
+
+  /**
+   * Delete a series
+   * Sessions that have not been opened are deleted; sessions that already have
+   * attendance are kept as one-off sessions. The series row is removed either way.
+   * @param {string} seriesId - Series UUID
+   * @param {string} userId - User deleting the series
+   * @returns {Promise<{ deleted_count: number, kept_count: number }>}
+   */
+  static async deleteSeries(seriesId, userId) {
+    await this._getManageableSeries(seriesId, userId);
+    const sessions = await SessionSeriesModel.findSessions(seriesId);
+    const deleteSessionIds = sessions.filter((session) => session.is_editable).map((session) => session.id);
+
+    if (deleteSessionIds.length > 0) {
+      await SessionSeriesModel.applyChanges(seriesId, { deleteSessionIds }, userId);
+    }
+    await SessionSeriesModel.delete(seriesId);
+
+    return { deleted_count: deleteSessionIds.length, kept_count: sessions.length - deleteSessionIds.length };
+  }
+
+  static async _getManageableSeries(seriesId, userId) {
+    const series = await SessionSeriesModel.findById(seriesId);
+    if (!series) {
+      throw new Error('Series not found');
+    }
+    await this._assertCanManage(userId, series.offering_id);
+    return series;
+  }
+
+  static async _assertCanManage(userId, offeringId) {
+    const allowed = await PermissionService.hasPermission(userId, 'session.manage', offeringId);
+    if (!allowed) {
+      throw new Error('Not authorized to manage lecture series for this course');
+    }
+  }
+}
@@ -3,7 +3,39 @@ import { pool } from '../db.js';
 import { SessionModel } from '../models/session-model.js';
 import { SessionQuestionModel } from '../models/session-question-model.js';
 import { SessionResponseModel } from '../models/session-response-model.js';
+import { AttendanceModel } from '../models/attendance-model.js';
+import { ScheduledJobModel } from '../models/scheduled-job-model.js';
 import { syncTeamLeaderIds } from '../utils/team-leader-sync.js';
+import { normalizeAttendanceRules, getSessionStart } from '../utils/attendance-rules.js';
+import {
+  createCheckInToken,
+  verifyCheckInToken,
+  parseCheckInToken,
+  isCheckInToken,
+  MIN_ROTATION_SECONDS,
+  MAX_ROTATION_SECONDS
+} from '../utils/checkin-token.js';
+import { renderQrSvg } from '../utils/qr-code.js';
+import { parseClockTime } from '../utils/class-timings.js';
+import { zonedTimeToUtc, toZonedParts, DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import { normalizeCheckInConstraints } from '../utils/checkin-constraints.js';
+import { normalizeResponseRules } from '../utils/response-windows.js';
+import { normalizeRemoteJoinUrl } from '../utils/attendance-modality.js';
+import { planReschedule, formatSessionDate } from '../utils/session-reschedule.js';
+import { buildPulseAnalytics, comparePulseSessions, DEFAULT_DROP_THRESHOLD } from '../utils/pulse-analytics.js';
+import {
+  normalizeQuizSettings,
+  summarizeScore,
+  scoreResponse,
+  buildQuizStatistics,
+  redactQuestion,
+  anonymizeResponse
+} from '../utils/quiz-scoring.js';
+import { aggregateResponses } from '../utils/question-types.js';
+import { isQuestionOpen, visibleQuestions, findPresentedQuestion } from '../utils/presentation-mode.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { AnnouncementService } from './announcement-service.js';
 
 /**
  * Get the active course offering ID (CSE 210 or any active offering)
@@ -20,6 +52,86 @@ async function getActiveOfferingId() {
   }
 }
 
+/**
+ * Get the IANA timezone session times are entered in for an offering
+ */
+async function getOfferingTimezone(offeringId) {
+  const result = await pool.query('SELECT timezone FROM course_offerings WHERE id = $1', [offeringId]);
+  return result.rows[0]?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * A geofence is measured from the offering location, so it needs coordinates
+ */
+async function assertGeofenceCentre(offeringId, constraints) {
+  if (!constraints?.geofence_radius_meters) return;
+  const result = await pool.query(
+    'SELECT location_latitude, location_longitude FROM course_offerings WHERE id = $1',
+    [offeringId]
+  );
+  const offering = result.rows[0];
+  if (!Number.isFinite(offering?.location_latitude) || !Number.isFinite(offering?.location_longitude)) {
+    throw new Error('Set the course location coordinates in course settings before adding a geofence');
+  }
+}
+
+/**
+ * Work out the session end instant from a create/update request
+ * end_time (HH:MM in the offering timezone) is preferred; endsAt is an ISO instant
+ * built by the browser and is only used when no end_time is sent.
+ */
+function resolveSessionEnd(sessionDate, endTime, endsAt, timeZone) {
+  if (endTime) {
+    const time = parseClockTime(endTime);
+    if (!time) {
+      throw new Error('end_time must be a time like 10:50');
+    }
+    return zonedTimeToUtc(sessionDate, time, timeZone);
+  }
+  if (endsAt) {
+    const endDate = new Date(endsAt);
+    return Number.isNaN(endDate.getTime()) ? null : endDate;
+  }
+  return null;
+}
+
+/**
+ * Validate the quiz settings on questions before they are created
+ */
+function withQuizSettings(questions) {
+  return questions.map((question) => ({ ...question, ...normalizeQuizSettings(question) }));
+}
+
+/**
+ * Whether a user may see a session's answer keys: its creator or course staff who manage sessions
+ */
+async function canManageQuestions(session, userId) {
+  if (session.created_by === userId) return true;
+  return PermissionService.hasPermission(userId, 'session.manage', session.offering_id);
+}
+
+/**
+ * Whether a user may see a course's remote join links: anyone enrolled in it, or staff who
+ * manage sessions
+ */
+async function canSeeRemoteLinks(offeringId, userId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM enrollments WHERE offering_id = $1 AND user_id = $2 AND status = 'enrolled' LIMIT 1`,
+    [offeringId, userId]
+  );
+  if (rows.length > 0) return true;
+  return PermissionService.hasPermission(userId, 'session.manage', offeringId);
+}
+
+/**
+ * Leave remote join links out of sessions for users outside the course
+ */
+async function withRemoteLinksFor(sessions, offeringId, userId) {
+  if (!sessions.some((session) => session.remote_join_url)) return sessions;
+  if (await canSeeRemoteLinks(offeringId, userId)) return sessions;
+  return sessions.map((session) => ({ ...session, remote_join_url: null }));
+}
+
 /**
  * Check if session should be auto-opened and open it if needed
  * This is called whenever sessions are retrieved to ensure they auto-open when start time arrives
@@ -30,45 +142,9 @@ async function checkAndAutoOpenSession(session) {
   }
 
   try {
-    // Parse date - handle both Date objects and strings
-    // IMPORTANT: session_date should be a string from database (YYYY-MM-DD format)
-    // If it's a Date object, extract local date components to avoid timezone issues
-    let dateStr;
-    if (session.session_date instanceof Date) {
-      // If it's a Date object, extract date components in local timezone
-      // This handles cases where PostgreSQL returns a Date object
-      const year = session.session_date.getFullYear();
-      const month = String(session.session_date.getMonth() + 1).padStart(2, '0');
-      const day = String(session.session_date.getDate()).padStart(2, '0');
-      dateStr = `${year}-${month}-${day}`;
-    } else {
-      // If it's a string, extract just the date part (YYYY-MM-DD)
-      // This should be the format from TO_CHAR in the database query
-      dateStr = String(session.session_date).split('T')[0].split(' ')[0];
-    }
-    
-    // Parse time
-    let timeStr = String(session.session_time);
-    timeStr = timeStr.split('.')[0]; // Remove milliseconds
-    
-    // Ensure time is in HH:MM:SS format
-    let timeParts = timeStr.split(':');
-    if (timeParts.length === 2) {
-      timeStr = `${timeStr}:00`;
-      timeParts = timeStr.split(':');
-    }
-    
-    // Combine date and time
-    const [year, month, day] = dateStr.split('-').map(Number);
-    timeParts = timeStr.split(':').map(Number);
-    const [hours, minutes] = timeParts;
-    const seconds = timeParts[2] || 0;
-    
-    // Create date in local timezone
-    const sessionStart = new Date(year, month - 1, day, hours, minutes, seconds);
-    
-    // Validate the date was parsed correctly
-    if (Number.isNaN(sessionStart.getTime())) {
+    // starts_at is the start instant in the offering timezone (see migration 44)
+    const sessionStart = getSessionStart(session);
+    if (!sessionStart) {
       console.warn('[SessionService] Invalid date/time for auto-open check:', {
         session_id: session.id,
         session_date: session.session_date,
@@ -108,10 +184,11 @@ export class SessionService {
    * Get all sessions for a specific team in an offering
    */
   static async getSessionsByTeam(offeringId, teamId, options = {}) {
-    const sessions = await SessionModel.findByTeamId(offeringId, teamId, options);
+    const { userId, ...modelOptions } = options;
+    const sessions = await SessionModel.findByTeamId(offeringId, teamId, modelOptions);
     // Optionally batch auto-open sessions if needed
     // await this._batchAutoOpenSessions(sessions);
-    return sessions;
+    return userId ? withRemoteLinksFor(sessions, offeringId, userId) : sessions;
   }
   /**
    * Generate a unique access code
@@ -155,6 +232,20 @@ export class SessionService {
     // Get offering_id - use provided one or fallback to active offering (CSE 210)
     let offeringId = sessionData.offering_id;
     
+    // Validate per-session check-in timing overrides before touching the database
+    if (sessionData.attendance_rules !== undefined) {
+      sessionData.attendance_rules = normalizeAttendanceRules(sessionData.attendance_rules);
+    }
+    if (sessionData.checkin_constraints !== undefined) {
+      sessionData.checkin_constraints = normalizeCheckInConstraints(sessionData.checkin_constraints);
+    }
+    if (sessionData.response_rules !== undefined) {
+      sessionData.response_rules = normalizeResponseRules(sessionData.response_rules);
+    }
+    if (sessionData.remote_join_url !== undefined) {
+      sessionData.remote_join_url = normalizeRemoteJoinUrl(sessionData.remote_join_url);
+    }
+
     // If no offering_id provided, automatically use the active offering (CSE 210)
     if (!offeringId) {
       offeringId = await getActiveOfferingId();
@@ -270,30 +361,34 @@ export class SessionService {
     }
     // If team_id is null at this point, it's a course-wide session (instructor only)
 
+    await assertGeofenceCentre(offeringId, sessionData.checkin_constraints);
+
     const accessCode = await this.generateUniqueAccessCode();
     
-    // Set code_expires_at to the end time (endsAt) from the form
-    // If endsAt is provided, use it; otherwise default to 24 hours from session date
+    // Set code_expires_at to the end time from the form, read in the offering timezone
+    // If no end time is provided, default to the end of the session day
+    const timeZone = await getOfferingTimezone(offeringId);
+    const endsAt = resolveSessionEnd(sessionData.session_date, sessionData.end_time, sessionData.endsAt, timeZone);
     let codeExpiresAt = sessionData.code_expires_at;
-    if (!codeExpiresAt && sessionData.endsAt) {
-      // Use the endsAt from the form as the code expiration (end time)
-      codeExpiresAt = new Date(sessionData.endsAt);
+    if (!codeExpiresAt && endsAt) {
+      codeExpiresAt = endsAt;
     } else if (!codeExpiresAt) {
-      // Fallback: 24 hours from session date if no end time provided
-      codeExpiresAt = new Date(new Date(sessionData.session_date).getTime() + 24 * 60 * 60 * 1000);
+      const dayStart = zonedTimeToUtc(sessionData.session_date, '00:00', timeZone);
+      codeExpiresAt = dayStart ? new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) : null;
     }
 
     const session = await SessionModel.create({
       ...sessionData,
       access_code: accessCode,
       code_expires_at: codeExpiresAt,
+      ends_at: endsAt,
       created_by: createdBy
     });
 
     // Create questions if provided
     if (sessionData.questions && sessionData.questions.length > 0) {
       const questions = await SessionQuestionModel.createMany(
-        sessionData.questions.map((q, index) => ({
+        withQuizSettings(sessionData.questions).map((q, index) => ({
           ...q,
           session_id: session.id,
           question_order: q.question_order ?? index + 1
@@ -307,44 +402,9 @@ export class SessionService {
     // Automatically open attendance if session start time has passed
     if (session.session_date && session.session_time) {
       try {
-        // Parse date - handle both Date objects and strings
-        let dateStr;
-        if (session.session_date instanceof Date) {
-          // If it's already a Date object, extract YYYY-MM-DD
-          const year = session.session_date.getFullYear();
-          const month = String(session.session_date.getMonth() + 1).padStart(2, '0');
-          const day = String(session.session_date.getDate()).padStart(2, '0');
-          dateStr = `${year}-${month}-${day}`;
-        } else {
-          // If it's a string, use it directly (should be YYYY-MM-DD)
-          dateStr = String(session.session_date).split('T')[0].split(' ')[0];
-        }
+        const sessionStart = getSessionStart(session);
         
-        // Parse time - handle both Time objects and strings
-        let timeStr = String(session.session_time);
-        // Remove milliseconds if present
-        timeStr = timeStr.split('.')[0];
-        
-        // Ensure time is in HH:MM:SS format
-        let timeParts = timeStr.split(':');
-        if (timeParts.length === 2) {
-          timeStr = `${timeStr}:00`; // Add seconds if missing
-          timeParts = timeStr.split(':');
-        }
-        
-        // Combine date and time
-        // Use local timezone by creating date components
-        // This avoids timezone interpretation issues with ISO strings
-        const [year, month, day] = dateStr.split('-').map(Number);
-        timeParts = timeStr.split(':').map(Number);
-        const [hours, minutes] = timeParts;
-        const seconds = timeParts[2] || 0;
-        
-        // Create date in local timezone (month is 0-indexed in JavaScript)
-        const sessionStart = new Date(year, month - 1, day, hours, minutes, seconds);
-        
-        // Validate the date was parsed correctly
-        if (Number.isNaN(sessionStart.getTime())) {
+        if (!sessionStart) {
           console.warn('[SessionService] Invalid date/time for auto-open:', { 
             session_id: session.id,
             session_date: session.session_date,
@@ -423,7 +483,7 @@ export class SessionService {
   /**
    * Get session by ID with questions
    */
-  static async getSession(sessionId) {
+  static async getSession(sessionId, viewerId = null) {
     const session = await SessionModel.findById(sessionId);
     
     if (!session) {
@@ -434,14 +494,47 @@ export class SessionService {
     await checkAndAutoOpenSession(session);
 
     // Get questions for this session
-    const questions = await SessionQuestionModel.findBySessionId(sessionId);
-    session.questions = questions;
+    session.questions = viewerId
+      ? await this.getQuestions(sessionId, viewerId, session)
+      : await SessionQuestionModel.findBySessionId(sessionId);
 
     // Get statistics
     const stats = await SessionModel.getStatistics(sessionId);
     session.statistics = stats;
 
-    return session;
+    return viewerId ? this.withRemoteLinkFor(session, viewerId) : session;
+  }
+
+  /**
+   * A session as a user may see it: the remote join link is only for people in the course
+   * @param {Object} session - Session row
+   * @param {string} viewerId - User viewing the session
+   * @returns {Promise<Object>}
+   */
+  static async withRemoteLinkFor(session, viewerId) {
+    const [visible] = await withRemoteLinksFor([session], session.offering_id, viewerId);
+    return visible;
+  }
+
+  /**
+   * Get a session's questions as a user may see them
+   * Answer keys are left out for anyone who can't manage the session until results are revealed.
+   * In presentation mode they only get the presented question.
+   * @param {string} sessionId - Session ID
+   * @param {string} viewerId - User viewing the questions
+   * @param {Object} [session] - Session row, when the caller already has it
+   */
+  static async getQuestions(sessionId, viewerId, session = null) {
+    const sessionRow = session || await SessionModel.findById(sessionId);
+    if (!sessionRow) {
+      throw new Error('Session not found');
+    }
+
+    const questions = await SessionQuestionModel.findBySessionId(sessionId);
+    if (await canManageQuestions(sessionRow, viewerId)) {
+      return questions;
+    }
+    return visibleQuestions(sessionRow, questions).map(redactQuestion);
   }
 
   /**
@@ -470,7 +563,7 @@ export class SessionService {
       
       // Check for auto-open
       await this._batchAutoOpenSessions(sessions);
-      return sessions;
+      return withRemoteLinksFor(sessions, offeringId, userId);
     }
     
     // No userId provided - return all sessions (admin/instructor view)
@@ -502,31 +595,9 @@ export class SessionService {
       for (const session of sessionsToCheck) {
         try {
           // Quick check without database call
-          let dateStr;
-          if (session.session_date instanceof Date) {
-            const year = session.session_date.getFullYear();
-            const month = String(session.session_date.getMonth() + 1).padStart(2, '0');
-            const day = String(session.session_date.getDate()).padStart(2, '0');
-            dateStr = `${year}-${month}-${day}`;
-          } else {
-            dateStr = String(session.session_date).split('T')[0].split(' ')[0];
-          }
-          
-          let timeStr = String(session.session_time).split('.')[0];
-          let timeParts = timeStr.split(':');
-          if (timeParts.length === 2) {
-            timeStr = `${timeStr}:00`;
-            timeParts = timeStr.split(':');
-          }
-          
-          const [year, month, day] = dateStr.split('-').map(Number);
-          timeParts = timeStr.split(':').map(Number);
-          const [hours, minutes] = timeParts;
-          const seconds = timeParts[2] || 0;
+          const sessionStart = getSessionStart(session);
           
-          const sessionStart = new Date(year, month - 1, day, hours, minutes, seconds);
-          
-          if (!Number.isNaN(sessionStart.getTime()) && sessionStart <= now) {
+          if (sessionStart && sessionStart <= now) {
             sessionsToOpen.push(session);
           }
         } catch (error) {
@@ -582,17 +653,42 @@ export class SessionService {
     }
 
     // Handle questions update if provided
-    const { questions, endsAt, ...sessionUpdates } = updates;
+    const { questions, endsAt, end_time: endTime, ...sessionUpdates } = updates;
+    // Validate before anything is replaced
+    const newQuestions = Array.isArray(questions) ? withQuizSettings(questions) : null;
+
+    if (sessionUpdates.attendance_rules !== undefined) {
+      sessionUpdates.attendance_rules = normalizeAttendanceRules(sessionUpdates.attendance_rules);
+    }
+
+    if (sessionUpdates.checkin_constraints !== undefined) {
+      sessionUpdates.checkin_constraints = normalizeCheckInConstraints(sessionUpdates.checkin_constraints);
+      await assertGeofenceCentre(session.offering_id, sessionUpdates.checkin_constraints);
+    }
+
+    if (sessionUpdates.response_rules !== undefined) {
+      sessionUpdates.response_rules = normalizeResponseRules(sessionUpdates.response_rules);
+    }
+
+    if (sessionUpdates.remote_join_url !== undefined) {
+      sessionUpdates.remote_join_url = normalizeRemoteJoinUrl(sessionUpdates.remote_join_url);
+    }
+
+    if (sessionUpdates.qr_rotation_seconds !== undefined && sessionUpdates.qr_rotation_seconds !== null) {
+      const seconds = Number(sessionUpdates.qr_rotation_seconds);
+      if (!Number.isInteger(seconds) || seconds < MIN_ROTATION_SECONDS || seconds > MAX_ROTATION_SECONDS) {
+        throw new Error(`qr_rotation_seconds must be an integer between ${MIN_ROTATION_SECONDS} and ${MAX_ROTATION_SECONDS}`);
+      }
+      sessionUpdates.qr_rotation_seconds = seconds;
+    }
     
-    // Update code_expires_at to the end time (endsAt) if provided
-    if (endsAt) {
-      try {
-        const endDate = new Date(endsAt);
-        if (!Number.isNaN(endDate.getTime())) {
-          sessionUpdates.code_expires_at = endDate;
-        }
-      } catch (error) {
-        console.warn('[SessionService] Error setting code_expires_at from endsAt:', error);
+    // Update code_expires_at to the end time if provided
+    if (endTime || endsAt) {
+      const sessionDate = sessionUpdates.session_date ?? session.session_date;
+      const endDate = resolveSessionEnd(sessionDate, endTime, endsAt, session.timezone || DEFAULT_TIMEZONE);
+      if (endDate) {
+        sessionUpdates.code_expires_at = endDate;
+        sessionUpdates.ends_at = endDate;
       }
     }
     
@@ -600,7 +696,7 @@ export class SessionService {
     const updatedSession = await SessionModel.update(sessionId, sessionUpdates, updatedBy);
 
     // Update questions if provided
-    if (questions && Array.isArray(questions)) {
+    if (newQuestions) {
       // Delete existing questions
       const existingQuestions = await SessionQuestionModel.findBySessionId(sessionId);
       for (const question of existingQuestions) {
@@ -608,9 +704,9 @@ export class SessionService {
       }
 
       // Create new questions
-      if (questions.length > 0) {
+      if (newQuestions.length > 0) {
         await SessionQuestionModel.createMany(
-          questions.map((q, index) => ({
+          newQuestions.map((q, index) => ({
             ...q,
             session_id: sessionId,
             question_order: q.question_order ?? index + 1
@@ -627,6 +723,138 @@ export class SessionService {
     return updatedSession;
   }
 
+  /**
+   * Copy a session and its questions into a new session with its own access code
+   * Attendance, responses and presentation state are not copied. Response deadlines are fixed
+   * times, so only the late submission policy carries over.
+   * @param {string} sessionId - Session to copy
+   * @param {Object} [data] - { title?, session_date?, session_time?, end_time? } (defaults: "<title> (copy)", same schedule)
+   * @param {string} userId - The session creator or staff with session.manage
+   * @returns {Promise<Object>} New session with questions
+   */
+  static async cloneSession(sessionId, data, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (!(await canManageQuestions(session, userId))) {
+      throw new Error('Not authorized to manage this session');
+    }
+
+    const timeZone = await getOfferingTimezone(session.offering_id);
+    const schedule = planReschedule(session, {
+      session_date: data?.session_date || formatSessionDate(session.session_date),
+      session_time: data?.session_time,
+      end_time: data?.end_time
+    }, timeZone);
+    const questions = await SessionQuestionModel.findBySessionId(sessionId);
+
+    const clone = await this.createSession({
+      offering_id: session.offering_id,
+      team_id: session.team_id,
+      title: String(data?.title ?? '').trim() || `${session.title} (copy)`,
+      description: session.description,
+      session_date: schedule.session_date,
+      session_time: schedule.session_time,
+      endsAt: schedule.ends_at,
+      code_expires_at: schedule.code_expires_at,
+      attendance_rules: session.attendance_rules,
+      checkin_constraints: session.checkin_constraints,
+      remote_join_url: session.remote_join_url,
+      response_rules: session.response_rules?.late_submissions
+        ? { late_submissions: session.response_rules.late_submissions }
+        : null,
+      questions: questions.map((question) => ({
+        question_text: question.question_text,
+        question_type: question.question_type,
+        question_order: question.question_order,
+        options: question.options,
+        is_required: question.is_required,
+        correct_answers: question.correct_answers,
+        points: question.points,
+        is_anonymous: question.is_anonymous
+      }))
+    }, userId);
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: session.offering_id,
+      action: 'clone_session',
+      metadata: { source_session_id: sessionId, session_id: clone.id }
+    });
+
+    return clone;
+  }
+
+  /**
+   * Move a session to a new date and time
+   * The session is updated in place, so its questions, attendance and responses are kept. The
+   * access code gets a new expiry. Attendance nobody has checked in to yet is reset to open and
+   * close on the new schedule; recorded attendance is left as it is. Unless notify is false the
+   * course (or the team, for a team session) gets an announcement.
+   * @param {string} sessionId - Session to move
+   * @param {Object} changes - { session_date, session_time?, end_time?, reason?, notify? }
+   * @param {string} userId - The session creator or staff with session.manage
+   * @returns {Promise<Object>} Updated session with the announcement (or null)
+   */
+  static async rescheduleSession(sessionId, changes, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (!(await canManageQuestions(session, userId))) {
+      throw new Error('Not authorized to manage this session');
+    }
+    // Recorded attendance is kept as taken. Without any, attendance that opened on its own
+    // (e.g. at the old start) is reset and opens and closes again on the new schedule.
+    const hasAttendance = (await AttendanceModel.findBySessionId(sessionId, { limit: 1 })).length > 0;
+    if (hasAttendance && session.attendance_opened_at && !session.attendance_closed_at) {
+      throw new Error('Close attendance before rescheduling this session');
+    }
+
+    const timeZone = await getOfferingTimezone(session.offering_id);
+    const { starts_at: startsAt, ...schedule } = planReschedule(session, changes, timeZone);
+    const reason = String(changes?.reason ?? '').trim() || null;
+
+    const updated = await SessionModel.update(
+      sessionId,
+      hasAttendance ? schedule : { ...schedule, attendance_opened_at: null, attendance_closed_at: null },
+      userId
+    );
+    if (!hasAttendance) {
+      await ScheduledJobModel.requeueSessionJobs(sessionId);
+    }
+
+    const from = `${formatSessionDate(session.session_date)} ${String(session.session_time ?? '').slice(0, 5)}`.trim();
+    const start = toZonedParts(startsAt, timeZone);
+    const to = `${start.date} ${start.time.slice(0, 5)}`;
+
+    let announcement = null;
+    if (changes?.notify !== false) {
+      announcement = await AnnouncementService.createAnnouncement({
+        offering_id: session.offering_id,
+        team_id: session.team_id,
+        subject: `Rescheduled: ${session.title}`,
+        message: `${session.title} has moved from ${from} to ${to}.${reason ? ` ${reason}` : ''}`
+      }, userId);
+    }
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: session.offering_id,
+      action: 'reschedule_session',
+      metadata: {
+        session_id: sessionId,
+        from,
+        to,
+        reason,
+        announcement_id: announcement?.id || null
+      }
+    });
+
+    return { ...updated, announcement };
+  }
+
   /**
    * Delete session
    * Only the creator or the instructor of the active course offering may delete the session
@@ -656,6 +884,76 @@ export class SessionService {
       return { valid: false, message: 'Invalid access code' };
     }
 
+    return this._checkSessionAcceptsCheckIns(session);
+  }
+
+  /**
+   * Verify a rotating QR check-in token
+   */
+  static async verifyCheckInToken(token) {
+    const parsed = parseCheckInToken(token);
+    const session = parsed ? await SessionModel.findById(parsed.sessionId) : null;
+
+    if (!session) {
+      return { valid: false, message: 'Invalid check-in code' };
+    }
+
+    const tokenCheck = verifyCheckInToken(token, session);
+    if (!tokenCheck.valid) {
+      return { valid: false, message: tokenCheck.message, session };
+    }
+
+    return this._checkSessionAcceptsCheckIns(session);
+  }
+
+  /**
+   * Verify either a 6-character access code or a rotating QR token
+   */
+  static async verifyCheckInCredential(credential) {
+    if (isCheckInToken(credential)) {
+      return await this.verifyCheckInToken(credential);
+    }
+    return await this.verifyAccessCode(credential);
+  }
+
+  /**
+   * Build the current rotating QR code for a session's projector view
+   * @param {string} sessionId - Session ID
+   * @param {string} checkInBaseUrl - Absolute URL of the student check-in page
+   * @returns {Promise<Object>} { token, svg, check_in_url, expires_at, rotation_seconds }
+   */
+  static async getCheckInQr(sessionId, checkInBaseUrl) {
+    const session = await SessionModel.findById(sessionId);
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const status = this._checkSessionAcceptsCheckIns(session);
+    if (!status.valid) {
+      throw new Error(status.message);
+    }
+
+    const { token, expiresAt, rotationSeconds } = createCheckInToken(session);
+    const url = new URL(checkInBaseUrl);
+    url.searchParams.set('checkin', token);
+
+    return {
+      session_id: session.id,
+      title: session.title,
+      access_code: session.access_code,
+      token,
+      check_in_url: url.toString(),
+      svg: renderQrSvg(url.toString()),
+      expires_at: expiresAt,
+      rotation_seconds: rotationSeconds
+    };
+  }
+
+  /**
+   * Check that a session is currently accepting check-ins
+   */
+  static _checkSessionAcceptsCheckIns(session) {
     // Check if session is active
     if (!session.is_active) {
       return { valid: false, message: 'Session is not active', session };
@@ -770,7 +1068,7 @@ export class SessionService {
     const existingQuestions = await SessionQuestionModel.findBySessionId(sessionId);
     const startOrder = existingQuestions.length + 1;
 
-    const questionsWithOrder = questions.map((q, index) => ({
+    const questionsWithOrder = withQuizSettings(questions).map((q, index) => ({
       ...q,
       session_id: sessionId,
       question_order: q.question_order ?? startOrder + index
@@ -779,8 +1077,129 @@ export class SessionService {
     return await SessionQuestionModel.createMany(questionsWithOrder, createdBy);
   }
 
+  /**
+   * Update a question, checking its quiz settings against the question after the update
+   */
+  static async updateQuestion(questionId, updates, updatedBy) {
+    const question = await SessionQuestionModel.findById(questionId);
+    if (!question) {
+      throw new Error('Question not found');
+    }
+
+    const merged = { ...question, ...updates };
+    const quizUpdates = normalizeQuizSettings({
+      ...updates,
+      question_type: merged.question_type,
+      options: merged.options,
+      // A new option list has to still contain the existing answer key
+      correct_answers: updates.correct_answers !== undefined ? updates.correct_answers : question.correct_answers
+    });
+
+    return await SessionQuestionModel.update(questionId, { ...updates, ...quizUpdates }, updatedBy);
+  }
+
+  /**
+   * Turn presentation mode on or off
+   * While it's on, students only see and answer the question the instructor opens.
+   */
+  static async setPresentationMode(sessionId, enabled, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (!(await canManageQuestions(session, userId))) {
+      throw new Error('Not authorized to manage this session');
+    }
+
+    await SessionModel.setPresentationMode(sessionId, Boolean(enabled), userId);
+    return await this.getPresentation(sessionId, userId);
+  }
+
+  /**
+   * Open a question for students, closing the one before it (turns presentation mode on)
+   * @param {Object} target - { position } (1 is the first question) or { question_id }
+   */
+  static async presentQuestion(sessionId, target, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (!(await canManageQuestions(session, userId))) {
+      throw new Error('Not authorized to manage this session');
+    }
+
+    const questions = await SessionQuestionModel.findBySessionId(sessionId);
+    const question = findPresentedQuestion(questions, target);
+
+    await SessionModel.presentQuestion(sessionId, question.id, userId);
+    return await this.getPresentation(sessionId, userId);
+  }
+
+  /**
+   * Close the presented question so it stops taking responses
+   */
+  static async closePresentedQuestion(sessionId, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (!(await canManageQuestions(session, userId))) {
+      throw new Error('Not authorized to manage this session');
+    }
+
+    const closed = await SessionModel.closePresentedQuestion(sessionId, userId);
+    if (!closed) {
+      throw new Error('No question is open');
+    }
+    return await this.getPresentation(sessionId, userId);
+  }
+
+  /**
+   * Get the presented question with its live results, for the instructor controls and projector
+   * @returns {Promise<Object>} { session_id, title, presentation_mode, question_count,
+   *   question, response_count, aggregate } question is null until one is presented
+   */
+  static async getPresentation(sessionId, userId) {
+    const session = await SessionModel.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    if (!(await canManageQuestions(session, userId))) {
+      throw new Error('Not authorized to manage this session');
+    }
+
+    const questions = await SessionQuestionModel.findBySessionId(sessionId);
+    const presentation = {
+      session_id: session.id,
+      title: session.title,
+      presentation_mode: session.presentation_mode,
+      question_count: questions.length,
+      question: null,
+      response_count: 0,
+      aggregate: null
+    };
+    if (!session.presentation_mode || !session.presented_question_id) {
+      return presentation;
+    }
+
+    const question = findPresentedQuestion(questions, { question_id: session.presented_question_id });
+    const responses = await SessionResponseModel.findByQuestionId(question.id);
+
+    return {
+      ...presentation,
+      question: { ...question, is_open: isQuestionOpen(question) },
+      response_count: responses.length,
+      aggregate: aggregateResponses(question, responses)
+    };
+  }
+
   /**
    * Get all responses for a session
+   * Responses to anonymous questions come back without who answered.
    */
   static async getSessionResponses(sessionId) {
     const session = await SessionModel.findById(sessionId);
@@ -789,7 +1208,20 @@ export class SessionService {
       throw new Error('Session not found');
     }
 
-    const responses = await SessionResponseModel.findBySessionId(sessionId);
+    // Attach each answer's history so edits show next to the original
+    const historyByResponse = new Map();
+    for (const entry of await SessionResponseModel.findHistoryBySessionId(sessionId)) {
+      const { response_id: responseId, ...version } = entry;
+      if (!historyByResponse.has(responseId)) historyByResponse.set(responseId, []);
+      historyByResponse.get(responseId).push(version);
+    }
+
+    const responses = (await SessionResponseModel.findBySessionId(sessionId))
+      .map((response) => {
+        const history = historyByResponse.get(response.id) || [];
+        const withHistory = { ...response, history, edit_count: Math.max(history.length - 1, 0) };
+        return response.is_anonymous ? anonymizeResponse(withHistory) : withHistory;
+      });
     const questions = await SessionQuestionModel.findBySessionId(sessionId);
 
     // Group responses by question
@@ -810,8 +1242,57 @@ export class SessionService {
     };
   }
 
+  /**
+   * Get pulse check results across a course's lectures (see utils/pulse-analytics.js)
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [options] - { from, to, compare: [sessionId, sessionId] or 'a,b', drop_threshold }
+   * @returns {Promise<Object>} Overall, per-lecture, per-team and per-student results, flagged
+   *   students, and a comparison when two lectures are given
+   */
+  static async getPulseAnalytics(offeringId, options = {}) {
+    const { from = null, to = null } = options;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error(`${name} must be a date like 2025-01-31`);
+      }
+    }
+
+    let dropThreshold = DEFAULT_DROP_THRESHOLD;
+    if (options.drop_threshold !== undefined && options.drop_threshold !== '') {
+      dropThreshold = Number(options.drop_threshold);
+      if (!Number.isInteger(dropThreshold) || dropThreshold < 1 || dropThreshold > 100) {
+        throw new Error('drop_threshold must be an integer between 1 and 100');
+      }
+    }
+
+    const compare = typeof options.compare === 'string'
+      ? options.compare.split(',').filter(Boolean)
+      : options.compare || [];
+
+    const { rows } = await pool.query('SELECT id FROM course_offerings WHERE id = $1', [offeringId]);
+    if (rows.length === 0) {
+      throw new Error('Course offering not found');
+    }
+
+    const data = await SessionResponseModel.getPulseData(offeringId, { from, to });
+    const analytics = buildPulseAnalytics(data, { dropThreshold });
+
+    let comparison = null;
+    if (compare.length > 0) {
+      const [first, second] = compare.map((id) => analytics.sessions.find((session) => session.session_id === id));
+      if (compare.length !== 2 || !first || !second) {
+        throw new Error('compare must name two lectures with pulse checks in this course');
+      }
+      comparison = comparePulseSessions(first, second);
+    }
+
+    return { offering_id: offeringId, from, to, ...analytics, comparison };
+  }
+
   /**
    * Get statistics for a session
+   * Each question gets an aggregate for its type (see utils/question-types.js); quiz is null
+   * unless some question has correct answers (see utils/quiz-scoring.js)
    */
   static async getSessionStatistics(sessionId) {
     const session = await SessionModel.findById(sessionId);
@@ -822,10 +1303,44 @@ export class SessionService {
 
     const stats = await SessionModel.getStatistics(sessionId);
     const responseStats = await SessionResponseModel.getSessionStatistics(sessionId);
+    const questions = await SessionQuestionModel.findBySessionId(sessionId);
+    const responses = await SessionResponseModel.findBySessionId(sessionId);
+    const questionsById = new Map(questions.map((question) => [question.id, question]));
 
     return {
       ...stats,
-      questions: responseStats
+      questions: responseStats.map((row) => ({
+        ...row,
+        aggregate: aggregateResponses(
+          questionsById.get(row.question_id),
+          responses.filter((response) => response.question_id === row.question_id)
+        )
+      })),
+      quiz: buildQuizStatistics(questions, responses)
+    };
+  }
+
+  /**
+   * Get a student's own responses for a session
+   * Correctness and the score only cover questions whose results have been revealed.
+   * @returns {Promise<Object>} { responses, quiz } quiz is null when nothing graded is revealed
+   */
+  static async getMyResponses(sessionId, userId) {
+    const questions = await SessionQuestionModel.findBySessionId(sessionId);
+    const responses = await SessionResponseModel.findBySessionAndUser(sessionId, userId);
+    const revealed = questions.filter((question) => question.reveal_results);
+    const questionsById = new Map(questions.map((question) => [question.id, question]));
+
+    return {
+      responses: responses.map((response) => {
+        const question = questionsById.get(response.question_id);
+        if (!question?.reveal_results) return response;
+        const score = scoreResponse(question, response);
+        return score
+          ? { ...response, ...score, correct_answers: question.correct_answers }
+          : response;
+      }),
+      quiz: summarizeScore(revealed, responses)
     };
   }
 
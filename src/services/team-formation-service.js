@@ -0,0 +1,304 @@
+import { TeamFormationModel } from '../models/team-formation-model.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { syncTeamLeaderIds } from '../utils/team-leader-sync.js';
+import {
+  normalizeFormationOptions,
+  normalizeFormationPreferences,
+  normalizeAvailability,
+  proposeTeams,
+  scoreTeams
+} from '../utils/team-formation.js';
+
+const MAX_TEAM_NAME_LENGTH = 100;
+
+/**
+ * Team Formation Service - Propose teams from student preferences, then create them
+ * Students save who they want to work with or avoid, their skills, timezone and availability.
+ * Instructors generate a proposal for the students not yet on a team, move students between
+ * teams, then commit, which creates every team and membership in one transaction.
+ */
+export class TeamFormationService {
+  /**
+   * Get a student's own preferences with the classmates they can pick from
+   * @param {string} offeringId - Course offering ID
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Object>} { preferences, classmates: [{ user_id, name }] }
+   */
+  static async getMyPreferences(offeringId, userId) {
+    const students = await this._getStudentsFor(offeringId, userId);
+    const saved = await TeamFormationModel.findPreferences(offeringId, userId);
+    const self = students.find((student) => student.user_id === userId);
+
+    return {
+      preferences: {
+        preferred_teammate_ids: saved?.preferred_teammate_ids || [],
+        avoided_teammate_ids: saved?.avoided_teammate_ids || [],
+        skills: saved?.skills || [],
+        timezone: saved?.timezone || null,
+        availability_specific: self.availability_specific ?? null,
+        updated_at: saved?.updated_at || null
+      },
+      classmates: students
+        .filter((student) => student.user_id !== userId)
+        .map((student) => ({ user_id: student.user_id, name: student.name }))
+    };
+  }
+
+  /**
+   * Save a student's preferences
+   * @param {string} offeringId - Course offering ID
+   * @param {string} userId - Student user ID
+   * @param {Object} data - { preferred_teammate_ids, avoided_teammate_ids, skills, timezone, availability_specific? }
+   * @returns {Promise<Object>} Saved preferences
+   */
+  static async savePreferences(offeringId, userId, data) {
+    const students = await this._getStudentsFor(offeringId, userId);
+    const preferences = normalizeFormationPreferences(data, {
+      userId,
+      rosterIds: new Set(students.map((student) => student.user_id))
+    });
+    const availability = data.availability_specific === undefined
+      ? undefined
+      : normalizeAvailability(data.availability_specific);
+
+    return TeamFormationModel.upsertPreferences(offeringId, userId, preferences, availability);
+  }
+
+  /**
+   * Get every student's preferences, for staff
+   * @param {string} offeringId - Course offering ID
+   * @returns {Promise<Object[]>}
+   */
+  static async getCoursePreferences(offeringId) {
+    return TeamFormationModel.findStudents(offeringId);
+  }
+
+  /**
+   * Propose teams for the students who aren't on one yet
+   * @param {string} offeringId - Course offering ID
+   * @param {string} userId - Staff user ID
+   * @param {Object} [options] - See normalizeFormationOptions
+   * @returns {Promise<Object>} The proposal with each team's summary and warnings
+   */
+  static async createProposal(offeringId, userId, options = {}) {
+    await this._assertCanManage(userId, offeringId);
+    const normalized = normalizeFormationOptions(options ?? {});
+
+    const students = await this._getUnassignedStudents(offeringId);
+    if (students.length < 2) {
+      throw new Error('At least two students without a team are needed to form teams');
+    }
+
+    const firstNumber = (await TeamFormationModel.findMaxTeamNumber(offeringId)) + 1;
+    const teams = proposeTeams(students, normalized).map((memberIds, index) => ({
+      name: `Team ${firstNumber + index}`,
+      team_number: firstNumber + index,
+      member_ids: memberIds,
+      leader_id: null
+    }));
+
+    const run = await TeamFormationModel.createRun({
+      offering_id: offeringId,
+      options: normalized,
+      teams,
+      created_by: userId
+    });
+    return this._describe(run, students);
+  }
+
+  /**
+   * Get a proposal
+   * @param {string} runId - Run ID
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>}
+   */
+  static async getProposal(runId, userId) {
+    const run = await this._getRun(runId, userId);
+    return this._describe(run, await this._getCandidates(run));
+  }
+
+  /**
+   * Replace a proposal's teams, e.g. after students were dragged between teams
+   * Students may be left out; they stay without a team when the proposal is committed.
+   * @param {string} runId - Run ID
+   * @param {string} userId - Staff user ID
+   * @param {Object[]} teams - [{ name, member_ids, leader_id? }]
+   * @returns {Promise<Object>} The proposal, re-scored
+   */
+  static async updateProposal(runId, userId, teams) {
+    const run = await this._getRun(runId, userId);
+    this._assertProposed(run);
+
+    const students = await this._getCandidates(run);
+    const normalized = this._normalizeTeams(teams, students, run.teams);
+
+    const updated = await TeamFormationModel.updateRunTeams(runId, normalized);
+    if (!updated) {
+      throw new Error('This proposal has already been committed');
+    }
+    return this._describe(updated, students);
+  }
+
+  /**
+   * Create the proposal's teams and memberships
+   * Teams left empty are skipped.
+   * @param {string} runId - Run ID
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<Object>} The committed proposal with the new team_ids
+   */
+  static async commitProposal(runId, userId) {
+    const run = await this._getRun(runId, userId);
+    this._assertProposed(run);
+
+    const teams = run.teams.filter((team) => team.member_ids.length > 0);
+    if (teams.length === 0) {
+      throw new Error('The proposal has no students to put on teams');
+    }
+
+    const result = await TeamFormationModel.commitRun(runId, {
+      offering_id: run.offering_id,
+      teams,
+      committed_by: userId
+    });
+    if (!result) {
+      throw new Error('This proposal has already been committed');
+    }
+    if (result.already_on_team) {
+      throw new Error(`${result.already_on_team.length} student(s) in this proposal already joined a team; generate a new proposal`);
+    }
+
+    for (const teamId of result.team_ids) {
+      await syncTeamLeaderIds(teamId);
+    }
+
+    await AuditService.logActivity({
+      userId,
+      offeringId: run.offering_id,
+      action: 'form_teams',
+      metadata: {
+        run_id: runId,
+        team_ids: result.team_ids,
+        students: teams.reduce((sum, team) => sum + team.member_ids.length, 0)
+      }
+    });
+
+    const committed = await TeamFormationModel.findRunById(runId);
+    return this._describe(committed, await this._getCandidates(committed));
+  }
+
+  static _normalizeTeams(teams, students, previous) {
+    if (!Array.isArray(teams) || teams.length === 0) {
+      throw new Error('teams must be a non-empty list');
+    }
+
+    const studentIds = new Set(students.map((student) => student.user_id));
+    const placed = new Set();
+    const usedNumbers = previous.map((team) => team.team_number);
+    let nextNumber = Math.max(0, ...usedNumbers) + 1;
+
+    return teams.map((team, index) => {
+      const label = `teams[${index}]`;
+      const name = String(team?.name ?? '').trim();
+      if (!name) {
+        throw new Error(`${label} needs a name`);
+      }
+      if (name.length > MAX_TEAM_NAME_LENGTH) {
+        throw new Error(`${label} name must be at most ${MAX_TEAM_NAME_LENGTH} characters`);
+      }
+      if (!Array.isArray(team.member_ids)) {
+        throw new Error(`${label} member_ids must be a list`);
+      }
+
+      for (const memberId of team.member_ids) {
+        if (!studentIds.has(memberId)) {
+          throw new Error(`${label} includes someone who is not a student without a team`);
+        }
+        if (placed.has(memberId)) {
+          throw new Error(`${label} includes a student who is already on another team`);
+        }
+        placed.add(memberId);
+      }
+
+      const leaderId = team.leader_id || null;
+      if (leaderId && !team.member_ids.includes(leaderId)) {
+        throw new Error(`${label} leader must be one of its members`);
+      }
+
+      const teamNumber = previous[index]?.team_number ?? nextNumber++;
+      return { name, team_number: teamNumber, member_ids: team.member_ids, leader_id: leaderId };
+    });
+  }
+
+  static _describe(run, students) {
+    const byId = new Map(students.map((student) => [student.user_id, student]));
+    const scored = scoreTeams(run.teams.map((team) => team.member_ids), students, run.options);
+    const placed = new Set(run.teams.flatMap((team) => team.member_ids));
+    const member = (id) => {
+      const student = byId.get(id);
+      return {
+        user_id: id,
+        name: student?.name || null,
+        institution_type: student?.institution_type || null,
+        skills: student?.skills || [],
+        timezone: student?.timezone || null
+      };
+    };
+
+    return {
+      ...run,
+      cost: scored.cost,
+      teams: run.teams.map((team, index) => ({
+        ...team,
+        members: team.member_ids.map(member),
+        summary: scored.teams[index].summary,
+        warnings: scored.teams[index].warnings
+      })),
+      unassigned: run.status === 'proposed'
+        ? students.filter((student) => !placed.has(student.user_id)).map((student) => member(student.user_id))
+        : []
+    };
+  }
+
+  // Students a proposal can place: those without a team, plus everyone it already placed
+  static async _getCandidates(run) {
+    const students = await TeamFormationModel.findStudents(run.offering_id);
+    const placed = new Set(run.teams.flatMap((team) => team.member_ids));
+    return students.filter((student) => !student.team_id || placed.has(student.user_id));
+  }
+
+  static async _getUnassignedStudents(offeringId) {
+    const students = await TeamFormationModel.findStudents(offeringId);
+    return students.filter((student) => !student.team_id);
+  }
+
+  static async _getStudentsFor(offeringId, userId) {
+    const students = await TeamFormationModel.findStudents(offeringId);
+    if (!students.some((student) => student.user_id === userId)) {
+      throw new Error('Only students enrolled in this course have teammate preferences');
+    }
+    return students;
+  }
+
+  static async _getRun(runId, userId) {
+    const run = await TeamFormationModel.findRunById(runId);
+    if (!run) {
+      throw new Error('Proposal not found');
+    }
+    await this._assertCanManage(userId, run.offering_id);
+    return run;
+  }
+
+  static _assertProposed(run) {
+    if (run.status !== 'proposed') {
+      throw new Error('This proposal has already been committed');
+    }
+  }
+
+  static async _assertCanManage(userId, offeringId) {
+    const allowed = await PermissionService.hasPermission(userId, 'team.manage', offeringId);
+    if (!allowed) {
+      throw new Error('Not authorized to form teams for this course');
+    }
+  }
+}
@@ -0,0 +1,242 @@
+import { TeamMembershipModel } from '../models/team-membership-model.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { syncTeamLeaderIds } from '../utils/team-leader-sync.js';
+import { formerMembersByTeam, normalizeReviewNote, normalizeTransferReason } from '../utils/team-membership.js';
+
+/**
+ * Team Membership Service - Membership history and transfer requests
+ * Every join, departure and transfer is written to the membership ledger. Students, or the lead
+ * of their team, ask to move them to another team; staff approve or reject the request from a
+ * queue, and approving moves the student in one transaction.
+ */
+export class TeamMembershipService {
+  /**
+   * Get a student's team in a course, the other teams and the transfer requests they are part of
+   * Team leads also get their teammates, whom they can request transfers for.
+   * @param {string} offeringId - Course offering ID
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Object>} { team, is_leader, teammates, teams, requests }
+   */
+  static async getMyTransfers(offeringId, userId) {
+    const memberships = await TeamMembershipModel.findActiveMemberships(offeringId);
+    const mine = memberships.find((membership) => membership.user_id === userId) || null;
+    const teams = await TeamMembershipModel.findTeams(offeringId);
+    const requests = await TeamMembershipModel.findTransferRequests(offeringId, { userId });
+    const isLeader = mine?.role === 'leader';
+
+    return {
+      team: mine ? { id: mine.team_id, name: mine.team_name } : null,
+      is_leader: isLeader,
+      teammates: isLeader
+        ? memberships.filter((membership) => membership.team_id === mine.team_id && membership.user_id !== userId)
+          .map((membership) => membership.user_id)
+        : [],
+      teams: teams.filter((team) => team.id !== mine?.team_id),
+      requests
+    };
+  }
+
+  /**
+   * Ask staff to move a student to another team
+   * Students request for themselves; team leads can also request for a member of their team.
+   * @param {string} actorId - Requesting user ID
+   * @param {Object} data - { offering_id, user_id? (defaults to the requester), to_team_id, reason }
+   * @returns {Promise<Object>} The pending request
+   */
+  static async requestTransfer(actorId, data) {
+    const offeringId = data?.offering_id;
+    if (!offeringId) {
+      throw new Error('offering_id is required');
+    }
+    if (!data.to_team_id) {
+      throw new Error('to_team_id is required');
+    }
+    const subjectId = data.user_id || actorId;
+    const reason = normalizeTransferReason(data.reason);
+
+    const memberships = await TeamMembershipModel.findActiveMemberships(offeringId);
+    const subject = memberships.find((membership) => membership.user_id === subjectId);
+    if (!subject) {
+      throw new Error('Only students on a team in this course can be transferred');
+    }
+    if (subjectId !== actorId) {
+      const actor = memberships.find((membership) => membership.user_id === actorId);
+      const leadsTeam = actor?.team_id === subject.team_id && actor.role === 'leader';
+      if (!leadsTeam && !(await PermissionService.hasPermission(actorId, 'team.manage', offeringId))) {
+        throw new Error('Not authorized to request a transfer for this student');
+      }
+    }
+
+    const teams = await TeamMembershipModel.findTeams(offeringId);
+    if (!teams.some((team) => team.id === data.to_team_id)) {
+      throw new Error('to_team_id must be a team in this course');
+    }
+    if (data.to_team_id === subject.team_id) {
+      throw new Error('The student is already on that team');
+    }
+
+    const request = await TeamMembershipModel.createTransferRequest({
+      offering_id: offeringId,
+      user_id: subjectId,
+      from_team_id: subject.team_id,
+      to_team_id: data.to_team_id,
+      requested_by: actorId,
+      reason
+    });
+    if (!request) {
+      throw new Error('This student already has a pending transfer request');
+    }
+
+    await AuditService.logActivity({
+      userId: actorId,
+      offeringId,
+      action: 'request_team_transfer',
+      metadata: { request_id: request.id, user_id: subjectId, from_team_id: subject.team_id, to_team_id: data.to_team_id }
+    });
+    return request;
+  }
+
+  /**
+   * Withdraw a pending request, by the student or whoever asked
+   * @param {string} requestId - Request ID
+   * @param {string} actorId - User ID
+   * @returns {Promise<Object>} The withdrawn request
+   */
+  static async withdrawTransfer(requestId, actorId) {
+    const request = await this._getRequest(requestId);
+    if (request.user_id !== actorId && request.requested_by !== actorId) {
+      throw new Error('Not authorized to withdraw this transfer request');
+    }
+
+    const closed = await TeamMembershipModel.closeTransferRequest(requestId, {
+      status: 'withdrawn',
+      reviewed_by: null,
+      review_note: null
+    });
+    if (!closed) {
+      throw new Error('This transfer request has already been reviewed');
+    }
+    return TeamMembershipModel.findTransferRequestById(requestId);
+  }
+
+  /**
+   * Get a course's transfer requests, for staff
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [filters] - { status }
+   * @returns {Promise<Object[]>}
+   */
+  static async listTransfers(offeringId, { status } = {}) {
+    if (status && !['pending', 'approved', 'rejected', 'withdrawn'].includes(status)) {
+      throw new Error('status must be pending, approved, rejected or withdrawn');
+    }
+    return TeamMembershipModel.findTransferRequests(offeringId, { status });
+  }
+
+  /**
+   * Approve or reject a pending request
+   * Approving moves the student and records a 'transferred' event.
+   * @param {string} requestId - Request ID
+   * @param {string} actorId - Staff user ID
+   * @param {Object} decision - { approve: boolean, note? }
+   * @returns {Promise<Object>} The reviewed request
+   */
+  static async reviewTransfer(requestId, actorId, { approve, note } = {}) {
+    const request = await this._getRequest(requestId);
+    const allowed = await PermissionService.hasPermission(actorId, 'team.manage', request.offering_id);
+    if (!allowed) {
+      throw new Error('Not authorized to review transfer requests for this course');
+    }
+    if (typeof approve !== 'boolean') {
+      throw new Error('approve must be true or false');
+    }
+    const reviewNote = normalizeReviewNote(note);
+
+    if (approve) {
+      const result = await TeamMembershipModel.approveTransferRequest(requestId, {
+        reviewed_by: actorId,
+        review_note: reviewNote
+      });
+      if (result.not_pending) {
+        throw new Error('This transfer request has already been reviewed');
+      }
+      if (result.not_on_team) {
+        throw new Error('The student is no longer on the team they asked to leave; reject this request instead');
+      }
+      await syncTeamLeaderIds(request.from_team_id);
+      await syncTeamLeaderIds(request.to_team_id);
+    } else {
+      const closed = await TeamMembershipModel.closeTransferRequest(requestId, {
+        status: 'rejected',
+        reviewed_by: actorId,
+        review_note: reviewNote
+      });
+      if (!closed) {
+        throw new Error('This transfer request has already been reviewed');
+      }
+    }
+
+    await AuditService.logActivity({
+      userId: actorId,
+      offeringId: request.offering_id,
+      action: 'review_team_transfer',
+      metadata: { request_id: requestId, user_id: request.user_id, decision: approve ? 'approved' : 'rejected' }
+    });
+    return TeamMembershipModel.findTransferRequestById(requestId);
+  }
+
+  /**
+   * Get a team's membership history
+   * Staff, current members and anyone who was ever on the team can see it.
+   * @param {Object} team - Team row with id and offering_id
+   * @param {string} userId - Viewing user ID
+   * @returns {Promise<Object[]>} Events, oldest first
+   */
+  static async getTeamHistory(team, userId) {
+    const events = await TeamMembershipModel.findEvents({ teamId: team.id });
+    const wasMember = events.some((event) => event.user_id === userId);
+    if (!wasMember && !(await this._canViewCourse(userId, team.offering_id))) {
+      throw new Error('Not authorized to view this team\'s history');
+    }
+    return events;
+  }
+
+  /**
+   * Get a course's membership history, for staff
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} [filters] - { userId }
+   * @returns {Promise<Object[]>} Events, oldest first
+   */
+  static async getCourseHistory(offeringId, { userId } = {}) {
+    return TeamMembershipModel.findEvents({ offeringId, userId });
+  }
+
+  /**
+   * Get each team's past members, for the class directory
+   * @param {string} offeringId - Course offering ID
+   * @returns {Promise<Map<string, Object[]>>} team_id → past members
+   */
+  static async getFormerMembers(offeringId) {
+    const [events, memberships] = await Promise.all([
+      TeamMembershipModel.findEvents({ offeringId }),
+      TeamMembershipModel.findActiveMemberships(offeringId)
+    ]);
+    return formerMembersByTeam(events, memberships);
+  }
+
+  static async _getRequest(requestId) {
+    const request = await TeamMembershipModel.findTransferRequestById(requestId);
+    if (!request) {
+      throw new Error('Transfer request not found');
+    }
+    return request;
+  }
+
+  static async _canViewCourse(userId, offeringId) {
+    const [canViewAll, canManageCourse] = await Promise.all([
+      PermissionService.hasPermission(userId, 'team.view_all', offeringId, null),
+      PermissionService.hasPermission(userId, 'course.manage', offeringId, null)
+    ]);
+    return canViewAll || canManageCourse;
+  }
+}
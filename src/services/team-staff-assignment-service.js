@@ -0,0 +1,123 @@
+import { TeamStaffAssignmentModel } from '../models/team-staff-assignment-model.js';
+import { PermissionService } from './permission-service.js';
+import { AuditService } from './audit-service.js';
+import { SUPERVISOR_ROLES, rebalanceSupervisors } from '../utils/team-staff-assignment.js';
+
+/**
+ * Team Staff Assignment Service - Which TAs and tutors supervise which teams
+ * Assigned supervisors get a team-scoped permission check for their teams (see PermissionService),
+ * and dashboards, interaction logs and meeting views default to "my teams".
+ */
+export class TeamStaffAssignmentService {
+  /**
+   * Get a course's staff and teams with who supervises what
+   * @param {string} offeringId - Course offering ID
+   * @returns {Promise<Object>} { staff: [{ ..., team_ids }], teams: [{ ..., supervisors }] }
+   */
+  static async getAssignments(offeringId) {
+    const [staff, teams, assignments] = await Promise.all([
+      TeamStaffAssignmentModel.findStaff(offeringId),
+      TeamStaffAssignmentModel.findTeams(offeringId),
+      TeamStaffAssignmentModel.findByOffering(offeringId)
+    ]);
+
+    return {
+      staff: staff.map((member) => ({
+        ...member,
+        team_ids: assignments.filter((a) => a.user_id === member.user_id).map((a) => a.team_id)
+      })),
+      teams: teams.map((team) => ({
+        ...team,
+        supervisors: assignments
+          .filter((a) => a.team_id === team.id)
+          .map(({ user_id, name, email, course_role }) => ({ user_id, name, email, course_role }))
+      }))
+    };
+  }
+
+  /**
+   * Get the teams a staff member supervises in a course
+   * @param {string} offeringId - Course offering ID
+   * @param {string} userId - Staff user ID
+   * @returns {Promise<string[]>} Team IDs
+   */
+  static async getMyTeamIds(offeringId, userId) {
+    return TeamStaffAssignmentModel.findTeamIdsForUser(offeringId, userId);
+  }
+
+  /**
+   * Set a team's supervisors, replacing the current ones
+   * @param {string} offeringId - Course offering ID
+   * @param {string} teamId - Team ID
+   * @param {string[]} userIds - TAs and tutors enrolled in the course
+   * @param {string} actorId - Acting user ID
+   * @returns {Promise<Object>} The course's assignments
+   */
+  static async setTeamSupervisors(offeringId, teamId, userIds, actorId) {
+    if (!Array.isArray(userIds)) {
+      throw new Error('user_ids must be an array');
+    }
+    const ids = [...new Set(userIds)];
+
+    const [staff, teams] = await Promise.all([
+      TeamStaffAssignmentModel.findStaff(offeringId),
+      TeamStaffAssignmentModel.findTeams(offeringId)
+    ]);
+    if (!teams.some((team) => team.id === teamId)) {
+      throw new Error('Team not found in this course');
+    }
+    const staffIds = new Set(staff.map((member) => member.user_id));
+    if (ids.some((id) => !staffIds.has(id))) {
+      throw new Error('Only TAs and tutors in this course can supervise teams');
+    }
+
+    const changed = await TeamStaffAssignmentModel.replaceForTeam(offeringId, teamId, ids, actorId);
+    await this._afterChange(offeringId, actorId, changed, { team_id: teamId, user_ids: ids });
+    return this.getAssignments(offeringId);
+  }
+
+  /**
+   * Spread TAs, tutors or both evenly over every team
+   * Each role is balanced on its own, so every team ends up with one TA and one tutor when both exist.
+   * @param {string} offeringId - Course offering ID
+   * @param {Object} options - { roles?: ['ta', 'tutor'], keep_existing?: true }
+   * @param {string} actorId - Acting user ID
+   * @returns {Promise<Object>} The course's assignments
+   */
+  static async rebalance(offeringId, { roles = SUPERVISOR_ROLES, keep_existing = true } = {}, actorId) {
+    if (!Array.isArray(roles) || roles.length === 0 || roles.some((role) => !SUPERVISOR_ROLES.includes(role))) {
+      throw new Error('roles must list ta, tutor or both');
+    }
+
+    const [staff, teams, current] = await Promise.all([
+      TeamStaffAssignmentModel.findStaff(offeringId),
+      TeamStaffAssignmentModel.findTeams(offeringId),
+      TeamStaffAssignmentModel.findByOffering(offeringId)
+    ]);
+
+    const changed = [];
+    for (const role of roles) {
+      const group = staff.filter((member) => member.course_role === role);
+      if (group.length === 0) continue;
+
+      const assignments = rebalanceSupervisors({ teams, staff: group, current, keepExisting: keep_existing !== false });
+      const groupIds = group.map((member) => member.user_id);
+      await TeamStaffAssignmentModel.replaceForStaff(offeringId, groupIds, assignments, actorId);
+      changed.push(...groupIds);
+    }
+
+    await this._afterChange(offeringId, actorId, changed, { rebalanced_roles: roles });
+    return this.getAssignments(offeringId);
+  }
+
+  // Cached team-scoped permission checks go stale when assignments change
+  static async _afterChange(offeringId, actorId, changedUserIds, metadata) {
+    await Promise.all([...new Set(changedUserIds)].map((userId) => PermissionService.invalidateUserCache(userId)));
+    await AuditService.logActivity({
+      userId: actorId,
+      offeringId,
+      action: 'assign_team_staff',
+      metadata
+    });
+  }
+}
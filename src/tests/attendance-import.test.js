@@ -0,0 +1,160 @@
+/**
+ * Attendance Import Tests
+ *
+ * Tests for CSV column detection, roster matching and the dry-run plan used by
+ * AttendanceImportService.previewImport and commitImport.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeColumnMapping,
+  readImportCsv,
+  parseImportStatus,
+  parseImportTime,
+  nameSimilarity,
+  matchParticipant,
+  buildImportPlan
+} from '../utils/attendance-import.js';
+
+const ZOOM_REPORT = [
+  'Meeting ID,Topic,Start Time,End Time,User Email,Duration (Minutes),Participants',
+  '91234567890,CSE 210 Lecture,01/08/2025 10:00:00 AM,01/08/2025 11:20:00 AM,prof@ucsd.edu,80,4',
+  '',
+  'Name (Original Name),User Email,Join Time,Leave Time,Duration (Minutes),Guest',
+  'Ada L (Ada Lovelace),,01/08/2025 10:02:13 AM,01/08/2025 10:40:00 AM,38,No',
+  'Ada L (Ada Lovelace),,01/08/2025 10:45:00 AM,01/08/2025 11:20:00 AM,35,No',
+  'Alan Turing,alan@ucsd.edu,01/08/2025 10:20:00 AM,01/08/2025 11:20:00 AM,60,No',
+  'iPhone,,01/08/2025 10:05:00 AM,01/08/2025 11:20:00 AM,75,Yes'
+].join('\n');
+
+const students = [
+  { id: 'u1', name: 'Ada Lovelace', email: 'ada@ucsd.edu', ucsd_pid: 'A1' },
+  { id: 'u2', name: 'Alan Turing', email: 'alan@ucsd.edu', ucsd_pid: 'A2' },
+  { id: 'u3', name: 'Grace Hopper', email: 'grace@ucsd.edu', ucsd_pid: 'A3' }
+];
+
+describe('Attendance Import', () => {
+  describe('readImportCsv', () => {
+    it('should skip the Zoom meeting summary and detect the participant columns', () => {
+      const { mapping, rows } = readImportCsv(ZOOM_REPORT);
+
+      expect(mapping).toEqual({
+        name: 'Name (Original Name)',
+        email: 'User Email',
+        join_time: 'Join Time',
+        duration_minutes: 'Duration (Minutes)'
+      });
+      expect(rows).toHaveLength(4);
+      expect(rows[0]).toMatchObject({ row_number: 5, name: 'Ada L (Ada Lovelace)', duration_minutes: '38' });
+    });
+
+    it('should let an explicit mapping name the columns', () => {
+      const csv = 'Participant,Mail\nAda Lovelace,ada@ucsd.edu\n';
+      const { rows } = readImportCsv(csv, normalizeColumnMapping('{"name": "Participant", "email": "Mail"}'));
+      expect(rows).toEqual([expect.objectContaining({ name: 'Ada Lovelace', email: 'ada@ucsd.edu' })]);
+    });
+
+    it('should reject files without an identity column and bad mappings', () => {
+      expect(() => readImportCsv('Foo,Bar\n1,2\n')).toThrow('Could not find a header row');
+      expect(() => readImportCsv('Name\nAda\n', { email: 'Mail' })).toThrow('mapping.email refers to a column');
+      expect(() => normalizeColumnMapping({ grade: 'Score' })).toThrow('mapping has an unknown field: grade');
+    });
+  });
+
+  describe('cell parsing', () => {
+    it('should read status codes and words', () => {
+      expect(parseImportStatus('P')).toBe('present');
+      expect(parseImportStatus(' Late ')).toBe('late');
+      expect(parseImportStatus('')).toBeNull();
+      expect(parseImportStatus('maybe')).toBeUndefined();
+    });
+
+    it('should read wall-clock join times in the offering timezone', () => {
+      expect(parseImportTime('01/08/2025 10:02:13 AM', 'America/Los_Angeles').toISOString())
+        .toBe('2025-01-08T18:02:13.000Z');
+      expect(parseImportTime('2025-07-08 14:30', 'America/New_York').toISOString())
+        .toBe('2025-07-08T18:30:00.000Z');
+      expect(parseImportTime('2025-01-08T10:00:00Z').toISOString()).toBe('2025-01-08T10:00:00.000Z');
+      expect(parseImportTime('yesterday')).toBeUndefined();
+    });
+  });
+
+  describe('matching', () => {
+    it('should match by email, then PID, then name', () => {
+      expect(matchParticipant({ email: 'ALAN@ucsd.edu' }, students)).toMatchObject({ method: 'email', student: { id: 'u2' } });
+      expect(matchParticipant({ pid: 'a3' }, students)).toMatchObject({ method: 'pid', student: { id: 'u3' } });
+      expect(matchParticipant({ name: 'Hopper, Grace' }, students)).toMatchObject({ method: 'name', student: { id: 'u3' } });
+    });
+
+    it('should tolerate typos and accents but not weak matches', () => {
+      expect(nameSimilarity('Adá Lovelace', 'Ada Lovelace')).toBeGreaterThan(0.9);
+      expect(matchParticipant({ name: 'Ada Lovelac' }, students).student.id).toBe('u1');
+
+      const weak = matchParticipant({ name: 'iPhone' }, students);
+      expect(weak.student).toBeNull();
+      expect(weak.message).toBe('No roster student matches this name');
+    });
+
+    it('should refuse to guess between students with the same name', () => {
+      const twins = [...students, { id: 'u4', name: 'Ada Lovelace', email: 'ada2@ucsd.edu' }];
+      const result = matchParticipant({ name: 'Ada Lovelace' }, twins);
+      expect(result.student).toBeNull();
+      expect(result.message).toBe('Name matches more than one student');
+      expect(result.suggestions.slice(0, 2).map((s) => s.user_id)).toEqual(['u1', 'u4']);
+    });
+  });
+
+  describe('buildImportPlan', () => {
+    const { rows } = readImportCsv(ZOOM_REPORT);
+    const sessionStart = new Date('2025-01-08T18:00:00Z');
+    const rules = { present_minutes: 10, late_minutes: 30 };
+
+    it('should merge rejoins, classify join times and diff against current attendance', () => {
+      const { entries, summary } = buildImportPlan({
+        rows,
+        students,
+        existing: [{ user_id: 'u2', status: 'present' }],
+        sessionStart,
+        rules
+      });
+
+      expect(summary).toEqual({ create: 1, update: 1, unchanged: 0, unmatched: 1, invalid: 0 });
+      expect(entries.map((e) => [e.row_number, e.user_id || null, e.action, e.new_status || null])).toEqual([
+        [5, 'u1', 'create', 'present'],
+        [7, 'u2', 'update', 'late'],
+        [8, null, 'unmatched', null]
+      ]);
+      expect(entries[0]).toMatchObject({ source_rows: [5, 6], duration_minutes: 73, match_method: 'name' });
+      expect(entries[1].current_status).toBe('present');
+    });
+
+    it('should mark short attendance absent and apply instructor overrides', () => {
+      const { entries } = buildImportPlan({
+        rows,
+        students,
+        existing: [],
+        sessionStart,
+        rules,
+        minDurationMinutes: 74,
+        overrides: { 8: 'u3', 7: null }
+      });
+
+      expect(entries.map((e) => [e.row_number, e.user_id || null, e.action, e.new_status || null])).toEqual([
+        [5, 'u1', 'create', 'absent'],
+        [7, null, 'unmatched', null],
+        [8, 'u3', 'create', 'present']
+      ]);
+      expect(entries[2].match_method).toBe('manual');
+    });
+
+    it('should report unreadable cells as invalid', () => {
+      const { entries, summary } = buildImportPlan({
+        rows: [{ row_number: 2, name: 'Ada Lovelace', status: 'maybe', join_time: '', duration_minutes: '' }],
+        students,
+        existing: []
+      });
+      expect(summary.invalid).toBe(1);
+      expect(entries[0].message).toBe('Unrecognized status "maybe"');
+    });
+  });
+});
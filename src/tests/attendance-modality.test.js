@@ -0,0 +1,57 @@
+/**
+ * Attendance Modality Tests
+ *
+ * Tests for the in-person / remote / recording helpers used by check-in,
+ * manual marking and the session remote join link.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeModality,
+  normalizeRemoteJoinUrl,
+  modalityCounts,
+  statusForModality
+} from '../utils/attendance-modality.js';
+import { normalizeAttendanceRules, resolveAttendanceRules } from '../utils/attendance-rules.js';
+
+describe('Attendance Modality', () => {
+  it('defaults to in person and rejects unknown modalities', () => {
+    expect(normalizeModality(undefined)).toBe('in_person');
+    expect(normalizeModality('remote')).toBe('remote');
+    expect(() => normalizeModality('carrier_pigeon')).toThrow('modality must be one of: in_person, remote, recording');
+  });
+
+  it('accepts http(s) join links and clears blank ones', () => {
+    expect(normalizeRemoteJoinUrl(' https://ucsd.zoom.us/j/123 ')).toBe('https://ucsd.zoom.us/j/123');
+    expect(normalizeRemoteJoinUrl('')).toBeNull();
+    expect(() => normalizeRemoteJoinUrl('javascript:alert(1)')).toThrow('remote_join_url must be an http or https link');
+    expect(() => normalizeRemoteJoinUrl('zoom meeting 123')).toThrow('remote_join_url must be an http or https link');
+  });
+
+  it('counts remote attendance but not recordings by default', () => {
+    expect(modalityCounts('in_person', {})).toBe(true);
+    expect(modalityCounts('remote', {})).toBe(true);
+    expect(modalityCounts('recording', {})).toBe(false);
+    expect(modalityCounts('remote', { remote_counts_as_present: false })).toBe(false);
+    expect(modalityCounts('recording', { recording_counts_as_present: true })).toBe(true);
+  });
+
+  it('stores attendance that does not count as absent', () => {
+    const rules = { remote_counts_as_present: false };
+    expect(statusForModality('present', 'remote', rules)).toBe('absent');
+    expect(statusForModality('late', 'remote', rules)).toBe('absent');
+    expect(statusForModality('late', 'in_person', rules)).toBe('late');
+    expect(statusForModality('excused', 'recording', rules)).toBe('excused');
+  });
+
+  it('keeps the counting flags in attendance rules, session values winning', () => {
+    expect(normalizeAttendanceRules({ remote_counts_as_present: false, recording_counts_as_present: '' }))
+      .toEqual({ remote_counts_as_present: false });
+    expect(() => normalizeAttendanceRules({ remote_counts_as_present: 'no' }))
+      .toThrow('attendance_rules.remote_counts_as_present must be true or false');
+    expect(resolveAttendanceRules(
+      { present_minutes: 10, remote_counts_as_present: false },
+      { remote_counts_as_present: true }
+    )).toEqual({ present_minutes: 10, remote_counts_as_present: true });
+  });
+});
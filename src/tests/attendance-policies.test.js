@@ -0,0 +1,75 @@
+/**
+ * Attendance Policy Tests
+ *
+ * Tests for policy validation and the per-student evaluation used by
+ * AttendancePolicyService.evaluateOffering.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePolicy,
+  describePolicy,
+  windowStartDate,
+  evaluatePolicy
+} from '../utils/attendance-policies.js';
+
+describe('Attendance Policies', () => {
+  describe('normalizePolicy', () => {
+    it('should normalize a policy and generate its name', () => {
+      expect(normalizePolicy({ metric: 'unexcused_absences', threshold: '3' })).toEqual({
+        metric: 'unexcused_absences',
+        threshold: 3,
+        window_days: null,
+        is_active: true,
+        name: 'More than 3 unexcused absences'
+      });
+      expect(normalizePolicy({ metric: 'attendance_rate', threshold: 80, window_days: 21, name: '  Slipping ' }).name)
+        .toBe('Slipping');
+    });
+
+    it('should reject malformed policies', () => {
+      expect(() => normalizePolicy({ metric: 'tardies', threshold: 1 })).toThrow('metric must be one of');
+      expect(() => normalizePolicy({ metric: 'unexcused_absences', threshold: 1.5 }))
+        .toThrow('threshold must be a non-negative whole number of absences');
+      expect(() => normalizePolicy({ metric: 'attendance_rate', threshold: 0 }))
+        .toThrow('threshold must be a percentage between 0 and 100');
+      expect(() => normalizePolicy({ metric: 'attendance_rate', threshold: 80, window_days: 0 }))
+        .toThrow('window_days must be a whole number of days');
+    });
+  });
+
+  describe('describePolicy', () => {
+    it('should describe windows in weeks when they divide evenly', () => {
+      expect(describePolicy({ metric: 'attendance_rate', threshold: 80, window_days: 21 }))
+        .toBe('Below 80% attendance over the last 3 weeks');
+      expect(describePolicy({ metric: 'unexcused_absences', threshold: 1, window_days: 10 }))
+        .toBe('More than 1 unexcused absence over the last 10 days');
+    });
+  });
+
+  describe('windowStartDate', () => {
+    it('should count back from today in the offering timezone', () => {
+      // 02:00 UTC on Mar 1 is still Feb 28 in Los Angeles
+      const now = new Date('2025-03-01T02:00:00Z');
+      expect(windowStartDate(7, now, 'America/Los_Angeles')).toBe('2025-02-22');
+      expect(windowStartDate(7, now, 'UTC')).toBe('2025-02-23');
+      expect(windowStartDate(null, now)).toBeNull();
+    });
+  });
+
+  describe('evaluatePolicy', () => {
+    const absences = { metric: 'unexcused_absences', threshold: 3 };
+    const rate = { metric: 'attendance_rate', threshold: 80 };
+
+    it('should trigger only when absences exceed the threshold', () => {
+      expect(evaluatePolicy(absences, { present: 5, absent: 3 })).toEqual({ triggered: false, value: 3 });
+      expect(evaluatePolicy(absences, { present: 5, absent: 4, excused: 2 })).toEqual({ triggered: true, value: 4 });
+    });
+
+    it('should count late as attended and leave excused sessions out of the rate', () => {
+      expect(evaluatePolicy(rate, { present: 6, late: 2, absent: 2, excused: 5 })).toEqual({ triggered: false, value: 80 });
+      expect(evaluatePolicy(rate, { present: 2, late: 0, absent: 1 })).toEqual({ triggered: true, value: 66.7 });
+      expect(evaluatePolicy(rate, { excused: 3 })).toEqual({ triggered: false, value: null });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Attendance Timing Rules Tests
+ *
+ * Tests for the late-arrival / grace-window helpers used by
+ * AttendanceService check-in, bulk import and session close.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAttendanceRules,
+  resolveAttendanceRules,
+  getSessionStart,
+  classifyCheckIn
+} from '../utils/attendance-rules.js';
+
+describe('Attendance Timing Rules', () => {
+  const start = new Date(2025, 0, 6, 10, 0, 0);
+  const minutesLater = (minutes) => new Date(start.getTime() + minutes * 60 * 1000);
+
+  describe('normalizeAttendanceRules', () => {
+    it('returns null when no rules are set', () => {
+      expect(normalizeAttendanceRules(null)).toBeNull();
+      expect(normalizeAttendanceRules({})).toBeNull();
+      expect(normalizeAttendanceRules({ present_minutes: '' })).toBeNull();
+    });
+
+    it('parses JSON strings and numeric strings', () => {
+      expect(normalizeAttendanceRules('{"present_minutes": "10", "late_minutes": 30}'))
+        .toEqual({ present_minutes: 10, late_minutes: 30 });
+    });
+
+    it('rejects negative or fractional minutes', () => {
+      expect(() => normalizeAttendanceRules({ present_minutes: -1 })).toThrow('non-negative integer');
+      expect(() => normalizeAttendanceRules({ late_minutes: 2.5 })).toThrow('non-negative integer');
+    });
+
+    it('rejects a late cut-off before the present window', () => {
+      expect(() => normalizeAttendanceRules({ present_minutes: 15, late_minutes: 5 }))
+        .toThrow('late_minutes must be greater than or equal to present_minutes');
+    });
+  });
+
+  describe('resolveAttendanceRules', () => {
+    it('lets session values override course values key by key', () => {
+      expect(resolveAttendanceRules(
+        { present_minutes: 10, late_minutes: 30 },
+        { late_minutes: 45 }
+      )).toEqual({ present_minutes: 10, late_minutes: 45 });
+    });
+
+    it('ignores invalid stored rules', () => {
+      expect(resolveAttendanceRules({ present_minutes: 'soon' }, null)).toEqual({});
+    });
+
+    it('raises the late cut-off when a session widens the present window', () => {
+      expect(resolveAttendanceRules(
+        { present_minutes: 5, late_minutes: 15 },
+        { present_minutes: 20 }
+      )).toEqual({ present_minutes: 20, late_minutes: 20 });
+    });
+  });
+
+  describe('getSessionStart', () => {
+    it('combines session_date and session_time in the offering timezone', () => {
+      const result = getSessionStart({
+        session_date: '2025-01-06',
+        session_time: '10:00:00',
+        timezone: 'America/New_York'
+      });
+      expect(result.toISOString()).toBe('2025-01-06T15:00:00.000Z');
+    });
+
+    it('defaults to Pacific time when the timezone is unknown', () => {
+      const result = getSessionStart({ session_date: '2025-07-01', session_time: '10:00' });
+      expect(result.toISOString()).toBe('2025-07-01T17:00:00.000Z');
+    });
+
+    it('prefers the stored starts_at instant', () => {
+      const result = getSessionStart({
+        session_date: '2025-01-06',
+        session_time: '10:00:00',
+        starts_at: '2025-01-06T18:00:00.000Z'
+      });
+      expect(result.toISOString()).toBe('2025-01-06T18:00:00.000Z');
+    });
+
+    it('returns null when the session has no start time', () => {
+      expect(getSessionStart({ session_date: '2025-01-06' })).toBeNull();
+    });
+  });
+
+  describe('classifyCheckIn', () => {
+    const rules = { present_minutes: 10, late_minutes: 30 };
+
+    it('marks everything present without rules', () => {
+      expect(classifyCheckIn(start, minutesLater(90), {})).toBe('present');
+    });
+
+    it('marks check-ins inside the present window as present', () => {
+      expect(classifyCheckIn(start, minutesLater(-5), rules)).toBe('present');
+      expect(classifyCheckIn(start, minutesLater(10), rules)).toBe('present');
+    });
+
+    it('marks check-ins inside the late window as late', () => {
+      expect(classifyCheckIn(start, minutesLater(11), rules)).toBe('late');
+      expect(classifyCheckIn(start, minutesLater(30), rules)).toBe('late');
+    });
+
+    it('rejects check-ins after the late cut-off', () => {
+      expect(classifyCheckIn(start, minutesLater(31), rules)).toBe('rejected');
+    });
+
+    it('never rejects when only a present window is set', () => {
+      expect(classifyCheckIn(start, minutesLater(120), { present_minutes: 10 })).toBe('late');
+    });
+
+    it('only rejects when only a late cut-off is set', () => {
+      expect(classifyCheckIn(start, minutesLater(20), { late_minutes: 30 })).toBe('present');
+      expect(classifyCheckIn(start, minutesLater(40), { late_minutes: 30 })).toBe('rejected');
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Attendance Sheet Tests
+ *
+ * Tests for reading and matching the verification codes transcribed
+ * from a paper sign-in sheet.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSheetCode,
+  parseSheetCodes,
+  matchSheetCodes
+} from '../utils/attendance-sheet.js';
+
+describe('Attendance Sheet', () => {
+  it('normalizes codes regardless of case, spaces and dashes', () => {
+    expect(normalizeSheetCode('ab3-k9')).toBe('AB3K9');
+    expect(normalizeSheetCode(' AB3 K9 ')).toBe('AB3K9');
+    expect(normalizeSheetCode(null)).toBe('');
+  });
+
+  it('reads codes from text or a list', () => {
+    expect(parseSheetCodes('ab3k9, 7qxmp\n\nHJ2RT;')).toEqual(['AB3K9', '7QXMP', 'HJ2RT']);
+    expect(parseSheetCodes(['ab3k9', '', '7qx-mp'])).toEqual(['AB3K9', '7QXMP']);
+    expect(() => parseSheetCodes(42)).toThrow('codes must be a list or text');
+  });
+
+  it('matches codes to students and reports unknown and repeated codes', () => {
+    const entries = [
+      { user_id: 'u1', code: 'AB3K9' },
+      { user_id: 'u2', code: '7QXMP' },
+      { user_id: 'u3', code: 'HJ2RT' }
+    ];
+
+    const { matched, unknown, repeated } = matchSheetCodes(['7QXMP', 'AB3K8', 'AB3K9', '7QXMP', '7QXMP'], entries);
+
+    expect(matched.map((entry) => entry.user_id)).toEqual(['u2', 'u1']);
+    expect(unknown).toEqual(['AB3K8']);
+    expect(repeated).toEqual(['7QXMP']);
+  });
+});
@@ -2,8 +2,13 @@ import { describe, it, beforeAll, afterAll, beforeEach , expect} from 'vitest';
 import { pool } from '../db.js';
 import { AttendanceModel } from '../models/attendance-model.js';
 import { AttendanceService } from '../services/attendance-service.js';
+import { AttendanceImportService } from '../services/attendance-import-service.js';
+import { AttendanceSheetService } from '../services/attendance-sheet-service.js';
+import { AttendancePolicyService } from '../services/attendance-policy-service.js';
+import { SessionEventsService } from '../services/session-events-service.js';
 import { SessionModel } from '../models/session-model.js';
 import { SessionQuestionModel } from '../models/session-question-model.js';
+import { toZonedParts } from '../utils/timezone.js';
 
 describe('Attendance Management Tests', () => {
   let testOffering, testUser, testStudent1, testStudent2, testSession;
@@ -261,17 +266,15 @@ describe('Attendance Management Tests', () => {
     beforeEach(async () => {
       await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
       
-      // Set session time to a recent past time (within 15 minutes) to ensure check-in is marked as 'present'
-      const now = new Date();
-      const sessionTime = new Date(now.getTime() - 5 * 60 * 1000); // 5 minutes ago
-      const sessionDate = sessionTime.toISOString().split('T')[0]; // YYYY-MM-DD
-      const sessionTimeStr = sessionTime.toTimeString().split(' ')[0]; // HH:MM:SS
+      // Set session time to a recent past time (within 15 minutes) to ensure check-in is marked as 'present'.
+      // Wall-clock start in the offering timezone (the default, America/Los_Angeles)
+      const start = toZonedParts(new Date(Date.now() - 5 * 60 * 1000), 'America/Los_Angeles'); // 5 minutes ago
       
       testSession = await SessionModel.create({
         offering_id: testOffering.id,
         title: 'Service Test Session',
-        session_date: sessionDate,
-        session_time: sessionTimeStr,
+        session_date: start.date,
+        session_time: start.time,
         access_code: 'SVC123',
         is_active: true,
         created_by: testUser.id
@@ -292,6 +295,35 @@ describe('Attendance Management Tests', () => {
       expect(attendance.user_id).toBe(testStudent1.id);
     });
 
+    it('should mark check-in as late after the present window', async () => {
+      // Session started 5 minutes ago: outside a 2 minute present window, inside a 30 minute late window
+      await SessionModel.update(testSession.id, {
+        attendance_rules: { present_minutes: 2, late_minutes: 30 }
+      }, testUser.id);
+
+      const attendance = await AttendanceService.checkIn('SVC123', testStudent1.id);
+      expect(attendance.status).toBe('late');
+
+      const stats = await AttendanceModel.getSessionStatistics(testSession.id);
+      expect(stats.late_count).toBe(1);
+      expect(stats.present_count).toBe(0);
+    });
+
+    it('should use course attendance rules when the session has no override', async () => {
+      await pool.query(
+        `UPDATE course_offerings SET attendance_rules = '{"present_minutes": 1, "late_minutes": 2}'::jsonb WHERE id = $1`,
+        [testOffering.id]
+      );
+
+      try {
+        await expect(async () => {
+          await AttendanceService.checkIn('SVC123', testStudent1.id);
+        }).rejects.toThrow('The check-in window for this session has closed');
+      } finally {
+        await pool.query('UPDATE course_offerings SET attendance_rules = NULL WHERE id = $1', [testOffering.id]);
+      }
+    });
+
     it('should reject check-in with invalid code', async () => {
       await expect(async () => {
         await AttendanceService.checkIn(`INVALID-${Date.now()}`, testStudent1.id);
@@ -449,5 +481,372 @@ describe('Attendance Management Tests', () => {
       expect(results[0].status).toBe('success');
       expect(results[1].status).toBe('success');
     });
+
+    it('should build the gradebook matrix and CSV for an offering', async () => {
+      await AttendanceService.checkIn('SVC123', testStudent1.id);
+      await AttendanceService.closeSessionAndMarkAbsent(testSession.id, testUser.id);
+
+      const gradebook = await AttendanceService.getGradebook(testOffering.id);
+      expect(gradebook.sessions.map(s => s.id)).toEqual([testSession.id]);
+      expect(gradebook.students.map(s => [s.id, s.statuses, s.participation_score])).toEqual([
+        [testStudent1.id, ['present'], 100],
+        [testStudent2.id, ['absent'], 0]
+      ]);
+
+      const { filename, csv } = await AttendanceService.exportGradebookCsv(testOffering.id, { layout: 'canvas' });
+      expect(filename).toMatch(/^ATT101-attendance-gradebook-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(csv.split('\n')[2]).toBe('Student One,,A12345678,student1@test.com,ATT101,100');
+    });
+
+    it('should reject unknown gradebook layouts', async () => {
+      await expect(async () => {
+        await AttendanceService.exportGradebookCsv(testOffering.id, { layout: 'excel' });
+      }).rejects.toThrow('layout must be one of: full, canvas');
+    });
+
+    describe('CSV import', () => {
+      const csvText = [
+        'Name (Original Name),User Email,Status,Duration (Minutes)',
+        'Student One,student1@test.com,L,50',
+        'S2 (Student Twoo),,,45',
+        'Guest Speaker,guest@example.com,,30'
+      ].join('\n');
+
+      it('should preview without changing attendance, then commit and revert as a unit', async () => {
+        await AttendanceService.checkIn('SVC123', testStudent1.id);
+
+        const preview = await AttendanceImportService.previewImport(testSession.id, testUser.id, {
+          csvText,
+          filename: 'zoom.csv'
+        });
+        expect(preview.status).toBe('previewed');
+        expect(preview.summary).toMatchObject({ create: 1, update: 1, unmatched: 1 });
+        expect(preview.plan.map(e => [e.user_id || null, e.action, e.match_method || null])).toEqual([
+          [testStudent1.id, 'update', 'email'],
+          [testStudent2.id, 'create', 'name'],
+          [null, 'unmatched', null]
+        ]);
+        expect((await AttendanceModel.findBySessionAndUser(testSession.id, testStudent1.id)).status).toBe('present');
+        expect(await AttendanceModel.findBySessionAndUser(testSession.id, testStudent2.id)).toBeNull();
+
+        const committed = await AttendanceImportService.commitImport(preview.id, testUser.id);
+        expect(committed.status).toBe('committed');
+        expect(committed.changed).toBe(2);
+        expect((await AttendanceModel.findBySessionAndUser(testSession.id, testStudent1.id)).status).toBe('late');
+        expect((await AttendanceModel.findBySessionAndUser(testSession.id, testStudent2.id)).status).toBe('present');
+
+        await expect(async () => {
+          await AttendanceImportService.commitImport(preview.id, testUser.id);
+        }).rejects.toThrow('This import has already been committed');
+
+        const result = await AttendanceImportService.revertImport(preview.id, testUser.id);
+        expect(result.reverted).toBe(true);
+        expect(result.import.status).toBe('reverted');
+        expect((await AttendanceModel.findBySessionAndUser(testSession.id, testStudent1.id)).status).toBe('present');
+        expect(await AttendanceModel.findBySessionAndUser(testSession.id, testStudent2.id)).toBeNull();
+      });
+
+      it('should refuse to revert over later edits unless forced', async () => {
+        const preview = await AttendanceImportService.previewImport(testSession.id, testUser.id, { csvText });
+        await AttendanceImportService.commitImport(preview.id, testUser.id, {
+          overrides: { 4: null }
+        });
+
+        const edited = await AttendanceModel.findBySessionAndUser(testSession.id, testStudent2.id);
+        await AttendanceModel.updateStatus(edited.id, 'excused');
+
+        const blocked = await AttendanceImportService.revertImport(preview.id, testUser.id);
+        expect(blocked.reverted).toBe(false);
+        expect(blocked.conflicts.map(c => [c.user_id, c.current_status])).toEqual([[testStudent2.id, 'excused']]);
+        expect((await AttendanceModel.findBySessionAndUser(testSession.id, testStudent1.id)).status).toBe('late');
+
+        const forced = await AttendanceImportService.revertImport(preview.id, testUser.id, { force: true });
+        expect(forced.reverted).toBe(true);
+        expect(await AttendanceModel.findBySessionAndUser(testSession.id, testStudent1.id)).toBeNull();
+        expect(await AttendanceModel.findBySessionAndUser(testSession.id, testStudent2.id)).toBeNull();
+      });
+    });
+
+    describe('attendance policies', () => {
+      beforeEach(async () => {
+        await pool.query('DELETE FROM attendance_policies WHERE offering_id = $1', [testOffering.id]);
+      });
+
+      it('should raise a flag when a session closes, then acknowledge and resolve it with history', async () => {
+        const policy = await AttendancePolicyService.createPolicy(testOffering.id, {
+          metric: 'unexcused_absences',
+          threshold: 0
+        }, testUser.id);
+        expect(policy.name).toBe('More than 0 unexcused absences');
+
+        await AttendanceService.checkIn('SVC123', testStudent1.id);
+        await AttendanceService.closeSessionAndMarkAbsent(testSession.id, testUser.id);
+
+        const atRisk = await AttendancePolicyService.getAtRiskStudents(testOffering.id);
+        expect(atRisk.map(s => s.user_id)).toEqual([testStudent2.id]);
+        const [flag] = atRisk[0].flags;
+        expect(flag).toMatchObject({ policy_id: policy.id, status: 'open', metric_value: 1 });
+
+        const acknowledged = await AttendancePolicyService.acknowledgeFlag(flag.id, testUser.id, 'Emailed student');
+        expect(acknowledged.status).toBe('acknowledged');
+        expect(acknowledged.acknowledgement_note).toBe('Emailed student');
+        await expect(async () => {
+          await AttendancePolicyService.acknowledgeFlag(flag.id, testUser.id);
+        }).rejects.toThrow('This flag has already been acknowledged');
+
+        // Excusing the absence puts the student back within the policy
+        const absence = await AttendanceModel.findBySessionAndUser(testSession.id, testStudent2.id);
+        await AttendanceModel.updateStatus(absence.id, 'excused');
+        expect(await AttendancePolicyService.getAtRiskStudents(testOffering.id)).toEqual([]);
+
+        const history = await AttendancePolicyService.getFlag(flag.id, testUser.id);
+        expect(history.status).toBe('resolved');
+        expect(history.history.map(e => e.action)).toEqual(['raised', 'acknowledged', 'resolved']);
+      });
+
+      it('should resolve open flags when a policy is disabled', async () => {
+        const policy = await AttendancePolicyService.createPolicy(testOffering.id, {
+          metric: 'attendance_rate',
+          threshold: 80,
+          window_days: 21
+        }, testUser.id);
+        await AttendanceService.closeSessionAndMarkAbsent(testSession.id, testUser.id);
+        expect(await AttendancePolicyService.getAtRiskStudents(testOffering.id)).toHaveLength(2);
+
+        const disabled = await AttendancePolicyService.updatePolicy(policy.id, { is_active: false }, testUser.id);
+        expect(disabled.is_active).toBe(false);
+        expect(disabled.name).toBe('Below 80% attendance over the last 3 weeks');
+        expect(await AttendancePolicyService.getAtRiskStudents(testOffering.id)).toEqual([]);
+      });
+
+      it('should reject malformed policies', async () => {
+        await expect(async () => {
+          await AttendancePolicyService.createPolicy(testOffering.id, { metric: 'attendance_rate', threshold: 120 }, testUser.id);
+        }).rejects.toThrow('threshold must be a percentage between 0 and 100');
+      });
+    });
+
+    describe('live session events', () => {
+      it('should deliver check-ins and the close to subscribers of the session', async () => {
+        const events = [];
+        const received = (count) => new Promise((resolve, reject) => {
+          const started = Date.now();
+          const poll = setInterval(() => {
+            if (events.length >= count) {
+              clearInterval(poll);
+              resolve(events);
+            } else if (Date.now() - started > 5000) {
+              clearInterval(poll);
+              reject(new Error(`Expected ${count} events, got ${events.length}`));
+            }
+          }, 20);
+        });
+
+        const unsubscribe = await SessionEventsService.subscribe(testSession.id, (event) => events.push(event));
+        try {
+          await AttendanceService.checkIn('SVC123', testStudent1.id);
+          await received(1);
+          expect(events[0]).toMatchObject({
+            type: 'attendance',
+            op: 'insert',
+            session_id: testSession.id,
+            user_id: testStudent1.id,
+            status: 'present'
+          });
+
+          await AttendanceService.closeSessionAndMarkAbsent(testSession.id, testUser.id);
+          await received(3);
+          expect(events.slice(1).map(e => [e.type, e.user_id || null])).toEqual(expect.arrayContaining([
+            ['attendance', testStudent2.id],
+            ['session', null]
+          ]));
+          expect(events.find(e => e.type === 'session').attendance_closed_at).toBeTruthy();
+        } finally {
+          unsubscribe();
+        }
+
+        expect(SessionEventsService.getStatus().subscribers).toBe(0);
+      });
+    });
+
+    describe('check-in constraints', () => {
+      // Geisel Library; the check-in points below are ~30 m and ~1.1 km away
+      const venue = { latitude: 32.8812, longitude: -117.2375 };
+      const nearby = { latitude: 32.8814, longitude: -117.2373, accuracy: 15 };
+      const faraway = { latitude: 32.8712, longitude: -117.2375, accuracy: 15 };
+
+      beforeEach(async () => {
+        await pool.query(
+          'UPDATE course_offerings SET location_latitude = $2, location_longitude = $3 WHERE id = $1',
+          [testOffering.id, venue.latitude, venue.longitude]
+        );
+      });
+
+      afterAll(async () => {
+        await pool.query(
+          'UPDATE course_offerings SET location_latitude = NULL, location_longitude = NULL WHERE id = $1',
+          [testOffering.id]
+        );
+      });
+
+      it('should accept check-ins that meet every constraint without a flag', async () => {
+        await SessionModel.update(testSession.id, {
+          checkin_constraints: { allowed_subnets: ['128.54.0.0/16'], geofence_radius_meters: 100 }
+        }, testUser.id);
+
+        const attendance = await AttendanceService.checkIn('SVC123', testStudent1.id, {
+          ip: '::ffff:128.54.20.7',
+          location: nearby
+        });
+
+        expect(attendance.status).toBe('present');
+        expect(attendance.is_flagged).toBe(false);
+        expect(attendance.checkin_ip).toBe('128.54.20.7');
+        expect(attendance.checkin_distance_meters).toBeLessThan(100);
+      });
+
+      it('should record but flag check-ins from outside the allowed subnets', async () => {
+        await SessionModel.update(testSession.id, {
+          checkin_constraints: { allowed_subnets: ['128.54.0.0/16'] }
+        }, testUser.id);
+
+        const attendance = await AttendanceService.checkIn('SVC123', testStudent1.id, { ip: '203.0.113.9' });
+
+        expect(attendance.status).toBe('present');
+        expect(attendance.is_flagged).toBe(true);
+        expect(attendance.flag_reasons).toEqual(['outside_subnet']);
+      });
+
+      it('should ask for a location when the session has a geofence', async () => {
+        await SessionModel.update(testSession.id, {
+          checkin_constraints: { geofence_radius_meters: 100 }
+        }, testUser.id);
+
+        await expect(async () => {
+          await AttendanceService.checkIn('SVC123', testStudent1.id, { ip: '128.54.20.7' });
+        }).rejects.toThrow('Location is required to check in to this session');
+
+        const attendance = await AttendanceService.checkIn('SVC123', testStudent1.id, {
+          ip: '128.54.20.7',
+          locationUnavailable: true
+        });
+        expect(attendance.flag_reasons).toEqual(['location_unavailable']);
+      });
+
+      it('should list flagged check-ins and mark rejected ones absent', async () => {
+        await SessionModel.update(testSession.id, {
+          checkin_constraints: { geofence_radius_meters: 100 }
+        }, testUser.id);
+
+        await AttendanceService.checkIn('SVC123', testStudent1.id, { location: nearby });
+        const flaggedCheckIn = await AttendanceService.checkIn('SVC123', testStudent2.id, { location: faraway });
+        expect(flaggedCheckIn.flag_reasons).toEqual(['outside_geofence']);
+
+        const result = await AttendanceService.getFlaggedCheckIns(testSession.id);
+        expect(result.pending_count).toBe(1);
+        expect(result.flagged.map(a => a.user_id)).toEqual([testStudent2.id]);
+
+        const reviewed = await AttendanceService.reviewFlaggedCheckIn(flaggedCheckIn.id, testUser.id, 'rejected');
+        expect(reviewed.status).toBe('absent');
+        expect(reviewed.flag_review_status).toBe('rejected');
+
+        await expect(async () => {
+          await AttendanceService.reviewFlaggedCheckIn(flaggedCheckIn.id, testUser.id, 'approved');
+        }).rejects.toThrow('This check-in has already been reviewed');
+
+        await expect(async () => {
+          await AttendanceService.checkIn('SVC123', testStudent2.id, { location: nearby });
+        }).rejects.toThrow('Your check-in for this session was rejected by the instructor');
+      });
+    });
+
+    describe('attendance modality', () => {
+      it('should only take remote check-ins when the session has a remote link', async () => {
+        await expect(async () => {
+          await AttendanceService.checkIn('SVC123', testStudent1.id, { modality: 'remote' });
+        }).rejects.toThrow('This session has no remote option');
+
+        await SessionModel.update(testSession.id, {
+          remote_join_url: 'https://ucsd.zoom.us/j/123456789',
+          checkin_constraints: { allowed_subnets: ['128.54.0.0/16'] }
+        }, testUser.id);
+
+        const remote = await AttendanceService.checkIn('SVC123', testStudent1.id, { ip: '203.0.113.9', modality: 'remote' });
+        expect(remote.status).toBe('present');
+        expect(remote.modality).toBe('remote');
+        expect(remote.is_flagged).toBe(false);
+
+        const inPerson = await AttendanceService.checkIn('SVC123', testStudent2.id, { ip: '128.54.20.7' });
+        expect(inPerson.modality).toBe('in_person');
+
+        const stats = await AttendanceModel.getSessionStatistics(testSession.id);
+        expect([stats.in_person_count, stats.remote_count, stats.recording_count]).toEqual([1, 1, 0]);
+      });
+
+      it('should store remote and recording attendance the course does not count as absent', async () => {
+        await SessionModel.update(testSession.id, {
+          remote_join_url: 'https://ucsd.zoom.us/j/123456789',
+          attendance_rules: { remote_counts_as_present: false }
+        }, testUser.id);
+
+        const remote = await AttendanceService.checkIn('SVC123', testStudent1.id, { modality: 'remote' });
+        expect(remote.status).toBe('absent');
+        expect(remote.modality).toBe('remote');
+
+        const recording = await AttendanceService.markAttendance(testSession.id, testStudent2.id, 'present', 'recording');
+        expect(recording.status).toBe('absent');
+        expect(recording.modality).toBe('recording');
+
+        const inPerson = await AttendanceService.updateAttendanceStatus(recording.id, 'present', 'in_person');
+        expect(inPerson.status).toBe('present');
+        expect(inPerson.modality).toBe('in_person');
+
+        const summary = await AttendanceService.getCourseAttendanceSummary(testOffering.id);
+        const student1 = summary.find(s => s.user_id === testStudent1.id);
+        expect(Number(student1.sessions_remote)).toBe(1);
+        expect(Number(student1.sessions_present)).toBe(0);
+      });
+    });
+
+    describe('paper sign-in sheets', () => {
+      it('should keep sheet codes stable and record transcribed codes as paper attendance', async () => {
+        const sheet = await AttendanceSheetService.getSheet(testSession.id, testUser.id);
+        expect(sheet.entries).toHaveLength(2);
+        const again = await AttendanceSheetService.getSheet(testSession.id, testUser.id);
+        expect(again.entries.map(e => e.code)).toEqual(sheet.entries.map(e => e.code));
+
+        const entry = sheet.entries.find(e => e.user_id === testStudent1.id);
+        const written = `${entry.code.slice(0, 2).toLowerCase()}-${entry.code.slice(2)}`;
+        const result = await AttendanceSheetService.transcribe(testSession.id, testUser.id, `${written}\nZZZZZ`);
+        expect(result.recorded.map(e => e.user_id)).toEqual([testStudent1.id]);
+        expect(result.unknown).toEqual(['ZZZZZ']);
+
+        const record = await AttendanceModel.findBySessionAndUser(testSession.id, testStudent1.id);
+        expect(record.status).toBe('present');
+        expect(record.source).toBe('paper');
+
+        const repeat = await AttendanceSheetService.transcribe(testSession.id, testUser.id, [entry.code]);
+        expect(repeat.recorded).toHaveLength(0);
+        expect(repeat.already_recorded.map(e => e.user_id)).toEqual([testStudent1.id]);
+
+        await expect(async () => {
+          await AttendanceSheetService.getSheet(testSession.id, testStudent2.id);
+        }).rejects.toThrow('Not authorized to take attendance for this session');
+      });
+
+      it('should leave an approved excuse in place when the student\'s code is transcribed', async () => {
+        await AttendanceModel.create({ session_id: testSession.id, user_id: testStudent2.id, status: 'excused' });
+        const sheet = await AttendanceSheetService.getSheet(testSession.id, testUser.id);
+        const entry = sheet.entries.find(e => e.user_id === testStudent2.id);
+        expect(entry.attendance_status).toBe('excused');
+
+        const result = await AttendanceSheetService.transcribe(testSession.id, testUser.id, [entry.code]);
+        expect(result.recorded).toHaveLength(0);
+        expect(result.already_recorded.map(e => e.user_id)).toEqual([testStudent2.id]);
+
+        const record = await AttendanceModel.findBySessionAndUser(testSession.id, testStudent2.id);
+        expect(record.status).toBe('excused');
+      });
+    });
   });
 });
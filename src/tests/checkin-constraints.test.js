@@ -0,0 +1,129 @@
+/**
+ * Check-in Constraint Tests
+ *
+ * Tests for the subnet allow-list and geofence helpers used by
+ * AttendanceService.checkIn to flag suspicious check-ins.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  FLAG_REASONS,
+  normalizeCheckInConstraints,
+  normalizeClientIp,
+  normalizeLocation,
+  isIpAllowed,
+  distanceMeters,
+  evaluateCheckIn
+} from '../utils/checkin-constraints.js';
+
+describe('Check-in Constraints', () => {
+  describe('normalizeCheckInConstraints', () => {
+    it('should return null when no constraints are set', () => {
+      expect(normalizeCheckInConstraints(null)).toBeNull();
+      expect(normalizeCheckInConstraints('')).toBeNull();
+      expect(normalizeCheckInConstraints({ allowed_subnets: [], geofence_radius_meters: '' })).toBeNull();
+    });
+
+    it('should normalize subnets and the radius', () => {
+      expect(normalizeCheckInConstraints({
+        allowed_subnets: '128.54.0.0/16, 10.1.2.3 ,128.54.0.0/16',
+        geofence_radius_meters: '150'
+      })).toEqual({
+        allowed_subnets: ['128.54.0.0/16', '10.1.2.3/32'],
+        geofence_radius_meters: 150
+      });
+    });
+
+    it('should accept IPv6 blocks and JSON strings', () => {
+      expect(normalizeCheckInConstraints('{"allowed_subnets": ["2607:f720::/32"]}')).toEqual({
+        allowed_subnets: ['2607:f720::/32']
+      });
+    });
+
+    it('should reject malformed subnets', () => {
+      expect(() => normalizeCheckInConstraints({ allowed_subnets: ['128.54.0.0/33'] }))
+        .toThrow('invalid CIDR block: 128.54.0.0/33');
+      expect(() => normalizeCheckInConstraints({ allowed_subnets: ['campus'] }))
+        .toThrow('invalid CIDR block: campus');
+      expect(() => normalizeCheckInConstraints({ allowed_subnets: ['10.0.0.0/'] }))
+        .toThrow('invalid CIDR block');
+    });
+
+    it('should reject out-of-range radii', () => {
+      expect(() => normalizeCheckInConstraints({ geofence_radius_meters: 5 }))
+        .toThrow('geofence_radius_meters must be an integer between 10 and 50000');
+      expect(() => normalizeCheckInConstraints({ geofence_radius_meters: 12.5 }))
+        .toThrow('geofence_radius_meters');
+    });
+  });
+
+  describe('IP matching', () => {
+    it('should strip the IPv4-mapped IPv6 prefix', () => {
+      expect(normalizeClientIp('::ffff:128.54.1.2')).toBe('128.54.1.2');
+      expect(normalizeClientIp('not-an-ip')).toBeNull();
+    });
+
+    it('should match addresses inside any allowed subnet', () => {
+      const subnets = ['128.54.0.0/16', '2607:f720::/32'];
+      expect(isIpAllowed('128.54.200.1', subnets)).toBe(true);
+      expect(isIpAllowed('::ffff:128.54.200.1', subnets)).toBe(true);
+      expect(isIpAllowed('2607:f720:1::5', subnets)).toBe(true);
+      expect(isIpAllowed('128.55.0.1', subnets)).toBe(false);
+      expect(isIpAllowed(undefined, subnets)).toBe(false);
+    });
+  });
+
+  describe('geofence', () => {
+    const venue = { latitude: 32.8812, longitude: -117.2375 };
+
+    it('should compute great-circle distances', () => {
+      // 0.01 degrees of latitude is about 1.11 km
+      expect(distanceMeters(venue, { latitude: 32.8712, longitude: -117.2375 })).toBeCloseTo(1112, -1);
+      expect(distanceMeters(venue, venue)).toBe(0);
+    });
+
+    it('should validate browser locations', () => {
+      expect(normalizeLocation({ latitude: '32.88', longitude: -117.23, accuracy: 'n/a' }))
+        .toEqual({ latitude: 32.88, longitude: -117.23, accuracy: null });
+      expect(() => normalizeLocation({ latitude: 91, longitude: 0 }))
+        .toThrow('location must have a valid latitude and longitude');
+    });
+
+    it('should allow the reported accuracy as slack', () => {
+      const constraints = { geofence_radius_meters: 100 };
+      // About 133 m north of the venue
+      const location = { latitude: 32.8824, longitude: -117.2375 };
+
+      expect(evaluateCheckIn(constraints, { venue, location: { ...location, accuracy: 10 } }).reasons)
+        .toEqual([FLAG_REASONS.OUTSIDE_GEOFENCE]);
+      expect(evaluateCheckIn(constraints, { venue, location: { ...location, accuracy: 50 } }).reasons)
+        .toEqual([]);
+    });
+
+    it('should flag a missing location only when the offering has coordinates', () => {
+      const constraints = { geofence_radius_meters: 100 };
+      expect(evaluateCheckIn(constraints, { venue }).reasons).toEqual([FLAG_REASONS.LOCATION_UNAVAILABLE]);
+      expect(evaluateCheckIn(constraints, { venue: { latitude: null, longitude: null } }).reasons).toEqual([]);
+    });
+  });
+
+  describe('evaluateCheckIn', () => {
+    it('should report every failed constraint', () => {
+      const result = evaluateCheckIn(
+        { allowed_subnets: ['128.54.0.0/16'], geofence_radius_meters: 100 },
+        {
+          ip: '203.0.113.9',
+          location: { latitude: 32.8712, longitude: -117.2375, accuracy: 20 },
+          venue: { latitude: 32.8812, longitude: -117.2375 }
+        }
+      );
+
+      expect(result.reasons).toEqual([FLAG_REASONS.OUTSIDE_SUBNET, FLAG_REASONS.OUTSIDE_GEOFENCE]);
+      expect(result.distance_meters).toBeGreaterThan(1000);
+    });
+
+    it('should pass everything when there are no constraints', () => {
+      expect(evaluateCheckIn(null, { ip: '203.0.113.9' })).toEqual({ reasons: [], distance_meters: null });
+    });
+  });
+});
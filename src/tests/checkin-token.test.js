@@ -0,0 +1,142 @@
+/**
+ * QR Check-in Tests
+ *
+ * Tests for the rotating check-in token helpers and the QR code rendering
+ * used by SessionService.getCheckInQr and AttendanceService.checkIn.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  DEFAULT_ROTATION_SECONDS,
+  getRotationSeconds,
+  isCheckInToken,
+  createCheckInToken,
+  parseCheckInToken,
+  verifyCheckInToken
+} from '../utils/checkin-token.js';
+import { encodeQr, renderQrSvg } from '../utils/qr-code.js';
+
+describe('Check-in Tokens', () => {
+  const session = {
+    id: '3f2b8c1e-5a47-4d0b-9c8e-2f1a6b7c9d01',
+    access_code: 'ABC123',
+    qr_rotation_seconds: 30
+  };
+  const now = new Date('2025-03-10T10:00:05Z');
+  const secondsLater = (seconds) => new Date(now.getTime() + seconds * 1000);
+
+  beforeAll(() => {
+    process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+  });
+
+  describe('getRotationSeconds', () => {
+    it('should use the configured interval when in range', () => {
+      expect(getRotationSeconds({ qr_rotation_seconds: 60 })).toBe(60);
+    });
+
+    it('should fall back to the default for missing or out-of-range values', () => {
+      expect(getRotationSeconds({ qr_rotation_seconds: null })).toBe(DEFAULT_ROTATION_SECONDS);
+      expect(getRotationSeconds({ qr_rotation_seconds: 5 })).toBe(DEFAULT_ROTATION_SECONDS);
+      expect(getRotationSeconds({ qr_rotation_seconds: 1000 })).toBe(DEFAULT_ROTATION_SECONDS);
+    });
+  });
+
+  describe('createCheckInToken', () => {
+    it('should embed the session ID and expire at the end of the window', () => {
+      const { token, expiresAt, rotationSeconds } = createCheckInToken(session, now);
+
+      expect(isCheckInToken(token)).toBe(true);
+      expect(rotationSeconds).toBe(30);
+      expect(expiresAt.toISOString()).toBe('2025-03-10T10:00:30.000Z');
+      expect(parseCheckInToken(token).sessionId).toBe(session.id);
+    });
+
+    it('should issue a different token in the next window', () => {
+      const first = createCheckInToken(session, now).token;
+      const second = createCheckInToken(session, secondsLater(30)).token;
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe('isCheckInToken', () => {
+    it('should not treat plain access codes as tokens', () => {
+      expect(isCheckInToken('ABC123')).toBe(false);
+      expect(isCheckInToken('')).toBe(false);
+      expect(isCheckInToken(null)).toBe(false);
+    });
+  });
+
+  describe('verifyCheckInToken', () => {
+    it('should accept a token in its own window', () => {
+      const { token } = createCheckInToken(session, now);
+      expect(verifyCheckInToken(token, session, secondsLater(10))).toEqual({ valid: true });
+    });
+
+    it('should accept a token from the previous window to allow for scan delay', () => {
+      const { token } = createCheckInToken(session, now);
+      expect(verifyCheckInToken(token, session, secondsLater(40)).valid).toBe(true);
+    });
+
+    it('should reject a token older than one window', () => {
+      const { token } = createCheckInToken(session, now);
+      const result = verifyCheckInToken(token, session, secondsLater(70));
+      expect(result.valid).toBe(false);
+      expect(result.message).toContain('expired');
+    });
+
+    it('should reject tokens once the access code is regenerated', () => {
+      const { token } = createCheckInToken(session, now);
+      const result = verifyCheckInToken(token, { ...session, access_code: 'XYZ789' }, now);
+      expect(result).toEqual({ valid: false, message: 'Invalid check-in code' });
+    });
+
+    it('should reject tokens issued for another session', () => {
+      const { token } = createCheckInToken(session, now);
+      const other = { ...session, id: '3f2b8c1e-5a47-4d0b-9c8e-2f1a6b7c9d02' };
+      expect(verifyCheckInToken(token, other, now).valid).toBe(false);
+    });
+
+    it('should reject tampered signatures', () => {
+      const { token } = createCheckInToken(session, now);
+      const [payload] = token.split('.');
+      const forged = `${payload}.${Buffer.alloc(16).toString('base64url')}`;
+      expect(verifyCheckInToken(forged, session, now).valid).toBe(false);
+    });
+  });
+});
+
+describe('QR Code Encoder', () => {
+  it('should use the smallest version that fits the text', () => {
+    expect(encodeQr('HELLO')).toHaveLength(21);
+    expect(encodeQr('x'.repeat(20))).toHaveLength(25);
+  });
+
+  it('should return rows first, with the dark module above the bottom-left finder', () => {
+    const modules = encodeQr('timing');
+    const size = modules.length;
+
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('should fit a check-in URL with a signed token', () => {
+    const { token } = createCheckInToken({ id: '3f2b8c1e-5a47-4d0b-9c8e-2f1a6b7c9d01', access_code: 'ABC123' });
+    const url = `https://conductor.example.edu/lecture-attendance-student?checkin=${token}`;
+    expect(() => encodeQr(url)).not.toThrow();
+  });
+
+  it('should reject text longer than a QR code can hold', () => {
+    expect(() => encodeQr('x'.repeat(3000))).toThrow('too big');
+  });
+
+  it('should render an SVG with a quiet zone', () => {
+    const svg = renderQrSvg('HELLO', { margin: 4, scale: 10 });
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(svg).toContain('viewBox="0 0 29 29"');
+    expect(svg).toContain('width="290"');
+    expect(svg).toContain('M4,4h1v1h-1z');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Class Timings Tests
+ *
+ * Tests for the schedule helpers used to generate recurring lecture series
+ * from course_offerings.class_timings.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeClassTimings,
+  normalizeSkipDates,
+  generateSeriesDates,
+  parseClockTime
+} from '../utils/class-timings.js';
+
+describe('Class Timings', () => {
+  describe('parseClockTime', () => {
+    it('should accept 24-hour and am/pm times', () => {
+      expect(parseClockTime('14:00')).toBe('14:00');
+      expect(parseClockTime('09:30:00')).toBe('09:30');
+      expect(parseClockTime('2:00pm')).toBe('14:00');
+      expect(parseClockTime('12am')).toBe('00:00');
+    });
+
+    it('should reject invalid times', () => {
+      expect(parseClockTime('25:00')).toBeNull();
+      expect(parseClockTime('noon')).toBeNull();
+      expect(parseClockTime(null)).toBeNull();
+    });
+  });
+
+  describe('normalizeClassTimings', () => {
+    it('should read the lectures list and ignore office hours', () => {
+      const slots = normalizeClassTimings({
+        lectures: [
+          { day: 'Wednesday', start_time: '10:00', end_time: '10:50' },
+          { day: 'Monday', start_time: '10:00', end_time: '10:50' }
+        ],
+        office_hours: [{ day: 'Friday', start_time: '13:00', end_time: '14:00' }]
+      });
+
+      expect(slots).toEqual([
+        { weekday: 1, start_time: '10:00', end_time: '10:50' },
+        { weekday: 3, start_time: '10:00', end_time: '10:50' }
+      ]);
+    });
+
+    it('should read the days + time range format from course settings', () => {
+      const slots = normalizeClassTimings('{"days": ["Tue", "Thursday"], "time": "3:30pm-4:50pm", "timezone": "PT"}');
+      expect(slots).toEqual([
+        { weekday: 2, start_time: '15:30', end_time: '16:50' },
+        { weekday: 4, start_time: '15:30', end_time: '16:50' }
+      ]);
+    });
+
+    it('should read a day-keyed map', () => {
+      const slots = normalizeClassTimings({ monday: '10:00-11:00', wednesday: '10:00-11:00' });
+      expect(slots.map((slot) => slot.weekday)).toEqual([1, 3]);
+    });
+
+    it('should return an empty list for missing or invalid timings', () => {
+      expect(normalizeClassTimings(null)).toEqual([]);
+      expect(normalizeClassTimings('not json')).toEqual([]);
+      expect(normalizeClassTimings({ lectures: [] })).toEqual([]);
+    });
+  });
+
+  describe('normalizeSkipDates', () => {
+    it('should expand ranges and remove duplicates', () => {
+      expect(normalizeSkipDates(['2025-03-26', '2025-03-24..2025-03-26'])).toEqual([
+        '2025-03-24',
+        '2025-03-25',
+        '2025-03-26'
+      ]);
+    });
+
+    it('should accept a newline separated string', () => {
+      expect(normalizeSkipDates('2025-01-20\n2025-02-17')).toEqual(['2025-01-20', '2025-02-17']);
+    });
+
+    it('should reject malformed dates and backwards ranges', () => {
+      expect(() => normalizeSkipDates(['01/20/2025'])).toThrow('YYYY-MM-DD');
+      expect(() => normalizeSkipDates(['2025-03-28..2025-03-24'])).toThrow('ends before it starts');
+    });
+  });
+
+  describe('generateSeriesDates', () => {
+    const slots = [
+      { weekday: 1, start_time: '10:00', end_time: '10:50' },
+      { weekday: 3, start_time: '10:00', end_time: '10:50' }
+    ];
+
+    it('should create one occurrence per scheduled weekday', () => {
+      const { occurrences } = generateSeriesDates({
+        start_date: '2025-01-06',
+        end_date: '2025-01-19',
+        slots
+      });
+
+      expect(occurrences.map((o) => o.session_date)).toEqual([
+        '2025-01-06',
+        '2025-01-08',
+        '2025-01-13',
+        '2025-01-15'
+      ]);
+      expect(occurrences[0]).toMatchObject({ start_time: '10:00', end_time: '10:50' });
+    });
+
+    it('should leave out skip dates and report them', () => {
+      const { occurrences, skipped } = generateSeriesDates({
+        start_date: '2025-01-13',
+        end_date: '2025-01-22',
+        slots,
+        skip_dates: ['2025-01-20', '2025-01-21']
+      });
+
+      expect(occurrences.map((o) => o.session_date)).toEqual(['2025-01-13', '2025-01-15', '2025-01-22']);
+      expect(skipped).toEqual(['2025-01-20']);
+    });
+
+    it('should reject an end date before the start date', () => {
+      expect(() => generateSeriesDates({ start_date: '2025-02-01', end_date: '2025-01-01', slots }))
+        .toThrow('end_date must be on or after start_date');
+    });
+
+    it('should require at least one lecture slot', () => {
+      expect(() => generateSeriesDates({ start_date: '2025-01-01', end_date: '2025-02-01', slots: [] }))
+        .toThrow('no lecture times');
+    });
+  });
+});
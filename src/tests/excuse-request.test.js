@@ -0,0 +1,163 @@
+import { describe, it, beforeAll, afterAll, beforeEach, expect } from 'vitest';
+import { pool } from '../db.js';
+import { ExcuseRequestService } from '../services/excuse-request-service.js';
+import { ExcuseRequestModel } from '../models/excuse-request-model.js';
+import { AttendanceModel } from '../models/attendance-model.js';
+import { SessionModel } from '../models/session-model.js';
+import { insertUser } from './test-utils.js';
+
+describe('Excuse Request Workflow', () => {
+  let testOffering, instructor, ta, student, otherStudent, testSession;
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM enrollments WHERE offering_id IN (SELECT id FROM course_offerings WHERE code = 'EXC101')`);
+    await pool.query(`DELETE FROM sessions WHERE offering_id IN (SELECT id FROM course_offerings WHERE code = 'EXC101')`);
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'EXC101'`);
+    await pool.query(`DELETE FROM users WHERE email IN ('exc-prof@test.com', 'exc-ta@test.com', 'exc-student1@test.com', 'exc-student2@test.com')`);
+
+    instructor = await insertUser('exc-prof@test.com', 'Excuse Professor', 'instructor');
+    ta = await insertUser('exc-ta@test.com', 'Excuse TA', 'student');
+    student = await insertUser('exc-student1@test.com', 'Excuse Student One', 'student');
+    otherStudent = await insertUser('exc-student2@test.com', 'Excuse Student Two', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('EXC101', 'Excuse Course', $1, '2025-01-01', '2025-06-01', FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'ta', 'enrolled'), ($1, $3, 'student', 'enrolled')`,
+      [testOffering.id, ta.id, student.id]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM enrollments WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM users WHERE id IN ($1, $2, $3, $4)',
+      [instructor.id, ta.id, student.id, otherStudent.id]);
+  });
+
+  beforeEach(async () => {
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+
+    testSession = await SessionModel.create({
+      offering_id: testOffering.id,
+      title: 'Excuse Test Session',
+      session_date: '2025-02-01',
+      session_time: '10:00:00',
+      access_code: 'EXC123',
+      created_by: instructor.id
+    });
+
+    await AttendanceModel.create({
+      session_id: testSession.id,
+      user_id: student.id,
+      status: 'absent'
+    });
+  });
+
+  it('should create a pending request with a submitted history event', async () => {
+    const request = await ExcuseRequestService.submitRequest(testSession.id, student.id, {
+      reason: '  Doctor appointment  '
+    });
+
+    expect(request.status).toBe('pending');
+    expect(request.reason).toBe('Doctor appointment');
+
+    const history = await ExcuseRequestModel.getHistory(request.id);
+    expect(history).toHaveLength(1);
+    expect(history[0].action).toBe('submitted');
+  });
+
+  it('should reject a second pending request for the same session', async () => {
+    await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Sick' });
+
+    await expect(
+      ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Still sick' })
+    ).rejects.toThrow('already pending');
+  });
+
+  it('should reject requests from students not enrolled in the course', async () => {
+    await expect(
+      ExcuseRequestService.submitRequest(testSession.id, otherStudent.id, { reason: 'Sick' })
+    ).rejects.toThrow('You are not enrolled in this course');
+  });
+
+  it('should mark attendance as excused when a TA approves', async () => {
+    const request = await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Family emergency' });
+
+    const approved = await ExcuseRequestService.reviewRequest(request.id, ta.id, 'approved');
+    expect(approved.status).toBe('approved');
+    expect(approved.reviewed_by).toBe(ta.id);
+
+    const attendance = await AttendanceModel.findBySessionAndUser(testSession.id, student.id);
+    expect(attendance.status).toBe('excused');
+
+    const { rows } = await pool.query(
+      `SELECT * FROM activity_logs
+       WHERE user_id = $1 AND action_type = 'review_excuse_request'
+       AND metadata->>'request_id' = $2`,
+      [ta.id, request.id]
+    );
+    expect(rows).toHaveLength(1);
+    expect(rows[0].metadata.decision).toBe('approved');
+  });
+
+  it('should keep attendance unchanged and record the note when denied', async () => {
+    const request = await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Overslept' });
+
+    const denied = await ExcuseRequestService.reviewRequest(request.id, instructor.id, 'denied', 'Not an excusable reason');
+    expect(denied.status).toBe('denied');
+    expect(denied.review_note).toBe('Not an excusable reason');
+
+    const attendance = await AttendanceModel.findBySessionAndUser(testSession.id, student.id);
+    expect(attendance.status).toBe('absent');
+
+    const history = await ExcuseRequestModel.getHistory(request.id);
+    expect(history.map(event => event.action)).toEqual(['submitted', 'denied']);
+  });
+
+  it('should not allow students to review requests', async () => {
+    const request = await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Sick' });
+
+    await expect(
+      ExcuseRequestService.reviewRequest(request.id, student.id, 'approved')
+    ).rejects.toThrow('Not authorized to review this request');
+  });
+
+  it('should not allow reviewing a request twice', async () => {
+    const request = await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Sick' });
+    await ExcuseRequestService.reviewRequest(request.id, ta.id, 'denied');
+
+    await expect(
+      ExcuseRequestService.reviewRequest(request.id, ta.id, 'approved')
+    ).rejects.toThrow('already been resolved');
+  });
+
+  it('should let the student withdraw and then resubmit', async () => {
+    const request = await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Sick' });
+    const withdrawn = await ExcuseRequestService.withdrawRequest(request.id, student.id);
+    expect(withdrawn.status).toBe('withdrawn');
+
+    const resubmitted = await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Sick, with note' });
+    expect(resubmitted.status).toBe('pending');
+  });
+
+  it('should list only pending requests in the review queue', async () => {
+    const first = await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Sick' });
+    await ExcuseRequestService.reviewRequest(first.id, ta.id, 'denied');
+    await ExcuseRequestService.submitRequest(testSession.id, student.id, { reason: 'Sick, with note' });
+
+    const queue = await ExcuseRequestService.getOfferingRequests(testOffering.id, { status: 'pending' });
+    expect(queue).toHaveLength(1);
+    expect(queue[0].reason).toBe('Sick, with note');
+    expect(await ExcuseRequestService.countPending(testOffering.id)).toBe(1);
+  });
+});
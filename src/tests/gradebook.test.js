@@ -0,0 +1,128 @@
+/**
+ * Attendance Gradebook Tests
+ *
+ * Tests for the participation formula, the student × session matrix and the
+ * Canvas-compatible CSV used by AttendanceService.exportGradebookCsv.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parse } from 'csv-parse/sync';
+import {
+  DEFAULT_PARTICIPATION_FORMULA,
+  normalizeParticipationFormula,
+  scoreParticipation,
+  attendancePercentage,
+  buildGradebookMatrix,
+  gradebookToCsv
+} from '../utils/gradebook.js';
+
+describe('Attendance Gradebook', () => {
+  describe('normalizeParticipationFormula', () => {
+    it('should use the defaults when no formula is set', () => {
+      expect(normalizeParticipationFormula(null)).toEqual(DEFAULT_PARTICIPATION_FORMULA);
+    });
+
+    it('should merge partial formulas with the defaults', () => {
+      expect(normalizeParticipationFormula({ points_possible: '10', weights: { late: 0.75, excused: 1 } })).toEqual({
+        points_possible: 10,
+        weights: { present: 1, late: 0.75, excused: 1, absent: 0 },
+        drop_lowest: 0
+      });
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => normalizeParticipationFormula({ points_possible: 0 })).toThrow('points_possible');
+      expect(() => normalizeParticipationFormula({ weights: { late: 2 } }))
+        .toThrow('participation_formula.weights.late must be between 0 and 1');
+      expect(() => normalizeParticipationFormula({ drop_lowest: -1 })).toThrow('drop_lowest');
+      expect(() => normalizeParticipationFormula('{oops')).toThrow('participation_formula must be valid JSON');
+    });
+  });
+
+  describe('scoring', () => {
+    const formula = normalizeParticipationFormula({ points_possible: 10 });
+
+    it('should average session credit and scale to the points possible', () => {
+      // present 1, late 0.5, absent 0 → 1.5 / 3
+      expect(scoreParticipation(['present', 'late', 'absent'], formula)).toBe(5);
+    });
+
+    it('should leave excused and unrecorded sessions out of the average', () => {
+      expect(scoreParticipation(['present', 'excused', null, 'absent'], formula)).toBe(5);
+      expect(scoreParticipation(['excused', null], formula)).toBeNull();
+    });
+
+    it('should drop the lowest sessions but never all of them', () => {
+      const dropOne = { ...formula, drop_lowest: 1 };
+      expect(scoreParticipation(['present', 'absent', 'present'], dropOne)).toBe(10);
+      expect(scoreParticipation(['absent'], { ...formula, drop_lowest: 3 })).toBe(0);
+    });
+
+    it('should compute attendance percentage over recorded, non-excused sessions', () => {
+      expect(attendancePercentage(['present', 'late', 'absent', 'excused', null])).toBe(66.7);
+      expect(attendancePercentage([null])).toBeNull();
+    });
+  });
+
+  describe('matrix and CSV', () => {
+    const sessions = [
+      { id: 's1', title: 'Lecture 1', session_date: '2025-01-06', attendance_closed_at: new Date() },
+      { id: 's2', title: 'Lecture 2, Part A', session_date: '2025-01-08', attendance_closed_at: new Date() },
+      { id: 's3', title: 'Lecture 3', session_date: '2025-01-10', attendance_closed_at: null }
+    ];
+    const students = [
+      { id: 'u1', name: 'Ada Lovelace', email: 'ada@ucsd.edu', ucsd_pid: 'A1' },
+      { id: 'u2', name: 'Alan Turing', email: 'alan@ucsd.edu', ucsd_pid: 'A2' }
+    ];
+    const records = [
+      { session_id: 's1', user_id: 'u1', status: 'present', modality: 'in_person' },
+      { session_id: 's2', user_id: 'u1', status: 'late', modality: 'remote' },
+      { session_id: 's3', user_id: 'u1', status: 'present', modality: 'in_person' },
+      { session_id: 's1', user_id: 'u2', status: 'excused' }
+    ];
+    const formula = normalizeParticipationFormula({ points_possible: 10 });
+    const matrix = buildGradebookMatrix({ sessions, students, records }, formula);
+
+    it('should treat missing records as absent only in closed sessions', () => {
+      expect(matrix[1].statuses).toEqual(['excused', 'absent', null]);
+      expect(matrix[1].counts).toEqual({ present: 0, late: 0, excused: 1, absent: 1 });
+      expect(matrix[1].participation_score).toBe(0);
+    });
+
+    it('should count how each student attended', () => {
+      expect(matrix[0].modality_counts).toEqual({ in_person: 2, remote: 1, recording: 0 });
+      expect(matrix[1].modality_counts).toEqual({ in_person: 0, remote: 0, recording: 0 });
+    });
+
+    it('should score each student', () => {
+      expect(matrix[0].participation_score).toBe(8.33);
+      expect(matrix[0].attendance_percentage).toBe(100);
+    });
+
+    it('should write Canvas identity columns, a points row and status codes', () => {
+      const gradebook = { offering: { code: 'CSE 210' }, sessions, students: matrix, formula };
+      const rows = parse(gradebookToCsv(gradebook));
+
+      expect(rows[0]).toEqual([
+        'Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section',
+        'Lecture 1 (2025-01-06)', 'Lecture 2, Part A (2025-01-08)', 'Lecture 3 (2025-01-10)',
+        'Present', 'Late', 'Excused', 'Absent', 'In Person', 'Remote', 'Recording', 'Attendance %',
+        'Attendance Participation'
+      ]);
+      expect(rows[1][0]).toBe('Points Possible');
+      expect(rows[1].at(-1)).toBe('10');
+      expect(rows[2]).toEqual([
+        'Ada Lovelace', '', 'A1', 'ada@ucsd.edu', 'CSE 210',
+        'P', 'L', 'P', '2', '1', '0', '0', '2', '1', '0', '100', '8.33'
+      ]);
+    });
+
+    it('should keep only the score in the canvas layout', () => {
+      const gradebook = { offering: { code: 'CSE 210' }, sessions, students: matrix, formula };
+      const rows = parse(gradebookToCsv(gradebook, { layout: 'canvas' }));
+
+      expect(rows[0]).toEqual(['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section', 'Attendance Participation']);
+      expect(rows[3]).toEqual(['Alan Turing', '', 'A2', 'alan@ucsd.edu', 'CSE 210', '0']);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Meeting Minutes Tests
+ *
+ * Tests for saving minutes and action items against the database,
+ * validating action items, and carrying open action items into later
+ * team meetings.
+ */
+
+import { describe, it, beforeAll, afterAll, expect } from 'vitest';
+import { pool } from '../db.js';
+import { MeetingMinutesService } from '../services/meeting-minutes-service.js';
+import {
+  carriedActionItems,
+  meetingStartKey,
+  normalizeActionItems
+} from '../utils/meeting-minutes.js';
+import { insertUser } from './test-utils.js';
+
+const LEAD = '11111111-1111-4111-8111-111111111111';
+const MEMBER = '22222222-2222-4222-8222-222222222222';
+const ITEM = '33333333-3333-4333-8333-333333333333';
+
+function item(id, origin, { status = 'open', completed } = {}) {
+  return {
+    id,
+    session_id: origin.id,
+    status,
+    origin_session_date: origin.session_date,
+    origin_session_time: origin.session_time,
+    completed_session_date: completed?.session_date || null,
+    completed_session_time: completed?.session_time || null
+  };
+}
+
+describe('Meeting Minutes Service', () => {
+  let testOffering, instructor, ta, lead, member, outsider, team, firstMeeting, secondMeeting;
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'MMN101'`);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'mmn-%@test.com'`);
+
+    instructor = await insertUser('mmn-prof@test.com', 'Minutes Professor', 'instructor');
+    ta = await insertUser('mmn-ta@test.com', 'Minutes TA', 'student');
+    lead = await insertUser('mmn-lead@test.com', 'Minutes Lead', 'student');
+    member = await insertUser('mmn-member@test.com', 'Minutes Member', 'student');
+    outsider = await insertUser('mmn-outsider@test.com', 'Minutes Outsider', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('MMN101', 'Minutes Course', $1, '2025-01-01', '2025-06-01', FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'ta', 'enrolled'), ($1, $3, 'student', 'enrolled'),
+              ($1, $4, 'student', 'enrolled'), ($1, $5, 'student', 'enrolled')`,
+      [testOffering.id, ta.id, lead.id, member.id, outsider.id]
+    );
+
+    const teamResult = await pool.query(
+      `INSERT INTO team (offering_id, name, team_number, leader_ids, status)
+       VALUES ($1, 'Minutes Team', 1, ARRAY[$2]::UUID[], 'active')
+       RETURNING *`,
+      [testOffering.id, lead.id]
+    );
+    team = teamResult.rows[0];
+    await pool.query(
+      `INSERT INTO team_members (team_id, user_id, role, joined_at)
+       VALUES ($1, $2, 'leader', CURRENT_DATE), ($1, $3, 'member', CURRENT_DATE)`,
+      [team.id, lead.id, member.id]
+    );
+
+    const insertMeeting = async (title, date, code) => {
+      const { rows } = await pool.query(
+        `INSERT INTO sessions (
+          offering_id, team_id, title, session_date, session_time, created_by, updated_by, access_code
+        ) VALUES ($1, $2, $3, $4, '14:00', $5, $5, $6)
+        RETURNING *`,
+        [testOffering.id, team.id, title, date, lead.id, code]
+      );
+      return rows[0];
+    };
+    firstMeeting = await insertMeeting('Kickoff', '2025-02-03', 'MMN001');
+    secondMeeting = await insertMeeting('Sprint review', '2025-02-10', 'MMN002');
+  });
+
+  afterAll(async () => {
+    // Cascades to the team, its meetings, minutes and action items
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'mmn-%@test.com'`);
+  });
+
+  it('should let the team lead record minutes and edit them again', async () => {
+    const saved = await MeetingMinutesService.saveForSession(firstMeeting.id, {
+      agenda: '  Plan sprint 1 ',
+      notes: '',
+      action_items: [
+        { description: 'Draft the API doc', owner_id: member.id, due_date: '2025-02-07' },
+        { description: 'Book a room' }
+      ]
+    }, lead.id);
+    expect(saved.can_edit).toBe(true);
+    expect(saved.minutes).toMatchObject({ agenda: 'Plan sprint 1', notes: null, created_by: lead.id });
+    expect(saved.action_items.map((entry) => entry.description)).toEqual(['Draft the API doc', 'Book a room']);
+
+    const draft = saved.action_items.find((entry) => entry.description === 'Draft the API doc');
+    const edited = await MeetingMinutesService.saveForSession(firstMeeting.id, {
+      agenda: 'Plan sprint 1',
+      decisions: 'Use REST',
+      action_items: [{ id: draft.id, description: 'Draft and share the API doc', owner_id: member.id, due_date: '2025-02-08' }]
+    }, lead.id);
+    expect(edited.minutes.id).toBe(saved.minutes.id);
+    expect(edited.minutes.decisions).toBe('Use REST');
+    expect(edited.action_items).toHaveLength(1);
+    expect(edited.action_items[0]).toMatchObject({
+      id: draft.id,
+      description: 'Draft and share the API doc',
+      owner_name: 'Minutes Member',
+      due_date: '2025-02-08',
+      status: 'open'
+    });
+
+    const { rows: logs } = await pool.query(
+      `SELECT metadata FROM activity_logs
+       WHERE offering_id = $1 AND action_type = 'record_meeting_minutes'`,
+      [testOffering.id]
+    );
+    expect(logs).toHaveLength(2);
+    expect(logs[0].metadata.session_id).toBe(firstMeeting.id);
+  });
+
+  it('should only let team members and staff read minutes and only the lead edit them', async () => {
+    const asMember = await MeetingMinutesService.getForSession(firstMeeting.id, member.id);
+    expect(asMember.can_edit).toBe(false);
+    await expect(MeetingMinutesService.saveForSession(firstMeeting.id, { notes: 'Mine now' }, member.id))
+      .rejects.toThrow('only team leaders can edit meeting minutes');
+
+    const asTa = await MeetingMinutesService.getForSession(firstMeeting.id, ta.id);
+    expect(asTa.can_edit).toBe(false);
+
+    await expect(MeetingMinutesService.getForSession(firstMeeting.id, outsider.id))
+      .rejects.toThrow('Not authorized to view these minutes');
+  });
+
+  it('should carry an open item into the next meeting until it is closed there', async () => {
+    const [draft] = (await MeetingMinutesService.getForSession(firstMeeting.id, lead.id)).action_items;
+
+    let next = await MeetingMinutesService.getForSession(secondMeeting.id, lead.id);
+    expect(next.minutes).toBeNull();
+    expect(next.carried_action_items.map((entry) => entry.id)).toEqual([draft.id]);
+
+    await expect(MeetingMinutesService.setActionItemStatus(draft.id, { status: 'done' }, member.id))
+      .rejects.toThrow('only team leaders can update action items');
+
+    const closed = await MeetingMinutesService.setActionItemStatus(
+      draft.id, { status: 'done', session_id: secondMeeting.id }, lead.id
+    );
+    expect(closed.status).toBe('done');
+    expect(closed.completed_in_session_id).toBe(secondMeeting.id);
+
+    next = await MeetingMinutesService.getForSession(secondMeeting.id, lead.id);
+    expect(next.carried_action_items.map((entry) => entry.status)).toEqual(['done']);
+
+    const history = await MeetingMinutesService.getForTeam(team.id, ta.id);
+    expect(history.minutes.map((entry) => entry.session_id)).toEqual([firstMeeting.id]);
+    expect(history.open_action_items).toEqual([]);
+  });
+});
+
+describe('Meeting Minutes', () => {
+  it('validates action item owners, due dates and statuses', () => {
+    const memberIds = [LEAD, MEMBER];
+    expect(normalizeActionItems([
+      { description: ' Draft the API doc ', owner_id: MEMBER, due_date: '2025-11-10' },
+      { id: ITEM, description: 'Book a room', status: 'done' }
+    ], { memberIds })).toEqual([
+      { id: null, description: 'Draft the API doc', owner_id: MEMBER, due_date: '2025-11-10', status: 'open' },
+      { id: ITEM, description: 'Book a room', owner_id: null, due_date: null, status: 'done' }
+    ]);
+
+    expect(() => normalizeActionItems('nope', { memberIds })).toThrow('action_items must be an array');
+    expect(() => normalizeActionItems([{ description: '  ' }], { memberIds })).toThrow('needs a description');
+    expect(() => normalizeActionItems([{ description: 'x', owner_id: ITEM }], { memberIds })).toThrow('must be on the team');
+    expect(() => normalizeActionItems([{ description: 'x', due_date: '10/11/2025' }], { memberIds })).toThrow('YYYY-MM-DD');
+    expect(() => normalizeActionItems([{ description: 'x', status: 'blocked' }], { memberIds })).toThrow('open or done');
+  });
+
+  it('carries open items into later meetings and shows them done where they were closed', () => {
+    const first = { id: 'm1', session_date: '2025-11-03', session_time: '14:00:00' };
+    const second = { id: 'm2', session_date: '2025-11-10', session_time: '14:00:00' };
+    const third = { id: 'm3', session_date: '2025-11-17', session_time: null };
+
+    const items = [
+      item('open', first),
+      item('closed-at-second', first, { status: 'done', completed: second }),
+      item('closed-at-first', first, { status: 'done', completed: first }),
+      item('raised-at-second', second)
+    ];
+
+    expect(meetingStartKey('2025-11-17', null)).toBe('2025-11-17 00:00');
+    expect(carriedActionItems(items, first)).toEqual([]);
+    expect(carriedActionItems(items, second).map((i) => i.id)).toEqual(['open', 'closed-at-second']);
+    expect(carriedActionItems(items, third).map((i) => i.id)).toEqual(['open', 'raised-at-second']);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Peer Evaluation Tests
+ *
+ * Tests for running a round against the database (create, submit,
+ * resubmit, update, results), rating validation, contribution factors,
+ * outlier flags and the CSV export.
+ */
+
+import { describe, it, beforeAll, afterAll, expect } from 'vitest';
+import { pool } from '../db.js';
+import { PeerEvaluationService } from '../services/peer-evaluation-service.js';
+import {
+  DEFAULT_RUBRIC,
+  normalizeRatings,
+  peerEvaluationsToCsv,
+  summarizeRound
+} from '../utils/peer-evaluation.js';
+import { insertUser } from './test-utils.js';
+
+const RUBRIC = {
+  criteria: [
+    { key: 'effort', label: 'Effort' },
+    { key: 'quality', label: 'Quality' }
+  ],
+  scale: { min: 1, max: 5 }
+};
+
+// Every member rates everyone on the team; scores[evaluator][evaluatee] is used for both criteria
+function evaluationsFrom(teamId, scores) {
+  const evaluations = [];
+  for (const [evaluator, given] of Object.entries(scores)) {
+    for (const [evaluatee, score] of Object.entries(given)) {
+      evaluations.push({
+        team_id: teamId,
+        evaluator_id: evaluator,
+        evaluatee_id: evaluatee,
+        scores: { effort: score, quality: score }
+      });
+    }
+  }
+  return evaluations;
+}
+
+function byId(students, id) {
+  return students.find((student) => student.user_id === id);
+}
+
+describe('Peer Evaluation Service', () => {
+  const HOUR = 60 * 60 * 1000;
+  let testOffering, instructor, ta, ana, ben, cal, team, round;
+
+  const rateEveryone = (scores) => [ana, ben, cal].map((member) => ({
+    evaluatee_id: member.id,
+    scores: Object.fromEntries(DEFAULT_RUBRIC.criteria.map((criterion) => [criterion.key, scores[member.email]])),
+    comment: scores.comment && member !== scores.self ? scores.comment : null
+  }));
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'PEV101'`);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'pev-%@test.com'`);
+
+    instructor = await insertUser('pev-prof@test.com', 'Peer Eval Professor', 'instructor');
+    ta = await insertUser('pev-ta@test.com', 'Peer Eval TA', 'student');
+    ana = await insertUser('pev-ana@test.com', 'Ana Peer', 'student');
+    ben = await insertUser('pev-ben@test.com', 'Ben Peer', 'student');
+    cal = await insertUser('pev-cal@test.com', 'Cal Peer', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('PEV101', 'Peer Eval Course', $1, '2025-01-01', '2025-06-01', FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'ta', 'enrolled'), ($1, $3, 'student', 'enrolled'),
+              ($1, $4, 'student', 'enrolled'), ($1, $5, 'student', 'enrolled')`,
+      [testOffering.id, ta.id, ana.id, ben.id, cal.id]
+    );
+
+    const teamResult = await pool.query(
+      `INSERT INTO team (offering_id, name, team_number, leader_ids, status)
+       VALUES ($1, 'Peer Team', 1, ARRAY[$2]::UUID[], 'active')
+       RETURNING *`,
+      [testOffering.id, ana.id]
+    );
+    team = teamResult.rows[0];
+    await pool.query(
+      `INSERT INTO team_members (team_id, user_id, role, joined_at)
+       VALUES ($1, $2, 'leader', CURRENT_DATE), ($1, $3, 'member', CURRENT_DATE), ($1, $4, 'member', CURRENT_DATE)`,
+      [team.id, ana.id, ben.id, cal.id]
+    );
+  });
+
+  afterAll(async () => {
+    // Cascades to rounds, ratings and the team
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'pev-%@test.com'`);
+  });
+
+  it('should let staff open a round and not students', async () => {
+    const now = Date.now();
+    const data = {
+      title: '  Sprint 1 check-in  ',
+      opens_at: new Date(now - HOUR).toISOString(),
+      closes_at: new Date(now + HOUR).toISOString()
+    };
+
+    await expect(PeerEvaluationService.createRound(testOffering.id, ana.id, data))
+      .rejects.toThrow('Not authorized to manage peer evaluations for this course');
+
+    round = await PeerEvaluationService.createRound(testOffering.id, ta.id, data);
+    expect(round.title).toBe('Sprint 1 check-in');
+    expect(round.status).toBe('open');
+    expect(round.rubric).toEqual(DEFAULT_RUBRIC);
+  });
+
+  it('should save ratings and replace them when a student submits again', async () => {
+    await PeerEvaluationService.submit(round.id, ana.id, rateEveryone({
+      'pev-ana@test.com': 5, 'pev-ben@test.com': 4, 'pev-cal@test.com': 2, self: ana, comment: 'Thanks'
+    }));
+    await PeerEvaluationService.submit(round.id, cal.id, rateEveryone({
+      'pev-ana@test.com': 4, 'pev-ben@test.com': 4, 'pev-cal@test.com': 5
+    }));
+
+    await expect(
+      PeerEvaluationService.submit(round.id, ben.id, rateEveryone({ 'pev-ana@test.com': 4 }))
+    ).rejects.toThrow(/for "Contributed a fair share of the work"/);
+
+    await PeerEvaluationService.submit(round.id, ben.id, rateEveryone({
+      'pev-ana@test.com': 3, 'pev-ben@test.com': 4, 'pev-cal@test.com': 3
+    }));
+    await PeerEvaluationService.submit(round.id, ben.id, rateEveryone({
+      'pev-ana@test.com': 4, 'pev-ben@test.com': 4, 'pev-cal@test.com': 2, self: ben, comment: 'Good lead'
+    }));
+
+    const form = await PeerEvaluationService.getMyForm(round.id, ben.id);
+    expect(form.ratings).toHaveLength(3);
+    expect(form.ratings.find((rating) => rating.evaluatee_id === ana.id).scores.contribution).toBe(4);
+
+    const { rows } = await pool.query('SELECT COUNT(*)::int as count FROM peer_evaluations WHERE round_id = $1', [round.id]);
+    expect(rows[0].count).toBe(9);
+  });
+
+  it('should update a round but keep its rubric once ratings are in', async () => {
+    await expect(
+      PeerEvaluationService.updateRound(round.id, ta.id, { rubric: { criteria: [{ label: 'Effort' }] } })
+    ).rejects.toThrow('The rubric can\'t change after students have submitted ratings');
+
+    const now = Date.now();
+    const updated = await PeerEvaluationService.updateRound(round.id, ta.id, {
+      title: 'Sprint 1 review',
+      opens_at: new Date(now - 2 * HOUR).toISOString(),
+      closes_at: new Date(now - HOUR).toISOString()
+    });
+    expect(updated.title).toBe('Sprint 1 review');
+    expect(updated.status).toBe('closed');
+    expect(updated.updated_by).toBe(ta.id);
+
+    await expect(PeerEvaluationService.submit(round.id, ana.id, []))
+      .rejects.toThrow('This peer evaluation has closed');
+  });
+
+  it('should report flagged contribution to staff and unattributed results to students', async () => {
+    await expect(PeerEvaluationService.getResults(round.id, ana.id))
+      .rejects.toThrow('Not authorized to view peer evaluations for this course');
+
+    const results = await PeerEvaluationService.getResults(round.id, ta.id);
+    const calResult = results.students.find((student) => student.user_id === cal.id);
+    expect(calResult).toMatchObject({ name: 'Cal Peer', ratings_received: 2, peer_average: 2 });
+    expect(calResult.flags).toContain('rated_low_by_all');
+
+    const mine = await PeerEvaluationService.getMyResults(round.id, ana.id);
+    expect(mine).toMatchObject({ available: true, ratings_received: 2, peer_average: 4, self_score: 5 });
+    expect(mine.comments).toEqual(['Good lead']);
+
+    const { filename, csv } = await PeerEvaluationService.exportResultsCsv(round.id, ta.id);
+    expect(filename).toBe('PEV101-peer-evaluation-Sprint-1-review.csv');
+    expect(csv.trim().split('\n')).toHaveLength(4);
+  });
+});
+
+describe('Peer Evaluation', () => {
+  it('requires a score for every criterion and every team member', () => {
+    const memberIds = ['ana', 'ben'];
+    const ratings = [
+      { evaluatee_id: 'ana', scores: { effort: 4, quality: 5 }, comment: '  Great  ' },
+      { evaluatee_id: 'ben', scores: { effort: '3', quality: 3 } }
+    ];
+
+    expect(normalizeRatings(ratings, { rubric: RUBRIC, memberIds })).toEqual([
+      { evaluatee_id: 'ana', scores: { effort: 4, quality: 5 }, comment: 'Great' },
+      { evaluatee_id: 'ben', scores: { effort: 3, quality: 3 }, comment: null }
+    ]);
+
+    expect(() => normalizeRatings(ratings.slice(0, 1), { rubric: RUBRIC, memberIds })).toThrow(/yourself included/);
+    expect(() => normalizeRatings([...ratings, { evaluatee_id: 'cal', scores: {} }], { rubric: RUBRIC, memberIds }))
+      .toThrow(/not on your team/);
+    expect(() => normalizeRatings([ratings[0], ratings[0]], { rubric: RUBRIC, memberIds })).toThrow(/twice/);
+    expect(() => normalizeRatings(
+      [ratings[0], { evaluatee_id: 'ben', scores: { effort: 6, quality: 3 } }],
+      { rubric: RUBRIC, memberIds }
+    )).toThrow(/from 1 to 5 for "Effort"/);
+  });
+
+  it('computes contribution factors from peer ratings only', () => {
+    const evaluations = evaluationsFrom('t1', {
+      ana: { ana: 5, ben: 4, cal: 4 },
+      ben: { ana: 4, ben: 5, cal: 4 },
+      cal: { ana: 4, ben: 4, cal: 5 }
+    });
+    const { teams, students } = summarizeRound({
+      rubric: RUBRIC,
+      teams: [{ team_id: 't1', member_ids: ['ana', 'ben', 'cal'] }],
+      evaluations
+    });
+
+    expect(teams).toEqual([{ team_id: 't1', member_count: 3, submitted_count: 3, peer_mean: 4 }]);
+    for (const student of students) {
+      expect(student).toMatchObject({
+        submitted: true,
+        ratings_received: 2,
+        peer_average: 4,
+        self_score: 5,
+        contribution_factor: 1,
+        criteria_averages: { effort: 4, quality: 4 },
+        flags: ['self_inflated']
+      });
+    }
+  });
+
+  it('flags a member every teammate rates below the rest', () => {
+    const evaluations = evaluationsFrom('t1', {
+      ana: { ana: 4, ben: 4, cal: 4, dee: 2 },
+      ben: { ana: 4, ben: 4, cal: 5, dee: 2 },
+      cal: { ana: 5, ben: 4, cal: 4, dee: 1 },
+      dee: { ana: 4, ben: 4, cal: 4, dee: 4 }
+    });
+    const { students } = summarizeRound({
+      rubric: RUBRIC,
+      teams: [{ team_id: 't1', member_ids: ['ana', 'ben', 'cal', 'dee'] }],
+      evaluations
+    });
+
+    const dee = byId(students, 'dee');
+    expect(dee.peer_average).toBe(1.67);
+    expect(dee.contribution_factor).toBeLessThan(0.8);
+    expect(dee.flags).toEqual(['low_contribution', 'rated_low_by_all', 'self_inflated']);
+    expect(byId(students, 'ben').flags).toEqual([]);
+    expect(byId(students, 'ana').contribution_factor).toBeGreaterThan(1);
+  });
+
+  it('leaves out ratings of or by former teammates and tracks who has not submitted', () => {
+    const evaluations = [
+      ...evaluationsFrom('t1', {
+        ana: { ana: 4, ben: 4, gone: 1 },
+        gone: { ana: 1, ben: 1, gone: 5 }
+      }),
+      ...evaluationsFrom('t2', { cal: { cal: 3 } })
+    ];
+    const { teams, students } = summarizeRound({
+      rubric: RUBRIC,
+      teams: [{ team_id: 't1', member_ids: ['ana', 'ben'] }],
+      evaluations
+    });
+
+    expect(teams[0]).toMatchObject({ member_count: 2, submitted_count: 1 });
+    expect(byId(students, 'ben')).toMatchObject({ submitted: false, ratings_received: 1, peer_average: 4 });
+    expect(byId(students, 'ana')).toMatchObject({ ratings_received: 0, peer_average: null, contribution_factor: null });
+    expect(byId(students, 'gone')).toBeUndefined();
+  });
+
+  it('exports one CSV row per student with per-criterion averages', () => {
+    const csv = peerEvaluationsToCsv({
+      rubric: RUBRIC,
+      students: [{
+        name: 'Ana, Jr.',
+        email: 'ana@example.edu',
+        team_name: 'Team 1',
+        submitted: true,
+        ratings_received: 2,
+        peer_average: 3.5,
+        criteria_averages: { effort: 3, quality: 4 },
+        self_score: 4,
+        contribution_factor: 0.9,
+        flags: ['self_inflated']
+      }]
+    });
+
+    expect(csv.trim().split('\n')).toEqual([
+      'Student,Email,Team,Submitted,Ratings Received,Peer Average,Effort,Quality,Self Score,Contribution Factor,Flags',
+      '"Ana, Jr.",ana@example.edu,Team 1,Yes,2,3.5,3,4,4,0.9,self_inflated'
+    ]);
+  });
+});
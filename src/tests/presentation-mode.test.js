@@ -0,0 +1,45 @@
+/**
+ * Presentation Mode Tests
+ *
+ * Tests for which questions students see and answer while the instructor presents one
+ * question at a time.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isQuestionOpen,
+  acceptsResponses,
+  visibleQuestions,
+  findPresentedQuestion
+} from '../utils/presentation-mode.js';
+
+describe('Presentation Mode', () => {
+  const questions = [
+    { id: 'q1', opened_at: '2030-01-07T10:00:00Z', closed_at: '2030-01-07T10:05:00Z' },
+    { id: 'q2', opened_at: '2030-01-07T10:05:00Z', closed_at: null },
+    { id: 'q3', opened_at: null, closed_at: null }
+  ];
+
+  it('should only take responses to the open question while presenting', () => {
+    expect(questions.map(isQuestionOpen)).toEqual([false, true, false]);
+    expect(questions.map((q) => acceptsResponses({ presentation_mode: true }, q))).toEqual([false, true, false]);
+    expect(questions.map((q) => acceptsResponses({ presentation_mode: false }, q))).toEqual([true, true, true]);
+  });
+
+  it('should show students only the presented question', () => {
+    expect(visibleQuestions({ presentation_mode: true, presented_question_id: 'q1' }, questions)).toEqual([questions[0]]);
+    expect(visibleQuestions({ presentation_mode: true, presented_question_id: null }, questions)).toEqual([]);
+    expect(visibleQuestions({ presentation_mode: false, presented_question_id: 'q1' }, questions)).toBe(questions);
+  });
+
+  it('should find the question to present by position or id', () => {
+    expect(findPresentedQuestion(questions, { position: 3 })).toMatchObject({ id: 'q3', position: 3 });
+    expect(findPresentedQuestion(questions, { position: '2' })).toMatchObject({ id: 'q2', position: 2 });
+    expect(findPresentedQuestion(questions, { question_id: 'q1' })).toMatchObject({ id: 'q1', position: 1 });
+
+    expect(() => findPresentedQuestion(questions, { position: 4 })).toThrow('position must be between 1 and 3');
+    expect(() => findPresentedQuestion(questions, {})).toThrow('position must be between 1 and 3');
+    expect(() => findPresentedQuestion(questions, { question_id: 'nope' })).toThrow('Question not found');
+    expect(() => findPresentedQuestion([], { position: 1 })).toThrow('This session has no questions');
+  });
+});
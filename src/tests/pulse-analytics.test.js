@@ -0,0 +1,114 @@
+/**
+ * Pulse Analytics Tests
+ *
+ * Tests for scoring pulse check answers on the emoji scale and tracking them across lectures.
+ */
+
+import { readFileSync } from 'fs';
+import { describe, it, expect } from 'vitest';
+import {
+  PULSE_LEVELS,
+  pulseLevel,
+  summarizePulse,
+  comparePulseSessions,
+  buildPulseAnalytics
+} from '../utils/pulse-analytics.js';
+
+describe('Pulse Analytics', () => {
+  const options = ['Confident', 'Neutral', 'Not Confident'];
+  const sessions = ['s1', 's2', 's3', 's4'].map((id, index) => ({
+    id,
+    title: `Lecture ${index + 1}`,
+    session_date: `2030-01-0${index + 1}`
+  }));
+
+  const answer = (sessionId, userId, option, extra = {}) => ({
+    session_id: sessionId,
+    question_id: `${sessionId}-q`,
+    options,
+    is_anonymous: false,
+    user_id: userId,
+    user_name: userId === 'u1' ? 'Ada' : 'Grace',
+    team_id: 't1',
+    team_name: 'Team One',
+    response_option: option,
+    ...extra
+  });
+
+  it('should use the same emoji scale as the lecture pages', () => {
+    // The browser scripts keep their own copy of the scale; this keeps them in step
+    const source = (file) => readFileSync(new URL(`../public/js/${file}`, import.meta.url), 'utf8');
+    const svgList = PULSE_LEVELS.map((level) => `'${level.emoji}.svg'`).join(', ');
+
+    expect(source('instructor-lecture-form.js')).toContain(`const svgFiles = [${svgList}];`);
+    expect(source('instructor-lecture-detail.js')).toContain(`const emojis = [${svgList}];`);
+    const labels = source('pulse-analytics.js').match(/const LEVEL_LABELS = \{([^}]*)\}/)[1];
+    expect([...labels.matchAll(/(\w+):/g)].map((match) => match[1])).toEqual(PULSE_LEVELS.map((level) => level.emoji));
+  });
+
+  it('should place answers on the three-level emoji scale', () => {
+    expect(options.map((option) => pulseLevel(options, option))).toEqual([0, 1, 2]);
+    expect(pulseLevel(options, 'Unknown')).toBeNull();
+    expect(['A', 'B', 'C', 'D', 'E'].map((option) => pulseLevel(['A', 'B', 'C', 'D', 'E'], option))).toEqual([0, 1, 1, 2, 2]);
+  });
+
+  it('should summarize answers as a 0-100 score with level shares', () => {
+    const summary = summarizePulse([{ level: 0 }, { level: 0 }, { level: 1 }, { level: 2 }]);
+    expect(summary.response_count).toBe(4);
+    expect(summary.average_score).toBe(62.5);
+    expect(summary.levels).toEqual([
+      { emoji: 'very_happy', count: 2, percent: 50 },
+      { emoji: 'neutral', count: 1, percent: 25 },
+      { emoji: 'angry', count: 1, percent: 25 }
+    ]);
+    expect(summarizePulse([]).average_score).toBeNull();
+  });
+
+  it('should flag a student whose latest pulse fell well below their baseline', () => {
+    const analytics = buildPulseAnalytics({
+      sessions,
+      responses: [
+        answer('s1', 'u1', 'Confident'),
+        answer('s2', 'u1', 'Confident'),
+        answer('s3', 'u1', 'Neutral'),
+        answer('s4', 'u1', 'Not Confident'),
+        answer('s1', 'u2', 'Neutral'),
+        answer('s4', 'u2', 'Neutral'),
+        // Anonymous answers only count towards the course and the lecture
+        answer('s4', 'u2', 'Not Confident', { question_id: 's4-anon', is_anonymous: true })
+      ]
+    });
+
+    expect(analytics.overall.response_count).toBe(7);
+    expect(analytics.sessions.map((s) => s.average_score)).toEqual([75, 100, 50, 16.7]);
+    expect(analytics.teams).toHaveLength(1);
+    expect(analytics.teams[0].response_count).toBe(6);
+
+    const [ada, grace] = analytics.students;
+    expect(ada).toMatchObject({ name: 'Ada', latest_score: 0, baseline_score: 83.3, drop: 83.3, flagged: true });
+    expect(ada.trend.map((point) => point.score)).toEqual([100, 100, 50, 0]);
+    expect(grace).toMatchObject({ response_count: 2, drop: 0, flagged: false });
+    expect(analytics.flagged.map((s) => s.user_id)).toEqual(['u1']);
+
+    expect(buildPulseAnalytics({ sessions, responses: [answer('s1', 'u1', 'Confident')] }).students[0])
+      .toMatchObject({ baseline_score: null, drop: null, flagged: false });
+  });
+
+  it('should compare two lectures level by level', () => {
+    const { sessions: summaries } = buildPulseAnalytics({
+      sessions,
+      responses: [answer('s1', 'u1', 'Confident'), answer('s2', 'u1', 'Not Confident')]
+    });
+    expect(comparePulseSessions(summaries[0], summaries[1])).toEqual({
+      from_session_id: 's1',
+      to_session_id: 's2',
+      score_change: -100,
+      levels: [
+        { emoji: 'very_happy', from_percent: 100, to_percent: 0, change: -100 },
+        { emoji: 'neutral', from_percent: 0, to_percent: 0, change: 0 },
+        { emoji: 'angry', from_percent: 0, to_percent: 100, change: 100 }
+      ]
+    });
+    expect(comparePulseSessions(summaries[0], summaries[2]).score_change).toBeNull();
+  });
+});
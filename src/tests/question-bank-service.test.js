@@ -0,0 +1,122 @@
+import { describe, it, beforeAll, afterAll, beforeEach, expect } from 'vitest';
+import { pool } from '../db.js';
+import { QuestionBankService } from '../services/question-bank-service.js';
+import { SessionService } from '../services/session-service.js';
+import { SessionQuestionModel } from '../models/session-question-model.js';
+import { insertUser } from './test-utils.js';
+
+describe('Question Bank Service', () => {
+  let testOffering, instructor, student;
+
+  const createSession = (overrides = {}) => SessionService.createSession({
+    offering_id: testOffering.id,
+    title: 'Lecture 1',
+    description: 'Intro',
+    session_date: '2030-01-07',
+    session_time: '10:00:00',
+    questions: [
+      { question_text: 'Pick B', question_type: 'multiple_choice', options: ['A', 'B'], correct_answers: ['B'], points: 2 },
+      { question_text: 'Muddiest point?', question_type: 'text' }
+    ],
+    ...overrides
+  }, instructor.id);
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'QB101'`);
+    await pool.query(`DELETE FROM users WHERE email IN ('bank-prof@test.com', 'bank-student@test.com')`);
+
+    instructor = await insertUser('bank-prof@test.com', 'Bank Professor', 'instructor');
+    student = await insertUser('bank-student@test.com', 'Bank Student', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('QB101', 'Question Bank Course', $1, '2030-01-06', '2030-03-15', FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'student', 'enrolled')`,
+      [testOffering.id, student.id]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM enrollments WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM users WHERE id IN ($1, $2)', [instructor.id, student.id]);
+  });
+
+  beforeEach(async () => {
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM question_bank_items WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM lecture_templates WHERE offering_id = $1', [testOffering.id]);
+  });
+
+  it('should save a session question to the bank and find it by text and tag', async () => {
+    const session = await createSession();
+    const [choice] = session.questions;
+
+    const item = await QuestionBankService.saveFromSession(choice.id, { tags: 'Week 1, quiz' }, instructor.id);
+    expect(item).toMatchObject({ question_text: 'Pick B', tags: ['week-1', 'quiz'], source_question_id: choice.id });
+    expect(item.correct_answers).toEqual(['B']);
+
+    await QuestionBankService.createItem(testOffering.id, { question_text: 'Rate the pace', question_type: 'pulse_check', tags: ['pulse'] }, instructor.id);
+
+    expect((await QuestionBankService.searchItems(testOffering.id, { search: 'pick' })).map((i) => i.id)).toEqual([item.id]);
+    expect((await QuestionBankService.searchItems(testOffering.id, { tags: 'quiz,week-1' })).map((i) => i.id)).toEqual([item.id]);
+    expect(await QuestionBankService.searchItems(testOffering.id, { question_type: 'multiple_choice' })).toHaveLength(1);
+    expect(await QuestionBankService.getTags(testOffering.id)).toEqual([
+      { tag: 'pulse', count: 1 },
+      { tag: 'quiz', count: 1 },
+      { tag: 'week-1', count: 1 }
+    ]);
+  });
+
+  it('should insert bank questions as copies after the existing questions', async () => {
+    const source = await createSession();
+    const item = await QuestionBankService.saveFromSession(source.questions[0].id, {}, instructor.id);
+    const target = await createSession({ title: 'Lecture 2', questions: [] });
+
+    const [inserted] = await QuestionBankService.insertIntoSession(target.id, [item.id], instructor.id);
+    expect(inserted).toMatchObject({ question_text: 'Pick B', question_order: 1, session_id: target.id });
+
+    // Editing the session copy leaves the bank alone
+    await SessionQuestionModel.update(inserted.id, { question_text: 'Pick B (edited)' }, instructor.id);
+    const [stored] = await QuestionBankService.searchItems(testOffering.id, {});
+    expect(stored.question_text).toBe('Pick B');
+    expect(stored.times_used).toBe(1);
+  });
+
+  it('should not let students use the bank', async () => {
+    await expect(QuestionBankService.createItem(testOffering.id, { question_text: 'Hi' }, student.id))
+      .rejects.toThrow('Not authorized');
+  });
+
+  it('should save a lecture as a template and number the sessions made from it', async () => {
+    const session = await createSession();
+    const template = await QuestionBankService.createTemplate(testOffering.id, {
+      name: 'Weekly lecture',
+      title_pattern: 'Week {n} ({date})',
+      session_id: session.id
+    }, instructor.id);
+
+    expect(template.description).toBe('Intro');
+    expect(template.questions.map((q) => q.question_text)).toEqual(['Pick B', 'Muddiest point?']);
+
+    await expect(QuestionBankService.createTemplate(testOffering.id, { name: 'weekly LECTURE', title_pattern: 'x' }, instructor.id))
+      .rejects.toThrow('already exists');
+
+    const first = await QuestionBankService.instantiateTemplate(template.id, { session_date: '2030-01-14', session_time: '10:00:00' }, instructor.id);
+    const second = await QuestionBankService.instantiateTemplate(template.id, { session_date: '2030-01-21', session_time: '10:00:00' }, instructor.id);
+
+    expect(first.title).toBe('Week 1 (2030-01-14)');
+    expect(second.title).toBe('Week 2 (2030-01-21)');
+    expect(second.questions.map((q) => q.question_text)).toEqual(['Pick B', 'Muddiest point?']);
+    expect(second.questions[0].correct_answers).toEqual(['B']);
+  });
+});
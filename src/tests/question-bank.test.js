@@ -0,0 +1,80 @@
+/**
+ * Question Bank Tests
+ *
+ * Tests for tag normalization, bank question validation and lecture template validation.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTags,
+  normalizeBankQuestion,
+  normalizeTemplate,
+  renderTitlePattern
+} from '../utils/question-bank.js';
+
+describe('Question Bank', () => {
+  describe('normalizeTags', () => {
+    it('should lower-case, dash and de-duplicate tags', () => {
+      expect(normalizeTags(' Week 3, recursion,RECURSION,, ')).toEqual(['week-3', 'recursion']);
+      expect(normalizeTags(['Big O'])).toEqual(['big-o']);
+      expect(normalizeTags(undefined)).toEqual([]);
+    });
+
+    it('should reject long tags and too many tags', () => {
+      expect(() => normalizeTags(['x'.repeat(41)])).toThrow('longer than 40');
+      expect(() => normalizeTags(Array.from({ length: 21 }, (_, i) => `t${i}`))).toThrow('at most 20 tags');
+    });
+  });
+
+  describe('normalizeBankQuestion', () => {
+    it('should copy a session question without session-only fields', () => {
+      expect(normalizeBankQuestion({
+        id: 'q1',
+        session_id: 's1',
+        question_text: '  Pick B ',
+        question_type: 'mcq',
+        options: ['A', 'B'],
+        correct_answers: ['B'],
+        points: '2.00',
+        is_anonymous: false,
+        reveal_results: true
+      })).toEqual({
+        question_text: 'Pick B',
+        question_type: 'mcq',
+        options: ['A', 'B'],
+        is_required: false,
+        correct_answers: ['B'],
+        points: 2,
+        is_anonymous: false
+      });
+    });
+
+    it('should validate text, type, options and answers', () => {
+      expect(() => normalizeBankQuestion({ question_text: ' ' })).toThrow('question_text is required');
+      expect(() => normalizeBankQuestion({ question_text: 'Rank', question_type: 'ranking', options: ['A'] }))
+        .toThrow('between 2 and');
+      expect(() => normalizeBankQuestion({ question_text: 'Pick', question_type: 'mcq', options: ['A'], correct_answers: ['Z'] }))
+        .toThrow('is not one of the options');
+    });
+  });
+
+  describe('lecture templates', () => {
+    it('should normalize only the fields given and label bad questions', () => {
+      expect(normalizeTemplate({ description: '  ' })).toEqual({ description: null });
+      expect(normalizeTemplate({
+        name: ' Weekly ',
+        title_pattern: 'Week {n}',
+        questions: [{ question_text: 'Muddiest point?' }]
+      })).toMatchObject({ name: 'Weekly', title_pattern: 'Week {n}', questions: [{ question_type: 'text' }] });
+
+      expect(() => normalizeTemplate({ name: '' })).toThrow('name is required');
+      expect(() => normalizeTemplate({ questions: [{ question_text: 'ok' }, { question_text: '' }] }))
+        .toThrow('questions[1]: question_text is required');
+    });
+
+    it('should fill in the use number and date', () => {
+      expect(renderTitlePattern('Lecture {n} ({date})', { n: 4, date: '2030-01-07' })).toBe('Lecture 4 (2030-01-07)');
+      expect(renderTitlePattern('Review {date}', { n: 1 })).toBe('Review');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Question Type Tests
+ *
+ * Tests for multi-select, ranking, numeric and word cloud questions: option validation,
+ * response validation and the aggregates returned with session statistics.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeQuestionConfig,
+  normalizeResponseValue,
+  buildHistogram,
+  aggregateResponses
+} from '../utils/question-types.js';
+import { normalizeQuizSettings, scoreResponse } from '../utils/quiz-scoring.js';
+
+const multiSelect = { question_type: 'multi_select', options: ['A', 'B', 'C'] };
+const ranking = { question_type: 'ranking', options: ['Red', 'Green', 'Blue'] };
+const numeric = { question_type: 'numeric', options: { min: 0, max: 10 } };
+const wordCloud = { question_type: 'word_cloud', options: null };
+
+describe('Question Types', () => {
+  describe('normalizeQuestionConfig', () => {
+    it('should validate options for each type', () => {
+      expect(normalizeQuestionConfig({ question_type: 'ranking', options: [' A ', 'B'] }).options).toEqual(['A', 'B']);
+      expect(normalizeQuestionConfig({ question_type: 'numeric', options: { min: '1', max: '' } }).options).toEqual({ min: 1 });
+      expect(normalizeQuestionConfig({ question_type: 'numeric', options: [] }).options).toBeNull();
+      expect(normalizeQuestionConfig({ question_type: 'word_cloud', options: ['x'] }).options).toBeNull();
+      expect(normalizeQuestionConfig({ question_type: 'mcq', options: ['A'] })).toEqual({ question_type: 'mcq', options: ['A'] });
+    });
+
+    it('should reject invalid configs', () => {
+      expect(() => normalizeQuestionConfig({ question_type: 'poll' })).toThrow('question_type must be one of');
+      expect(() => normalizeQuestionConfig({ question_type: 'multi_select', options: ['A'] })).toThrow('between 2 and 20 options');
+      expect(() => normalizeQuestionConfig({ question_type: 'ranking', options: ['A', 'A'] })).toThrow('Options must be unique');
+      expect(() => normalizeQuestionConfig({ question_type: 'numeric', options: { min: 5, max: 5 } })).toThrow('min must be less than max');
+    });
+  });
+
+  describe('normalizeResponseValue', () => {
+    it('should keep multi-select answers in option order', () => {
+      expect(normalizeResponseValue(multiSelect, { response_values: ['C', 'A', 'C'] })).toMatchObject({
+        response_text: 'A, C',
+        response_values: ['A', 'C']
+      });
+      expect(() => normalizeResponseValue(multiSelect, { response_values: [] })).toThrow('Select at least one option');
+      expect(() => normalizeResponseValue(multiSelect, { response_values: ['D'] })).toThrow('"D" is not one of the options');
+    });
+
+    it('should require a full ranking', () => {
+      expect(normalizeResponseValue(ranking, { response_values: ['Blue', 'Red', 'Green'] }).response_text)
+        .toBe('Blue > Red > Green');
+      expect(() => normalizeResponseValue(ranking, { response_values: ['Blue', 'Red'] })).toThrow('Rank every option exactly once');
+    });
+
+    it('should check numbers against the range', () => {
+      expect(normalizeResponseValue(numeric, { response_text: ' 7.5 ' })).toMatchObject({ response_number: 7.5, response_text: '7.5' });
+      expect(() => normalizeResponseValue(numeric, { response_number: 'abc' })).toThrow('Enter a number');
+      expect(() => normalizeResponseValue(numeric, { response_number: 11 })).toThrow('no greater than 10');
+    });
+
+    it('should limit word cloud phrases', () => {
+      expect(normalizeResponseValue(wordCloud, { response_text: '  big   O  ' }).response_text).toBe('big O');
+      expect(() => normalizeResponseValue(wordCloud, { response_text: 'one two three four' })).toThrow('at most 3 words');
+    });
+  });
+
+  describe('aggregateResponses', () => {
+    it('should count multi-select options per respondent', () => {
+      const aggregate = aggregateResponses(multiSelect, [
+        { response_values: ['A', 'B'] },
+        { response_values: ['A'] }
+      ]);
+      expect(aggregate.options).toEqual([
+        { option: 'A', count: 2, percent: 100 },
+        { option: 'B', count: 1, percent: 50 },
+        { option: 'C', count: 0, percent: 0 }
+      ]);
+    });
+
+    it('should count single-choice answers, including labels missing from the options', () => {
+      const aggregate = aggregateResponses({ question_type: 'pulse', options: null }, [
+        { response_option: 'Confident' }, { response_text: 'Confident' }, { response_option: 'Lost' }
+      ]);
+      expect(aggregate).toEqual({
+        type: 'pulse_check',
+        response_count: 3,
+        options: [
+          { option: 'Confident', count: 2, percent: 66.7 },
+          { option: 'Lost', count: 1, percent: 33.3 }
+        ]
+      });
+    });
+
+    it('should order ranking options by average rank', () => {
+      const aggregate = aggregateResponses(ranking, [
+        { response_values: ['Blue', 'Red', 'Green'] },
+        { response_values: ['Red', 'Blue', 'Green'] },
+        { response_values: ['Blue', 'Green', 'Red'] }
+      ]);
+      expect(aggregate.options.map((o) => [o.option, o.average_rank, o.first_place_count])).toEqual([
+        ['Blue', 1.33, 2],
+        ['Red', 2, 1],
+        ['Green', 2.67, 0]
+      ]);
+    });
+
+    it('should summarize numeric answers with a histogram', () => {
+      const aggregate = aggregateResponses(numeric, [
+        { response_number: '2' }, { response_number: '4' }, { response_number: '4' }, { response_number: '9' }
+      ]);
+      expect(aggregate).toMatchObject({ response_count: 4, min: 2, max: 9, mean: 4.75, median: 4 });
+      expect(aggregate.histogram).toHaveLength(11);
+      expect(aggregate.histogram[4]).toEqual({ from: 4, to: 4, count: 2 });
+
+      const bins = buildHistogram([0.5, 99.5, 100]);
+      expect(bins).toHaveLength(10);
+      expect(bins[9].count).toBe(2);
+    });
+
+    it('should group word cloud phrases case-insensitively', () => {
+      const aggregate = aggregateResponses(wordCloud, [
+        { response_text: 'Recursion' }, { response_text: 'recursion!' }, { response_text: 'Big O' }
+      ]);
+      expect(aggregate.phrases).toEqual([{ text: 'recursion', count: 2 }, { text: 'big o', count: 1 }]);
+      expect(aggregateResponses({ question_type: 'text' }, [])).toBeNull();
+    });
+  });
+
+  describe('quiz scoring', () => {
+    it('should score multi-select, ranking and numeric answers', () => {
+      const graded = (question, answers) => ({ ...question, ...normalizeQuizSettings({ ...question, correct_answers: answers }) });
+
+      expect(scoreResponse(graded(multiSelect, ['A', 'C']), { response_values: ['A', 'C'] }).is_correct).toBe(true);
+      expect(scoreResponse(graded(multiSelect, ['A', 'C']), { response_values: ['A'] }).is_correct).toBe(false);
+      expect(scoreResponse(graded(ranking, ['Blue', 'Red', 'Green']), { response_values: ['Blue', 'Red', 'Green'] }).is_correct).toBe(true);
+      expect(scoreResponse(graded(numeric, [7]), { response_number: '7.0' }).is_correct).toBe(true);
+      expect(() => normalizeQuizSettings({ ...ranking, correct_answers: ['Blue'] })).toThrow('The correct ranking must list every option');
+      expect(() => normalizeQuizSettings({ ...wordCloud, correct_answers: ['x'] })).toThrow('Word cloud questions cannot have correct answers');
+    });
+  });
+});
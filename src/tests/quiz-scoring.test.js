@@ -0,0 +1,130 @@
+/**
+ * Quiz Scoring Tests
+ *
+ * Tests for quiz settings validation, response scoring and the quiz statistics
+ * returned with session statistics and my-responses.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeQuizSettings,
+  scoreResponse,
+  summarizeScore,
+  buildQuizStatistics,
+  redactQuestion,
+  anonymizeResponse
+} from '../utils/quiz-scoring.js';
+
+const choice = {
+  id: 'q1',
+  question_text: 'Pick B',
+  question_type: 'multiple_choice',
+  options: ['A', 'B', 'C'],
+  correct_answers: ['B'],
+  points: '2.00',
+  is_anonymous: false
+};
+const text = {
+  id: 'q2',
+  question_text: 'Who?',
+  question_type: 'text',
+  correct_answers: ['Edsger Dijkstra'],
+  points: '1.00',
+  is_anonymous: false
+};
+const anonymous = {
+  id: 'q3',
+  question_text: 'Pick A',
+  question_type: 'mcq',
+  options: ['A', 'B'],
+  correct_answers: ['A'],
+  points: '1.00',
+  is_anonymous: true
+};
+const ungraded = { id: 'q4', question_text: 'Feel?', question_type: 'pulse_check', correct_answers: null };
+
+describe('Quiz Scoring', () => {
+  describe('normalizeQuizSettings', () => {
+    it('should normalize answers, points and flags', () => {
+      expect(normalizeQuizSettings({
+        question_type: 'mcq',
+        options: ['A', 'B'],
+        correct_answers: [' B ', 'B', ''],
+        points: '2.5',
+        is_anonymous: 'true',
+        reveal_results: false
+      })).toEqual({ correct_answers: ['B'], points: 2.5, is_anonymous: true, reveal_results: false });
+
+      expect(normalizeQuizSettings({ question_type: 'text', correct_answers: [] })).toEqual({ correct_answers: null });
+      expect(normalizeQuizSettings({ question_type: 'text' })).toEqual({});
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => normalizeQuizSettings({ question_type: 'multiple_choice', options: ['A'], correct_answers: ['Z'] }))
+        .toThrow('Correct answer "Z" is not one of the options');
+      expect(() => normalizeQuizSettings({ question_type: 'pulse', options: ['Good'], correct_answers: ['Good'] }))
+        .toThrow('Pulse questions cannot have correct answers');
+      expect(() => normalizeQuizSettings({ question_type: 'text', points: -1 }))
+        .toThrow('points must be a number between 0 and');
+    });
+  });
+
+  describe('scoreResponse', () => {
+    it('should match choices exactly and text loosely', () => {
+      expect(scoreResponse(choice, { response_option: 'B' })).toEqual({ is_correct: true, points_earned: 2 });
+      expect(scoreResponse(choice, { response_option: 'b' })).toEqual({ is_correct: false, points_earned: 0 });
+      expect(scoreResponse(text, { response_text: '  edsger   DIJKSTRA ' }).is_correct).toBe(true);
+      expect(scoreResponse(text, null)).toEqual({ is_correct: false, points_earned: 0 });
+      expect(scoreResponse(ungraded, { response_option: 'Good' })).toBeNull();
+    });
+  });
+
+  describe('summarizeScore', () => {
+    it('should total graded questions and count unanswered ones as wrong', () => {
+      expect(summarizeScore([choice, text, ungraded], [{ question_id: 'q1', response_option: 'B' }])).toEqual({
+        graded_questions: 2,
+        correct_count: 1,
+        points_earned: 2,
+        points_possible: 3
+      });
+      expect(summarizeScore([ungraded], [])).toBeNull();
+    });
+  });
+
+  describe('buildQuizStatistics', () => {
+    it('should leave anonymous questions out of per-student scores', () => {
+      const responses = [
+        { question_id: 'q1', user_id: 'u1', user_name: 'Bea', response_option: 'B' },
+        { question_id: 'q2', user_id: 'u1', user_name: 'Bea', response_text: 'Turing' },
+        { question_id: 'q1', user_id: 'u2', user_name: 'Al', response_option: 'A' },
+        { question_id: 'q3', user_id: 'u3', user_name: 'Cy', response_option: 'A' }
+      ];
+
+      const stats = buildQuizStatistics([choice, text, anonymous, ungraded], responses);
+
+      expect(stats.graded_questions).toBe(3);
+      expect(stats.points_possible).toBe(3);
+      expect(stats.questions.map((q) => [q.question_id, q.correct_count, q.percent_correct])).toEqual([
+        ['q1', 1, 50],
+        ['q2', 0, 0],
+        ['q3', 1, 100]
+      ]);
+      expect(stats.students.map((s) => [s.user_name, s.points_earned])).toEqual([['Al', 0], ['Bea', 2]]);
+      expect(stats.average_score).toBe(1);
+      expect(buildQuizStatistics([ungraded], responses)).toBeNull();
+    });
+  });
+
+  describe('redactQuestion and anonymizeResponse', () => {
+    it('should hide answer keys until revealed and strip identities', () => {
+      expect(redactQuestion(choice)).not.toHaveProperty('correct_answers');
+      expect(redactQuestion(choice).is_graded).toBe(true);
+      expect(redactQuestion({ ...choice, reveal_results: true }).correct_answers).toEqual(['B']);
+
+      const response = anonymizeResponse({
+        id: 'r1', user_id: 'u1', user_name: 'Bea', user_email: 'b@x.edu', ucsd_pid: 'A1', team_name: 'T', response_option: 'A'
+      });
+      expect(response).toEqual({ id: 'r1', response_option: 'A', is_anonymous: true });
+    });
+  });
+});
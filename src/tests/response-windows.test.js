@@ -0,0 +1,70 @@
+/**
+ * Response Window Tests
+ *
+ * Tests for response deadlines, edit cutoffs and late submission flags on session questions.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeResponseRules,
+  getResponseDeadline,
+  getEditDeadline,
+  isSameAnswer,
+  checkResponseWindow
+} from '../utils/response-windows.js';
+
+describe('Response Windows', () => {
+  const closedAt = '2030-01-07T18:00:00.000Z';
+  const before = new Date('2030-01-07T17:00:00Z');
+  const after = new Date('2030-01-08T09:00:00Z');
+
+  it('should normalize rules and drop the default policy', () => {
+    expect(normalizeResponseRules(null)).toBeNull();
+    expect(normalizeResponseRules({ late_submissions: 'flag' })).toBeNull();
+    expect(normalizeResponseRules('{"deadline":"2030-01-07T10:00:00-08:00","late_submissions":"reject"}'))
+      .toEqual({ deadline: closedAt, late_submissions: 'reject' });
+    expect(() => normalizeResponseRules({ deadline: 'soon' })).toThrow('response_rules.deadline must be a valid timestamp');
+    expect(() => normalizeResponseRules({ late_submissions: 'ignore' })).toThrow('late_submissions must be one of');
+    expect(() => normalizeResponseRules([])).toThrow('response_rules must be an object');
+  });
+
+  it('should default the deadline to attendance close and edits to the deadline', () => {
+    expect(getResponseDeadline({ attendance_closed_at: null })).toBeNull();
+    expect(getResponseDeadline({ attendance_closed_at: closedAt })).toEqual(new Date(closedAt));
+    expect(getEditDeadline({ attendance_closed_at: closedAt })).toEqual(new Date(closedAt));
+
+    const session = { attendance_closed_at: closedAt, response_rules: { edits_allowed_until: '2030-01-09T00:00:00.000Z' } };
+    expect(getResponseDeadline(session)).toEqual(new Date(closedAt));
+    expect(getEditDeadline(session)).toEqual(new Date('2030-01-09T00:00:00.000Z'));
+  });
+
+  it('should flag first answers after the deadline unless late answers are rejected', () => {
+    const session = { attendance_closed_at: closedAt };
+    expect(checkResponseWindow(session, { now: before })).toEqual({ is_late: false });
+    expect(checkResponseWindow(session, { now: after })).toEqual({ is_late: true });
+    expect(checkResponseWindow({ attendance_closed_at: null }, { now: after })).toEqual({ is_late: false });
+
+    const strict = { ...session, response_rules: { late_submissions: 'reject' } };
+    expect(() => checkResponseWindow(strict, { now: after })).toThrow('response deadline for this session has passed');
+  });
+
+  it('should refuse edits after the edit cutoff but allow resending the same answer', () => {
+    const session = { attendance_closed_at: closedAt };
+    const existing = { response_option: 'A', is_late: false };
+
+    expect(checkResponseWindow(session, { existing, isEdit: true, now: before })).toEqual({ is_late: false });
+    expect(() => checkResponseWindow(session, { existing, isEdit: true, now: after }))
+      .toThrow('can no longer be edited');
+    expect(checkResponseWindow(session, { existing, isEdit: false, now: after })).toEqual({ is_late: false });
+
+    const lenient = { ...session, response_rules: { edits_allowed_until: '2030-01-09T00:00:00.000Z' } };
+    expect(checkResponseWindow(lenient, { existing: { ...existing, is_late: true }, isEdit: true, now: after }))
+      .toEqual({ is_late: true });
+  });
+
+  it('should compare stored and submitted answers', () => {
+    expect(isSameAnswer({ response_number: '7.5' }, { response_number: 7.5 })).toBe(true);
+    expect(isSameAnswer({ response_values: ['A', 'B'] }, { response_values: ['B', 'A'] })).toBe(false);
+    expect(isSameAnswer({ response_option: 'A', response_text: null }, { response_option: 'A' })).toBe(true);
+  });
+});
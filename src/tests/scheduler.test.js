@@ -0,0 +1,145 @@
+import { describe, it, beforeAll, afterAll, beforeEach, expect } from 'vitest';
+import { pool } from '../db.js';
+import { SchedulerService } from '../services/scheduler-service.js';
+import { SessionModel } from '../models/session-model.js';
+import { toZonedParts } from '../utils/timezone.js';
+import { insertUser } from './test-utils.js';
+
+describe('Scheduler Service', () => {
+  let testOffering, instructor, student;
+
+  const createSession = async ({ startsInMinutes, expiresInMinutes, opened = false }) => {
+    // Wall-clock start in the offering timezone (the default, America/Los_Angeles)
+    const start = toZonedParts(new Date(Date.now() + startsInMinutes * 60_000), 'America/Los_Angeles');
+    const { rows } = await pool.query(
+      `INSERT INTO sessions (
+        offering_id, title, session_date, session_time, access_code,
+        code_expires_at, attendance_opened_at, created_by, updated_by
+      ) VALUES ($1, 'Scheduled Lecture', $2, $3, $4,
+        NOW() + make_interval(mins => $5), CASE WHEN $6 THEN NOW() ELSE NULL END, $7, $7)
+      RETURNING *`,
+      [
+        testOffering.id,
+        start.date,
+        start.time,
+        `SCH${Math.floor(Math.random() * 900000) + 100000}`,
+        expiresInMinutes,
+        opened,
+        instructor.id
+      ]
+    );
+    return rows[0];
+  };
+
+  const jobsFor = async (sessionId) => {
+    const { rows } = await pool.query(
+      'SELECT job_type, status, attempts, result FROM scheduled_jobs WHERE session_id = $1 ORDER BY job_type',
+      [sessionId]
+    );
+    return rows;
+  };
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'SCH101'`);
+    await pool.query(`DELETE FROM users WHERE email IN ('scheduler-prof@test.com', 'scheduler-student@test.com')`);
+
+    instructor = await insertUser('scheduler-prof@test.com', 'Scheduler Professor', 'instructor');
+    student = await insertUser('scheduler-student@test.com', 'Scheduler Student', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('SCH101', 'Scheduler Course', $1, CURRENT_DATE - 30, CURRENT_DATE + 30, FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'student', 'enrolled')`,
+      [testOffering.id, student.id]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM enrollments WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM users WHERE id IN ($1, $2)', [instructor.id, student.id]);
+  });
+
+  beforeEach(async () => {
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+  });
+
+  it('should open attendance once the session start time has passed', async () => {
+    const session = await createSession({ startsInMinutes: -5, expiresInMinutes: 60 });
+
+    await SchedulerService.runOnce();
+
+    const updated = await SessionModel.findById(session.id);
+    expect(updated.attendance_opened_at).not.toBeNull();
+
+    const jobs = await jobsFor(session.id);
+    expect(jobs.map((j) => [j.job_type, j.status])).toEqual([
+      ['close_attendance', 'pending'],
+      ['open_attendance', 'completed']
+    ]);
+  });
+
+  it('should leave future sessions alone', async () => {
+    const session = await createSession({ startsInMinutes: 120, expiresInMinutes: 180 });
+
+    await SchedulerService.runOnce();
+
+    const updated = await SessionModel.findById(session.id);
+    expect(updated.attendance_opened_at).toBeNull();
+    expect((await jobsFor(session.id)).every((j) => j.status === 'pending')).toBe(true);
+  });
+
+  it('should close expired sessions and mark absentees', async () => {
+    const session = await createSession({ startsInMinutes: -60, expiresInMinutes: -1, opened: true });
+
+    await SchedulerService.runOnce();
+
+    const updated = await SessionModel.findById(session.id);
+    expect(updated.attendance_closed_at).not.toBeNull();
+
+    const { rows } = await pool.query(
+      'SELECT status FROM attendance WHERE session_id = $1 AND user_id = $2',
+      [session.id, student.id]
+    );
+    expect(rows[0].status).toBe('absent');
+
+    const closeJob = (await jobsFor(session.id)).find((j) => j.job_type === 'close_attendance');
+    expect(closeJob.status).toBe('completed');
+    expect(closeJob.result.marked_absent).toBe(1);
+  });
+
+  it('should not run finished jobs again on later ticks', async () => {
+    const session = await createSession({ startsInMinutes: -60, expiresInMinutes: -1, opened: true });
+
+    await SchedulerService.runOnce();
+    const closedAt = (await SessionModel.findById(session.id)).attendance_closed_at;
+
+    await SchedulerService.runOnce();
+
+    const updated = await SessionModel.findById(session.id);
+    expect(updated.attendance_closed_at).toEqual(closedAt);
+
+    const closeJob = (await jobsFor(session.id)).find((j) => j.job_type === 'close_attendance');
+    expect(closeJob.attempts).toBe(1);
+  });
+
+  it('should skip the tick while another instance holds the lock', async () => {
+    const other = await pool.connect();
+    try {
+      await other.query('SELECT pg_advisory_lock(4210001)');
+      const result = await SchedulerService.runOnce();
+      expect(result.skipped).toBe(true);
+    } finally {
+      await other.query('SELECT pg_advisory_unlock(4210001)');
+      other.release();
+    }
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Session Events Tests
+ *
+ * Tests for the NOTIFY payload parsing and Server-Sent Events formatting used by
+ * SessionEventsService and GET /api/sessions/:sessionId/events.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseSessionEvent, formatSseMessage } from '../utils/session-events.js';
+
+describe('Session Events', () => {
+  describe('parseSessionEvent', () => {
+    it('should parse trigger payloads', () => {
+      const payload = JSON.stringify({ type: 'attendance', op: 'insert', session_id: 's1', user_id: 'u1', status: 'present' });
+      expect(parseSessionEvent(payload)).toEqual({
+        type: 'attendance',
+        op: 'insert',
+        session_id: 's1',
+        user_id: 'u1',
+        status: 'present'
+      });
+    });
+
+    it('should parse presentation question events', () => {
+      const payload = JSON.stringify({ type: 'question', op: 'update', session_id: 's1', question_id: 'q1', opened_at: null, closed_at: null });
+      expect(parseSessionEvent(payload)).toMatchObject({ type: 'question', question_id: 'q1' });
+    });
+
+    it('should ignore malformed and unknown payloads', () => {
+      expect(parseSessionEvent('not json')).toBeNull();
+      expect(parseSessionEvent('[1, 2]')).toBeNull();
+      expect(parseSessionEvent(JSON.stringify({ type: 'attendance' }))).toBeNull();
+      expect(parseSessionEvent(JSON.stringify({ type: 'grade', session_id: 's1' }))).toBeNull();
+    });
+  });
+
+  describe('formatSseMessage', () => {
+    it('should format named events with an id and retry delay', () => {
+      expect(formatSseMessage('ready', { session_id: 's1' }, { retry: 5000 }))
+        .toBe('retry: 5000\nevent: ready\ndata: {"session_id":"s1"}\n\n');
+      expect(formatSseMessage('response', { text: 'line one\nline two' }, { id: 3 }))
+        .toBe('id: 3\nevent: response\ndata: {"text":"line one\\nline two"}\n\n');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Session Reschedule Tests
+ *
+ * Tests for working out a session's new start, end and access code expiry when it moves.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { planReschedule, formatSessionDate } from '../utils/session-reschedule.js';
+
+describe('Session Reschedule', () => {
+  const session = {
+    session_date: '2030-01-07',
+    session_time: '10:00:00',
+    starts_at: '2030-01-07T18:00:00.000Z',
+    ends_at: '2030-01-07T18:50:00.000Z'
+  };
+
+  it('should keep the time and length when only the date changes', () => {
+    const plan = planReschedule(session, { session_date: '2030-01-09' }, 'America/Los_Angeles');
+    expect(plan).toEqual({
+      session_date: '2030-01-09',
+      session_time: '10:00:00',
+      starts_at: new Date('2030-01-09T18:00:00.000Z'),
+      ends_at: new Date('2030-01-09T18:50:00.000Z'),
+      code_expires_at: new Date('2030-01-09T18:50:00.000Z')
+    });
+  });
+
+  it('should take a new start and end time in the course timezone', () => {
+    const plan = planReschedule(session, { session_date: '2030-07-01', session_time: '2pm', end_time: '15:20' }, 'America/Los_Angeles');
+    expect(plan.session_time).toBe('14:00:00');
+    expect(plan.starts_at).toEqual(new Date('2030-07-01T21:00:00.000Z'));
+    expect(plan.ends_at).toEqual(new Date('2030-07-01T22:20:00.000Z'));
+  });
+
+  it('should expire the code at the end of the new day when there is no end time', () => {
+    const plan = planReschedule({ session_time: '09:00:00' }, { session_date: '2030-01-09' }, 'UTC');
+    expect(plan.ends_at).toBeNull();
+    expect(plan.code_expires_at).toEqual(new Date('2030-01-10T00:00:00.000Z'));
+  });
+
+  it('should reject bad dates and times', () => {
+    expect(() => planReschedule(session, {})).toThrow('session_date must be a date');
+    expect(() => planReschedule(session, { session_date: '01/09/2030' })).toThrow('session_date must be a date');
+    expect(() => planReschedule(session, { session_date: '2030-01-09', session_time: 'noon' })).toThrow('session_time must be a time');
+    expect(() => planReschedule(session, { session_date: '2030-01-09', end_time: '9:00' })).toThrow('end_time must be after session_time');
+  });
+
+  it('should format pg dates as calendar days', () => {
+    expect(formatSessionDate(new Date(2030, 0, 7))).toBe('2030-01-07');
+    expect(formatSessionDate('2030-01-07T00:00:00.000Z')).toBe('2030-01-07');
+  });
+});
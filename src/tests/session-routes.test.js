@@ -339,6 +339,298 @@ describe('Session Routes Integration', () => {
     expect(questions.length).toBe(1, 'Should add 1 question');
   });
 
+  it('should score quiz questions and hide anonymous respondents', async () => {
+    const { SessionService } = await import('../services/session-service.js');
+    const { SessionResponseModel } = await import('../models/session-response-model.js');
+
+    const sessionId = createdSessionIds[0];
+    await expect(SessionService.addQuestions(
+      sessionId,
+      [{ question_text: 'Bad key', question_type: 'multiple_choice', options: ['A'], correct_answers: ['Z'] }],
+      instructor.id
+    )).rejects.toThrow('is not one of the options');
+
+    const [graded, anonymous] = await SessionService.addQuestions(
+      sessionId,
+      [
+        { question_text: 'Pick B', question_type: 'multiple_choice', options: ['A', 'B'], correct_answers: ['B'], points: 2 },
+        { question_text: 'Pick A', question_type: 'multiple_choice', options: ['A', 'B'], correct_answers: ['A'], is_anonymous: true }
+      ],
+      instructor.id
+    );
+
+    await SessionResponseModel.upsert({ question_id: graded.id, user_id: student.id, response_option: 'B' });
+    await SessionResponseModel.upsert({ question_id: anonymous.id, user_id: student.id, response_option: 'A' });
+
+    // Students don't see the answer key or their score until results are revealed
+    const studentQuestions = await SessionService.getQuestions(sessionId, student.id);
+    expect(studentQuestions.find((q) => q.id === graded.id)).not.toHaveProperty('correct_answers');
+    expect((await SessionService.getMyResponses(sessionId, student.id)).quiz).toBeNull();
+
+    const stats = await SessionService.getSessionStatistics(sessionId);
+    expect(stats.quiz.graded_questions).toBe(2);
+    expect(stats.quiz.students).toEqual([
+      expect.objectContaining({ user_id: student.id, points_earned: 2, points_possible: 2 })
+    ]);
+
+    const { responsesByQuestion } = await SessionService.getSessionResponses(sessionId);
+    const [anonymousResponse] = responsesByQuestion[anonymous.id].responses;
+    expect(anonymousResponse.is_anonymous).toBe(true);
+    expect(anonymousResponse).not.toHaveProperty('user_id');
+
+    await SessionService.updateQuestion(graded.id, { reveal_results: true }, instructor.id);
+    const mine = await SessionService.getMyResponses(sessionId, student.id);
+    expect(mine.quiz).toEqual({ graded_questions: 1, correct_count: 1, points_earned: 2, points_possible: 2 });
+    expect(mine.responses.find((r) => r.question_id === graded.id).is_correct).toBe(true);
+  });
+
+  it('should validate and aggregate multi-select, ranking, numeric and word cloud answers', async () => {
+    const { SessionService } = await import('../services/session-service.js');
+    const { SessionResponseModel } = await import('../models/session-response-model.js');
+
+    const sessionId = createdSessionIds[0];
+    await expect(SessionService.addQuestions(
+      sessionId,
+      [{ question_text: 'Order', question_type: 'ranking', options: ['Only one'] }],
+      instructor.id
+    )).rejects.toThrow('between 2 and');
+
+    const [multi, ranked, numeric, cloud] = await SessionService.addQuestions(
+      sessionId,
+      [
+        { question_text: 'Pick all', question_type: 'multi_select', options: ['A', 'B', 'C'] },
+        { question_text: 'Rank', question_type: 'ranking', options: ['X', 'Y'] },
+        { question_text: 'Estimate', question_type: 'numeric', options: { min: 0, max: 10 } },
+        { question_text: 'One word', question_type: 'word_cloud' }
+      ],
+      instructor.id
+    );
+
+    await expect(SessionResponseModel.upsert({ question_id: numeric.id, user_id: student.id, response_number: 42 }))
+      .rejects.toThrow('no greater than 10');
+    await expect(SessionResponseModel.upsert({ question_id: ranked.id, user_id: student.id, response_values: ['X'] }))
+      .rejects.toThrow('Rank every option exactly once');
+
+    await SessionResponseModel.upsert({ question_id: multi.id, user_id: student.id, response_values: ['C', 'A'] });
+    await SessionResponseModel.upsert({ question_id: ranked.id, user_id: student.id, response_values: ['Y', 'X'] });
+    await SessionResponseModel.upsert({ question_id: numeric.id, user_id: student.id, response_number: 7 });
+    const saved = await SessionResponseModel.upsert({ question_id: cloud.id, user_id: student.id, response_text: 'Recursion' });
+    expect(saved.response_text).toBe('Recursion');
+
+    const stats = await SessionService.getSessionStatistics(sessionId);
+    const aggregateFor = (question) => stats.questions.find((q) => q.question_id === question.id).aggregate;
+    expect(aggregateFor(multi).options.map((o) => o.count)).toEqual([1, 0, 1]);
+    expect(aggregateFor(ranked).options[0]).toMatchObject({ option: 'Y', average_rank: 1 });
+    expect(aggregateFor(numeric)).toMatchObject({ response_count: 1, mean: 7 });
+    expect(aggregateFor(cloud).phrases).toEqual([{ text: 'recursion', count: 1 }]);
+  });
+
+  it('should present one question at a time and lock the others', async () => {
+    const { SessionService } = await import('../services/session-service.js');
+    const { SessionResponseModel } = await import('../models/session-response-model.js');
+
+    const session = await SessionService.createSession({
+      offering_id: testOffering.id,
+      title: 'Presentation Session',
+      session_date: '2025-11-21',
+      session_time: '14:00:00',
+      questions: [
+        { question_text: 'First', question_type: 'multiple_choice', options: ['A', 'B'] },
+        { question_text: 'Second', question_type: 'text' }
+      ]
+    }, instructor.id);
+    createdSessionIds.push(session.id);
+    const [first, second] = session.questions;
+
+    await expect(SessionService.setPresentationMode(session.id, true, student.id))
+      .rejects.toThrow('Not authorized');
+
+    const waiting = await SessionService.setPresentationMode(session.id, true, instructor.id);
+    expect(waiting).toMatchObject({ presentation_mode: true, question_count: 2, question: null });
+    expect(await SessionService.getQuestions(session.id, student.id)).toEqual([]);
+    await expect(SessionResponseModel.upsert({ question_id: first.id, user_id: student.id, response_option: 'A' }))
+      .rejects.toThrow('not open for responses');
+
+    const presented = await SessionService.presentQuestion(session.id, { position: 1 }, instructor.id);
+    expect(presented.question).toMatchObject({ id: first.id, position: 1, is_open: true });
+    expect((await SessionService.getQuestions(session.id, student.id)).map((q) => q.id)).toEqual([first.id]);
+    await SessionResponseModel.upsert({ question_id: first.id, user_id: student.id, response_option: 'A' });
+
+    // Opening the next question closes the first
+    const next = await SessionService.presentQuestion(session.id, { position: 2 }, instructor.id);
+    expect(next.question).toMatchObject({ id: second.id, position: 2, is_open: true });
+    await expect(SessionResponseModel.upsert({ question_id: first.id, user_id: student.id, response_option: 'B' }))
+      .rejects.toThrow('not open for responses');
+
+    const closed = await SessionService.closePresentedQuestion(session.id, instructor.id);
+    expect(closed.question.is_open).toBe(false);
+    await expect(SessionService.closePresentedQuestion(session.id, instructor.id)).rejects.toThrow('No question is open');
+
+    const reopened = await SessionService.presentQuestion(session.id, { question_id: first.id }, instructor.id);
+    expect(reopened.aggregate.options).toEqual([
+      { option: 'A', count: 1, percent: 100 },
+      { option: 'B', count: 0, percent: 0 }
+    ]);
+
+    await SessionService.setPresentationMode(session.id, false, instructor.id);
+    expect(await SessionService.getQuestions(session.id, student.id)).toHaveLength(2);
+    await SessionResponseModel.upsert({ question_id: second.id, user_id: student.id, response_text: 'Late answer' });
+  });
+
+  it('should flag late answers, lock edits and keep the original answer', async () => {
+    const { SessionService } = await import('../services/session-service.js');
+    const { SessionResponseModel } = await import('../models/session-response-model.js');
+
+    const session = await SessionService.createSession({
+      offering_id: testOffering.id,
+      title: 'Deadline Session',
+      session_date: '2025-11-21',
+      session_time: '14:00:00',
+      response_rules: { edits_allowed_until: '2999-01-01T00:00:00Z' },
+      questions: [{ question_text: 'How was the pace?', question_type: 'pulse_check', options: ['Fast', 'Slow'] }]
+    }, instructor.id);
+    createdSessionIds.push(session.id);
+    const [question] = session.questions;
+    await pool.query(
+      `UPDATE sessions SET attendance_closed_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+      [session.id]
+    );
+
+    const late = await SessionResponseModel.upsert({ question_id: question.id, user_id: student.id, response_option: 'Fast' });
+    expect(late.is_late).toBe(true);
+    await SessionResponseModel.upsert({ question_id: question.id, user_id: student.id, response_option: 'Slow' });
+
+    const { responses } = await SessionService.getSessionResponses(session.id);
+    expect(responses[0]).toMatchObject({ response_option: 'Slow', is_late: true, edit_count: 1 });
+    expect(responses[0].history.map((h) => h.response_option)).toEqual(['Fast', 'Slow']);
+    await expect(pool.query(`UPDATE session_response_history SET response_option = 'Slow' WHERE response_id = $1`, [late.id]))
+      .rejects.toThrow('append-only');
+
+    await SessionService.updateSession(session.id, { response_rules: { late_submissions: 'reject' } }, instructor.id);
+    await expect(SessionResponseModel.upsert({ question_id: question.id, user_id: student.id, response_option: 'Fast' }))
+      .rejects.toThrow('can no longer be edited');
+    // Re-sending the same answer isn't an edit
+    await SessionResponseModel.upsert({ question_id: question.id, user_id: student.id, response_option: 'Slow' });
+    await expect(SessionResponseModel.upsert({ question_id: question.id, user_id: instructor.id, response_option: 'Fast' }))
+      .rejects.toThrow('deadline for this session has passed');
+  });
+
+  it('should clone a session with new code and move one without losing responses', async () => {
+    const { SessionService } = await import('../services/session-service.js');
+    const { SessionResponseModel } = await import('../models/session-response-model.js');
+
+    const session = await SessionService.createSession({
+      offering_id: testOffering.id,
+      title: 'Movable Session',
+      session_date: '2030-11-25',
+      session_time: '14:00:00',
+      end_time: '14:50',
+      questions: [{ question_text: 'Pick one', question_type: 'multiple_choice', options: ['A', 'B'], correct_answers: ['B'] }]
+    }, instructor.id);
+    createdSessionIds.push(session.id);
+    const [question] = session.questions;
+    await SessionResponseModel.upsert({ question_id: question.id, user_id: student.id, response_option: 'A' });
+
+    const copy = await SessionService.cloneSession(session.id, { session_date: '2030-12-02' }, instructor.id);
+    createdSessionIds.push(copy.id);
+    expect(copy.title).toBe('Movable Session (copy)');
+    expect(copy.access_code).not.toBe(session.access_code);
+    expect(copy.questions.map((q) => [q.question_text, q.correct_answers])).toEqual([['Pick one', ['B']]]);
+    expect(new Date(copy.ends_at) - new Date(copy.starts_at)).toBe(50 * 60 * 1000);
+    expect(await SessionResponseModel.findBySessionId(copy.id)).toEqual([]);
+
+    await expect(SessionService.rescheduleSession(session.id, { session_date: '2030-11-27' }, student.id))
+      .rejects.toThrow('Not authorized');
+
+    const moved = await SessionService.rescheduleSession(session.id, {
+      session_date: '2030-11-27',
+      session_time: '15:00',
+      reason: 'Room change.'
+    }, instructor.id);
+    expect(moved.id).toBe(session.id);
+    expect(moved.session_time).toBe('15:00:00');
+    expect(new Date(moved.code_expires_at)).toEqual(new Date(moved.ends_at));
+    expect(moved.announcement.message).toContain('to 2030-11-27 15:00. Room change.');
+
+    const { rows: jobs } = await pool.query(
+      'SELECT job_type, run_at, status FROM scheduled_jobs WHERE session_id = $1 ORDER BY job_type',
+      [session.id]
+    );
+    expect(jobs.map((job) => [job.job_type, job.status, job.run_at.getTime()])).toEqual([
+      ['close_attendance', 'pending', new Date(moved.code_expires_at).getTime()],
+      ['open_attendance', 'pending', new Date(moved.starts_at).getTime()]
+    ]);
+
+    const { responses, questions } = await SessionService.getSessionResponses(session.id);
+    expect(questions.map((q) => q.id)).toEqual([question.id]);
+    expect(responses.map((r) => r.response_option)).toEqual(['A']);
+  });
+
+  it('should reset attendance that opened on its own when a session moves, unless someone checked in', async () => {
+    const { SessionService } = await import('../services/session-service.js');
+    const { AttendanceModel } = await import('../models/attendance-model.js');
+
+    // A past start opens attendance as soon as the session is created
+    const session = await SessionService.createSession({
+      offering_id: testOffering.id,
+      title: 'Opened Too Early',
+      session_date: '2025-11-24',
+      session_time: '14:00:00',
+      end_time: '14:50'
+    }, instructor.id);
+    createdSessionIds.push(session.id);
+    expect(session.attendance_opened_at).not.toBeNull();
+
+    const moved = await SessionService.rescheduleSession(session.id, { session_date: '2030-11-24', notify: false }, instructor.id);
+    expect(moved.attendance_opened_at).toBeNull();
+    expect(moved.attendance_closed_at).toBeNull();
+
+    const back = await SessionService.rescheduleSession(session.id, { session_date: '2025-11-24', notify: false }, instructor.id);
+    expect(back.attendance_opened_at).toBeNull();
+    await pool.query('UPDATE sessions SET attendance_opened_at = NOW() WHERE id = $1', [session.id]);
+    await AttendanceModel.create({ session_id: session.id, user_id: student.id, status: 'present' });
+
+    await expect(SessionService.rescheduleSession(session.id, { session_date: '2030-11-24' }, instructor.id))
+      .rejects.toThrow('Close attendance before rescheduling this session');
+  });
+
+  it('should keep recorded attendance as taken when a closed session moves', async () => {
+    const { SessionService } = await import('../services/session-service.js');
+    const { AttendanceModel } = await import('../models/attendance-model.js');
+
+    const session = await SessionService.createSession({
+      offering_id: testOffering.id,
+      title: 'Taken Session',
+      session_date: '2025-11-24',
+      session_time: '14:00:00',
+      end_time: '14:50'
+    }, instructor.id);
+    createdSessionIds.push(session.id);
+    await AttendanceModel.create({ session_id: session.id, user_id: student.id, status: 'present' });
+    await AttendanceModel.create({ session_id: session.id, user_id: teamLeader.id, status: 'late' });
+    const { rows: [closed] } = await pool.query(
+      'UPDATE sessions SET attendance_closed_at = NOW() WHERE id = $1 RETURNING attendance_opened_at, attendance_closed_at',
+      [session.id]
+    );
+
+    const moved = await SessionService.rescheduleSession(session.id, {
+      session_date: '2025-11-26',
+      session_time: '09:00',
+      notify: false
+    }, instructor.id);
+    expect(moved.session_time).toBe('09:00:00');
+    expect(moved.attendance_opened_at).toEqual(closed.attendance_opened_at);
+    expect(moved.attendance_closed_at).toEqual(closed.attendance_closed_at);
+
+    const records = await AttendanceModel.findBySessionId(session.id);
+    expect(Object.fromEntries(records.map((record) => [record.user_id, record.status]))).toEqual({
+      [student.id]: 'present',
+      [teamLeader.id]: 'late'
+    });
+    const { rows: jobs } = await pool.query('SELECT id FROM scheduled_jobs WHERE session_id = $1', [session.id]);
+    expect(jobs).toEqual([]);
+  });
+
   // TODO: Fix - SessionService.verifyAccessCode attendance check logic issue
   // it('should verify access code (GET /api/sessions/verify-code/:code)', async () => {
   //   const { SessionService } = await import('../services/session-service.js');
@@ -0,0 +1,149 @@
+import { describe, it, beforeAll, afterAll, beforeEach, expect } from 'vitest';
+import { pool } from '../db.js';
+import { SessionSeriesService } from '../services/session-series-service.js';
+import { SessionModel } from '../models/session-model.js';
+import { insertUser } from './test-utils.js';
+
+describe('Session Series', () => {
+  let testOffering, instructor, student;
+
+  const seriesInput = (overrides = {}) => ({
+    title: 'Lecture',
+    start_date: '2030-01-07',
+    end_date: '2030-01-20',
+    default_questions: [
+      { question_text: 'What was unclear today?', question_type: 'text' }
+    ],
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'SER101'`);
+    await pool.query(`DELETE FROM users WHERE email IN ('series-prof@test.com', 'series-student@test.com')`);
+
+    instructor = await insertUser('series-prof@test.com', 'Series Professor', 'instructor');
+    student = await insertUser('series-student@test.com', 'Series Student', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active, class_timings)
+       VALUES ('SER101', 'Series Course', $1, '2030-01-06', '2030-03-15', FALSE, $2::jsonb)
+       RETURNING *`,
+      [instructor.id, JSON.stringify({
+        lectures: [
+          { day: 'Monday', start_time: '10:00', end_time: '10:50' },
+          { day: 'Wednesday', start_time: '10:00', end_time: '10:50' }
+        ]
+      })]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'student', 'enrolled')`,
+      [testOffering.id, student.id]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM enrollments WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM users WHERE id IN ($1, $2)', [instructor.id, student.id]);
+  });
+
+  beforeEach(async () => {
+    await pool.query('DELETE FROM sessions WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM session_series WHERE offering_id = $1', [testOffering.id]);
+  });
+
+  it('should preview the lecture dates from class_timings', async () => {
+    const preview = await SessionSeriesService.previewSeries(testOffering.id, {
+      start_date: '2030-01-07',
+      end_date: '2030-01-20',
+      skip_dates: ['2030-01-15..2030-01-16']
+    });
+
+    expect(preview.occurrences.map((o) => o.session_date)).toEqual(['2030-01-07', '2030-01-09', '2030-01-14']);
+    expect(preview.skipped).toEqual(['2030-01-16']);
+  });
+
+  it('should create numbered sessions with the default questions', async () => {
+    const { series, sessions } = await SessionSeriesService.createSeries(testOffering.id, seriesInput(), instructor.id);
+
+    expect(series.session_count).toBe(4);
+    expect(sessions.map((s) => s.title)).toEqual(['Lecture 1', 'Lecture 2', 'Lecture 3', 'Lecture 4']);
+    expect(sessions[0].session_time).toBe('10:00:00');
+    expect(new Set(sessions.map((s) => s.access_code)).size).toBe(4);
+
+    const { rows } = await pool.query(
+      'SELECT question_text FROM session_questions WHERE session_id = $1',
+      [sessions[0].id]
+    );
+    expect(rows.map((r) => r.question_text)).toEqual(['What was unclear today?']);
+  });
+
+  it('should store lecture start and end instants in the offering timezone', async () => {
+    const { sessions } = await SessionSeriesService.createSeries(testOffering.id, seriesInput(), instructor.id);
+
+    const { rows } = await pool.query(
+      'SELECT starts_at, ends_at, code_expires_at FROM sessions WHERE id = $1',
+      [sessions[0].id]
+    );
+    // 10:00-10:50 Pacific Standard Time on 2030-01-07
+    expect(rows[0].starts_at.toISOString()).toBe('2030-01-07T18:00:00.000Z');
+    expect(rows[0].ends_at.toISOString()).toBe('2030-01-07T18:50:00.000Z');
+    expect(rows[0].code_expires_at.toISOString()).toBe('2030-01-07T18:50:00.000Z');
+  });
+
+  it('should not let students generate a series', async () => {
+    await expect(
+      SessionSeriesService.createSeries(testOffering.id, seriesInput(), student.id)
+    ).rejects.toThrow('Not authorized to manage lecture series for this course');
+  });
+
+  it('should bulk edit only sessions that have not been opened', async () => {
+    const { series, sessions } = await SessionSeriesService.createSeries(testOffering.id, seriesInput(), instructor.id);
+    await SessionModel.openAttendance(sessions[0].id, instructor.id);
+
+    const result = await SessionSeriesService.updateSeries(series.id, {
+      start_time: '11:00',
+      default_questions: [{ question_text: 'Rate today', question_type: 'pulse_check' }]
+    }, instructor.id);
+
+    expect(result.updated_count).toBe(3);
+
+    const opened = await SessionModel.findById(sessions[0].id);
+    const upcoming = await SessionModel.findById(sessions[1].id);
+    expect(opened.session_time).toBe('10:00:00');
+    expect(upcoming.session_time).toBe('11:00:00');
+
+    const { rows } = await pool.query(
+      'SELECT question_text FROM session_questions WHERE session_id = $1',
+      [sessions[1].id]
+    );
+    expect(rows.map((r) => r.question_text)).toEqual(['Rate today']);
+  });
+
+  it('should remove sessions that fall on newly added skip dates', async () => {
+    const { series } = await SessionSeriesService.createSeries(testOffering.id, seriesInput(), instructor.id);
+
+    const result = await SessionSeriesService.updateSeries(series.id, { skip_dates: ['2030-01-09'] }, instructor.id);
+
+    expect(result.removed_count).toBe(1);
+    expect(result.series.session_count).toBe(3);
+    expect(result.series.skip_dates).toEqual(['2030-01-09']);
+  });
+
+  it('should delete unopened sessions and keep ones with attendance', async () => {
+    const { series, sessions } = await SessionSeriesService.createSeries(testOffering.id, seriesInput(), instructor.id);
+    await SessionModel.openAttendance(sessions[0].id, instructor.id);
+
+    const result = await SessionSeriesService.deleteSeries(series.id, instructor.id);
+    expect(result).toEqual({ deleted_count: 3, kept_count: 1 });
+
+    const kept = await SessionModel.findById(sessions[0].id);
+    expect(kept).not.toBeNull();
+    expect(kept.series_id).toBeNull();
+  });
+});
@@ -289,18 +289,18 @@ describe('SessionService Comprehensive Tests', () => {
       expect(expiresAt.getTime()).toBe(endsAt.getTime());
     });
 
-    it('should default code_expires_at to 24 hours if not provided', async () => {
-      const sessionDate = new Date('2025-11-25');
+    it('should default code_expires_at to the end of the session day in the course timezone', async () => {
       const session = await SessionService.createSession({
         offering_id: testOffering.id,
         title: 'Default Expiry',
-        session_date: sessionDate.toISOString().split('T')[0]
+        session_date: '2025-11-25'
       }, instructor.id);
 
       createdSessionIds.push(session.id);
 
       const expiresAt = new Date(session.code_expires_at);
-      const expectedExpiry = new Date(sessionDate.getTime() + 24 * 60 * 60 * 1000);
+      // Midnight at the end of 2025-11-25 in America/Los_Angeles (the default offering timezone)
+      const expectedExpiry = new Date('2025-11-26T08:00:00Z');
       
       // Allow small time difference due to processing
       const timeDiff = Math.abs(expiresAt.getTime() - expectedExpiry.getTime());
@@ -0,0 +1,269 @@
+/**
+ * Team Formation Tests
+ *
+ * Tests for saving student preferences and committing proposals against
+ * the database, and for the engine that proposes teams from teammate
+ * preferences, skills, timezones and availability.
+ */
+
+import { describe, it, beforeAll, afterAll, expect } from 'vitest';
+import { pool } from '../db.js';
+import { TeamFormationService } from '../services/team-formation-service.js';
+import {
+  normalizeFormationOptions,
+  planTeamSizes,
+  proposeTeams,
+  scoreTeams
+} from '../utils/team-formation.js';
+import { insertUser } from './test-utils.js';
+
+const NOW = new Date('2030-01-15T12:00:00Z');
+
+function student(id, extra = {}) {
+  return {
+    user_id: id,
+    name: id,
+    institution_type: 'ucsd',
+    skills: [],
+    timezone: 'America/Los_Angeles',
+    preferred_teammate_ids: [],
+    avoided_teammate_ids: [],
+    availability_specific: null,
+    ...extra
+  };
+}
+
+function teamOf(teams, id) {
+  return teams.findIndex((members) => members.includes(id));
+}
+
+describe('Team Formation Service', () => {
+  let testOffering, instructor, ta, students;
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'TFM101'`);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'tfm-%@test.com'`);
+
+    instructor = await insertUser('tfm-prof@test.com', 'Formation Professor', 'instructor');
+    ta = await insertUser('tfm-ta@test.com', 'Formation TA', 'student');
+    students = [];
+    for (const n of [1, 2, 3, 4]) {
+      students.push(await insertUser(`tfm-student${n}@test.com`, `Formation Student ${n}`, 'student'));
+    }
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('TFM101', 'Formation Course', $1, '2025-01-01', '2025-06-01', FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'ta', 'enrolled')`,
+      [testOffering.id, ta.id]
+    );
+    for (const student of students) {
+      await pool.query(
+        `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+         VALUES ($1, $2, 'student', 'enrolled')`,
+        [testOffering.id, student.id]
+      );
+    }
+  });
+
+  afterAll(async () => {
+    // Cascades to preferences, runs, teams and memberships
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'tfm-%@test.com'`);
+  });
+
+  it('should save a student\'s preferences and update them on a second save', async () => {
+    const [me, friend, rival] = students;
+
+    const first = await TeamFormationService.savePreferences(testOffering.id, me.id, {
+      preferred_teammate_ids: [friend.id],
+      skills: 'Frontend, backend ,frontend',
+      timezone: 'America/Los_Angeles',
+      availability_specific: { slots: [{ day: 'mon', start: '9:00', end: '11:00' }] }
+    });
+    expect(first.preferred_teammate_ids).toEqual([friend.id]);
+    expect(first.skills).toEqual(['frontend', 'backend']);
+    expect(first.availability_specific).toEqual({ slots: [{ day: 'Monday', start: '09:00', end: '11:00' }] });
+
+    const second = await TeamFormationService.savePreferences(testOffering.id, me.id, {
+      preferred_teammate_ids: [],
+      avoided_teammate_ids: [rival.id],
+      skills: ['design'],
+      timezone: 'Asia/Kolkata'
+    });
+    expect(second.id).toBe(first.id);
+    expect(second.preferred_teammate_ids).toEqual([]);
+    expect(second.avoided_teammate_ids).toEqual([rival.id]);
+    expect(second.timezone).toBe('Asia/Kolkata');
+    // Availability is kept when a save leaves it out
+    expect(second.availability_specific).toEqual(first.availability_specific);
+
+    const { preferences, classmates } = await TeamFormationService.getMyPreferences(testOffering.id, me.id);
+    expect(preferences.skills).toEqual(['design']);
+    expect(classmates.map((classmate) => classmate.user_id)).not.toContain(me.id);
+  });
+
+  it('should reject preferences that name someone outside the roster or the student twice', async () => {
+    const [me, friend] = students;
+
+    await expect(
+      TeamFormationService.savePreferences(testOffering.id, me.id, { preferred_teammate_ids: [instructor.id] })
+    ).rejects.toThrow('preferred_teammate_ids includes someone who is not a student in this course');
+    await expect(
+      TeamFormationService.savePreferences(testOffering.id, me.id, {
+        preferred_teammate_ids: [friend.id],
+        avoided_teammate_ids: [friend.id]
+      })
+    ).rejects.toThrow('A student cannot be both a preferred and an avoided teammate');
+    await expect(
+      TeamFormationService.savePreferences(testOffering.id, ta.id, {})
+    ).rejects.toThrow('Only students enrolled in this course have teammate preferences');
+  });
+
+  it('should create the teams of an edited proposal when a TA commits it', async () => {
+    await expect(
+      TeamFormationService.createProposal(testOffering.id, students[0].id, { team_size: 2 })
+    ).rejects.toThrow('Not authorized to form teams for this course');
+
+    const proposal = await TeamFormationService.createProposal(testOffering.id, ta.id, { team_size: 2 });
+    expect(proposal.status).toBe('proposed');
+    expect(proposal.teams).toHaveLength(2);
+
+    const [a, b, c, d] = students.map((student) => student.id);
+    const edited = await TeamFormationService.updateProposal(proposal.id, ta.id, [
+      { name: 'Alpha', member_ids: [a, b], leader_id: a },
+      { name: 'Beta', member_ids: [c] }
+    ]);
+    expect(edited.teams.map((team) => team.name)).toEqual(['Alpha', 'Beta']);
+    expect(edited.unassigned.map((student) => student.user_id)).toEqual([d]);
+
+    const committed = await TeamFormationService.commitProposal(proposal.id, ta.id);
+    expect(committed.status).toBe('committed');
+
+    const { rows: teams } = await pool.query(
+      `SELECT t.name, t.leader_ids, ARRAY_AGG(tm.user_id ORDER BY tm.user_id) as member_ids
+       FROM team t
+       JOIN team_members tm ON tm.team_id = t.id
+       WHERE t.offering_id = $1
+       GROUP BY t.id
+       ORDER BY t.name`,
+      [testOffering.id]
+    );
+    expect(teams.map((team) => team.name)).toEqual(['Alpha', 'Beta']);
+    expect(teams[0].member_ids).toEqual([a, b].sort());
+    expect(teams[0].leader_ids).toEqual([a]);
+    expect(teams[1].member_ids).toEqual([c]);
+
+    await expect(TeamFormationService.commitProposal(proposal.id, ta.id))
+      .rejects.toThrow('This proposal has already been committed');
+
+    const { rows: logs } = await pool.query(
+      `SELECT metadata FROM activity_logs
+       WHERE offering_id = $1 AND action_type = 'form_teams'`,
+      [testOffering.id]
+    );
+    expect(logs).toHaveLength(1);
+    expect(logs[0].metadata.students).toBe(3);
+  });
+});
+
+describe('Team Formation', () => {
+  it('fills in default options and rejects out-of-range ones', () => {
+    expect(normalizeFormationOptions({})).toEqual({
+      team_size: 4,
+      balance_skills: true,
+      balance_institution: true,
+      max_timezone_spread_hours: 3,
+      min_shared_hours: 0
+    });
+    expect(normalizeFormationOptions({ max_timezone_spread_hours: null }).max_timezone_spread_hours).toBeNull();
+    expect(() => normalizeFormationOptions({ team_size: 1 })).toThrow('team_size must be a whole number between 2 and 12');
+    expect(() => normalizeFormationOptions({ balance_skills: 'yes' })).toThrow('balance_skills must be true or false');
+  });
+
+  it('splits students into teams of about the target size', () => {
+    expect(planTeamSizes(10, 4)).toEqual([4, 3, 3]);
+    expect(planTeamSizes(9, 4)).toEqual([5, 4]);
+    expect(planTeamSizes(3, 4)).toEqual([3]);
+    expect(planTeamSizes(0, 4)).toEqual([]);
+  });
+
+  it('keeps wanted teammates together and avoided ones apart', () => {
+    const students = [
+      student('a', { preferred_teammate_ids: ['b'], avoided_teammate_ids: ['c'] }),
+      student('b', { preferred_teammate_ids: ['a'] }),
+      student('c'),
+      student('d'),
+      student('e'),
+      student('f', { preferred_teammate_ids: ['c'] })
+    ];
+    const options = normalizeFormationOptions({ team_size: 3 });
+
+    const teams = proposeTeams(students, options, NOW);
+
+    expect(teams.map((members) => members.length)).toEqual([3, 3]);
+    expect(teamOf(teams, 'a')).toBe(teamOf(teams, 'b'));
+    expect(teamOf(teams, 'a')).not.toBe(teamOf(teams, 'c'));
+    expect(teamOf(teams, 'f')).toBe(teamOf(teams, 'c'));
+    expect(proposeTeams(students, options, NOW)).toEqual(teams);
+  });
+
+  it('spreads skills and extension students across teams', () => {
+    const students = [
+      student('a', { skills: ['design'], institution_type: 'extension' }),
+      student('b', { skills: ['design'], institution_type: 'extension' }),
+      student('c', { skills: ['backend'] }),
+      student('d', { skills: ['backend'] }),
+      student('e'),
+      student('f')
+    ];
+
+    const teams = proposeTeams(students, normalizeFormationOptions({ team_size: 3 }), NOW);
+
+    expect(teamOf(teams, 'a')).not.toBe(teamOf(teams, 'b'));
+    expect(teamOf(teams, 'c')).not.toBe(teamOf(teams, 'd'));
+  });
+
+  it('groups students by timezone and reports problems with edited teams', () => {
+    const students = [
+      student('a'),
+      student('b'),
+      student('c', { timezone: 'Asia/Kolkata' }),
+      student('d', { timezone: 'Asia/Kolkata' })
+    ];
+    const options = normalizeFormationOptions({ team_size: 2, balance_skills: false, balance_institution: false });
+
+    const teams = proposeTeams(students, options, NOW);
+    expect(teamOf(teams, 'a')).toBe(teamOf(teams, 'b'));
+
+    const edited = scoreTeams([['a', 'c'], ['b', 'd']], students, options, NOW);
+    expect(edited.teams[0].summary.timezone_spread_hours).toBe(13.5);
+    expect(edited.teams[0].warnings).toEqual(['Timezones span 13.5 hours']);
+    expect(edited.cost).toBeGreaterThan(scoreTeams(teams, students, options, NOW).cost);
+  });
+
+  it('measures shared weekly hours across timezones', () => {
+    const students = [
+      student('a', { availability_specific: { slots: [{ day: 'Monday', start: '09:00', end: '12:00' }] } }),
+      student('b', {
+        timezone: 'America/New_York',
+        availability_specific: { slots: [{ day: 'Monday', start: '13:00', end: '17:00' }] }
+      })
+    ];
+    const options = normalizeFormationOptions({ min_shared_hours: 3 });
+
+    const { teams } = scoreTeams([['a', 'b']], students, options, NOW);
+
+    // 9-12 Pacific overlaps 13-17 Eastern (10-14 Pacific) for two hours
+    expect(teams[0].summary.shared_hours).toBe(2);
+    expect(teams[0].warnings).toEqual(['Only 2 shared hours a week']);
+  });
+});
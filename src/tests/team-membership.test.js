@@ -0,0 +1,232 @@
+/**
+ * Team Membership Tests
+ *
+ * Tests for transfer requests against the database (request, approve,
+ * reject, withdraw) and for replaying the membership ledger into each
+ * team's former members.
+ */
+
+import { describe, it, beforeAll, afterAll, beforeEach, expect } from 'vitest';
+import { pool } from '../db.js';
+import { TeamMembershipService } from '../services/team-membership-service.js';
+import { TeamMembershipModel } from '../models/team-membership-model.js';
+import { formerMembersByTeam } from '../utils/team-membership.js';
+import { insertUser } from './test-utils.js';
+
+function event(event_type, user_id, { from, to, at, toName } = {}) {
+  return {
+    event_type,
+    user_id,
+    user_name: user_id.toUpperCase(),
+    from_team_id: from || null,
+    to_team_id: to || null,
+    to_team_name: toName || null,
+    occurred_at: at
+  };
+}
+
+describe('Team Transfer Requests', () => {
+  let testOffering, instructor, ta, student, teammate, teamA, teamB;
+
+  const activeTeamOf = async (userId) => {
+    const { rows } = await pool.query(
+      `SELECT tm.team_id FROM team_members tm
+       JOIN team t ON tm.team_id = t.id
+       WHERE t.offering_id = $1 AND tm.user_id = $2 AND tm.left_at IS NULL`,
+      [testOffering.id, userId]
+    );
+    return rows.map((row) => row.team_id);
+  };
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'TMB101'`);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'tmb-%@test.com'`);
+
+    instructor = await insertUser('tmb-prof@test.com', 'Transfer Professor', 'instructor');
+    ta = await insertUser('tmb-ta@test.com', 'Transfer TA', 'student');
+    student = await insertUser('tmb-student1@test.com', 'Transfer Student One', 'student');
+    teammate = await insertUser('tmb-student2@test.com', 'Transfer Student Two', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('TMB101', 'Transfer Course', $1, '2025-01-01', '2025-06-01', FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'ta', 'enrolled'), ($1, $3, 'student', 'enrolled'), ($1, $4, 'student', 'enrolled')`,
+      [testOffering.id, ta.id, student.id, teammate.id]
+    );
+
+    const insertTeam = async (name, number) => {
+      const { rows } = await pool.query(
+        `INSERT INTO team (offering_id, name, team_number, status)
+         VALUES ($1, $2, $3, 'active')
+         RETURNING *`,
+        [testOffering.id, name, number]
+      );
+      return rows[0];
+    };
+    teamA = await insertTeam('Transfer Team A', 1);
+    teamB = await insertTeam('Transfer Team B', 2);
+  });
+
+  afterAll(async () => {
+    // Cascades to teams, memberships, transfer requests and ledger events
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM users WHERE id IN ($1, $2, $3, $4)',
+      [instructor.id, ta.id, student.id, teammate.id]);
+  });
+
+  beforeEach(async () => {
+    await pool.query('DELETE FROM team_transfer_requests WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM team_membership_events WHERE offering_id = $1', [testOffering.id]);
+    await pool.query('DELETE FROM team_members WHERE team_id IN ($1, $2)', [teamA.id, teamB.id]);
+    await pool.query(
+      `INSERT INTO team_members (team_id, user_id, role, joined_at)
+       VALUES ($1, $2, 'member', CURRENT_DATE), ($1, $3, 'leader', CURRENT_DATE)`,
+      [teamA.id, student.id, teammate.id]
+    );
+  });
+
+  it('should move the student and record the transfer when a TA approves', async () => {
+    const request = await TeamMembershipService.requestTransfer(student.id, {
+      offering_id: testOffering.id,
+      to_team_id: teamB.id,
+      reason: '  Schedule conflict  '
+    });
+    expect(request.status).toBe('pending');
+    expect(request.reason).toBe('Schedule conflict');
+
+    await expect(
+      TeamMembershipService.requestTransfer(student.id, {
+        offering_id: testOffering.id,
+        to_team_id: teamB.id,
+        reason: 'Asking again'
+      })
+    ).rejects.toThrow('already has a pending transfer request');
+
+    const approved = await TeamMembershipService.reviewTransfer(request.id, ta.id, { approve: true, note: 'Moved' });
+    expect(approved.status).toBe('approved');
+    expect(approved.reviewed_by).toBe(ta.id);
+    expect(approved.review_note).toBe('Moved');
+    expect(approved.reviewed_at).not.toBeNull();
+
+    expect(await activeTeamOf(student.id)).toEqual([teamB.id]);
+
+    const events = await TeamMembershipModel.findEvents({ offeringId: testOffering.id, userId: student.id });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      event_type: 'transferred',
+      from_team_id: teamA.id,
+      to_team_id: teamB.id,
+      transfer_request_id: request.id,
+      approved_by: ta.id
+    });
+  });
+
+  it('should keep the student on their team and record the note when rejected', async () => {
+    const request = await TeamMembershipService.requestTransfer(student.id, {
+      offering_id: testOffering.id,
+      to_team_id: teamB.id,
+      reason: 'Want to work with friends'
+    });
+
+    const rejected = await TeamMembershipService.reviewTransfer(request.id, ta.id, {
+      approve: false,
+      note: 'Teams are final'
+    });
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.review_note).toBe('Teams are final');
+    expect(await activeTeamOf(student.id)).toEqual([teamA.id]);
+
+    await expect(
+      TeamMembershipService.reviewTransfer(request.id, ta.id, { approve: true })
+    ).rejects.toThrow('already been reviewed');
+  });
+
+  it('should let the team lead ask for a teammate and the student withdraw it', async () => {
+    const request = await TeamMembershipService.requestTransfer(teammate.id, {
+      offering_id: testOffering.id,
+      user_id: student.id,
+      to_team_id: teamB.id,
+      reason: 'Better fit for their skills'
+    });
+    expect(request.requested_by).toBe(teammate.id);
+
+    const withdrawn = await TeamMembershipService.withdrawTransfer(request.id, student.id);
+    expect(withdrawn.status).toBe('withdrawn');
+
+    await expect(
+      TeamMembershipService.reviewTransfer(request.id, ta.id, { approve: false })
+    ).rejects.toThrow('already been reviewed');
+  });
+
+  it('should not allow students to review transfer requests', async () => {
+    const request = await TeamMembershipService.requestTransfer(student.id, {
+      offering_id: testOffering.id,
+      to_team_id: teamB.id,
+      reason: 'Schedule conflict'
+    });
+
+    await expect(
+      TeamMembershipService.reviewTransfer(request.id, teammate.id, { approve: true })
+    ).rejects.toThrow('Not authorized');
+  });
+});
+
+describe('Team Membership History', () => {
+  it('lists students who left or transferred out, most recent first', () => {
+    const events = [
+      event('joined', 'ana', { to: 't1', at: '2030-01-01T00:00:00Z' }),
+      event('joined', 'ben', { to: 't1', at: '2030-01-01T00:00:00Z' }),
+      event('joined', 'cal', { to: 't1', at: '2030-01-01T00:00:00Z' }),
+      event('transferred', 'ben', { from: 't1', to: 't2', toName: 'Team 2', at: '2030-02-01T00:00:00Z' }),
+      event('left', 'cal', { from: 't1', at: '2030-03-01T00:00:00Z' })
+    ];
+    const current = [
+      { team_id: 't1', user_id: 'ana' },
+      { team_id: 't2', user_id: 'ben' }
+    ];
+
+    const former = formerMembersByTeam(events, current);
+    expect(former.get('t1')).toEqual([
+      {
+        user_id: 'cal',
+        name: 'CAL',
+        joined_at: '2030-01-01T00:00:00Z',
+        left_at: '2030-03-01T00:00:00Z',
+        moved_to_team_name: null
+      },
+      {
+        user_id: 'ben',
+        name: 'BEN',
+        joined_at: '2030-01-01T00:00:00Z',
+        left_at: '2030-02-01T00:00:00Z',
+        moved_to_team_name: 'Team 2'
+      }
+    ]);
+    expect(former.has('t2')).toBe(false);
+  });
+
+  it('drops students who came back and reports their latest stint otherwise', () => {
+    const events = [
+      event('left', 'ana', { from: 't1', at: '2030-02-01T00:00:00Z' }),
+      event('joined', 'ana', { to: 't1', at: '2030-01-01T00:00:00Z' }),
+      event('joined', 'ana', { to: 't1', at: '2030-03-01T00:00:00Z' }),
+      event('joined', 'ben', { to: 't1', at: '2030-01-01T00:00:00Z' }),
+      event('left', 'ben', { from: 't1', at: '2030-02-01T00:00:00Z' }),
+      event('joined', 'ben', { to: 't1', at: '2030-03-01T00:00:00Z' }),
+      event('left', 'ben', { from: 't1', at: '2030-04-01T00:00:00Z' })
+    ];
+
+    const former = formerMembersByTeam(events, [{ team_id: 't1', user_id: 'ana' }]);
+    expect(former.get('t1')).toEqual([
+      expect.objectContaining({ user_id: 'ben', joined_at: '2030-03-01T00:00:00Z', left_at: '2030-04-01T00:00:00Z' })
+    ]);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Team Staff Assignment Tests
+ *
+ * Tests for assigning and rebalancing supervisors against the database,
+ * and for spreading TAs and tutors over teams when rebalancing.
+ */
+
+import { describe, it, beforeAll, afterAll, expect } from 'vitest';
+import { pool } from '../db.js';
+import { TeamStaffAssignmentService } from '../services/team-staff-assignment-service.js';
+import { PermissionService } from '../services/permission-service.js';
+import { rebalanceSupervisors } from '../utils/team-staff-assignment.js';
+import { insertUser } from './test-utils.js';
+
+const teams = (count) => Array.from({ length: count }, (_, index) => ({ id: `t${index + 1}` }));
+const staff = (...ids) => ids.map((user_id) => ({ user_id }));
+
+function loads(assignments) {
+  const counts = {};
+  for (const { user_id } of assignments) {
+    counts[user_id] = (counts[user_id] || 0) + 1;
+  }
+  return counts;
+}
+
+describe('Team Staff Assignment Service', () => {
+  let testOffering, instructor, taOne, taTwo, tutor, student, courseTeams;
+
+  const supervisorsOf = (assignments, teamId) => assignments.teams
+    .find((team) => team.id === teamId)
+    .supervisors.map((supervisor) => supervisor.user_id)
+    .sort();
+
+  beforeAll(async () => {
+    await pool.query(`DELETE FROM course_offerings WHERE code = 'TSA101'`);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'tsa-%@test.com'`);
+
+    instructor = await insertUser('tsa-prof@test.com', 'Assignment Professor', 'instructor');
+    taOne = await insertUser('tsa-ta1@test.com', 'Assignment TA One', 'student');
+    taTwo = await insertUser('tsa-ta2@test.com', 'Assignment TA Two', 'student');
+    tutor = await insertUser('tsa-tutor@test.com', 'Assignment Tutor', 'student');
+    student = await insertUser('tsa-student@test.com', 'Assignment Student', 'student');
+
+    const offeringResult = await pool.query(
+      `INSERT INTO course_offerings
+       (code, name, instructor_id, start_date, end_date, is_active)
+       VALUES ('TSA101', 'Assignment Course', $1, '2025-01-01', '2025-06-01', FALSE)
+       RETURNING *`,
+      [instructor.id]
+    );
+    testOffering = offeringResult.rows[0];
+
+    await pool.query(
+      `INSERT INTO enrollments (offering_id, user_id, course_role, status)
+       VALUES ($1, $2, 'ta', 'enrolled'), ($1, $3, 'ta', 'enrolled'),
+              ($1, $4, 'tutor', 'enrolled'), ($1, $5, 'student', 'enrolled')`,
+      [testOffering.id, taOne.id, taTwo.id, tutor.id, student.id]
+    );
+
+    courseTeams = [];
+    for (const number of [1, 2, 3]) {
+      const { rows } = await pool.query(
+        `INSERT INTO team (offering_id, name, team_number, status)
+         VALUES ($1, $2, $3, 'active')
+         RETURNING *`,
+        [testOffering.id, `Assignment Team ${number}`, number]
+      );
+      courseTeams.push(rows[0]);
+    }
+  });
+
+  afterAll(async () => {
+    // Cascades to teams and assignments
+    await pool.query('DELETE FROM course_offerings WHERE id = $1', [testOffering.id]);
+    await pool.query(`DELETE FROM users WHERE email LIKE 'tsa-%@test.com'`);
+  });
+
+  it('should replace a team\'s supervisors and only accept course TAs and tutors', async () => {
+    let assignments = await TeamStaffAssignmentService.setTeamSupervisors(
+      testOffering.id, courseTeams[0].id, [taOne.id, tutor.id], instructor.id
+    );
+    expect(supervisorsOf(assignments, courseTeams[0].id)).toEqual([taOne.id, tutor.id].sort());
+
+    assignments = await TeamStaffAssignmentService.setTeamSupervisors(
+      testOffering.id, courseTeams[0].id, [taTwo.id, tutor.id, taTwo.id], instructor.id
+    );
+    expect(supervisorsOf(assignments, courseTeams[0].id)).toEqual([taTwo.id, tutor.id].sort());
+    expect(assignments.staff.find((member) => member.user_id === taOne.id).team_ids).toEqual([]);
+
+    await expect(
+      TeamStaffAssignmentService.setTeamSupervisors(testOffering.id, courseTeams[0].id, [student.id], instructor.id)
+    ).rejects.toThrow('Only TAs and tutors in this course can supervise teams');
+
+    const { rows: logs } = await pool.query(
+      `SELECT metadata FROM activity_logs
+       WHERE offering_id = $1 AND action_type = 'assign_team_staff'`,
+      [testOffering.id]
+    );
+    expect(logs).toHaveLength(2);
+    expect(logs.every((log) => log.metadata.team_id === courseTeams[0].id)).toBe(true);
+  });
+
+  it('should rebalance each role over every team and keep assignments that fit', async () => {
+    const assignments = await TeamStaffAssignmentService.rebalance(testOffering.id, {}, instructor.id);
+
+    for (const team of courseTeams) {
+      const roles = assignments.teams.find((entry) => entry.id === team.id)
+        .supervisors.map((supervisor) => supervisor.course_role)
+        .sort();
+      expect(roles).toEqual(['ta', 'tutor']);
+    }
+    expect(supervisorsOf(assignments, courseTeams[0].id)).toEqual([taTwo.id, tutor.id].sort());
+
+    const taLoads = [taOne, taTwo].map((ta) => assignments.staff.find((member) => member.user_id === ta.id).team_ids.length);
+    expect(taLoads.sort()).toEqual([1, 2]);
+
+    expect(await TeamStaffAssignmentService.getMyTeamIds(testOffering.id, tutor.id))
+      .toHaveLength(courseTeams.length);
+  });
+
+  it('should give assigned TAs their course-role permissions at team scope and unassigned TAs none', async () => {
+    const { teams: withSupervisors } = await TeamStaffAssignmentService.getAssignments(testOffering.id);
+    const supervises = (team) => team.supervisors.some((supervisor) => supervisor.user_id === taOne.id);
+    const assigned = withSupervisors.find(supervises);
+    const unassigned = withSupervisors.find((team) => !supervises(team));
+
+    // Team-scoped routes check with the team only, so the course role doesn't apply
+    expect(await PermissionService.hasPermission(taOne.id, 'team.view_all', null, assigned.id)).toBe(true);
+    expect(await PermissionService.hasPermission(taOne.id, 'team.view_all', null, unassigned.id)).toBe(false);
+    expect(await PermissionService.hasPermission(student.id, 'team.view_all', null, assigned.id)).toBe(false);
+
+    const codes = await PermissionService.listPermissionCodes(taOne.id, null, assigned.id);
+    expect(codes).toContain('team.manage');
+
+    // Taking the team away takes effect right away, not when the cached check expires
+    await TeamStaffAssignmentService.setTeamSupervisors(testOffering.id, assigned.id, [taTwo.id], instructor.id);
+    expect(await PermissionService.hasPermission(taOne.id, 'team.view_all', null, assigned.id)).toBe(false);
+  });
+});
+
+describe('Team Staff Assignment', () => {
+  it('gives every team one supervisor with loads differing by at most one', () => {
+    const result = rebalanceSupervisors({ teams: teams(7), staff: staff('a', 'b', 'c') });
+
+    expect(result.map((assignment) => assignment.team_id)).toEqual(['t1', 't2', 't3', 't4', 't5', 't6', 't7']);
+    expect(result.every((assignment) => assignment.user_id)).toBe(true);
+    expect(Object.values(loads(result)).sort()).toEqual([2, 2, 3]);
+  });
+
+  it('keeps existing assignments that fit and moves only the overflow', () => {
+    const current = [
+      { team_id: 't1', user_id: 'a' },
+      { team_id: 't2', user_id: 'a' },
+      { team_id: 't3', user_id: 'a' },
+      { team_id: 't4', user_id: 'b' },
+      // Stale rows for a removed team or someone outside the group are ignored
+      { team_id: 'gone', user_id: 'a' },
+      { team_id: 't4', user_id: 'x' }
+    ];
+    const result = rebalanceSupervisors({ teams: teams(4), staff: staff('a', 'b'), current });
+
+    expect(result).toEqual([
+      { team_id: 't1', user_id: 'a' },
+      { team_id: 't2', user_id: 'a' },
+      { team_id: 't3', user_id: 'b' },
+      { team_id: 't4', user_id: 'b' }
+    ]);
+
+    const fresh = rebalanceSupervisors({ teams: teams(4), staff: staff('a', 'b'), current, keepExisting: false });
+    expect(loads(fresh)).toEqual({ a: 2, b: 2 });
+  });
+});
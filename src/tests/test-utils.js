@@ -115,6 +115,23 @@ export async function getAdminId() {
   return cachedAdminId;
 }
 
+/**
+ * Insert an active user for a test
+ * @param {string} email - Unique test email
+ * @param {string} name - Display name
+ * @param {string} role - users.primary_role
+ * @returns {Promise<Object>} The inserted user row
+ */
+export async function insertUser(email, name, role) {
+  const { rows } = await pool.query(
+    `INSERT INTO users (email, name, primary_role, status)
+     VALUES ($1, $2, $3, 'active')
+     RETURNING *`,
+    [email, name, role]
+  );
+  return rows[0];
+}
+
 /**
  * Test utilities object for easier import
  */
@@ -0,0 +1,65 @@
+/**
+ * Timezone Tests
+ *
+ * Tests for converting session wall-clock times in the offering timezone
+ * to instants and back.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getTimeZoneOffsetMinutes,
+  isValidTimeZone,
+  normalizeTimeZone,
+  toZonedParts,
+  zonedTimeToUtc
+} from '../utils/timezone.js';
+
+describe('Timezone', () => {
+  describe('zonedTimeToUtc', () => {
+    it('should apply standard and daylight time offsets', () => {
+      expect(zonedTimeToUtc('2025-01-15', '10:00', 'America/Los_Angeles').toISOString())
+        .toBe('2025-01-15T18:00:00.000Z');
+      expect(zonedTimeToUtc('2025-07-15', '10:00:00', 'America/Los_Angeles').toISOString())
+        .toBe('2025-07-15T17:00:00.000Z');
+    });
+
+    it('should handle the days daylight saving time starts', () => {
+      expect(zonedTimeToUtc('2025-03-09', '10:00', 'America/Los_Angeles').toISOString())
+        .toBe('2025-03-09T17:00:00.000Z');
+      expect(zonedTimeToUtc('2025-03-30', '09:00', 'Europe/London').toISOString())
+        .toBe('2025-03-30T08:00:00.000Z');
+    });
+
+    it('should return null for missing input', () => {
+      expect(zonedTimeToUtc(null, '10:00', 'UTC')).toBeNull();
+      expect(zonedTimeToUtc('2025-01-15', null, 'UTC')).toBeNull();
+    });
+  });
+
+  describe('toZonedParts', () => {
+    it('should give the wall-clock date and time in the timezone', () => {
+      expect(toZonedParts(new Date('2025-01-16T02:30:00Z'), 'America/Los_Angeles'))
+        .toEqual({ date: '2025-01-15', time: '18:30:00' });
+    });
+  });
+
+  describe('normalizeTimeZone', () => {
+    it('should accept IANA names and canonicalize their case', () => {
+      expect(normalizeTimeZone('america/new_york')).toBe('America/New_York');
+      expect(isValidTimeZone('UTC')).toBe(true);
+    });
+
+    it('should reject abbreviations and unknown zones', () => {
+      expect(isValidTimeZone('PST')).toBe(false);
+      expect(() => normalizeTimeZone('Mars/Olympus_Mons')).toThrow('IANA timezone');
+    });
+  });
+
+  describe('getTimeZoneOffsetMinutes', () => {
+    it('should follow daylight saving time', () => {
+      expect(getTimeZoneOffsetMinutes('America/Los_Angeles', new Date('2025-01-15T12:00:00Z'))).toBe(-480);
+      expect(getTimeZoneOffsetMinutes('America/Los_Angeles', new Date('2025-07-15T12:00:00Z'))).toBe(-420);
+      expect(getTimeZoneOffsetMinutes('Asia/Kolkata', new Date('2025-07-15T12:00:00Z'))).toBe(330);
+    });
+  });
+});
@@ -0,0 +1,472 @@
+// Attendance CSV import helpers
+//
+// Imports read any participant export (Zoom participants report, Google Meet
+// attendance, hand-made sheets). Columns are detected from common header names and can be
+// overridden with a mapping of field → header, e.g. { "name": "Participant", "email": "Email" }.
+// Rows are matched to the session roster by email, then PID, then fuzzy name. The result is a
+// plan of create/update/unchanged/unmatched/invalid entries that is shown as a dry-run preview
+// and re-computed against the current attendance when the import is committed.
+
+import { parse } from 'csv-parse/sync';
+import { classifyCheckIn } from './attendance-rules.js';
+import { zonedTimeToUtc, DEFAULT_TIMEZONE } from './timezone.js';
+
+export const IMPORT_FIELDS = ['name', 'email', 'pid', 'status', 'join_time', 'duration_minutes'];
+export const IMPORT_ACTIONS = ['create', 'update', 'unchanged', 'unmatched', 'invalid'];
+
+export const MAX_IMPORT_ROWS = 5000;
+export const NAME_MATCH_THRESHOLD = 0.85;
+const NAME_MATCH_MARGIN = 0.05;
+const HEADER_SCAN_ROWS = 25;
+const MAX_SUGGESTIONS = 3;
+
+// Lower-cased header names recognised for each field
+const COLUMN_ALIASES = {
+  name: ['name', 'name (original name)', 'full name', 'student', 'student name', 'display name', 'participant name'],
+  email: ['email', 'e-mail', 'user email', 'email address', 'participant email', 'sis login id'],
+  pid: ['pid', 'ucsd_pid', 'ucsd pid', 'student id', 'sis user id'],
+  status: ['status', 'attendance', 'attendance status'],
+  join_time: ['join time', 'joined', 'first join', 'first seen', 'checked_in_at', 'check-in time', 'check in time', 'timestamp'],
+  duration_minutes: ['duration (minutes)', 'duration (mins)', 'duration', 'total duration (minutes)', 'time in call (minutes)', 'minutes']
+};
+
+// Zoom reports start with a meeting summary block whose header also has "User Email"
+const SUMMARY_HEADERS = new Set(['meeting id', 'topic', 'webinar id']);
+
+const STATUS_ALIASES = {
+  present: ['present', 'p', 'here', 'attended', 'yes', 'y', '1'],
+  late: ['late', 'l', 'tardy'],
+  excused: ['excused', 'e', 'ex'],
+  absent: ['absent', 'a', 'no', 'n', '0', 'missing']
+};
+
+function normalizeHeader(value) {
+  return String(value ?? '').replace(/^\uFEFF/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate a column mapping supplied with the upload
+ * @param {Object|string|null} mapping - { field: header } (object or JSON string)
+ * @returns {Object} Mapping with only known fields and non-empty headers
+ * @throws {Error} If the mapping is malformed
+ */
+export function normalizeColumnMapping(mapping) {
+  if (mapping === null || mapping === undefined || mapping === '') {
+    return {};
+  }
+
+  let parsed = mapping;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      throw new Error('mapping must be valid JSON');
+    }
+  }
+
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('mapping must be an object of field → column header');
+  }
+
+  const normalized = {};
+  for (const [field, header] of Object.entries(parsed)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw new Error(`mapping has an unknown field: ${field} (expected one of ${IMPORT_FIELDS.join(', ')})`);
+    }
+    if (header === null || header === undefined || header === '') continue;
+    if (typeof header !== 'string') {
+      throw new Error(`mapping.${field} must be a column header`);
+    }
+    normalized[field] = header.trim();
+  }
+  return normalized;
+}
+
+/**
+ * Detect which column holds each field from the header row
+ * @param {string[]} headers - Header cells
+ * @returns {Object} { field: header } for every field that was recognised
+ */
+export function detectColumns(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const detected = {};
+  for (const field of IMPORT_FIELDS) {
+    for (const alias of COLUMN_ALIASES[field]) {
+      const index = normalized.indexOf(alias);
+      if (index !== -1 && !Object.values(detected).includes(headers[index])) {
+        detected[field] = headers[index];
+        break;
+      }
+    }
+  }
+  return detected;
+}
+
+function isIdentityMapping(mapping) {
+  return Boolean(mapping.name || mapping.email || mapping.pid);
+}
+
+/**
+ * Parse an uploaded CSV into import rows
+ * The header row is the first row (within the first few) that names a name, email or PID
+ * column; anything above it, such as Zoom's meeting summary, is skipped.
+ * @param {string} csvText - CSV file contents
+ * @param {Object} [mapping] - Normalized column mapping; detected columns fill the gaps
+ * @returns {{ headers: string[], mapping: Object, rows: Array<Object> }}
+ * @throws {Error} If the file has no usable header or too many rows
+ */
+export function readImportCsv(csvText, mapping = {}) {
+  let records;
+  try {
+    records = parse(csvText, {
+      bom: true,
+      info: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (error) {
+    throw new Error(`Could not parse CSV: ${error.message}`);
+  }
+
+  const headerIndex = records.slice(0, HEADER_SCAN_ROWS).findIndex(({ record: cells }) => {
+    if (cells.some((cell) => SUMMARY_HEADERS.has(normalizeHeader(cell)))) return false;
+    const explicit = Object.values(mapping);
+    if (explicit.length > 0 && explicit.every((header) => cells.includes(header))) return true;
+    return isIdentityMapping(detectColumns(cells));
+  });
+  if (headerIndex === -1) {
+    throw new Error('Could not find a header row with a name, email or PID column');
+  }
+
+  const headers = records[headerIndex].record;
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!headers.includes(header)) {
+      throw new Error(`mapping.${field} refers to a column that is not in the file: ${header}`);
+    }
+  }
+
+  const resolved = { ...detectColumns(headers), ...mapping };
+  if (!isIdentityMapping(resolved)) {
+    throw new Error('mapping must include a name, email or pid column');
+  }
+
+  const dataRows = records.slice(headerIndex + 1);
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`CSV has more than ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const columnIndex = Object.fromEntries(
+    Object.entries(resolved).map(([field, header]) => [field, headers.indexOf(header)])
+  );
+  const cell = (cells, field) => (columnIndex[field] === undefined ? '' : cells[columnIndex[field]] ?? '');
+
+  const rows = [];
+  for (const { record: cells, info } of dataRows) {
+    const row = {
+      // Line in the uploaded file, so instructors can find the row
+      row_number: info.lines,
+      name: cell(cells, 'name'),
+      email: cell(cells, 'email'),
+      pid: cell(cells, 'pid'),
+      status: cell(cells, 'status'),
+      join_time: cell(cells, 'join_time'),
+      duration_minutes: cell(cells, 'duration_minutes')
+    };
+    if (row.name || row.email || row.pid) rows.push(row);
+  }
+
+  return { headers, mapping: resolved, rows };
+}
+
+/**
+ * Parse a status cell (present/P, late/L, excused/E, absent/A, ...)
+ * @returns {string|null|undefined} Status, null when blank, undefined when unrecognised
+ */
+export function parseImportStatus(value) {
+  const text = normalizeHeader(value);
+  if (!text) return null;
+  return Object.keys(STATUS_ALIASES).find((status) => STATUS_ALIASES[status].includes(text));
+}
+
+/**
+ * Parse a join-time cell
+ * Values with an offset (ISO 8601) are absolute; wall-clock values such as Zoom's
+ * "01/08/2025 10:02:13 AM" or "2025-01-08 10:02" are read in the offering's timezone.
+ * @param {string} value - Cell value
+ * @param {string} [timeZone] - Offering timezone
+ * @returns {Date|null|undefined} Instant, null when blank, undefined when unparseable
+ */
+export function parseImportTime(value, timeZone = DEFAULT_TIMEZONE) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  const match = text.match(
+    /^(?:(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})\/(\d{1,2})\/(\d{4}))[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i
+  );
+  if (!match) return undefined;
+
+  const [, isoYear, isoMonth, isoDay, usMonth, usDay, usYear, rawHours, minutes, seconds = '00', meridiem] = match;
+  let hours = Number(rawHours);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return undefined;
+    hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || Number(minutes) > 59 || Number(seconds) > 59) return undefined;
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const date = isoYear
+    ? `${isoYear}-${pad(isoMonth)}-${pad(isoDay)}`
+    : `${usYear}-${pad(usMonth)}-${pad(usDay)}`;
+  const instant = zonedTimeToUtc(date, `${pad(hours)}:${minutes}:${seconds}`, timeZone);
+  return instant && !Number.isNaN(instant.getTime()) ? instant : undefined;
+}
+
+/**
+ * Lower-case a name and strip accents, punctuation and extra whitespace
+ */
+export function normalizePersonName(name) {
+  return String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Names to try for a row: Zoom's "Name (Original Name)" column holds
+ * "Display Name (Original Name)" when a participant renamed themselves
+ */
+function nameCandidates(name) {
+  const text = String(name ?? '');
+  const original = text.match(/\(([^)]+)\)\s*$/);
+  const candidates = [normalizePersonName(original ? text.slice(0, original.index) : text)];
+  if (original) candidates.push(normalizePersonName(original[1]));
+  return candidates.filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function ratio(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Similarity of two names between 0 and 1
+ * Compares both the names as written and with their words sorted, so
+ * "Lovelace, Ada" matches "Ada Lovelace".
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizePersonName(a);
+  const right = normalizePersonName(b);
+  if (!left || !right) return 0;
+  const sorted = (text) => text.split(' ').sort().join(' ');
+  return Math.max(ratio(left, right), ratio(sorted(left), sorted(right)));
+}
+
+/**
+ * Match an import row to a roster student
+ * Email and PID must match exactly (case-insensitive). Otherwise the best name match is
+ * used when it reaches NAME_MATCH_THRESHOLD and is clearly ahead of the runner-up.
+ * @param {Object} row - Import row
+ * @param {Array<Object>} students - Roster: [{ id, name, email, ucsd_pid }]
+ * @returns {{ student: Object|null, method: string|null, confidence: number|null,
+ *             message?: string, suggestions?: Array<Object> }}
+ */
+export function matchParticipant(row, students) {
+  const email = String(row.email ?? '').trim().toLowerCase();
+  if (email) {
+    const student = students.find((candidate) => candidate.email?.toLowerCase() === email);
+    if (student) return { student, method: 'email', confidence: 1 };
+  }
+
+  const pid = String(row.pid ?? '').trim().toLowerCase();
+  if (pid) {
+    const student = students.find((candidate) => candidate.ucsd_pid?.toLowerCase() === pid);
+    if (student) return { student, method: 'pid', confidence: 1 };
+  }
+
+  const candidates = nameCandidates(row.name);
+  if (candidates.length === 0) {
+    return { student: null, method: null, confidence: null, message: 'No roster student has this email or PID' };
+  }
+
+  const scored = students
+    .map((student) => ({
+      student,
+      score: Math.max(...candidates.map((candidate) => nameSimilarity(candidate, student.name)))
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const suggestions = scored
+    .slice(0, MAX_SUGGESTIONS)
+    .filter((entry) => entry.score > 0.5)
+    .map((entry) => ({
+      user_id: entry.student.id,
+      name: entry.student.name,
+      confidence: Math.round(entry.score * 100) / 100
+    }));
+
+  const [best, runnerUp] = scored;
+  if (!best || best.score < NAME_MATCH_THRESHOLD) {
+    return { student: null, method: null, confidence: null, message: 'No roster student matches this name', suggestions };
+  }
+  if (runnerUp && best.score - runnerUp.score < NAME_MATCH_MARGIN) {
+    return { student: null, method: null, confidence: null, message: 'Name matches more than one student', suggestions };
+  }
+
+  return { student: best.student, method: 'name', confidence: Math.round(best.score * 100) / 100 };
+}
+
+/**
+ * Build the import plan for a session
+ * Rows matched to the same student are merged: earliest join time, total duration.
+ * The status is the explicit status column when present; otherwise absent below the
+ * minimum duration, otherwise the join time classified by the session's timing rules
+ * (check-ins past the late cut-off become absent), otherwise present.
+ * @param {Object} input
+ * @param {Array<Object>} input.rows - Rows from readImportCsv
+ * @param {Array<Object>} input.students - Session roster
+ * @param {Array<Object>} input.existing - Current attendance records for the session
+ * @param {Date|null} [input.sessionStart] - Session start, for classifying join times
+ * @param {Object|null} [input.rules] - Effective timing rules (null for team meetings)
+ * @param {string} [input.timeZone] - Offering timezone for wall-clock join times
+ * @param {number|null} [input.minDurationMinutes] - Attendance below this is absent
+ * @param {Object} [input.overrides] - { row_number: user_id | null } chosen by the instructor
+ * @returns {{ entries: Array<Object>, summary: Object }}
+ */
+export function buildImportPlan({
+  rows,
+  students,
+  existing,
+  sessionStart = null,
+  rules = null,
+  timeZone = DEFAULT_TIMEZONE,
+  minDurationMinutes = null,
+  overrides = {}
+}) {
+  const studentsById = new Map(students.map((student) => [student.id, student]));
+  const existingByUser = new Map(existing.map((record) => [record.user_id, record]));
+  const entries = [];
+  const byStudent = new Map();
+
+  for (const row of rows) {
+    const base = {
+      row_number: row.row_number,
+      source_rows: [row.row_number],
+      name: row.name || null,
+      email: row.email || null,
+      pid: row.pid || null
+    };
+
+    const status = parseImportStatus(row.status);
+    const joinedAt = parseImportTime(row.join_time, timeZone);
+    const duration = row.duration_minutes === '' || row.duration_minutes === undefined
+      ? null
+      : Number(row.duration_minutes);
+
+    const problems = [];
+    if (status === undefined) problems.push(`Unrecognized status "${row.status}"`);
+    if (joinedAt === undefined) problems.push(`Unrecognized join time "${row.join_time}"`);
+    if (duration !== null && (!Number.isFinite(duration) || duration < 0)) {
+      problems.push(`Unrecognized duration "${row.duration_minutes}"`);
+    }
+    if (problems.length > 0) {
+      entries.push({ ...base, action: 'invalid', message: problems.join('; ') });
+      continue;
+    }
+
+    let match;
+    const override = overrides[row.row_number];
+    if (override === null) {
+      entries.push({ ...base, action: 'unmatched', message: 'Skipped by instructor' });
+      continue;
+    }
+    if (override !== undefined) {
+      match = { student: studentsById.get(override), method: 'manual', confidence: 1 };
+    } else {
+      match = matchParticipant(row, students);
+    }
+
+    if (!match.student) {
+      entries.push({ ...base, action: 'unmatched', message: match.message, suggestions: match.suggestions || [] });
+      continue;
+    }
+
+    const merged = byStudent.get(match.student.id);
+    if (merged) {
+      merged.source_rows.push(row.row_number);
+      if (status && !merged.explicit_status) merged.explicit_status = status;
+      if (joinedAt && (!merged.joined_at || joinedAt < merged.joined_at)) merged.joined_at = joinedAt;
+      if (duration !== null) merged.duration_minutes = (merged.duration_minutes ?? 0) + duration;
+      continue;
+    }
+
+    const entry = {
+      ...base,
+      user_id: match.student.id,
+      user_name: match.student.name,
+      user_email: match.student.email,
+      match_method: match.method,
+      match_confidence: match.confidence,
+      explicit_status: status,
+      joined_at: joinedAt,
+      duration_minutes: duration
+    };
+    byStudent.set(match.student.id, entry);
+    entries.push(entry);
+  }
+
+  for (const entry of byStudent.values()) {
+    const { explicit_status: explicitStatus, joined_at: joinedAt } = entry;
+    delete entry.explicit_status;
+    delete entry.joined_at;
+
+    let status = explicitStatus;
+    if (!status && minDurationMinutes && entry.duration_minutes !== null && entry.duration_minutes < minDurationMinutes) {
+      status = 'absent';
+    }
+    if (!status && joinedAt && rules) {
+      const classified = classifyCheckIn(sessionStart, joinedAt, rules);
+      status = classified === 'rejected' ? 'absent' : classified;
+    }
+
+    const current = existingByUser.get(entry.user_id);
+    entry.new_status = status || 'present';
+    entry.checked_in_at = joinedAt ? joinedAt.toISOString() : null;
+    entry.current_status = current?.status || null;
+    if (!current) {
+      entry.action = 'create';
+    } else {
+      entry.action = current.status === entry.new_status ? 'unchanged' : 'update';
+    }
+  }
+
+  entries.sort((a, b) => a.row_number - b.row_number);
+
+  const summary = Object.fromEntries(IMPORT_ACTIONS.map((action) => [action, 0]));
+  for (const entry of entries) summary[entry.action] += 1;
+
+  return { entries, summary };
+}
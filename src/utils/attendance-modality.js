@@ -0,0 +1,81 @@
+// Attendance modality helpers
+//
+// Each attendance record says how the student attended: in_person, remote (joined the
+// session's remote link live) or recording (watched the recording afterwards). Remote
+// attendance counts by default and recordings don't; a course or session changes that with
+// remote_counts_as_present / recording_counts_as_present in its attendance rules. Attendance
+// that doesn't count is stored as absent, keeping its modality, so grades and policies
+// treat it as a missed session while reports can still tell it apart.
+
+export const ATTENDANCE_MODALITIES = Object.freeze(['in_person', 'remote', 'recording']);
+export const DEFAULT_MODALITY = 'in_person';
+
+const COUNTS_BY_DEFAULT = Object.freeze({ remote: true, recording: false });
+
+/**
+ * Validate an attendance modality
+ * @param {string|null|undefined} modality - Raw modality
+ * @returns {string} The modality, in_person when none is given
+ * @throws {Error} If the modality is unknown
+ */
+export function normalizeModality(modality) {
+  if (modality === null || modality === undefined || modality === '') {
+    return DEFAULT_MODALITY;
+  }
+  if (!ATTENDANCE_MODALITIES.includes(modality)) {
+    throw new Error(`modality must be one of: ${ATTENDANCE_MODALITIES.join(', ')}`);
+  }
+  return modality;
+}
+
+/**
+ * Validate a session's remote join link
+ * @param {string|null|undefined} url - Raw link
+ * @returns {string|null} The link, or null to clear it
+ * @throws {Error} If the link isn't an http(s) URL
+ */
+export function normalizeRemoteJoinUrl(url) {
+  if (url === null || url === undefined || String(url).trim() === '') {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    throw new Error('remote_join_url must be an http or https link');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('remote_join_url must be an http or https link');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Whether attendance in a modality counts towards attendance
+ * @param {string} modality - in_person, remote or recording
+ * @param {Object} rules - Effective rules from resolveAttendanceRules
+ * @returns {boolean}
+ */
+export function modalityCounts(modality, rules = {}) {
+  if (modality === 'remote') {
+    return rules?.remote_counts_as_present ?? COUNTS_BY_DEFAULT.remote;
+  }
+  if (modality === 'recording') {
+    return rules?.recording_counts_as_present ?? COUNTS_BY_DEFAULT.recording;
+  }
+  return true;
+}
+
+/**
+ * The status to store for attendance in a modality
+ * @param {string} status - Status from the timing rules or the marker
+ * @param {string} modality - in_person, remote or recording
+ * @param {Object} rules - Effective rules from resolveAttendanceRules
+ * @returns {string} absent when present or late attendance in this modality doesn't count
+ */
+export function statusForModality(status, modality, rules = {}) {
+  if ((status === 'present' || status === 'late') && !modalityCounts(modality, rules)) {
+    return 'absent';
+  }
+  return status;
+}
@@ -0,0 +1,119 @@
+// Attendance policy helpers
+//
+// Policies live in attendance_policies, one row per rule:
+//   { "metric": "unexcused_absences", "threshold": 3 }                    more than 3 absences
+//   { "metric": "attendance_rate", "threshold": 80, "window_days": 21 }  below 80% over 3 weeks
+// Both metrics use the same per-student counts as the gradebook: course-wide sessions where
+// attendance was taken, with a missing record in a closed session counting as absent.
+// Excused sessions never count against a student.
+
+import { toZonedParts, DEFAULT_TIMEZONE } from './timezone.js';
+
+export const POLICY_METRICS = ['unexcused_absences', 'attendance_rate'];
+export const MAX_WINDOW_DAYS = 366;
+const MAX_NAME_LENGTH = 120;
+
+/**
+ * Validate and normalize a policy
+ * @param {Object} policy - { name?, metric, threshold, window_days?, is_active? }
+ * @returns {Object} Normalized policy with a generated name when none is given
+ * @throws {Error} If the policy is malformed
+ */
+export function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('policy must be an object');
+  }
+
+  const { metric } = policy;
+  if (!POLICY_METRICS.includes(metric)) {
+    throw new Error(`metric must be one of: ${POLICY_METRICS.join(', ')}`);
+  }
+
+  const threshold = Number(policy.threshold);
+  if (metric === 'unexcused_absences' && (!Number.isInteger(threshold) || threshold < 0)) {
+    throw new Error('threshold must be a non-negative whole number of absences');
+  }
+  if (metric === 'attendance_rate' && (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100)) {
+    throw new Error('threshold must be a percentage between 0 and 100');
+  }
+
+  let windowDays = null;
+  if (policy.window_days !== undefined && policy.window_days !== null && policy.window_days !== '') {
+    windowDays = Number(policy.window_days);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_WINDOW_DAYS) {
+      throw new Error(`window_days must be a whole number of days between 1 and ${MAX_WINDOW_DAYS}`);
+    }
+  }
+
+  const normalized = {
+    metric,
+    threshold,
+    window_days: windowDays,
+    is_active: policy.is_active === undefined ? true : Boolean(policy.is_active)
+  };
+
+  const name = typeof policy.name === 'string' ? policy.name.trim() : '';
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`name must be ${MAX_NAME_LENGTH} characters or fewer`);
+  }
+  normalized.name = name || describePolicy(normalized);
+
+  return normalized;
+}
+
+/**
+ * Plain-language description of a policy, e.g. "Below 80% attendance over the last 3 weeks"
+ */
+export function describePolicy({ metric, threshold, window_days: windowDays }) {
+  let period = '';
+  if (windowDays) {
+    period = windowDays % 7 === 0
+      ? ` over the last ${windowDays / 7 === 1 ? 'week' : `${windowDays / 7} weeks`}`
+      : ` over the last ${windowDays === 1 ? 'day' : `${windowDays} days`}`;
+  }
+
+  if (metric === 'unexcused_absences') {
+    const noun = Number(threshold) === 1 ? 'absence' : 'absences';
+    return `More than ${threshold} unexcused ${noun}${period}`;
+  }
+  return `Below ${threshold}% attendance${period}`;
+}
+
+/**
+ * First session date inside a policy window, in the offering's timezone
+ * @param {number|null} windowDays - Window length; null means the whole term
+ * @param {Date} [now] - Current time
+ * @param {string} [timeZone] - Offering timezone
+ * @returns {string|null} YYYY-MM-DD, or null for no lower bound
+ */
+export function windowStartDate(windowDays, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  if (!windowDays) return null;
+  const today = toZonedParts(now, timeZone).date;
+  const start = new Date(`${today}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - (windowDays - 1));
+  return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Evaluate a policy against one student's counts
+ * @param {Object} policy - Normalized policy
+ * @param {Object} counts - { present, late, excused, absent }
+ * @returns {{ triggered: boolean, value: number|null }} value is the absence count or the
+ *   attendance percentage (null when no non-excused session counted yet)
+ */
+export function evaluatePolicy(policy, counts) {
+  const present = Number(counts.present) || 0;
+  const late = Number(counts.late) || 0;
+  const absent = Number(counts.absent) || 0;
+
+  if (policy.metric === 'unexcused_absences') {
+    return { triggered: absent > Number(policy.threshold), value: absent };
+  }
+
+  const counted = present + late + absent;
+  if (counted === 0) {
+    return { triggered: false, value: null };
+  }
+  const rate = Math.round(((present + late) / counted) * 1000) / 10;
+  return { triggered: rate < Number(policy.threshold), value: rate };
+}
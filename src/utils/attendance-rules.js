@@ -0,0 +1,156 @@
+// Attendance timing rule helpers
+//
+// Rules are stored as JSONB on course_offerings.attendance_rules (course default)
+// and sessions.attendance_rules (per-session override):
+//   { "present_minutes": 10, "late_minutes": 30,
+//     "remote_counts_as_present": true, "recording_counts_as_present": false }
+// Minutes are measured from the session start (session_date + session_time).
+// A missing present_minutes means every check-in counts as present; a missing
+// late_minutes means late check-ins are never rejected. The two flags decide whether
+// remote and recording attendance count (see utils/attendance-modality.js).
+
+import { zonedTimeToUtc, DEFAULT_TIMEZONE } from './timezone.js';
+
+const RULE_KEYS = ['present_minutes', 'late_minutes'];
+const FLAG_KEYS = ['remote_counts_as_present', 'recording_counts_as_present'];
+
+/**
+ * Validate and normalize an attendance rules object
+ * @param {Object|string|null} rules - Raw rules (object or JSON string)
+ * @returns {Object|null} Normalized rules, or null when no rules are set
+ * @throws {Error} If the rules are malformed
+ */
+export function normalizeAttendanceRules(rules) {
+  if (rules === null || rules === undefined || rules === '') {
+    return null;
+  }
+
+  let parsed = rules;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      throw new Error('attendance_rules must be valid JSON');
+    }
+  }
+
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('attendance_rules must be an object');
+  }
+
+  const normalized = {};
+  for (const key of RULE_KEYS) {
+    const value = parsed[key];
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      throw new Error(`attendance_rules.${key} must be a non-negative integer`);
+    }
+    normalized[key] = minutes;
+  }
+
+  for (const key of FLAG_KEYS) {
+    const value = parsed[key];
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+    if (typeof value !== 'boolean') {
+      throw new Error(`attendance_rules.${key} must be true or false`);
+    }
+    normalized[key] = value;
+  }
+
+  if (
+    normalized.present_minutes !== undefined &&
+    normalized.late_minutes !== undefined &&
+    normalized.late_minutes < normalized.present_minutes
+  ) {
+    throw new Error('attendance_rules.late_minutes must be greater than or equal to present_minutes');
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Merge course-level rules with a session-level override
+ * Session values win key-by-key so a session can override only the late cut-off.
+ * @param {Object|null} offeringRules - course_offerings.attendance_rules
+ * @param {Object|null} sessionRules - sessions.attendance_rules
+ * @returns {Object} Effective rules (may be empty)
+ */
+export function resolveAttendanceRules(offeringRules, sessionRules) {
+  const base = safeNormalize(offeringRules) || {};
+  const override = safeNormalize(sessionRules) || {};
+  const merged = { ...base, ...override };
+
+  // A session override can loosen the present window past the course late cut-off
+  if (
+    merged.present_minutes !== undefined &&
+    merged.late_minutes !== undefined &&
+    merged.late_minutes < merged.present_minutes
+  ) {
+    merged.late_minutes = merged.present_minutes;
+  }
+
+  return merged;
+}
+
+/**
+ * Get the start Date of a session
+ * Uses the stored starts_at instant; rows loaded without it fall back to
+ * session_date + session_time in the offering timezone (session.timezone).
+ * @param {Object} session - Session row (starts_at, or session_date as YYYY-MM-DD and session_time as HH:MM[:SS])
+ * @returns {Date|null} Session start, or null if the session has no usable start
+ */
+export function getSessionStart(session) {
+  if (session?.starts_at) {
+    const start = new Date(session.starts_at);
+    return Number.isNaN(start.getTime()) ? null : start;
+  }
+  if (!session?.session_date || !session?.session_time) {
+    return null;
+  }
+
+  const start = zonedTimeToUtc(session.session_date, session.session_time, session.timezone || DEFAULT_TIMEZONE);
+  return start && !Number.isNaN(start.getTime()) ? start : null;
+}
+
+/**
+ * Classify a check-in against the effective rules
+ * @param {Date|null} sessionStart - Session start time
+ * @param {Date} checkedInAt - Time of the check-in
+ * @param {Object} rules - Effective rules from resolveAttendanceRules
+ * @returns {'present'|'late'|'rejected'} Resulting status
+ */
+export function classifyCheckIn(sessionStart, checkedInAt, rules = {}) {
+  if (!sessionStart || !rules || (rules.present_minutes === undefined && rules.late_minutes === undefined)) {
+    return 'present';
+  }
+
+  const minutesAfterStart = (new Date(checkedInAt).getTime() - sessionStart.getTime()) / 60000;
+
+  if (rules.present_minutes === undefined || minutesAfterStart <= rules.present_minutes) {
+    // Without a present window, only the late cut-off applies
+    if (rules.late_minutes !== undefined && minutesAfterStart > rules.late_minutes) {
+      return 'rejected';
+    }
+    return 'present';
+  }
+
+  if (rules.late_minutes === undefined || minutesAfterStart <= rules.late_minutes) {
+    return 'late';
+  }
+
+  return 'rejected';
+}
+
+function safeNormalize(rules) {
+  try {
+    return normalizeAttendanceRules(rules);
+  } catch (error) {
+    console.warn('[attendance-rules] Ignoring invalid attendance rules:', error.message);
+    return null;
+  }
+}
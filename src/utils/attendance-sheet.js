@@ -0,0 +1,66 @@
+// Paper sign-in sheet helpers
+//
+// When check-in is down, staff print a sheet listing each student with their own verification
+// code for the session. Students write their code down (or tick it off), and a TA types the codes
+// back in. Codes use the access code alphabet, which leaves out look-alikes such as O/0 and I/1,
+// and are matched without regard to case, spaces or dashes.
+
+export const SHEET_CODE_LENGTH = 5;
+
+/**
+ * Normalize a code as written on a sheet
+ * @param {string} value - e.g. "ab3-k9"
+ * @returns {string} e.g. "AB3K9"
+ */
+export function normalizeSheetCode(value) {
+  return String(value ?? '').toUpperCase().replace(/[\s-]+/g, '');
+}
+
+/**
+ * Read transcribed codes from a list or from text with one or more codes per line
+ * @param {string|string[]} input
+ * @returns {string[]} Normalized, non-empty codes in the order given
+ * @throws {Error} If the input is neither text nor a list
+ */
+export function parseSheetCodes(input) {
+  let values;
+  if (Array.isArray(input)) {
+    values = input;
+  } else if (typeof input === 'string') {
+    values = input.split(/[\s,;]+/);
+  } else {
+    throw new Error('codes must be a list or text');
+  }
+  return values.map(normalizeSheetCode).filter(Boolean);
+}
+
+/**
+ * Match transcribed codes against a session's sheet
+ * @param {string[]} codes - Normalized codes
+ * @param {Object[]} entries - Sheet entries { user_id, code, ... }
+ * @returns {Object} { matched: entries, unknown: codes on no line of the sheet, repeated: codes entered more than once }
+ */
+export function matchSheetCodes(codes, entries) {
+  const byCode = new Map(entries.map((entry) => [entry.code, entry]));
+  const seen = new Set();
+  const matched = [];
+  const unknown = [];
+  const repeated = [];
+
+  for (const code of codes) {
+    if (seen.has(code)) {
+      if (!repeated.includes(code)) repeated.push(code);
+      continue;
+    }
+    seen.add(code);
+
+    const entry = byCode.get(code);
+    if (entry) {
+      matched.push(entry);
+    } else {
+      unknown.push(code);
+    }
+  }
+
+  return { matched, unknown, repeated };
+}
@@ -0,0 +1,228 @@
+// Check-in constraint helpers
+//
+// Constraints are stored as JSONB on sessions.checkin_constraints:
+//   { "allowed_subnets": ["128.54.0.0/16", "2607:f720::/32"], "geofence_radius_meters": 150 }
+// allowed_subnets is checked against the request IP; geofence_radius_meters against the
+// browser-supplied location and the offering's location_latitude/location_longitude.
+// A failed constraint never blocks the check-in; it is returned as a flag reason.
+
+import { BlockList, isIP } from 'node:net';
+
+export const FLAG_REASONS = Object.freeze({
+  OUTSIDE_SUBNET: 'outside_subnet',
+  OUTSIDE_GEOFENCE: 'outside_geofence',
+  LOCATION_UNAVAILABLE: 'location_unavailable'
+});
+
+export const MIN_GEOFENCE_RADIUS_METERS = 10;
+export const MAX_GEOFENCE_RADIUS_METERS = 50_000;
+const MAX_SUBNETS = 50;
+const EARTH_RADIUS_METERS = 6_371_000;
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients on dual-stack sockets
+ * @param {string} ip - Request IP (e.g. '::ffff:128.54.1.2')
+ * @returns {string|null} Plain IPv4/IPv6 address, or null if it is not an IP
+ */
+export function normalizeClientIp(ip) {
+  if (typeof ip !== 'string') return null;
+  let value = ip.trim();
+  if (value.toLowerCase().startsWith('::ffff:') && isIP(value.slice(7)) === 4) {
+    value = value.slice(7);
+  }
+  return isIP(value) ? value : null;
+}
+
+/**
+ * Parse a CIDR block such as '128.54.0.0/16' (a bare address is a single host)
+ * @returns {{ address: string, prefix: number, type: 'ipv4'|'ipv6' }|null}
+ */
+function parseSubnet(value) {
+  const [rawAddress, rawPrefix, extra] = String(value).trim().split('/');
+  if (extra !== undefined) return null;
+
+  const address = normalizeClientIp(rawAddress);
+  if (!address) return null;
+
+  const version = isIP(address);
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix || !/^\d+$/.test(rawPrefix ?? '0')) {
+    return null;
+  }
+
+  return { address, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Validate and normalize a check-in constraints object
+ * @param {Object|string|null} constraints - Raw constraints (object or JSON string)
+ * @returns {Object|null} Normalized constraints, or null when none are set
+ * @throws {Error} If the constraints are malformed
+ */
+export function normalizeCheckInConstraints(constraints) {
+  if (constraints === null || constraints === undefined || constraints === '') {
+    return null;
+  }
+
+  let parsed = constraints;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      throw new Error('checkin_constraints must be valid JSON');
+    }
+  }
+
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('checkin_constraints must be an object');
+  }
+
+  const normalized = {};
+
+  let subnets = parsed.allowed_subnets;
+  if (typeof subnets === 'string') {
+    subnets = subnets.split(/[\s,]+/);
+  }
+  if (subnets !== undefined && subnets !== null) {
+    if (!Array.isArray(subnets)) {
+      throw new Error('checkin_constraints.allowed_subnets must be a list of CIDR blocks');
+    }
+    const cleaned = [];
+    for (const entry of subnets) {
+      if (typeof entry === 'string' && entry.trim() === '') continue;
+      const subnet = parseSubnet(entry);
+      if (!subnet) {
+        throw new Error(`checkin_constraints.allowed_subnets has an invalid CIDR block: ${entry}`);
+      }
+      const text = `${subnet.address}/${subnet.prefix}`;
+      if (!cleaned.includes(text)) cleaned.push(text);
+    }
+    if (cleaned.length > MAX_SUBNETS) {
+      throw new Error(`checkin_constraints.allowed_subnets can have at most ${MAX_SUBNETS} entries`);
+    }
+    if (cleaned.length > 0) {
+      normalized.allowed_subnets = cleaned;
+    }
+  }
+
+  const radius = parsed.geofence_radius_meters;
+  if (radius !== undefined && radius !== null && radius !== '') {
+    const meters = Number(radius);
+    if (!Number.isInteger(meters) || meters < MIN_GEOFENCE_RADIUS_METERS || meters > MAX_GEOFENCE_RADIUS_METERS) {
+      throw new Error(
+        `checkin_constraints.geofence_radius_meters must be an integer between ${MIN_GEOFENCE_RADIUS_METERS} and ${MAX_GEOFENCE_RADIUS_METERS}`
+      );
+    }
+    normalized.geofence_radius_meters = meters;
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Check whether an IP falls inside any of the allowed subnets
+ * @param {string} ip - Request IP
+ * @param {string[]} subnets - Normalized CIDR blocks
+ * @returns {boolean}
+ */
+export function isIpAllowed(ip, subnets) {
+  const address = normalizeClientIp(ip);
+  if (!address) return false;
+
+  const blockList = new BlockList();
+  for (const entry of subnets || []) {
+    const subnet = parseSubnet(entry);
+    if (subnet) {
+      blockList.addSubnet(subnet.address, subnet.prefix, subnet.type);
+    }
+  }
+  return blockList.check(address, isIP(address) === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Validate a browser-supplied location ({ latitude, longitude, accuracy? })
+ * @param {Object|null} location - Location from the check-in request
+ * @returns {{ latitude: number, longitude: number, accuracy: number|null }|null}
+ * @throws {Error} If the location is present but malformed
+ */
+export function normalizeLocation(location) {
+  if (location === null || location === undefined) return null;
+
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  if (
+    !Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+    !Number.isFinite(longitude) || longitude < -180 || longitude > 180
+  ) {
+    throw new Error('location must have a valid latitude and longitude');
+  }
+
+  const accuracy = Number(location.accuracy);
+  return {
+    latitude,
+    longitude,
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null
+  };
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @returns {number} Distance in meters
+ */
+export function distanceMeters(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Whether a geofence applies: the session has a radius and the offering has coordinates
+ * @param {Object|null} constraints - Normalized constraints
+ * @param {{ latitude: number|null, longitude: number|null }|null} venue - Offering location
+ * @returns {boolean}
+ */
+export function hasGeofence(constraints, venue) {
+  return Boolean(
+    constraints?.geofence_radius_meters &&
+    Number.isFinite(venue?.latitude) &&
+    Number.isFinite(venue?.longitude)
+  );
+}
+
+/**
+ * Evaluate a check-in against a session's constraints
+ * The reported GPS accuracy (capped at the radius) is allowed as slack so a student at
+ * the edge of the room is not flagged because of a noisy fix.
+ * @param {Object|null} constraints - Normalized constraints
+ * @param {Object} context - { ip, location, venue }
+ * @returns {{ reasons: string[], distance_meters: number|null }}
+ */
+export function evaluateCheckIn(constraints, { ip, location, venue } = {}) {
+  const reasons = [];
+  let distance = null;
+
+  if (constraints?.allowed_subnets?.length && !isIpAllowed(ip, constraints.allowed_subnets)) {
+    reasons.push(FLAG_REASONS.OUTSIDE_SUBNET);
+  }
+
+  if (hasGeofence(constraints, venue)) {
+    if (!location) {
+      reasons.push(FLAG_REASONS.LOCATION_UNAVAILABLE);
+    } else {
+      const radius = constraints.geofence_radius_meters;
+      distance = Math.round(distanceMeters(venue, location));
+      const slack = Math.min(location.accuracy ?? 0, radius);
+      if (distance - slack > radius) {
+        reasons.push(FLAG_REASONS.OUTSIDE_GEOFENCE);
+      }
+    }
+  }
+
+  return { reasons, distance_meters: distance };
+}
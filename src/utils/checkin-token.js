@@ -0,0 +1,121 @@
+// Rotating check-in tokens for QR code attendance
+//
+// A token is "<payload>.<signature>" (both base64url):
+//   payload   = session UUID (16 bytes) + rotation window number (uint32)
+//   signature = HMAC-SHA256(secret + session access code, payload), truncated to 16 bytes
+// The window number is floor(unix seconds / rotation seconds), so a token is only
+// accepted during its own window and the one after it (to allow for scan delay).
+// Keying the HMAC with the session's access code means regenerating the code
+// also invalidates every QR token issued before.
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_ROTATION_SECONDS = 30;
+export const MIN_ROTATION_SECONDS = 10;
+export const MAX_ROTATION_SECONDS = 300;
+
+const SIGNATURE_BYTES = 16;
+
+function getSecret() {
+  const secret = process.env.CHECKIN_TOKEN_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('CHECKIN_TOKEN_SECRET or SESSION_SECRET must be set to use QR check-in');
+  }
+  return secret;
+}
+
+function sign(payload, accessCode) {
+  return crypto
+    .createHmac('sha256', `${getSecret()}:${accessCode}`)
+    .update(payload)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES);
+}
+
+/**
+ * Resolve the rotation interval for a session
+ * @param {Object} session - Session row (qr_rotation_seconds may be null)
+ * @returns {number} Rotation interval in seconds
+ */
+export function getRotationSeconds(session) {
+  const configured = Number(session?.qr_rotation_seconds);
+  if (Number.isInteger(configured) && configured >= MIN_ROTATION_SECONDS && configured <= MAX_ROTATION_SECONDS) {
+    return configured;
+  }
+  return DEFAULT_ROTATION_SECONDS;
+}
+
+/**
+ * Check whether a credential looks like a rotating token rather than an access code
+ * @param {string} value - Credential submitted by the student
+ * @returns {boolean}
+ */
+export function isCheckInToken(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(value);
+}
+
+/**
+ * Create the token for the current rotation window
+ * @param {Object} session - Session row with id and access_code
+ * @param {Date} [now] - Current time
+ * @returns {{ token: string, expiresAt: Date, rotationSeconds: number }}
+ */
+export function createCheckInToken(session, now = new Date()) {
+  const rotationSeconds = getRotationSeconds(session);
+  const window = Math.floor(now.getTime() / 1000 / rotationSeconds);
+
+  const payload = Buffer.alloc(20);
+  Buffer.from(session.id.replace(/-/g, ''), 'hex').copy(payload, 0);
+  payload.writeUInt32BE(window, 16);
+
+  const signature = sign(payload, session.access_code);
+  return {
+    token: `${payload.toString('base64url')}.${signature.toString('base64url')}`,
+    expiresAt: new Date((window + 1) * rotationSeconds * 1000),
+    rotationSeconds
+  };
+}
+
+/**
+ * Read the session ID out of a token without verifying it
+ * @param {string} token - Rotating token
+ * @returns {{ sessionId: string, window: number }|null} Parsed payload, or null if malformed
+ */
+export function parseCheckInToken(token) {
+  if (!isCheckInToken(token)) return null;
+
+  const payload = Buffer.from(token.split('.')[0], 'base64url');
+  if (payload.length !== 20) return null;
+
+  const hex = payload.subarray(0, 16).toString('hex');
+  const sessionId = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  return { sessionId, window: payload.readUInt32BE(16) };
+}
+
+/**
+ * Verify a token against its session
+ * @param {string} token - Rotating token
+ * @param {Object} session - Session row with id, access_code and qr_rotation_seconds
+ * @param {Date} [now] - Current time
+ * @returns {{ valid: boolean, message?: string }}
+ */
+export function verifyCheckInToken(token, session, now = new Date()) {
+  const parsed = parseCheckInToken(token);
+  if (!parsed || parsed.sessionId !== session.id) {
+    return { valid: false, message: 'Invalid check-in code' };
+  }
+
+  const [payloadPart, signaturePart] = token.split('.');
+  const expected = sign(Buffer.from(payloadPart, 'base64url'), session.access_code);
+  const actual = Buffer.from(signaturePart, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, message: 'Invalid check-in code' };
+  }
+
+  const currentWindow = Math.floor(now.getTime() / 1000 / getRotationSeconds(session));
+  if (parsed.window !== currentWindow && parsed.window !== currentWindow - 1) {
+    return { valid: false, message: 'This QR code has expired. Scan the code currently on screen.' };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,225 @@
+// Class schedule helpers for generating recurring lecture series
+//
+// course_offerings.class_timings has been stored in a few shapes over time:
+//   { "lectures": [{ "day": "Monday", "start_time": "10:00", "end_time": "10:50" }], "office_hours": [] }
+//   [{ "days": ["Monday", "Wednesday"], "start_time": "10:00", "end_time": "10:50" }]
+//   { "days": ["Monday", "Wednesday"], "time": "10:30-11:20", "timezone": "PT" }
+//   { "monday": "10:00-11:00", "wednesday": "10:00-11:00" }
+// normalizeClassTimings() turns any of these into a flat list of weekly lecture slots.
+// Dates are handled as plain YYYY-MM-DD strings (UTC arithmetic) so the server's
+// local timezone never shifts a lecture onto the wrong day.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ALIASES = {
+  su: 0, sun: 0,
+  m: 1, mo: 1, mon: 1,
+  tu: 2, tue: 2, tues: 2,
+  w: 3, we: 3, wed: 3,
+  th: 4, thu: 4, thur: 4, thurs: 4,
+  f: 5, fr: 5, fri: 5,
+  sa: 6, sat: 6
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_SERIES_SESSIONS = 200;
+
+function parseWeekday(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 6) {
+    return value;
+  }
+  if (typeof value === 'object' && value !== null) {
+    return parseWeekday(value.name || value.day);
+  }
+  if (typeof value !== 'string') return null;
+
+  const key = value.trim().toLowerCase();
+  const index = WEEKDAYS.indexOf(key);
+  if (index !== -1) return index;
+  return WEEKDAY_ALIASES[key] ?? null;
+}
+
+/**
+ * Parse a clock time ("14:00", "14:00:00", "2:00pm", "2pm") into "HH:MM"
+ * @param {string} value - Time string
+ * @returns {string|null} Normalized 24-hour time, or null if unparseable
+ */
+export function parseClockTime(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(value.trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase().replace(/\./g, '');
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function parseTimeRange(range) {
+  if (typeof range !== 'string') return { start_time: null, end_time: null };
+  const [start, end] = range.split(/\s*[-–]\s*/);
+  return { start_time: parseClockTime(start), end_time: parseClockTime(end) };
+}
+
+function toSlots(entry) {
+  if (!entry || typeof entry !== 'object') return [];
+
+  let days = entry.days ?? entry.day ?? [];
+  if (!Array.isArray(days)) days = [days];
+
+  let start_time = parseClockTime(entry.start_time ?? entry.startTime);
+  let end_time = parseClockTime(entry.end_time ?? entry.endTime);
+  if (!start_time && entry.time) {
+    ({ start_time, end_time } = parseTimeRange(entry.time));
+  }
+  if (!start_time) return [];
+
+  return days
+    .map(parseWeekday)
+    .filter((weekday) => weekday !== null)
+    .map((weekday) => ({ weekday, start_time, end_time }));
+}
+
+/**
+ * Flatten course_offerings.class_timings into weekly lecture slots
+ * Office hours are ignored; only lectures are turned into sessions.
+ * @param {Object|Array|string|null} classTimings - Raw class_timings value
+ * @returns {Array<{ weekday: number, start_time: string, end_time: string|null }>}
+ *   Slots sorted by weekday then start time (weekday 0 = Sunday)
+ */
+export function normalizeClassTimings(classTimings) {
+  let timings = classTimings;
+  if (typeof timings === 'string') {
+    try {
+      timings = JSON.parse(timings);
+    } catch {
+      return [];
+    }
+  }
+  if (!timings || typeof timings !== 'object') return [];
+
+  let slots = [];
+  if (Array.isArray(timings)) {
+    slots = timings.flatMap(toSlots);
+  } else if (Array.isArray(timings.lectures)) {
+    slots = timings.lectures.flatMap(toSlots);
+  } else if (timings.days || timings.day) {
+    slots = toSlots(timings);
+  } else {
+    // Day-keyed map: { "monday": "10:00-11:00" }
+    for (const [day, range] of Object.entries(timings)) {
+      const weekday = parseWeekday(day);
+      const { start_time, end_time } = parseTimeRange(range);
+      if (weekday !== null && start_time) {
+        slots.push({ weekday, start_time, end_time });
+      }
+    }
+  }
+
+  const seen = new Set();
+  return slots
+    .filter((slot) => {
+      const key = `${slot.weekday}-${slot.start_time}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.weekday - b.weekday || a.start_time.localeCompare(b.start_time));
+}
+
+function parseDate(value, field) {
+  const str = value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? '').slice(0, 10);
+  if (!DATE_PATTERN.test(str) || Number.isNaN(Date.parse(`${str}T00:00:00Z`))) {
+    throw new Error(`${field} must be a date in YYYY-MM-DD format`);
+  }
+  return str;
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Expand a holiday / skip-date list into individual dates
+ * Entries are single dates ("2025-01-20") or inclusive ranges ("2025-03-24..2025-03-28").
+ * @param {Array<string>|string|null} skipDates - Raw skip dates (array, or comma/newline separated string)
+ * @returns {string[]} Sorted unique YYYY-MM-DD dates
+ * @throws {Error} If an entry is not a valid date or range
+ */
+export function normalizeSkipDates(skipDates) {
+  if (skipDates === null || skipDates === undefined || skipDates === '') return [];
+
+  const entries = Array.isArray(skipDates) ? skipDates : String(skipDates).split(/[\n,]+/);
+  const dates = new Set();
+
+  for (const raw of entries) {
+    const entry = String(raw ?? '').trim();
+    if (!entry) continue;
+
+    const [from, to] = entry.split(/\s*\.\.\s*/);
+    const start = parseDate(from, 'skip_dates');
+    const end = to ? parseDate(to, 'skip_dates') : start;
+    if (end < start) {
+      throw new Error(`skip_dates range ${entry} ends before it starts`);
+    }
+
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      dates.add(date);
+    }
+  }
+
+  return [...dates].sort();
+}
+
+/**
+ * Work out every lecture date between start_date and end_date
+ * @param {Object} options
+ * @param {string} options.start_date - First day of the term (YYYY-MM-DD)
+ * @param {string} options.end_date - Last day of the term (YYYY-MM-DD)
+ * @param {Array} options.slots - Weekly slots from normalizeClassTimings()
+ * @param {string[]} [options.skip_dates] - Dates from normalizeSkipDates()
+ * @returns {{ occurrences: Array<{ session_date: string, weekday: number, start_time: string, end_time: string|null }>, skipped: string[] }}
+ * @throws {Error} If the range is invalid or would produce too many sessions
+ */
+export function generateSeriesDates({ start_date, end_date, slots, skip_dates = [] }) {
+  const start = parseDate(start_date, 'start_date');
+  const end = parseDate(end_date, 'end_date');
+  if (end < start) {
+    throw new Error('end_date must be on or after start_date');
+  }
+  if (!slots || slots.length === 0) {
+    throw new Error('The course has no lecture times in class_timings');
+  }
+
+  const skip = new Set(skip_dates);
+  const occurrences = [];
+  const skipped = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    for (const slot of slots) {
+      if (slot.weekday !== weekday) continue;
+
+      if (skip.has(date)) {
+        if (!skipped.includes(date)) skipped.push(date);
+        continue;
+      }
+      occurrences.push({ session_date: date, weekday, start_time: slot.start_time, end_time: slot.end_time });
+      if (occurrences.length > MAX_SERIES_SESSIONS) {
+        throw new Error(`A series cannot have more than ${MAX_SERIES_SESSIONS} sessions`);
+      }
+    }
+  }
+
+  return { occurrences, skipped };
+}
@@ -0,0 +1,230 @@
+// Attendance gradebook helpers
+//
+// The participation formula is stored as JSONB on course_offerings.participation_formula:
+//   { "points_possible": 10, "weights": { "present": 1, "late": 0.5, "excused": null, "absent": 0 },
+//     "drop_lowest": 0 }
+// Each counted session earns the weight of the student's status (0-1). A null weight
+// leaves that status out of the average entirely (excused absences by default).
+// The score is points_possible × the average credit after dropping the lowest N sessions.
+// The full export also counts how each student attended (in person, remote, recording).
+
+import { stringify } from 'csv-stringify/sync';
+
+export const STATUS_CODES = Object.freeze({
+  present: 'P',
+  late: 'L',
+  excused: 'E',
+  absent: 'A'
+});
+
+export const MODALITY_COLUMNS = Object.freeze({
+  in_person: 'In Person',
+  remote: 'Remote',
+  recording: 'Recording'
+});
+
+export const DEFAULT_PARTICIPATION_FORMULA = Object.freeze({
+  points_possible: 100,
+  weights: Object.freeze({ present: 1, late: 0.5, excused: null, absent: 0 }),
+  drop_lowest: 0
+});
+
+// Canvas matches rows on these columns; everything after them is treated as an assignment
+export const CANVAS_IDENTITY_COLUMNS = ['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section'];
+export const PARTICIPATION_COLUMN = 'Attendance Participation';
+
+const MAX_POINTS_POSSIBLE = 1000;
+
+/**
+ * Validate and normalize a participation formula, filling in defaults
+ * @param {Object|string|null} formula - Raw formula (object or JSON string)
+ * @returns {Object} Complete formula
+ * @throws {Error} If the formula is malformed
+ */
+export function normalizeParticipationFormula(formula) {
+  if (formula === null || formula === undefined || formula === '') {
+    return structuredClone(DEFAULT_PARTICIPATION_FORMULA);
+  }
+
+  let parsed = formula;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      throw new Error('participation_formula must be valid JSON');
+    }
+  }
+
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('participation_formula must be an object');
+  }
+
+  const normalized = structuredClone(DEFAULT_PARTICIPATION_FORMULA);
+
+  if (parsed.points_possible !== undefined && parsed.points_possible !== null && parsed.points_possible !== '') {
+    const points = Number(parsed.points_possible);
+    if (!Number.isFinite(points) || points <= 0 || points > MAX_POINTS_POSSIBLE) {
+      throw new Error(`participation_formula.points_possible must be a number between 0 and ${MAX_POINTS_POSSIBLE}`);
+    }
+    normalized.points_possible = points;
+  }
+
+  if (parsed.weights !== undefined && parsed.weights !== null) {
+    if (typeof parsed.weights !== 'object' || Array.isArray(parsed.weights)) {
+      throw new Error('participation_formula.weights must be an object');
+    }
+    for (const status of Object.keys(STATUS_CODES)) {
+      if (!(status in parsed.weights)) continue;
+      const value = parsed.weights[status];
+      if (value === null || value === '') {
+        normalized.weights[status] = null;
+        continue;
+      }
+      const weight = Number(value);
+      if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+        throw new Error(`participation_formula.weights.${status} must be between 0 and 1, or null to exclude`);
+      }
+      normalized.weights[status] = weight;
+    }
+  }
+
+  if (parsed.drop_lowest !== undefined && parsed.drop_lowest !== null && parsed.drop_lowest !== '') {
+    const drop = Number(parsed.drop_lowest);
+    if (!Number.isInteger(drop) || drop < 0) {
+      throw new Error('participation_formula.drop_lowest must be a non-negative integer');
+    }
+    normalized.drop_lowest = drop;
+  }
+
+  return normalized;
+}
+
+/**
+ * Score one student's statuses with a participation formula
+ * @param {Array<string|null>} statuses - One status per session; null means not yet recorded
+ * @param {Object} formula - Normalized formula
+ * @returns {number|null} Score rounded to 2 decimals, or null when no session counts
+ */
+export function scoreParticipation(statuses, formula) {
+  const credits = statuses
+    .filter((status) => status && formula.weights[status] !== null && formula.weights[status] !== undefined)
+    .map((status) => formula.weights[status])
+    .sort((a, b) => a - b);
+
+  // Never drop every session
+  const dropped = credits.slice(Math.min(formula.drop_lowest, Math.max(credits.length - 1, 0)));
+  if (dropped.length === 0) return null;
+
+  const average = dropped.reduce((sum, credit) => sum + credit, 0) / dropped.length;
+  return Math.round(formula.points_possible * average * 100) / 100;
+}
+
+/**
+ * Percentage of recorded, non-excused sessions the student attended (present or late)
+ * @param {Array<string|null>} statuses - One status per session
+ * @returns {number|null} Percentage rounded to 1 decimal, or null with no recorded sessions
+ */
+export function attendancePercentage(statuses) {
+  const counted = statuses.filter((status) => status && status !== 'excused');
+  if (counted.length === 0) return null;
+  const attended = counted.filter((status) => status === 'present' || status === 'late').length;
+  return Math.round((attended / counted.length) * 1000) / 10;
+}
+
+/**
+ * Build the student × session matrix
+ * A student with no record in a closed session is absent; in a session that is
+ * still open the cell stays empty and the session does not count yet.
+ * @param {Object} data - { sessions, students, records } from AttendanceModel.getGradebookData
+ * @param {Object} formula - Normalized formula
+ * @returns {Array<Object>} One row per student with statuses, counts, modality counts, percentage and score
+ */
+export function buildGradebookMatrix({ sessions, students, records }, formula) {
+  const byStudent = new Map();
+  const modalities = new Map();
+  for (const record of records) {
+    if (!byStudent.has(record.user_id)) byStudent.set(record.user_id, new Map());
+    byStudent.get(record.user_id).set(record.session_id, record.status);
+    if (record.modality) {
+      if (!modalities.has(record.user_id)) modalities.set(record.user_id, []);
+      modalities.get(record.user_id).push(record.modality);
+    }
+  }
+
+  return students.map((student) => {
+    const studentRecords = byStudent.get(student.id) || new Map();
+    const statuses = sessions.map((session) => {
+      const status = studentRecords.get(session.id);
+      if (status) return status;
+      return session.attendance_closed_at ? 'absent' : null;
+    });
+
+    const counts = { present: 0, late: 0, excused: 0, absent: 0 };
+    for (const status of statuses) {
+      if (status) counts[status] += 1;
+    }
+
+    const modalityCounts = { in_person: 0, remote: 0, recording: 0 };
+    for (const modality of modalities.get(student.id) || []) {
+      modalityCounts[modality] += 1;
+    }
+
+    return {
+      ...student,
+      statuses,
+      counts,
+      modality_counts: modalityCounts,
+      attendance_percentage: attendancePercentage(statuses),
+      participation_score: scoreParticipation(statuses, formula)
+    };
+  });
+}
+
+/**
+ * Render the gradebook as CSV in Canvas gradebook import layout
+ * The first columns are Canvas's identity columns and the second row is "Points Possible".
+ * layout 'canvas' keeps only the participation score so the file can be imported as is;
+ * layout 'full' also adds one status-code column per session plus counts and percentage.
+ * @param {Object} gradebook - { offering, sessions, students, formula } from AttendanceService.getGradebook
+ * @param {Object} [options] - { layout: 'full' | 'canvas' }
+ * @returns {string} CSV text
+ */
+export function gradebookToCsv({ offering, sessions, students, formula }, { layout = 'full' } = {}) {
+  const full = layout !== 'canvas';
+  const sessionHeaders = full
+    ? sessions.map((session) => `${session.title || 'Session'} (${session.session_date})`)
+    : [];
+  const statHeaders = full
+    ? ['Present', 'Late', 'Excused', 'Absent', ...Object.values(MODALITY_COLUMNS), 'Attendance %']
+    : [];
+
+  const header = [...CANVAS_IDENTITY_COLUMNS, ...sessionHeaders, ...statHeaders, PARTICIPATION_COLUMN];
+  const pointsRow = [
+    'Points Possible', '', '', '', '',
+    ...sessionHeaders.map(() => ''),
+    ...statHeaders.map(() => ''),
+    formula.points_possible
+  ];
+
+  const rows = students.map((student) => [
+    student.name || '',
+    '',
+    student.ucsd_pid || '',
+    student.email || '',
+    offering.code || '',
+    ...(full ? student.statuses.map((status) => (status ? STATUS_CODES[status] : '')) : []),
+    ...(full
+      ? [
+          student.counts.present,
+          student.counts.late,
+          student.counts.excused,
+          student.counts.absent,
+          ...Object.keys(MODALITY_COLUMNS).map((modality) => student.modality_counts[modality]),
+          student.attendance_percentage ?? ''
+        ]
+      : []),
+    student.participation_score ?? ''
+  ]);
+
+  return stringify([header, pointsRow, ...rows]);
+}
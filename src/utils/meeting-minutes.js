@@ -0,0 +1,119 @@
+// Team meeting minutes helpers
+//
+// Minutes belong to one team meeting (a session with a team_id): an agenda, notes, decisions and
+// the action items raised there. An action item stays open until it is marked done, and every
+// later meeting of the team lists it under "carried forward" until then. The meeting an item was
+// closed at still shows it (as done), so each meeting's record reads the way it happened.
+
+import { isUuid } from './validation.js';
+import { formatSessionDate } from './session-reschedule.js';
+
+export const MAX_MINUTES_SECTION_LENGTH = 10000;
+export const MAX_ACTION_ITEM_LENGTH = 500;
+export const MAX_ACTION_ITEMS = 50;
+export const ACTION_ITEM_STATUSES = Object.freeze(['open', 'done']);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A sortable key for when a meeting starts, e.g. "2025-11-04 14:00"
+ * @param {string|Date} sessionDate - sessions.session_date
+ * @param {string|null} [sessionTime] - sessions.session_time
+ * @returns {string}
+ */
+export function meetingStartKey(sessionDate, sessionTime) {
+  return `${formatSessionDate(sessionDate)} ${(sessionTime || '00:00').slice(0, 5)}`;
+}
+
+/**
+ * Validate the free-text sections of a meeting's minutes
+ * @param {Object} input - { agenda?, notes?, decisions? }
+ * @returns {Object} { agenda, notes, decisions }, each trimmed or null when left empty
+ * @throws {Error} If a section is not text or is too long
+ */
+export function normalizeMinutes(input = {}) {
+  const minutes = {};
+  for (const section of ['agenda', 'notes', 'decisions']) {
+    const value = input[section];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw new Error(`${section} must be text`);
+    }
+    const text = (value || '').trim();
+    if (text.length > MAX_MINUTES_SECTION_LENGTH) {
+      throw new Error(`${section} must be at most ${MAX_MINUTES_SECTION_LENGTH} characters`);
+    }
+    minutes[section] = text || null;
+  }
+  return minutes;
+}
+
+/**
+ * Validate the action items raised at a meeting
+ * @param {Object[]} items - [{ id?, description, owner_id?, due_date?, status? }]
+ * @param {Object} context
+ * @param {string[]} context.memberIds - Current team members; owners must be one of them
+ * @returns {Object[]} [{ id, description, owner_id, due_date, status }] with id null for new items
+ * @throws {Error} If an item is invalid
+ */
+export function normalizeActionItems(items, { memberIds }) {
+  if (!Array.isArray(items)) {
+    throw new Error('action_items must be an array');
+  }
+  if (items.length > MAX_ACTION_ITEMS) {
+    throw new Error(`A meeting can have at most ${MAX_ACTION_ITEMS} action items`);
+  }
+
+  const members = new Set(memberIds);
+  return items.map((item) => {
+    const description = typeof item?.description === 'string' ? item.description.trim() : '';
+    if (!description) {
+      throw new Error('Each action item needs a description');
+    }
+    if (description.length > MAX_ACTION_ITEM_LENGTH) {
+      throw new Error(`Action items must be at most ${MAX_ACTION_ITEM_LENGTH} characters`);
+    }
+    if (item.id !== undefined && item.id !== null && !isUuid(item.id)) {
+      throw new Error('Invalid action item id');
+    }
+
+    const ownerId = item.owner_id || null;
+    if (ownerId && !members.has(ownerId)) {
+      throw new Error('Action item owners must be on the team');
+    }
+
+    const dueDate = item.due_date || null;
+    if (dueDate && (!DATE_PATTERN.test(dueDate) || Number.isNaN(Date.parse(dueDate)))) {
+      throw new Error('due_date must be a YYYY-MM-DD date');
+    }
+
+    const status = item.status || 'open';
+    if (!ACTION_ITEM_STATUSES.includes(status)) {
+      throw new Error('status must be open or done');
+    }
+
+    return { id: item.id || null, description, owner_id: ownerId, due_date: dueDate, status };
+  });
+}
+
+/**
+ * Pick the action items carried into a meeting's agenda
+ * Items raised at an earlier meeting are carried while still open, and into the meeting
+ * they were closed at so its record shows them done.
+ * @param {Object[]} items - The team's items with origin_session_date/_time and, once done,
+ *   completed_session_date/_time
+ * @param {Object} meeting - { id, session_date, session_time }
+ * @returns {Object[]} Carried items, oldest first
+ */
+export function carriedActionItems(items, meeting) {
+  const start = meetingStartKey(meeting.session_date, meeting.session_time);
+  const origin = (item) => meetingStartKey(item.origin_session_date, item.origin_session_time);
+
+  return items
+    .filter((item) => {
+      if (item.session_id === meeting.id || origin(item) >= start) return false;
+      if (item.status === 'open') return true;
+      if (!item.completed_session_date) return false;
+      return meetingStartKey(item.completed_session_date, item.completed_session_time) >= start;
+    })
+    .sort((a, b) => origin(a).localeCompare(origin(b)));
+}
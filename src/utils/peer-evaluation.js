@@ -0,0 +1,297 @@
+// Peer evaluation helpers
+//
+// A round's rubric is stored as JSONB on peer_evaluation_rounds.rubric:
+//   { "criteria": [{ "key": "contribution", "label": "Contributed a fair share of the work" }],
+//     "scale": { "min": 1, "max": 5 } }
+// Each team member rates every teammate and themselves on every criterion. A rating's score is
+// the mean of its criterion scores.
+//
+// A student's peer average leaves out their self-rating. Their contribution factor is the peer
+// average divided by the mean peer average of their team, so 1.0 is a typical share of the work
+// and 0.5 is half of it. Students are flagged when:
+//   - low_contribution / high_contribution: the factor is outside OUTLIER_THRESHOLDS
+//   - rated_low_by_all: every teammate who rated them (at least two) scored them below the
+//     average that teammate gave everyone else
+//   - self_inflated: their self-rating beats their peer average by self_gap of the scale
+
+import { stringify } from 'csv-stringify/sync';
+
+export const DEFAULT_RUBRIC = Object.freeze({
+  criteria: [
+    { key: 'contribution', label: 'Contributed a fair share of the work' },
+    { key: 'quality', label: 'Quality of work' },
+    { key: 'communication', label: 'Communicated clearly and kept the team informed' },
+    { key: 'reliability', label: 'Met deadlines and commitments' }
+  ],
+  scale: { min: 1, max: 5 }
+});
+
+export const OUTLIER_THRESHOLDS = Object.freeze({
+  low_factor: 0.8,
+  high_factor: 1.2,
+  self_gap: 0.25
+});
+
+// Fewer peer ratings than this would let a student work out who rated them
+export const MIN_RATERS_FOR_RESULTS = 2;
+
+const MAX_CRITERIA = 10;
+const MAX_LABEL_LENGTH = 200;
+const MAX_SCALE_POINTS = 11;
+const MAX_COMMENT_LENGTH = 2000;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+function toKey(label) {
+  return label.toLowerCase().replaceAll(/[^a-z0-9]+/g, '_').replaceAll(/^_+|_+$/g, '').slice(0, 40);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Validate a rubric, filling in the default criteria or scale when left out
+ * Criteria without a key get one made from their label.
+ * @param {Object} [rubric] - { criteria: [{ key?, label }], scale: { min, max } }
+ * @returns {Object} Normalized rubric
+ * @throws {Error} If a criterion or the scale is invalid
+ */
+export function normalizeRubric(rubric) {
+  if (rubric === undefined || rubric === null) {
+    return structuredClone(DEFAULT_RUBRIC);
+  }
+  if (typeof rubric !== 'object' || Array.isArray(rubric)) {
+    throw new Error('rubric must be an object');
+  }
+
+  const criteria = rubric.criteria ?? DEFAULT_RUBRIC.criteria;
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    throw new Error(`rubric needs between 1 and ${MAX_CRITERIA} criteria`);
+  }
+
+  const keys = new Set();
+  const normalizedCriteria = criteria.map((criterion, index) => {
+    const label = String(criterion?.label ?? '').trim();
+    if (!label) {
+      throw new Error(`criteria[${index}] needs a label`);
+    }
+    if (label.length > MAX_LABEL_LENGTH) {
+      throw new Error(`criteria[${index}] label must be at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    const key = criterion.key ? String(criterion.key) : toKey(label);
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`criteria[${index}] key must be lowercase letters, digits and underscores`);
+    }
+    if (keys.has(key)) {
+      throw new Error(`criteria[${index}] repeats the key "${key}"`);
+    }
+    keys.add(key);
+    return { key, label };
+  });
+
+  const scale = rubric.scale ?? DEFAULT_RUBRIC.scale;
+  const min = Number(scale?.min);
+  const max = Number(scale?.max);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max <= min || max - min + 1 > MAX_SCALE_POINTS) {
+    throw new Error(`scale must be whole numbers from min to max, with max above min and at most ${MAX_SCALE_POINTS} points`);
+  }
+
+  return { criteria: normalizedCriteria, scale: { min, max } };
+}
+
+/**
+ * Validate one evaluator's ratings of their team
+ * Every current team member, the evaluator included, must be rated exactly once.
+ * @param {Object[]} ratings - [{ evaluatee_id, scores: { criterion_key: score }, comment? }]
+ * @param {Object} context - { rubric, memberIds }
+ * @returns {Object[]} [{ evaluatee_id, scores, comment }]
+ * @throws {Error} If a teammate is missing or a score is out of range
+ */
+export function normalizeRatings(ratings, { rubric, memberIds }) {
+  if (!Array.isArray(ratings)) {
+    throw new Error('ratings must be a list');
+  }
+
+  const members = new Set(memberIds);
+  const rated = new Set();
+  const { min, max } = rubric.scale;
+
+  const normalized = ratings.map((rating, index) => {
+    const evaluateeId = rating?.evaluatee_id;
+    if (!members.has(evaluateeId)) {
+      throw new Error(`ratings[${index}] is for someone who is not on your team`);
+    }
+    if (rated.has(evaluateeId)) {
+      throw new Error(`ratings[${index}] rates the same teammate twice`);
+    }
+    rated.add(evaluateeId);
+
+    const scores = {};
+    for (const { key, label } of rubric.criteria) {
+      const score = Number(rating.scores?.[key]);
+      if (rating.scores?.[key] === undefined || rating.scores?.[key] === null || !Number.isInteger(score) || score < min || score > max) {
+        throw new Error(`ratings[${index}] needs a score from ${min} to ${max} for "${label}"`);
+      }
+      scores[key] = score;
+    }
+
+    const comment = rating.comment ? String(rating.comment).trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      throw new Error(`ratings[${index}] comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    return { evaluatee_id: evaluateeId, scores, comment: comment || null };
+  });
+
+  if (rated.size !== members.size) {
+    throw new Error('Rate every member of your team, yourself included');
+  }
+  return normalized;
+}
+
+/**
+ * Mean of a rating's criterion scores
+ * @param {Object} scores - { criterion_key: score }
+ * @param {Object} rubric - Normalized rubric
+ * @returns {number|null}
+ */
+export function ratingScore(scores, rubric) {
+  const values = rubric.criteria
+    .map(({ key }) => scores?.[key])
+    .filter((value) => typeof value === 'number');
+  return mean(values);
+}
+
+/**
+ * Whether a round is upcoming, open or closed
+ * @param {Object} round - { opens_at, closes_at }
+ * @param {Date} [now]
+ * @returns {'upcoming'|'open'|'closed'}
+ */
+export function roundStatus(round, now = new Date()) {
+  if (now < new Date(round.opens_at)) return 'upcoming';
+  if (now >= new Date(round.closes_at)) return 'closed';
+  return 'open';
+}
+
+/**
+ * Compute every student's peer average, contribution factor and flags for a round
+ * Ratings by or of someone no longer on the team are left out.
+ * @param {Object} data
+ * @param {Object} data.rubric - Normalized rubric
+ * @param {Object[]} data.teams - [{ team_id, member_ids }]
+ * @param {Object[]} data.evaluations - [{ team_id, evaluator_id, evaluatee_id, scores }]
+ * @param {Object} [thresholds] - Overrides for OUTLIER_THRESHOLDS
+ * @returns {Object} { teams: [{ team_id, member_count, submitted_count, peer_mean }],
+ *   students: [{ user_id, team_id, submitted, ratings_received, peer_average, criteria_averages,
+ *   self_score, contribution_factor, flags }] }
+ */
+export function summarizeRound({ rubric, teams, evaluations }, thresholds = {}) {
+  const limits = { ...OUTLIER_THRESHOLDS, ...thresholds };
+  const scaleRange = rubric.scale.max - rubric.scale.min;
+  const students = [];
+  const teamSummaries = [];
+
+  for (const team of teams) {
+    const members = new Set(team.member_ids);
+    const ratings = evaluations.filter((evaluation) => evaluation.team_id === team.team_id
+      && members.has(evaluation.evaluator_id)
+      && members.has(evaluation.evaluatee_id));
+
+    const teamStudents = team.member_ids.map((userId) => {
+      const received = ratings.filter((rating) => rating.evaluatee_id === userId && rating.evaluator_id !== userId);
+      const self = ratings.find((rating) => rating.evaluatee_id === userId && rating.evaluator_id === userId);
+      const scores = received.map((rating) => ratingScore(rating.scores, rubric));
+
+      const criteriaAverages = {};
+      for (const { key } of rubric.criteria) {
+        const average = mean(received.map((rating) => rating.scores?.[key]).filter((value) => typeof value === 'number'));
+        criteriaAverages[key] = average === null ? null : round2(average);
+      }
+
+      // Each rater scored this student below the average they gave the rest of the team
+      const ratedLowByAll = received.length >= 2 && received.every((rating) => {
+        const others = ratings.filter((other) => other.evaluator_id === rating.evaluator_id
+          && other.evaluatee_id !== rating.evaluator_id
+          && other.evaluatee_id !== userId);
+        if (!others.length) return false;
+        return ratingScore(rating.scores, rubric) < mean(others.map((other) => ratingScore(other.scores, rubric)));
+      });
+
+      return {
+        user_id: userId,
+        team_id: team.team_id,
+        submitted: ratings.some((rating) => rating.evaluator_id === userId),
+        ratings_received: received.length,
+        peer_average: scores.length ? mean(scores) : null,
+        criteria_averages: criteriaAverages,
+        self_score: self ? ratingScore(self.scores, rubric) : null,
+        flags: ratedLowByAll ? ['rated_low_by_all'] : []
+      };
+    });
+
+    const averages = teamStudents.map((student) => student.peer_average).filter((value) => value !== null);
+    const peerMean = mean(averages);
+
+    for (const student of teamStudents) {
+      const factor = student.peer_average !== null && peerMean ? student.peer_average / peerMean : null;
+      const flags = [];
+      if (factor !== null && factor < limits.low_factor) flags.push('low_contribution');
+      if (factor !== null && factor > limits.high_factor) flags.push('high_contribution');
+      flags.push(...student.flags);
+      if (student.self_score !== null && student.peer_average !== null
+        && student.self_score - student.peer_average >= limits.self_gap * scaleRange) {
+        flags.push('self_inflated');
+      }
+
+      students.push({
+        ...student,
+        peer_average: student.peer_average === null ? null : round2(student.peer_average),
+        self_score: student.self_score === null ? null : round2(student.self_score),
+        contribution_factor: factor === null ? null : round2(factor),
+        flags
+      });
+    }
+
+    teamSummaries.push({
+      team_id: team.team_id,
+      member_count: team.member_ids.length,
+      submitted_count: teamStudents.filter((student) => student.submitted).length,
+      peer_mean: peerMean === null ? null : round2(peerMean)
+    });
+  }
+
+  return { teams: teamSummaries, students };
+}
+
+/**
+ * Build the CSV export of a round's results, one row per student
+ * @param {Object} results - { rubric, students } where each student also has name, email and team_name
+ * @returns {string} CSV text
+ */
+export function peerEvaluationsToCsv({ rubric, students }) {
+  const header = [
+    'Student', 'Email', 'Team', 'Submitted', 'Ratings Received', 'Peer Average',
+    ...rubric.criteria.map(({ label }) => label),
+    'Self Score', 'Contribution Factor', 'Flags'
+  ];
+
+  const rows = students.map((student) => [
+    student.name || '',
+    student.email || '',
+    student.team_name || '',
+    student.submitted ? 'Yes' : 'No',
+    student.ratings_received,
+    student.peer_average ?? '',
+    ...rubric.criteria.map(({ key }) => student.criteria_averages[key] ?? ''),
+    student.self_score ?? '',
+    student.contribution_factor ?? '',
+    student.flags.join('; ')
+  ]);
+
+  return stringify([header, ...rows]);
+}
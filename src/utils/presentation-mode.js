@@ -0,0 +1,61 @@
+// Presentation mode helpers
+//
+// In presentation mode (see 53-add-presentation-mode.sql) the instructor puts one question on
+// screen at a time. Students only see the presented question, and a question only takes
+// responses while it is open: opened_at is set and closed_at is NULL. Outside presentation
+// mode every question is visible and open, as before.
+
+/**
+ * Whether the instructor has the question open
+ * @param {Object} question - { opened_at, closed_at }
+ * @returns {boolean}
+ */
+export function isQuestionOpen(question) {
+  return Boolean(question?.opened_at) && !question.closed_at;
+}
+
+/**
+ * Whether a question takes responses right now
+ * @param {Object} session - { presentation_mode }
+ * @param {Object} question - { opened_at, closed_at }
+ * @returns {boolean}
+ */
+export function acceptsResponses(session, question) {
+  return !session?.presentation_mode || isQuestionOpen(question);
+}
+
+/**
+ * The questions a student may see
+ * @param {Object} session - { presentation_mode, presented_question_id }
+ * @param {Object[]} questions - The session's questions
+ * @returns {Object[]} Every question, or only the presented one in presentation mode
+ */
+export function visibleQuestions(session, questions) {
+  if (!session?.presentation_mode) return questions;
+  return questions.filter((question) => question.id === session.presented_question_id);
+}
+
+/**
+ * Find the question to present
+ * @param {Object[]} questions - The session's questions in order
+ * @param {Object} target - { position } (1 is the first question) or { question_id }
+ * @returns {Object} The question, with position set
+ * @throws {Error} If neither is given or it doesn't match a question
+ */
+export function findPresentedQuestion(questions, { position, question_id } = {}) {
+  if (question_id) {
+    const index = questions.findIndex((question) => question.id === question_id);
+    if (index === -1) {
+      throw new Error('Question not found');
+    }
+    return { ...questions[index], position: index + 1 };
+  }
+
+  const number = Number(position);
+  if (!Number.isInteger(number) || number < 1 || number > questions.length) {
+    throw new Error(questions.length > 0
+      ? `position must be between 1 and ${questions.length}`
+      : 'This session has no questions');
+  }
+  return { ...questions[number - 1], position: number };
+}
@@ -0,0 +1,173 @@
+// Pulse analytics helpers
+//
+// Pulse checks use the emoji scale from the lecture form: very_happy, neutral, angry, with the
+// first option the most positive. Each answer scores 100, 50 or 0, so an average reads as a
+// 0-100 pulse score. A student is flagged when their latest lecture scores well below their
+// average over the lectures before it. Answers to anonymous questions count towards the course
+// and lecture results only, never a team's or a student's.
+
+export const PULSE_LEVELS = Object.freeze([
+  { emoji: 'very_happy', score: 100 },
+  { emoji: 'neutral', score: 50 },
+  { emoji: 'angry', score: 0 }
+]);
+
+export const DEFAULT_DROP_THRESHOLD = 40;
+// Lectures before the latest one that make up a student's baseline
+const BASELINE_SESSIONS = 3;
+
+const round = (value) => Math.round(value * 10) / 10;
+const average = (values) => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+/**
+ * Place an answer on the emoji scale
+ * Questions saved with a different number of options are spread over the same three levels.
+ * @param {string[]} options - The question's options, most positive first
+ * @param {string} answer - The chosen option
+ * @returns {number|null} Index into PULSE_LEVELS, or null if the answer isn't an option
+ */
+export function pulseLevel(options, answer) {
+  const index = (options || []).indexOf(answer);
+  if (index === -1) return null;
+  if (options.length === 1) return 0;
+  return Math.round((index * (PULSE_LEVELS.length - 1)) / (options.length - 1));
+}
+
+/**
+ * Summarize scored answers
+ * @param {Object[]} entries - { level }
+ * @returns {Object} { response_count, average_score, levels: [{ emoji, count, percent }] }
+ */
+export function summarizePulse(entries) {
+  const counts = PULSE_LEVELS.map(() => 0);
+  for (const entry of entries) counts[entry.level]++;
+
+  return {
+    response_count: entries.length,
+    average_score: average(entries.map((entry) => PULSE_LEVELS[entry.level].score)),
+    levels: PULSE_LEVELS.map((level, index) => ({
+      emoji: level.emoji,
+      count: counts[index],
+      percent: entries.length ? Math.round((counts[index] / entries.length) * 100) : 0
+    }))
+  };
+}
+
+/**
+ * Compare two lectures' results
+ * @param {Object} from - Lecture summary from buildPulseAnalytics
+ * @param {Object} to - Lecture summary to compare it with
+ * @returns {Object} { from_session_id, to_session_id, score_change, levels: [{ emoji, from_percent, to_percent, change }] }
+ */
+export function comparePulseSessions(from, to) {
+  return {
+    from_session_id: from.session_id,
+    to_session_id: to.session_id,
+    score_change: from.average_score === null || to.average_score === null
+      ? null
+      : round(to.average_score - from.average_score),
+    levels: PULSE_LEVELS.map((level, index) => ({
+      emoji: level.emoji,
+      from_percent: from.levels[index].percent,
+      to_percent: to.levels[index].percent,
+      change: to.levels[index].percent - from.levels[index].percent
+    }))
+  };
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const value = item[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Per-lecture scores for one student, oldest first
+ * A lecture with several pulse questions scores the average of them.
+ */
+function studentTrend(sessions, entries) {
+  const bySession = groupBy(entries, 'session_id');
+  return sessions
+    .filter((session) => bySession.has(session.id))
+    .map((session) => ({
+      session_id: session.id,
+      score: average(bySession.get(session.id).map((entry) => PULSE_LEVELS[entry.level].score))
+    }));
+}
+
+/**
+ * Build term-long pulse analytics for a course
+ * @param {Object} data - { sessions: lectures in order, responses: pulse answers with question options,
+ *   is_anonymous, user_id, user_name, team_id and team_name }
+ * @param {Object} [options] - { dropThreshold: score points that count as a sharp drop }
+ * @returns {Object} { overall, sessions, teams, students, flagged }
+ */
+export function buildPulseAnalytics(data, options = {}) {
+  const dropThreshold = options.dropThreshold ?? DEFAULT_DROP_THRESHOLD;
+
+  const entries = [];
+  for (const response of data.responses) {
+    const level = pulseLevel(response.options, response.response_option);
+    if (level !== null) entries.push({ ...response, level });
+  }
+  const named = entries.filter((entry) => !entry.is_anonymous);
+
+  const bySession = groupBy(entries, 'session_id');
+  const sessions = data.sessions.map((session) => ({
+    session_id: session.id,
+    title: session.title,
+    session_date: session.session_date,
+    ...summarizePulse(bySession.get(session.id) || [])
+  }));
+
+  const teams = [];
+  for (const [teamId, teamEntries] of groupBy(named.filter((entry) => entry.team_id), 'team_id')) {
+    const teamSessions = groupBy(teamEntries, 'session_id');
+    teams.push({
+      team_id: teamId,
+      team_name: teamEntries[0].team_name,
+      ...summarizePulse(teamEntries),
+      sessions: data.sessions
+        .filter((session) => teamSessions.has(session.id))
+        .map((session) => {
+          const { response_count, average_score } = summarizePulse(teamSessions.get(session.id));
+          return { session_id: session.id, response_count, average_score };
+        })
+    });
+  }
+  teams.sort((a, b) => a.team_name.localeCompare(b.team_name));
+
+  const students = [];
+  for (const [userId, studentEntries] of groupBy(named, 'user_id')) {
+    const trend = studentTrend(data.sessions, studentEntries);
+    const latest = trend.at(-1);
+    const baseline = average(trend.slice(-1 - BASELINE_SESSIONS, -1).map((point) => point.score));
+    const drop = baseline === null ? null : round(baseline - latest.score);
+
+    students.push({
+      user_id: userId,
+      name: studentEntries[0].user_name,
+      team_name: studentEntries[0].team_name || null,
+      ...summarizePulse(studentEntries),
+      trend,
+      latest_score: latest.score,
+      baseline_score: baseline,
+      drop,
+      flagged: drop !== null && drop >= dropThreshold
+    });
+  }
+  students.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  return {
+    drop_threshold: dropThreshold,
+    overall: summarizePulse(entries),
+    sessions,
+    teams,
+    students,
+    flagged: students.filter((student) => student.flagged).sort((a, b) => b.drop - a.drop)
+  };
+}
@@ -0,0 +1,50 @@
+// QR code rendering for check-in links
+//
+// Used to render check-in QR codes as SVG on the server without calling an
+// external service. Encoding is done by the qrcode package at error correction
+// level M; this module only turns its module matrix into a compact SVG.
+
+import QRCode from 'qrcode';
+
+const ERROR_CORRECTION_LEVEL = 'M';
+
+/**
+ * Encode text into a QR code module matrix
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {boolean[][]} Square matrix, true = dark module (rows first)
+ * @throws {Error} If the text is too long for a QR code
+ */
+export function encodeQr(text) {
+  const { modules } = QRCode.create(String(text), { errorCorrectionLevel: ERROR_CORRECTION_LEVEL });
+  return Array.from({ length: modules.size }, (_, y) =>
+    Array.from({ length: modules.size }, (_, x) => Boolean(modules.get(y, x)))
+  );
+}
+
+/**
+ * Render text as a QR code SVG document
+ * @param {string} text - Text to encode
+ * @param {Object} [options] - { margin: quiet zone in modules (default 4), scale: px per module (default 8) }
+ * @returns {string} SVG markup
+ */
+export function renderQrSvg(text, options = {}) {
+  const { margin = 4, scale = 8 } = options;
+  const modules = encodeQr(text);
+  const size = modules.length;
+  const dimension = size + margin * 2;
+
+  // One path for all dark modules keeps the SVG small
+  const parts = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) {
+        parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" ` +
+    `width="${dimension * scale}" height="${dimension * scale}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>` +
+    `<path d="${parts.join('')}" fill="#000000"/></svg>`;
+}
@@ -0,0 +1,142 @@
+// Question bank and lecture template helpers
+//
+// Bank questions and template questions share one shape (see 52-create-question-bank.sql):
+//   { question_text, question_type, options, is_required, correct_answers, points, is_anonymous }
+// reveal_results is left out: revealing answers is a decision for each session that uses the question.
+
+import { normalizeQuestionConfig } from './question-types.js';
+import { normalizeQuizSettings, DEFAULT_POINTS } from './quiz-scoring.js';
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+export const MAX_TEMPLATE_QUESTIONS = 50;
+export const MAX_NAME_LENGTH = 120;
+
+/**
+ * Normalize tags: trimmed, lower case, single dashes for spaces, no duplicates
+ * Accepts an array or a comma-separated string.
+ * @param {Array|string|null|undefined} tags
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === '') return [];
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) {
+    throw new Error('tags must be a list');
+  }
+
+  const normalized = [...new Set(list
+    .map((tag) => String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-'))
+    .filter(Boolean))];
+
+  const tooLong = normalized.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw new Error(`Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+  if (normalized.length > MAX_TAGS) {
+    throw new Error(`A question can have at most ${MAX_TAGS} tags`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate a question for the bank or a template
+ * @param {Object} question - Session question, bank item or raw input
+ * @returns {Object} { question_text, question_type, options, is_required, correct_answers, points, is_anonymous }
+ * @throws {Error} If the text, type, options or quiz settings are invalid
+ */
+export function normalizeBankQuestion(question) {
+  const questionText = String(question?.question_text ?? '').trim();
+  if (!questionText) {
+    throw new Error('question_text is required');
+  }
+
+  const { question_type, options } = normalizeQuestionConfig({
+    question_type: question.question_type ?? 'text',
+    options: question.options
+  });
+  const quiz = normalizeQuizSettings({
+    question_type,
+    options,
+    correct_answers: question.correct_answers ?? null,
+    points: question.points ?? DEFAULT_POINTS,
+    is_anonymous: question.is_anonymous ?? false
+  });
+
+  return {
+    question_text: questionText,
+    question_type,
+    options,
+    is_required: question.is_required === true || question.is_required === 'true',
+    correct_answers: quiz.correct_answers,
+    points: quiz.points,
+    is_anonymous: quiz.is_anonymous
+  };
+}
+
+/**
+ * Build a lecture template's title for one use
+ * {n} is the use number (1 for the first session made from the template) and {date} the session date.
+ * @param {string} pattern - Title pattern, e.g. "Week {n} lecture"
+ * @param {Object} values - { n, date }
+ * @returns {string}
+ */
+export function renderTitlePattern(pattern, { n, date }) {
+  return pattern
+    .replace(/\{n\}/g, String(n))
+    .replace(/\{date\}/g, date || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Validate a lecture template
+ * Only the fields present on the input are returned, so it works for partial updates.
+ * @param {Object} template - { name?, title_pattern?, description?, questions? }
+ * @returns {Object} Normalized fields
+ */
+export function normalizeTemplate(template) {
+  const normalized = {};
+
+  if (template.name !== undefined) {
+    const name = String(template.name ?? '').trim();
+    if (!name) {
+      throw new Error('name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    normalized.name = name;
+  }
+
+  if (template.title_pattern !== undefined) {
+    const titlePattern = String(template.title_pattern ?? '').trim();
+    if (!titlePattern) {
+      throw new Error('title_pattern is required');
+    }
+    normalized.title_pattern = titlePattern;
+  }
+
+  if (template.description !== undefined) {
+    normalized.description = String(template.description ?? '').trim() || null;
+  }
+
+  if (template.questions !== undefined) {
+    const questions = template.questions ?? [];
+    if (!Array.isArray(questions)) {
+      throw new Error('questions must be an array');
+    }
+    if (questions.length > MAX_TEMPLATE_QUESTIONS) {
+      throw new Error(`A template can have at most ${MAX_TEMPLATE_QUESTIONS} questions`);
+    }
+    normalized.questions = questions.map((question, index) => {
+      try {
+        return normalizeBankQuestion(question);
+      } catch (error) {
+        throw new Error(`questions[${index}]: ${error.message}`);
+      }
+    });
+  }
+
+  return normalized;
+}
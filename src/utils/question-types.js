@@ -0,0 +1,361 @@
+// Session question type helpers
+//
+// question_type values (the lecture form stores the short aliases mcq and pulse):
+//   text, multiple_choice (mcq), pulse_check (pulse)   answer in response_text / response_option
+//   multi_select   options ["A", "B", "C"]              response_values ["A", "C"]
+//   ranking        options ["A", "B", "C"]              response_values ["B", "A", "C"] (every option, best first)
+//   numeric        options null or {"min": 0, "max": 10} response_number 7
+//   word_cloud     options null                         response_text "short phrase"
+// response_text always keeps a readable copy of structured answers (see 51-add-question-types.sql).
+
+export const QUESTION_TYPES = [
+  'text', 'multiple_choice', 'pulse_check', 'multi_select', 'ranking', 'numeric', 'word_cloud'
+];
+const TYPE_ALIASES = { mcq: 'multiple_choice', pulse: 'pulse_check' };
+const OPTION_LIST_TYPES = new Set(['multi_select', 'ranking']);
+
+export const MAX_OPTIONS = 20;
+export const WORD_CLOUD_MAX_WORDS = 3;
+export const WORD_CLOUD_MAX_LENGTH = 60;
+export const WORD_CLOUD_TOP_PHRASES = 50;
+export const HISTOGRAM_BINS = 10;
+
+/**
+ * Resolve the short aliases the lecture form stores
+ * @param {string} type - question_type as stored
+ * @returns {string|null} Canonical type, or null if unknown
+ */
+export function canonicalQuestionType(type) {
+  const canonical = TYPE_ALIASES[type] || type;
+  return QUESTION_TYPES.includes(canonical) ? canonical : null;
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function optionList(question) {
+  const options = parseJson(question.options);
+  return Array.isArray(options) ? options : [];
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Validate a question's type and options
+ * Types that existed before multi-select and ranking keep their old lenient handling of options.
+ * @param {Object} question - { question_type, options? }
+ * @returns {Object} { question_type, options } with options normalized for the type
+ * @throws {Error} If the type is unknown or the options don't fit it
+ */
+export function normalizeQuestionConfig(question) {
+  const type = canonicalQuestionType(question.question_type);
+  if (!type) {
+    throw new Error(`question_type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+
+  let options = parseJson(question.options);
+  if (options === undefined || options === '') options = null;
+
+  if (OPTION_LIST_TYPES.has(type)) {
+    if (!Array.isArray(options)) {
+      throw new Error(`${type} questions need a list of options`);
+    }
+    options = options.map((option) => (typeof option === 'string' ? option.trim() : option));
+    if (options.some((option) => typeof option !== 'string' || option === '')) {
+      throw new Error('Options must be non-empty text');
+    }
+    if (new Set(options).size !== options.length) {
+      throw new Error('Options must be unique');
+    }
+    if (options.length < 2 || options.length > MAX_OPTIONS) {
+      throw new Error(`${type} questions need between 2 and ${MAX_OPTIONS} options`);
+    }
+  } else if (type === 'numeric') {
+    // The lecture form sends an empty list when no range is set
+    if (Array.isArray(options) && options.length === 0) options = null;
+    if (options !== null) {
+      if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Numeric question options must be { min?, max? }');
+      }
+      const range = {};
+      for (const key of ['min', 'max']) {
+        if (options[key] === undefined || options[key] === null || options[key] === '') continue;
+        const bound = Number(options[key]);
+        if (!Number.isFinite(bound)) {
+          throw new Error(`Numeric question ${key} must be a number`);
+        }
+        range[key] = bound;
+      }
+      if (range.min !== undefined && range.max !== undefined && range.min >= range.max) {
+        throw new Error('Numeric question min must be less than max');
+      }
+      options = Object.keys(range).length > 0 ? range : null;
+    }
+  } else if (type === 'word_cloud' || type === 'text') {
+    options = null;
+  }
+
+  return { question_type: question.question_type, options };
+}
+
+function parseValues(response) {
+  let values = parseJson(response.response_values);
+  if (values === undefined || values === null) {
+    // Older clients send a single answer in response_option / response_text
+    const single = response.response_option ?? response.response_text;
+    values = parseJson(single);
+    if (typeof values === 'string') {
+      values = values.split(',').map((value) => value.trim()).filter(Boolean);
+    }
+  }
+  if (!Array.isArray(values) || values.some((value) => typeof value !== 'string')) {
+    throw new Error('response_values must be a list of options');
+  }
+  return values.map((value) => value.trim());
+}
+
+/**
+ * Normalize a phrase for the word cloud: lower case, single spaces, no surrounding punctuation
+ */
+export function normalizePhrase(text) {
+  return String(text ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * Validate a response against its question and fill in the stored columns
+ * @param {Object} question - Question row (question_type, options)
+ * @param {Object} response - { response_text?, response_option?, response_values?, response_number? }
+ * @returns {Object} { response_text, response_option, response_values, response_number }
+ * @throws {Error} If the answer doesn't fit the question
+ */
+export function normalizeResponseValue(question, response) {
+  const type = canonicalQuestionType(question.question_type);
+  const base = {
+    response_text: response.response_text ?? null,
+    response_option: response.response_option ?? null,
+    response_values: null,
+    response_number: null
+  };
+
+  if (type === 'multi_select') {
+    const options = optionList(question);
+    const values = [...new Set(parseValues(response))];
+    if (values.length === 0) {
+      throw new Error('Select at least one option');
+    }
+    const unknown = values.find((value) => !options.includes(value));
+    if (unknown !== undefined) {
+      throw new Error(`"${unknown}" is not one of the options`);
+    }
+    // Keep the question's option order so equal answers compare equal
+    const ordered = options.filter((option) => values.includes(option));
+    return { ...base, response_text: ordered.join(', '), response_option: null, response_values: ordered };
+  }
+
+  if (type === 'ranking') {
+    const options = optionList(question);
+    const values = parseValues(response);
+    const isPermutation = values.length === options.length
+      && new Set(values).size === values.length
+      && values.every((value) => options.includes(value));
+    if (!isPermutation) {
+      throw new Error('Rank every option exactly once');
+    }
+    return { ...base, response_text: values.join(' > '), response_option: null, response_values: values };
+  }
+
+  if (type === 'numeric') {
+    const raw = response.response_number ?? response.response_text ?? response.response_option;
+    const value = typeof raw === 'string' ? Number(raw.trim()) : Number(raw);
+    if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '') || !Number.isFinite(value)) {
+      throw new Error('Enter a number');
+    }
+    const range = parseJson(question.options) || {};
+    if (range.min !== undefined && value < range.min) {
+      throw new Error(`Enter a number no less than ${range.min}`);
+    }
+    if (range.max !== undefined && value > range.max) {
+      throw new Error(`Enter a number no greater than ${range.max}`);
+    }
+    return { ...base, response_text: String(value), response_option: null, response_number: value };
+  }
+
+  if (type === 'word_cloud') {
+    const phrase = String(response.response_text ?? response.response_option ?? '').trim().replace(/\s+/g, ' ');
+    if (!phrase) {
+      throw new Error('Enter a word or short phrase');
+    }
+    if (phrase.length > WORD_CLOUD_MAX_LENGTH || phrase.split(' ').length > WORD_CLOUD_MAX_WORDS) {
+      throw new Error(`Enter at most ${WORD_CLOUD_MAX_WORDS} words (${WORD_CLOUD_MAX_LENGTH} characters)`);
+    }
+    return { ...base, response_text: phrase, response_option: null };
+  }
+
+  return base;
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Bucket numeric answers
+ * Whole-number answers spanning fewer than 2 × HISTOGRAM_BINS values get one bar per value
+ * (so 0–10 rating scales chart naturally); otherwise the range
+ * (the question's min/max when set) is split into HISTOGRAM_BINS equal bins.
+ */
+export function buildHistogram(values, range = {}) {
+  if (values.length === 0) return [];
+
+  const low = Math.min(range.min ?? Infinity, ...values);
+  const high = Math.max(range.max ?? -Infinity, ...values);
+
+  if (low === high) {
+    return [{ from: low, to: high, count: values.length }];
+  }
+
+  if (values.every(Number.isInteger) && Number.isInteger(low) && Number.isInteger(high) && high - low < HISTOGRAM_BINS * 2) {
+    const bins = [];
+    for (let value = low; value <= high; value++) {
+      bins.push({ from: value, to: value, count: values.filter((v) => v === value).length });
+    }
+    return bins;
+  }
+
+  const width = (high - low) / HISTOGRAM_BINS;
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, index) => ({
+    from: round(low + index * width),
+    to: round(low + (index + 1) * width),
+    count: 0
+  }));
+  for (const value of values) {
+    // The top edge belongs to the last bin
+    const index = Math.min(Math.floor((value - low) / width), HISTOGRAM_BINS - 1);
+    bins[index].count++;
+  }
+  return bins;
+}
+
+/**
+ * Aggregate a question's responses for statistics, the lecture detail charts and the projector
+ * @param {Object} question - Question row
+ * @param {Array} responses - Responses to that question
+ * @returns {Object|null} Type-specific summary, or null for text questions
+ */
+export function aggregateResponses(question, responses) {
+  const type = canonicalQuestionType(question.question_type);
+
+  if (type === 'multiple_choice' || type === 'pulse_check') {
+    const counts = new Map(optionList(question).map((option) => [option, 0]));
+    for (const response of responses) {
+      // Older pulse checks have no stored options, so count whatever labels came in
+      const answer = response.response_option || response.response_text;
+      if (answer) counts.set(answer, (counts.get(answer) || 0) + 1);
+    }
+    return {
+      type,
+      response_count: responses.length,
+      options: [...counts.entries()].map(([option, count]) => ({
+        option,
+        count,
+        percent: responses.length > 0 ? round((count / responses.length) * 100, 1) : 0
+      }))
+    };
+  }
+
+  if (type === 'multi_select') {
+    const options = optionList(question);
+    const counts = Object.fromEntries(options.map((option) => [option, 0]));
+    for (const response of responses) {
+      for (const value of parseJson(response.response_values) || []) {
+        if (counts[value] !== undefined) counts[value]++;
+      }
+    }
+    return {
+      type,
+      response_count: responses.length,
+      options: options.map((option) => ({
+        option,
+        count: counts[option],
+        percent: responses.length > 0 ? round((counts[option] / responses.length) * 100, 1) : 0
+      }))
+    };
+  }
+
+  if (type === 'ranking') {
+    const options = optionList(question);
+    const totals = new Map(options.map((option) => [option, { sum: 0, count: 0, first: 0 }]));
+    for (const response of responses) {
+      (parseJson(response.response_values) || []).forEach((value, index) => {
+        const total = totals.get(value);
+        if (!total) return;
+        total.sum += index + 1;
+        total.count++;
+        if (index === 0) total.first++;
+      });
+    }
+    return {
+      type,
+      response_count: responses.length,
+      options: options
+        .map((option) => {
+          const total = totals.get(option);
+          return {
+            option,
+            average_rank: total.count > 0 ? round(total.sum / total.count) : null,
+            first_place_count: total.first
+          };
+        })
+        .sort((a, b) => (a.average_rank ?? Infinity) - (b.average_rank ?? Infinity))
+    };
+  }
+
+  if (type === 'numeric') {
+    const values = responses
+      .map((response) => Number(response.response_number ?? response.response_text))
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+    const range = parseJson(question.options) || {};
+    return {
+      type,
+      response_count: values.length,
+      min: values.length > 0 ? values[0] : null,
+      max: values.length > 0 ? values[values.length - 1] : null,
+      mean: values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+      median: values.length > 0 ? median(values) : null,
+      histogram: buildHistogram(values, range)
+    };
+  }
+
+  if (type === 'word_cloud') {
+    const counts = new Map();
+    for (const response of responses) {
+      const phrase = normalizePhrase(response.response_text);
+      if (phrase) counts.set(phrase, (counts.get(phrase) || 0) + 1);
+    }
+    return {
+      type,
+      response_count: responses.length,
+      phrases: [...counts.entries()]
+        .map(([text, count]) => ({ text, count }))
+        .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+        .slice(0, WORD_CLOUD_TOP_PHRASES)
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,272 @@
+// Quiz scoring helpers
+//
+// A session question becomes a quiz question when it has correct_answers
+// (see 50-add-session-question-quiz-options.sql):
+//   { "question_type": "multiple_choice", "options": ["A", "B", "C"], "correct_answers": ["B"], "points": 2 }
+//   { "question_type": "text", "correct_answers": ["Dijkstra"], "points": 1 }
+// A response earns the question's points when it matches any accepted answer. Choice answers
+// must match an option exactly; text answers match ignoring case and extra spaces.
+// Multi-select answers must pick exactly the correct options, ranking answers must match the
+// correct order (correct_answers lists every option), and numeric answers must equal one of
+// the accepted numbers. Pulse checks and word clouds are never graded.
+
+import { canonicalQuestionType } from './question-types.js';
+
+export const DEFAULT_POINTS = 1;
+export const MAX_POINTS = 1000;
+
+const CHOICE_TYPES = new Set(['multiple_choice', 'multi_select', 'ranking']);
+const IDENTITY_FIELDS = ['user_id', 'user_name', 'user_email', 'ucsd_pid', 'team_name'];
+
+export function isChoiceQuestion(question) {
+  return CHOICE_TYPES.has(canonicalQuestionType(question?.question_type));
+}
+
+export function isGradedQuestion(question) {
+  return Array.isArray(question?.correct_answers) && question.correct_answers.length > 0;
+}
+
+function normalizeText(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function parseJsonArray(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    // A bare string is a single answer
+    return [value];
+  }
+}
+
+/**
+ * Validate and normalize a question's quiz settings
+ * Only the fields present on the input are returned, so it works for partial updates as long as
+ * question_type and options reflect the question after the update.
+ * @param {Object} question - { question_type, options?, correct_answers?, points?, is_anonymous?, reveal_results? }
+ * @returns {Object} { correct_answers?, points?, is_anonymous?, reveal_results? }
+ * @throws {Error} If the settings are invalid for the question type
+ */
+export function normalizeQuizSettings(question) {
+  const settings = {};
+
+  if (question.correct_answers !== undefined) {
+    let answers = parseJsonArray(question.correct_answers);
+    if (answers === null || answers === '') {
+      answers = [];
+    }
+    if (!Array.isArray(answers)) {
+      throw new Error('correct_answers must be an array');
+    }
+
+    const type = canonicalQuestionType(question.question_type);
+    answers = [...new Set(answers
+      // Numeric answers may be sent as numbers; they are kept as text like the others
+      .map((answer) => (type === 'numeric' && typeof answer === 'number' ? String(answer) : answer))
+      .map((answer) => (typeof answer === 'string' ? answer.trim() : answer))
+      .filter((answer) => answer !== '' && answer !== null && answer !== undefined))];
+
+    if (answers.some((answer) => typeof answer !== 'string')) {
+      throw new Error('correct_answers must be strings');
+    }
+
+    if (answers.length > 0) {
+      if (type === 'pulse_check') {
+        throw new Error('Pulse questions cannot have correct answers');
+      }
+      if (type === 'word_cloud') {
+        throw new Error('Word cloud questions cannot have correct answers');
+      }
+      if (isChoiceQuestion(question)) {
+        const options = parseJsonArray(question.options);
+        const optionSet = new Set(Array.isArray(options) ? options : []);
+        const unknown = answers.find((answer) => !optionSet.has(answer));
+        if (unknown !== undefined) {
+          throw new Error(`Correct answer "${unknown}" is not one of the options`);
+        }
+        if (type === 'ranking' && answers.length !== optionSet.size) {
+          throw new Error('The correct ranking must list every option');
+        }
+      }
+      if (type === 'numeric') {
+        const invalid = answers.find((answer) => !Number.isFinite(Number(answer)));
+        if (invalid !== undefined) {
+          throw new Error(`Correct answer "${invalid}" is not a number`);
+        }
+      }
+    }
+
+    settings.correct_answers = answers.length > 0 ? answers : null;
+  }
+
+  if (question.points !== undefined && question.points !== null && question.points !== '') {
+    const points = Number(question.points);
+    if (!Number.isFinite(points) || points < 0 || points > MAX_POINTS) {
+      throw new Error(`points must be a number between 0 and ${MAX_POINTS}`);
+    }
+    settings.points = Math.round(points * 100) / 100;
+  }
+
+  if (question.is_anonymous !== undefined) {
+    settings.is_anonymous = question.is_anonymous === true || question.is_anonymous === 'true';
+  }
+  if (question.reveal_results !== undefined) {
+    settings.reveal_results = question.reveal_results === true || question.reveal_results === 'true';
+  }
+
+  return settings;
+}
+
+/**
+ * Score one response to a graded question
+ * @param {Object} question - Question row
+ * @param {Object|null} response - Response row, or null when the student didn't answer
+ * @returns {Object|null} { is_correct, points_earned }, or null if the question isn't graded
+ */
+export function scoreResponse(question, response) {
+  if (!isGradedQuestion(question)) return null;
+
+  const type = canonicalQuestionType(question.question_type);
+  let isCorrect = false;
+  if (response) {
+    if (type === 'multi_select') {
+      const selected = parseJsonArray(response.response_values) || [];
+      isCorrect = selected.length === question.correct_answers.length
+        && question.correct_answers.every((answer) => selected.includes(answer));
+    } else if (type === 'ranking') {
+      const ranked = parseJsonArray(response.response_values) || [];
+      isCorrect = ranked.length === question.correct_answers.length
+        && question.correct_answers.every((answer, index) => ranked[index] === answer);
+    } else if (type === 'numeric') {
+      const answer = Number(response.response_number ?? response.response_text);
+      isCorrect = Number.isFinite(answer) && question.correct_answers.some((accepted) => Number(accepted) === answer);
+    } else if (isChoiceQuestion(question)) {
+      const answer = response.response_option ?? response.response_text;
+      isCorrect = question.correct_answers.includes(answer);
+    } else {
+      const answer = normalizeText(response.response_text ?? response.response_option);
+      isCorrect = answer !== '' && question.correct_answers.some((accepted) => normalizeText(accepted) === answer);
+    }
+  }
+
+  return {
+    is_correct: isCorrect,
+    points_earned: isCorrect ? Number(question.points ?? DEFAULT_POINTS) : 0
+  };
+}
+
+/**
+ * Total one student's score over a set of questions
+ * @param {Array} questions - Question rows (ungraded ones are skipped)
+ * @param {Array} responses - That student's responses
+ * @returns {Object|null} { graded_questions, correct_count, points_earned, points_possible },
+ *   or null if none of the questions are graded
+ */
+export function summarizeScore(questions, responses) {
+  const graded = questions.filter(isGradedQuestion);
+  if (graded.length === 0) return null;
+
+  const byQuestion = new Map(responses.map((response) => [response.question_id, response]));
+  const summary = { graded_questions: graded.length, correct_count: 0, points_earned: 0, points_possible: 0 };
+
+  for (const question of graded) {
+    const score = scoreResponse(question, byQuestion.get(question.id) || null);
+    summary.points_possible += Number(question.points ?? DEFAULT_POINTS);
+    summary.points_earned += score.points_earned;
+    if (score.is_correct) summary.correct_count++;
+  }
+
+  summary.points_possible = Math.round(summary.points_possible * 100) / 100;
+  summary.points_earned = Math.round(summary.points_earned * 100) / 100;
+  return summary;
+}
+
+/**
+ * Quiz statistics for a session
+ * Per-question results cover every graded question. Per-student scores only count questions
+ * that aren't anonymous, so a score can't be traced back to an anonymous answer. Only students
+ * who answered at least one of those questions are listed.
+ * @param {Array} questions - Question rows for the session
+ * @param {Array} responses - All responses for the session (with user_name from the model)
+ * @returns {Object|null} Statistics, or null if no question is graded
+ */
+export function buildQuizStatistics(questions, responses) {
+  const graded = questions.filter(isGradedQuestion);
+  if (graded.length === 0) return null;
+
+  const perQuestion = graded.map((question) => {
+    const questionResponses = responses.filter((response) => response.question_id === question.id);
+    const correctCount = questionResponses
+      .filter((response) => scoreResponse(question, response).is_correct)
+      .length;
+
+    return {
+      question_id: question.id,
+      question_text: question.question_text,
+      points: Number(question.points ?? DEFAULT_POINTS),
+      correct_answers: question.correct_answers,
+      is_anonymous: Boolean(question.is_anonymous),
+      response_count: questionResponses.length,
+      correct_count: correctCount,
+      percent_correct: questionResponses.length > 0
+        ? Math.round((correctCount / questionResponses.length) * 1000) / 10
+        : null
+    };
+  });
+
+  const identified = graded.filter((question) => !question.is_anonymous);
+  const identifiedIds = new Set(identified.map((question) => question.id));
+  const responsesByUser = new Map();
+  for (const response of responses) {
+    if (!identifiedIds.has(response.question_id) || !response.user_id) continue;
+    if (!responsesByUser.has(response.user_id)) responsesByUser.set(response.user_id, []);
+    responsesByUser.get(response.user_id).push(response);
+  }
+
+  const students = [...responsesByUser.entries()]
+    .map(([userId, userResponses]) => ({
+      user_id: userId,
+      user_name: userResponses[0].user_name || null,
+      ...summarizeScore(identified, userResponses)
+    }))
+    .sort((a, b) => (a.user_name || '').localeCompare(b.user_name || ''));
+
+  const pointsPossible = identified.reduce((sum, question) => sum + Number(question.points ?? DEFAULT_POINTS), 0);
+  const averageScore = students.length > 0
+    ? Math.round((students.reduce((sum, student) => sum + student.points_earned, 0) / students.length) * 100) / 100
+    : null;
+
+  return {
+    graded_questions: graded.length,
+    points_possible: Math.round(pointsPossible * 100) / 100,
+    average_score: averageScore,
+    questions: perQuestion,
+    students
+  };
+}
+
+/**
+ * Remove the answer key from a question for someone who may not see it yet
+ * @param {Object} question - Question row
+ * @returns {Object} The question, without correct_answers unless results are revealed
+ */
+export function redactQuestion(question) {
+  if (question.reveal_results || !('correct_answers' in question)) return question;
+  const redacted = { ...question, is_graded: isGradedQuestion(question) };
+  delete redacted.correct_answers;
+  return redacted;
+}
+
+/**
+ * Leave out who answered a response to an anonymous question
+ * @param {Object} response - Response row from SessionResponseModel
+ * @returns {Object} The response without user fields
+ */
+export function anonymizeResponse(response) {
+  const anonymized = { ...response, is_anonymous: true };
+  for (const field of IDENTITY_FIELDS) {
+    delete anonymized[field];
+  }
+  return anonymized;
+}
@@ -0,0 +1,124 @@
+// Response window helpers
+//
+// Rules are stored as JSONB on sessions.response_rules:
+//   { "deadline": "2030-01-07T18:00:00.000Z", "edits_allowed_until": "2030-01-08T08:00:00.000Z",
+//     "late_submissions": "flag" }
+// deadline defaults to the moment attendance closed, and edits_allowed_until defaults to the
+// deadline. A first answer after the deadline is stored with is_late set, or refused when
+// late_submissions is 'reject'. Changing an answer after edits_allowed_until is always refused.
+
+export const LATE_SUBMISSION_POLICIES = Object.freeze(['flag', 'reject']);
+const DEFAULT_LATE_SUBMISSION_POLICY = 'flag';
+
+function parseTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`response_rules.${field} must be a valid timestamp`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate and normalize a response rules object
+ * @param {Object|string|null} rules - Raw rules (object or JSON string)
+ * @returns {Object|null} Normalized rules, or null when none are set
+ * @throws {Error} If the rules are malformed
+ */
+export function normalizeResponseRules(rules) {
+  if (rules === null || rules === undefined || rules === '') {
+    return null;
+  }
+
+  let parsed = rules;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      throw new Error('response_rules must be valid JSON');
+    }
+  }
+
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('response_rules must be an object');
+  }
+
+  const normalized = {};
+
+  const deadline = parseTimestamp(parsed.deadline, 'deadline');
+  if (deadline) normalized.deadline = deadline;
+
+  const editsUntil = parseTimestamp(parsed.edits_allowed_until, 'edits_allowed_until');
+  if (editsUntil) normalized.edits_allowed_until = editsUntil;
+
+  const policy = parsed.late_submissions;
+  if (policy !== undefined && policy !== null && policy !== '') {
+    if (!LATE_SUBMISSION_POLICIES.includes(policy)) {
+      throw new Error(`response_rules.late_submissions must be one of: ${LATE_SUBMISSION_POLICIES.join(', ')}`);
+    }
+    if (policy !== DEFAULT_LATE_SUBMISSION_POLICY) normalized.late_submissions = policy;
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * When new answers become late
+ * @param {Object} session - { response_rules, attendance_closed_at }
+ * @returns {Date|null} The deadline, or null if there is none yet
+ */
+export function getResponseDeadline(session) {
+  const value = session?.response_rules?.deadline || session?.attendance_closed_at;
+  return value ? new Date(value) : null;
+}
+
+/**
+ * When answers stop being editable
+ * @param {Object} session - { response_rules, attendance_closed_at }
+ * @returns {Date|null} The edit cutoff, or null if answers can always be changed
+ */
+export function getEditDeadline(session) {
+  const value = session?.response_rules?.edits_allowed_until;
+  return value ? new Date(value) : getResponseDeadline(session);
+}
+
+/**
+ * Whether two stored answers are the same, so re-sending one isn't an edit
+ * @param {Object} stored - { response_text, response_option, response_values, response_number }
+ * @param {Object} value - Normalized answer with the same fields
+ * @returns {boolean}
+ */
+export function isSameAnswer(stored, value) {
+  const number = (n) => (n === null || n === undefined ? null : Number(n));
+  return (stored.response_text ?? null) === (value.response_text ?? null)
+    && (stored.response_option ?? null) === (value.response_option ?? null)
+    && JSON.stringify(stored.response_values ?? null) === JSON.stringify(value.response_values ?? null)
+    && number(stored.response_number) === number(value.response_number);
+}
+
+/**
+ * Check an answer against the session's response window
+ * @param {Object} session - { response_rules, attendance_closed_at }
+ * @param {Object} options - { existing: the student's stored answer (null for a first answer), isEdit, now }
+ * @returns {{ is_late: boolean }} Lateness to store with the answer
+ * @throws {Error} If the answer can no longer be given or changed
+ */
+export function checkResponseWindow(session, { existing = null, isEdit = false, now = new Date() } = {}) {
+  if (existing) {
+    const editDeadline = getEditDeadline(session);
+    if (isEdit && editDeadline && now > editDeadline) {
+      throw new Error('Responses for this session can no longer be edited');
+    }
+    // An edit keeps the lateness of the first answer
+    return { is_late: Boolean(existing.is_late) };
+  }
+
+  const deadline = getResponseDeadline(session);
+  if (!deadline || now <= deadline) {
+    return { is_late: false };
+  }
+  if (session.response_rules?.late_submissions === 'reject') {
+    throw new Error('The response deadline for this session has passed');
+  }
+  return { is_late: true };
+}
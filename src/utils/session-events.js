@@ -0,0 +1,52 @@
+// Session event helpers
+//
+// Triggers from 49-add-session-event-notifications.sql publish JSON payloads on the
+// 'session_events' channel:
+//   { "type": "attendance", "op": "insert", "session_id": "...", "user_id": "...", "status": "present" }
+//   { "type": "response", "op": "update", "session_id": "...", "question_id": "...", "response_id": "...", "user_id": "..." }
+//   { "type": "session", "op": "update", "session_id": "...", "attendance_closed_at": "...",
+//     "presentation_mode": true, "presented_question_id": "..." }
+//   { "type": "question", "op": "update", "session_id": "...", "question_id": "...", "opened_at": "...", "closed_at": null }
+// Response events carry a null user_id for anonymous questions (see migration 50).
+// Question events and the presentation fields come from 53-add-presentation-mode.sql.
+// SessionEventsService forwards them to browsers as Server-Sent Events named after the type.
+
+export const SESSION_EVENTS_CHANNEL = 'session_events';
+export const SESSION_EVENT_TYPES = ['attendance', 'response', 'session', 'question'];
+// Students following a presentation only need to know what is on screen
+export const STUDENT_SESSION_EVENT_TYPES = ['session', 'question'];
+
+/**
+ * Parse a NOTIFY payload
+ * @param {string} payload - JSON text from the trigger
+ * @returns {Object|null} The event, or null if it isn't a session event
+ */
+export function parseSessionEvent(payload) {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch {
+    return null;
+  }
+
+  if (!event || typeof event !== 'object' || Array.isArray(event)) return null;
+  if (typeof event.session_id !== 'string' || !SESSION_EVENT_TYPES.includes(event.type)) return null;
+  return event;
+}
+
+/**
+ * Format one Server-Sent Events message
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable data
+ * @param {Object} [options] - { id, retry } retry is the reconnect delay in milliseconds
+ * @returns {string}
+ */
+export function formatSseMessage(event, data, options = {}) {
+  const lines = [];
+  if (options.retry) lines.push(`retry: ${options.retry}`);
+  if (options.id !== undefined && options.id !== null) lines.push(`id: ${options.id}`);
+  lines.push(`event: ${event}`);
+  // JSON.stringify never emits raw newlines, so the data always fits on one line
+  lines.push(`data: ${JSON.stringify(data ?? null)}`);
+  return `${lines.join('\n')}\n\n`;
+}
@@ -0,0 +1,73 @@
+// Session rescheduling helpers
+//
+// Moving a session changes its date and time in place, so its questions, attendance and
+// responses stay attached. The end time keeps the session's length unless a new one is given,
+// and the access code expires at the new end (or the end of the new day, as on create).
+
+import { parseClockTime } from './class-timings.js';
+import { zonedTimeToUtc, DEFAULT_TIMEZONE } from './timezone.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A session date as YYYY-MM-DD (pg returns DATE columns as local-midnight Dates)
+ * @param {string|Date} value
+ * @returns {string}
+ */
+export function formatSessionDate(value) {
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).split('T')[0];
+}
+
+/**
+ * Work out a session's new schedule
+ * @param {Object} session - { session_date, session_time, starts_at, ends_at }
+ * @param {Object} changes - { session_date, session_time?, end_time? }
+ * @param {string} [timeZone] - Offering timezone
+ * @returns {Object} { session_date, session_time, starts_at, ends_at, code_expires_at }
+ * @throws {Error} If the new date or times are invalid
+ */
+export function planReschedule(session, changes, timeZone = DEFAULT_TIMEZONE) {
+  const sessionDate = changes?.session_date;
+  if (!sessionDate || !DATE_PATTERN.test(sessionDate)) {
+    throw new Error('session_date must be a date like 2025-01-31');
+  }
+
+  const sessionTime = changes.session_time
+    ? parseClockTime(changes.session_time)
+    : parseClockTime(String(session.session_time ?? ''));
+  if (!sessionTime) {
+    throw new Error('session_time must be a time like 10:00');
+  }
+
+  const startsAt = zonedTimeToUtc(sessionDate, sessionTime, timeZone);
+
+  let endsAt = null;
+  if (changes.end_time) {
+    const endTime = parseClockTime(changes.end_time);
+    if (!endTime) {
+      throw new Error('end_time must be a time like 10:50');
+    }
+    endsAt = zonedTimeToUtc(sessionDate, endTime, timeZone);
+    if (endsAt <= startsAt) {
+      throw new Error('end_time must be after session_time');
+    }
+  } else if (session.starts_at && session.ends_at) {
+    const length = new Date(session.ends_at) - new Date(session.starts_at);
+    if (length > 0) endsAt = new Date(startsAt.getTime() + length);
+  }
+
+  const codeExpiresAt = endsAt || new Date(zonedTimeToUtc(sessionDate, '00:00', timeZone).getTime() + DAY_MS);
+
+  return {
+    session_date: sessionDate,
+    session_time: `${sessionTime}:00`,
+    starts_at: startsAt,
+    ends_at: endsAt,
+    code_expires_at: codeExpiresAt
+  };
+}
@@ -0,0 +1,495 @@
+// Team formation engine
+//
+// Students list teammates they want and teammates to avoid, their skills, their timezone and
+// their weekly availability (users.availability_specific, e.g.
+//   { "slots": [{ "day": "Monday", "start": "14:00", "end": "16:00" }] } in their own timezone).
+// The engine splits them into teams of about the target size, then swaps students between teams
+// while a swap lowers the total cost. The same students and options always give the same proposal.
+//
+// A team costs more when it:
+//   - puts together two students where one asked to avoid the other
+//   - leaves out teammates its students asked for (each one kept together lowers the cost)
+//   - has more or fewer of a skill than an even spread across teams (balance_skills)
+//   - has more or fewer extension students than an even spread (balance_institution)
+//   - spans more UTC offsets than max_timezone_spread_hours
+//   - shares fewer weekly hours than min_shared_hours
+
+import { isValidTimeZone, getTimeZoneOffsetMinutes } from './timezone.js';
+
+export const DEFAULT_FORMATION_OPTIONS = Object.freeze({
+  team_size: 4,
+  balance_skills: true,
+  balance_institution: true,
+  max_timezone_spread_hours: 3,
+  min_shared_hours: 0
+});
+
+export const MAX_TEAMMATE_PREFERENCES = 5;
+const MAX_SKILLS = 10;
+const MAX_SKILL_LENGTH = 40;
+const MIN_TEAM_SIZE = 2;
+const MAX_TEAM_SIZE = 12;
+
+const AVOID_PENALTY = 100;
+const WANT_REWARD = 10;
+const SKILL_WEIGHT = 4;
+const INSTITUTION_WEIGHT = 8;
+const TIMEZONE_WEIGHT = 6;
+const AVAILABILITY_WEIGHT = 2;
+const MAX_PASSES = 50;
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function readBoolean(value, field, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'boolean') {
+    throw new Error(`${field} must be true or false`);
+  }
+  return value;
+}
+
+function readNumber(value, field, { min, max, integer = false, fallback }) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (value === null || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw new Error(`${field} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate formation options, filling in defaults
+ * @param {Object} [options] - { team_size, balance_skills, balance_institution, max_timezone_spread_hours, min_shared_hours }
+ *   max_timezone_spread_hours may be null to ignore timezones
+ * @returns {Object} Normalized options
+ * @throws {Error} If an option is out of range
+ */
+export function normalizeFormationOptions(options = {}) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('options must be an object');
+  }
+
+  return {
+    team_size: readNumber(options.team_size, 'team_size', {
+      min: MIN_TEAM_SIZE, max: MAX_TEAM_SIZE, integer: true, fallback: DEFAULT_FORMATION_OPTIONS.team_size
+    }),
+    balance_skills: readBoolean(options.balance_skills, 'balance_skills', DEFAULT_FORMATION_OPTIONS.balance_skills),
+    balance_institution: readBoolean(
+      options.balance_institution, 'balance_institution', DEFAULT_FORMATION_OPTIONS.balance_institution
+    ),
+    max_timezone_spread_hours: options.max_timezone_spread_hours === null
+      ? null
+      : readNumber(options.max_timezone_spread_hours, 'max_timezone_spread_hours', {
+        min: 0, max: 24, fallback: DEFAULT_FORMATION_OPTIONS.max_timezone_spread_hours
+      }),
+    min_shared_hours: readNumber(options.min_shared_hours, 'min_shared_hours', {
+      min: 0, max: 168, fallback: DEFAULT_FORMATION_OPTIONS.min_shared_hours
+    })
+  };
+}
+
+function readTeammates(value, field, { userId, rosterIds }) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`${field} must be a list of student IDs`);
+  }
+  const ids = [...new Set(value)];
+  if (ids.length > MAX_TEAMMATE_PREFERENCES) {
+    throw new Error(`${field} can list at most ${MAX_TEAMMATE_PREFERENCES} students`);
+  }
+  for (const id of ids) {
+    if (id === userId) {
+      throw new Error(`${field} cannot include yourself`);
+    }
+    if (!rosterIds.has(id)) {
+      throw new Error(`${field} includes someone who is not a student in this course`);
+    }
+  }
+  return ids;
+}
+
+function readSkills(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) {
+    throw new Error('skills must be a list or comma-separated text');
+  }
+
+  const skills = [...new Set(list.map((skill) => String(skill).trim().toLowerCase()).filter(Boolean))];
+  if (skills.length > MAX_SKILLS) {
+    throw new Error(`skills can list at most ${MAX_SKILLS} entries`);
+  }
+  if (skills.some((skill) => skill.length > MAX_SKILL_LENGTH)) {
+    throw new Error(`each skill must be at most ${MAX_SKILL_LENGTH} characters`);
+  }
+  return skills;
+}
+
+/**
+ * Validate a student's teammate preferences
+ * @param {Object} preferences - { preferred_teammate_ids, avoided_teammate_ids, skills, timezone }
+ * @param {Object} context - { userId: the student, rosterIds: Set of student IDs in the course }
+ * @returns {Object} Normalized preferences
+ * @throws {Error} If the preferences are malformed
+ */
+export function normalizeFormationPreferences(preferences, { userId, rosterIds }) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new Error('preferences must be an object');
+  }
+
+  const preferred = readTeammates(preferences.preferred_teammate_ids, 'preferred_teammate_ids', { userId, rosterIds });
+  const avoided = readTeammates(preferences.avoided_teammate_ids, 'avoided_teammate_ids', { userId, rosterIds });
+  if (preferred.some((id) => avoided.includes(id))) {
+    throw new Error('A student cannot be both a preferred and an avoided teammate');
+  }
+
+  let timezone = null;
+  if (preferences.timezone !== undefined && preferences.timezone !== null && preferences.timezone !== '') {
+    timezone = String(preferences.timezone).trim();
+    if (!isValidTimeZone(timezone)) {
+      throw new Error('timezone must be an IANA timezone name such as America/Los_Angeles');
+    }
+  }
+
+  return {
+    preferred_teammate_ids: preferred,
+    avoided_teammate_ids: avoided,
+    skills: readSkills(preferences.skills),
+    timezone
+  };
+}
+
+function toMinutes(time) {
+  const match = TIME_PATTERN.exec(String(time ?? '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Read weekly availability from users.availability_specific
+ * Accepts { slots: [...] }, { office_hours: [...] } or a bare list of { day, start, end }.
+ * Slots that can't be read are skipped; free text gives no slots.
+ * @param {Object|Array|string|null} value
+ * @returns {Object[]} { day: 0 (Monday) to 6, start, end } in minutes after midnight
+ */
+export function parseAvailability(value) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      return [];
+    }
+  }
+  const slots = Array.isArray(parsed) ? parsed : (parsed?.slots || parsed?.office_hours);
+  if (!Array.isArray(slots)) return [];
+
+  const result = [];
+  for (const slot of slots) {
+    const dayName = String(slot?.day ?? '').trim().toLowerCase();
+    const day = DAYS.findIndex((name) => dayName.length >= 3 && name.startsWith(dayName));
+    const start = toMinutes(slot?.start);
+    const end = toMinutes(slot?.end);
+    if (day !== -1 && start !== null && end !== null && end > start) {
+      result.push({ day, start, end });
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate availability sent with a student's preferences
+ * @param {Object|Array|null} value - { slots: [{ day, start, end }] } or a bare list of slots
+ * @returns {Object|null} { slots } with full day names and HH:MM times, or null to clear it
+ * @throws {Error} If a slot can't be read
+ */
+export function normalizeAvailability(value) {
+  if (value === null || value === '') return null;
+  const slots = Array.isArray(value) ? value : value?.slots;
+  if (!Array.isArray(slots)) {
+    throw new Error('availability_specific must be an object with a list of slots');
+  }
+
+  const parsed = parseAvailability(slots);
+  if (parsed.length !== slots.length) {
+    throw new Error('Each availability slot needs a day and a start time before its end time, like 14:00');
+  }
+
+  const pad = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  return {
+    slots: parsed.map((slot) => ({
+      day: DAYS[slot.day][0].toUpperCase() + DAYS[slot.day].slice(1),
+      start: pad(slot.start),
+      end: pad(slot.end)
+    }))
+  };
+}
+
+// Availability as UTC minute-of-week intervals, sorted and merged
+function weeklyIntervals(slots, offsetMinutes) {
+  const intervals = [];
+  for (const slot of slots) {
+    const start = slot.day * DAY_MINUTES + slot.start - offsetMinutes;
+    const end = slot.day * DAY_MINUTES + slot.end - offsetMinutes;
+    // Wrap into the week, splitting an interval that crosses its end
+    const wrappedStart = ((start % WEEK_MINUTES) + WEEK_MINUTES) % WEEK_MINUTES;
+    const wrappedEnd = wrappedStart + (end - start);
+    if (wrappedEnd > WEEK_MINUTES) {
+      intervals.push([wrappedStart, WEEK_MINUTES], [0, wrappedEnd - WEEK_MINUTES]);
+    } else {
+      intervals.push([wrappedStart, wrappedEnd]);
+    }
+  }
+
+  intervals.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged.at(-1);
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+}
+
+function intersect(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (end > start) result.push([start, end]);
+    if (a[i][1] < b[j][1]) i++; else j++;
+  }
+  return result;
+}
+
+/**
+ * Prepare students for scoring
+ * @param {Object[]} students - { user_id, name, institution_type, skills, timezone,
+ *   preferred_teammate_ids, avoided_teammate_ids, availability_specific }
+ * @param {Object} options - Normalized options
+ * @param {Date} [now] - Instant used for timezone offsets
+ */
+function buildContext(students, options, now) {
+  const byId = new Map();
+  const skillTotals = new Map();
+  let extensionTotal = 0;
+
+  for (const student of students) {
+    const offset = student.timezone && isValidTimeZone(student.timezone)
+      ? getTimeZoneOffsetMinutes(student.timezone, now)
+      : null;
+    const slots = parseAvailability(student.availability_specific);
+    const prepared = {
+      ...student,
+      skills: student.skills || [],
+      preferred: new Set(student.preferred_teammate_ids || []),
+      avoided: new Set(student.avoided_teammate_ids || []),
+      is_extension: student.institution_type === 'extension',
+      offset_hours: offset === null ? null : offset / 60,
+      availability: slots.length ? weeklyIntervals(slots, offset ?? 0) : null
+    };
+    byId.set(student.user_id, prepared);
+    for (const skill of prepared.skills) {
+      skillTotals.set(skill, (skillTotals.get(skill) || 0) + 1);
+    }
+    if (prepared.is_extension) extensionTotal++;
+  }
+
+  return { byId, skillTotals, extensionTotal, studentCount: students.length, options };
+}
+
+function sharedHours(members) {
+  const available = members.filter((member) => member.availability);
+  if (available.length < 2) return null;
+  let shared = available[0].availability;
+  for (const member of available.slice(1)) {
+    shared = intersect(shared, member.availability);
+  }
+  return shared.reduce((sum, [start, end]) => sum + (end - start), 0) / 60;
+}
+
+/**
+ * Describe one team and work out its cost
+ */
+function evaluateTeam(memberIds, context, teamCount) {
+  const { byId, skillTotals, extensionTotal, studentCount, options } = context;
+  const members = memberIds.map((id) => byId.get(id)).filter(Boolean);
+  const ids = new Set(members.map((member) => member.user_id));
+
+  const avoidedPairs = [];
+  let wantedMet = 0;
+  let wantedTotal = 0;
+  for (const [index, member] of members.entries()) {
+    for (const other of members.slice(index + 1)) {
+      if (member.avoided.has(other.user_id) || other.avoided.has(member.user_id)) {
+        avoidedPairs.push([member.user_id, other.user_id]);
+      }
+    }
+    for (const wanted of member.preferred) {
+      if (!byId.has(wanted)) continue;
+      wantedTotal++;
+      if (ids.has(wanted)) wantedMet++;
+    }
+  }
+
+  const skills = {};
+  for (const member of members) {
+    for (const skill of member.skills) skills[skill] = (skills[skill] || 0) + 1;
+  }
+
+  const extensionCount = members.filter((member) => member.is_extension).length;
+  const offsets = members.map((member) => member.offset_hours).filter((offset) => offset !== null);
+  const timezoneSpread = offsets.length ? Math.max(...offsets) - Math.min(...offsets) : 0;
+  const shared = options.min_shared_hours > 0 ? sharedHours(members) : null;
+
+  let cost = avoidedPairs.length * AVOID_PENALTY - wantedMet * WANT_REWARD;
+  if (options.balance_skills) {
+    for (const [skill, total] of skillTotals) {
+      cost += SKILL_WEIGHT * ((skills[skill] || 0) - total / teamCount) ** 2;
+    }
+  }
+  if (options.balance_institution && studentCount > 0) {
+    cost += INSTITUTION_WEIGHT * (extensionCount - (extensionTotal * members.length) / studentCount) ** 2;
+  }
+  if (options.max_timezone_spread_hours !== null && timezoneSpread > options.max_timezone_spread_hours) {
+    cost += TIMEZONE_WEIGHT * (timezoneSpread - options.max_timezone_spread_hours);
+  }
+  if (shared !== null && shared < options.min_shared_hours) {
+    cost += AVAILABILITY_WEIGHT * (options.min_shared_hours - shared);
+  }
+
+  const warnings = [];
+  if (avoidedPairs.length) {
+    warnings.push(`${avoidedPairs.length} pair${avoidedPairs.length !== 1 ? 's' : ''} asked not to work together`);
+  }
+  if (options.max_timezone_spread_hours !== null && timezoneSpread > options.max_timezone_spread_hours) {
+    warnings.push(`Timezones span ${timezoneSpread} hours`);
+  }
+  if (shared !== null && shared < options.min_shared_hours) {
+    warnings.push(`Only ${shared} shared hours a week`);
+  }
+
+  return {
+    cost,
+    summary: {
+      size: members.length,
+      skills,
+      extension_count: extensionCount,
+      timezone_spread_hours: timezoneSpread,
+      shared_hours: shared,
+      wanted_met: wantedMet,
+      wanted_total: wantedTotal,
+      avoided_pairs: avoidedPairs
+    },
+    warnings
+  };
+}
+
+/**
+ * Score a set of teams, such as a proposal after instructors moved students around
+ * @param {string[][]} teams - Member user IDs per team
+ * @param {Object[]} students - Students with their preferences (see buildContext)
+ * @param {Object} options - Normalized options
+ * @param {Date} [now] - Instant used for timezone offsets
+ * @returns {Object} { cost, teams: [{ member_ids, summary, warnings }] }
+ */
+export function scoreTeams(teams, students, options, now = new Date()) {
+  const context = buildContext(students, options, now);
+  const teamCount = Math.max(1, teams.length);
+  let cost = 0;
+  const described = teams.map((memberIds) => {
+    const { cost: teamCost, summary, warnings } = evaluateTeam(memberIds, context, teamCount);
+    cost += teamCost;
+    return { member_ids: memberIds, summary, warnings };
+  });
+  return { cost: Math.round(cost * 100) / 100, teams: described };
+}
+
+/**
+ * Sizes for splitting students into teams of about the target size
+ * @param {number} studentCount
+ * @param {number} teamSize - Target size
+ * @returns {number[]} Team sizes, largest first, differing by at most one
+ */
+export function planTeamSizes(studentCount, teamSize) {
+  if (studentCount === 0) return [];
+  const teamCount = Math.max(1, Math.round(studentCount / teamSize));
+  const base = Math.floor(studentCount / teamCount);
+  const larger = studentCount % teamCount;
+  return Array.from({ length: teamCount }, (_, index) => base + (index < larger ? 1 : 0));
+}
+
+/**
+ * Propose teams
+ * @param {Object[]} students - Students with their preferences (see buildContext)
+ * @param {Object} options - Normalized options
+ * @param {Date} [now] - Instant used for timezone offsets
+ * @returns {string[][]} Member user IDs per team
+ */
+export function proposeTeams(students, options, now = new Date()) {
+  const sizes = planTeamSizes(students.length, options.team_size);
+  if (sizes.length === 0) return [];
+
+  const context = buildContext(students, options, now);
+
+  // Deal students out in a snake order, extension students and the most skilled first,
+  // so the starting split is already roughly balanced
+  const ordered = [...context.byId.values()].sort((a, b) =>
+    (b.is_extension - a.is_extension)
+    || (b.skills.length - a.skills.length)
+    || String(a.user_id).localeCompare(String(b.user_id))
+  );
+  const teams = sizes.map(() => []);
+  let index = 0;
+  let direction = 1;
+  for (const student of ordered) {
+    while (teams[index].length >= sizes[index]) {
+      index += direction;
+      if (index === teams.length || index === -1) {
+        direction = -direction;
+        index += direction;
+      }
+    }
+    teams[index].push(student.user_id);
+    index += direction;
+    if (index === teams.length || index === -1) {
+      direction = -direction;
+      index += direction;
+    }
+  }
+
+  // Swap pairs of students between teams while that lowers the cost
+  const costs = teams.map((members) => evaluateTeam(members, context, teams.length).cost);
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+    for (let a = 0; a < teams.length; a++) {
+      for (let b = a + 1; b < teams.length; b++) {
+        for (let i = 0; i < teams[a].length; i++) {
+          for (let j = 0; j < teams[b].length; j++) {
+            const nextA = teams[a].with(i, teams[b][j]);
+            const nextB = teams[b].with(j, teams[a][i]);
+            const costA = evaluateTeam(nextA, context, teams.length).cost;
+            const costB = evaluateTeam(nextB, context, teams.length).cost;
+            if (costA + costB < costs[a] + costs[b] - 1e-9) {
+              teams[a] = nextA;
+              teams[b] = nextB;
+              costs[a] = costA;
+              costs[b] = costB;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return teams;
+}
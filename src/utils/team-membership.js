@@ -0,0 +1,86 @@
+// Team membership history helpers
+//
+// team_membership_events is an append-only ledger:
+//   joined       to_team is the team joined
+//   left         from_team is the team left
+//   transferred  from_team is the team left and to_team the team joined, with the approved
+//                transfer request and who approved it
+// Replaying a course's events in order gives each team's past members and when they left.
+
+export const MAX_TRANSFER_REASON_LENGTH = 1000;
+export const MAX_REVIEW_NOTE_LENGTH = 1000;
+
+/**
+ * Validate the reason given for a transfer request
+ * @param {string} reason
+ * @returns {string} Trimmed reason
+ * @throws {Error} If the reason is missing or too long
+ */
+export function normalizeTransferReason(reason) {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) {
+    throw new Error('A reason for the transfer is required');
+  }
+  if (text.length > MAX_TRANSFER_REASON_LENGTH) {
+    throw new Error(`reason must be at most ${MAX_TRANSFER_REASON_LENGTH} characters`);
+  }
+  return text;
+}
+
+/**
+ * Validate a reviewer's note on a transfer request
+ * @param {string} [note]
+ * @returns {string|null} Trimmed note, or null when left empty
+ */
+export function normalizeReviewNote(note) {
+  const text = typeof note === 'string' ? note.trim() : '';
+  if (text.length > MAX_REVIEW_NOTE_LENGTH) {
+    throw new Error(`note must be at most ${MAX_REVIEW_NOTE_LENGTH} characters`);
+  }
+  return text || null;
+}
+
+/**
+ * Replay membership events into each team's past members
+ * A student counts as a past member of a team they joined and later left (or transferred out of)
+ * and are not on now. Their latest stint is reported.
+ * @param {Object[]} events - [{ user_id, user_name, event_type, from_team_id, to_team_id, to_team_name, occurred_at }]
+ *   in any order
+ * @param {Object[]} currentMembers - [{ team_id, user_id }] active memberships
+ * @returns {Map<string, Object[]>} team_id → [{ user_id, name, joined_at, left_at, moved_to_team_name }],
+ *   most recent departure first
+ */
+export function formerMembersByTeam(events, currentMembers) {
+  const current = new Set(currentMembers.map((member) => `${member.team_id}:${member.user_id}`));
+  const stints = new Map();
+
+  const ordered = [...events].sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+  for (const event of ordered) {
+    if (event.from_team_id) {
+      const key = `${event.from_team_id}:${event.user_id}`;
+      const stint = stints.get(key) || { joined_at: null };
+      stints.set(key, {
+        ...stint,
+        user_id: event.user_id,
+        name: event.user_name || null,
+        left_at: event.occurred_at,
+        moved_to_team_name: event.event_type === 'transferred' ? event.to_team_name : null
+      });
+    }
+    if (event.to_team_id) {
+      stints.set(`${event.to_team_id}:${event.user_id}`, { joined_at: event.occurred_at, left_at: null });
+    }
+  }
+
+  const byTeam = new Map();
+  for (const [key, stint] of stints) {
+    if (!stint.left_at || current.has(key)) continue;
+    const teamId = key.slice(0, key.indexOf(':'));
+    if (!byTeam.has(teamId)) byTeam.set(teamId, []);
+    byTeam.get(teamId).push(stint);
+  }
+  for (const members of byTeam.values()) {
+    members.sort((a, b) => new Date(b.left_at) - new Date(a.left_at));
+  }
+  return byTeam;
+}
@@ -0,0 +1,71 @@
+// Supervisor assignment helpers
+//
+// TAs and tutors supervise teams (team_staff_assignments). Rebalancing spreads one group of staff,
+// say the TAs, over every team so each team gets exactly one of them and loads differ by at most
+// one team. Existing assignments are kept where they fit, so a rebalance after adding a team or a
+// TA moves as few teams as possible.
+
+export const SUPERVISOR_ROLES = Object.freeze(['ta', 'tutor']);
+
+/**
+ * Spread a group of staff over teams, one supervisor from the group per team
+ * @param {Object} input
+ * @param {Object[]} input.teams - [{ id }] in the order teams should be handed out
+ * @param {Object[]} input.staff - [{ user_id }] the group to spread, in tie-break order
+ * @param {Object[]} [input.current] - [{ team_id, user_id }] existing assignments
+ * @param {boolean} [input.keepExisting=true] - Keep current assignments that fit the balanced loads
+ * @returns {Object[]} [{ team_id, user_id }], one per team, or none if the group is empty
+ */
+export function rebalanceSupervisors({ teams, staff, current = [], keepExisting = true }) {
+  if (staff.length === 0 || teams.length === 0) {
+    return [];
+  }
+
+  const staffIds = staff.map((member) => member.user_id);
+  const teamIds = new Set(teams.map((team) => team.id));
+  const currentByTeam = new Map();
+  if (keepExisting) {
+    for (const assignment of current) {
+      if (!teamIds.has(assignment.team_id) || !staffIds.includes(assignment.user_id)) continue;
+      // One kept supervisor per team; the earliest in staff order wins
+      const kept = currentByTeam.get(assignment.team_id);
+      if (!kept || staffIds.indexOf(assignment.user_id) < staffIds.indexOf(kept)) {
+        currentByTeam.set(assignment.team_id, assignment.user_id);
+      }
+    }
+  }
+
+  // Everyone gets floor(teams / staff); the remainder goes to whoever already holds the most
+  const held = new Map(staffIds.map((id) => [id, 0]));
+  for (const userId of currentByTeam.values()) {
+    held.set(userId, held.get(userId) + 1);
+  }
+  const base = Math.floor(teams.length / staffIds.length);
+  const byHeld = [...staffIds].sort((a, b) => held.get(b) - held.get(a) || staffIds.indexOf(a) - staffIds.indexOf(b));
+  const target = new Map(byHeld.map((id, index) => [id, base + (index < teams.length % staffIds.length ? 1 : 0)]));
+
+  const load = new Map(staffIds.map((id) => [id, 0]));
+  const assignments = new Map();
+  for (const team of teams) {
+    const userId = currentByTeam.get(team.id);
+    if (userId && load.get(userId) < target.get(userId)) {
+      assignments.set(team.id, userId);
+      load.set(userId, load.get(userId) + 1);
+    }
+  }
+
+  for (const team of teams) {
+    if (assignments.has(team.id)) continue;
+    let pick = null;
+    for (const id of staffIds) {
+      const room = target.get(id) - load.get(id);
+      if (room > 0 && (pick === null || room > target.get(pick) - load.get(pick))) {
+        pick = id;
+      }
+    }
+    assignments.set(team.id, pick);
+    load.set(pick, load.get(pick) + 1);
+  }
+
+  return teams.map((team) => ({ team_id: team.id, user_id: assignments.get(team.id) }));
+}
@@ -0,0 +1,122 @@
+/**
+ * Timezone helpers for course offerings
+ *
+ * Sessions are entered as a wall-clock date and time in the course's timezone
+ * (session_date + session_time) and stored as an instant in sessions.starts_at.
+ * These helpers do the same conversion in JavaScript so code that only has the
+ * wall-clock values agrees with the database.
+ */
+
+export const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check that a value is an IANA timezone name Node knows about
+ * @param {string} timeZone - e.g. 'America/Los_Angeles'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || (!timeZone.includes('/') && timeZone !== 'UTC')) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize a timezone from request input
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Canonical timezone name
+ * @throws {Error} If the timezone is not a valid IANA name
+ */
+export function normalizeTimeZone(timeZone) {
+  const value = String(timeZone ?? '').trim();
+  if (!isValidTimeZone(value)) {
+    throw new Error('timezone must be an IANA timezone name such as America/Los_Angeles');
+  }
+  return getFormatter(value).resolvedOptions().timeZone;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{ date: string, time: string }} YYYY-MM-DD and HH:MM:SS
+ */
+export function toZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+function offsetMinutes(date, timeZone) {
+  const { date: day, time } = toZonedParts(date, timeZone);
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, dayOfMonth, hours, minutes, seconds);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * A timezone's offset from UTC at an instant
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} [date] - Instant (offsets change with DST)
+ * @returns {number} Minutes ahead of UTC, e.g. -420 for America/Los_Angeles in summer
+ */
+export function getTimeZoneOffsetMinutes(timeZone, date = new Date()) {
+  return offsetMinutes(date, timeZone);
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to an instant
+ * Same result as Postgres `(session_date + session_time) AT TIME ZONE tz`.
+ * @param {string|Date} sessionDate - YYYY-MM-DD (a Date uses its local calendar day, as pg returns DATE columns)
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date|null} Instant, or null if the input cannot be parsed
+ */
+export function zonedTimeToUtc(sessionDate, time, timeZone = DEFAULT_TIMEZONE) {
+  if (!sessionDate || !time) return null;
+
+  let year, month, day;
+  if (sessionDate instanceof Date) {
+    year = sessionDate.getFullYear();
+    month = sessionDate.getMonth() + 1;
+    day = sessionDate.getDate();
+  } else {
+    [year, month, day] = String(sessionDate).split('T')[0].split(' ')[0].split('-').map(Number);
+  }
+  const [hours, minutes, seconds = 0] = String(time).split('.')[0].split(':').map(Number);
+
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  if (Number.isNaN(wallClock)) return null;
+
+  // Guess with the offset at the wall-clock time, then correct once for DST changes
+  const guess = wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000;
+  return new Date(wallClock - offsetMinutes(new Date(guess), timeZone) * 60000);
+}